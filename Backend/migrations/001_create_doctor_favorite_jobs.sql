@@ -0,0 +1,29 @@
+-- ============================================================================
+-- 001 - Doktor favori (kaydedilen) iş ilanları
+-- ============================================================================
+-- Doktorların kaydettiği ilanları tutar. İlan jobExpirationCron ile pasife
+-- alındığında kayıt silinmez, expired_at doldurularak "süresi doldu" olarak
+-- işaretlenir.
+-- ============================================================================
+
+IF OBJECT_ID('dbo.doctor_favorite_jobs', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.doctor_favorite_jobs (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    doctor_profile_id INT NOT NULL,
+    job_id INT NOT NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_doctor_favorite_jobs_created_at DEFAULT GETDATE(),
+    expired_at DATETIME2 NULL,
+    CONSTRAINT FK_doctor_favorite_jobs_doctor_profiles FOREIGN KEY (doctor_profile_id)
+      REFERENCES dbo.doctor_profiles(id) ON DELETE CASCADE,
+    CONSTRAINT FK_doctor_favorite_jobs_jobs FOREIGN KEY (job_id)
+      REFERENCES dbo.jobs(id)
+  );
+
+  CREATE UNIQUE INDEX UX_doctor_favorite_jobs_doctor_job
+    ON dbo.doctor_favorite_jobs (doctor_profile_id, job_id);
+
+  CREATE INDEX IX_doctor_favorite_jobs_job_id
+    ON dbo.doctor_favorite_jobs (job_id);
+END
+GO
@@ -0,0 +1,52 @@
+-- ============================================================================
+-- 002 - Doktor kayıtlı aramaları ve yeni ilan eşleşme bildirimleri
+-- ============================================================================
+-- doctor_saved_searches: Doktorun kaydettiği filtre seti (keyword, şehir ve
+--   branş listeleri virgülle ayrılmış ID'ler olarak tutulur - "1,2,3").
+-- doctor_saved_search_alerts: Hangi arama için hangi ilanın bildirildiği.
+--   savedSearchAlertCron aynı ilanı aynı arama için ikinci kez bildirmez.
+-- ============================================================================
+
+IF OBJECT_ID('dbo.doctor_saved_searches', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.doctor_saved_searches (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    doctor_profile_id INT NOT NULL,
+    name NVARCHAR(100) NOT NULL,
+    keyword NVARCHAR(100) NULL,
+    city_ids NVARCHAR(500) NULL,
+    specialty_ids NVARCHAR(500) NULL,
+    employment_type NVARCHAR(50) NULL,
+    is_active BIT NOT NULL CONSTRAINT DF_doctor_saved_searches_is_active DEFAULT 1,
+    last_notified_at DATETIME2 NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_doctor_saved_searches_created_at DEFAULT GETDATE(),
+    updated_at DATETIME2 NULL,
+    CONSTRAINT FK_doctor_saved_searches_doctor_profiles FOREIGN KEY (doctor_profile_id)
+      REFERENCES dbo.doctor_profiles(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IX_doctor_saved_searches_doctor_profile_id
+    ON dbo.doctor_saved_searches (doctor_profile_id);
+
+  CREATE INDEX IX_doctor_saved_searches_is_active
+    ON dbo.doctor_saved_searches (is_active);
+END
+GO
+
+IF OBJECT_ID('dbo.doctor_saved_search_alerts', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.doctor_saved_search_alerts (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    saved_search_id INT NOT NULL,
+    job_id INT NOT NULL,
+    notified_at DATETIME2 NOT NULL CONSTRAINT DF_doctor_saved_search_alerts_notified_at DEFAULT GETDATE(),
+    CONSTRAINT FK_doctor_saved_search_alerts_saved_searches FOREIGN KEY (saved_search_id)
+      REFERENCES dbo.doctor_saved_searches(id) ON DELETE CASCADE,
+    CONSTRAINT FK_doctor_saved_search_alerts_jobs FOREIGN KEY (job_id)
+      REFERENCES dbo.jobs(id)
+  );
+
+  CREATE UNIQUE INDEX UX_doctor_saved_search_alerts_search_job
+    ON dbo.doctor_saved_search_alerts (saved_search_id, job_id);
+END
+GO
@@ -0,0 +1,67 @@
+-- ============================================================================
+-- 003 - İlan başına yayın süresi (expires_at) ve sistem ayarları
+-- ============================================================================
+-- jobs.duration_days: Hastanenin seçtiği yayın süresi (gün). Onay ve yenileme
+--   sırasında expires_at bu süreye göre hesaplanır.
+-- jobs.expires_at: İlanın yayından kalkacağı tarih (jobExpirationCron kullanır).
+-- jobs.expiry_warning_sent_at: "3 gün içinde sona erecek" bildirimi gönderildi mi.
+-- jobs.renewal_count: Hastanenin ilanı kaç kez yenilediği.
+-- system_settings: Admin tarafından yönetilen anahtar/değer ayarları
+--   (ilan yayın süresi alt/üst sınırı ve varsayılan süre).
+-- ============================================================================
+
+IF COL_LENGTH('dbo.jobs', 'duration_days') IS NULL
+  ALTER TABLE dbo.jobs ADD duration_days INT NULL;
+GO
+
+IF COL_LENGTH('dbo.jobs', 'expires_at') IS NULL
+  ALTER TABLE dbo.jobs ADD expires_at DATETIME2 NULL;
+GO
+
+IF COL_LENGTH('dbo.jobs', 'expiry_warning_sent_at') IS NULL
+  ALTER TABLE dbo.jobs ADD expiry_warning_sent_at DATETIME2 NULL;
+GO
+
+IF COL_LENGTH('dbo.jobs', 'renewal_count') IS NULL
+  ALTER TABLE dbo.jobs ADD renewal_count INT NOT NULL
+    CONSTRAINT DF_jobs_renewal_count DEFAULT 0;
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_jobs_status_expires_at')
+  CREATE INDEX IX_jobs_status_expires_at ON dbo.jobs (status_id, expires_at);
+GO
+
+-- Yayındaki mevcut ilanlar eski 30 günlük kurala göre sona erer
+UPDATE dbo.jobs
+SET expires_at = DATEADD(DAY, 30, published_at)
+WHERE status_id = 3
+  AND published_at IS NOT NULL
+  AND expires_at IS NULL;
+GO
+
+IF OBJECT_ID('dbo.system_settings', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.system_settings (
+    setting_key NVARCHAR(100) NOT NULL PRIMARY KEY,
+    setting_value NVARCHAR(MAX) NULL,
+    description NVARCHAR(255) NULL,
+    updated_by INT NULL,
+    updated_at DATETIME2 NOT NULL CONSTRAINT DF_system_settings_updated_at DEFAULT GETDATE(),
+    CONSTRAINT FK_system_settings_users FOREIGN KEY (updated_by)
+      REFERENCES dbo.users(id) ON DELETE SET NULL
+  );
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM dbo.system_settings WHERE setting_key = 'job_lifetime.min_days')
+  INSERT INTO dbo.system_settings (setting_key, setting_value, description)
+  VALUES ('job_lifetime.min_days', '7', N'İlan yayın süresi alt sınırı (gün)');
+
+IF NOT EXISTS (SELECT 1 FROM dbo.system_settings WHERE setting_key = 'job_lifetime.max_days')
+  INSERT INTO dbo.system_settings (setting_key, setting_value, description)
+  VALUES ('job_lifetime.max_days', '90', N'İlan yayın süresi üst sınırı (gün)');
+
+IF NOT EXISTS (SELECT 1 FROM dbo.system_settings WHERE setting_key = 'job_lifetime.default_days')
+  INSERT INTO dbo.system_settings (setting_key, setting_value, description)
+  VALUES ('job_lifetime.default_days', '30', N'Süre seçilmeyen ilanlar için varsayılan yayın süresi (gün)');
+GO
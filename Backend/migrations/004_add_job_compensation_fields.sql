@@ -0,0 +1,45 @@
+-- ============================================================================
+-- 004 - İş ilanlarına yapılandırılmış ücret, nöbet ve yan hak alanları
+-- ============================================================================
+-- salary_min / salary_max: Aylık net ücret aralığı (opsiyonel)
+-- salary_currency: TRY, USD veya EUR (ücret girilmişse)
+-- monthly_shift_count: Aylık nöbet sayısı
+-- working_hours: Çalışma saatleri (ör. "08:00-17:00, hafta içi")
+-- provides_housing: Lojman / konaklama sağlanıyor mu
+-- provides_transport: Servis / ulaşım desteği sağlanıyor mu
+-- ============================================================================
+
+IF COL_LENGTH('dbo.jobs', 'salary_min') IS NULL
+  ALTER TABLE dbo.jobs ADD salary_min DECIMAL(12, 2) NULL;
+GO
+
+IF COL_LENGTH('dbo.jobs', 'salary_max') IS NULL
+  ALTER TABLE dbo.jobs ADD salary_max DECIMAL(12, 2) NULL;
+GO
+
+IF COL_LENGTH('dbo.jobs', 'salary_currency') IS NULL
+  ALTER TABLE dbo.jobs ADD salary_currency NVARCHAR(3) NULL;
+GO
+
+IF COL_LENGTH('dbo.jobs', 'monthly_shift_count') IS NULL
+  ALTER TABLE dbo.jobs ADD monthly_shift_count INT NULL;
+GO
+
+IF COL_LENGTH('dbo.jobs', 'working_hours') IS NULL
+  ALTER TABLE dbo.jobs ADD working_hours NVARCHAR(255) NULL;
+GO
+
+IF COL_LENGTH('dbo.jobs', 'provides_housing') IS NULL
+  ALTER TABLE dbo.jobs ADD provides_housing BIT NOT NULL
+    CONSTRAINT DF_jobs_provides_housing DEFAULT 0;
+GO
+
+IF COL_LENGTH('dbo.jobs', 'provides_transport') IS NULL
+  ALTER TABLE dbo.jobs ADD provides_transport BIT NOT NULL
+    CONSTRAINT DF_jobs_provides_transport DEFAULT 0;
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.check_constraints WHERE name = 'CK_jobs_salary_range')
+  ALTER TABLE dbo.jobs ADD CONSTRAINT CK_jobs_salary_range
+    CHECK (salary_min IS NULL OR salary_max IS NULL OR salary_min <= salary_max);
+GO
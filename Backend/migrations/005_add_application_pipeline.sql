@@ -0,0 +1,104 @@
+-- ============================================================================
+-- 005 - Hastane başvuru süreci (pipeline): özel aşamalar, durum geçmişi,
+--       dahili notlar, puan ve etiketler
+-- ============================================================================
+-- application_pipeline_stages: Hastanenin tanımladığı aşamalar. Her aşama bir
+--   temel başvuru durumuna (application_statuses) bağlıdır; doktor yalnızca
+--   temel durumu görür, hastane kendi aşamasını görür.
+-- applications.pipeline_stage_id: Başvurunun bulunduğu özel aşama. NULL ise
+--   başvuru, durumuna karşılık gelen ilk aşamada gösterilir.
+-- applications.rating: Hastanenin verdiği 1-5 yıldız puanı.
+-- application_status_history: Kim, neyi, ne zaman değiştirdi.
+-- application_notes: Başvuru başına birden fazla, zaman damgalı dahili not
+--   (doktor görmez; applications.notes doktorun gördüğü not olarak kalır).
+-- application_tags: Başvuru etiketleri.
+-- ============================================================================
+
+IF OBJECT_ID('dbo.application_pipeline_stages', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.application_pipeline_stages (
+    id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+    hospital_id INT NOT NULL,
+    name NVARCHAR(100) NOT NULL,
+    status_id INT NOT NULL,
+    color NVARCHAR(20) NULL,
+    sort_order INT NOT NULL CONSTRAINT DF_application_pipeline_stages_sort_order DEFAULT 0,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_application_pipeline_stages_created_at DEFAULT GETDATE(),
+    updated_at DATETIME2 NOT NULL CONSTRAINT DF_application_pipeline_stages_updated_at DEFAULT GETDATE(),
+    CONSTRAINT FK_application_pipeline_stages_hospital FOREIGN KEY (hospital_id)
+      REFERENCES dbo.hospital_profiles(id) ON DELETE CASCADE,
+    CONSTRAINT FK_application_pipeline_stages_status FOREIGN KEY (status_id)
+      REFERENCES dbo.application_statuses(id)
+  );
+
+  CREATE INDEX IX_application_pipeline_stages_hospital
+    ON dbo.application_pipeline_stages (hospital_id, sort_order);
+END
+GO
+
+IF COL_LENGTH('dbo.applications', 'pipeline_stage_id') IS NULL
+  ALTER TABLE dbo.applications ADD pipeline_stage_id INT NULL
+    CONSTRAINT FK_applications_pipeline_stage FOREIGN KEY
+      REFERENCES dbo.application_pipeline_stages(id);
+GO
+
+IF COL_LENGTH('dbo.applications', 'rating') IS NULL
+  ALTER TABLE dbo.applications ADD rating TINYINT NULL
+    CONSTRAINT CK_applications_rating CHECK (rating BETWEEN 1 AND 5);
+GO
+
+IF OBJECT_ID('dbo.application_status_history', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.application_status_history (
+    id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+    application_id INT NOT NULL,
+    from_status_id INT NULL,
+    to_status_id INT NOT NULL,
+    from_stage_id INT NULL,
+    to_stage_id INT NULL,
+    changed_by INT NULL,
+    changed_by_role NVARCHAR(20) NULL,
+    note NVARCHAR(1000) NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_application_status_history_created_at DEFAULT GETDATE(),
+    CONSTRAINT FK_application_status_history_application FOREIGN KEY (application_id)
+      REFERENCES dbo.applications(id) ON DELETE CASCADE,
+    CONSTRAINT FK_application_status_history_user FOREIGN KEY (changed_by)
+      REFERENCES dbo.users(id)
+  );
+
+  CREATE INDEX IX_application_status_history_application
+    ON dbo.application_status_history (application_id, created_at);
+END
+GO
+
+IF OBJECT_ID('dbo.application_notes', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.application_notes (
+    id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+    application_id INT NOT NULL,
+    author_user_id INT NOT NULL,
+    note NVARCHAR(2000) NOT NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_application_notes_created_at DEFAULT GETDATE(),
+    CONSTRAINT FK_application_notes_application FOREIGN KEY (application_id)
+      REFERENCES dbo.applications(id) ON DELETE CASCADE,
+    CONSTRAINT FK_application_notes_author FOREIGN KEY (author_user_id)
+      REFERENCES dbo.users(id)
+  );
+
+  CREATE INDEX IX_application_notes_application
+    ON dbo.application_notes (application_id, created_at);
+END
+GO
+
+IF OBJECT_ID('dbo.application_tags', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.application_tags (
+    application_id INT NOT NULL,
+    tag NVARCHAR(50) NOT NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_application_tags_created_at DEFAULT GETDATE(),
+    CONSTRAINT PK_application_tags PRIMARY KEY (application_id, tag),
+    CONSTRAINT FK_application_tags_application FOREIGN KEY (application_id)
+      REFERENCES dbo.applications(id) ON DELETE CASCADE
+  );
+END
+GO
@@ -0,0 +1,70 @@
+-- ============================================================================
+-- 006 - Mülakat planlama
+-- ============================================================================
+-- interviews: Başvuruya bağlı mülakat. Hastane bir veya daha fazla zaman
+--   dilimi önerir (status = 'proposed'); doktor birini seçince 'scheduled'
+--   olur. Hastane iptal ederse 'cancelled'.
+--   mode: 'in_person' (yüz yüze, location) veya 'video' (meeting_url)
+--   calendar_token: Takvim (.ics) bağlantısı için tahmin edilemez anahtar
+--   reminder_day_sent_at / reminder_hour_sent_at: 24 saat ve 1 saat kala
+--   hatırlatmaların gönderildiği zaman (tekrar gönderimi engeller)
+-- interview_slots: Önerilen zaman dilimleri
+-- ============================================================================
+
+IF OBJECT_ID('dbo.interviews', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.interviews (
+    id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+    application_id INT NOT NULL,
+    hospital_id INT NOT NULL,
+    mode NVARCHAR(20) NOT NULL,
+    location NVARCHAR(500) NULL,
+    meeting_url NVARCHAR(500) NULL,
+    duration_minutes INT NOT NULL CONSTRAINT DF_interviews_duration_minutes DEFAULT 30,
+    notes NVARCHAR(1000) NULL,
+    status NVARCHAR(20) NOT NULL CONSTRAINT DF_interviews_status DEFAULT 'proposed',
+    selected_slot_id INT NULL,
+    calendar_token NVARCHAR(64) NOT NULL,
+    created_by INT NULL,
+    cancel_reason NVARCHAR(500) NULL,
+    cancelled_at DATETIME2 NULL,
+    scheduled_at DATETIME2 NULL,
+    reminder_day_sent_at DATETIME2 NULL,
+    reminder_hour_sent_at DATETIME2 NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_interviews_created_at DEFAULT GETDATE(),
+    updated_at DATETIME2 NOT NULL CONSTRAINT DF_interviews_updated_at DEFAULT GETDATE(),
+    CONSTRAINT FK_interviews_application FOREIGN KEY (application_id)
+      REFERENCES dbo.applications(id) ON DELETE CASCADE,
+    CONSTRAINT FK_interviews_hospital FOREIGN KEY (hospital_id)
+      REFERENCES dbo.hospital_profiles(id),
+    CONSTRAINT FK_interviews_created_by FOREIGN KEY (created_by)
+      REFERENCES dbo.users(id),
+    CONSTRAINT CK_interviews_mode CHECK (mode IN ('in_person', 'video')),
+    CONSTRAINT CK_interviews_status CHECK (status IN ('proposed', 'scheduled', 'cancelled'))
+  );
+
+  CREATE INDEX IX_interviews_application ON dbo.interviews (application_id);
+  CREATE INDEX IX_interviews_hospital_status ON dbo.interviews (hospital_id, status);
+  CREATE UNIQUE INDEX UX_interviews_calendar_token ON dbo.interviews (calendar_token);
+END
+GO
+
+IF OBJECT_ID('dbo.interview_slots', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.interview_slots (
+    id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+    interview_id INT NOT NULL,
+    starts_at DATETIME2 NOT NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_interview_slots_created_at DEFAULT GETDATE(),
+    CONSTRAINT FK_interview_slots_interview FOREIGN KEY (interview_id)
+      REFERENCES dbo.interviews(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IX_interview_slots_interview ON dbo.interview_slots (interview_id, starts_at);
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.foreign_keys WHERE name = 'FK_interviews_selected_slot')
+  ALTER TABLE dbo.interviews ADD CONSTRAINT FK_interviews_selected_slot
+    FOREIGN KEY (selected_slot_id) REFERENCES dbo.interview_slots(id);
+GO
@@ -0,0 +1,33 @@
+-- ============================================================================
+-- 007 - Başvuru mesajlaşması
+-- ============================================================================
+-- application_messages: Başvuru başına hastane ile doktor arasındaki yazışma.
+--   sender_role: 'doctor' veya 'hospital'
+--   recipient_user_id: Mesajın karşı taraftaki alıcısı (okunmamış sayısı için)
+--   read_at: Alıcının mesajı okuduğu zaman (okundu bilgisi). NULL = okunmadı
+-- ============================================================================
+
+IF OBJECT_ID('dbo.application_messages', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.application_messages (
+    id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+    application_id INT NOT NULL,
+    sender_user_id INT NOT NULL,
+    recipient_user_id INT NOT NULL,
+    sender_role NVARCHAR(20) NOT NULL,
+    body NVARCHAR(2000) NOT NULL,
+    read_at DATETIME2 NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_application_messages_created_at DEFAULT GETDATE(),
+    CONSTRAINT FK_application_messages_application FOREIGN KEY (application_id)
+      REFERENCES dbo.applications(id) ON DELETE CASCADE,
+    CONSTRAINT FK_application_messages_sender FOREIGN KEY (sender_user_id)
+      REFERENCES dbo.users(id),
+    CONSTRAINT FK_application_messages_recipient FOREIGN KEY (recipient_user_id)
+      REFERENCES dbo.users(id),
+    CONSTRAINT CK_application_messages_sender_role CHECK (sender_role IN ('doctor', 'hospital'))
+  );
+
+  CREATE INDEX IX_application_messages_application ON dbo.application_messages (application_id, created_at);
+  CREATE INDEX IX_application_messages_recipient_unread ON dbo.application_messages (recipient_user_id, read_at);
+END
+GO
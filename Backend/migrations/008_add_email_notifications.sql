@@ -0,0 +1,56 @@
+-- ============================================================================
+-- 008 - E-posta bildirim kanalı
+-- ============================================================================
+-- user_email_preferences: Kullanıcı başına, bildirim türü başına e-posta
+--   tercihi. Satır yoksa tür varsayılan olarak açıktır; kullanıcı kapattığında
+--   (Ayarlar sayfası veya e-postadaki tek tıkla abonelikten çıkma bağlantısı)
+--   is_enabled = 0 olarak yazılır.
+--   email_type: 'application_status' (doktor), 'new_application' (hastane)
+-- email_queue: Gönderilecek bildirim e-postaları. notificationService
+--   e-postayı burada sıraya alır; emailQueueCron her dakika bekleyenleri
+--   sendMailWithRetry ile gönderir. Başarısız gönderimler next_attempt_at ile
+--   ertelenir, deneme sınırı aşılınca status = 'failed' olur.
+-- ============================================================================
+
+IF OBJECT_ID('dbo.user_email_preferences', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.user_email_preferences (
+    id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+    user_id INT NOT NULL,
+    email_type NVARCHAR(50) NOT NULL,
+    is_enabled BIT NOT NULL CONSTRAINT DF_user_email_preferences_is_enabled DEFAULT 1,
+    updated_at DATETIME2 NOT NULL CONSTRAINT DF_user_email_preferences_updated_at DEFAULT GETDATE(),
+    CONSTRAINT FK_user_email_preferences_user FOREIGN KEY (user_id)
+      REFERENCES dbo.users(id) ON DELETE CASCADE
+  );
+
+  CREATE UNIQUE INDEX UX_user_email_preferences_user_type
+    ON dbo.user_email_preferences (user_id, email_type);
+END
+GO
+
+IF OBJECT_ID('dbo.email_queue', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.email_queue (
+    id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+    user_id INT NULL,
+    email_type NVARCHAR(50) NOT NULL,
+    to_email NVARCHAR(255) NOT NULL,
+    subject NVARCHAR(300) NOT NULL,
+    text_body NVARCHAR(MAX) NOT NULL,
+    html_body NVARCHAR(MAX) NULL,
+    headers_json NVARCHAR(2000) NULL,
+    status NVARCHAR(20) NOT NULL CONSTRAINT DF_email_queue_status DEFAULT 'pending',
+    attempts INT NOT NULL CONSTRAINT DF_email_queue_attempts DEFAULT 0,
+    last_error NVARCHAR(1000) NULL,
+    next_attempt_at DATETIME2 NOT NULL CONSTRAINT DF_email_queue_next_attempt_at DEFAULT GETDATE(),
+    sent_at DATETIME2 NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_email_queue_created_at DEFAULT GETDATE(),
+    CONSTRAINT FK_email_queue_user FOREIGN KEY (user_id)
+      REFERENCES dbo.users(id) ON DELETE SET NULL,
+    CONSTRAINT CK_email_queue_status CHECK (status IN ('pending', 'sending', 'sent', 'failed'))
+  );
+
+  CREATE INDEX IX_email_queue_status_next_attempt ON dbo.email_queue (status, next_attempt_at);
+END
+GO
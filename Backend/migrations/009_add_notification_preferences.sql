@@ -0,0 +1,86 @@
+-- ============================================================================
+-- 009 - Bildirim tercihleri ve sessiz saatler
+-- ============================================================================
+-- user_notification_preferences: Kullanıcı başına, kategori başına kanal
+--   tercihleri (uygulama içi, push, e-posta). Satır yoksa kategori
+--   varsayılanları geçerlidir (notificationPreferenceService).
+--   category: 'application_status', 'job_status', 'new_job_match',
+--             'system', 'congress'
+-- user_notification_settings: Sessiz saatler (Europe/Istanbul, 'HH:mm').
+--   Sessiz saatlerde push bildirimleri deferred_push_notifications tablosuna
+--   yazılır ve deferredPushCron tarafından bitişte gönderilir.
+-- 008'deki user_email_preferences tercihleri application_status
+--   kategorisinin e-posta kanalına taşınır ve tablo kaldırılır.
+-- ============================================================================
+
+IF OBJECT_ID('dbo.user_notification_preferences', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.user_notification_preferences (
+    id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+    user_id INT NOT NULL,
+    category NVARCHAR(50) NOT NULL,
+    inapp_enabled BIT NOT NULL CONSTRAINT DF_user_notification_preferences_inapp DEFAULT 1,
+    push_enabled BIT NOT NULL CONSTRAINT DF_user_notification_preferences_push DEFAULT 1,
+    email_enabled BIT NOT NULL CONSTRAINT DF_user_notification_preferences_email DEFAULT 0,
+    updated_at DATETIME2 NOT NULL CONSTRAINT DF_user_notification_preferences_updated_at DEFAULT GETDATE(),
+    CONSTRAINT FK_user_notification_preferences_user FOREIGN KEY (user_id)
+      REFERENCES dbo.users(id) ON DELETE CASCADE,
+    CONSTRAINT CK_user_notification_preferences_category CHECK (
+      category IN ('application_status', 'job_status', 'new_job_match', 'system', 'congress')
+    )
+  );
+
+  CREATE UNIQUE INDEX UX_user_notification_preferences_user_category
+    ON dbo.user_notification_preferences (user_id, category);
+END
+GO
+
+IF OBJECT_ID('dbo.user_notification_settings', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.user_notification_settings (
+    user_id INT NOT NULL PRIMARY KEY,
+    quiet_hours_enabled BIT NOT NULL CONSTRAINT DF_user_notification_settings_enabled DEFAULT 0,
+    quiet_hours_start NVARCHAR(5) NOT NULL CONSTRAINT DF_user_notification_settings_start DEFAULT '22:00',
+    quiet_hours_end NVARCHAR(5) NOT NULL CONSTRAINT DF_user_notification_settings_end DEFAULT '08:00',
+    updated_at DATETIME2 NOT NULL CONSTRAINT DF_user_notification_settings_updated_at DEFAULT GETDATE(),
+    CONSTRAINT FK_user_notification_settings_user FOREIGN KEY (user_id)
+      REFERENCES dbo.users(id) ON DELETE CASCADE
+  );
+END
+GO
+
+IF OBJECT_ID('dbo.deferred_push_notifications', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.deferred_push_notifications (
+    id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+    user_id INT NOT NULL,
+    title NVARCHAR(300) NOT NULL,
+    body NVARCHAR(MAX) NOT NULL,
+    data_json NVARCHAR(MAX) NULL,
+    deliver_after DATETIME2 NOT NULL,
+    sent_at DATETIME2 NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_deferred_push_notifications_created_at DEFAULT GETDATE(),
+    CONSTRAINT FK_deferred_push_notifications_user FOREIGN KEY (user_id)
+      REFERENCES dbo.users(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IX_deferred_push_notifications_pending
+    ON dbo.deferred_push_notifications (sent_at, deliver_after);
+END
+GO
+
+-- 008 e-posta tercihlerini taşı (herhangi bir tür kapatılmışsa kategori e-postası kapalı)
+IF OBJECT_ID('dbo.user_email_preferences', 'U') IS NOT NULL
+BEGIN
+  INSERT INTO dbo.user_notification_preferences (user_id, category, inapp_enabled, push_enabled, email_enabled)
+  SELECT p.user_id, 'application_status', 1, 1, MIN(CAST(p.is_enabled AS INT))
+  FROM dbo.user_email_preferences p
+  WHERE NOT EXISTS (
+    SELECT 1 FROM dbo.user_notification_preferences n
+    WHERE n.user_id = p.user_id AND n.category = 'application_status'
+  )
+  GROUP BY p.user_id;
+
+  DROP TABLE dbo.user_email_preferences;
+END
+GO
@@ -0,0 +1,21 @@
+-- ============================================================================
+-- 010 - E-posta adresi doğrulama
+-- ============================================================================
+-- users.email_verified_at: Kullanıcının kayıt sonrası gönderilen imzalı
+--   bağlantıyla e-posta adresini doğruladığı tarih (doğrulanmamışsa NULL).
+--   Doğrulama token'ları veritabanında saklanmaz (authService).
+-- Mevcut onaylı hesaplar ve adminler doğrulanmış sayılır; kolon yalnızca ilk
+--   eklendiğinde doldurulur, migration tekrar çalıştırılırsa dokunulmaz.
+-- system_settings 'registration.require_email_verification' = 'true' olduğunda
+--   doğrulanmamış hesaplar admin tarafından onaylanamaz (varsayılan kapalı).
+-- ============================================================================
+
+IF COL_LENGTH('dbo.users', 'email_verified_at') IS NULL
+BEGIN
+  ALTER TABLE dbo.users ADD email_verified_at DATETIME2 NULL;
+
+  EXEC('UPDATE dbo.users
+        SET email_verified_at = GETDATE()
+        WHERE is_approved = 1 OR role = ''admin''');
+END
+GO
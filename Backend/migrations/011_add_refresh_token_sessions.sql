@@ -0,0 +1,20 @@
+-- ============================================================================
+-- 011 - Aktif oturumlar (refresh token bazlı)
+-- ============================================================================
+-- Her refresh_tokens satırı bir oturumdur (cihaz); user_agent ve ip zaten
+--   giriş sırasında jwtUtils.createRefreshTokenRecord ile yazılıyor.
+-- refresh_tokens.last_used_at: Oturumun son kullanım tarihi; girişte ve her
+--   token yenilemede güncellenir (eski kayıtlar için NULL, created_at gösterilir).
+-- Token yenileme artık satırı silip yeniden eklemez, aynı satırı günceller;
+--   böylece oturum id'si (access token'daki 'sid') yenilemeler boyunca sabit kalır.
+-- ============================================================================
+
+IF COL_LENGTH('dbo.refresh_tokens', 'last_used_at') IS NULL
+BEGIN
+  ALTER TABLE dbo.refresh_tokens ADD last_used_at DATETIME2 NULL;
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_refresh_tokens_user_id_expires_at')
+  CREATE INDEX IX_refresh_tokens_user_id_expires_at ON dbo.refresh_tokens (user_id, expires_at);
+GO
@@ -0,0 +1,37 @@
+-- ============================================================================
+-- 012 - Refresh token rotation ailesi ve jti ile arama
+-- ============================================================================
+-- refresh_tokens.jti: Token'ın JWT ID'si; kayıt bununla indeksli bulunur
+--   (kullanıcının tüm token'larını bcrypt ile taramak yerine).
+-- refresh_tokens.family_id: Bir girişten doğan tüm token'lar aynı aileye aittir
+--   (oturum). Her yenilemede yeni token aynı aileye eklenir.
+-- refresh_tokens.family_created_at: Oturumun (ailenin) başlangıç tarihi.
+-- refresh_tokens.replaced_by_id: Yenilemede eski kaydın yerine verilen kayıt.
+--   İptal edilmiş ve yerine yenisi verilmiş bir token tekrar gelirse token
+--   çalınmış sayılır, tüm aile iptal edilir (security log: refresh_token_reuse).
+-- token_hash artık SHA-256 (base64url, 43 karakter) tutar.
+-- Mevcut (jti'siz) token'lar kolonlar ilk eklendiğinde iptal edilir; kullanıcılar
+--   bir kez yeniden giriş yapar.
+-- ============================================================================
+
+IF COL_LENGTH('dbo.refresh_tokens', 'jti') IS NULL
+BEGIN
+  ALTER TABLE dbo.refresh_tokens ADD
+    jti NVARCHAR(64) NULL,
+    family_id NVARCHAR(64) NULL,
+    family_created_at DATETIME2 NULL,
+    replaced_by_id INT NULL;
+
+  EXEC('UPDATE dbo.refresh_tokens
+        SET revoked_at = GETDATE()
+        WHERE jti IS NULL AND revoked_at IS NULL');
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'UX_refresh_tokens_jti')
+  CREATE UNIQUE INDEX UX_refresh_tokens_jti ON dbo.refresh_tokens (jti) WHERE jti IS NOT NULL;
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_refresh_tokens_family_id')
+  CREATE INDEX IX_refresh_tokens_family_id ON dbo.refresh_tokens (family_id);
+GO
@@ -0,0 +1,41 @@
+-- ============================================================================
+-- 013 - İki adımlı doğrulama (TOTP, RFC 6238)
+-- ============================================================================
+-- users.two_factor_secret: Doğrulayıcı uygulamanın base32 gizli anahtarı,
+--   AES-256-GCM ile şifrelenmiş olarak (twoFactorService). Kurulum başlatıldığında
+--   yazılır, ilk kod doğrulanana kadar two_factor_enabled_at NULL kalır.
+-- users.two_factor_enabled_at: İki adımlı doğrulamanın etkinleştirildiği tarih.
+-- users.two_factor_last_used_step: Son kabul edilen TOTP zaman adımı; aynı
+--   kodun pencere içinde ikinci kez kullanılmasını engeller.
+-- user_two_factor_recovery_codes: Tek kullanımlık kurtarma kodları (SHA-256).
+--   Kod kullanıldığında used_at doldurulur; yeniden üretildiğinde eski kodlar
+--   silinir.
+-- Admin rolü için iki adımlı doğrulama zorunludur; etkin değilse ilk girişte
+--   kurulum istenir.
+-- ============================================================================
+
+IF COL_LENGTH('dbo.users', 'two_factor_secret') IS NULL
+BEGIN
+  ALTER TABLE dbo.users ADD
+    two_factor_secret NVARCHAR(255) NULL,
+    two_factor_enabled_at DATETIME2 NULL,
+    two_factor_last_used_step BIGINT NULL;
+END
+GO
+
+IF OBJECT_ID('dbo.user_two_factor_recovery_codes', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.user_two_factor_recovery_codes (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    user_id INT NOT NULL,
+    code_hash NVARCHAR(64) NOT NULL,
+    used_at DATETIME2 NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_user_two_factor_recovery_codes_created_at DEFAULT GETDATE(),
+    CONSTRAINT FK_user_two_factor_recovery_codes_users FOREIGN KEY (user_id)
+      REFERENCES dbo.users(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IX_user_two_factor_recovery_codes_user_id
+    ON dbo.user_two_factor_recovery_codes (user_id);
+END
+GO
@@ -0,0 +1,22 @@
+-- ============================================================================
+-- 014 - Başarısız girişlerde kademeli hesap kilitleme
+-- ============================================================================
+-- users.failed_login_attempts: Son başarılı girişten (veya son kilitten) beri
+--   ardışık başarısız deneme sayısı (şifre veya iki adımlı doğrulama kodu).
+-- users.last_failed_login_at: Son başarısız deneme zamanı.
+-- users.locked_until: Dolu ve gelecekteyse hesap kilitlidir; şifre kontrol
+--   edilmeden giriş reddedilir.
+-- users.lock_count: Art arda uygulanan kilit sayısı; kilit süresi her seferinde
+--   uzar (appConstants.ACCOUNT_LOCKOUT). Başarılı giriş veya admin kilidi
+--   kaldırdığında sıfırlanır.
+-- ============================================================================
+
+IF COL_LENGTH('dbo.users', 'failed_login_attempts') IS NULL
+BEGIN
+  ALTER TABLE dbo.users ADD
+    failed_login_attempts INT NOT NULL CONSTRAINT DF_users_failed_login_attempts DEFAULT 0,
+    last_failed_login_at DATETIME2 NULL,
+    locked_until DATETIME2 NULL,
+    lock_count INT NOT NULL CONSTRAINT DF_users_lock_count DEFAULT 0;
+END
+GO
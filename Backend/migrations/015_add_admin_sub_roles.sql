@@ -0,0 +1,17 @@
+-- ============================================================================
+-- 015 - Admin alt rolleri ve izinler
+-- ============================================================================
+-- users.admin_role: Yalnızca role = 'admin' kullanıcılar için anlamlıdır ve
+--   admin alt rolünü tutar (super_admin, content_moderator, user_manager,
+--   security_auditor). Alt rollerin izinleri appConstants.ADMIN_SUB_ROLES'da
+--   tanımlıdır; endpoint'ler roleGuard.requirePermission ile korunur.
+-- Mevcut admin hesaplarının erişimi değişmesin diye NULL değer super_admin
+--   olarak yorumlanır.
+-- ============================================================================
+
+IF COL_LENGTH('dbo.users', 'admin_role') IS NULL
+BEGIN
+  ALTER TABLE dbo.users ADD
+    admin_role NVARCHAR(50) NULL;
+END
+GO
@@ -0,0 +1,87 @@
+-- ============================================================================
+-- 016 - Çok kullanıcılı hastane hesapları (ekip üyeleri)
+-- ============================================================================
+-- hospital_members: Bir hastane profiline erişebilen kullanıcılar ve rolleri.
+--   owner     : Profili kaydeden hesap; ekip ve kurum profilini yönetir
+--   recruiter : İlan ve başvuru işlemlerini yapar
+--   viewer    : Yalnızca görüntüler
+--   Bir kullanıcı yalnızca bir hastanenin üyesi olabilir (user_id UNIQUE).
+--   hospital_profiles.user_id sahip hesabı göstermeye devam eder (bildirimler
+--   ve yazışmalar sahip hesap üzerinden yürür); mevcut profiller için sahip
+--   üyelikleri bu migration ile oluşturulur.
+-- hospital_member_invitations: Sahibin e-postayla gönderdiği davetler. Token
+--   yalnızca SHA-256 özeti olarak saklanır; kabul edilince accepted_at dolar.
+-- jobs.created_by / jobs.updated_by: İlanı oluşturan ve son değiştiren üye.
+--   Başvuru durumu değişiklikleri zaten application_status_history.changed_by
+--   ile, ilan durum geçişleri job_history.changed_by ile kaydediliyor.
+-- ============================================================================
+
+IF OBJECT_ID('dbo.hospital_members', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.hospital_members (
+    id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+    hospital_profile_id INT NOT NULL,
+    user_id INT NOT NULL,
+    role NVARCHAR(20) NOT NULL,
+    full_name NVARCHAR(150) NULL,
+    invited_by INT NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_hospital_members_created_at DEFAULT GETDATE(),
+    updated_at DATETIME2 NOT NULL CONSTRAINT DF_hospital_members_updated_at DEFAULT GETDATE(),
+    CONSTRAINT FK_hospital_members_hospital FOREIGN KEY (hospital_profile_id)
+      REFERENCES dbo.hospital_profiles(id) ON DELETE CASCADE,
+    CONSTRAINT FK_hospital_members_user FOREIGN KEY (user_id)
+      REFERENCES dbo.users(id),
+    CONSTRAINT FK_hospital_members_invited_by FOREIGN KEY (invited_by)
+      REFERENCES dbo.users(id),
+    CONSTRAINT UQ_hospital_members_user UNIQUE (user_id),
+    CONSTRAINT CK_hospital_members_role CHECK (role IN ('owner', 'recruiter', 'viewer'))
+  );
+
+  CREATE INDEX IX_hospital_members_hospital
+    ON dbo.hospital_members (hospital_profile_id);
+END
+GO
+
+-- Mevcut hastane hesaplarını kendi profillerinin sahibi yap
+INSERT INTO dbo.hospital_members (hospital_profile_id, user_id, role)
+SELECT hp.id, hp.user_id, 'owner'
+FROM dbo.hospital_profiles hp
+WHERE NOT EXISTS (
+  SELECT 1 FROM dbo.hospital_members hm WHERE hm.user_id = hp.user_id
+);
+GO
+
+IF OBJECT_ID('dbo.hospital_member_invitations', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.hospital_member_invitations (
+    id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+    hospital_profile_id INT NOT NULL,
+    email NVARCHAR(255) NOT NULL,
+    role NVARCHAR(20) NOT NULL,
+    token_hash NVARCHAR(64) NOT NULL,
+    invited_by INT NOT NULL,
+    expires_at DATETIME2 NOT NULL,
+    accepted_at DATETIME2 NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_hospital_member_invitations_created_at DEFAULT GETDATE(),
+    CONSTRAINT FK_hospital_member_invitations_hospital FOREIGN KEY (hospital_profile_id)
+      REFERENCES dbo.hospital_profiles(id) ON DELETE CASCADE,
+    CONSTRAINT FK_hospital_member_invitations_invited_by FOREIGN KEY (invited_by)
+      REFERENCES dbo.users(id),
+    CONSTRAINT UQ_hospital_member_invitations_token UNIQUE (token_hash),
+    CONSTRAINT CK_hospital_member_invitations_role CHECK (role IN ('recruiter', 'viewer'))
+  );
+
+  CREATE INDEX IX_hospital_member_invitations_hospital
+    ON dbo.hospital_member_invitations (hospital_profile_id, accepted_at);
+END
+GO
+
+IF COL_LENGTH('dbo.jobs', 'created_by') IS NULL
+  ALTER TABLE dbo.jobs ADD created_by INT NULL
+    CONSTRAINT FK_jobs_created_by FOREIGN KEY REFERENCES dbo.users(id);
+GO
+
+IF COL_LENGTH('dbo.jobs', 'updated_by') IS NULL
+  ALTER TABLE dbo.jobs ADD updated_by INT NULL
+    CONSTRAINT FK_jobs_updated_by FOREIGN KEY REFERENCES dbo.users(id);
+GO
@@ -0,0 +1,48 @@
+-- ============================================================================
+-- 017 - Kişisel veri dışa aktarma talepleri (KVKK/GDPR veri taşınabilirliği)
+-- ============================================================================
+-- data_export_requests: Doktorun verilerini ZIP olarak indirme talepleri.
+--   pending    : Talep alındı, dataExportCron tarafından işlenmeyi bekliyor
+--   processing : ZIP hazırlanıyor (sunucu kapanırsa STALE süresi sonunda tekrar sıraya alınır)
+--   ready      : ZIP diskte hazır; indirme bağlantısı expires_at'e kadar geçerli
+--   failed     : Hazırlama başarısız (error_message)
+--   expired    : İndirme süresi doldu, dosya diskten silindi
+-- İndirme token'ı yalnızca SHA-256 özeti olarak saklanır (bkz. 022: token
+-- bildirimle gönderilmez, oturum açmış kullanıcı istediğinde kısa süreli
+-- üretilir). file_path, Backend/storage/data-exports altındaki dosya adıdır
+-- (statik olarak servis edilmez).
+-- ============================================================================
+
+IF OBJECT_ID('dbo.data_export_requests', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.data_export_requests (
+    id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+    user_id INT NOT NULL,
+    status NVARCHAR(20) NOT NULL CONSTRAINT DF_data_export_requests_status DEFAULT 'pending',
+    file_path NVARCHAR(255) NULL,
+    file_size BIGINT NULL,
+    token_hash NVARCHAR(64) NULL,
+    expires_at DATETIME2 NULL,
+    download_count INT NOT NULL CONSTRAINT DF_data_export_requests_download_count DEFAULT 0,
+    last_downloaded_at DATETIME2 NULL,
+    error_message NVARCHAR(500) NULL,
+    requested_ip NVARCHAR(45) NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_data_export_requests_created_at DEFAULT GETDATE(),
+    started_at DATETIME2 NULL,
+    completed_at DATETIME2 NULL,
+    CONSTRAINT FK_data_export_requests_user FOREIGN KEY (user_id)
+      REFERENCES dbo.users(id),
+    CONSTRAINT CK_data_export_requests_status CHECK (status IN ('pending', 'processing', 'ready', 'failed', 'expired'))
+  );
+
+  CREATE INDEX IX_data_export_requests_user
+    ON dbo.data_export_requests (user_id, created_at);
+
+  CREATE INDEX IX_data_export_requests_status
+    ON dbo.data_export_requests (status, expires_at);
+
+  CREATE UNIQUE INDEX UQ_data_export_requests_token
+    ON dbo.data_export_requests (token_hash)
+    WHERE token_hash IS NOT NULL;
+END
+GO
@@ -0,0 +1,29 @@
+-- ============================================================================
+-- 018 - Hesap kapatma sonrası kalıcı silme / anonimleştirme (KVKK saklama süresi)
+-- ============================================================================
+-- users.deletion_scheduled_at: Kullanıcı hesabını kendisi kapattığında dolar;
+--   bekleme süresi (system_settings 'account_deletion.grace_period_days',
+--   varsayılan appConstants.ACCOUNT_DELETION) sonunda accountAnonymizationCron
+--   kişisel verileri siler. Süre dolmadan giriş yapılırsa hesap yeniden
+--   aktifleşir ve kolon NULL olur. Admin pasifleştirmesi bu kolonu doldurmaz.
+-- users.anonymized_at: Anonimleştirmenin tamamlandığı tarih. Dolu hesaplar
+--   giriş yapamaz ve yeniden aktifleştirilemez.
+-- Başvuru satırları hastane istatistikleri için korunur; yalnızca ön yazı gibi
+--   kişisel alanları temizlenir.
+-- ============================================================================
+
+IF COL_LENGTH('dbo.users', 'deletion_scheduled_at') IS NULL
+BEGIN
+  ALTER TABLE dbo.users ADD
+    deletion_scheduled_at DATETIME2 NULL,
+    anonymized_at DATETIME2 NULL;
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_users_deletion_scheduled_at' AND object_id = OBJECT_ID('dbo.users'))
+BEGIN
+  CREATE INDEX IX_users_deletion_scheduled_at
+    ON dbo.users (deletion_scheduled_at)
+    WHERE deletion_scheduled_at IS NOT NULL;
+END
+GO
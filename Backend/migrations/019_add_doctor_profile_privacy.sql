@@ -0,0 +1,55 @@
+-- ============================================================================
+-- 019 - Doktor profili görünürlük ve gizlilik ayarları
+-- ============================================================================
+-- doctor_profiles.profile_visibility: Hastanelerin doktor profilini görmesi.
+--   public       : Onaylı tüm hastaneler listede görür ve profili açabilir
+--   applied_only : Yalnızca doktorun başvurduğu hastaneler görür
+--   hidden       : Hiçbir hastane listede görmez; başvurulan hastaneler
+--                  başvuru üzerinden profili açmaya devam eder
+-- doctor_profiles.hide_phone / hide_email: Başvuru yapılmamış hastanelere
+--   telefon ve e-posta gösterilmez (başvuru olan hastaneler her zaman görür).
+-- doctor_blocked_hospitals: Doktorun engellediği hastaneler. Engellenen
+--   hastane görünürlük ayarından bağımsız olarak listede ve profil detayında
+--   doktoru göremez; başvuru varsa başvuru üzerinden erişim sürer.
+-- ============================================================================
+
+IF COL_LENGTH('dbo.doctor_profiles', 'profile_visibility') IS NULL
+BEGIN
+  ALTER TABLE dbo.doctor_profiles ADD
+    profile_visibility NVARCHAR(20) NOT NULL
+      CONSTRAINT DF_doctor_profiles_profile_visibility DEFAULT 'public',
+    hide_phone BIT NOT NULL
+      CONSTRAINT DF_doctor_profiles_hide_phone DEFAULT 0,
+    hide_email BIT NOT NULL
+      CONSTRAINT DF_doctor_profiles_hide_email DEFAULT 0;
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.check_constraints WHERE name = 'CK_doctor_profiles_profile_visibility')
+BEGIN
+  ALTER TABLE dbo.doctor_profiles ADD
+    CONSTRAINT CK_doctor_profiles_profile_visibility
+      CHECK (profile_visibility IN ('public', 'applied_only', 'hidden'));
+END
+GO
+
+IF OBJECT_ID('dbo.doctor_blocked_hospitals', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.doctor_blocked_hospitals (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    doctor_profile_id INT NOT NULL,
+    hospital_profile_id INT NOT NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_doctor_blocked_hospitals_created_at DEFAULT GETDATE(),
+    CONSTRAINT FK_doctor_blocked_hospitals_doctor_profiles FOREIGN KEY (doctor_profile_id)
+      REFERENCES dbo.doctor_profiles(id) ON DELETE CASCADE,
+    CONSTRAINT FK_doctor_blocked_hospitals_hospital_profiles FOREIGN KEY (hospital_profile_id)
+      REFERENCES dbo.hospital_profiles(id)
+  );
+
+  CREATE UNIQUE INDEX UX_doctor_blocked_hospitals_doctor_hospital
+    ON dbo.doctor_blocked_hospitals (doctor_profile_id, hospital_profile_id);
+
+  CREATE INDEX IX_doctor_blocked_hospitals_hospital_profile_id
+    ON dbo.doctor_blocked_hospitals (hospital_profile_id);
+END
+GO
@@ -0,0 +1,55 @@
+-- ============================================================================
+-- 020 - Paylaşılabilir PDF bağlantıları
+-- ============================================================================
+-- pdf_share_links: Hastanenin iş ilanı veya başvuru PDF'i için oluşturduğu
+--   süreli bağlantılar. URL, bağlantı ID'si ve bitiş zamanı üzerinden HMAC ile
+--   imzalanır (imza veritabanında tutulmaz); kayıt iptal ve erişim sayacı içindir.
+--   resource_type: 'job' (jobs.id) | 'application' (applications.id)
+-- pdf_share_link_accesses: Bağlantının her açılışı (IP, user agent, zaman).
+-- ============================================================================
+
+IF OBJECT_ID('dbo.pdf_share_links', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.pdf_share_links (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    resource_type NVARCHAR(20) NOT NULL,
+    resource_id INT NOT NULL,
+    hospital_profile_id INT NOT NULL,
+    created_by INT NOT NULL,
+    note NVARCHAR(255) NULL,
+    expires_at DATETIME2 NOT NULL,
+    revoked_at DATETIME2 NULL,
+    access_count INT NOT NULL CONSTRAINT DF_pdf_share_links_access_count DEFAULT 0,
+    last_accessed_at DATETIME2 NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_pdf_share_links_created_at DEFAULT GETDATE(),
+    CONSTRAINT CK_pdf_share_links_resource_type CHECK (resource_type IN ('job', 'application')),
+    CONSTRAINT FK_pdf_share_links_hospital_profiles FOREIGN KEY (hospital_profile_id)
+      REFERENCES dbo.hospital_profiles(id),
+    CONSTRAINT FK_pdf_share_links_users FOREIGN KEY (created_by)
+      REFERENCES dbo.users(id)
+  );
+
+  CREATE INDEX IX_pdf_share_links_resource
+    ON dbo.pdf_share_links (resource_type, resource_id);
+
+  CREATE INDEX IX_pdf_share_links_hospital_profile_id
+    ON dbo.pdf_share_links (hospital_profile_id);
+END
+GO
+
+IF OBJECT_ID('dbo.pdf_share_link_accesses', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.pdf_share_link_accesses (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    share_link_id INT NOT NULL,
+    ip_address NVARCHAR(45) NULL,
+    user_agent NVARCHAR(500) NULL,
+    accessed_at DATETIME2 NOT NULL CONSTRAINT DF_pdf_share_link_accesses_accessed_at DEFAULT GETDATE(),
+    CONSTRAINT FK_pdf_share_link_accesses_pdf_share_links FOREIGN KEY (share_link_id)
+      REFERENCES dbo.pdf_share_links(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IX_pdf_share_link_accesses_share_link_id
+    ON dbo.pdf_share_link_accesses (share_link_id, accessed_at);
+END
+GO
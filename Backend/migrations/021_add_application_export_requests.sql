@@ -0,0 +1,53 @@
+-- ============================================================================
+-- 021 - Toplu başvuru paketi dışa aktarma talepleri
+-- ============================================================================
+-- application_export_requests: Hastanenin bir ilana gelen başvuruları tek ZIP
+--   (başvuru başına PDF + ozet.csv) olarak indirme talepleri.
+--   filters_json: hospitalService.getApplications ile aynı filtreler (örn. {"status":2})
+--   pending    : Talep alındı, applicationExportCron tarafından işlenmeyi bekliyor
+--   processing : ZIP hazırlanıyor (sunucu kapanırsa STALE süresi sonunda tekrar sıraya alınır)
+--   ready      : ZIP diskte hazır; hastane ekibi expires_at'e kadar indirebilir
+--   failed     : Hazırlama başarısız (error_message)
+--   expired    : İndirme süresi doldu, dosya diskten silindi
+-- file_path, Backend/storage/application-exports altındaki dosya adıdır
+-- (statik olarak servis edilmez).
+-- ============================================================================
+
+IF OBJECT_ID('dbo.application_export_requests', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.application_export_requests (
+    id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+    hospital_profile_id INT NOT NULL,
+    job_id INT NOT NULL,
+    requested_by INT NOT NULL,
+    filters_json NVARCHAR(500) NULL,
+    status NVARCHAR(20) NOT NULL CONSTRAINT DF_application_export_requests_status DEFAULT 'pending',
+    application_count INT NULL,
+    file_path NVARCHAR(255) NULL,
+    file_size BIGINT NULL,
+    expires_at DATETIME2 NULL,
+    download_count INT NOT NULL CONSTRAINT DF_application_export_requests_download_count DEFAULT 0,
+    last_downloaded_at DATETIME2 NULL,
+    error_message NVARCHAR(500) NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_application_export_requests_created_at DEFAULT GETDATE(),
+    started_at DATETIME2 NULL,
+    completed_at DATETIME2 NULL,
+    CONSTRAINT FK_application_export_requests_hospital FOREIGN KEY (hospital_profile_id)
+      REFERENCES dbo.hospital_profiles(id),
+    CONSTRAINT FK_application_export_requests_job FOREIGN KEY (job_id)
+      REFERENCES dbo.jobs(id),
+    CONSTRAINT FK_application_export_requests_user FOREIGN KEY (requested_by)
+      REFERENCES dbo.users(id),
+    CONSTRAINT CK_application_export_requests_status CHECK (status IN ('pending', 'processing', 'ready', 'failed', 'expired'))
+  );
+
+  CREATE INDEX IX_application_export_requests_job
+    ON dbo.application_export_requests (job_id, created_at);
+
+  CREATE INDEX IX_application_export_requests_status
+    ON dbo.application_export_requests (status, expires_at);
+
+  CREATE INDEX IX_application_export_requests_hospital
+    ON dbo.application_export_requests (hospital_profile_id, status);
+END
+GO
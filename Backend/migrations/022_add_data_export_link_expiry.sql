@@ -0,0 +1,24 @@
+-- ============================================================================
+-- 022 - Veri dışa aktarma indirme bağlantısı süresi
+-- ============================================================================
+-- data_export_requests.token_expires_at: İndirme token'ı artık bildirimle
+--   gönderilmez (bildirim verisi notifications.data_json'da saklanır ve push ile
+--   iletilir). Oturum açmış doktor indirme bağlantısını istediği anda yeni bir
+--   token üretilir; token yalnızca SHA-256 özeti olarak tutulur ve
+--   DATA_EXPORT.DOWNLOAD_LINK_MINUTES sonunda geçersiz olur. Dosyanın kendisi
+--   expires_at'e kadar saklanmaya devam eder.
+-- ============================================================================
+
+IF COL_LENGTH('dbo.data_export_requests', 'token_expires_at') IS NULL
+BEGIN
+  ALTER TABLE dbo.data_export_requests ADD
+    token_expires_at DATETIME2 NULL;
+END
+GO
+
+-- Bildirimle gönderilmiş eski token'lar geçersiz kılınır
+UPDATE dbo.data_export_requests
+SET token_hash = NULL
+WHERE token_hash IS NOT NULL
+  AND token_expires_at IS NULL;
+GO
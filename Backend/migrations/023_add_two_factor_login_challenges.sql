@@ -0,0 +1,33 @@
+-- ============================================================================
+-- 023 - İki adımlı doğrulama giriş challenge kayıtları
+-- ============================================================================
+-- two_factor_login_challenges: Şifre adımından sonra verilen challenge token'ının
+--   sunucu tarafı kaydı. Token imzalı payload'ında jti taşır; kayıt jti ile
+--   bulunur (twoFactorService).
+--   attempts: Bu challenge ile yapılan başarısız kod denemeleri; sınıra
+--     ulaşınca challenge geçersiz olur ve şifre adımı tekrarlanmalıdır.
+--   consumed_at: Giriş tamamlandığında doldurulur; aynı token ikinci kez
+--     kullanılamaz.
+--   Süresi dolan kayıtlar aynı kullanıcı için yeni challenge oluşturulurken
+--   silinir.
+-- ============================================================================
+
+IF OBJECT_ID('dbo.two_factor_login_challenges', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.two_factor_login_challenges (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    jti NVARCHAR(64) NOT NULL,
+    user_id INT NOT NULL,
+    attempts INT NOT NULL CONSTRAINT DF_two_factor_login_challenges_attempts DEFAULT 0,
+    expires_at DATETIME2 NOT NULL,
+    consumed_at DATETIME2 NULL,
+    created_at DATETIME2 NOT NULL CONSTRAINT DF_two_factor_login_challenges_created_at DEFAULT GETDATE(),
+    CONSTRAINT UQ_two_factor_login_challenges_jti UNIQUE (jti),
+    CONSTRAINT FK_two_factor_login_challenges_users FOREIGN KEY (user_id)
+      REFERENCES dbo.users(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IX_two_factor_login_challenges_user_id
+    ON dbo.two_factor_login_challenges (user_id, expires_at);
+END
+GO
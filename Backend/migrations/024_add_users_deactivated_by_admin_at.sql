@@ -0,0 +1,17 @@
+-- ============================================================================
+-- 024 - Admin pasifleştirmesi işareti
+-- ============================================================================
+-- users.deactivated_by_admin_at: Hesap admin tarafından pasifleştirildiğinde
+--   (adminService.updateUserStatus / deactivateUser) dolar, admin tekrar
+--   aktifleştirdiğinde NULL olur. Kullanıcının kendi kapattığı ve silme bekleme
+--   süresindeki (deletion_scheduled_at) bir hesap admin tarafından
+--   pasifleştirilirse silme planı korunur, ancak hesap girişle geri açılamaz
+--   (accountDeletionService.isDeletionPending).
+-- ============================================================================
+
+IF COL_LENGTH('dbo.users', 'deactivated_by_admin_at') IS NULL
+BEGIN
+  ALTER TABLE dbo.users ADD
+    deactivated_by_admin_at DATETIME2 NULL;
+END
+GO
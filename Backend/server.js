@@ -57,10 +57,44 @@ const {
   stopJobExpirationCron
 } = require('./src/utils/jobExpirationCron');
 
+const {
+  startSavedSearchAlertCron,
+  stopSavedSearchAlertCron
+} = require('./src/utils/savedSearchAlertCron');
+
+const {
+  startInterviewReminderCron,
+  stopInterviewReminderCron
+} = require('./src/utils/interviewReminderCron');
+
+const {
+  startEmailQueueCron,
+  stopEmailQueueCron
+} = require('./src/utils/emailQueueCron');
+
+const {
+  startDeferredPushCron,
+  stopDeferredPushCron
+} = require('./src/utils/deferredPushCron');
+const {
+  startDataExportCron,
+  stopDataExportCron
+} = require('./src/utils/dataExportCron');
+const {
+  startApplicationExportCron,
+  stopApplicationExportCron
+} = require('./src/utils/applicationExportCron');
+const {
+  startAccountAnonymizationScheduler,
+  stopAccountAnonymizationScheduler
+} = require('./src/utils/accountAnonymizationCron');
+
 const {
   startLogCleanupCron
 } = require('./src/utils/logCleanupCron');
 
+const pdfService = require('./src/services/pdfService');
+
 // ============================
 // 🚀 EXPRESS APP
 // ============================
@@ -85,9 +119,30 @@ const startServer = async () => {
     // Scheduler – Token temizleme
     startTokenCleanupScheduler();
 
-    // Scheduler – 30 günlük ilan süresi kontrolü
+    // Scheduler – İlan yayın süresi kontrolü ve süre dolmadan önce uyarı (her saat)
     startJobExpirationCron();
 
+    // Scheduler – Kayıtlı aramalara uyan yeni ilan bildirimleri (her 15 dakika)
+    startSavedSearchAlertCron();
+
+    // Scheduler – Mülakat hatırlatmaları (24 saat ve 1 saat kala, her 10 dakika)
+    startInterviewReminderCron();
+
+    // Scheduler – Bildirim e-postası kuyruğu (her dakika)
+    startEmailQueueCron();
+
+    // Scheduler – Sessiz saatlerde ertelenen push bildirimleri (her 5 dakika)
+    startDeferredPushCron();
+
+    // Scheduler – Kişisel veri dışa aktarma talepleri ve süresi dolan dosyalar (her dakika)
+    startDataExportCron();
+
+    // Scheduler – Toplu başvuru paketi talepleri ve süresi dolan dosyalar (her dakika)
+    startApplicationExportCron();
+
+    // Scheduler – Bekleme süresi dolan kapatılmış hesapların anonimleştirilmesi (her saat)
+    startAccountAnonymizationScheduler();
+
     // Scheduler – Eski logları otomatik temizleme (her gün 02:00)
     startLogCleanupCron();
 
@@ -130,6 +185,18 @@ const shutdown = (signal) => {
 
   stopTokenCleanupScheduler();
   stopJobExpirationCron();
+  stopSavedSearchAlertCron();
+  stopInterviewReminderCron();
+  stopEmailQueueCron();
+  stopDeferredPushCron();
+  stopDataExportCron();
+  stopApplicationExportCron();
+  stopAccountAnonymizationScheduler();
+
+  // Puppeteer tarayıcısını kapat, PDF kuyruğunda bekleyenleri serbest bırak
+  pdfService.closeBrowser().catch((error) => {
+    logger.warn('PDF browser close failed', { error: error.message });
+  });
 
   if (server) {
     server.close(() => {
@@ -28,8 +28,228 @@ const USER_ROLES = {
   DOCTOR: 'doctor',
   HOSPITAL: 'hospital'
 };
+
+/**
+ * İlan yayın süresi (system_settings kaydı yoksa kullanılan varsayılanlar)
+ */
+const JOB_LIFETIME = {
+  DEFAULT_DAYS: 30,
+  MIN_DAYS: 7,
+  MAX_DAYS: 90,
+  EXPIRY_WARNING_DAYS: 3
+};
+
+/**
+ * Kayıt ayarları (system_settings kaydı yoksa kullanılan varsayılanlar)
+ */
+const REGISTRATION = {
+  REQUIRE_EMAIL_VERIFICATION_FOR_APPROVAL: false
+};
+
+/**
+ * Hesap kilitleme (accountLockoutService.js için)
+ * MAX_FAILED_ATTEMPTS ardışık başarısız denemede hesap kilitlenir; her yeni kilitte
+ * bir sonraki süre uygulanır (son süre tekrar eder). Başarılı giriş sayaçları sıfırlar.
+ * Son başarısız denemenin üzerinden ATTEMPT_WINDOW_MINUTES geçtiyse sayaç yeniden başlar.
+ */
+const ACCOUNT_LOCKOUT = {
+  MAX_FAILED_ATTEMPTS: 5,
+  ATTEMPT_WINDOW_MINUTES: 30,
+  LOCK_DURATIONS_MINUTES: [15, 60, 240, 1440]
+};
+
+/**
+ * Admin izinleri (roleGuard.requirePermission için)
+ */
+const ADMIN_PERMISSIONS = {
+  USERS_MANAGE: 'users.manage',
+  USERS_IMPERSONATE: 'users.impersonate',
+  JOBS_MODERATE: 'jobs.moderate',
+  APPLICATIONS_MANAGE: 'applications.manage',
+  PHOTOS_REVIEW: 'photos.review',
+  CONGRESS_MANAGE: 'congress.manage',
+  NOTIFICATIONS_BROADCAST: 'notifications.broadcast',
+  CONTACT_MANAGE: 'contact.manage',
+  LOGS_READ: 'logs.read',
+  SETTINGS_MANAGE: 'settings.manage',
+  ADMINS_MANAGE: 'admins.manage'
+};
+
+/**
+ * Admin alt rolleri ve sahip oldukları izinler
+ * users.admin_role NULL ise DEFAULT_ADMIN_SUB_ROLE uygulanır (mevcut admin hesapları tam yetkili kalır)
+ */
+const ADMIN_SUB_ROLES = {
+  super_admin: {
+    label: 'Süper Admin',
+    permissions: Object.values(ADMIN_PERMISSIONS)
+  },
+  content_moderator: {
+    label: 'İçerik Moderatörü',
+    permissions: [ADMIN_PERMISSIONS.JOBS_MODERATE, ADMIN_PERMISSIONS.PHOTOS_REVIEW, ADMIN_PERMISSIONS.CONGRESS_MANAGE]
+  },
+  user_manager: {
+    label: 'Kullanıcı Yöneticisi',
+    permissions: [
+      ADMIN_PERMISSIONS.USERS_MANAGE,
+      ADMIN_PERMISSIONS.USERS_IMPERSONATE,
+      ADMIN_PERMISSIONS.APPLICATIONS_MANAGE,
+      ADMIN_PERMISSIONS.NOTIFICATIONS_BROADCAST,
+      ADMIN_PERMISSIONS.CONTACT_MANAGE
+    ]
+  },
+  security_auditor: {
+    label: 'Güvenlik Denetçisi',
+    permissions: [ADMIN_PERMISSIONS.LOGS_READ]
+  }
+};
+
+const DEFAULT_ADMIN_SUB_ROLE = 'super_admin';
+
+/**
+ * Hastane ekip üyesi rolleri (hospital_members.role)
+ * Yetki sırası: viewer < recruiter < owner (roleGuard.requireHospitalRole)
+ */
+const HOSPITAL_MEMBER_ROLES = {
+  OWNER: 'owner',
+  RECRUITER: 'recruiter',
+  VIEWER: 'viewer'
+};
+
+const HOSPITAL_MEMBER_ROLE_LABELS = {
+  owner: 'Hesap Sahibi',
+  recruiter: 'İşe Alım Sorumlusu',
+  viewer: 'Görüntüleyici'
+};
+
+/**
+ * Hastane ekip davetleri (hospitalMemberService.js için)
+ */
+const HOSPITAL_INVITATION = {
+  EXPIRY_DAYS: 7,
+  MAX_MEMBERS: 20
+};
+
+/**
+ * Kullanıcı olarak görüntüleme (impersonationService.js için)
+ * Token yenilenemez; süre dolunca admin yeniden başlatmalıdır
+ */
+const IMPERSONATION = {
+  TOKEN_EXPIRES_IN: '30m',
+  TOKEN_EXPIRES_MINUTES: 30
+};
+
+/**
+ * Kişisel veri dışa aktarma (dataExportService.js için)
+ * Hazırlanan ZIP, DOWNLOAD_EXPIRY_HOURS sonunda diskten silinir; token'lı indirme bağlantısı
+ * (mobil) oturum açmış kullanıcı istediğinde üretilir ve DOWNLOAD_LINK_MINUTES geçerlidir
+ */
+const DATA_EXPORT = {
+  DOWNLOAD_EXPIRY_HOURS: 48,
+  DOWNLOAD_LINK_MINUTES: 10,
+  REQUEST_COOLDOWN_HOURS: 24,
+  STALE_PROCESSING_MINUTES: 30
+};
+
+/**
+ * Toplu başvuru paketi dışa aktarma (applicationExportService.js için)
+ * Paket bellekte hazırlandığı için başvuru sayısı sınırlıdır; fazlası için durum filtresi kullanılmalı
+ */
+const APPLICATION_EXPORT = {
+  MAX_APPLICATIONS: 100,
+  MAX_ACTIVE_PER_HOSPITAL: 3,
+  DOWNLOAD_EXPIRY_HOURS: 48,
+  STALE_PROCESSING_MINUTES: 30
+};
+
+/**
+ * Hesap kapatma sonrası anonimleştirme (accountDeletionService.js için)
+ * Bekleme süresi system_settings 'account_deletion.grace_period_days' ile değiştirilebilir
+ */
+const ACCOUNT_DELETION = {
+  GRACE_PERIOD_DAYS: 30,
+  MIN_GRACE_PERIOD_DAYS: 7,
+  MAX_GRACE_PERIOD_DAYS: 365,
+  BATCH_SIZE: 20
+};
+
+/**
+ * Doktor CV PDF seçenekleri (pdfService.generateDoctorCvPDF için)
+ */
+const DOCTOR_CV = {
+  TEMPLATES: ['classic', 'compact'],
+  LANGUAGES: ['tr', 'en'],
+  DEFAULT_TEMPLATE: 'classic',
+  DEFAULT_LANGUAGE: 'tr'
+};
+
+/**
+ * Puppeteer PDF üretimi (pdfService.js için)
+ * POOL_SIZE kadar sayfa aynı anda render eder; fazlası kuyrukta bekler.
+ * Önbellek yalnızca kaynağı updated_at ile sürümlenen PDF'ler içindir (iş ilanı).
+ */
+const PDF_RENDER = {
+  POOL_SIZE: 3,
+  QUEUE_LIMIT: 50,
+  QUEUE_TIMEOUT_MS: 60 * 1000,
+  JOB_TIMEOUT_MS: 45 * 1000,
+  CACHE_MAX_ENTRIES: 100,
+  CACHE_TTL_MS: 6 * 60 * 60 * 1000
+};
+
+/**
+ * Paylaşılabilir PDF bağlantıları (pdfShareService.js için)
+ * Bağlantı URL'si bağlantı ID'si ve bitiş zamanı üzerinden HMAC ile imzalanır.
+ */
+const PDF_SHARE = {
+  RESOURCE_TYPES: ['job', 'application'],
+  DEFAULT_EXPIRY_HOURS: 72,
+  MIN_EXPIRY_HOURS: 1,
+  MAX_EXPIRY_HOURS: 14 * 24,
+  MAX_ACTIVE_LINKS_PER_RESOURCE: 10
+};
+
+/**
+ * İlan arama indeksi (jobSearchService.js için)
+ * Skor = eşleşen alan ağırlıklarının toplamı; önek (yazılmakta olan kelime) eşleşmesi yarım puan alır.
+ * İndeks REFRESH_INTERVAL_SECONDS'da bir değişen ilanlarla, FULL_REBUILD_MINUTES'da bir baştan kurulur.
+ */
+const JOB_SEARCH = {
+  FIELD_WEIGHTS: {
+    title: 10,
+    specialty: 6,
+    subspecialty: 6,
+    hospital: 4,
+    city: 4,
+    description: 1
+  },
+  PREFIX_MATCH_FACTOR: 0.5,
+  MIN_PREFIX_LENGTH: 3,
+  MAX_QUERY_TERMS: 8,
+  MAX_RESULTS: 5000,
+  REFRESH_INTERVAL_SECONDS: 30,
+  FULL_REBUILD_MINUTES: 60
+};
+
 module.exports = {
   PAGINATION,
   VALIDATION,
-  USER_ROLES
+  USER_ROLES,
+  JOB_LIFETIME,
+  REGISTRATION,
+  ACCOUNT_LOCKOUT,
+  ADMIN_PERMISSIONS,
+  ADMIN_SUB_ROLES,
+  DEFAULT_ADMIN_SUB_ROLE,
+  HOSPITAL_MEMBER_ROLES,
+  HOSPITAL_MEMBER_ROLE_LABELS,
+  HOSPITAL_INVITATION,
+  IMPERSONATION,
+  DATA_EXPORT,
+  APPLICATION_EXPORT,
+  ACCOUNT_DELETION,
+  DOCTOR_CV,
+  PDF_RENDER,
+  PDF_SHARE,
+  JOB_SEARCH
 };
\ No newline at end of file
@@ -24,11 +24,16 @@
 // ============================================================================
 
 const adminService = require('../services/adminService');
+const systemSettingsService = require('../services/systemSettingsService');
+const accountLockoutService = require('../services/accountLockoutService');
+const impersonationService = require('../services/impersonationService');
 const notificationService = require('../services/notificationService');
+const applicationMessageService = require('../services/applicationMessageService');
 const LogService = require('../services/logService');
 const { AppError, catchAsync } = require('../utils/errorHandler');
 const { sendSuccess, sendPaginated } = require('../utils/response');
 const logger = require('../utils/logger');
+const { ADMIN_SUB_ROLES, DEFAULT_ADMIN_SUB_ROLE } = require('../config/appConstants');
 
 
 // ============================================================================
@@ -188,6 +193,123 @@ const activateUser = catchAsync(async (req, res) => {
   return sendSuccess(res, 'Kullanıcı aktifleştirildi');
 });
 
+/**
+ * Başarısız giriş denemeleri nedeniyle kilitlenen hesabın kilidini kaldırır
+ * Deneme sayacı ve kademeli kilit seviyesi sıfırlanır
+ * 
+ * @route PATCH /api/admin/users/:id/unlock
+ * @access Private (Admin)
+ * @param {number} req.params.id - Kilidi kaldırılacak kullanıcı ID'si
+ * @returns {Object} Başarı mesajı
+ */
+const unlockUser = catchAsync(async (req, res) => {
+  const result = await accountLockoutService.unlockAccount(req.params.id, {
+    id: req.user.id,
+    email: req.user.email,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  if (!result) throw new AppError('Kullanıcı bulunamadı', 404);
+
+  logger.info(`User unlocked: ${req.params.id} by ${req.user.email}`);
+
+  // Audit log kaydet
+  const userInfo = await LogService.getUserInfoForAudit(req.user.id, req.user.role).catch(() => ({ name: 'Admin', email: req.user.email }));
+  await LogService.createAuditLog({
+    actorId: req.user.id,
+    actorRole: req.user.role,
+    actorName: userInfo.name || 'Admin',
+    actorEmail: userInfo.email,
+    action: 'user.unlock',
+    resourceType: 'user',
+    resourceId: parseInt(req.params.id),
+    newValues: { failed_login_attempts: 0, locked_until: null },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  }).catch(err => logger.error('Audit log kayıt hatası', { error: err.message }));
+
+  return sendSuccess(res, 'Hesap kilidi kaldırıldı');
+});
+
+/**
+ * Kullanıcı olarak görüntülemeyi başlatır
+ * Doktor veya hastane kullanıcısı adına 30 dakikalık, yenilenemeyen access token döner.
+ * Token varsayılan olarak salt okumadır; görüntüleme sırasındaki her istek audit log'a yazılır.
+ * 
+ * @route POST /api/admin/users/:id/impersonate
+ * @access Private (Admin - users.manage + users.impersonate)
+ * @param {number} req.params.id - Görüntülenecek kullanıcı ID'si
+ * @param {string} req.body.reason - Görüntüleme gerekçesi (destek talebi vb.)
+ * @param {boolean} [req.body.allow_write=false] - Yazma işlemlerine izin ver
+ * @returns {Object} { accessToken, expires_at, read_only, user }
+ */
+const impersonateUser = catchAsync(async (req, res) => {
+  const result = await impersonationService.startImpersonation(
+    { id: req.user.id, email: req.user.email, ipAddress: req.ip, userAgent: req.get('user-agent') },
+    parseInt(req.params.id),
+    req.body
+  );
+
+  logger.info(`Impersonation started: user ${req.params.id} by ${req.user.email} (read_only: ${result.read_only})`);
+
+  return sendSuccess(res, 'Kullanıcı olarak görüntüleme başlatıldı', result);
+});
+
+/**
+ * Admin kullanıcılarını ve tanımlı alt rolleri listeler
+ * 
+ * @route GET /api/admin/admins
+ * @access Private (Admin - admins.manage)
+ * @returns {Object} { admins, roles: [{ key, label, permissions }], default_role }
+ */
+const getAdmins = catchAsync(async (req, res) => {
+  const admins = await adminService.getAdmins();
+  const roles = Object.entries(ADMIN_SUB_ROLES).map(([key, { label, permissions }]) => ({ key, label, permissions }));
+  return sendSuccess(res, 'Admin kullanıcıları getirildi', { admins, roles, default_role: DEFAULT_ADMIN_SUB_ROLE });
+});
+
+/**
+ * Admin kullanıcının alt rolünü günceller
+ * Admin kendi alt rolünü değiştiremez (son süper adminin yetkisini kaybetmesini önler)
+ * 
+ * @route PATCH /api/admin/admins/:id/role
+ * @access Private (Admin - admins.manage)
+ * @param {number} req.params.id - Admin kullanıcı ID'si
+ * @param {string} req.body.admin_role - Yeni alt rol
+ * @returns {Object} Başarı mesajı
+ */
+const updateAdminRole = catchAsync(async (req, res) => {
+  const userId = parseInt(req.params.id);
+  const { admin_role } = req.body;
+
+  if (userId === req.user.id) {
+    throw new AppError('Kendi admin rolünüzü değiştiremezsiniz', 400);
+  }
+
+  const result = await adminService.updateAdminRole(userId, admin_role);
+  if (!result) throw new AppError('Kullanıcı bulunamadı', 404);
+
+  logger.info(`Admin role updated: ${userId} - ${result.oldRole} -> ${result.newRole} by ${req.user.email}`);
+
+  // Audit log kaydet
+  const userInfo = await LogService.getUserInfoForAudit(req.user.id, req.user.role).catch(() => ({ name: 'Admin', email: req.user.email }));
+  await LogService.createAuditLog({
+    actorId: req.user.id,
+    actorRole: req.user.role,
+    actorName: userInfo.name || 'Admin',
+    actorEmail: userInfo.email,
+    action: 'user.admin_role_update',
+    resourceType: 'user',
+    resourceId: userId,
+    oldValues: { admin_role: result.oldRole },
+    newValues: { admin_role: result.newRole },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  }).catch(err => logger.error('Audit log kayıt hatası', { error: err.message }));
+
+  return sendSuccess(res, 'Admin rolü güncellendi', { admin_role: result.newRole });
+});
+
 
 // ============================================================================
 // İŞ İLANLARI YÖNETİMİ
@@ -438,6 +560,19 @@ const getApplicationById = catchAsync(async (req, res) => {
   return sendSuccess(res, 'Başvuru detayları getirildi', { application });
 });
 
+/**
+ * Başvuru yazışmasını getirir (moderasyon)
+ * 
+ * @route GET /api/admin/applications/:id/messages
+ * @access Private (Admin)
+ * @param {number} req.params.id - Başvuru ID'si
+ * @returns {Object} Yazışma bilgisi ve mesajlar (okundu bilgisi değiştirilmez)
+ */
+const getApplicationMessages = catchAsync(async (req, res) => {
+  const data = await applicationMessageService.getThreadForAdmin(req.params.id);
+  return sendSuccess(res, 'Başvuru mesajları getirildi', data);
+});
+
 /**
  * Başvuru durumunu günceller
  * 
@@ -452,7 +587,7 @@ const updateApplicationStatus = catchAsync(async (req, res) => {
   const { id } = req.params;
   const { status_id, reason } = req.body;
   
-  const result = await adminService.updateApplicationStatus(id, status_id, reason);
+  const result = await adminService.updateApplicationStatus(id, status_id, reason, req.user.id);
   logger.info(`Application ${id} status updated to ${status_id} by ${req.user.email}`);
   
   // Audit log kaydet
@@ -652,6 +787,119 @@ const reviewPhotoRequest = catchAsync(async (req, res) => {
   return sendSuccess(res, message, { request: result });
 });
 
+// ============================================================================
+// SİSTEM AYARLARI
+// ============================================================================
+
+/**
+ * İlan yayın süresi ayarlarını getir
+ * @description Hastanelerin seçebileceği yayın süresi sınırlarını ve varsayılan süreyi döner
+ * @route GET /api/admin/settings/job-lifetime
+ * @access Private (Admin)
+ */
+const getJobLifetimeSettings = catchAsync(async (req, res) => {
+  const settings = await systemSettingsService.getJobLifetimeSettings();
+  return sendSuccess(res, 'İlan yayın süresi ayarları getirildi', { settings });
+});
+
+/**
+ * İlan yayın süresi ayarlarını güncelle
+ * @description Yeni sınırlar sadece bundan sonra oluşturulan / yenilenen ilanlara uygulanır
+ * @route PUT /api/admin/settings/job-lifetime
+ * @access Private (Admin)
+ */
+const updateJobLifetimeSettings = catchAsync(async (req, res) => {
+  const settings = await systemSettingsService.updateJobLifetimeSettings(req.body, req.user.id);
+
+  // Audit log kaydet
+  const userInfo = await LogService.getUserInfoForAudit(req.user.id, req.user.role).catch(() => ({ name: 'Admin', email: req.user.email }));
+  await LogService.createAuditLog({
+    actorId: req.user.id,
+    actorRole: req.user.role,
+    actorName: userInfo.name || 'Admin',
+    actorEmail: userInfo.email,
+    action: 'settings.job_lifetime.update',
+    resourceType: 'system_settings',
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    metadata: settings
+  }).catch(err => logger.error('Audit log kayıt hatası', { error: err.message }));
+
+  return sendSuccess(res, 'İlan yayın süresi ayarları güncellendi', { settings });
+});
+
+/**
+ * Kayıt ayarlarını getir
+ * @route GET /api/admin/settings/registration
+ * @access Private (Admin)
+ */
+const getRegistrationSettings = catchAsync(async (req, res) => {
+  const settings = await systemSettingsService.getRegistrationSettings();
+  return sendSuccess(res, 'Kayıt ayarları getirildi', { settings });
+});
+
+/**
+ * Kayıt ayarlarını güncelle
+ * @description require_email_verification açıkken e-posta adresi doğrulanmamış hesaplar onaylanamaz
+ * @route PUT /api/admin/settings/registration
+ * @access Private (Admin)
+ */
+const updateRegistrationSettings = catchAsync(async (req, res) => {
+  const settings = await systemSettingsService.updateRegistrationSettings(req.body, req.user.id);
+
+  // Audit log kaydet
+  const userInfo = await LogService.getUserInfoForAudit(req.user.id, req.user.role).catch(() => ({ name: 'Admin', email: req.user.email }));
+  await LogService.createAuditLog({
+    actorId: req.user.id,
+    actorRole: req.user.role,
+    actorName: userInfo.name || 'Admin',
+    actorEmail: userInfo.email,
+    action: 'settings.registration.update',
+    resourceType: 'system_settings',
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    metadata: settings
+  }).catch(err => logger.error('Audit log kayıt hatası', { error: err.message }));
+
+  return sendSuccess(res, 'Kayıt ayarları güncellendi', { settings });
+});
+
+/**
+ * Hesap silme ayarlarını getir
+ * @route GET /api/admin/settings/account-deletion
+ * @access Private (Admin)
+ */
+const getAccountDeletionSettings = catchAsync(async (req, res) => {
+  const settings = await systemSettingsService.getAccountDeletionSettings();
+  return sendSuccess(res, 'Hesap silme ayarları getirildi', { settings });
+});
+
+/**
+ * Hesap silme ayarlarını güncelle
+ * @description grace_period_days, hesabını kapatan kullanıcının verileri anonimleştirilmeden önceki bekleme süresidir
+ * @route PUT /api/admin/settings/account-deletion
+ * @access Private (Admin)
+ */
+const updateAccountDeletionSettings = catchAsync(async (req, res) => {
+  const settings = await systemSettingsService.updateAccountDeletionSettings(req.body, req.user.id);
+
+  // Audit log kaydet
+  const userInfo = await LogService.getUserInfoForAudit(req.user.id, req.user.role).catch(() => ({ name: 'Admin', email: req.user.email }));
+  await LogService.createAuditLog({
+    actorId: req.user.id,
+    actorRole: req.user.role,
+    actorName: userInfo.name || 'Admin',
+    actorEmail: userInfo.email,
+    action: 'settings.account_deletion.update',
+    resourceType: 'system_settings',
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    metadata: settings
+  }).catch(err => logger.error('Audit log kayıt hatası', { error: err.message }));
+
+  return sendSuccess(res, 'Hesap silme ayarları güncellendi', { settings });
+});
+
 // ============================================================================
 // MODULE EXPORTS
 // ============================================================================
@@ -663,6 +911,10 @@ module.exports = {
   updateUserStatus,
   deactivateUser,
   activateUser,
+  unlockUser,
+  impersonateUser,
+  getAdmins,
+  updateAdminRole,
   getAllJobs,
   getJobById,
   updateJob,
@@ -674,6 +926,7 @@ module.exports = {
   getJobHistory,
   getAllApplications,
   getApplicationById,
+  getApplicationMessages,
   updateApplicationStatus,
   deleteApplication,
   getAllNotifications,
@@ -686,6 +939,14 @@ module.exports = {
   getPhotoRequests,
   reviewPhotoRequest,
   
+  // Sistem ayarları
+  getJobLifetimeSettings,
+  updateJobLifetimeSettings,
+  getRegistrationSettings,
+  updateRegistrationSettings,
+  getAccountDeletionSettings,
+  updateAccountDeletionSettings,
+  
   // Analytics functions
   getDashboard
 };
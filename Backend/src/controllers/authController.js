@@ -14,9 +14,15 @@
  * Endpoint'ler:
  * - POST /api/auth/register - Kullanıcı kaydı
  * - POST /api/auth/login - Kullanıcı girişi
+ * - POST /api/auth/login/2fa - Girişin ikinci adımı (doğrulayıcı veya kurtarma kodu)
+ * - POST /api/auth/login/2fa/setup - Girişte zorunlu iki adımlı doğrulama kurulumu (admin)
  * - POST /api/auth/refresh - Token yenileme
  * - POST /api/auth/logout - Çıkış
  * - POST /api/auth/logout-all - Tüm cihazlardan çıkış
+ * - GET /api/auth/sessions - Aktif oturumlar
+ * - DELETE /api/auth/sessions/:id - Oturum sonlandırma
+ * - GET /api/auth/2fa - İki adımlı doğrulama durumu
+ * - POST /api/auth/2fa/setup|enable|disable|recovery-codes - İki adımlı doğrulama yönetimi
  * - POST /api/auth/change-password - Şifre değiştirme
  * - GET /api/auth/me - Kullanıcı bilgileri
  * - POST /api/auth/verify-token - Token doğrulama
@@ -32,11 +38,14 @@
 const bcrypt = require('bcryptjs');
 const authService = require('../services/authService');
 const LogService = require('../services/logService');
+const twoFactorService = require('../services/twoFactorService');
+const hospitalMemberService = require('../services/hospitalMemberService');
 const { db } = require('../config/dbConfig');
-const { generateAccessToken, generateRefreshToken, createRefreshTokenRecord, revokeRefreshTokenByValue, revokeAllUserTokens } = require('../utils/jwtUtils');
+const { generateAccessToken, generateRefreshToken, createRefreshTokenRecord, findRefreshTokenRecord, revokeRefreshTokenByValue, revokeAllUserTokens } = require('../utils/jwtUtils');
 const { sendSuccess, sendCreated } = require('../utils/response');
 const { AppError, catchAsync } = require('../utils/errorHandler');
 const logger = require('../utils/logger');
+const { getAdminPermissions } = require('../middleware/roleGuard');
 // ==================== END DEPENDENCIES ====================
 
 // ==================== REGISTRATION FUNCTIONS ====================
@@ -134,12 +143,13 @@ const registerDoctor = catchAsync(async (req, res) => {
     metadata: { role: 'doctor', specialty_id }
   }).catch(err => logger.error('Security log kayıt hatası', { error: err.message }));
 
-  return sendCreated(res, 'Doktor kaydı başarılı, admin onayı bekleniyor.', {
+  return sendCreated(res, 'Doktor kaydı başarılı. E-posta adresinize doğrulama bağlantısı gönderildi, admin onayı bekleniyor.', {
     user: { 
       id: result.user.id, 
       email: result.user.email, 
       role: result.user.role, 
-      is_approved: result.user.is_approved 
+      is_approved: result.user.is_approved,
+      email_verified: !!result.user.email_verified_at
     },
     profile: {
       id: result.profile.id,
@@ -240,12 +250,13 @@ const registerHospital = catchAsync(async (req, res) => {
     metadata: { role: 'hospital', city_id }
   }).catch(err => logger.error('Security log kayıt hatası', { error: err.message }));
 
-  return sendCreated(res, 'Hastane kaydı başarılı, admin onayı bekleniyor.', {
+  return sendCreated(res, 'Hastane kaydı başarılı. E-posta adresinize doğrulama bağlantısı gönderildi, admin onayı bekleniyor.', {
     user: { 
       id: result.user.id, 
       email: result.user.email, 
       role: result.user.role, 
-      is_approved: result.user.is_approved 
+      is_approved: result.user.is_approved,
+      email_verified: !!result.user.email_verified_at
     },
     profile: {
       id: result.profile.id,
@@ -263,44 +274,24 @@ const registerHospital = catchAsync(async (req, res) => {
 // ==================== LOGIN FUNCTIONS ====================
 
 /**
- * Unified login - herhangi bir role ile giriş
- * @description Tüm kullanıcı rolleri (admin, doctor, hospital) için tek giriş endpoint'i
+ * Kimliği doğrulanmış kullanıcı için oturum açar ve token'ları döndürür
+ * @description Refresh token kaydı (oturum) oluşturulur, access token oturum ID'sini (sid) taşır.
+ * Şifre adımında veya iki adımlı doğrulamanın ikinci adımında çağrılır.
  * @param {object} req - Express request objesi
- * @param {object} req.body - Request body
- * @param {string} req.body.email - Kullanıcının e-posta adresi
- * @param {string} req.body.password - Kullanıcının şifresi
  * @param {object} res - Express response objesi
+ * @param {object} user - authService.completeLogin çıktısı
+ * @param {object} [extraData] - Response'a eklenecek ek alanlar
  * @returns {Promise<void>} HTTP response
- * @throws {AppError} Geçersiz kimlik bilgileri, hesap durumu
- * 
- * İşlem Adımları:
- * 1. Kimlik bilgilerini doğrula
- * 2. Access token oluştur
- * 3. Refresh token oluştur
- * 4. Refresh token'ı veritabanına kaydet
- * 5. Başarılı response döndür
- * 
- * @example
- * POST /api/auth/login
- * {
- *   "email": "doctor@example.com",
- *   "password": "Password123!"
- * }
  */
-const loginUnified = catchAsync(async (req, res) => {
-  const { email, password } = req.body;
-  
-  // Kimlik bilgilerini doğrula (req nesnesini geç - failed login logging için)
-  const user = await authService.loginUnified(email, password, req);
-
-  // Token'ları oluştur
-  const accessToken = generateAccessToken({ userId: user.id, role: user.role, isApproved: user.is_approved });
+const issueLoginSession = async (req, res, user, extraData = {}) => {
+  // Refresh token'ı oluştur ve veritabanına kaydet (kayıt = oturum)
   const refreshToken = generateRefreshToken({ userId: user.id });
-  
-  // Refresh token'ı veritabanına kaydet
-  await createRefreshTokenRecord(user.id, refreshToken, req.get('User-Agent'), req.ip);
+  const session = await createRefreshTokenRecord(user.id, refreshToken, req.get('User-Agent'), req.ip);
+
+  // Access token oturum ID'sini (sid) taşır; aktif oturumlar listesinde mevcut oturum işaretlenir
+  const accessToken = generateAccessToken({ userId: user.id, role: user.role, isApproved: user.is_approved, sid: session.id });
 
-  logger.info(`User logged in: ${email} (${user.role})`);
+  logger.info(`User logged in: ${user.email} (${user.role})`);
 
   // Kullanıcı bilgilerini al (audit log için)
   const userInfo = await LogService.getUserInfoForAudit(user.id, user.role).catch(() => ({ name: null, email: user.email }));
@@ -310,7 +301,7 @@ const loginUnified = catchAsync(async (req, res) => {
     actorId: user.id,
     actorRole: user.role,
     actorName: userInfo.name,
-    actorEmail: userInfo.email || email,
+    actorEmail: userInfo.email || user.email,
     action: 'user.login',
     resourceType: 'user',
     resourceId: user.id,
@@ -323,12 +314,12 @@ const loginUnified = catchAsync(async (req, res) => {
   await LogService.createSecurityLog({
     eventType: 'login_success',
     severity: 'low',
-    message: `Kullanıcı başarıyla giriş yaptı: ${email}`,
+    message: `Kullanıcı başarıyla giriş yaptı: ${user.email}`,
     userId: user.id,
-    email: email,
+    email: user.email,
     ipAddress: req.ip,
     userAgent: req.get('user-agent'),
-    metadata: { role: user.role }
+    metadata: { role: user.role, two_factor: Boolean(extraData.two_factor) }
   }).catch(err => logger.error('Security log kayıt hatası', { error: err.message }));
 
   return sendSuccess(res, 'Giriş başarılı', {
@@ -338,11 +329,106 @@ const loginUnified = catchAsync(async (req, res) => {
       role: user.role, 
       is_approved: user.is_approved,
       is_active: user.is_active,
-      profile: user.profile
+      profile: user.profile,
+      // Admin alt rolünün izinleri (admin dışı rollerde boş dizi)
+      permissions: getAdminPermissions(user),
+      // Hastane ekibindeki rol (owner | recruiter | viewer; hastane dışı rollerde null)
+      hospital_role: user.profile?.member_role ?? null
     },
-    tokens: { accessToken, refreshToken }
+    tokens: { accessToken, refreshToken },
+    ...extraData
+  });
+};
+
+/**
+ * Unified login - herhangi bir role ile giriş
+ * @description Tüm kullanıcı rolleri (admin, doctor, hospital) için tek giriş endpoint'i.
+ * İki adımlı doğrulama etkinse (admin için zorunlu) token verilmez; ikinci adım için
+ * kısa ömürlü challengeToken döner.
+ * @param {object} req - Express request objesi
+ * @param {object} req.body - Request body
+ * @param {string} req.body.email - Kullanıcının e-posta adresi
+ * @param {string} req.body.password - Kullanıcının şifresi
+ * @param {object} res - Express response objesi
+ * @returns {Promise<void>} HTTP response
+ * @throws {AppError} Geçersiz kimlik bilgileri, hesap durumu
+ * 
+ * İşlem Adımları:
+ * 1. Kimlik bilgilerini doğrula
+ * 2. İki adımlı doğrulama gerekiyorsa challengeToken döndür
+ * 3. Access token oluştur
+ * 4. Refresh token oluştur
+ * 5. Refresh token'ı veritabanına kaydet
+ * 6. Başarılı response döndür
+ * 
+ * @example
+ * POST /api/auth/login
+ * {
+ *   "email": "doctor@example.com",
+ *   "password": "Password123!"
+ * }
+ */
+const loginUnified = catchAsync(async (req, res) => {
+  const { email, password } = req.body;
+  
+  // Kimlik bilgilerini doğrula (req nesnesini geç - failed login logging için)
+  const user = await authService.loginUnified(email, password, req);
+
+  if (user.two_factor_required) {
+    return sendSuccess(res, 'İki adımlı doğrulama gerekli', {
+      two_factor_required: true,
+      enrollment_required: !user.two_factor_enabled,
+      challengeToken: await twoFactorService.createLoginChallenge(user)
+    });
+  }
+
+  return issueLoginSession(req, res, user);
+});
+
+/**
+ * Girişin ikinci adımı
+ * @description Şifre adımında verilen challengeToken ile doğrulayıcı kodu veya kurtarma kodu doğrulanır,
+ * ardından token'lar verilir. Zorunlu kurulum girişte tamamlandıysa kurtarma kodları bir kez döner.
+ * @param {object} req - Express request objesi
+ * @param {object} req.body - { challengeToken, code } veya { challengeToken, recoveryCode }
+ * @param {object} res - Express response objesi
+ * @returns {Promise<void>} HTTP response
+ * @throws {AppError} Token süresi dolmuş veya kod geçersiz (401)
+ * 
+ * @example
+ * POST /api/auth/login/2fa
+ * {
+ *   "challengeToken": "eyJ1Ijo...",
+ *   "code": "123456"
+ * }
+ */
+const loginTwoFactor = catchAsync(async (req, res) => {
+  const { user, recoveryCodes } = await authService.completeTwoFactorLogin(req.body, req);
+
+  return issueLoginSession(req, res, user, {
+    two_factor: true,
+    ...(recoveryCodes ? { recovery_codes: recoveryCodes } : {})
   });
 });
+
+/**
+ * Giriş sırasında zorunlu iki adımlı doğrulama kurulumunu başlat
+ * @description İki adımlı doğrulaması etkin olmayan admin hesapları için gizli anahtar ve
+ * otpauth:// provisioning URI (QR kodu) döndürür. Kurulum /login/2fa ile ilk kod girilerek tamamlanır.
+ * @param {object} req - Express request objesi
+ * @param {object} req.body - { challengeToken }
+ * @param {object} res - Express response objesi
+ * @returns {Promise<void>} HTTP response
+ * 
+ * @example
+ * POST /api/auth/login/2fa/setup
+ * { "challengeToken": "eyJ1Ijo..." }
+ */
+const loginTwoFactorSetup = catchAsync(async (req, res) => {
+  const setup = await authService.beginLoginTwoFactorSetup(req.body.challengeToken);
+
+  return sendSuccess(res, 'Doğrulayıcı uygulama kurulumu başlatıldı', setup);
+});
 // ==================== END LOGIN FUNCTIONS ====================
 
 // ==================== TOKEN MANAGEMENT FUNCTIONS ====================
@@ -371,8 +457,8 @@ const loginUnified = catchAsync(async (req, res) => {
 const refreshToken = catchAsync(async (req, res) => {
   const { refreshToken: token } = req.body;
   
-  // AuthService ile token yenileme işlemi
-  const result = await authService.refreshToken(token);
+  // AuthService ile token yenileme işlemi (refresh token her seferinde yenilenir)
+  const result = await authService.refreshToken(token, { ipAddress: req.ip, userAgent: req.get('user-agent') });
   
   return sendSuccess(res, 'Token yenilendi', {
     accessToken: result.accessToken,
@@ -472,6 +558,154 @@ const logoutAll = catchAsync(async (req, res) => {
 });
 // ==================== END TOKEN MANAGEMENT FUNCTIONS ====================
 
+// ==================== SESSION MANAGEMENT FUNCTIONS ====================
+
+/**
+ * Aktif oturumları listele
+ * @description Kullanıcının aktif refresh token kayıtlarını cihaz, platform, IP, oluşturulma ve son kullanım
+ * bilgileriyle döndürür. İsteği yapan oturum is_current ile işaretlenir.
+ * @param {object} req - Express request objesi (authMiddleware ile gelen user bilgisi)
+ * @param {object} res - Express response objesi
+ * @returns {Promise<void>} HTTP response
+ * 
+ * @example
+ * GET /api/auth/sessions
+ * Headers: Authorization: Bearer <access_token>
+ */
+const getSessions = catchAsync(async (req, res) => {
+  const sessions = await authService.getActiveSessions(req.user.id, req.user.sessionId);
+
+  return sendSuccess(res, 'Aktif oturumlar getirildi', { sessions });
+});
+
+/**
+ * Oturum sonlandır
+ * @description Belirtilen oturumun refresh token'ını iptal eder. Mevcut oturum sonlandırılamaz (400).
+ * @param {object} req - Express request objesi (authMiddleware ile gelen user bilgisi)
+ * @param {object} req.params - URL parametreleri
+ * @param {number} req.params.id - Oturum (refresh token kaydı) ID'si
+ * @param {object} res - Express response objesi
+ * @returns {Promise<void>} HTTP response
+ * 
+ * @example
+ * DELETE /api/auth/sessions/42
+ * Headers: Authorization: Bearer <access_token>
+ */
+const revokeSession = catchAsync(async (req, res) => {
+  await authService.revokeSession({
+    userId: req.user.id,
+    sessionId: req.params.id,
+    currentSessionId: req.user.sessionId,
+    email: req.user.email,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  logger.info(`User revoked session ${req.params.id}: ${req.user.email}`);
+
+  return sendSuccess(res, 'Oturum sonlandırıldı');
+});
+// ==================== END SESSION MANAGEMENT FUNCTIONS ====================
+
+// ==================== TWO FACTOR MANAGEMENT FUNCTIONS ====================
+
+/**
+ * İki adımlı doğrulama durumunu getir
+ * @param {object} req - Express request objesi (authMiddleware ile gelen user bilgisi)
+ * @param {object} res - Express response objesi
+ * @returns {Promise<void>} HTTP response
+ * 
+ * @example
+ * GET /api/auth/2fa
+ * Headers: Authorization: Bearer <access_token>
+ */
+const getTwoFactorStatus = catchAsync(async (req, res) => {
+  const status = await twoFactorService.getStatus(req.user.id);
+
+  return sendSuccess(res, 'İki adımlı doğrulama durumu getirildi', status);
+});
+
+/**
+ * Doğrulayıcı uygulama kurulumunu başlat
+ * @description Gizli anahtar ve otpauth:// provisioning URI (QR kodu) döndürür; ilk kod doğrulanana kadar etkin olmaz
+ * @param {object} req - Express request objesi (authMiddleware ile gelen user bilgisi)
+ * @param {object} res - Express response objesi
+ * @returns {Promise<void>} HTTP response
+ * 
+ * @example
+ * POST /api/auth/2fa/setup
+ * Headers: Authorization: Bearer <access_token>
+ */
+const setupTwoFactor = catchAsync(async (req, res) => {
+  const setup = await twoFactorService.beginSetup(req.user.id);
+
+  return sendSuccess(res, 'Doğrulayıcı uygulama kurulumu başlatıldı', setup);
+});
+
+/**
+ * İki adımlı doğrulamayı etkinleştir
+ * @description Kurulumdaki ilk kodu doğrular; kurtarma kodları yalnızca bu yanıtta döner
+ * @param {object} req - Express request objesi
+ * @param {object} req.body - { code }
+ * @param {object} res - Express response objesi
+ * @returns {Promise<void>} HTTP response
+ * 
+ * @example
+ * POST /api/auth/2fa/enable
+ * { "code": "123456" }
+ */
+const enableTwoFactor = catchAsync(async (req, res) => {
+  const result = await twoFactorService.enable(req.user.id, req.body.code, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  return sendSuccess(res, 'İki adımlı doğrulama etkinleştirildi', result);
+});
+
+/**
+ * İki adımlı doğrulamayı kapat
+ * @description Mevcut şifre ve güncel kod gerekir; admin hesaplarında kapatılamaz (403)
+ * @param {object} req - Express request objesi
+ * @param {object} req.body - { password, code }
+ * @param {object} res - Express response objesi
+ * @returns {Promise<void>} HTTP response
+ * 
+ * @example
+ * POST /api/auth/2fa/disable
+ * { "password": "Password123!", "code": "123456" }
+ */
+const disableTwoFactor = catchAsync(async (req, res) => {
+  await twoFactorService.disable(req.user.id, req.body, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  return sendSuccess(res, 'İki adımlı doğrulama kapatıldı');
+});
+
+/**
+ * Kurtarma kodlarını yenile
+ * @description Eski kodlar geçersiz olur; yeni kodlar yalnızca bu yanıtta döner
+ * @param {object} req - Express request objesi
+ * @param {object} req.body - { code }
+ * @param {object} res - Express response objesi
+ * @returns {Promise<void>} HTTP response
+ * 
+ * @example
+ * POST /api/auth/2fa/recovery-codes
+ * { "code": "123456" }
+ */
+const regenerateRecoveryCodes = catchAsync(async (req, res) => {
+  const result = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  return sendSuccess(res, 'Kurtarma kodları yenilendi', result);
+});
+// ==================== END TWO FACTOR MANAGEMENT FUNCTIONS ====================
+
 
 // ==================== PASSWORD MANAGEMENT FUNCTIONS ====================
 
@@ -515,6 +749,9 @@ const changePassword = catchAsync(async (req, res) => {
   const isValid = await bcrypt.compare(currentPassword, user.password_hash);
   if (!isValid) throw new AppError('Mevcut şifre yanlış', 400);
 
+  // Mevcut oturumu bul (jti ile); diğer oturumlar sonlandırılırken korunur
+  const currentToken = refreshToken ? await findRefreshTokenRecord(refreshToken) : null;
+
   // Transaction ile şifre güncelleme ve oturum sonlandırma
   await db.transaction(async (trx) => {
     // Yeni şifreyi hash'le ve güncelle
@@ -524,40 +761,16 @@ const changePassword = catchAsync(async (req, res) => {
       updated_at: trx.fn.now()
     });
 
-    // GÜVENLİK: Diğer tüm oturumları sonlandır (mevcut oturum hariç)
-    if (refreshToken) {
-      // Token hash'ini bul ve onu hariç tut
-      const allTokens = await trx('refresh_tokens').where('user_id', user.id).select('id', 'token_hash');
-      
-      // Mevcut token'ı bul (bcrypt compare ile)
-      let currentTokenId = null;
-      for (const tokenRecord of allTokens) {
-        try {
-          const isMatch = await bcrypt.compare(refreshToken, tokenRecord.token_hash);
-          if (isMatch) {
-            currentTokenId = tokenRecord.id;
-            break;
-          }
-        } catch (e) {
-          // Hash compare hatası, devam et
-        }
-      }
+    // GÜVENLİK: Diğer tüm oturumları sonlandır (mevcut oturumun token ailesi hariç)
+    if (currentToken) {
+      const deletedCount = await trx('refresh_tokens')
+        .where('user_id', user.id)
+        .where((builder) => builder.whereNot('family_id', currentToken.family_id).orWhereNull('family_id'))
+        .del();
       
-      if (currentTokenId) {
-        // Mevcut oturum hariç diğerlerini sil
-        const deletedCount = await trx('refresh_tokens')
-          .where('user_id', user.id)
-          .whereNot('id', currentTokenId)
-          .del();
-        
-        logger.info(`Password changed, ${deletedCount} other sessions terminated for user: ${user.email}`);
-      } else {
-        // Token bulunamadı, tüm oturumları sil (güvenlik için)
-        const deletedCount = await trx('refresh_tokens').where('user_id', user.id).del();
-        logger.info(`Password changed, all ${deletedCount} sessions terminated for user: ${user.email}`);
-      }
+      logger.info(`Password changed, ${deletedCount} other sessions terminated for user: ${user.email}`);
     } else {
-      // Token gönderilmedi, tüm oturumları sil
+      // Token gönderilmedi veya bulunamadı, tüm oturumları sil (güvenlik için)
       const deletedCount = await trx('refresh_tokens').where('user_id', user.id).del();
       logger.info(`Password changed, all ${deletedCount} sessions terminated for user: ${user.email}`);
     }
@@ -606,6 +819,76 @@ const resetPassword = catchAsync(async (req, res) => {
 });
 // ==================== END PASSWORD MANAGEMENT FUNCTIONS ====================
 
+// ==================== EMAIL VERIFICATION FUNCTIONS ====================
+
+/**
+ * E-posta doğrulama bağlantısını onaylar
+ * @route POST /api/auth/verify-email
+ * @access Public
+ */
+const verifyEmail = catchAsync(async (req, res) => {
+  const result = await authService.verifyEmail({
+    token: req.body.token,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent') || null
+  });
+
+  return sendSuccess(
+    res,
+    result.already_verified ? 'E-posta adresiniz zaten doğrulanmış.' : 'E-posta adresiniz başarıyla doğrulandı.',
+    result
+  );
+});
+
+/**
+ * E-posta doğrulama bağlantısını yeniden gönderir
+ * @route POST /api/auth/resend-verification
+ * @access Public
+ */
+const resendVerification = catchAsync(async (req, res) => {
+  await authService.resendEmailVerification({
+    email: req.body.email,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent') || null
+  });
+
+  return sendSuccess(
+    res,
+    'Eğer doğrulanmamış bir hesabınız varsa, yeni doğrulama bağlantısı e-posta adresinize gönderildi.'
+  );
+});
+// ==================== END EMAIL VERIFICATION FUNCTIONS ====================
+
+// ==================== HOSPITAL INVITATION FUNCTIONS ====================
+
+/**
+ * Hastane ekip davetinin bilgilerini getirir
+ * @route GET /api/auth/hospital-invitations/:token
+ * @access Public
+ */
+const getHospitalInvitation = catchAsync(async (req, res) => {
+  const invitation = await hospitalMemberService.getInvitationPreview(req.params.token);
+  return sendSuccess(res, 'Davet bilgileri getirildi', { invitation });
+});
+
+/**
+ * Hastane ekip davetini kabul eder ve üye hesabını oluşturur
+ * @route POST /api/auth/hospital-invitations/accept
+ * @access Public
+ */
+const acceptHospitalInvitation = catchAsync(async (req, res) => {
+  const result = await hospitalMemberService.acceptInvitation({
+    token: req.body.token,
+    password: req.body.password,
+    full_name: req.body.full_name,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent') || null
+  });
+
+  return sendCreated(res, `${result.institution_name} ekibine katıldınız. E-posta adresiniz ve belirlediğiniz şifreyle giriş yapabilirsiniz.`, result);
+});
+// ==================== END HOSPITAL INVITATION FUNCTIONS ====================
+
 // ==================== USER INFO FUNCTIONS ====================
 
 /**
@@ -626,6 +909,8 @@ const resetPassword = catchAsync(async (req, res) => {
  * - is_active: Aktiflik durumu
  * - created_at: Kayıt tarihi
  * - last_login: Son giriş tarihi
+ * - permissions: Admin alt rolünün izinleri (admin dışı rollerde boş)
+ * - hospital_role: Hastane ekibindeki rol (hastane dışı rollerde null)
  * 
  * @example
  * GET /api/auth/me
@@ -657,7 +942,7 @@ const getMe = catchAsync(async (req, res) => {
       };
     }
   } else if (user.role === 'hospital') {
-    const hospitalProfile = await db('hospital_profiles').where('user_id', user.id).first();
+    const hospitalProfile = await db('hospital_profiles').where('id', req.user.hospitalProfileId).first();
     if (hospitalProfile) {
       profileData = {
         first_name: hospitalProfile.institution_name, // Hospital için institution_name alanını first_name olarak kullan
@@ -676,8 +961,14 @@ const getMe = catchAsync(async (req, res) => {
       created_at: user.created_at,
       last_login: user.last_login,
       first_name: profileData?.first_name || null,
-      last_name: profileData?.last_name || null
-    }
+      last_name: profileData?.last_name || null,
+      permissions: getAdminPermissions(user),
+      hospital_role: req.user.hospitalRole ?? null
+    },
+    // Kullanıcı olarak görüntüleme token'ıyla gelindiyse görüntüleyen admin (web banner'ı için)
+    impersonation: req.impersonator
+      ? { admin_id: req.impersonator.id, admin_email: req.impersonator.email, read_only: req.impersonator.readOnly }
+      : null
   });
 });
 
@@ -716,17 +1007,38 @@ module.exports = {
   
   // Login Functions
   loginUnified,
+  loginTwoFactor,
+  loginTwoFactorSetup,
   
   // Token Management Functions
   refreshToken,
   logout,
   logoutAll,
   
+  // Session Management Functions
+  getSessions,
+  revokeSession,
+  
+  // Two Factor Management
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  
   // Password Management Functions
   changePassword,
   forgotPassword,
   resetPassword,
   
+  // Email Verification Functions
+  verifyEmail,
+  resendVerification,
+  
+  // Hospital Invitation Functions
+  getHospitalInvitation,
+  acceptHospitalInvitation,
+  
   // User Info Functions
   getMe,
   verifyToken
@@ -42,6 +42,11 @@
 // ============================================================================
 
 const doctorService = require('../services/doctorService');
+const savedSearchService = require('../services/savedSearchService');
+const doctorPrivacyService = require('../services/doctorPrivacyService');
+const applicationMessageService = require('../services/applicationMessageService');
+const dataExportService = require('../services/dataExportService');
+const accountDeletionService = require('../services/accountDeletionService');
 const { AppError, catchAsync } = require('../utils/errorHandler');
 const { sendSuccess } = require('../utils/response');
 const logger = require('../utils/logger');
@@ -200,6 +205,31 @@ const getCompleteProfile = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Doktorun CV'sini PDF olarak indir
+ * @description Tam profilden (eğitim, deneyim, sertifika, dil, onaylı fotoğraf) seçilen
+ * şablon ve dilde PDF üretir.
+ * @route GET /api/doctor/profile/cv.pdf
+ * @access Private (Doctor)
+ * @param {string} [req.query.template] - classic | compact
+ * @param {string} [req.query.lang] - tr | en
+ * @returns {Buffer} application/pdf
+ * @throws {AppError} 404 - Profil bulunamadı
+ * 
+ * @example
+ * GET /api/doctor/profile/cv.pdf?template=compact&lang=en
+ */
+const downloadCvPdf = catchAsync(async (req, res) => {
+  const { template, lang } = req.query;
+  const { pdf, fileName } = await doctorService.generateCvPdf(req.user.id, { template, lang });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('Content-Length', pdf.length);
+  res.setHeader('Cache-Control', 'no-store');
+  return res.end(pdf, 'binary');
+});
+
 // ============================================================================
 // EĞİTİM BİLGİLERİ CONTROLLER'LARI
 // ============================================================================
@@ -828,6 +858,45 @@ const deleteApplication = catchAsync(async (req, res) => {
   throw new AppError('Doktorlar başvuruyu silemez. Sadece "Başvuruldu" durumundaki başvuruları geri çekebilirsiniz.', 403);
 });
 
+// ============================================================================
+// BAŞVURU MESAJLARI
+// ============================================================================
+
+/**
+ * Başvuru yazışmasını getir
+ * @description Hastane ile olan yazışmayı döndürür; hastanenin mesajları okundu işaretlenir.
+ * @param {Object} req - Express request nesnesi
+ * @param {Object} res - Express response nesnesi
+ * @returns {Promise<void>} Yazışma bilgisi ve mesajlar
+ * @throws {AppError} Başvuru bulunamadı veya doktora ait değil
+ * 
+ * @example
+ * GET /api/doctor/applications/123/messages
+ */
+const getApplicationMessages = catchAsync(async (req, res) => {
+  const data = await applicationMessageService.getThread(req.user.id, 'doctor', req.params.id, { markRead: !req.impersonator });
+
+  return sendSuccess(res, 'Mesajlar getirildi', data);
+});
+
+/**
+ * Başvuru yazışmasına mesaj gönder
+ * @description Hastaneye mesaj gönderir. Reddedilen / geri çekilen başvurularda kapalıdır.
+ * @param {Object} req - Express request nesnesi
+ * @param {Object} res - Express response nesnesi
+ * @returns {Promise<void>} Gönderilen mesaj
+ * @throws {AppError} Başvuru bulunamadı veya yazışma kapalı
+ * 
+ * @example
+ * POST /api/doctor/applications/123/messages
+ * Body: { body: "Mülakat için hangi belgeleri getirmeliyim?" }
+ */
+const sendApplicationMessage = catchAsync(async (req, res) => {
+  const message = await applicationMessageService.sendMessage(req.user.id, 'doctor', req.params.id, req.body.body);
+
+  return sendSuccess(res, 'Mesaj gönderildi', message, 201);
+});
+
 /**
  * Doktorlar için iş ilanlarını getir
  * @description Doktorlar için aktif iş ilanlarını filtreleme ve arama ile getirir.
@@ -841,8 +910,11 @@ const deleteApplication = catchAsync(async (req, res) => {
  */
 const getJobs = catchAsync(async (req, res) => {
   const filters = req.query;
+
+  // Favori bilgisi için doktor profili (opsiyonel)
+  const profile = await doctorService.getProfile(req.user.id);
   
-  const result = await doctorService.getJobs(filters);
+  const result = await doctorService.getJobs(filters, profile?.id || null);
   
   return sendSuccess(res, 'İş ilanları getirildi', result);
 });
@@ -872,6 +944,251 @@ const getJobById = catchAsync(async (req, res) => {
   return sendSuccess(res, 'İş ilanı detayları getirildi', job);
 });
 
+/**
+ * Doktorun kaydettiği iş ilanlarını getir
+ * @description Favori ilanları sayfalı getirir. Süresi dolan ilanlar is_expired ile işaretlenir.
+ * @param {Object} req - Express request nesnesi
+ * @param {Object} res - Express response nesnesi
+ * @returns {Promise<void>} Kaydedilen ilanlar ve sayfalama bilgileri
+ * @throws {AppError} Profil bulunamadı
+ * 
+ * @example
+ * GET /api/doctor/jobs/favorites?page=1&limit=10
+ */
+const getFavoriteJobs = catchAsync(async (req, res) => {
+  const profile = await doctorService.getProfile(req.user.id);
+  if (!profile) {
+    throw new AppError('Profil bulunamadı', 404);
+  }
+
+  const result = await doctorService.getFavoriteJobs(profile.id, req.query);
+
+  return sendSuccess(res, 'Kaydedilen ilanlar getirildi', result);
+});
+
+/**
+ * İş ilanını favorilere ekle
+ * @description Doktorun aktif bir iş ilanını kaydetmesini sağlar.
+ * @param {Object} req - Express request nesnesi
+ * @param {Object} res - Express response nesnesi
+ * @returns {Promise<void>} Favori kaydı
+ * @throws {AppError} Profil veya ilan bulunamadı
+ * 
+ * @example
+ * POST /api/doctor/jobs/123/favorite
+ */
+const addFavoriteJob = catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const profile = await doctorService.getProfile(req.user.id);
+  if (!profile) {
+    throw new AppError('Profil bulunamadı', 404);
+  }
+
+  const favorite = await doctorService.addFavoriteJob(profile.id, id);
+
+  return sendSuccess(res, 'İlan kaydedildi', favorite, 201);
+});
+
+/**
+ * İş ilanını favorilerden çıkar
+ * @description Doktorun kaydettiği ilanı favorilerinden kaldırır.
+ * @param {Object} req - Express request nesnesi
+ * @param {Object} res - Express response nesnesi
+ * @returns {Promise<void>} Silme sonucu
+ * @throws {AppError} Profil veya favori kaydı bulunamadı
+ * 
+ * @example
+ * DELETE /api/doctor/jobs/123/favorite
+ */
+const removeFavoriteJob = catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const profile = await doctorService.getProfile(req.user.id);
+  if (!profile) {
+    throw new AppError('Profil bulunamadı', 404);
+  }
+
+  await doctorService.removeFavoriteJob(profile.id, id);
+
+  return sendSuccess(res, 'İlan kaydedilenlerden çıkarıldı', null);
+});
+
+// ============================================================================
+// KAYITLI ARAMALAR
+// ============================================================================
+
+/**
+ * Kayıtlı aramaları getir
+ * @description Doktorun kaydettiği ilan arama filtrelerini listeler.
+ * @param {Object} req - Express request nesnesi
+ * @param {Object} res - Express response nesnesi
+ * @returns {Promise<void>} Kayıtlı arama listesi
+ * @throws {AppError} Profil bulunamadı
+ * 
+ * @example
+ * GET /api/doctor/saved-searches
+ */
+const getSavedSearches = catchAsync(async (req, res) => {
+  const profile = await doctorService.getProfile(req.user.id);
+  if (!profile) {
+    throw new AppError('Profil bulunamadı', 404);
+  }
+
+  const searches = await savedSearchService.listSavedSearches(profile.id);
+
+  return sendSuccess(res, 'Kayıtlı aramalar getirildi', searches);
+});
+
+/**
+ * Arama kaydet
+ * @description Mevcut arama filtrelerini kaydeder. Yeni eşleşen ilanlarda bildirim gönderilir.
+ * @param {Object} req - Express request nesnesi
+ * @param {Object} res - Express response nesnesi
+ * @returns {Promise<void>} Oluşturulan kayıtlı arama
+ * @throws {AppError} Profil bulunamadı, filtre yok veya limit aşıldı
+ * 
+ * @example
+ * POST /api/doctor/saved-searches
+ * Body: { name: "İstanbul Kardiyoloji", city_ids: [34], specialty_ids: [5] }
+ */
+const createSavedSearch = catchAsync(async (req, res) => {
+  const profile = await doctorService.getProfile(req.user.id);
+  if (!profile) {
+    throw new AppError('Profil bulunamadı', 404);
+  }
+
+  const search = await savedSearchService.createSavedSearch(profile.id, req.body);
+
+  return sendSuccess(res, 'Arama kaydedildi', search, 201);
+});
+
+/**
+ * Kayıtlı aramayı güncelle
+ * @description Yeniden adlandırma veya bildirimleri duraklatma/açma işlemi.
+ * @param {Object} req - Express request nesnesi
+ * @param {Object} res - Express response nesnesi
+ * @returns {Promise<void>} Güncellenmiş kayıtlı arama
+ * @throws {AppError} Profil veya kayıtlı arama bulunamadı
+ * 
+ * @example
+ * PATCH /api/doctor/saved-searches/12
+ * Body: { is_active: false }
+ */
+const updateSavedSearch = catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const profile = await doctorService.getProfile(req.user.id);
+  if (!profile) {
+    throw new AppError('Profil bulunamadı', 404);
+  }
+
+  const search = await savedSearchService.updateSavedSearch(profile.id, id, req.body);
+
+  return sendSuccess(res, 'Kayıtlı arama güncellendi', search);
+});
+
+/**
+ * Kayıtlı aramayı sil
+ * @param {Object} req - Express request nesnesi
+ * @param {Object} res - Express response nesnesi
+ * @returns {Promise<void>} Silme sonucu
+ * @throws {AppError} Profil veya kayıtlı arama bulunamadı
+ * 
+ * @example
+ * DELETE /api/doctor/saved-searches/12
+ */
+const deleteSavedSearch = catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const profile = await doctorService.getProfile(req.user.id);
+  if (!profile) {
+    throw new AppError('Profil bulunamadı', 404);
+  }
+
+  await savedSearchService.deleteSavedSearch(profile.id, id);
+
+  return sendSuccess(res, 'Kayıtlı arama silindi', null);
+});
+
+// ============================================================================
+// PROFİL GİZLİLİK AYARLARI
+// ============================================================================
+
+/**
+ * Profil gizlilik ayarlarını getir
+ * @description Görünürlük, iletişim bilgisi maskeleme ve engellenen hastaneleri döner.
+ * @param {Object} req - Express request nesnesi
+ * @param {Object} res - Express response nesnesi
+ * @returns {Promise<void>} Gizlilik ayarları
+ * 
+ * @example
+ * GET /api/doctor/privacy
+ */
+const getPrivacySettings = catchAsync(async (req, res) => {
+  const settings = await doctorPrivacyService.getPrivacySettings(req.user.id);
+  return sendSuccess(res, 'Gizlilik ayarları getirildi', settings);
+});
+
+/**
+ * Profil gizlilik ayarlarını güncelle
+ * @param {Object} req - Express request nesnesi
+ * @param {Object} res - Express response nesnesi
+ * @returns {Promise<void>} Güncel gizlilik ayarları
+ * 
+ * @example
+ * PUT /api/doctor/privacy
+ * Body: { profile_visibility: "applied_only", hide_phone: true }
+ */
+const updatePrivacySettings = catchAsync(async (req, res) => {
+  const settings = await doctorPrivacyService.updatePrivacySettings(req.user.id, req.body);
+  return sendSuccess(res, 'Gizlilik ayarları güncellendi', settings);
+});
+
+/**
+ * Engellenecek hastaneleri ara
+ * @param {Object} req - Express request nesnesi
+ * @param {Object} res - Express response nesnesi
+ * @returns {Promise<void>} Hastane listesi (en fazla 20)
+ * 
+ * @example
+ * GET /api/doctor/privacy/hospitals?search=Acıbadem
+ */
+const searchPrivacyHospitals = catchAsync(async (req, res) => {
+  const hospitals = await doctorPrivacyService.searchHospitals(req.user.id, req.query.search);
+  return sendSuccess(res, 'Hastaneler getirildi', hospitals);
+});
+
+/**
+ * Hastaneyi engelle
+ * @description Engellenen hastane doktoru listede göremez ve başvuru yoksa profilini açamaz.
+ * @param {Object} req - Express request nesnesi
+ * @param {Object} res - Express response nesnesi
+ * @returns {Promise<void>} Güncel engellenen hastaneler
+ * 
+ * @example
+ * POST /api/doctor/privacy/blocked-hospitals
+ * Body: { hospital_id: 7 }
+ */
+const blockHospital = catchAsync(async (req, res) => {
+  const blockedHospitals = await doctorPrivacyService.blockHospital(req.user.id, req.body.hospital_id);
+  return sendSuccess(res, 'Hastane engellendi', blockedHospitals, 201);
+});
+
+/**
+ * Hastane engelini kaldır
+ * @param {Object} req - Express request nesnesi
+ * @param {Object} res - Express response nesnesi
+ * @returns {Promise<void>} Güncel engellenen hastaneler
+ * 
+ * @example
+ * DELETE /api/doctor/privacy/blocked-hospitals/7
+ */
+const unblockHospital = catchAsync(async (req, res) => {
+  const blockedHospitals = await doctorPrivacyService.unblockHospital(req.user.id, req.params.hospitalId);
+  return sendSuccess(res, 'Hastane engeli kaldırıldı', blockedHospitals);
+});
+
 // ============================================================================
 // FOTOĞRAF ONAY SİSTEMİ
 // ============================================================================
@@ -972,10 +1289,69 @@ const cancelPhotoRequest = catchAsync(async (req, res) => {
 });
 
 const deactivateAccount = catchAsync(async (req, res) => {
-  await doctorService.deactivateAccount(req.user.id);
+  const result = await doctorService.deactivateAccount(req.user.id, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
   logger.info(`Doctor account deactivated: ${req.user.email}`);
 
-  return sendSuccess(res, 'Hesabınız başarıyla silindi.');
+  return sendSuccess(res, accountDeletionService.buildDeletionNotice(result.deletion_scheduled_at), result);
+});
+
+// ============================================================================
+// KİŞİSEL VERİ DIŞA AKTARMA
+// ============================================================================
+
+/**
+ * Kişisel veri dışa aktarma talebi oluştur
+ * @description ZIP arka planda hazırlanır; hazır olunca bildirim gönderilir
+ * @route POST /api/doctor/account/data-export
+ */
+const requestDataExport = catchAsync(async (req, res) => {
+  const exportRequest = await dataExportService.requestExport(req.user.id, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  logger.info(`Data export requested: ${req.user.email}`);
+
+  return sendSuccess(res, 'Verileriniz hazırlanıyor. Hazır olduğunda bildirim alacaksınız.', { export: exportRequest }, 202);
+});
+
+/**
+ * Kişisel veri dışa aktarma taleplerini getir
+ * @route GET /api/doctor/account/data-export
+ */
+const getDataExports = catchAsync(async (req, res) => {
+  const exportRequests = await dataExportService.getExportRequests(req.user.id);
+  return sendSuccess(res, 'Veri dışa aktarma talepleri getirildi', { exports: exportRequests });
+});
+
+/**
+ * Hazır dışa aktarma dosyasını indir (oturum açmış doktor)
+ * @route GET /api/doctor/account/data-export/:id/download
+ */
+const downloadDataExport = catchAsync(async (req, res) => {
+  const { filePath, fileName } = await dataExportService.getDownloadForUser(req.user.id, req.params.id, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.setHeader('Cache-Control', 'no-store');
+  return res.download(filePath, fileName);
+});
+
+/**
+ * Bildirimdeki bağlantı ile dışa aktarma dosyasını indir (public, token ile)
+ * @route GET /api/data-exports/download?token=
+ */
+const downloadDataExportByToken = catchAsync(async (req, res) => {
+  const { filePath, fileName } = await dataExportService.getDownloadByToken(req.query.token, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.setHeader('Cache-Control', 'no-store');
+  return res.download(filePath, fileName);
 });
 
 // ============================================================================
@@ -1015,6 +1391,7 @@ module.exports = {
   updateProfile,
   getProfile,
   getCompleteProfile,
+  downloadCvPdf,
   updatePersonalInfo,
   
   // Eğitim bilgileri
@@ -1055,14 +1432,42 @@ module.exports = {
   withdrawApplication,
   deleteApplication,
   
+  // Başvuru mesajları
+  getApplicationMessages,
+  sendApplicationMessage,
+  
   // İş ilanı fonksiyonları (jobService'den taşındı)
   getJobs,
   getJobById,
   
+  // Favori (kaydedilen) ilanlar
+  getFavoriteJobs,
+  addFavoriteJob,
+  removeFavoriteJob,
+  
+  // Kayıtlı aramalar
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  
+  // Profil gizlilik ayarları
+  getPrivacySettings,
+  updatePrivacySettings,
+  searchPrivacyHospitals,
+  blockHospital,
+  unblockHospital,
+  
   // Fotoğraf onay sistemi
   requestPhotoChange,
   getPhotoRequestStatus,
   getPhotoRequestHistory,
   cancelPhotoRequest,
-  deactivateAccount
+  deactivateAccount,
+
+  // Kişisel veri dışa aktarma
+  requestDataExport,
+  getDataExports,
+  downloadDataExport,
+  downloadDataExportByToken
 };
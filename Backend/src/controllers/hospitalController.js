@@ -35,6 +35,8 @@
 // ============================================================================
 
 const hospitalService = require('../services/hospitalService');
+const accountDeletionService = require('../services/accountDeletionService');
+const applicationExportService = require('../services/applicationExportService');
 const { AppError, catchAsync } = require('../utils/errorHandler');
 const { sendSuccess } = require('../utils/response');
 const logger = require('../utils/logger');
@@ -355,6 +357,47 @@ const resubmitJob = catchAsync(async (req, res, next) => {
   sendSuccess(res, 'İş ilanı başarıyla tekrar gönderildi', { job }, 200);
 });
 
+/**
+ * Hastane iş ilanının yayın süresini uzatır (renew)
+ * @description Onaylandı durumundaki ilanın bitiş tarihini ileri alır, ilan onay kuyruğuna dönmez.
+ * Süresi dolduğu için pasife alınmış ilan da bu işlemle yeniden yayına alınır.
+ * @route POST /api/hospital/jobs/:jobId/renew
+ * @access Private (Hospital)
+ * @middleware authMiddleware, requireRole('hospital'), validate(jobRenewSchema, 'body')
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.params.jobId - İş ilanı ID'si
+ * @param {number} [req.body.duration_days] - Uzatma süresi (gün)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * 
+ * @returns {Object} 200 - Güncellenmiş iş ilanı (yeni expires_at ile)
+ * @returns {Object} 400 - İlan yayında değil / süresi dolmamış pasif ilan veya süre sınırların dışında
+ * @returns {Object} 404 - İş ilanı bulunamadı
+ * 
+ * @example
+ * POST /api/hospital/jobs/123/renew
+ * { "duration_days": 30 }
+ */
+const renewJob = catchAsync(async (req, res, next) => {
+  const job = await hospitalService.renewJob(req.user.id, req.params.jobId, req.body.duration_days);
+  logger.info(`Hospital job renewed for user ${req.user.id}, job ${req.params.jobId}`);
+  sendSuccess(res, 'İlanın yayın süresi uzatıldı', { job }, 200);
+});
+
+/**
+ * İlan yayın süresi seçeneklerini getirir
+ * @description İlan formunda seçilebilecek süre aralığını (admin tanımlı) döner
+ * @route GET /api/hospital/jobs/lifetime-options
+ * @access Private (Hospital)
+ * 
+ * @returns {Object} 200 - { min_days, max_days, default_days }
+ */
+const getJobLifetimeOptions = catchAsync(async (req, res, next) => {
+  const options = await hospitalService.getJobLifetimeOptions();
+  sendSuccess(res, 'İlan yayın süresi seçenekleri getirildi', { options }, 200);
+});
+
 // ============================================================================
 // BAŞVURU YÖNETİMİ CONTROLLER'LARI (hospitalService içinde)
 // ============================================================================
@@ -471,6 +514,326 @@ const updateApplicationStatus = catchAsync(async (req, res, next) => {
   sendSuccess(res, 'Başvuru durumu başarıyla güncellendi', { application }, 200);
 });
 
+// ============================================================================
+// BAŞVURU SÜRECİ (PIPELINE) CONTROLLER'LARI
+// ============================================================================
+
+/**
+ * Kanban panosu verisini getirir
+ * @route GET /api/hospital/applications/pipeline
+ * @access Private (Hospital)
+ * @middleware validate(pipelineBoardQuerySchema, 'query')
+ * @returns {Object} 200 - { stages, applications, truncated }
+ */
+const getPipelineBoard = catchAsync(async (req, res) => {
+  const filters = {
+    search: req.query.search,
+    jobIds: req.query.jobIds ? req.query.jobIds.split(',').map(id => parseInt(id, 10)) : undefined
+  };
+
+  const board = await hospitalService.getPipelineBoard(req.user.id, filters);
+  sendSuccess(res, 'Başvuru panosu getirildi', board, 200);
+});
+
+/**
+ * Başvuruları toplu olarak bir aşamaya taşır
+ * @route POST /api/hospital/applications/bulk-move
+ * @access Private (Hospital)
+ * @middleware validate(pipelineMoveSchema, 'body')
+ * @returns {Object} 200 - { moved, skipped }
+ *
+ * @example
+ * POST /api/hospital/applications/bulk-move
+ * { "application_ids": [12, 15, 18], "stage_id": 4, "note": "Telefon görüşmesine çağrılacak" }
+ */
+const moveApplications = catchAsync(async (req, res) => {
+  const result = await hospitalService.moveApplications(req.user.id, req.body);
+  const message = result.skipped.length > 0
+    ? `${result.moved.length} başvuru taşındı, ${result.skipped.length} başvuru atlandı`
+    : `${result.moved.length} başvuru taşındı`;
+  sendSuccess(res, message, result, 200);
+});
+
+/**
+ * Başvurunun durum geçmişini getirir
+ * @route GET /api/hospital/applications/:applicationId/history
+ * @access Private (Hospital)
+ */
+const getApplicationHistory = catchAsync(async (req, res) => {
+  const history = await hospitalService.getApplicationHistory(req.user.id, parseInt(req.params.applicationId, 10));
+  sendSuccess(res, 'Başvuru geçmişi getirildi', { history }, 200);
+});
+
+/**
+ * Başvurunun dahili notlarını getirir
+ * @route GET /api/hospital/applications/:applicationId/notes
+ * @access Private (Hospital)
+ */
+const getApplicationNotes = catchAsync(async (req, res) => {
+  const notes = await hospitalService.getApplicationNotes(req.user.id, parseInt(req.params.applicationId, 10));
+  sendSuccess(res, 'Başvuru notları getirildi', { notes }, 200);
+});
+
+/**
+ * Başvuruya dahili not ekler (doktor görmez)
+ * @route POST /api/hospital/applications/:applicationId/notes
+ * @access Private (Hospital)
+ * @middleware validate(applicationNoteSchema, 'body')
+ */
+const addApplicationNote = catchAsync(async (req, res) => {
+  const note = await hospitalService.addApplicationNote(req.user.id, parseInt(req.params.applicationId, 10), req.body.note);
+  sendSuccess(res, 'Not eklendi', { note }, 201);
+});
+
+/**
+ * Dahili notu siler (yalnızca notu yazan)
+ * @route DELETE /api/hospital/applications/:applicationId/notes/:noteId
+ * @access Private (Hospital)
+ */
+const deleteApplicationNote = catchAsync(async (req, res) => {
+  await hospitalService.deleteApplicationNote(
+    req.user.id,
+    parseInt(req.params.applicationId, 10),
+    parseInt(req.params.noteId, 10)
+  );
+  sendSuccess(res, 'Not silindi', null, 200);
+});
+
+/**
+ * Başvurunun yıldız puanını ve etiketlerini günceller
+ * @route PATCH /api/hospital/applications/:applicationId/evaluation
+ * @access Private (Hospital)
+ * @middleware validate(applicationEvaluationSchema, 'body')
+ *
+ * @example
+ * PATCH /api/hospital/applications/123/evaluation
+ * { "rating": 4, "tags": ["Acil deneyimi", "Referanslı"] }
+ */
+const updateApplicationEvaluation = catchAsync(async (req, res) => {
+  const evaluation = await hospitalService.updateApplicationEvaluation(
+    req.user.id,
+    parseInt(req.params.applicationId, 10),
+    req.body
+  );
+  sendSuccess(res, 'Değerlendirme kaydedildi', evaluation, 200);
+});
+
+/**
+ * Hastanenin kullandığı etiketleri getirir
+ * @route GET /api/hospital/applications/tags
+ * @access Private (Hospital)
+ */
+const getApplicationTags = catchAsync(async (req, res) => {
+  const tags = await hospitalService.getHospitalTags(req.user.id);
+  sendSuccess(res, 'Etiketler getirildi', { tags }, 200);
+});
+
+/**
+ * Pipeline aşamalarını getirir
+ * @route GET /api/hospital/pipeline-stages
+ * @access Private (Hospital)
+ */
+const getPipelineStages = catchAsync(async (req, res) => {
+  const stages = await hospitalService.getPipelineStages(req.user.id);
+  sendSuccess(res, 'Aşamalar getirildi', { stages }, 200);
+});
+
+/**
+ * Yeni pipeline aşaması ekler
+ * @route POST /api/hospital/pipeline-stages
+ * @access Private (Hospital)
+ * @middleware validate(pipelineStageSchema, 'body')
+ */
+const createPipelineStage = catchAsync(async (req, res) => {
+  const stages = await hospitalService.createPipelineStage(req.user.id, req.body);
+  logger.info(`Pipeline stage created by hospital user ${req.user.id}`);
+  sendSuccess(res, 'Aşama eklendi', { stages }, 201);
+});
+
+/**
+ * Pipeline aşamasını günceller (ad / renk)
+ * @route PATCH /api/hospital/pipeline-stages/:stageId
+ * @access Private (Hospital)
+ * @middleware validate(pipelineStageIdParamSchema, 'params'), validate(pipelineStageUpdateSchema, 'body')
+ */
+const updatePipelineStage = catchAsync(async (req, res) => {
+  const stages = await hospitalService.updatePipelineStage(req.user.id, parseInt(req.params.stageId, 10), req.body);
+  sendSuccess(res, 'Aşama güncellendi', { stages }, 200);
+});
+
+/**
+ * Pipeline aşamasını siler
+ * @route DELETE /api/hospital/pipeline-stages/:stageId
+ * @access Private (Hospital)
+ */
+const deletePipelineStage = catchAsync(async (req, res) => {
+  const stages = await hospitalService.deletePipelineStage(req.user.id, parseInt(req.params.stageId, 10));
+  logger.info(`Pipeline stage ${req.params.stageId} deleted by hospital user ${req.user.id}`);
+  sendSuccess(res, 'Aşama silindi', { stages }, 200);
+});
+
+/**
+ * Pipeline aşamalarını yeniden sıralar
+ * @route PUT /api/hospital/pipeline-stages/order
+ * @access Private (Hospital)
+ * @middleware validate(pipelineStageOrderSchema, 'body')
+ */
+const reorderPipelineStages = catchAsync(async (req, res) => {
+  const stages = await hospitalService.reorderPipelineStages(req.user.id, req.body.stage_ids);
+  sendSuccess(res, 'Aşama sıralaması güncellendi', { stages }, 200);
+});
+
+// ============================================================================
+// MÜLAKAT CONTROLLER'LARI
+// ============================================================================
+
+/**
+ * Başvurunun mülakatlarını getirir
+ * @route GET /api/hospital/applications/:applicationId/interviews
+ * @access Private (Hospital)
+ * @returns {Object} 200 - { interviews }
+ */
+const getApplicationInterviews = catchAsync(async (req, res) => {
+  const interviews = await hospitalService.getApplicationInterviews(req.user.id, req.params.applicationId);
+  sendSuccess(res, 'Mülakatlar getirildi', { interviews }, 200);
+});
+
+/**
+ * Başvuru için mülakat önerir
+ * @route POST /api/hospital/applications/:applicationId/interviews
+ * @access Private (Hospital)
+ * @middleware validate(interviewProposalSchema, 'body')
+ * @returns {Object} 201 - { interview }
+ *
+ * @example
+ * POST /api/hospital/applications/42/interviews
+ * {
+ *   "mode": "video",
+ *   "meeting_url": "https://meet.example.com/abc",
+ *   "duration_minutes": 30,
+ *   "slots": ["2024-05-02T07:00:00.000Z", "2024-05-03T11:30:00.000Z"]
+ * }
+ */
+const proposeInterview = catchAsync(async (req, res) => {
+  const interview = await hospitalService.proposeInterview(req.user.id, req.params.applicationId, req.body);
+  sendSuccess(res, 'Mülakat daveti gönderildi', { interview }, 201);
+});
+
+/**
+ * Mülakatı iptal eder
+ * @route POST /api/hospital/interviews/:interviewId/cancel
+ * @access Private (Hospital)
+ * @middleware validate(interviewCancelSchema, 'body')
+ * @returns {Object} 200
+ */
+const cancelInterview = catchAsync(async (req, res) => {
+  await hospitalService.cancelInterview(req.user.id, req.params.interviewId, req.body.reason);
+  sendSuccess(res, 'Mülakat iptal edildi', null, 200);
+});
+
+/**
+ * Yaklaşan mülakatları getirir (dashboard)
+ * @route GET /api/hospital/interviews/upcoming
+ * @access Private (Hospital)
+ * @middleware validate(upcomingInterviewsQuerySchema, 'query')
+ * @returns {Object} 200 - { interviews }
+ */
+const getUpcomingInterviews = catchAsync(async (req, res) => {
+  const interviews = await hospitalService.getUpcomingInterviews(req.user.id, { limit: req.query.limit });
+  sendSuccess(res, 'Yaklaşan mülakatlar getirildi', { interviews }, 200);
+});
+
+/**
+ * Kesinleşmiş mülakatı iCalendar (.ics) dosyası olarak indirir
+ * @route GET /api/hospital/interviews/:interviewId/calendar
+ * @access Private (Hospital)
+ * @returns {text/calendar} 200 - .ics dosyası
+ */
+const downloadInterviewCalendar = catchAsync(async (req, res) => {
+  const { filename, content } = await hospitalService.getInterviewCalendar(req.user.id, req.params.interviewId);
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'no-cache');
+  res.status(200).send(content);
+});
+
+// ============================================================================
+// BAŞVURU MESAJLARI
+// ============================================================================
+
+/**
+ * Başvuru yazışmasını getirir (doktorun mesajları okundu işaretlenir)
+ * @route GET /api/hospital/applications/:applicationId/messages
+ * @access Private (Hospital)
+ * @returns {Object} 200 - { thread, messages }
+ */
+const getApplicationMessages = catchAsync(async (req, res) => {
+  const data = await hospitalService.getApplicationMessages(req.user.id, req.params.applicationId, { markRead: !req.impersonator });
+  sendSuccess(res, 'Mesajlar getirildi', data, 200);
+});
+
+/**
+ * Başvuru yazışmasına mesaj gönderir
+ * @route POST /api/hospital/applications/:applicationId/messages
+ * @access Private (Hospital)
+ * @middleware validate(applicationMessageSchema, 'body')
+ * @returns {Object} 201 - Gönderilen mesaj
+ */
+const sendApplicationMessage = catchAsync(async (req, res) => {
+  const message = await hospitalService.sendApplicationMessage(req.user.id, req.params.applicationId, req.body.body);
+  sendSuccess(res, 'Mesaj gönderildi', message, 201);
+});
+
+// ============================================================================
+// TOPLU BAŞVURU PAKETİ
+// ============================================================================
+
+/**
+ * İlan başvurularını ZIP paketi olarak dışa aktarma talebi oluşturur
+ * @description Paket arka planda hazırlanır (başvuru başına PDF + ozet.csv); hazır olunca bildirim gönderilir
+ * @route POST /api/hospital/jobs/:jobId/applications/export
+ * @access Private (Hospital - owner/recruiter, impersonation kapalı)
+ * @middleware blockImpersonation, validate(jobIdParamSchema, 'params'), validate(applicationExportRequestSchema, 'body')
+ * @returns {Object} 202 - { export }
+ */
+const exportJobApplications = catchAsync(async (req, res) => {
+  const exportRequest = await applicationExportService.requestExport(req.user, req.params.jobId, req.body, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  logger.info(`Application export requested for job ${req.params.jobId} by user ${req.user.id}`);
+
+  sendSuccess(res, 'Başvuru paketi hazırlanıyor. Hazır olduğunda bildirim alacaksınız.', { export: exportRequest }, 202);
+});
+
+/**
+ * İlanın başvuru paketi taleplerini getirir
+ * @route GET /api/hospital/jobs/:jobId/applications/exports
+ * @access Private (Hospital)
+ * @returns {Object} 200 - { exports }
+ */
+const getJobApplicationExports = catchAsync(async (req, res) => {
+  const exportRequests = await applicationExportService.getExportRequests(req.user, req.params.jobId);
+  sendSuccess(res, 'Başvuru paketleri getirildi', { exports: exportRequests }, 200);
+});
+
+/**
+ * Hazır başvuru paketini indirir
+ * @route GET /api/hospital/application-exports/:exportId/download
+ * @access Private (Hospital - owner/recruiter, impersonation kapalı)
+ * @middleware requireRecruiter, blockImpersonation, validate(applicationExportIdParamSchema, 'params')
+ * @returns {application/zip} 200 - ZIP dosyası
+ */
+const downloadApplicationExport = catchAsync(async (req, res) => {
+  const { filePath, fileName } = await applicationExportService.getDownload(req.user, req.params.exportId, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.setHeader('Cache-Control', 'no-store');
+  return res.download(filePath, fileName);
+});
+
 /**
  * Hastane dashboard verilerini getir
  * @description Hastane için dashboard verilerini getirir (son başvurular ve iş ilanları)
@@ -535,10 +898,78 @@ const sendJobStatusChangeNotification = catchAsync(async (req, res) => {
   return sendSuccess(res, 'İlan durumu değişikliği bildirimi gönderildi', result, 200);
 });
 
+// ============================================================================
+// EKİP YÖNETİMİ CONTROLLER'LARI
+// ============================================================================
+
+const buildTeamActor = (req) => ({
+  id: req.user.id,
+  email: req.user.email,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent') || null
+});
+
+/**
+ * Hastane ekibini ve bekleyen davetleri getirir
+ * @route GET /api/hospital/team
+ * @access Private (Hospital - tüm ekip üyeleri)
+ */
+const getTeam = catchAsync(async (req, res) => {
+  const team = await hospitalService.getTeam(req.user.id);
+  return sendSuccess(res, 'Ekip bilgileri getirildi', team, 200);
+});
+
+/**
+ * Ekibe e-posta ile üye davet eder
+ * @route POST /api/hospital/team/invitations
+ * @access Private (Hospital - owner)
+ * @middleware validate(teamInvitationSchema, 'body')
+ */
+const inviteTeamMember = catchAsync(async (req, res) => {
+  const invitation = await hospitalService.inviteTeamMember(buildTeamActor(req), req.body);
+  logger.info(`Hospital team invitation sent by user ${req.user.id} to ${invitation.email}`);
+  return sendSuccess(res, 'Davet e-postası gönderildi', { invitation }, 201);
+});
+
+/**
+ * Bekleyen daveti iptal eder
+ * @route DELETE /api/hospital/team/invitations/:invitationId
+ * @access Private (Hospital - owner)
+ */
+const revokeTeamInvitation = catchAsync(async (req, res) => {
+  await hospitalService.revokeTeamInvitation(buildTeamActor(req), req.params.invitationId);
+  return sendSuccess(res, 'Davet iptal edildi', null, 200);
+});
+
+/**
+ * Ekip üyesinin rolünü değiştirir
+ * @route PATCH /api/hospital/team/members/:memberId
+ * @access Private (Hospital - owner)
+ * @middleware validate(teamMemberRoleSchema, 'body')
+ */
+const updateTeamMemberRole = catchAsync(async (req, res) => {
+  const member = await hospitalService.updateTeamMemberRole(buildTeamActor(req), req.params.memberId, req.body.role);
+  return sendSuccess(res, 'Üye rolü güncellendi', { member }, 200);
+});
+
+/**
+ * Üyeyi ekipten çıkarır (üye hesabı pasifleştirilir)
+ * @route DELETE /api/hospital/team/members/:memberId
+ * @access Private (Hospital - owner)
+ */
+const removeTeamMember = catchAsync(async (req, res) => {
+  await hospitalService.removeTeamMember(buildTeamActor(req), req.params.memberId);
+  logger.info(`Hospital team member ${req.params.memberId} removed by user ${req.user.id}`);
+  return sendSuccess(res, 'Üye ekipten çıkarıldı', null, 200);
+});
+
 const deactivateAccount = catchAsync(async (req, res) => {
-  await hospitalService.deactivateAccount(req.user.id);
+  const result = await hospitalService.deactivateAccount(req.user.id, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
   logger.info(`Hospital account deactivated: ${req.user.email}`);
-  return sendSuccess(res, 'Hesabınız başarıyla kapatıldı', null, 200);
+  return sendSuccess(res, accountDeletionService.buildDeletionNotice(result.deletion_scheduled_at), result, 200);
 });
 
 // ============================================================================
@@ -625,12 +1056,45 @@ module.exports = {
   updateJob,
   updateJobStatus,
   resubmitJob,
+  renewJob,
+  getJobLifetimeOptions,
   
   // Başvuru yönetimi (hospitalService içinde)
   getJobApplications,
   getAllApplications,
   updateApplicationStatus,
   
+  // Başvuru süreci (pipeline)
+  getPipelineBoard,
+  moveApplications,
+  getApplicationHistory,
+  getApplicationNotes,
+  addApplicationNote,
+  deleteApplicationNote,
+  updateApplicationEvaluation,
+  getApplicationTags,
+  getPipelineStages,
+  createPipelineStage,
+  updatePipelineStage,
+  deletePipelineStage,
+  reorderPipelineStages,
+  
+  // Mülakat planlama
+  getApplicationInterviews,
+  proposeInterview,
+  cancelInterview,
+  getUpcomingInterviews,
+  downloadInterviewCalendar,
+  
+  // Başvuru mesajlaşması
+  getApplicationMessages,
+  sendApplicationMessage,
+  
+  // Toplu başvuru paketi
+  exportJobApplications,
+  getJobApplicationExports,
+  downloadApplicationExport,
+  
   // Dashboard yönetimi
   getDashboard,
   
@@ -641,5 +1105,13 @@ module.exports = {
   getDoctorProfiles,
   getDoctorProfileDetail,
   getApplicationById,
+  
+  // Ekip yönetimi
+  getTeam,
+  inviteTeamMember,
+  revokeTeamInvitation,
+  updateTeamMemberRole,
+  removeTeamMember,
+  
   deactivateAccount
 };
\ No newline at end of file
@@ -0,0 +1,50 @@
+/**
+ * @file interviewController.js
+ * @description Mülakat takvim controller'ı - Oturum gerektirmeyen .ics bağlantısını sunar.
+ * Hastane ve doktor mülakat işlemleri ilgili controller'larda (hospitalController,
+ * mobileApplicationController) bulunur; burada yalnızca takvim uygulamalarının
+ * açabileceği anahtarlı bağlantı vardır.
+ * 
+ * Endpoint'ler:
+ * - GET /api/interviews/calendar/:token.ics - Kesinleşmiş mülakatın takvim dosyası
+ * 
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+// ============================================================================
+// DIŞ BAĞIMLILIKLAR
+// ============================================================================
+
+const { catchAsync } = require('../utils/errorHandler');
+const interviewService = require('../services/interviewService');
+
+// ============================================================================
+// TAKVİM CONTROLLER'LARI
+// ============================================================================
+
+/**
+ * Mülakatı iCalendar (.ics) dosyası olarak döndürür
+ * @route GET /api/interviews/calendar/:token.ics
+ * @access Public (tahmin edilemez takvim anahtarı ile)
+ * @middleware validate(calendarTokenParamSchema, 'params')
+ * @returns {text/calendar} 200 - .ics dosyası
+ */
+const getCalendarByToken = catchAsync(async (req, res) => {
+  const { filename, content } = await interviewService.getCalendarByToken(req.params.token);
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).send(content);
+});
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+  getCalendarByToken
+};
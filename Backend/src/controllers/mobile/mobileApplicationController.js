@@ -8,12 +8,18 @@
  * - Başvuru detayı
  * - Başvuru oluşturma
  * - Başvuru geri çekme
+ * - Mülakat zamanı kabul etme
+ * - Başvuru mesajlaşması
  * 
  * Endpoint'ler:
  * - GET /api/mobile/applications - Başvuru listesi
  * - GET /api/mobile/applications/:applicationId - Başvuru detayı
  * - POST /api/mobile/applications - Başvuru oluştur
  * - PATCH /api/mobile/applications/:applicationId/withdraw - Başvuruyu geri çek (web backend ile uyumlu)
+ * - POST /api/mobile/applications/:applicationId/interview/accept - Mülakat zamanını kabul et
+ * - GET /api/mobile/applications/messages/unread - Okunmamış mesaj özeti
+ * - GET /api/mobile/applications/:applicationId/messages - Başvuru yazışması
+ * - POST /api/mobile/applications/:applicationId/messages - Mesaj gönder
  * 
  * Özellikler:
  * - Minimal response payload (mobile optimized)
@@ -34,6 +40,8 @@
 const { sendPaginated, sendSuccess } = require('../../utils/response');
 const { catchAsync } = require('../../utils/errorHandler');
 const mobileApplicationService = require('../../services/mobile/mobileApplicationService');
+const interviewService = require('../../services/interviewService');
+const applicationMessageService = require('../../services/applicationMessageService');
 
 const listApplications = catchAsync(async (req, res) => {
   const { page, limit, status_id, keyword, search } = req.query;
@@ -72,6 +80,29 @@ const withdrawApplication = catchAsync(async (req, res) => {
   return sendSuccess(res, 'Başvuru geri çekildi', { success: true });
 });
 
+const acceptInterviewSlot = catchAsync(async (req, res) => {
+  const { applicationId } = req.params;
+  const interview = await interviewService.acceptInterviewSlot(req.user.id, applicationId, req.body.slot_id);
+  return sendSuccess(res, 'Mülakat zamanı onaylandı', interview);
+});
+
+const getMessages = catchAsync(async (req, res) => {
+  const { applicationId } = req.params;
+  const data = await applicationMessageService.getThread(req.user.id, 'doctor', applicationId, { markRead: !req.impersonator });
+  return sendSuccess(res, 'Mesajlar getirildi', data);
+});
+
+const sendMessage = catchAsync(async (req, res) => {
+  const { applicationId } = req.params;
+  const message = await applicationMessageService.sendMessage(req.user.id, 'doctor', applicationId, req.body.body);
+  return sendSuccess(res, 'Mesaj gönderildi', message, 201);
+});
+
+const getUnreadMessages = catchAsync(async (req, res) => {
+  const data = await applicationMessageService.getUnreadSummary(req.user.id, 'doctor');
+  return sendSuccess(res, 'Okunmamış mesajlar', data);
+});
+
 // ============================================================================
 // MODULE EXPORTS
 // ============================================================================
@@ -80,6 +111,10 @@ module.exports = {
   listApplications,
   getApplicationDetail,
   createApplication,
-  withdrawApplication
+  withdrawApplication,
+  acceptInterviewSlot,
+  getMessages,
+  sendMessage,
+  getUnreadMessages
 };
 
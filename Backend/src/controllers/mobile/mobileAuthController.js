@@ -14,6 +14,9 @@
  * - POST /api/mobile/auth/refresh - Token yenileme
  * - POST /api/mobile/auth/logout - Çıkış
  * - POST /api/mobile/auth/forgot-password - Şifre sıfırlama talebi
+ * - POST /api/mobile/auth/resend-verification - E-posta doğrulama bağlantısını yeniden gönderme
+ * - GET /api/mobile/auth/sessions - Aktif oturumlar
+ * - DELETE /api/mobile/auth/sessions/:id - Oturum sonlandırma
  * 
  * Özellikler:
  * - Sadece doktor rolü için erişim
@@ -37,7 +40,7 @@ const mobileAuthService = require('../../services/mobile/mobileAuthService');
 
 const registerDoctor = catchAsync(async (req, res) => {
   const result = await mobileAuthService.registerDoctor(req.body, req);
-  return sendSuccess(res, 'Kayıt başarılı, admin onayı bekleniyor', result, 201);
+  return sendSuccess(res, 'Kayıt başarılı, e-posta doğrulama bağlantısı gönderildi. Admin onayı bekleniyor', result, 201);
 });
 
 const login = catchAsync(async (req, res) => {
@@ -48,7 +51,7 @@ const login = catchAsync(async (req, res) => {
 
 const refreshToken = catchAsync(async (req, res) => {
   const { refreshToken: token } = req.body;
-  const result = await mobileAuthService.refresh(token);
+  const result = await mobileAuthService.refresh(token, req);
   return sendSuccess(res, 'Token yenilendi', result);
 });
 
@@ -90,6 +93,20 @@ const forgotPassword = catchAsync(async (req, res) => {
   );
 });
 
+/**
+ * E-posta doğrulama bağlantısını yeniden gönderir - Web ile aynı mantık
+ * Hesabın varlığını açığa çıkarmamak için her zaman başarılı mesaj döner
+ */
+const resendVerification = catchAsync(async (req, res) => {
+  await mobileAuthService.resendVerification(req.body.email, req);
+
+  return sendSuccess(
+    res,
+    'Eğer doğrulanmamış bir hesabınız varsa, yeni doğrulama bağlantısı e-posta adresinize gönderildi.',
+    { success: true }
+  );
+});
+
 /**
  * Reset password using reset token
  * Requirements: 10.1, 10.2, 10.3
@@ -116,6 +133,26 @@ const logoutAll = catchAsync(async (req, res) => {
   return sendSuccess(res, 'Tüm oturumlar sonlandırıldı', result);
 });
 
+/**
+ * Active sessions (mevcut oturum is_current ile işaretlenir)
+ * GET /api/mobile/auth/sessions
+ */
+const getSessions = catchAsync(async (req, res) => {
+  const result = await mobileAuthService.getSessions(req.user.id, req.user.sessionId);
+  
+  return sendSuccess(res, 'Aktif oturumlar getirildi', result);
+});
+
+/**
+ * Revoke a single session (mevcut oturum sonlandırılamaz)
+ * DELETE /api/mobile/auth/sessions/:id
+ */
+const revokeSession = catchAsync(async (req, res) => {
+  const result = await mobileAuthService.revokeSession(req.user, req.params.id, req);
+  
+  return sendSuccess(res, 'Oturum sonlandırıldı', result);
+});
+
 /**
  * Mark onboarding as completed
  * POST /api/mobile/auth/mark-onboarding-completed
@@ -136,8 +173,11 @@ module.exports = {
   getMe,
   changePassword,
   forgotPassword,
+  resendVerification,
   resetPassword,
   logoutAll,
+  getSessions,
+  revokeSession,
   markOnboardingCompleted
 };
 
@@ -30,6 +30,9 @@
 const { sendSuccess } = require('../../utils/response');
 const { catchAsync } = require('../../utils/errorHandler');
 const mobileDoctorService = require('../../services/mobile/mobileDoctorService');
+const dataExportService = require('../../services/dataExportService');
+const accountDeletionService = require('../../services/accountDeletionService');
+const doctorPrivacyService = require('../../services/doctorPrivacyService');
 
 const getDashboard = catchAsync(async (req, res) => {
   const data = await mobileDoctorService.getDashboard(req.user.id);
@@ -151,6 +154,22 @@ const deleteLanguage = catchAsync(async (req, res) => {
   return sendSuccess(res, 'Dil bilgisi silindi', null);
 });
 
+// ============================================================================
+// CV PDF ENDPOINTS
+// ============================================================================
+
+const downloadCvPdf = catchAsync(async (req, res) => {
+  const { template, lang } = req.query;
+  const doctorService = require('../../services/doctorService');
+  const { pdf, fileName } = await doctorService.generateCvPdf(req.user.id, { template, lang });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('Content-Length', pdf.length);
+  res.setHeader('Cache-Control', 'no-store');
+  return res.end(pdf, 'binary');
+});
+
 // ============================================================================
 // PHOTO REQUEST ENDPOINTS
 // ============================================================================
@@ -182,8 +201,61 @@ const cancelPhotoRequest = catchAsync(async (req, res) => {
 // ============================================================================
 
 const deactivateAccount = catchAsync(async (req, res) => {
-  await mobileDoctorService.deactivateAccount(req.user.id);
-  return sendSuccess(res, 'Hesabınız başarıyla kapatıldı', null);
+  const result = await mobileDoctorService.deactivateAccount(req.user.id, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  return sendSuccess(res, accountDeletionService.buildDeletionNotice(result.deletion_scheduled_at), result);
+});
+
+const requestDataExport = catchAsync(async (req, res) => {
+  const data = await dataExportService.requestExport(req.user.id, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  return sendSuccess(res, 'Verileriniz hazırlanıyor. Hazır olduğunda bildirim alacaksınız.', data, 202);
+});
+
+const getDataExports = catchAsync(async (req, res) => {
+  const data = await dataExportService.getExportRequests(req.user.id);
+  return sendSuccess(res, 'Veri dışa aktarma talepleri', data);
+});
+
+const createDataExportDownloadLink = catchAsync(async (req, res) => {
+  const data = await dataExportService.createDownloadLink(req.user.id, req.params.id, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  return sendSuccess(res, 'İndirme bağlantısı oluşturuldu', data);
+});
+
+// ============================================================================
+// PROFILE PRIVACY ENDPOINTS
+// ============================================================================
+
+const getPrivacySettings = catchAsync(async (req, res) => {
+  const data = await doctorPrivacyService.getPrivacySettings(req.user.id);
+  return sendSuccess(res, 'Gizlilik ayarları', data);
+});
+
+const updatePrivacySettings = catchAsync(async (req, res) => {
+  const data = await doctorPrivacyService.updatePrivacySettings(req.user.id, req.body);
+  return sendSuccess(res, 'Gizlilik ayarları güncellendi', data);
+});
+
+const searchPrivacyHospitals = catchAsync(async (req, res) => {
+  const data = await doctorPrivacyService.searchHospitals(req.user.id, req.query.search);
+  return sendSuccess(res, 'Hastaneler', data);
+});
+
+const blockHospital = catchAsync(async (req, res) => {
+  const data = await doctorPrivacyService.blockHospital(req.user.id, req.body.hospital_id);
+  return sendSuccess(res, 'Hastane engellendi', data, 201);
+});
+
+const unblockHospital = catchAsync(async (req, res) => {
+  const data = await doctorPrivacyService.unblockHospital(req.user.id, req.params.hospitalId);
+  return sendSuccess(res, 'Hastane engeli kaldırıldı', data);
 });
 
 /**
@@ -233,6 +305,9 @@ module.exports = {
   updateLanguage,
   deleteLanguage,
   
+  // CV PDF
+  downloadCvPdf,
+  
   // Photo Request
   requestProfilePhotoChange,
   getPhotoRequestStatus,
@@ -241,6 +316,16 @@ module.exports = {
   
   // Account Management
   deactivateAccount,
+  requestDataExport,
+  getDataExports,
+  createDataExportDownloadLink,
+  
+  // Profile Privacy
+  getPrivacySettings,
+  updatePrivacySettings,
+  searchPrivacyHospitals,
+  blockHospital,
+  unblockHospital,
   
   // Profile Update Notification
   sendProfileUpdateNotification
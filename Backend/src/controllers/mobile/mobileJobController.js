@@ -6,10 +6,16 @@
  * Ana İşlevler:
  * - İş ilanları listesi (pagination, filters)
  * - İş ilanı detayı
+ * - Kaydedilen (favori) ilanlar
+ * - Kayıtlı aramalar
  * 
  * Endpoint'ler:
  * - GET /api/mobile/jobs - İş ilanları listesi
+ * - GET /api/mobile/jobs/favorites - Kaydedilen ilanlar
+ * - GET/POST /api/mobile/jobs/saved-searches - Kayıtlı aramalar
+ * - PATCH/DELETE /api/mobile/jobs/saved-searches/:searchId - Kayıtlı arama güncelle / sil
  * - GET /api/mobile/jobs/:jobId - İş ilanı detayı
+ * - POST/DELETE /api/mobile/jobs/:jobId/favorite - İlanı kaydet / kaydedilenlerden çıkar
  * 
  * Özellikler:
  * - Minimal response payload (mobile optimized)
@@ -42,7 +48,11 @@ const listJobs = catchAsync(async (req, res) => {
     keyword, 
     search, 
     employment_type,
-    min_experience_years
+    min_experience_years,
+    min_salary,
+    salary_currency,
+    provides_housing,
+    provides_transport
   } = req.query;
   
   const result = await mobileJobService.listJobs(req.user.id, {
@@ -55,7 +65,11 @@ const listJobs = catchAsync(async (req, res) => {
       hospital_id,
       keyword: keyword || search, // search parametresini de destekle
       employment_type,
-      min_experience_years
+      min_experience_years,
+      min_salary,
+      salary_currency,
+      provides_housing,
+      provides_transport
     }
   });
 
@@ -75,12 +89,60 @@ const getJobDetail = catchAsync(async (req, res) => {
   return sendSuccess(res, 'İlan detayı', data);
 });
 
+const listFavoriteJobs = catchAsync(async (req, res) => {
+  const { page, limit } = req.query;
+  const result = await mobileJobService.listFavoriteJobs(req.user.id, { page, limit });
+  return sendPaginated(
+    res,
+    'Kaydedilen ilanlar listelendi',
+    result.data,
+    result.pagination
+  );
+});
+
+const addFavoriteJob = catchAsync(async (req, res) => {
+  const data = await mobileJobService.addFavoriteJob(req.user.id, req.params.jobId);
+  return sendSuccess(res, 'İlan kaydedildi', data, 201);
+});
+
+const removeFavoriteJob = catchAsync(async (req, res) => {
+  const data = await mobileJobService.removeFavoriteJob(req.user.id, req.params.jobId);
+  return sendSuccess(res, 'İlan kaydedilenlerden çıkarıldı', data);
+});
+
+const listSavedSearches = catchAsync(async (req, res) => {
+  const data = await mobileJobService.listSavedSearches(req.user.id);
+  return sendSuccess(res, 'Kayıtlı aramalar listelendi', data);
+});
+
+const createSavedSearch = catchAsync(async (req, res) => {
+  const data = await mobileJobService.createSavedSearch(req.user.id, req.body);
+  return sendSuccess(res, 'Arama kaydedildi', data, 201);
+});
+
+const updateSavedSearch = catchAsync(async (req, res) => {
+  const data = await mobileJobService.updateSavedSearch(req.user.id, req.params.searchId, req.body);
+  return sendSuccess(res, 'Kayıtlı arama güncellendi', data);
+});
+
+const deleteSavedSearch = catchAsync(async (req, res) => {
+  const data = await mobileJobService.deleteSavedSearch(req.user.id, req.params.searchId);
+  return sendSuccess(res, 'Kayıtlı arama silindi', data);
+});
+
 // ============================================================================
 // MODULE EXPORTS
 // ============================================================================
 
 module.exports = {
   listJobs,
-  getJobDetail
+  getJobDetail,
+  listFavoriteJobs,
+  addFavoriteJob,
+  removeFavoriteJob,
+  listSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
 };
 
@@ -12,6 +12,7 @@
  * - GET /api/mobile/notifications - Bildirim listesi
  * - POST /api/mobile/notifications/:notificationId/read - Bildirimi okundu işaretle
  * - POST /api/mobile/device-token - Device token kaydı (push notification için)
+ * - GET/PUT /api/mobile/notifications/settings - Bildirim tercihleri ve sessiz saatler
  * 
  * Özellikler:
  * - Minimal response payload (mobile optimized)
@@ -32,6 +33,7 @@
 const { sendSuccess } = require('../../utils/response');
 const { catchAsync } = require('../../utils/errorHandler');
 const mobileNotificationService = require('../../services/mobile/mobileNotificationService');
+const notificationPreferenceService = require('../../services/notificationPreferenceService');
 
 const listNotifications = catchAsync(async (req, res) => {
   const { page, limit, is_read } = req.query;
@@ -127,6 +129,26 @@ const clearReadNotifications = catchAsync(async (req, res) => {
   return sendSuccess(res, 'Okunmuş bildirimler temizlendi', { count: result.count });
 });
 
+/**
+ * Bildirim tercihlerini getir (kategori × kanal, sessiz saatler)
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+const getSettings = catchAsync(async (req, res) => {
+  const settings = await notificationPreferenceService.getPreferences(req.user.id, req.user.role);
+  return sendSuccess(res, 'Bildirim tercihleri getirildi', settings);
+});
+
+/**
+ * Bildirim tercihlerini güncelle
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+const updateSettings = catchAsync(async (req, res) => {
+  const settings = await notificationPreferenceService.updatePreferences(req.user.id, req.user.role, req.body);
+  return sendSuccess(res, 'Bildirim tercihleri güncellendi', settings);
+});
+
 module.exports = {
   listNotifications,
   markAsRead,
@@ -135,6 +157,8 @@ module.exports = {
   deleteNotification,
   deleteNotifications,
   markAllAsRead,
-  clearReadNotifications
+  clearReadNotifications,
+  getSettings,
+  updateSettings
 };
 
@@ -20,6 +20,10 @@
  * HTTP Endpoint'leri:
  * - GET /api/notifications - Bildirim listesi (tüm kullanıcılar)
  * - GET /api/notifications/unread-count - Okunmamış sayısı (tüm kullanıcılar)
+ * - GET /api/notifications/messages/unread - Okunmamış başvuru mesajları (doktor, hastane)
+ * - GET /api/notifications/settings - Bildirim tercihleri ve sessiz saatler (doktor, hastane)
+ * - PUT /api/notifications/settings - Bildirim tercihlerini güncelle (doktor, hastane)
+ * - POST /api/notifications/email/unsubscribe - Tek tıkla e-posta aboneliğinden çık (public, token ile)
  * - PATCH /api/notifications/mark-all-read - Tümünü okundu işaretle (tüm kullanıcılar)
  * - POST /api/notifications/send - Bildirim gönder (sadece admin)
  * 
@@ -35,6 +39,9 @@ const { sendSuccess } = require('../utils/response');
 const { AppError, catchAsync } = require('../utils/errorHandler');
 const logger = require('../utils/logger');
 const sseManager = require('../utils/sseManager');
+const applicationMessageService = require('../services/applicationMessageService');
+const emailNotificationService = require('../services/emailNotificationService');
+const notificationPreferenceService = require('../services/notificationPreferenceService');
 
 // ============================================================================
 // BİLDİRİM LİSTELEME VE GETİRME
@@ -103,6 +110,23 @@ const getUnreadCount = catchAsync(async (req, res) => {
   return sendSuccess(res, 'Okunmamış bildirim sayısı getirildi', { count });
 });
 
+/**
+ * Okunmamış başvuru mesajlarının özetini getir
+ * @description Bildirim zilinde gösterilen toplam sayı ve son yazışmalar.
+ * Adminler yazışmalara katılmadığı için boş özet döner.
+ * @param {Object} req - Express request nesnesi
+ * @param {Object} res - Express response nesnesi
+ * @returns {Promise<void>} { count, threads }
+ */
+const getUnreadMessageSummary = catchAsync(async (req, res) => {
+  if (!['doctor', 'hospital'].includes(req.user.role)) {
+    return sendSuccess(res, 'Okunmamış mesajlar getirildi', { count: 0, threads: [] });
+  }
+
+  const summary = await applicationMessageService.getUnreadSummary(req.user.id, req.user.role);
+  return sendSuccess(res, 'Okunmamış mesajlar getirildi', summary);
+});
+
 /**
  * Tek bir bildirimi getir
  * @description Bildirim sahibi veya admin tarafından tek bir bildirimi getirir
@@ -439,6 +463,55 @@ const streamNotifications = catchAsync(async (req, res) => {
   });
 });
 
+// ============================================================================
+// BİLDİRİM TERCİHLERİ
+// ============================================================================
+
+/**
+ * Bildirim tercihlerini getir
+ * @description Kullanıcının rolüne uygun kategoriler, kanal durumları (inapp, push, email) ve sessiz saatler
+ * @param {Object} req - Express request nesnesi
+ * @param {Object} res - Express response nesnesi
+ * @returns {Promise<void>} { categories, quiet_hours }
+ */
+const getNotificationSettings = catchAsync(async (req, res) => {
+  const settings = await notificationPreferenceService.getPreferences(req.user.id, req.user.role);
+  return sendSuccess(res, 'Bildirim tercihleri getirildi', settings);
+});
+
+/**
+ * Bildirim tercihlerini güncelle
+ * @param {Object} req - Express request nesnesi (body.categories, body.quiet_hours)
+ * @param {Object} res - Express response nesnesi
+ * @returns {Promise<void>} { categories, quiet_hours }
+ */
+const updateNotificationSettings = catchAsync(async (req, res) => {
+  const settings = await notificationPreferenceService.updatePreferences(req.user.id, req.user.role, req.body);
+  return sendSuccess(res, 'Bildirim tercihleri güncellendi', settings);
+});
+
+// ============================================================================
+// E-POSTA ABONELİĞİ
+// ============================================================================
+
+/**
+ * Tek tıkla e-posta aboneliğinden çık
+ * @description Oturum gerektirmez; token e-postadaki bağlantıdan gelir.
+ * Web sayfası token'ı body'de, posta istemcileri (List-Unsubscribe-Post) query'de gönderir.
+ * @param {Object} req - Express request nesnesi
+ * @param {Object} res - Express response nesnesi
+ * @returns {Promise<void>} { category, label }
+ */
+const unsubscribeEmail = catchAsync(async (req, res) => {
+  const token = req.body?.token || req.query.token;
+  if (!token || typeof token !== 'string') {
+    throw new AppError('Abonelikten çıkma bağlantısı eksik', 400);
+  }
+
+  const result = await emailNotificationService.unsubscribeByToken(token);
+  return sendSuccess(res, `"${result.label}" e-postalarından çıkarıldınız`, result);
+});
+
 // ============================================================================
 // MODULE EXPORTS
 // ============================================================================
@@ -447,6 +520,7 @@ module.exports = {
   // Bildirim listeleme ve getirme
   getNotifications,
   getUnreadCount,
+  getUnreadMessageSummary,
   getNotificationById,
   
   // Bildirim durumu yönetimi
@@ -464,5 +538,10 @@ module.exports = {
   getNotificationStats,
   
   // SSE endpoint
-  streamNotifications
+  streamNotifications,
+
+  // Bildirim tercihleri
+  getNotificationSettings,
+  updateNotificationSettings,
+  unsubscribeEmail
 };
\ No newline at end of file
@@ -1,15 +1,50 @@
+/**
+ * @file pdfController.js
+ * @description İlan ve başvuru PDF'leri ile paylaşılabilir PDF bağlantıları controller'ı.
+ * Erişim kontrolü route seviyesinde pdfAccessMiddleware.requirePdfAccess ile yapılır;
+ * paylaşım bağlantısı kuralları pdfShareService'te, PDF verisinin hazırlanması pdfDataService'tedir.
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
 const pdfService = require('../services/pdfService');
-const { db } = require('../config/dbConfig');
+const pdfShareService = require('../services/pdfShareService');
+const { getJobPdfData, getApplicationPdfData } = require('../services/pdfDataService');
 const logger = require('../utils/logger');
+const { sendSuccess } = require('../utils/response');
+
+/**
+ * PDF'i yanıt olarak gönderir
+ * @param {Response} res
+ * @param {Buffer} pdfBuffer
+ * @param {string} disposition - 'attachment; filename="..."' veya 'inline'
+ */
+const sendPdf = (res, pdfBuffer, disposition) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', disposition);
+  res.setHeader('Content-Length', pdfBuffer.length);
+  res.setHeader('Cache-Control', 'no-cache');
+
+  // Send PDF as buffer (not string)
+  res.end(pdfBuffer, 'binary');
+};
+
+const sendPdfError = (res, error, defaultMessage) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.isOperational ? error.message : defaultMessage,
+    error: error.message
+  });
+};
+
+const getRequestContext = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent')
+});
 
 class PDFController {
-  /**
-   * Test PDF generation
-   */
-  async generateTestPDF(testData) {
-    return await pdfService.generateJobPostingPDF(testData);
-  }
-
   /**
    * Generate Job Posting PDF
    * GET /api/pdf/job/:jobId
@@ -18,83 +53,23 @@ class PDFController {
     try {
       const { jobId } = req.params;
 
-      // Fetch job details from database using Knex (doctorService pattern)
-      const job = await db('jobs as j')
-        .join('hospital_profiles as hp', 'j.hospital_id', 'hp.id')
-        .join('job_statuses as js', 'j.status_id', 'js.id')
-        .join('specialties as s', 'j.specialty_id', 's.id')
-        .leftJoin('cities as c', 'j.city_id', 'c.id')
-        .leftJoin('cities as hc', 'hp.city_id', 'hc.id')
-        .leftJoin('subspecialties as ss', 'j.subspecialty_id', 'ss.id')
-        .where('j.id', jobId)
-        .whereNull('j.deleted_at')
-        .select(
-          'j.*',
-          'js.name as status',
-          's.name as specialty',
-          'c.name as city',
-          'ss.name as subspecialty_name',
-          'hp.institution_name',
-          'hp.logo',
-          'hp.address as hospital_address',
-          'hp.phone as hospital_phone',
-          'hp.email as hospital_email',
-          'hp.website as hospital_website',
-          'hc.name as hospital_city'
-        )
-        .first();
-
-      if (!job) {
+      const pdfData = await getJobPdfData(jobId);
+      if (!pdfData) {
         return res.status(404).json({
           success: false,
           message: 'İlan bulunamadı'
         });
       }
 
-      // Prepare data for PDF (doctorService pattern)
-      const pdfData = {
-        jobId: job.id,
-        hospitalName: job.institution_name,
-        hospitalLogo: job.logo,
-        hospitalCity: job.hospital_city,
-        hospitalAddress: job.hospital_address,
-        hospitalPhone: job.hospital_phone,
-        hospitalEmail: job.hospital_email,
-        hospitalWebsite: job.hospital_website,
-        jobTitle: job.title,
-        workType: job.employment_type,
-        region: job.city || 'Belirtilmemiş',
-        status: job.status,
-        specialty: job.specialty,
-        subSpecialty: job.subspecialty_name,
-        minExperience: job.min_experience_years,
-        requirements: job.requirements,
-        description: job.description,
-        workingHours: job.working_hours,
-        benefits: job.benefits,
-        createdAt: job.created_at
-      };
-
       // Generate PDF
       const pdfBuffer = await pdfService.generateJobPostingPDF(pdfData);
       logger.info('PDF Buffer generated', { length: pdfBuffer.length });
 
-      // Set response headers
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `attachment; filename="ilan-${jobId}.pdf"`);
-      res.setHeader('Content-Length', pdfBuffer.length);
-      res.setHeader('Cache-Control', 'no-cache');
-
-      // Send PDF as buffer (not string)
-      res.end(pdfBuffer, 'binary');
+      sendPdf(res, pdfBuffer, `attachment; filename="ilan-${jobId}.pdf"`);
 
     } catch (error) {
       logger.error('Job PDF generation error', { error: error.message, stack: error.stack });
-      res.status(500).json({
-        success: false,
-        message: 'PDF oluşturulurken bir hata oluştu',
-        error: error.message
-      });
+      sendPdfError(res, error, 'PDF oluşturulurken bir hata oluştu');
     }
   }
 
@@ -106,147 +81,22 @@ class PDFController {
     try {
       const { applicationId } = req.params;
 
-      // Fetch application details with doctor and job info using Knex (hospitalService pattern)
-      const application = await db('applications as a')
-        .join('doctor_profiles as dp', 'a.doctor_profile_id', 'dp.id')
-        .join('users as u', 'dp.user_id', 'u.id')
-        .join('application_statuses as ast', 'a.status_id', 'ast.id')
-        .join('jobs as j', 'a.job_id', 'j.id')
-        .join('hospital_profiles as hp', 'j.hospital_id', 'hp.id')
-        .leftJoin('cities as rc', 'dp.residence_city_id', 'rc.id')
-        .leftJoin('cities as hc', 'hp.city_id', 'hc.id')
-        .leftJoin('specialties as s', 'dp.specialty_id', 's.id')
-        .leftJoin('subspecialties as ss', 'dp.subspecialty_id', 'ss.id')
-        .where('a.id', applicationId)
-        .whereNull('a.deleted_at')
-        .whereNull('j.deleted_at')
-        .select(
-          'a.*',
-          'dp.first_name',
-          'dp.last_name',
-          'dp.phone',
-          'dp.dob',
-          'dp.profile_photo',
-          'dp.title as doctor_title',
-          'u.email',
-          's.name as specialty_name',
-          'ss.name as subspecialty_name',
-          'rc.name as city_name',
-          'j.title as job_title',
-          'j.description as job_description',
-          'j.employment_type',
-          'hp.institution_name as hospital_name',
-          'hp.logo as hospital_logo',
-          'hp.address as hospital_address',
-          'hp.phone as hospital_phone',
-          'hp.email as hospital_email',
-          'hp.website as hospital_website',
-          'hc.name as hospital_city',
-          'ast.name as status_name'
-        )
-        .first();
-
-      if (!application) {
+      const pdfData = await getApplicationPdfData(applicationId);
+      if (!pdfData) {
         return res.status(404).json({
           success: false,
           message: 'Başvuru bulunamadı'
         });
       }
 
-      // Fetch doctor's education (hospitalService pattern - de.* kullan)
-      const educationResult = await db('doctor_educations as de')
-        .leftJoin('doctor_education_types as det', 'de.education_type_id', 'det.id')
-        .where('de.doctor_profile_id', application.doctor_profile_id)
-        .whereNull('de.deleted_at')
-        .select(
-          'de.*',
-          'det.name as education_type_name'
-        )
-        .orderBy('de.graduation_year', 'desc');
-
-      // Fetch doctor's experience (hospitalService pattern - dex.* kullan)
-      const experienceResult = await db('doctor_experiences as dex')
-        .leftJoin('specialties as s', 'dex.specialty_id', 's.id')
-        .leftJoin('subspecialties as ss', 'dex.subspecialty_id', 'ss.id')
-        .where('dex.doctor_profile_id', application.doctor_profile_id)
-        .whereNull('dex.deleted_at')
-        .select(
-          'dex.*',
-          's.name as specialty_name',
-          'ss.name as subspecialty_name'
-        )
-        .orderBy('dex.start_date', 'desc');
-
-      // Fetch doctor's certificates (hospitalService pattern - dc.* kullan)
-      const certificatesResult = await db('doctor_certificates as dc')
-        .where('dc.doctor_profile_id', application.doctor_profile_id)
-        .whereNull('dc.deleted_at')
-        .select('dc.*')
-        .orderBy('dc.certificate_year', 'desc');
-
-      // Fetch doctor's languages (hospitalService pattern - dl.* kullan)
-      const languagesResult = await db('doctor_languages as dl')
-        .join('languages as l', 'dl.language_id', 'l.id')
-        .join('language_levels as ll', 'dl.level_id', 'll.id')
-        .where('dl.doctor_profile_id', application.doctor_profile_id)
-        .whereNull('dl.deleted_at')
-        .select(
-          'dl.*',
-          'l.name as language_name',
-          'll.name as level_name'
-        );
-
-      // Prepare data for PDF
-      const pdfData = {
-        applicationId: application.id,
-        jobTitle: application.job_title,
-        jobDescription: application.job_description,
-        employmentType: application.employment_type,
-        hospitalName: application.hospital_name,
-        hospitalLogo: application.hospital_logo,
-        hospitalCity: application.hospital_city,
-        hospitalAddress: application.hospital_address,
-        hospitalPhone: application.hospital_phone,
-        hospitalEmail: application.hospital_email,
-        hospitalWebsite: application.hospital_website,
-        applicationDate: application.applied_at,
-        status: application.status_name,
-        doctorNote: application.cover_letter,
-        doctor: {
-          fullName: `${application.doctor_title || ''} ${application.first_name} ${application.last_name}`.trim(),
-          email: application.email,
-          phone: application.phone,
-          birthDate: application.dob,
-          city: application.city_name,
-          specialty: application.specialty_name,
-          subSpecialty: application.subspecialty_name,
-          profilePhoto: application.profile_photo,
-          education: educationResult || [],
-          experience: experienceResult || [],
-          certificates: certificatesResult || [],
-          languages: languagesResult || []
-        }
-      };
-
       // Generate PDF
       const pdfBuffer = await pdfService.generateApplicationPDF(pdfData);
 
-      // Set response headers
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `attachment; filename="basvuru-${applicationId}.pdf"`);
-      res.setHeader('Content-Length', pdfBuffer.length);
-      res.setHeader('Cache-Control', 'no-cache');
-
-      // Send PDF as buffer (not string)
-      res.end(pdfBuffer, 'binary');
+      sendPdf(res, pdfBuffer, `attachment; filename="basvuru-${applicationId}.pdf"`);
 
     } catch (error) {
       logger.error('Application PDF generation error', { error: error.message, stack: error.stack });
-      res.status(500).json({
-        success: false,
-        message: 'PDF oluşturulurken bir hata oluştu',
-        error: error.message
-      });
+      sendPdfError(res, error, 'PDF oluşturulurken bir hata oluştu');
     }
   }
 
@@ -258,77 +108,104 @@ class PDFController {
     try {
       const { jobId } = req.params;
 
-      // Same logic as generateJobPDF but with inline disposition using Knex
-      const job = await db('jobs as j')
-        .join('hospital_profiles as hp', 'j.hospital_id', 'hp.id')
-        .join('job_statuses as js', 'j.status_id', 'js.id')
-        .join('specialties as s', 'j.specialty_id', 's.id')
-        .leftJoin('cities as c', 'j.city_id', 'c.id')
-        .leftJoin('cities as hc', 'hp.city_id', 'hc.id')
-        .leftJoin('subspecialties as ss', 'j.subspecialty_id', 'ss.id')
-        .where('j.id', jobId)
-        .whereNull('j.deleted_at')
-        .select(
-          'j.*',
-          'js.name as status',
-          's.name as specialty',
-          'c.name as city',
-          'ss.name as subspecialty_name',
-          'hp.institution_name',
-          'hp.logo',
-          'hp.address as hospital_address',
-          'hp.phone as hospital_phone',
-          'hp.email as hospital_email',
-          'hp.website as hospital_website',
-          'hc.name as hospital_city'
-        )
-        .first();
-
-      if (!job) {
+      const pdfData = await getJobPdfData(jobId);
+      if (!pdfData) {
         return res.status(404).json({
           success: false,
           message: 'İlan bulunamadı'
         });
       }
 
-      const pdfData = {
-        jobId: job.id,
-        hospitalName: job.institution_name,
-        hospitalLogo: job.logo,
-        hospitalCity: job.hospital_city,
-        hospitalAddress: job.hospital_address,
-        hospitalPhone: job.hospital_phone,
-        hospitalEmail: job.hospital_email,
-        hospitalWebsite: job.hospital_website,
-        jobTitle: job.title,
-        workType: job.employment_type,
-        region: job.city || 'Belirtilmemiş',
-        status: job.status,
-        specialty: job.specialty,
-        subSpecialty: job.subspecialty_name,
-        minExperience: job.min_experience_years,
-        requirements: job.requirements,
-        description: job.description,
-        workingHours: job.working_hours,
-        benefits: job.benefits,
-        createdAt: job.created_at
-      };
-
       const pdfBuffer = await pdfService.generateJobPostingPDF(pdfData);
 
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', 'inline');
-      res.setHeader('Content-Length', pdfBuffer.length);
-      res.setHeader('Cache-Control', 'no-cache');
-      res.end(pdfBuffer, 'binary');
+      sendPdf(res, pdfBuffer, 'inline');
 
     } catch (error) {
       logger.error('Job PDF preview error', { error: error.message, stack: error.stack });
-      res.status(500).json({
-        success: false,
-        message: 'PDF önizlemesi oluşturulurken bir hata oluştu',
-        error: error.message
-      });
+      sendPdfError(res, error, 'PDF önizlemesi oluşturulurken bir hata oluştu');
+    }
+  }
+
+  // ============================================================================
+  // PAYLAŞIM BAĞLANTILARI
+  // ============================================================================
+
+  /**
+   * Süreli, imzalı paylaşım bağlantısı oluştur
+   * POST /api/pdf/share-links
+   */
+  async createShareLink(req, res, next) {
+    try {
+      const link = await pdfShareService.createShareLink(req.user, req.body, getRequestContext(req));
+      return sendSuccess(res, 'Paylaşım bağlantısı oluşturuldu', link, 201);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Bir ilan / başvurunun paylaşım bağlantıları
+   * GET /api/pdf/share-links?resource_type=&resource_id=
+   */
+  async getShareLinks(req, res, next) {
+    try {
+      const links = await pdfShareService.getShareLinks(req.user, req.query);
+      return sendSuccess(res, 'Paylaşım bağlantıları getirildi', links);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Paylaşım bağlantısını iptal et
+   * DELETE /api/pdf/share-links/:id
+   */
+  async revokeShareLink(req, res, next) {
+    try {
+      const link = await pdfShareService.revokeShareLink(req.user, req.params.id, getRequestContext(req));
+      return sendSuccess(res, 'Paylaşım bağlantısı iptal edildi', link);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Paylaşım bağlantısının erişim kayıtları
+   * GET /api/pdf/share-links/:id/accesses
+   */
+  async getShareLinkAccesses(req, res, next) {
+    try {
+      const accesses = await pdfShareService.getShareLinkAccesses(req.user, req.params.id);
+      return sendSuccess(res, 'Erişim kayıtları getirildi', accesses);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * İmzalı bağlantı ile PDF'i tarayıcıda aç (oturum gerektirmez)
+   * GET /api/pdf/shared/:linkId?expires=&signature=
+   */
+  async viewSharedPDF(req, res) {
+    try {
+      const { resource_type: resourceType, resource_id: resourceId } = await pdfShareService.resolveSharedLink(
+        req.params.linkId,
+        req.query,
+        getRequestContext(req)
+      );
+
+      const pdfBuffer = resourceType === 'job'
+        ? await pdfService.generateJobPostingPDF(await getJobPdfData(resourceId))
+        : await pdfService.generateApplicationPDF(await getApplicationPdfData(resourceId));
+
+      const fileName = resourceType === 'job' ? `ilan-${resourceId}.pdf` : `basvuru-${resourceId}.pdf`;
+      // Paylaşılan belge arama motorlarında indekslenmemeli
+      res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+      sendPdf(res, pdfBuffer, `inline; filename="${fileName}"`);
+
+    } catch (error) {
+      logger.error('Shared PDF error', { error: error.message });
+      sendPdfError(res, error, 'PDF oluşturulurken bir hata oluştu');
     }
   }
 }
@@ -8,12 +8,14 @@
  * - authenticateToken: Ana kimlik doğrulama middleware'i
  * - optionalAuth: Opsiyonel kimlik doğrulama middleware'i
  * - authMiddleware: authenticateToken için alias
+ * - blockImpersonation: Kullanıcı olarak görüntülemede hassas hesap işlemlerini engeller
  * 
  * Güvenlik Özellikleri:
  * - JWT token doğrulama
  * - Kullanıcı durumu kontrolü (is_active, is_approved)
  * - Admin muafiyeti (admin için durum kontrolleri yapılmaz)
  * - Token süresi kontrolü
+ * - Oturum kontrolü (sonlandırılan oturumun access token'ı süresi dolmadan reddedilir)
  * - Veritabanı güncel durum kontrolü
  * 
  * İşlem Adımları:
@@ -30,10 +32,12 @@
  */
 
 // ==================== DEPENDENCIES ====================
-const { verifyAccessToken } = require('../utils/jwtUtils');
+const { verifyAccessToken, isSessionActive } = require('../utils/jwtUtils');
 const { AppError } = require('../utils/errorHandler');
 const logger = require('../utils/logger');
 const db = require('../config/dbConfig').db;
+const hospitalMemberService = require('../services/hospitalMemberService');
+const impersonationService = require('../services/impersonationService');
 // ==================== END DEPENDENCIES ====================
 
 // ==================== MAIN AUTHENTICATION MIDDLEWARE ====================
@@ -97,6 +101,12 @@ const authenticateToken = async (req, res, next) => {
       throw new AppError('Geçersiz token payload', 401);
     }
 
+    // Oturum sonlandırıldıysa (DELETE /auth/sessions/:id, çıkış, tüm cihazlardan çıkış) access token'ı da
+    // geçersizdir. 'sid' alanı olmayan eski token'lar süreleri dolana kadar kabul edilir.
+    if (decoded.sid !== undefined && decoded.sid !== null && !(await isSessionActive(decoded.sid))) {
+      throw new AppError('Oturumunuz sonlandırılmış. Lütfen tekrar giriş yapın.', 401);
+    }
+
     // 4. Kullanıcıyı veritabanından getirme
     // Token payload'ına güvenmek yerine, kullanıcının en güncel durumunu kontrol etmek için
     // her istekte veritabanı sorgusu yapılır. Bu, güvenliği artırır.
@@ -130,6 +140,12 @@ const authenticateToken = async (req, res, next) => {
       throw new AppError('Hesabınız admin onayını bekliyor', 403);
     }
 
+    // Hastane kullanıcıları bir hastane profiline ekip üyeliğiyle bağlıdır; sahip hesap
+    // pasifleştirilir veya onayı kaldırılırsa ekip üyeleri de erişemez
+    const hospitalMembership = user.role === 'hospital'
+      ? await hospitalMemberService.assertActiveMembership(user.id)
+      : null;
+
     // 6. req.user nesnesine kullanıcı bilgilerini ekleme
     // Sonraki middleware ve controller'ların kullanabilmesi için gerekli kullanıcı bilgileri
     // Boolean değerlere çevirilmiş değerleri kullan (tutarlılık için)
@@ -137,10 +153,29 @@ const authenticateToken = async (req, res, next) => {
       id: user.id,
       email: user.email,
       role: user.role,
+      // Admin alt rolü (roleGuard.requirePermission için; admin dışı rollerde null)
+      adminRole: user.admin_role ?? null,
+      // Hastane ekip bilgisi (roleGuard.requireHospitalRole için; hastane dışı rollerde null)
+      hospitalProfileId: hospitalMembership?.hospital_profile_id ?? null,
+      hospitalRole: hospitalMembership?.role ?? null,
       isApproved: isApproved,
-      isActive: isActive
+      isActive: isActive,
+      // Oturumun refresh token kaydı ID'si (aktif oturumlar listesinde mevcut oturumu işaretlemek için)
+      // 'sid' alanı olmayan eski token'larda null kalır
+      sessionId: decoded.sid ?? null
     };
 
+    // 7. Kullanıcı olarak görüntüleme (admin token'ı): isteği yapan admin req.impersonator'a eklenir,
+    // her istek audit log'a yazılır, salt okuma modunda yazma istekleri reddedilir
+    if (decoded.imp) {
+      if (user.role === 'admin') {
+        throw new AppError('Geçersiz token', 401);
+      }
+      req.impersonator = await impersonationService.resolveImpersonator(decoded.imp);
+      impersonationService.recordImpersonatedRequest(req, res);
+      impersonationService.assertAllowedMethod(req.impersonator, req.method);
+    }
+
     // Log'u kaldırdık - her request'te log atmak yerine sadece login endpoint'inde log atılıyor
     // Bu sayede infinite loop ve gereksiz log kayıtları önleniyor
     
@@ -227,6 +262,25 @@ const optionalAuth = async (req, res, next) => {
 };
 // ==================== END OPTIONAL AUTHENTICATION MIDDLEWARE ====================
 
+// ==================== IMPERSONATION GUARD ====================
+
+/**
+ * Kullanıcı olarak görüntülemede hassas hesap işlemlerini engeller
+ * @description Yazma izni verilmiş görüntüleme oturumlarında bile şifre, iki adımlı doğrulama,
+ * oturum ve hesap kapatma işlemleri yalnızca hesabın kendisi tarafından yapılabilir.
+ * authMiddleware'den sonra kullanılır.
+ * 
+ * @example
+ * router.post('/change-password', authMiddleware, blockImpersonation, authController.changePassword);
+ */
+const blockImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return next(new AppError('Bu işlem kullanıcı olarak görüntüleme sırasında yapılamaz', 403));
+  }
+  next();
+};
+// ==================== END IMPERSONATION GUARD ====================
+
 // ==================== ALIASES & EXPORTS ====================
 
 /**
@@ -245,6 +299,9 @@ module.exports = {
   authMiddleware,
   
   // Optional Authentication Middleware
-  optionalAuth
+  optionalAuth,
+  
+  // Impersonation Guard
+  blockImpersonation
 };
 // ==================== END ALIASES & EXPORTS ====================
@@ -0,0 +1,43 @@
+/**
+ * @file pdfAccessMiddleware.js
+ * @description PDF route'ları için ortak erişim politikası middleware'i.
+ * authMiddleware'den sonra çalışır; kararı pdfShareService.assertPdfAccess verir
+ * (admin: tümü, hastane: kendi ilan ve başvuruları, doktor: kendi başvuruları ve yayındaki ilanlar).
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+const { AppError } = require('../utils/errorHandler');
+const pdfShareService = require('../services/pdfShareService');
+
+/**
+ * PDF erişim kontrolü middleware factory
+ * @param {string} resourceType - 'job' | 'application'
+ * @param {string} paramName - Kaynak ID'sini taşıyan route parametresi
+ * @returns {function} Express middleware fonksiyonu
+ *
+ * @example
+ * router.get('/application/:applicationId', authMiddleware, requirePdfAccess('application', 'applicationId'), pdfController.generateApplicationPDF);
+ */
+const requirePdfAccess = (resourceType, paramName) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        throw new AppError('Kullanıcı kimlik doğrulaması gerekli', 401);
+      }
+
+      req.pdfResource = await pdfShareService.assertPdfAccess(req.user, resourceType, req.params[paramName]);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  requirePdfAccess
+};
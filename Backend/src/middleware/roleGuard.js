@@ -11,6 +11,8 @@
  * - requireHospital: Sadece hospital rolüne sahip kullanıcılar için
  * - requireDoctorOrHospital: Doctor veya hospital rolleri için
  * - requireUser: Standart kullanıcı rolleri için (doctor, hospital)
+ * - requirePermission: Admin alt rolünün belirli bir izne sahip olmasını gerektirir
+ * - requireHospitalRole: Hastane ekip üyesinin en az belirli bir role sahip olmasını gerektirir
  * - requireOwnership: Sahiplik kontrolü (kullanıcı sadece kendi kaynaklarına erişebilir)
  * 
  * Güvenlik Özellikleri:
@@ -34,7 +36,7 @@
 
 // ==================== DEPENDENCIES ====================
 const { AppError } = require('../utils/errorHandler');
-const { USER_ROLES } = require('../config/appConstants');
+const { USER_ROLES, ADMIN_SUB_ROLES, DEFAULT_ADMIN_SUB_ROLE, HOSPITAL_MEMBER_ROLES } = require('../config/appConstants');
 const logger = require('../utils/logger');
 // ==================== END DEPENDENCIES ====================
 
@@ -158,6 +160,96 @@ const requireDoctorOrHospital = requireRole([USER_ROLES.DOCTOR, USER_ROLES.HOSPI
 const requireUser = requireRole([USER_ROLES.DOCTOR, USER_ROLES.HOSPITAL]);
 // ==================== END PREDEFINED ROLE GUARDS ====================
 
+// ==================== ADMIN PERMISSIONS ====================
+
+/**
+ * Kullanıcının admin izinlerini döndürür
+ * @description Admin olmayan kullanıcıların izni yoktur. admin_role NULL ise varsayılan alt rol
+ * (super_admin) uygulanır; tanımsız bir alt rol hiçbir izin vermez.
+ * @param {{role: string, adminRole?: string|null, admin_role?: string|null}} user - req.user veya users kaydı
+ * @returns {Array<string>} İzin listesi (örn. ['jobs.moderate', 'photos.review'])
+ */
+const getAdminPermissions = (user) => {
+  if (!user || user.role !== USER_ROLES.ADMIN) return [];
+  const subRole = user.adminRole ?? user.admin_role ?? DEFAULT_ADMIN_SUB_ROLE;
+  return ADMIN_SUB_ROLES[subRole]?.permissions || [];
+};
+
+/**
+ * Admin izin kontrolü middleware factory
+ * @description Admin kullanıcının alt rolü istenen izni içermiyorsa 403 döner.
+ * requireRole('admin') veya authMiddleware'den sonra kullanılır; admin olmayan kullanıcılar da reddedilir.
+ * @param {string} permission - Gerekli izin (appConstants.ADMIN_PERMISSIONS)
+ * @returns {function} Express middleware fonksiyonu
+ * 
+ * @example
+ * router.get('/logs/security', requirePermission(ADMIN_PERMISSIONS.LOGS_READ), LogController.getSecurityLogs);
+ */
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    try {
+      if (!req.user) {
+        throw new AppError('Kullanıcı kimlik doğrulaması gerekli', 401);
+      }
+
+      if (!getAdminPermissions(req.user).includes(permission)) {
+        throw new AppError('Bu işlem için yetkiniz bulunmuyor', 403);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+// ==================== END ADMIN PERMISSIONS ====================
+
+// ==================== HOSPITAL MEMBER ROLES ====================
+
+const HOSPITAL_ROLE_RANK = {
+  [HOSPITAL_MEMBER_ROLES.VIEWER]: 1,
+  [HOSPITAL_MEMBER_ROLES.RECRUITER]: 2,
+  [HOSPITAL_MEMBER_ROLES.OWNER]: 3
+};
+
+/**
+ * Hastane ekip üyesinin rolü istenen rolü karşılıyor mu
+ * @param {string} memberRole - Üyenin rolü (hospital_members.role)
+ * @param {string} requiredRole - En az gereken rol
+ * @returns {boolean}
+ */
+const hasHospitalRole = (memberRole, requiredRole) =>
+  (HOSPITAL_ROLE_RANK[memberRole] || 0) >= (HOSPITAL_ROLE_RANK[requiredRole] || Infinity);
+
+/**
+ * Hastane ekip rolü kontrolü middleware factory
+ * @description authMiddleware'in yüklediği req.user.hospitalRole değerini kontrol eder.
+ * Yetki sırası: viewer < recruiter < owner
+ * @param {string} requiredRole - En az gereken rol (appConstants.HOSPITAL_MEMBER_ROLES)
+ * @returns {function} Express middleware fonksiyonu
+ * 
+ * @example
+ * router.post('/team/invitations', requireHospitalRole(HOSPITAL_MEMBER_ROLES.OWNER), hospitalController.inviteTeamMember);
+ */
+const requireHospitalRole = (requiredRole) => {
+  return (req, res, next) => {
+    try {
+      if (!req.user) {
+        throw new AppError('Kullanıcı kimlik doğrulaması gerekli', 401);
+      }
+
+      if (!hasHospitalRole(req.user.hospitalRole, requiredRole)) {
+        throw new AppError('Ekip rolünüz bu işlem için yetkili değil', 403);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+// ==================== END HOSPITAL MEMBER ROLES ====================
+
 // ==================== OWNERSHIP VALIDATION ====================
 
 /**
@@ -237,6 +329,14 @@ module.exports = {
   requireDoctorOrHospital,
   requireUser,
   
+  // Admin Permissions
+  getAdminPermissions,
+  requirePermission,
+  
+  // Hospital Member Roles
+  hasHospitalRole,
+  requireHospitalRole,
+  
   // Ownership Validation
   requireOwnership
 };
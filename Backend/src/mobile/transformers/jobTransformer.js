@@ -12,6 +12,7 @@
  * - Sadece gerekli alanlar (admin metadata yok)
  * - Alternative column name support (city_name || city)
  * - Salary range formatting
+ * - Nöbet ve yan hak bilgileri (monthly_shift_count, provides_housing, provides_transport)
  * 
  * @author MediKariyer Development Team
  * @version 1.0.0
@@ -58,9 +59,15 @@ const toListItem = (job = {}) => ({
   subspecialty_name: job.subspecialty_name || null,
   salary_range: job.salary_range || formatSalaryRange(job.salary_min, job.salary_max, job.salary_currency),
   work_type: job.work_type || job.employment_type || null,
+  monthly_shift_count: job.monthly_shift_count ?? null,
+  provides_housing: Boolean(job.provides_housing),
+  provides_transport: Boolean(job.provides_transport),
   created_at: toUTC(job.created_at),
   updated_at: toUTC(job.updated_at),
   is_applied: Boolean(job.is_applied),
+  is_favorite: Boolean(job.is_favorite),
+  // Kaydedilenler listesinde pasife alınmış ilanlar için true
+  is_expired: Boolean(job.is_expired),
   hospital_id: job.hospital_id || null,
   hospital_name: job.hospital_name || job.institution_name || null,
   // Logo: Database'de base64 (data:image/...) veya path (logo22.png) formatında olabilir
@@ -77,6 +84,7 @@ const toDetail = (job = {}) => ({
   salary_min: job.salary_min || null,
   salary_max: job.salary_max || null,
   salary_currency: job.salary_currency || 'TRY',
+  working_hours: job.working_hours || null,
   hospital_address: job.hospital_address || null,
   hospital_city: job.hospital_city || null,
   hospital_phone: job.hospital_phone || null,
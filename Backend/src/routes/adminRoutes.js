@@ -35,7 +35,8 @@ const adminSchemas = require('../validators/adminSchemas');
 const contactSchemas = require('../validators/contactSchemas');
 const { validate } = require('../middleware/validationMiddleware');
 const { authMiddleware } = require('../middleware/authMiddleware');
-const { requireRole } = require('../middleware/roleGuard');
+const { requireRole, requirePermission } = require('../middleware/roleGuard');
+const { ADMIN_PERMISSIONS } = require('../config/appConstants');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -48,6 +49,16 @@ const router = express.Router();
 router.use(authMiddleware);
 router.use(requireRole(['admin']));
 
+// Bölüm bazlı admin izinleri (dashboard tüm admin alt rollerine açık)
+router.use('/jobs', requirePermission(ADMIN_PERMISSIONS.JOBS_MODERATE));
+router.use('/users', requirePermission(ADMIN_PERMISSIONS.USERS_MANAGE));
+router.use('/applications', requirePermission(ADMIN_PERMISSIONS.APPLICATIONS_MANAGE));
+router.use('/notifications', requirePermission(ADMIN_PERMISSIONS.NOTIFICATIONS_BROADCAST));
+router.use('/contact-messages', requirePermission(ADMIN_PERMISSIONS.CONTACT_MANAGE));
+router.use('/photo-requests', requirePermission(ADMIN_PERMISSIONS.PHOTOS_REVIEW));
+router.use('/settings', requirePermission(ADMIN_PERMISSIONS.SETTINGS_MANAGE));
+router.use('/admins', requirePermission(ADMIN_PERMISSIONS.ADMINS_MANAGE));
+
 
 // ============================================================================
 // İŞ İLANLARI YÖNETİMİ
@@ -163,6 +174,34 @@ router.patch('/users/:id/deactivate', validate(adminSchemas.userIdParamSchema, '
  */
 router.patch('/users/:id/activate', validate(adminSchemas.userIdParamSchema, 'params'), adminController.activateUser);
 
+/**
+ * @route   PATCH /api/admin/users/:id/unlock
+ * @desc    Başarısız girişler nedeniyle kilitlenen hesabın kilidini kaldır
+ * @access  Özel (Admin)
+ */
+router.patch('/users/:id/unlock', validate(adminSchemas.userIdParamSchema, 'params'), adminController.unlockUser);
+
+/**
+ * @route   POST /api/admin/users/:id/impersonate
+ * @desc    Kullanıcı olarak görüntüle (kısa ömürlü, varsayılan olarak salt okuma token'ı)
+ * @access  Özel (Admin - users.manage + users.impersonate)
+ */
+router.post('/users/:id/impersonate', requirePermission(ADMIN_PERMISSIONS.USERS_IMPERSONATE), validate(adminSchemas.userIdParamSchema, 'params'), validate(adminSchemas.impersonationStartSchema, 'body'), adminController.impersonateUser);
+
+/**
+ * @route   GET /api/admin/admins
+ * @desc    Admin kullanıcıları, alt rolleri ve tanımlı alt roller
+ * @access  Özel (Admin - admins.manage)
+ */
+router.get('/admins', adminController.getAdmins);
+
+/**
+ * @route   PATCH /api/admin/admins/:id/role
+ * @desc    Admin kullanıcının alt rolünü güncelle
+ * @access  Özel (Admin - admins.manage)
+ */
+router.patch('/admins/:id/role', validate(adminSchemas.userIdParamSchema, 'params'), validate(adminSchemas.adminRoleUpdateSchema, 'body'), adminController.updateAdminRole);
+
 
 // ============================================================================
 // BAŞVURU YÖNETİMİ
@@ -182,6 +221,13 @@ router.get('/applications', adminController.getAllApplications);
  */
 router.get('/applications/:id', adminController.getApplicationById);
 
+/**
+ * @route   GET /api/admin/applications/:id/messages
+ * @desc    Başvuru yazışmasını getir (moderasyon)
+ * @access  Özel (Admin)
+ */
+router.get('/applications/:id/messages', validate(adminSchemas.applicationIdParamSchema, 'params'), adminController.getApplicationMessages);
+
 /**
  * @route   PUT /api/admin/applications/:id/status
  * @desc    Başvuru durumunu güncelle
@@ -306,6 +352,52 @@ router.get('/photo-requests', validate(adminSchemas.photoRequestQuerySchema, 'qu
  */
 router.patch('/photo-requests/:id', validate(adminSchemas.photoRequestIdParamSchema, 'params'), validate(adminSchemas.photoRequestReviewSchema, 'body'), adminController.reviewPhotoRequest);
 
+// ============================================================================
+// SİSTEM AYARLARI
+// ============================================================================
+
+/**
+ * @route   GET /api/admin/settings/job-lifetime
+ * @desc    İlan yayın süresi sınırlarını getir
+ * @access  Özel (Admin)
+ */
+router.get('/settings/job-lifetime', adminController.getJobLifetimeSettings);
+
+/**
+ * @route   PUT /api/admin/settings/job-lifetime
+ * @desc    İlan yayın süresi sınırlarını güncelle (min_days, max_days, default_days)
+ * @access  Özel (Admin)
+ */
+router.put('/settings/job-lifetime', validate(adminSchemas.jobLifetimeSettingsSchema, 'body'), adminController.updateJobLifetimeSettings);
+
+/**
+ * @route   GET /api/admin/settings/registration
+ * @desc    Kayıt ayarlarını getir (admin onayı için e-posta doğrulaması zorunluluğu)
+ * @access  Özel (Admin)
+ */
+router.get('/settings/registration', adminController.getRegistrationSettings);
+
+/**
+ * @route   PUT /api/admin/settings/registration
+ * @desc    Kayıt ayarlarını güncelle (require_email_verification)
+ * @access  Özel (Admin)
+ */
+router.put('/settings/registration', validate(adminSchemas.registrationSettingsSchema, 'body'), adminController.updateRegistrationSettings);
+
+/**
+ * @route   GET /api/admin/settings/account-deletion
+ * @desc    Hesap silme ayarlarını getir (kapatılan hesabın anonimleştirilmesine kadar bekleme süresi)
+ * @access  Özel (Admin)
+ */
+router.get('/settings/account-deletion', adminController.getAccountDeletionSettings);
+
+/**
+ * @route   PUT /api/admin/settings/account-deletion
+ * @desc    Hesap silme ayarlarını güncelle (grace_period_days)
+ * @access  Özel (Admin)
+ */
+router.put('/settings/account-deletion', validate(adminSchemas.accountDeletionSettingsSchema, 'body'), adminController.updateAccountDeletionSettings);
+
 // ============================================================================
 // MODULE EXPORTS
 // ============================================================================
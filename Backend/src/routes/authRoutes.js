@@ -7,12 +7,22 @@
  * - POST /api/auth/registerDoctor - Doktor kayıt işlemi
  * - POST /api/auth/registerHospital - Hastane kayıt işlemi
  * - POST /api/auth/login - Unified login (tüm roller için)
+ * - POST /api/auth/login/2fa - Girişin ikinci adımı (TOTP veya kurtarma kodu)
+ * - POST /api/auth/login/2fa/setup - Girişte zorunlu iki adımlı doğrulama kurulumu (admin)
  * - POST /api/auth/refresh - Access token yenileme
  * - POST /api/auth/logout - Çıkış (refresh token iptal)
  * - POST /api/auth/logout-all - Tüm cihazlardan çıkış
+ * - GET /api/auth/sessions - Aktif oturumlar (cihaz, platform, IP, son kullanım)
+ * - DELETE /api/auth/sessions/:id - Tek bir oturumu sonlandırma
+ * - GET /api/auth/2fa - İki adımlı doğrulama durumu (admin, hospital)
+ * - POST /api/auth/2fa/setup|enable|disable|recovery-codes - İki adımlı doğrulama yönetimi
  * - POST /api/auth/change-password - Şifre değiştirme
  * - GET /api/auth/me - Kullanıcı bilgileri
  * - POST /api/auth/verify-token - Token doğrulama
+ * - POST /api/auth/verify-email - E-posta adresi doğrulama (imzalı bağlantı)
+ * - POST /api/auth/resend-verification - Doğrulama bağlantısını yeniden gönderme
+ * - GET /api/auth/hospital-invitations/:token - Hastane ekip davetini görüntüleme
+ * - POST /api/auth/hospital-invitations/accept - Hastane ekip davetini kabul etme
  * 
  * Middleware'ler:
  * - validate: Request body validasyonu
@@ -36,8 +46,9 @@
 const express = require('express');
 const authController = require('../controllers/authController');
 const { validate } = require('../middleware/validationMiddleware');
-const { authMiddleware } = require('../middleware/authMiddleware');
-const { authLimiter } = require('../middleware/rateLimitMiddleware');
+const { authMiddleware, blockImpersonation } = require('../middleware/authMiddleware');
+const { requireRole } = require('../middleware/roleGuard');
+const { authLimiter, strictLimiter } = require('../middleware/rateLimitMiddleware');
 
 // Validation Schemas
 const {
@@ -48,7 +59,16 @@ const {
   logoutSchema,
   changePasswordSchema,
   forgotPasswordSchema,
-  resetPasswordSchema
+  resetPasswordSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  hospitalInvitationTokenParamSchema,
+  acceptHospitalInvitationSchema,
+  sessionIdParamSchema,
+  loginTwoFactorSchema,
+  loginTwoFactorSetupSchema,
+  twoFactorCodeBodySchema,
+  disableTwoFactorSchema
 } = require('../validators/authSchemas');
 // ==================== END DEPENDENCIES ====================
 
@@ -208,6 +228,28 @@ router.post('/login',
   validate(loginSchema, 'body'),
   authController.loginUnified
 );
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Girişin ikinci adımı - challengeToken + doğrulayıcı kodu veya kurtarma kodu
+ * @access  Herkese Açık (şifre adımında verilen challengeToken gerekli)
+ */
+router.post('/login/2fa',
+  authLimiter,
+  validate(loginTwoFactorSchema, 'body'),
+  authController.loginTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/login/2fa/setup
+ * @desc    Girişte zorunlu iki adımlı doğrulama kurulumunu başlat (etkin olmayan admin hesapları)
+ * @access  Herkese Açık (şifre adımında verilen challengeToken gerekli)
+ */
+router.post('/login/2fa/setup',
+  authLimiter,
+  validate(loginTwoFactorSetupSchema, 'body'),
+  authController.loginTwoFactorSetup
+);
 // ==================== END LOGIN ROUTES ====================
 
 // ==================== TOKEN MANAGEMENT ROUTES ====================
@@ -274,10 +316,104 @@ router.post('/logout',
  */
 router.post('/logout-all',
   authMiddleware,
+  blockImpersonation,
   authController.logoutAll
 );
 // ==================== END TOKEN MANAGEMENT ROUTES ====================
 
+// ==================== SESSION MANAGEMENT ROUTES ====================
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Aktif oturumları listele (mevcut oturum is_current ile işaretlenir)
+ * @access  Özel (JWT token gerekli)
+ */
+router.get('/sessions',
+  authMiddleware,
+  authController.getSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Oturumu sonlandır (refresh token iptal); mevcut oturum sonlandırılamaz
+ * @access  Özel (JWT token gerekli)
+ */
+router.delete('/sessions/:id',
+  authMiddleware,
+  blockImpersonation,
+  validate(sessionIdParamSchema, 'params'),
+  authController.revokeSession
+);
+// ==================== END SESSION MANAGEMENT ROUTES ====================
+
+// ==================== TWO FACTOR MANAGEMENT ROUTES ====================
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    İki adımlı doğrulama durumu (etkin mi, zorunlu mu, kalan kurtarma kodu)
+ * @access  Özel (admin, hospital)
+ */
+router.get('/2fa',
+  authMiddleware,
+  requireRole(['admin', 'hospital']),
+  authController.getTwoFactorStatus
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Doğrulayıcı uygulama kurulumunu başlat (gizli anahtar + otpauth:// URI)
+ * @access  Özel (admin, hospital)
+ */
+router.post('/2fa/setup',
+  authMiddleware,
+  blockImpersonation,
+  requireRole(['admin', 'hospital']),
+  authController.setupTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    İlk kodu doğrulayıp etkinleştir; kurtarma kodlarını döndür
+ * @access  Özel (admin, hospital)
+ */
+router.post('/2fa/enable',
+  authMiddleware,
+  blockImpersonation,
+  requireRole(['admin', 'hospital']),
+  strictLimiter,
+  validate(twoFactorCodeBodySchema, 'body'),
+  authController.enableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    İki adımlı doğrulamayı kapat (admin için kapatılamaz)
+ * @access  Özel (admin, hospital)
+ */
+router.post('/2fa/disable',
+  authMiddleware,
+  blockImpersonation,
+  requireRole(['admin', 'hospital']),
+  strictLimiter,
+  validate(disableTwoFactorSchema, 'body'),
+  authController.disableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Kurtarma kodlarını yenile (eski kodlar geçersiz olur)
+ * @access  Özel (admin, hospital)
+ */
+router.post('/2fa/recovery-codes',
+  authMiddleware,
+  blockImpersonation,
+  requireRole(['admin', 'hospital']),
+  strictLimiter,
+  validate(twoFactorCodeBodySchema, 'body'),
+  authController.regenerateRecoveryCodes
+);
+// ==================== END TWO FACTOR MANAGEMENT ROUTES ====================
+
 
 // ==================== PASSWORD MANAGEMENT ROUTES ====================
 
@@ -307,6 +443,7 @@ router.post('/logout-all',
  */
 router.post('/change-password',
   authMiddleware,
+  blockImpersonation,
   validate(changePasswordSchema, 'body'),
   authController.changePassword
 );
@@ -328,6 +465,56 @@ router.post('/reset-password',
 );
 // ==================== END PASSWORD MANAGEMENT ROUTES ====================
 
+// ==================== EMAIL VERIFICATION ROUTES ====================
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Kayıt sonrası gönderilen imzalı bağlantı ile e-posta adresini doğrula
+ * @access  Public
+ */
+router.post('/verify-email',
+  validate(verifyEmailSchema, 'body'),
+  authController.verifyEmail
+);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Doğrulama bağlantısını yeniden gönder (hesap varlığını açığa çıkarmaz)
+ * @access  Public
+ * @middleware strictLimiter - E-posta gönderimini kötüye kullanıma karşı sınırlar
+ */
+router.post('/resend-verification',
+  strictLimiter,
+  validate(resendVerificationSchema, 'body'),
+  authController.resendVerification
+);
+// ==================== END EMAIL VERIFICATION ROUTES ====================
+
+// ==================== HOSPITAL INVITATION ROUTES ====================
+
+/**
+ * @route   GET /api/auth/hospital-invitations/:token
+ * @desc    Hastane ekip davetinin kurum, e-posta ve rol bilgisini getir (kabul sayfası için)
+ * @access  Public
+ */
+router.get('/hospital-invitations/:token',
+  strictLimiter,
+  validate(hospitalInvitationTokenParamSchema, 'params'),
+  authController.getHospitalInvitation
+);
+
+/**
+ * @route   POST /api/auth/hospital-invitations/accept
+ * @desc    Daveti kabul et; şifre belirlenerek kurumun ekip üyesi hesabı oluşturulur
+ * @access  Public
+ */
+router.post('/hospital-invitations/accept',
+  strictLimiter,
+  validate(acceptHospitalInvitationSchema, 'body'),
+  authController.acceptHospitalInvitation
+);
+// ==================== END HOSPITAL INVITATION ROUTES ====================
+
 // ==================== USER INFO ROUTES ====================
 
 /**
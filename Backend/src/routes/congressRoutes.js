@@ -4,7 +4,8 @@ const express = require('express');
 const congressController = require('../controllers/congressController');
 const { validate } = require('../middleware/validationMiddleware');
 const { authMiddleware } = require('../middleware/authMiddleware');
-const { requireRole } = require('../middleware/roleGuard');
+const { requireRole, requirePermission } = require('../middleware/roleGuard');
+const { ADMIN_PERMISSIONS } = require('../config/appConstants');
 const {
   createCongressSchema,
   updateCongressSchema,
@@ -61,12 +62,12 @@ router.get(
 /**
  * @route   POST /api/congresses
  * @desc    Yeni kongre oluştur
- * @access  Özel (Admin)
+ * @access  Özel (Admin - congress.manage)
  */
 router.post(
   '/',
   authMiddleware,
-  requireRole(['admin']),
+  requirePermission(ADMIN_PERMISSIONS.CONGRESS_MANAGE),
   validate(createCongressSchema, 'body'),
   congressController.createCongress
 );
@@ -74,12 +75,12 @@ router.post(
 /**
  * @route   PUT /api/congresses/:id
  * @desc    Kongre güncelle
- * @access  Özel (Admin)
+ * @access  Özel (Admin - congress.manage)
  */
 router.put(
   '/:id',
   authMiddleware,
-  requireRole(['admin']),
+  requirePermission(ADMIN_PERMISSIONS.CONGRESS_MANAGE),
   validate(updateCongressSchema, 'body'),
   congressController.updateCongress
 );
@@ -87,12 +88,12 @@ router.put(
 /**
  * @route   DELETE /api/congresses/:id
  * @desc    Kongre sil
- * @access  Özel (Admin)
+ * @access  Özel (Admin - congress.manage)
  */
 router.delete(
   '/:id',
   authMiddleware,
-  requireRole(['admin']),
+  requirePermission(ADMIN_PERMISSIONS.CONGRESS_MANAGE),
   congressController.deleteCongress
 );
 
@@ -0,0 +1,38 @@
+/**
+ * @file dataExportRoutes.js
+ * @description Kişisel veri dışa aktarma indirme bağlantısı route'u.
+ * Mobil uygulama dosyayı tarayıcıda indirdiği için oturum başlığı yerine, oturumla alınan kısa
+ * süreli token kullanılır (POST /api/mobile/doctor/account/data-export/:id/download-link).
+ * Token bildirimlerde yer almaz.
+ *
+ * Ana Endpoint'ler:
+ * - GET /api/data-exports/download?token= - ZIP dosyasını indir (public, token ile)
+ *
+ * Not: Talep oluşturma ve oturum açmış kullanıcının indirmesi doctorRoutes
+ * (/api/doctor/account/data-export) ve mobileDoctorRoutes altındadır.
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+const express = require('express');
+const doctorController = require('../controllers/doctorController');
+const { validate } = require('../middleware/validationMiddleware');
+const { dataExportDownloadQuerySchema } = require('../validators/doctorSchemas');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/data-exports/download
+ * @description Hazır veri dışa aktarma ZIP dosyasını indir; her indirme audit log'a yazılır
+ * @access Public - Kısa süreli indirme token'ı ile
+ */
+router.get('/download',
+  validate(dataExportDownloadQuerySchema, 'query'),
+  doctorController.downloadDataExportByToken
+);
+
+module.exports = router;
@@ -33,7 +33,12 @@
  * - GET/POST/PATCH/DELETE /api/doctor/certificates - Sertifika CRUD
  * - GET/POST/PATCH/DELETE /api/doctor/languages - Dil CRUD
  * - GET /api/doctor/profile/completion - Profil tamamlanma oranı
+ * - GET /api/doctor/profile/cv.pdf - CV PDF (classic/compact, tr/en)
  * - GET /api/doctor/dashboard - Dashboard verileri (3 servisi birleştirir)
+ * - GET/PUT /api/doctor/privacy - Profil görünürlüğü ve iletişim bilgisi maskeleme
+ * - GET/POST/DELETE /api/doctor/privacy/... - Hastane engelleme listesi
+ * - POST/GET /api/doctor/account/data-export - Kişisel veri dışa aktarma talebi ve geçmişi
+ * - GET /api/doctor/account/data-export/:id/download - Hazır ZIP'i indir
  * 
  * Not: Başvuru CRUD işlemleri (/api/applications/*) applicationRoutes'da yönetilir.
  * Bu route'larda sadece dashboard için applicationService çağrısı yapılır.
@@ -52,7 +57,7 @@
 const express = require('express');
 const doctorController = require('../controllers/doctorController');
 const { validate } = require('../middleware/validationMiddleware');
-const { authMiddleware } = require('../middleware/authMiddleware');
+const { authMiddleware, blockImpersonation } = require('../middleware/authMiddleware');
 const { requireRole } = require('../middleware/roleGuard'); // ✅ requireApproval kaldırıldı
 
 // Schemas
@@ -68,14 +73,29 @@ const {
   withdrawApplicationSchema,
   applicationFilterSchema,
   applicationIdParamSchema,
+  applicationMessageSchema,
   // İş ilanı şemaları
   jobSearchSchema,
   jobIdParamSchema,
+  favoriteJobsQuerySchema,
+  // Kayıtlı arama şemaları
+  savedSearchCreateSchema,
+  savedSearchUpdateSchema,
+  savedSearchIdParamSchema,
+  // CV PDF
+  cvPdfQuerySchema,
+  // Profil gizlilik
+  privacySettingsUpdateSchema,
+  privacyHospitalSearchQuerySchema,
+  blockHospitalSchema,
+  blockedHospitalIdParamSchema,
   // Profil detay ID parametreleri
   educationIdParamSchema,
   experienceIdParamSchema,
   certificateIdParamSchema,
-  languageIdParamSchema
+  languageIdParamSchema,
+  // Veri dışa aktarma
+  dataExportIdParamSchema
 } = require('../validators/doctorSchemas');
 
 const router = express.Router();
@@ -152,6 +172,22 @@ router.get('/profile/full', doctorController.getCompleteProfile);
  */
 router.get('/profile/complete', doctorController.getCompleteProfile);
 
+/**
+ * @route   GET /api/doctor/profile/cv.pdf
+ * @desc    Doktorun CV'sini PDF olarak indir (tam profil + onaylı fotoğraf)
+ * @access  Özel (Doktor)
+ * @middleware authMiddleware, requireRole(['doctor']), validate(cvPdfQuerySchema, 'query')
+ * @param   {string} [req.query.template=classic] - classic | compact
+ * @param   {string} [req.query.lang=tr] - tr | en
+ * @returns {Buffer} application/pdf
+ * @example
+ * GET /api/doctor/profile/cv.pdf?template=compact&lang=en
+ */
+router.get('/profile/cv.pdf',
+  validate(cvPdfQuerySchema, 'query'),
+  doctorController.downloadCvPdf
+);
+
 /**
  * @route   GET /api/doctor/
  * @desc    Doktorun tam profilini getir (frontend uyumluluğu için)
@@ -563,7 +599,36 @@ router.get('/profile/photo/history', doctorController.getPhotoRequestHistory);
  */
 router.delete('/profile/photo/request', doctorController.cancelPhotoRequest);
 
-router.post('/account/deactivate', doctorController.deactivateAccount);
+router.post('/account/deactivate', blockImpersonation, doctorController.deactivateAccount);
+
+/**
+ * @route   POST /api/doctor/account/data-export
+ * @desc    Kişisel veri dışa aktarma talebi oluştur (KVKK/GDPR veri taşınabilirliği)
+ * @access  Özel (Doktor)
+ * @middleware authMiddleware, requireRole(['doctor']), blockImpersonation
+ * @returns {Object} Oluşturulan talep (202) - ZIP arka planda hazırlanır, hazır olunca bildirim gönderilir
+ */
+router.post('/account/data-export', blockImpersonation, doctorController.requestDataExport);
+
+/**
+ * @route   GET /api/doctor/account/data-export
+ * @desc    Son veri dışa aktarma taleplerini getir
+ * @access  Özel (Doktor)
+ * @middleware authMiddleware, requireRole(['doctor'])
+ */
+router.get('/account/data-export', doctorController.getDataExports);
+
+/**
+ * @route   GET /api/doctor/account/data-export/:id/download
+ * @desc    Hazır veri dışa aktarma ZIP dosyasını indir
+ * @access  Özel (Doktor)
+ * @middleware authMiddleware, requireRole(['doctor']), blockImpersonation, validate(dataExportIdParamSchema, 'params')
+ */
+router.get('/account/data-export/:id/download',
+  blockImpersonation,
+  validate(dataExportIdParamSchema, 'params'),
+  doctorController.downloadDataExport
+);
 
 /**
  * @route   GET /api/doctor/dashboard
@@ -669,6 +734,39 @@ router.patch('/applications/:id/withdraw',
   doctorController.withdrawApplication
 );
 
+/**
+ * @route   GET /api/doctor/applications/:id/messages
+ * @desc    Başvuru yazışmasını getir (hastanenin mesajları okundu işaretlenir)
+ * @access  Özel (Doktor)
+ * @middleware authMiddleware, requireRole(['doctor']), validate(applicationIdParamSchema, 'params')
+ * @param   {number} req.params.id - Başvuru kimliği
+ * @returns {Object} Yazışma bilgisi ve mesajlar
+ * @example
+ * GET /api/doctor/applications/123/messages
+ */
+router.get('/applications/:id/messages',
+  validate(applicationIdParamSchema, 'params'),
+  doctorController.getApplicationMessages
+);
+
+/**
+ * @route   POST /api/doctor/applications/:id/messages
+ * @desc    Hastaneye mesaj gönder
+ * @access  Özel (Doktor)
+ * @middleware authMiddleware, requireRole(['doctor']), validate(applicationIdParamSchema, 'params'), validate(applicationMessageSchema, 'body')
+ * @param   {number} req.params.id - Başvuru kimliği
+ * @param   {string} req.body.body - Mesaj metni (en fazla 2000 karakter)
+ * @returns {Object} Gönderilen mesaj
+ * @example
+ * POST /api/doctor/applications/123/messages
+ * Body: { body: "Mülakat için hangi belgeleri getirmeliyim?" }
+ */
+router.post('/applications/:id/messages',
+  validate(applicationIdParamSchema, 'params'),
+  validate(applicationMessageSchema, 'body'),
+  doctorController.sendApplicationMessage
+);
+
 /**
  * @route   DELETE /api/doctor/applications/:id
  * @desc    [DEPRECATED] Doktorlar başvuruyu silemez, sadece geri çekebilir
@@ -706,6 +804,53 @@ router.get('/jobs',
   doctorController.getJobs
 );
 
+/**
+ * @route   GET /api/doctor/jobs/favorites
+ * @desc    Doktorun kaydettiği iş ilanlarını getir
+ * @access  Özel (Doktor)
+ * @middleware authMiddleware, requireRole(['doctor']), validate(favoriteJobsQuerySchema, 'query')
+ * @param   {number} [req.query.page=1] - Sayfa numarası
+ * @param   {number} [req.query.limit=10] - Sayfa başına kayıt sayısı
+ * @returns {Object} Kaydedilen ilanlar (süresi dolanlar is_expired: true) ve sayfalama bilgileri
+ * @note    /jobs/:id route'undan önce tanımlanmalıdır
+ * @example
+ * GET /api/doctor/jobs/favorites?page=1&limit=10
+ */
+router.get('/jobs/favorites',
+  validate(favoriteJobsQuerySchema, 'query'),
+  doctorController.getFavoriteJobs
+);
+
+/**
+ * @route   POST /api/doctor/jobs/:id/favorite
+ * @desc    İş ilanını kaydedilenlere ekle
+ * @access  Özel (Doktor)
+ * @middleware authMiddleware, requireRole(['doctor']), validate(jobIdParamSchema, 'params')
+ * @param   {number} req.params.id - İş ilanı kimliği
+ * @returns {Object} Favori kaydı
+ * @example
+ * POST /api/doctor/jobs/123/favorite
+ */
+router.post('/jobs/:id/favorite',
+  validate(jobIdParamSchema, 'params'),
+  doctorController.addFavoriteJob
+);
+
+/**
+ * @route   DELETE /api/doctor/jobs/:id/favorite
+ * @desc    İş ilanını kaydedilenlerden çıkar
+ * @access  Özel (Doktor)
+ * @middleware authMiddleware, requireRole(['doctor']), validate(jobIdParamSchema, 'params')
+ * @param   {number} req.params.id - İş ilanı kimliği
+ * @returns {Object} Başarı mesajı
+ * @example
+ * DELETE /api/doctor/jobs/123/favorite
+ */
+router.delete('/jobs/:id/favorite',
+  validate(jobIdParamSchema, 'params'),
+  doctorController.removeFavoriteJob
+);
+
 /**
  * @route   GET /api/doctor/jobs/:id
  * @desc    Doktorlar için tek iş ilanı detayını getir
@@ -721,4 +866,152 @@ router.get('/jobs/:id',
   doctorController.getJobById
 );
 
+// ============================================================================
+// KAYITLI ARAMA ROUTE'LARI
+// ============================================================================
+
+/**
+ * @route   GET /api/doctor/saved-searches
+ * @desc    Doktorun kayıtlı ilan aramalarını getir
+ * @access  Özel (Doktor)
+ * @middleware authMiddleware, requireRole(['doctor'])
+ * @returns {Array} Kayıtlı aramalar (city_ids / specialty_ids dizi olarak)
+ * @example
+ * GET /api/doctor/saved-searches
+ */
+router.get('/saved-searches', doctorController.getSavedSearches);
+
+/**
+ * @route   POST /api/doctor/saved-searches
+ * @desc    Arama filtrelerini kaydet - eşleşen yeni ilanlarda bildirim gönderilir
+ * @access  Özel (Doktor)
+ * @middleware authMiddleware, requireRole(['doctor']), validate(savedSearchCreateSchema, 'body')
+ * @param   {string} req.body.name - Arama adı
+ * @param   {string} [req.body.keyword] - Arama terimi
+ * @param   {number[]} [req.body.city_ids] - Şehir ID'leri
+ * @param   {number[]} [req.body.specialty_ids] - Branş ID'leri
+ * @param   {string} [req.body.employment_type] - İstihdam türü
+ * @returns {Object} Oluşturulan kayıtlı arama
+ * @example
+ * POST /api/doctor/saved-searches
+ * { "name": "İstanbul Kardiyoloji", "city_ids": [34], "specialty_ids": [5] }
+ */
+router.post('/saved-searches',
+  validate(savedSearchCreateSchema, 'body'),
+  doctorController.createSavedSearch
+);
+
+/**
+ * @route   PATCH /api/doctor/saved-searches/:id
+ * @desc    Kayıtlı aramayı yeniden adlandır veya bildirimlerini duraklat
+ * @access  Özel (Doktor)
+ * @middleware authMiddleware, requireRole(['doctor']), validate(savedSearchIdParamSchema, 'params'), validate(savedSearchUpdateSchema, 'body')
+ * @param   {number} req.params.id - Kayıtlı arama kimliği
+ * @param   {string} [req.body.name] - Yeni arama adı
+ * @param   {boolean} [req.body.is_active] - Bildirimler açık/kapalı
+ * @returns {Object} Güncellenmiş kayıtlı arama
+ * @example
+ * PATCH /api/doctor/saved-searches/12
+ * { "is_active": false }
+ */
+router.patch('/saved-searches/:id',
+  validate(savedSearchIdParamSchema, 'params'),
+  validate(savedSearchUpdateSchema, 'body'),
+  doctorController.updateSavedSearch
+);
+
+/**
+ * @route   DELETE /api/doctor/saved-searches/:id
+ * @desc    Kayıtlı aramayı sil
+ * @access  Özel (Doktor)
+ * @middleware authMiddleware, requireRole(['doctor']), validate(savedSearchIdParamSchema, 'params')
+ * @param   {number} req.params.id - Kayıtlı arama kimliği
+ * @returns {Object} Başarı mesajı
+ * @example
+ * DELETE /api/doctor/saved-searches/12
+ */
+router.delete('/saved-searches/:id',
+  validate(savedSearchIdParamSchema, 'params'),
+  doctorController.deleteSavedSearch
+);
+
+// ============================================================================
+// PROFİL GİZLİLİK AYARLARI
+// ============================================================================
+
+/**
+ * @route   GET /api/doctor/privacy
+ * @desc    Profil gizlilik ayarlarını getir (görünürlük, maskeleme, engellenen hastaneler)
+ * @access  Özel (Doktor)
+ * @middleware authMiddleware, requireRole(['doctor'])
+ * @returns {Object} { profile_visibility, hide_phone, hide_email, blocked_hospitals }
+ * @example
+ * GET /api/doctor/privacy
+ */
+router.get('/privacy', doctorController.getPrivacySettings);
+
+/**
+ * @route   PUT /api/doctor/privacy
+ * @desc    Profil görünürlüğünü ve iletişim bilgisi maskelemeyi güncelle
+ * @access  Özel (Doktor)
+ * @middleware authMiddleware, requireRole(['doctor']), validate(privacySettingsUpdateSchema, 'body')
+ * @param   {string} [req.body.profile_visibility] - public | applied_only | hidden
+ * @param   {boolean} [req.body.hide_phone] - Telefonu başvuru yapılmamış hastanelerden gizle
+ * @param   {boolean} [req.body.hide_email] - E-postayı başvuru yapılmamış hastanelerden gizle
+ * @returns {Object} Güncel gizlilik ayarları
+ * @example
+ * PUT /api/doctor/privacy
+ * { "profile_visibility": "applied_only", "hide_phone": true }
+ */
+router.put('/privacy',
+  validate(privacySettingsUpdateSchema, 'body'),
+  doctorController.updatePrivacySettings
+);
+
+/**
+ * @route   GET /api/doctor/privacy/hospitals
+ * @desc    Engellenecek hastaneyi kurum adına göre ara
+ * @access  Özel (Doktor)
+ * @middleware authMiddleware, requireRole(['doctor']), validate(privacyHospitalSearchQuerySchema, 'query')
+ * @param   {string} [req.query.search] - Kurum adı
+ * @returns {Array} Hastaneler (zaten engellenenler hariç)
+ * @example
+ * GET /api/doctor/privacy/hospitals?search=Acıbadem
+ */
+router.get('/privacy/hospitals',
+  validate(privacyHospitalSearchQuerySchema, 'query'),
+  doctorController.searchPrivacyHospitals
+);
+
+/**
+ * @route   POST /api/doctor/privacy/blocked-hospitals
+ * @desc    Hastaneyi engelle
+ * @access  Özel (Doktor)
+ * @middleware authMiddleware, requireRole(['doctor']), validate(blockHospitalSchema, 'body')
+ * @param   {number} req.body.hospital_id - Hastane profil ID'si
+ * @returns {Array} Güncel engellenen hastaneler
+ * @example
+ * POST /api/doctor/privacy/blocked-hospitals
+ * { "hospital_id": 7 }
+ */
+router.post('/privacy/blocked-hospitals',
+  validate(blockHospitalSchema, 'body'),
+  doctorController.blockHospital
+);
+
+/**
+ * @route   DELETE /api/doctor/privacy/blocked-hospitals/:hospitalId
+ * @desc    Hastane engelini kaldır
+ * @access  Özel (Doktor)
+ * @middleware authMiddleware, requireRole(['doctor']), validate(blockedHospitalIdParamSchema, 'params')
+ * @param   {number} req.params.hospitalId - Hastane profil ID'si
+ * @returns {Array} Güncel engellenen hastaneler
+ * @example
+ * DELETE /api/doctor/privacy/blocked-hospitals/7
+ */
+router.delete('/privacy/blocked-hospitals/:hospitalId',
+  validate(blockedHospitalIdParamSchema, 'params'),
+  doctorController.unblockHospital
+);
+
 module.exports = router;
@@ -29,9 +29,23 @@
  * - GET /me/hospital/jobs - İş ilanları getir (hospitalService)
  * - POST /me/hospital/jobs - İş ilanı oluştur (hospitalService)
  * - PUT /me/hospital/jobs/:jobId - İş ilanı güncelle (hospitalService)
+ * - POST /me/hospital/jobs/:jobId/renew - Yayındaki ilanın süresini uzat / süresi dolan ilanı yenile (hospitalService)
  * - GET /me/hospital/jobs/:jobId/applications - Başvurular getir (hospitalService)
+ * - POST /me/hospital/jobs/:jobId/applications/export - Başvuru paketi (ZIP) talebi (applicationExportService)
+ * - GET /me/hospital/jobs/:jobId/applications/exports - İlanın başvuru paketi talepleri
+ * - GET /me/hospital/application-exports/:exportId/download - Hazır başvuru paketini indir
  * - GET /me/hospital/applications - Tüm ilanların başvuruları getir (hospitalService)
  * - PUT /me/hospital/applications/:applicationId/status - Başvuru durumu güncelle (hospitalService)
+ * - GET /me/hospital/applications/pipeline - Kanban panosu (hospitalService)
+ * - POST /me/hospital/applications/bulk-move - Toplu aşama değişikliği (hospitalService)
+ * - GET/POST/DELETE /me/hospital/applications/:applicationId/notes - Dahili notlar (hospitalService)
+ * - PATCH /me/hospital/applications/:applicationId/evaluation - Puan ve etiketler (hospitalService)
+ * - GET/POST/PATCH/DELETE /me/hospital/pipeline-stages - Aşama yönetimi (hospitalService)
+ * - GET/POST /me/hospital/applications/:applicationId/interviews - Mülakat önerisi (hospitalService)
+ * - GET /me/hospital/interviews/upcoming - Yaklaşan mülakatlar (hospitalService)
+ * - POST /me/hospital/interviews/:interviewId/cancel - Mülakat iptali (hospitalService)
+ * - GET /me/hospital/interviews/:interviewId/calendar - Mülakat .ics dosyası (hospitalService)
+ * - GET/POST /me/hospital/applications/:applicationId/messages - Doktorla yazışma (hospitalService)
  * - GET /me/hospital/dashboard - Dashboard verileri (hospitalService içinde)
  * 
  * @author MediKariyer Development Team
@@ -50,8 +64,9 @@ const router = express.Router();
 
 // Import'ları en üstte tanımla
 const hospitalController = require('../controllers/hospitalController');
-const { authMiddleware } = require('../middleware/authMiddleware');
-const { requireRole } = require('../middleware/roleGuard');
+const { authMiddleware, blockImpersonation } = require('../middleware/authMiddleware');
+const { requireRole, requireHospitalRole } = require('../middleware/roleGuard');
+const { HOSPITAL_MEMBER_ROLES } = require('../config/appConstants');
 const { validate } = require('../middleware/validationMiddleware');
 const { 
   hospitalProfileSchema, 
@@ -60,9 +75,31 @@ const {
   jobIdParamSchema,
   jobStatusChangeSchema,
   jobResubmitSchema,
+  jobRenewSchema,
   applicationStatusSchema,
   applicationsQuerySchema,
-  doctorProfilesQuerySchema
+  doctorProfilesQuerySchema,
+  applicationIdParamSchema,
+  applicationNoteParamSchema,
+  applicationNoteSchema,
+  applicationMessageSchema,
+  applicationEvaluationSchema,
+  pipelineBoardQuerySchema,
+  pipelineMoveSchema,
+  pipelineStageIdParamSchema,
+  pipelineStageSchema,
+  pipelineStageUpdateSchema,
+  pipelineStageOrderSchema,
+  interviewProposalSchema,
+  interviewIdParamSchema,
+  interviewCancelSchema,
+  upcomingInterviewsQuerySchema,
+  applicationExportRequestSchema,
+  applicationExportIdParamSchema,
+  teamInvitationSchema,
+  teamMemberRoleSchema,
+  teamMemberIdParamSchema,
+  teamInvitationIdParamSchema
 } = require('../validators/hospitalSchemas');
 
 // ============================================================================
@@ -75,6 +112,13 @@ router.use(authMiddleware);
 // Rol kontrolü - sadece 'hospital' rolü erişebilir
 router.use(requireRole('hospital'));
 
+// Ekip rolü kontrolü - görüntüleyici (viewer) üyeler yalnızca okuma yapabilir;
+// kurum profili, hesap ve ekip yönetimi ayrıca hesap sahibi (owner) gerektirir
+const requireRecruiter = requireHospitalRole(HOSPITAL_MEMBER_ROLES.RECRUITER);
+const requireOwner = requireHospitalRole(HOSPITAL_MEMBER_ROLES.OWNER);
+
+router.use((req, res, next) => (req.method === 'GET' ? next() : requireRecruiter(req, res, next)));
+
 // ========================================
 // ============================================================================
 // PROFİL YÖNETİMİ ROUTE'LARI
@@ -129,6 +173,7 @@ router.get('/', hospitalController.getProfile);
  */
 router.put(
   '/', 
+  requireOwner,
   validate(hospitalProfileSchema, 'body'), 
   hospitalController.updateProfile
 );
@@ -153,7 +198,48 @@ router.put(
 router.get('/profile/completion', hospitalController.getProfileCompletion);
 
 // Hesabı pasif hale getir
-router.post('/account/deactivate', hospitalController.deactivateAccount);
+router.post('/account/deactivate', blockImpersonation, requireOwner, hospitalController.deactivateAccount);
+
+// ============================================================================
+// EKİP YÖNETİMİ ROUTE'LARI (hospitalMemberService)
+// ============================================================================
+
+// Ekip üyeleri ve bekleyen davetler (tüm üyeler görebilir)
+// GET /me/hospital/team
+router.get('/team', hospitalController.getTeam);
+
+// POST /me/hospital/team/invitations
+router.post(
+  '/team/invitations',
+  requireOwner,
+  validate(teamInvitationSchema, 'body'),
+  hospitalController.inviteTeamMember
+);
+
+// DELETE /me/hospital/team/invitations/:invitationId
+router.delete(
+  '/team/invitations/:invitationId',
+  requireOwner,
+  validate(teamInvitationIdParamSchema, 'params'),
+  hospitalController.revokeTeamInvitation
+);
+
+// PATCH /me/hospital/team/members/:memberId
+router.patch(
+  '/team/members/:memberId',
+  requireOwner,
+  validate(teamMemberIdParamSchema, 'params'),
+  validate(teamMemberRoleSchema, 'body'),
+  hospitalController.updateTeamMemberRole
+);
+
+// DELETE /me/hospital/team/members/:memberId
+router.delete(
+  '/team/members/:memberId',
+  requireOwner,
+  validate(teamMemberIdParamSchema, 'params'),
+  hospitalController.removeTeamMember
+);
 
 // ============================================================================
 // İŞ İLANI YÖNETİMİ ROUTE'LARI (hospitalService içinde)
@@ -171,6 +257,10 @@ router.post(
   hospitalController.createJob
 );
 
+// İlan yayın süresi seçenekleri (admin tanımlı alt/üst sınır)
+// GET /me/hospital/jobs/lifetime-options - /jobs/:jobId'den önce tanımlanmalı
+router.get('/jobs/lifetime-options', hospitalController.getJobLifetimeOptions);
+
 // İş ilanını getir (tek ilan)
 // GET /me/hospital/jobs/:jobId
 router.get('/jobs/:jobId', hospitalController.getJobById);
@@ -191,6 +281,14 @@ router.post('/jobs/:jobId/resubmit',
   hospitalController.resubmitJob
 );
 
+// İş ilanının yayın süresini uzat (onay kuyruğuna gönderilmez)
+// POST /me/hospital/jobs/:jobId/renew
+router.post('/jobs/:jobId/renew',
+  validate(jobIdParamSchema, 'params'),
+  validate(jobRenewSchema, 'body'),
+  hospitalController.renewJob
+);
+
 // İş ilanı durumunu güncelle
 // PATCH /me/hospital/jobs/:jobId/status
 router.patch('/jobs/:jobId/status', 
@@ -203,12 +301,126 @@ router.patch('/jobs/:jobId/status',
 // GET /me/hospital/jobs/:jobId/applications
 router.get('/jobs/:jobId/applications', hospitalController.getJobApplications);
 
+// İlan başvurularını ZIP paketi olarak dışa aktar (arka planda hazırlanır, hazır olunca bildirim)
+// POST /me/hospital/jobs/:jobId/applications/export
+router.post('/jobs/:jobId/applications/export',
+  blockImpersonation,
+  validate(jobIdParamSchema, 'params'),
+  validate(applicationExportRequestSchema, 'body'),
+  hospitalController.exportJobApplications
+);
+
+// İlanın başvuru paketi talepleri
+// GET /me/hospital/jobs/:jobId/applications/exports
+router.get('/jobs/:jobId/applications/exports',
+  validate(jobIdParamSchema, 'params'),
+  hospitalController.getJobApplicationExports
+);
+
+// Hazır başvuru paketini indir (talep ile aynı yetki: görüntüleyici ve impersonation oturumu indiremez)
+// GET /me/hospital/application-exports/:exportId/download
+router.get('/application-exports/:exportId/download',
+  requireRecruiter,
+  blockImpersonation,
+  validate(applicationExportIdParamSchema, 'params'),
+  hospitalController.downloadApplicationExport
+);
+
 /**
  * Başvuru Yönetimi Routes
  */
 
 // ÖNEMLİ: Spesifik route'lar önce tanımlanmalı (Express route matching için)
 
+// Kanban panosu (aşamalar + başvurular)
+// GET /me/hospital/applications/pipeline
+router.get(
+  '/applications/pipeline',
+  validate(pipelineBoardQuerySchema, 'query'),
+  hospitalController.getPipelineBoard
+);
+
+// Hastanenin kullandığı etiketler
+// GET /me/hospital/applications/tags
+router.get('/applications/tags', hospitalController.getApplicationTags);
+
+// Başvuruları toplu olarak bir aşamaya taşı (doktor başına tek bildirim)
+// POST /me/hospital/applications/bulk-move
+router.post(
+  '/applications/bulk-move',
+  validate(pipelineMoveSchema, 'body'),
+  hospitalController.moveApplications
+);
+
+// Başvuru durum geçmişi
+// GET /me/hospital/applications/:applicationId/history
+router.get(
+  '/applications/:applicationId/history',
+  validate(applicationIdParamSchema, 'params'),
+  hospitalController.getApplicationHistory
+);
+
+// Dahili notlar
+// GET/POST /me/hospital/applications/:applicationId/notes
+router.get(
+  '/applications/:applicationId/notes',
+  validate(applicationIdParamSchema, 'params'),
+  hospitalController.getApplicationNotes
+);
+router.post(
+  '/applications/:applicationId/notes',
+  validate(applicationIdParamSchema, 'params'),
+  validate(applicationNoteSchema, 'body'),
+  hospitalController.addApplicationNote
+);
+
+// DELETE /me/hospital/applications/:applicationId/notes/:noteId
+router.delete(
+  '/applications/:applicationId/notes/:noteId',
+  validate(applicationNoteParamSchema, 'params'),
+  hospitalController.deleteApplicationNote
+);
+
+// Yıldız puanı ve etiketler
+// PATCH /me/hospital/applications/:applicationId/evaluation
+router.patch(
+  '/applications/:applicationId/evaluation',
+  validate(applicationIdParamSchema, 'params'),
+  validate(applicationEvaluationSchema, 'body'),
+  hospitalController.updateApplicationEvaluation
+);
+
+// Doktorla yazışma (GET doktorun mesajlarını okundu işaretler)
+// GET/POST /me/hospital/applications/:applicationId/messages
+router.get(
+  '/applications/:applicationId/messages',
+  validate(applicationIdParamSchema, 'params'),
+  hospitalController.getApplicationMessages
+);
+router.post(
+  '/applications/:applicationId/messages',
+  validate(applicationIdParamSchema, 'params'),
+  validate(applicationMessageSchema, 'body'),
+  hospitalController.sendApplicationMessage
+);
+
+// Başvurunun mülakatları
+// GET /me/hospital/applications/:applicationId/interviews
+router.get(
+  '/applications/:applicationId/interviews',
+  validate(applicationIdParamSchema, 'params'),
+  hospitalController.getApplicationInterviews
+);
+
+// Mülakat öner (yalnızca "İnceleniyor" durumundaki başvurular)
+// POST /me/hospital/applications/:applicationId/interviews
+router.post(
+  '/applications/:applicationId/interviews',
+  validate(applicationIdParamSchema, 'params'),
+  validate(interviewProposalSchema, 'body'),
+  hospitalController.proposeInterview
+);
+
 // Başvuru detayını getir
 // GET /me/hospital/applications/:applicationId
 router.get(
@@ -232,6 +444,70 @@ router.get(
   hospitalController.getAllApplications
 );
 
+/**
+ * Başvuru Süreci Aşamaları (Pipeline Stages)
+ */
+
+// GET /me/hospital/pipeline-stages
+router.get('/pipeline-stages', hospitalController.getPipelineStages);
+
+// POST /me/hospital/pipeline-stages
+router.post(
+  '/pipeline-stages',
+  validate(pipelineStageSchema, 'body'),
+  hospitalController.createPipelineStage
+);
+
+// PUT /me/hospital/pipeline-stages/order (/:stageId'den önce)
+router.put(
+  '/pipeline-stages/order',
+  validate(pipelineStageOrderSchema, 'body'),
+  hospitalController.reorderPipelineStages
+);
+
+// PATCH /me/hospital/pipeline-stages/:stageId
+router.patch(
+  '/pipeline-stages/:stageId',
+  validate(pipelineStageIdParamSchema, 'params'),
+  validate(pipelineStageUpdateSchema, 'body'),
+  hospitalController.updatePipelineStage
+);
+
+// DELETE /me/hospital/pipeline-stages/:stageId
+router.delete(
+  '/pipeline-stages/:stageId',
+  validate(pipelineStageIdParamSchema, 'params'),
+  hospitalController.deletePipelineStage
+);
+
+/**
+ * Mülakatlar
+ */
+
+// Yaklaşan mülakatlar (dashboard)
+// GET /me/hospital/interviews/upcoming
+router.get(
+  '/interviews/upcoming',
+  validate(upcomingInterviewsQuerySchema, 'query'),
+  hospitalController.getUpcomingInterviews
+);
+
+// POST /me/hospital/interviews/:interviewId/cancel
+router.post(
+  '/interviews/:interviewId/cancel',
+  validate(interviewIdParamSchema, 'params'),
+  validate(interviewCancelSchema, 'body'),
+  hospitalController.cancelInterview
+);
+
+// Kesinleşmiş mülakatın takvim dosyası
+// GET /me/hospital/interviews/:interviewId/calendar
+router.get(
+  '/interviews/:interviewId/calendar',
+  validate(interviewIdParamSchema, 'params'),
+  hospitalController.downloadInterviewCalendar
+);
+
 // ============================================================================
 // DEPARTMAN VE İLETİŞİM YÖNETİMİ KALDIRILDI
 // ============================================================================
@@ -11,6 +11,8 @@ const lookupRoutes = require('./lookupRoutes');
 const logRoutes = require('./logRoutes');
 const pdfRoutes = require('./pdfRoutes');
 const congressRoutes = require('./congressRoutes');
+const interviewRoutes = require('./interviewRoutes');
+const dataExportRoutes = require('./dataExportRoutes');
 
 const router = express.Router();
 
@@ -42,6 +44,8 @@ router.get('/', (req, res) => {
       users: '/api/users',
       logs: '/api/logs',
       pdf: '/api/pdf',
+      interviews: '/api/interviews',
+      dataExports: '/api/data-exports',
     },
     documentation: '/api/docs',
     timestamp: new Date().toISOString()
@@ -59,6 +63,8 @@ router.use('/lookup', lookupRoutes);
 router.use('/logs', logRoutes);
 router.use('/pdf', pdfRoutes);
 router.use('/congresses', congressRoutes);
+router.use('/interviews', interviewRoutes);
+router.use('/data-exports', dataExportRoutes);
 router.use('/mobile/auth', require('./mobile/mobileAuthRoutes'));
 router.use('/mobile/doctor', require('./mobile/mobileDoctorRoutes'));
 router.use('/mobile/jobs', require('./mobile/mobileJobRoutes'));
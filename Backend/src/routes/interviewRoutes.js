@@ -0,0 +1,46 @@
+/**
+ * @file interviewRoutes.js
+ * @description Mülakat takvim route'ları - Oturum gerektirmeyen .ics bağlantısı.
+ * Mobil uygulama takvim dosyasını cihazın tarayıcısı / takvim uygulaması üzerinden
+ * açtırdığı için bu endpoint JWT istemez; erişim interviews.calendar_token ile sağlanır.
+ * 
+ * Ana Endpoint'ler:
+ * - GET /api/interviews/calendar/:token.ics - Kesinleşmiş mülakatın takvim dosyası
+ * 
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+// ============================================================================
+// DIŞ BAĞIMLILIKLAR
+// ============================================================================
+
+const express = require('express');
+const Joi = require('joi');
+const { validate } = require('../middleware/validationMiddleware');
+const interviewController = require('../controllers/interviewController');
+
+const router = express.Router();
+
+/**
+ * Takvim anahtarı parametre şeması (48 karakter hex)
+ */
+const calendarTokenParamSchema = Joi.object({
+  token: Joi.string().hex().length(48).required()
+});
+
+// GET /api/interviews/calendar/:token.ics
+router.get(
+  '/calendar/:token.ics',
+  validate(calendarTokenParamSchema, 'params'),
+  interviewController.getCalendarByToken
+);
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = router;
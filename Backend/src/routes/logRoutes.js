@@ -2,7 +2,7 @@
  * @file logRoutes.js
  * @description Log yönetimi route tanımları
  * 
- * Bu route sadece admin kullanıcılar tarafından erişilebilir.
+ * Bu route sadece logs.read iznine sahip admin kullanıcılar tarafından erişilebilir.
  * Logları görüntüleme, istatistik görme ve temizleme işlemleri için endpoint'ler içerir.
  * 
  * @author MediKariyer Development Team
@@ -16,6 +16,8 @@ const router = express.Router();
 
 // Middleware
 const { authMiddleware } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/roleGuard');
+const { ADMIN_PERMISSIONS } = require('../config/appConstants');
 const { validate } = require('../middleware/validationMiddleware');
 
 // Controller
@@ -31,16 +33,10 @@ const {
 } = require('../validators/logSchemas');
 
 // ============================================================
-// MIDDLEWARE: Tüm log route'ları sadece admin erişebilir
+// MIDDLEWARE: Log route'ları yalnızca logs.read iznine sahip adminlere açık
 // ============================================================
 router.use(authMiddleware);
-router.use((req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
-    res.status(403).json({ success: false, message: 'Admin yetkisi gerekli' });
-  }
-});
+router.use(requirePermission(ADMIN_PERMISSIONS.LOGS_READ));
 
 // ============================================================
 // LOG ROUTES
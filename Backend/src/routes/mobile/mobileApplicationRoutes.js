@@ -8,6 +8,10 @@
  * - GET /api/mobile/applications/:applicationId - Başvuru detayı
  * - POST /api/mobile/applications - Başvuru oluştur
  * - PATCH /api/mobile/applications/:applicationId/withdraw - Başvuruyu geri çek (web backend ile uyumlu)
+ * - POST /api/mobile/applications/:applicationId/interview/accept - Önerilen mülakat zamanını kabul et
+ * - GET /api/mobile/applications/messages/unread - Okunmamış mesaj özeti (tab rozeti)
+ * - GET /api/mobile/applications/:applicationId/messages - Başvuru yazışması (karşı tarafın mesajları okundu işaretlenir)
+ * - POST /api/mobile/applications/:applicationId/messages - Hastaneye mesaj gönder
  * 
  * Middleware'ler:
  * - mobileErrorHandler: JSON-only error handling
@@ -44,7 +48,9 @@ const {
   mobileCreateApplicationSchema,
   mobileApplicationsQuerySchema,
   mobileApplicationDetailParamsSchema,
-  mobileWithdrawApplicationSchema
+  mobileWithdrawApplicationSchema,
+  mobileAcceptInterviewSlotSchema,
+  mobileApplicationMessageSchema
 } = require('../../validators/mobileSchemas');
 const mobileApplicationController = require('../../controllers/mobile/mobileApplicationController');
 
@@ -55,10 +61,15 @@ router.use(authMiddleware);
 router.use(requireDoctor);
 
 router.get('/', validateQuery(mobileApplicationsQuerySchema), mobileApplicationController.listApplications);
+// /:applicationId'den önce tanımlanmalı
+router.get('/messages/unread', mobileApplicationController.getUnreadMessages);
 router.get('/:applicationId', validateParams(mobileApplicationDetailParamsSchema), mobileApplicationController.getApplicationDetail);
 router.post('/', validateBody(mobileCreateApplicationSchema), mobileApplicationController.createApplication);
 // PATCH kullanılıyor (web backend ile uyumlu)
 router.patch('/:applicationId/withdraw', validateParams(mobileApplicationDetailParamsSchema), validateBody(mobileWithdrawApplicationSchema), mobileApplicationController.withdrawApplication);
+router.post('/:applicationId/interview/accept', validateParams(mobileApplicationDetailParamsSchema), validateBody(mobileAcceptInterviewSlotSchema), mobileApplicationController.acceptInterviewSlot);
+router.get('/:applicationId/messages', validateParams(mobileApplicationDetailParamsSchema), mobileApplicationController.getMessages);
+router.post('/:applicationId/messages', validateParams(mobileApplicationDetailParamsSchema), validateBody(mobileApplicationMessageSchema), mobileApplicationController.sendMessage);
 
 router.use(mobileErrorBoundary);
 
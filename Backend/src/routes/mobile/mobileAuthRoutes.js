@@ -8,6 +8,9 @@
  * - POST /api/mobile/auth/refresh - Token yenileme (refresh token)
  * - POST /api/mobile/auth/logout - Çıkış (refresh token iptal)
  * - POST /api/mobile/auth/forgot-password - Şifre sıfırlama talebi (web ile aynı mantık)
+ * - POST /api/mobile/auth/resend-verification - E-posta doğrulama bağlantısını yeniden gönderme
+ * - GET /api/mobile/auth/sessions - Aktif oturumlar
+ * - DELETE /api/mobile/auth/sessions/:id - Oturum sonlandırma
  * 
  * Middleware'ler:
  * - mobileErrorHandler: JSON-only error handling
@@ -32,8 +35,8 @@
 const express = require('express');
 const mobileAuthController = require('../../controllers/mobile/mobileAuthController');
 const { mobileErrorHandler, mobileErrorBoundary } = require('../../middleware/mobileErrorHandler');
-const { validateBody } = require('../../middleware/validationMiddleware');
-const { authLimiter } = require('../../middleware/rateLimitMiddleware');
+const { validateBody, validateParams } = require('../../middleware/validationMiddleware');
+const { authLimiter, strictLimiter } = require('../../middleware/rateLimitMiddleware');
 const {
   mobileLoginSchema,
   mobileRefreshTokenSchema,
@@ -42,7 +45,7 @@ const {
   mobileChangePasswordSchema,
   mobileResetPasswordSchema
 } = require('../../validators/mobileSchemas');
-const { forgotPasswordSchema } = require('../../validators/authSchemas');
+const { forgotPasswordSchema, resendVerificationSchema, sessionIdParamSchema } = require('../../validators/authSchemas');
 
 const router = express.Router();
 
@@ -57,14 +60,19 @@ router.post('/logout', validateBody(mobileLogoutSchema), mobileAuthController.lo
 router.post('/forgot-password', authLimiter, validateBody(forgotPasswordSchema), mobileAuthController.forgotPassword);
 // Reset password - Requirement 10.1
 router.post('/reset-password', authLimiter, validateBody(mobileResetPasswordSchema), mobileAuthController.resetPassword);
+// Doğrulama bağlantısı web sayfasına gider (/verify-email), yeniden gönderim web ile aynı mantık
+router.post('/resend-verification', strictLimiter, validateBody(resendVerificationSchema), mobileAuthController.resendVerification);
 
 // Protected routes (require authentication)
-const { authMiddleware } = require('../../middleware/authMiddleware');
+const { authMiddleware, blockImpersonation } = require('../../middleware/authMiddleware');
 const { requireDoctor } = require('../../middleware/roleGuard');
 router.get('/me', authMiddleware, requireDoctor, mobileAuthController.getMe);
-router.post('/change-password', authMiddleware, requireDoctor, validateBody(mobileChangePasswordSchema), mobileAuthController.changePassword);
+router.post('/change-password', authMiddleware, blockImpersonation, requireDoctor, validateBody(mobileChangePasswordSchema), mobileAuthController.changePassword);
 // Logout all - Requirement 11.1
-router.post('/logout-all', authMiddleware, requireDoctor, mobileAuthController.logoutAll);
+router.post('/logout-all', authMiddleware, blockImpersonation, requireDoctor, mobileAuthController.logoutAll);
+// Aktif oturumlar - web ile aynı mantık, mevcut oturum sonlandırılamaz
+router.get('/sessions', authMiddleware, requireDoctor, mobileAuthController.getSessions);
+router.delete('/sessions/:id', authMiddleware, blockImpersonation, requireDoctor, validateParams(sessionIdParamSchema), mobileAuthController.revokeSession);
 // Mark onboarding as completed - Onboarding flow
 router.post('/mark-onboarding-completed', authMiddleware, requireDoctor, mobileAuthController.markOnboardingCompleted);
 
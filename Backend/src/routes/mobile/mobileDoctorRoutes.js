@@ -31,10 +31,10 @@
 
 const express = require('express');
 const Joi = require('joi');
-const { authMiddleware } = require('../../middleware/authMiddleware');
+const { authMiddleware, blockImpersonation } = require('../../middleware/authMiddleware');
 const { requireDoctor } = require('../../middleware/roleGuard');
 const { mobileErrorHandler, mobileErrorBoundary } = require('../../middleware/mobileErrorHandler');
-const { validateBody, validateParams } = require('../../middleware/validationMiddleware');
+const { validateBody, validateParams, validateQuery } = require('../../middleware/validationMiddleware');
 const { 
   mobileUpdatePersonalInfoSchema,
   mobileEducationSchema,
@@ -46,6 +46,14 @@ const {
   mobileCertificateParamsSchema,
   mobileLanguageParamsSchema
 } = require('../../validators/mobileSchemas');
+const {
+  cvPdfQuerySchema,
+  privacySettingsUpdateSchema,
+  privacyHospitalSearchQuerySchema,
+  blockHospitalSchema,
+  blockedHospitalIdParamSchema,
+  dataExportIdParamSchema
+} = require('../../validators/doctorSchemas');
 const mobileDoctorController = require('../../controllers/mobile/mobileDoctorController');
 
 const router = express.Router();
@@ -146,6 +154,9 @@ router.get('/language', deprecationWarning('/language', '/languages'), mobileDoc
 router.put('/language/:id', deprecationWarning('/language/:id', '/languages/:id'), validateParams(mobileLanguageParamsSchema), validateBody(mobileLanguageSchema), mobileDoctorController.updateLanguage);
 router.delete('/language/:id', deprecationWarning('/language/:id', '/languages/:id'), validateParams(mobileLanguageParamsSchema), mobileDoctorController.deleteLanguage);
 
+// CV PDF endpoint (web ile aynı şablonlar)
+router.get('/profile/cv.pdf', validateQuery(cvPdfQuerySchema), mobileDoctorController.downloadCvPdf);
+
 // Photo Request endpoints
 router.post('/profile/photo', mobileDoctorController.requestProfilePhotoChange);
 router.get('/profile/photo/status', mobileDoctorController.getPhotoRequestStatus);
@@ -153,7 +164,17 @@ router.get('/profile/photo/history', mobileDoctorController.getPhotoRequestHisto
 router.delete('/profile/photo/request', mobileDoctorController.cancelPhotoRequest);
 
 // Account Management endpoints
-router.post('/account/deactivate', mobileDoctorController.deactivateAccount);
+router.post('/account/deactivate', blockImpersonation, mobileDoctorController.deactivateAccount);
+router.post('/account/data-export', blockImpersonation, mobileDoctorController.requestDataExport);
+router.get('/account/data-export', mobileDoctorController.getDataExports);
+router.post('/account/data-export/:id/download-link', blockImpersonation, validateParams(dataExportIdParamSchema), mobileDoctorController.createDataExportDownloadLink);
+
+// Profile Privacy endpoints (web ile aynı doctorPrivacyService kuralları)
+router.get('/privacy', mobileDoctorController.getPrivacySettings);
+router.put('/privacy', validateBody(privacySettingsUpdateSchema), mobileDoctorController.updatePrivacySettings);
+router.get('/privacy/hospitals', validateQuery(privacyHospitalSearchQuerySchema), mobileDoctorController.searchPrivacyHospitals);
+router.post('/privacy/blocked-hospitals', validateBody(blockHospitalSchema), mobileDoctorController.blockHospital);
+router.delete('/privacy/blocked-hospitals/:hospitalId', validateParams(blockedHospitalIdParamSchema), mobileDoctorController.unblockHospital);
 
 // Profile Update Notification endpoint
 const mobileProfileNotifyUpdateSchema = Joi.object({
@@ -5,7 +5,14 @@
  * 
  * Ana Endpoint'ler:
  * - GET /api/mobile/jobs - İş ilanları listesi (pagination, filters)
+ * - GET /api/mobile/jobs/favorites - Kaydedilen ilanlar
+ * - GET /api/mobile/jobs/saved-searches - Kayıtlı aramalar
+ * - POST /api/mobile/jobs/saved-searches - Arama kaydet
+ * - PATCH /api/mobile/jobs/saved-searches/:searchId - Kayıtlı aramayı güncelle (ad / bildirim durumu)
+ * - DELETE /api/mobile/jobs/saved-searches/:searchId - Kayıtlı aramayı sil
  * - GET /api/mobile/jobs/:jobId - İş ilanı detayı
+ * - POST /api/mobile/jobs/:jobId/favorite - İlanı kaydet
+ * - DELETE /api/mobile/jobs/:jobId/favorite - İlanı kaydedilenlerden çıkar
  * 
  * Middleware'ler:
  * - mobileErrorHandler: JSON-only error handling
@@ -13,6 +20,7 @@
  * - requireDoctor: Doktor rolü kontrolü
  * - validateQuery: Query parametreleri validasyonu
  * - validateParams: Path parametreleri validasyonu
+ * - validateBody: Request body validasyonu
  * - mobileErrorBoundary: Error boundary (tüm hataları JSON döndürür)
  * 
  * Güvenlik Özellikleri:
@@ -36,10 +44,14 @@ const express = require('express');
 const { authMiddleware } = require('../../middleware/authMiddleware');
 const { requireDoctor } = require('../../middleware/roleGuard');
 const { mobileErrorHandler, mobileErrorBoundary } = require('../../middleware/mobileErrorHandler');
-const { validateQuery, validateParams } = require('../../middleware/validationMiddleware');
+const { validateQuery, validateParams, validateBody } = require('../../middleware/validationMiddleware');
 const {
+  paginationQuerySchema,
   mobileJobsQuerySchema,
-  mobileJobDetailParamsSchema
+  mobileJobDetailParamsSchema,
+  mobileSavedSearchParamsSchema,
+  mobileCreateSavedSearchSchema,
+  mobileUpdateSavedSearchSchema
 } = require('../../validators/mobileSchemas');
 const mobileJobController = require('../../controllers/mobile/mobileJobController');
 
@@ -50,7 +62,20 @@ router.use(authMiddleware);
 router.use(requireDoctor);
 
 router.get('/', validateQuery(mobileJobsQuerySchema), mobileJobController.listJobs);
+// /favorites ve /saved-searches, /:jobId route'undan önce tanımlanmalı
+router.get('/favorites', validateQuery(paginationQuerySchema), mobileJobController.listFavoriteJobs);
+router.get('/saved-searches', mobileJobController.listSavedSearches);
+router.post('/saved-searches', validateBody(mobileCreateSavedSearchSchema), mobileJobController.createSavedSearch);
+router.patch(
+  '/saved-searches/:searchId',
+  validateParams(mobileSavedSearchParamsSchema),
+  validateBody(mobileUpdateSavedSearchSchema),
+  mobileJobController.updateSavedSearch
+);
+router.delete('/saved-searches/:searchId', validateParams(mobileSavedSearchParamsSchema), mobileJobController.deleteSavedSearch);
 router.get('/:jobId', validateParams(mobileJobDetailParamsSchema), mobileJobController.getJobDetail);
+router.post('/:jobId/favorite', validateParams(mobileJobDetailParamsSchema), mobileJobController.addFavoriteJob);
+router.delete('/:jobId/favorite', validateParams(mobileJobDetailParamsSchema), mobileJobController.removeFavoriteJob);
 
 router.use(mobileErrorBoundary);
 
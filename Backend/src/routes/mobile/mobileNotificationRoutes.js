@@ -6,6 +6,7 @@
  * Ana Endpoint'ler:
  * - GET /api/mobile/notifications - Bildirim listesi (pagination, filters)
  * - POST /api/mobile/notifications/:notificationId/read - Bildirimi okundu işaretle
+ * - GET/PUT /api/mobile/notifications/settings - Bildirim tercihleri ve sessiz saatler
  * 
  * Not: Device token endpoint'i ayrı route olarak eklendi (/api/mobile/device-token)
  * 
@@ -39,10 +40,11 @@ const express = require('express');
 const { authMiddleware } = require('../../middleware/authMiddleware');
 const { requireDoctor } = require('../../middleware/roleGuard');
 const { mobileErrorHandler, mobileErrorBoundary } = require('../../middleware/mobileErrorHandler');
-const { validateQuery, validateParams } = require('../../middleware/validationMiddleware');
+const { validateQuery, validateParams, validateBody } = require('../../middleware/validationMiddleware');
 const {
   mobileNotificationsQuerySchema
 } = require('../../validators/mobileSchemas');
+const { notificationSettingsUpdateSchema } = require('../../validators/notificationSchemas');
 const Joi = require('joi');
 const mobileNotificationController = require('../../controllers/mobile/mobileNotificationController');
 
@@ -64,6 +66,8 @@ const notificationIdParamsSchema = Joi.object({
 
 router.get('/', validateQuery(mobileNotificationsQuerySchema), mobileNotificationController.listNotifications);
 router.get('/unread-count', mobileNotificationController.getUnreadCount);
+router.get('/settings', mobileNotificationController.getSettings);
+router.put('/settings', validateBody(notificationSettingsUpdateSchema), mobileNotificationController.updateSettings);
 router.post('/:notificationId/read', validateParams(notificationIdParamsSchema), mobileNotificationController.markAsRead);
 router.patch('/mark-all-read', mobileNotificationController.markAllAsRead);
 router.delete('/clear-read', mobileNotificationController.clearReadNotifications);
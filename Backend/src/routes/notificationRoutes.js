@@ -20,6 +20,9 @@
  * HTTP Endpoint'leri:
  * - GET /api/notifications - Bildirim listesi (tüm kullanıcılar)
  * - GET /api/notifications/unread-count - Okunmamış sayısı (tüm kullanıcılar)
+ * - GET /api/notifications/messages/unread - Okunmamış başvuru mesajları (doktor, hastane)
+ * - GET/PUT /api/notifications/settings - Bildirim tercihleri ve sessiz saatler (doktor, hastane)
+ * - POST /api/notifications/email/unsubscribe - Tek tıkla e-posta aboneliğinden çık (public, token ile)
  * - PATCH /api/notifications/mark-all-read - Tümünü okundu işaretle (tüm kullanıcılar)
  * - POST /api/notifications/send - Bildirim gönder (sadece admin)
  * 
@@ -39,13 +42,15 @@ const express = require('express');
 const router = express.Router();
 const notificationController = require('../controllers/notificationController');
 const { authMiddleware } = require('../middleware/authMiddleware');
-const { requireRole } = require('../middleware/roleGuard');
+const { requireRole, requirePermission } = require('../middleware/roleGuard');
+const { ADMIN_PERMISSIONS } = require('../config/appConstants');
 const { validateBody, validateQuery, validateParams } = require('../middleware/validationMiddleware');
 const { 
   notificationFilterSchema,
   markMultipleAsReadSchema,
   sendNotificationSchema,
-  notificationIdParamSchema
+  notificationIdParamSchema,
+  notificationSettingsUpdateSchema
 } = require('../validators/notificationSchemas');
 
 // ============================================================================
@@ -73,6 +78,52 @@ router.get('/unread-count',
   notificationController.getUnreadCount
 );
 
+/**
+ * @route GET /api/notifications/messages/unread
+ * @description Okunmamış başvuru mesajlarının özeti (bildirim zili)
+ * @access Private - Doctor, Hospital
+ */
+router.get('/messages/unread',
+  authMiddleware,
+  notificationController.getUnreadMessageSummary
+);
+
+// ============================================================================
+// BİLDİRİM TERCİHLERİ ROUTES
+// ============================================================================
+
+/**
+ * @route GET /api/notifications/settings
+ * @description Kategori bazında kanal tercihleri ve sessiz saatleri getir
+ * @access Private - Doctor, Hospital
+ */
+router.get('/settings',
+  authMiddleware,
+  requireRole(['doctor', 'hospital']),
+  notificationController.getNotificationSettings
+);
+
+/**
+ * @route PUT /api/notifications/settings
+ * @description Kategori bazında kanal tercihlerini ve / veya sessiz saatleri güncelle
+ * @access Private - Doctor, Hospital
+ */
+router.put('/settings',
+  authMiddleware,
+  requireRole(['doctor', 'hospital']),
+  validateBody(notificationSettingsUpdateSchema),
+  notificationController.updateNotificationSettings
+);
+
+/**
+ * @route POST /api/notifications/email/unsubscribe
+ * @description Tek tıkla e-posta aboneliğinden çık (RFC 8058 List-Unsubscribe-Post destekli)
+ * @access Public - İmzalı token ile
+ */
+router.post('/email/unsubscribe',
+  notificationController.unsubscribeEmail
+);
+
 /**
  * @route OPTIONS /api/notifications/stream
  * @description SSE için CORS preflight request
@@ -190,11 +241,11 @@ router.delete('/clear-read',
 /**
  * @route POST /api/notifications/send
  * @description Admin bildirim gönder
- * @access Private - Sadece Admin
+ * @access Private - Admin (notifications.broadcast)
  */
 router.post('/send',
   authMiddleware,
-  requireRole(['admin']),
+  requirePermission(ADMIN_PERMISSIONS.NOTIFICATIONS_BROADCAST),
   validateBody(sendNotificationSchema),
   notificationController.sendNotification
 );
@@ -202,11 +253,11 @@ router.post('/send',
 /**
  * @route GET /api/notifications/admin/all
  * @description Admin tüm bildirimleri listele
- * @access Private - Sadece Admin
+ * @access Private - Admin (notifications.broadcast)
  */
 router.get('/admin/all',
   authMiddleware,
-  requireRole(['admin']),
+  requirePermission(ADMIN_PERMISSIONS.NOTIFICATIONS_BROADCAST),
   validateQuery(notificationFilterSchema),
   notificationController.getAllNotificationsForAdmin
 );
@@ -214,11 +265,11 @@ router.get('/admin/all',
 /**
  * @route GET /api/notifications/admin/stats
  * @description Admin bildirim istatistikleri
- * @access Private - Sadece Admin
+ * @access Private - Admin (notifications.broadcast)
  */
 router.get('/admin/stats',
   authMiddleware,
-  requireRole(['admin']),
+  requirePermission(ADMIN_PERMISSIONS.NOTIFICATIONS_BROADCAST),
   notificationController.getNotificationStats
 );
 
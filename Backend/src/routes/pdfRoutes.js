@@ -1,178 +1,149 @@
+/**
+ * @file pdfRoutes.js
+ * @description İlan / başvuru PDF'leri ve paylaşılabilir PDF bağlantıları route'ları.
+ * Tüm PDF route'ları ortak erişim politikasından geçer (pdfAccessMiddleware.requirePdfAccess):
+ * admin tümüne, hastane kendi ilan ve başvurularına, doktor kendi başvurularına ve yayındaki
+ * ilanlara erişir.
+ *
+ * Ana Endpoint'ler:
+ * - GET /api/pdf/job/:jobId - İlan PDF'i indir
+ * - GET /api/pdf/job/:jobId/preview - İlan PDF'i önizle
+ * - GET /api/pdf/application/:applicationId - Başvuru PDF'i indir (ilan + doktor profili)
+ * - POST /api/pdf/share-links - Süreli, imzalı paylaşım bağlantısı oluştur (hastane)
+ * - GET /api/pdf/share-links?resource_type=&resource_id= - Kaynağın bağlantıları (hastane)
+ * - DELETE /api/pdf/share-links/:id - Bağlantıyı iptal et (hastane)
+ * - GET /api/pdf/share-links/:id/accesses - Bağlantının erişim kayıtları (hastane)
+ * - GET /api/pdf/shared/:linkId?expires=&signature= - İmzalı bağlantı ile PDF (public)
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
 const express = require('express');
 const router = express.Router();
 const pdfController = require('../controllers/pdfController');
 const { authMiddleware } = require('../middleware/authMiddleware');
+const { requireRole, requireHospitalRole } = require('../middleware/roleGuard');
+const { requirePdfAccess } = require('../middleware/pdfAccessMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const { HOSPITAL_MEMBER_ROLES } = require('../config/appConstants');
+const {
+  jobPdfParamsSchema,
+  applicationPdfParamsSchema,
+  shareLinkCreateSchema,
+  shareLinkListQuerySchema,
+  shareLinkIdParamSchema,
+  sharedPdfParamsSchema,
+  sharedPdfQuerySchema
+} = require('../validators/pdfSchemas');
 
-/**
- * @route   GET /api/pdf/test
- * @desc    Test PDF generation
- * @access  Public (for testing)
- */
-router.get('/test', (req, res) => {
-  res.json({ success: true, message: 'PDF routes are working' });
-});
-
-/**
- * @route   GET /api/pdf/test-generate
- * @desc    Test PDF generation with puppeteer
- * @access  Public (for testing)
- */
-router.get('/test-generate', async (req, res) => {
-  try {
-    const testData = {
-      jobId: 999,
-      hospitalName: 'Test Hospital',
-      hospitalLogo: null,
-      hospitalCity: 'Istanbul',
-      hospitalAddress: 'Test Address',
-      hospitalPhone: '0555 555 5555',
-      hospitalEmail: 'test@test.com',
-      hospitalWebsite: 'www.test.com',
-      jobTitle: 'Test Job',
-      workType: 'Full-time',
-      region: 'Istanbul',
-      status: 'Active',
-      specialty: 'Cardiology',
-      subSpecialty: null,
-      minExperience: 2,
-      requirements: 'Test requirements',
-      description: 'Test description',
-      workingHours: '9-5',
-      benefits: 'Test benefits',
-      createdAt: new Date()
-    };
-    
-    const pdfBuffer = await pdfController.generateTestPDF(testData);
-    
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', 'attachment; filename="test.pdf"');
-    res.setHeader('Content-Length', pdfBuffer.length);
-    res.end(pdfBuffer, 'binary');
-  } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      message: 'PDF test failed', 
-      error: error.message,
-      stack: error.stack 
-    });
-  }
-});
+// ============================================================================
+// PUBLIC - İMZALI PAYLAŞIM BAĞLANTISI
+// ============================================================================
 
 /**
- * @route   GET /api/pdf/test-job/:jobId
- * @desc    Test real job PDF generation
- * @access  Public (for testing)
+ * @route   GET /api/pdf/shared/:linkId
+ * @desc    Paylaşılan PDF'i tarayıcıda aç; her açılış pdf_share_link_accesses'e yazılır
+ * @access  Public - Süreli, imzalı bağlantı ile (başarısız denemeler rate limit'e sayılır)
  */
-router.get('/test-job/:jobId', async (req, res) => {
-  try {
-    const { jobId } = req.params;
-    
-    // Fetch job details (same as generateJobPDF)
-    const { db } = require('../config/dbConfig');
-    const job = await db('jobs as j')
-      .join('hospital_profiles as hp', 'j.hospital_id', 'hp.id')
-      .join('job_statuses as js', 'j.status_id', 'js.id')
-      .join('specialties as s', 'j.specialty_id', 's.id')
-      .leftJoin('cities as c', 'j.city_id', 'c.id')
-      .leftJoin('cities as hc', 'hp.city_id', 'hc.id')
-      .leftJoin('subspecialties as ss', 'j.subspecialty_id', 'ss.id')
-      .where('j.id', jobId)
-      .whereNull('j.deleted_at')
-      .select(
-        'j.*',
-        'js.name as status',
-        's.name as specialty',
-        'c.name as city',
-        'ss.name as subspecialty_name',
-        'hp.institution_name',
-        'hp.logo',
-        'hp.address as hospital_address',
-        'hp.phone as hospital_phone',
-        'hp.email as hospital_email',
-        'hp.website as hospital_website',
-        'hc.name as hospital_city'
-      )
-      .first();
-
-    if (!job) {
-      return res.status(404).json({
-        success: false,
-        message: 'İlan bulunamadı'
-      });
-    }
+router.get('/shared/:linkId',
+  apiLimiter,
+  validate(sharedPdfParamsSchema, 'params'),
+  validate(sharedPdfQuerySchema, 'query'),
+  pdfController.viewSharedPDF
+);
 
-    // Log the data for debugging (development only)
-    if (process.env.NODE_ENV === 'development') {
-      logger.debug('Job data from DB:', {
-        id: job.id,
-        title: job.title,
-        specialty: job.specialty,
-        description: job.description ? job.description.substring(0, 50) + '...' : null,
-        requirements: job.requirements ? job.requirements.substring(0, 50) + '...' : null,
-        benefits: job.benefits ? job.benefits.substring(0, 50) + '...' : null,
-        working_hours: job.working_hours ? job.working_hours.substring(0, 50) + '...' : null
-      });
-    }
+// ============================================================================
+// PDF İNDİRME
+// ============================================================================
 
-    const pdfData = {
-      jobId: job.id,
-      hospitalName: job.institution_name,
-      hospitalLogo: job.logo,
-      hospitalCity: job.hospital_city,
-      hospitalAddress: job.hospital_address,
-      hospitalPhone: job.hospital_phone,
-      hospitalEmail: job.hospital_email,
-      hospitalWebsite: job.hospital_website,
-      jobTitle: job.title,
-      workType: job.employment_type,
-      region: job.city || 'Belirtilmemiş',
-      status: job.status,
-      specialty: job.specialty,
-      subSpecialty: job.subspecialty_name,
-      minExperience: job.min_experience_years,
-      requirements: job.requirements,
-      description: job.description,
-      workingHours: job.working_hours,
-      benefits: job.benefits,
-      createdAt: job.created_at
-    };
-
-    const pdfBuffer = await pdfController.generateTestPDF(pdfData);
-    
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="test-job-${jobId}.pdf"`);
-    res.setHeader('Content-Length', pdfBuffer.length);
-    res.end(pdfBuffer, 'binary');
-  } catch (error) {
-    logger.error('Test job PDF error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'PDF test failed', 
-      error: error.message,
-      stack: error.stack 
-    });
-  }
-});
+router.use(authMiddleware);
 
 /**
  * @route   GET /api/pdf/job/:jobId
  * @desc    Download Job Posting PDF
- * @access  Private (Hospital)
+ * @access  Private (Admin, ilanın hastanesi, yayındaki ilan için doktor)
  */
-router.get('/job/:jobId', authMiddleware, pdfController.generateJobPDF);
+router.get('/job/:jobId',
+  validate(jobPdfParamsSchema, 'params'),
+  requirePdfAccess('job', 'jobId'),
+  pdfController.generateJobPDF
+);
 
 /**
  * @route   GET /api/pdf/job/:jobId/preview
  * @desc    Preview Job Posting PDF in browser
- * @access  Private (Hospital)
+ * @access  Private (Admin, ilanın hastanesi, yayındaki ilan için doktor)
  */
-router.get('/job/:jobId/preview', authMiddleware, pdfController.previewJobPDF);
+router.get('/job/:jobId/preview',
+  validate(jobPdfParamsSchema, 'params'),
+  requirePdfAccess('job', 'jobId'),
+  pdfController.previewJobPDF
+);
 
 /**
  * @route   GET /api/pdf/application/:applicationId
  * @desc    Download Application PDF (Job + Doctor Profile)
- * @access  Private (Hospital)
+ * @access  Private (Admin, ilanın hastanesi, başvuran doktor)
+ */
+router.get('/application/:applicationId',
+  validate(applicationPdfParamsSchema, 'params'),
+  requirePdfAccess('application', 'applicationId'),
+  pdfController.generateApplicationPDF
+);
+
+// ============================================================================
+// PAYLAŞIM BAĞLANTILARI (HASTANE)
+// ============================================================================
+
+/**
+ * @route   POST /api/pdf/share-links
+ * @desc    İlan veya başvuru PDF'i için süreli, imzalı paylaşım bağlantısı oluştur
+ * @access  Private (Hastane - en az recruiter; kaynak hastanenin olmalı)
+ * @example
+ * { "resource_type": "application", "resource_id": 34, "expires_in_hours": 48, "note": "Kardiyoloji şefi" }
+ */
+router.post('/share-links',
+  requireRole('hospital'),
+  requireHospitalRole(HOSPITAL_MEMBER_ROLES.RECRUITER),
+  validate(shareLinkCreateSchema, 'body'),
+  pdfController.createShareLink
+);
+
+/**
+ * @route   GET /api/pdf/share-links
+ * @desc    Bir ilan / başvurunun paylaşım bağlantıları (erişim sayılarıyla)
+ * @access  Private (Hastane)
+ */
+router.get('/share-links',
+  requireRole('hospital'),
+  validate(shareLinkListQuerySchema, 'query'),
+  pdfController.getShareLinks
+);
+
+/**
+ * @route   DELETE /api/pdf/share-links/:id
+ * @desc    Paylaşım bağlantısını iptal et
+ * @access  Private (Hastane - en az recruiter)
+ */
+router.delete('/share-links/:id',
+  requireRole('hospital'),
+  requireHospitalRole(HOSPITAL_MEMBER_ROLES.RECRUITER),
+  validate(shareLinkIdParamSchema, 'params'),
+  pdfController.revokeShareLink
+);
+
+/**
+ * @route   GET /api/pdf/share-links/:id/accesses
+ * @desc    Paylaşım bağlantısının erişim kayıtları (IP, tarayıcı, zaman)
+ * @access  Private (Hastane)
  */
-router.get('/application/:applicationId', authMiddleware, pdfController.generateApplicationPDF);
+router.get('/share-links/:id/accesses',
+  requireRole('hospital'),
+  validate(shareLinkIdParamSchema, 'params'),
+  pdfController.getShareLinkAccesses
+);
 
 module.exports = router;
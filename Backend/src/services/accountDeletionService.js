@@ -0,0 +1,384 @@
+/**
+ * @file accountDeletionService.js
+ * @description Hesap kapatma sonrası kalıcı silme / anonimleştirme servisi (KVKK saklama süresi).
+ * Kullanıcı hesabını kapattığında (doctorService / hospitalService.deactivateAccount) silme tarihi
+ * planlanır; bekleme süresi sonunda accountAnonymizationCron kişisel verileri temizler.
+ *
+ * Ana İşlevler:
+ * - Silme tarihinin hesaplanması (system_settings 'account_deletion.grace_period_days')
+ * - Bekleme süresinde giriş yapan kullanıcının hesabının yeniden aktifleştirilmesi
+ * - Süresi dolan hesapların anonimleştirilmesi
+ *
+ * Anonimleştirme:
+ * - users: e-posta, şifre, iki adımlı doğrulama ve giriş bilgileri silinir; anonymized_at dolar
+ * - Doktor: kişisel profil alanları, base64 profil fotoğrafı, fotoğraf talepleri (eski/yeni fotoğraflar),
+ *   eğitim/deneyim/sertifika/dil kayıtları, favoriler, kayıtlı aramalar ve dışa aktarma dosyaları silinir
+ * - Hastane: kurum iletişim bilgileri ve logo silinir, ekip üyelerinin hesapları da anonimleştirilir
+ * - Bildirimler, cihaz token'ları, oturumlar, e-posta kuyruğu ve tercih kayıtları silinir
+ * - Başvuru satırları (durum, tarih, ilan) hastane istatistikleri için korunur; ön yazı temizlenir,
+ *   kullanıcının gönderdiği başvuru mesajlarının içeriği silinir
+ *
+ * Not:
+ * - Admin pasifleştirmesi silme planlamaz; yalnızca kullanıcının kendi kapattığı hesaplar anonimleştirilir
+ * - Bekleme süresinde admin tarafından pasifleştirilen hesabın (deactivated_by_admin_at) silme planı
+ *   korunur, ancak hesap girişle geri açılamaz
+ * - Anonimleştirilen hesap geri alınamaz, admin tarafından da aktifleştirilemez
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+// ============================================================================
+// DIŞ BAĞIMLILIKLAR
+// ============================================================================
+
+const crypto = require('crypto');
+const db = require('../config/dbConfig').db;
+const logger = require('../utils/logger');
+const LogService = require('./logService');
+const systemSettingsService = require('./systemSettingsService');
+const dataExportService = require('./dataExportService');
+const { ACCOUNT_DELETION, HOSPITAL_MEMBER_ROLES } = require('../config/appConstants');
+
+// ============================================================================
+// YARDIMCI FONKSİYONLAR
+// ============================================================================
+
+const ANONYMIZED_FIRST_NAME = 'Silinmiş';
+const ANONYMIZED_LAST_NAME = 'Kullanıcı';
+const ANONYMIZED_INSTITUTION_NAME = 'Silinmiş Kurum';
+const ANONYMIZED_MESSAGE_BODY = '[Bu mesaj, kullanıcının hesabını silmesi nedeniyle kaldırıldı]';
+
+const buildAnonymizedEmail = (userId) => `silinmis-${userId}@anonim.medikariyer.invalid`;
+
+const auditDeletionAction = async (user, action, context = {}, metadata = null) => {
+  const actorInfo = action === 'user.anonymized'
+    ? { name: null, email: null }
+    : await LogService.getUserInfoForAudit(user.id, user.role).catch(() => ({ name: null, email: null }));
+
+  await LogService.createAuditLog({
+    actorId: user.id,
+    actorRole: user.role,
+    actorName: actorInfo.name,
+    actorEmail: actorInfo.email,
+    action,
+    resourceType: 'user',
+    resourceId: user.id,
+    ipAddress: context.ipAddress || null,
+    userAgent: context.userAgent || null,
+    metadata
+  }).catch((err) => logger.error('Audit log kayıt hatası', { error: err.message }));
+};
+
+/**
+ * Kullanıcının e-posta, şifre ve giriş bilgilerini siler
+ * @param {Object} trx - Knex transaction
+ * @param {number} userId - Kullanıcı ID'si
+ */
+const scrubUserAccount = async (trx, userId) => {
+  await trx('users')
+    .where('id', userId)
+    .update({
+      email: buildAnonymizedEmail(userId),
+      // bcrypt formatında olmadığı için hiçbir şifre eşleşmez
+      password_hash: `anonymized:${crypto.randomBytes(16).toString('hex')}`,
+      is_active: false,
+      two_factor_secret: null,
+      two_factor_enabled_at: null,
+      two_factor_last_used_step: null,
+      failed_login_attempts: 0,
+      last_failed_login_at: null,
+      locked_until: null,
+      lock_count: 0,
+      last_login: null,
+      deletion_scheduled_at: null,
+      anonymized_at: trx.fn.now(),
+      updated_at: trx.fn.now()
+    });
+
+  await trx('refresh_tokens').where('user_id', userId).del();
+  await trx('password_reset_tokens').where('user_id', userId).del();
+  await trx('user_two_factor_recovery_codes').where('user_id', userId).del();
+  await trx('device_tokens').where('user_id', userId).del();
+  await trx('notifications').where('user_id', userId).del();
+  await trx('deferred_push_notifications').where('user_id', userId).del();
+  await trx('email_queue').where('user_id', userId).del();
+  await trx('user_email_preferences').where('user_id', userId).del();
+  await trx('user_notification_preferences').where('user_id', userId).del();
+  await trx('user_notification_settings').where('user_id', userId).del();
+
+  await trx('application_messages')
+    .where('sender_user_id', userId)
+    .update({ body: ANONYMIZED_MESSAGE_BODY });
+};
+
+/**
+ * Doktor profilini ve profile bağlı kişisel kayıtları temizler
+ * @param {Object} trx - Knex transaction
+ * @param {number} userId - Doktor kullanıcı ID'si
+ */
+const scrubDoctorProfile = async (trx, userId) => {
+  const profile = await trx('doctor_profiles').where('user_id', userId).select('id').first();
+  if (!profile) {
+    return;
+  }
+
+  await trx('doctor_profiles')
+    .where('id', profile.id)
+    .update({
+      first_name: ANONYMIZED_FIRST_NAME,
+      last_name: ANONYMIZED_LAST_NAME,
+      phone: null,
+      dob: null,
+      birth_place_id: null,
+      residence_city_id: null,
+      profile_photo: null,
+      updated_at: trx.fn.now()
+    });
+
+  // Fotoğraf talepleri eski ve yeni fotoğrafı base64 olarak tutar
+  await trx('doctor_profile_photo_requests').where('doctor_profile_id', profile.id).del();
+  await trx('doctor_educations').where('doctor_profile_id', profile.id).del();
+  await trx('doctor_experiences').where('doctor_profile_id', profile.id).del();
+  await trx('doctor_certificates').where('doctor_profile_id', profile.id).del();
+  await trx('doctor_languages').where('doctor_profile_id', profile.id).del();
+  await trx('doctor_favorite_jobs').where('doctor_profile_id', profile.id).del();
+  await trx('doctor_saved_searches').where('doctor_profile_id', profile.id).del();
+  await trx('doctor_blocked_hospitals').where('doctor_profile_id', profile.id).del();
+
+  // Başvurular hastane istatistikleri için kalır; yalnızca doktorun yazdığı ön yazı silinir
+  await trx('applications')
+    .where('doctor_profile_id', profile.id)
+    .update({ cover_letter: null });
+};
+
+/**
+ * Hastane profilinin iletişim bilgilerini temizler, ekip üyelerini anonimleştirir
+ * @param {Object} trx - Knex transaction
+ * @param {number} userId - Hastane sahibi kullanıcı ID'si
+ * @returns {Promise<Array<number>>} Anonimleştirilen ekip üyesi kullanıcı ID'leri
+ */
+const scrubHospitalProfile = async (trx, userId) => {
+  const profile = await trx('hospital_profiles').where('user_id', userId).select('id').first();
+  if (!profile) {
+    return [];
+  }
+
+  await trx('hospital_profiles')
+    .where('id', profile.id)
+    .update({
+      institution_name: ANONYMIZED_INSTITUTION_NAME,
+      address: null,
+      phone: null,
+      email: null,
+      website: null,
+      about: null,
+      logo: null,
+      updated_at: trx.fn.now()
+    });
+
+  await trx('hospital_member_invitations').where('hospital_profile_id', profile.id).del();
+
+  const members = await trx('hospital_members')
+    .where('hospital_profile_id', profile.id)
+    .whereNot('role', HOSPITAL_MEMBER_ROLES.OWNER)
+    .pluck('user_id');
+
+  await trx('hospital_members')
+    .where('hospital_profile_id', profile.id)
+    .update({ full_name: null, updated_at: trx.fn.now() });
+
+  for (const memberUserId of members) {
+    await scrubUserAccount(trx, memberUserId);
+  }
+
+  return members;
+};
+
+// ============================================================================
+// SİLME PLANLAMA
+// ============================================================================
+
+/**
+ * Kullanıcının girişle geri açılabilecek, planlanmış ve henüz uygulanmamış bir silme işlemi olup olmadığını kontrol eder
+ * @description Admin tarafından pasifleştirilen hesaplar (deactivated_by_admin_at) silme planı olsa da
+ * false döner; pasif hesap girişine izin verilmez ve silme planı girişte iptal edilmez.
+ * @param {Object} user - users kaydı
+ * @returns {boolean}
+ */
+const isDeletionPending = (user) => Boolean(
+  user && user.deletion_scheduled_at && !user.anonymized_at && !user.deactivated_by_admin_at
+);
+
+/**
+ * Şimdi kapatılan bir hesabın anonimleştirileceği tarihi hesaplar
+ * @param {Date} [from=new Date()] - Kapatma tarihi
+ * @returns {Promise<Date>} deletion_scheduled_at
+ */
+const calculateDeletionDate = async (from = new Date()) => {
+  const { grace_period_days } = await systemSettingsService.getAccountDeletionSettings();
+  const scheduledAt = new Date(from);
+  scheduledAt.setDate(scheduledAt.getDate() + grace_period_days);
+  return scheduledAt;
+};
+
+/**
+ * Hesap kapatma yanıtında kullanıcıya gösterilecek mesajı oluşturur
+ * @param {Date} scheduledAt - Anonimleştirme tarihi
+ * @returns {string}
+ */
+const buildDeletionNotice = (scheduledAt) =>
+  `Hesabınız kapatıldı. ${new Date(scheduledAt).toLocaleDateString('tr-TR')} tarihine kadar giriş yaparak hesabınızı geri açabilirsiniz; bu tarihten sonra kişisel verileriniz kalıcı olarak silinir.`;
+
+/**
+ * Hesap kapatma ile planlanan silmeyi audit log'a yazar
+ * @param {Object} user - users kaydı (id, role)
+ * @param {Date} scheduledAt - Anonimleştirme tarihi
+ * @param {Object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<void>}
+ */
+const recordDeletionScheduled = async (user, scheduledAt, context = {}) => {
+  logger.info('Account deletion scheduled', { userId: user.id, role: user.role, scheduledAt });
+  await auditDeletionAction(user, 'user.deletion_scheduled', context, { deletion_scheduled_at: scheduledAt });
+};
+
+/**
+ * Bekleme süresinde giriş yapan kullanıcının silme planını iptal eder ve hesabı aktifleştirir
+ * @param {Object} user - users kaydı
+ * @param {Object} [context] - { ipAddress, userAgent, source }
+ * @returns {Promise<Object>} Güncel users kaydı
+ */
+const cancelScheduledDeletion = async (user, context = {}) => {
+  const updated = await db('users')
+    .where('id', user.id)
+    .whereNotNull('deletion_scheduled_at')
+    .whereNull('anonymized_at')
+    .whereNull('deactivated_by_admin_at')
+    .update({
+      is_active: true,
+      deletion_scheduled_at: null,
+      updated_at: db.fn.now()
+    });
+
+  if (!updated) {
+    return user;
+  }
+
+  logger.info('Account deletion cancelled by login', { userId: user.id, role: user.role, source: context.source || null });
+  await auditDeletionAction(user, 'user.deletion_cancelled', context, {
+    deletion_scheduled_at: user.deletion_scheduled_at,
+    source: context.source || null
+  });
+
+  return db('users').where('id', user.id).first();
+};
+
+// ============================================================================
+// ANONİMLEŞTİRME
+// ============================================================================
+
+/**
+ * Tek bir hesabı anonimleştirir
+ * @description Silme planı bu arada iptal edildiyse (kullanıcı giriş yaptıysa) hiçbir şey yapılmaz
+ * @param {Object} user - users kaydı (id, role)
+ * @returns {Promise<boolean>} Anonimleştirildiyse true
+ */
+const anonymizeAccount = async (user) => {
+  let memberIds = [];
+
+  const anonymized = await db.transaction(async (trx) => {
+    // Giriş ile iptal edilmiş planı ezmemek için koşullu güncelleme ile hesabı işaretle;
+    // satır işlem bitene kadar kilitli kaldığından eşzamanlı giriş iptali beklemeye girer
+    const claimed = await trx('users')
+      .where('id', user.id)
+      .where('is_active', false)
+      .whereNotNull('deletion_scheduled_at')
+      .whereNull('anonymized_at')
+      .where('deletion_scheduled_at', '<=', new Date())
+      .update({ anonymized_at: trx.fn.now() });
+
+    if (!claimed) {
+      return false;
+    }
+
+    const current = await trx('users').where('id', user.id).select('id', 'role').first();
+
+    if (current.role === 'doctor') {
+      await scrubDoctorProfile(trx, current.id);
+    } else if (current.role === 'hospital') {
+      memberIds = await scrubHospitalProfile(trx, current.id);
+    }
+
+    await scrubUserAccount(trx, current.id);
+    return true;
+  });
+
+  if (!anonymized) {
+    return false;
+  }
+
+  // Dosyalar veritabanı işlemi tamamlandıktan sonra diskten silinir
+  await dataExportService.deleteUserExports(user.id);
+  if (user.role === 'hospital') {
+    // hospitalService bu servisi kullandığı için döngüsel bağımlılığı önlemek amacıyla burada yüklenir
+    await require('./applicationExportService').deleteHospitalExports(user.id);
+  }
+
+  await auditDeletionAction(user, 'user.anonymized', {}, {
+    deletion_scheduled_at: user.deletion_scheduled_at,
+    anonymized_team_members: memberIds.length || undefined
+  });
+
+  return true;
+};
+
+/**
+ * Silme tarihi gelen hesapları anonimleştirir (accountAnonymizationCron)
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Tek çalışmada işlenecek en fazla hesap
+ * @returns {Promise<{processed: number, anonymized: number, failed: number}>}
+ */
+const processScheduledDeletions = async ({ limit = ACCOUNT_DELETION.BATCH_SIZE } = {}) => {
+  const dueAccounts = await db('users')
+    .whereIn('role', ['doctor', 'hospital'])
+    .where('is_active', false)
+    .whereNull('anonymized_at')
+    .whereNotNull('deletion_scheduled_at')
+    .where('deletion_scheduled_at', '<=', new Date())
+    .orderBy('deletion_scheduled_at', 'asc')
+    .limit(limit)
+    .select('id', 'role', 'deletion_scheduled_at');
+
+  let anonymized = 0;
+  let failed = 0;
+
+  for (const user of dueAccounts) {
+    try {
+      if (await anonymizeAccount(user)) {
+        anonymized++;
+      }
+    } catch (error) {
+      failed++;
+      logger.error('Account anonymization failed', { userId: user.id, role: user.role, error: error.message });
+    }
+  }
+
+  return { processed: dueAccounts.length, anonymized, failed };
+};
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+  isDeletionPending,
+  calculateDeletionDate,
+  buildDeletionNotice,
+  recordDeletionScheduled,
+  cancelScheduledDeletion,
+  anonymizeAccount,
+  processScheduledDeletions
+};
@@ -0,0 +1,240 @@
+/**
+ * @file accountLockoutService.js
+ * @description Hesap kilitleme servisi - Hesap başına ardışık başarısız giriş denemelerini sayar ve
+ * eşik aşıldığında hesabı kademeli olarak artan sürelerle kilitler.
+ *
+ * Ana İşlevler:
+ * - Kilitli hesapta şifre kontrol edilmeden girişin reddedilmesi
+ * - Başarısız denemenin kaydedilmesi ve eşikte hesabın kilitlenmesi (15 dk → 1 sa → 4 sa → 24 sa)
+ * - Son başarısız denemenin üzerinden ATTEMPT_WINDOW_MINUTES geçtiyse sayacın yeniden başlatılması
+ * - Kilitlenince hesap sahibine e-posta ve security log (account_locked)
+ * - Başarılı girişte, şifre sıfırlamada veya admin işlemiyle sayaçların sıfırlanması
+ *
+ * Veritabanı Tabloları:
+ * - users: failed_login_attempts, last_failed_login_at, locked_until, lock_count
+ *
+ * Not:
+ * - authLimiter IP başına sınırlar; bu servis dağıtık denemelere karşı hesap başına sınırlar
+ * - Web (authService), mobil (mobileAuthService) ve iki adımlı doğrulama kodları aynı sayacı kullanır
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+// ============================================================================
+// DIŞ BAĞIMLILIKLAR
+// ============================================================================
+
+const db = require('../config/dbConfig').db;
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const LogService = require('./logService');
+const emailService = require('../utils/emailService');
+const { ACCOUNT_LOCKOUT } = require('../config/appConstants');
+
+// ============================================================================
+// YARDIMCI FONKSİYONLAR
+// ============================================================================
+
+const formatDuration = (minutes) => {
+  if (minutes < 60) return `${minutes} dakika`;
+  return `${Math.round(minutes / 60)} saat`;
+};
+
+const getLockDurationMinutes = (lockCount) => {
+  const durations = ACCOUNT_LOCKOUT.LOCK_DURATIONS_MINUTES;
+  return durations[Math.min(lockCount, durations.length - 1)];
+};
+
+/**
+ * Hesap şu anda kilitli mi
+ * @param {{locked_until: Date|null}} user - users kaydı
+ * @returns {boolean}
+ */
+const isLocked = (user) => Boolean(user?.locked_until && new Date(user.locked_until).getTime() > Date.now());
+
+const buildLockedError = (lockedUntil) => {
+  const minutes = Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 60000));
+  return new AppError(
+    `Çok sayıda başarısız giriş denemesi nedeniyle hesabınız geçici olarak kilitlendi. ${formatDuration(minutes)} sonra tekrar deneyin veya şifrenizi sıfırlayın.`,
+    403
+  );
+};
+
+const notifyAccountLocked = async (user, { lockDuration, lockedUntil, ipAddress }) => {
+  const { name } = await LogService.getUserInfoForAudit(user.id, user.role).catch(() => ({ name: null }));
+
+  await emailService.sendAccountLockedEmail({
+    to: user.email,
+    name,
+    lockDuration,
+    lockedUntil,
+    attempts: ACCOUNT_LOCKOUT.MAX_FAILED_ATTEMPTS,
+    ipAddress
+  });
+};
+
+// ============================================================================
+// KİLİT KONTROLLERİ
+// ============================================================================
+
+/**
+ * Hesap kilitliyse girişi reddeder
+ * @description Şifre kontrolünden önce çağrılır; kilit süresince denemeler sayılmaz
+ * @param {object} user - users kaydı
+ * @throws {AppError} Hesap kilitliyse (403)
+ */
+const assertNotLocked = (user) => {
+  if (isLocked(user)) {
+    throw buildLockedError(user.locked_until);
+  }
+};
+
+/**
+ * Başarısız giriş denemesini kaydeder; eşik aşılırsa hesabı kilitler
+ * @description Önceki başarısız deneme ATTEMPT_WINDOW_MINUTES'tan eskiyse sayaç 1'den başlar; böylece
+ * haftalar içinde biriken tek tük hatalı girişler hesabı kilitlemez. Karşılaştırma tek UPDATE içinde
+ * veritabanı saatiyle yapılır (eşzamanlı denemelerde sayaç kaybolmaz).
+ * @param {object} user - users kaydı (id, email, role)
+ * @param {object} [context] - { ipAddress, userAgent, source: 'web' | 'mobile' | 'two_factor' }
+ * @returns {Promise<{locked: boolean, lockedUntil?: Date}>}
+ */
+const recordFailedLogin = async (user, context = {}) => {
+  await db('users')
+    .where('id', user.id)
+    .update({
+      failed_login_attempts: db.raw(
+        'CASE WHEN last_failed_login_at IS NULL OR last_failed_login_at < DATEADD(MINUTE, ?, GETDATE()) THEN 1 ELSE failed_login_attempts + 1 END',
+        [-ACCOUNT_LOCKOUT.ATTEMPT_WINDOW_MINUTES]
+      ),
+      last_failed_login_at: db.fn.now()
+    });
+
+  const current = await db('users')
+    .where('id', user.id)
+    .select('failed_login_attempts', 'lock_count', 'locked_until')
+    .first();
+
+  if (!current || current.failed_login_attempts < ACCOUNT_LOCKOUT.MAX_FAILED_ATTEMPTS) {
+    return { locked: false };
+  }
+
+  const durationMinutes = getLockDurationMinutes(current.lock_count);
+  const lockedUntil = new Date(Date.now() + durationMinutes * 60 * 1000);
+
+  // Eşzamanlı denemelerde kilit yalnızca bir kez uygulanır
+  const updated = await db('users')
+    .where('id', user.id)
+    .where('failed_login_attempts', '>=', ACCOUNT_LOCKOUT.MAX_FAILED_ATTEMPTS)
+    .update({
+      failed_login_attempts: 0,
+      lock_count: db.raw('lock_count + 1'),
+      locked_until: lockedUntil
+    });
+
+  if (!updated) {
+    const latest = await db('users').where('id', user.id).select('locked_until').first();
+    return { locked: isLocked(latest), lockedUntil: latest?.locked_until };
+  }
+
+  const lockDuration = formatDuration(durationMinutes);
+
+  logger.warn(`Account locked after failed logins: ${user.email}`, {
+    userId: user.id,
+    lockCount: current.lock_count + 1,
+    durationMinutes,
+    source: context.source
+  });
+
+  LogService.createSecurityLog({
+    eventType: 'account_locked',
+    severity: 'high',
+    message: `Hesap ${lockDuration} süreyle kilitlendi (${ACCOUNT_LOCKOUT.MAX_FAILED_ATTEMPTS} başarısız deneme): ${user.email}`,
+    userId: user.id,
+    email: user.email,
+    ipAddress: context.ipAddress || null,
+    userAgent: context.userAgent || null,
+    metadata: {
+      source: context.source || 'web',
+      lock_count: current.lock_count + 1,
+      duration_minutes: durationMinutes,
+      locked_until: lockedUntil.toISOString()
+    }
+  }).catch((err) => logger.error('Security log kayıt hatası', { error: err.message }));
+
+  notifyAccountLocked(user, { lockDuration, lockedUntil, ipAddress: context.ipAddress })
+    .catch((err) => logger.error('Hesap kilidi bildirimi gönderilemedi', { userId: user.id, error: err.message }));
+
+  return { locked: true, lockedUntil };
+};
+
+/**
+ * Başarısız denemeyi kaydeder ve bu deneme hesabı kilitlediyse kilit hatası fırlatır
+ * @param {object} user - users kaydı
+ * @param {object} [context] - { ipAddress, userAgent, source }
+ * @returns {Promise<void>}
+ * @throws {AppError} Hesap bu denemeyle kilitlendiyse (403)
+ */
+const registerFailedAttempt = async (user, context = {}) => {
+  const result = await recordFailedLogin(user, context);
+  if (result.locked) {
+    throw buildLockedError(result.lockedUntil);
+  }
+};
+
+/**
+ * Başarılı girişte sayaçları sıfırlar
+ * @param {object} user - users kaydı (sayaç alanları boşsa sorgu atılmaz)
+ * @returns {Promise<void>}
+ */
+const resetFailedLogins = async (user) => {
+  if (!user.failed_login_attempts && !user.lock_count && !user.locked_until) return;
+
+  await db('users')
+    .where('id', user.id)
+    .update({ failed_login_attempts: 0, lock_count: 0, locked_until: null });
+};
+
+/**
+ * Hesap kilidini admin olarak kaldırır
+ * @param {number} userId - Kullanıcı ID'si
+ * @param {object} actor - { id, email, ipAddress, userAgent }
+ * @returns {Promise<boolean|null>} Kullanıcı yoksa null
+ */
+const unlockAccount = async (userId, actor = {}) => {
+  const user = await db('users').where('id', userId).select('id', 'email', 'locked_until').first();
+  if (!user) return null;
+
+  await db('users')
+    .where('id', userId)
+    .update({ failed_login_attempts: 0, lock_count: 0, locked_until: null, updated_at: db.fn.now() });
+
+  LogService.createSecurityLog({
+    eventType: 'account_unlocked',
+    severity: 'medium',
+    message: `Hesap kilidi admin tarafından kaldırıldı: ${user.email}`,
+    userId: user.id,
+    email: user.email,
+    ipAddress: actor.ipAddress || null,
+    userAgent: actor.userAgent || null,
+    metadata: { unlocked_by: actor.id, unlocked_by_email: actor.email, was_locked: isLocked(user) }
+  }).catch((err) => logger.error('Security log kayıt hatası', { error: err.message }));
+
+  return true;
+};
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+  isLocked,
+  assertNotLocked,
+  recordFailedLogin,
+  registerFailedAttempt,
+  resetFailedLogins,
+  unlockAccount
+};
@@ -29,7 +29,11 @@ const bcrypt = require('bcryptjs');
 const { AppError } = require('../utils/errorHandler');
 const { createPaginationResponse, calculateOffset, validatePaginationParams } = require('../utils/paginationHelper');
 const notificationService = require('./notificationService');
+const systemSettingsService = require('./systemSettingsService');
+const applicationPipelineService = require('./applicationPipelineService');
+const doctorService = require('./doctorService');
 const logger = require('../utils/logger');
+const { DEFAULT_ADMIN_SUB_ROLE } = require('../config/appConstants');
 
 // ============================================================================
 // KULLANICI YÖNETİMİ
@@ -43,6 +47,7 @@ const logger = require('../utils/logger');
  * @param {string} [filters.role] - Kullanıcı rolü (doctor, hospital)
  * @param {string|boolean} [filters.isApproved] - Onay durumu
  * @param {string|boolean} [filters.isActive] - Aktiflik durumu
+ * @param {string|boolean} [filters.emailVerified] - E-posta doğrulama durumu (email_verified_at dolu/boş)
  * @param {string} [filters.search] - Genel arama terimi (email, isim, soyisim, kurum adı)
  * @param {string} [filters.email_search] - E-posta arama terimi
  * @param {string} [filters.doctor_search] - Doktor arama terimi (ad, soyad)
@@ -59,6 +64,7 @@ const getUsers = async (filters = {}) => {
     role, 
     isApproved, 
     isActive, 
+    emailVerified,
     search, 
     email_search, 
     doctor_search,
@@ -113,6 +119,13 @@ const getUsers = async (filters = {}) => {
     const activeValue = isActive === 'true' || isActive === true ? 1 : 0;
     query.where('users.is_active', activeValue);
   }
+  if (emailVerified !== undefined && emailVerified !== '') {
+    if (emailVerified === 'true' || emailVerified === true) {
+      query.whereNotNull('users.email_verified_at');
+    } else {
+      query.whereNull('users.email_verified_at');
+    }
+  }
   
   // Doktor filtreleri
   if (role === 'doctor' || doctor_search || specialty_id || subspecialty_id || (city_id && role !== 'hospital')) {
@@ -220,6 +233,13 @@ const getUsers = async (filters = {}) => {
     const activeValue = isActive === 'true' || isActive === true ? 1 : 0;
     countQuery.where('users.is_active', activeValue);
   }
+  if (emailVerified !== undefined && emailVerified !== '') {
+    if (emailVerified === 'true' || emailVerified === true) {
+      countQuery.whereNotNull('users.email_verified_at');
+    } else {
+      countQuery.whereNull('users.email_verified_at');
+    }
+  }
   
   // Doktor filtreleri
   if (role === 'doctor' || doctor_search || specialty_id || subspecialty_id || (city_id && role !== 'hospital')) {
@@ -796,7 +816,7 @@ const getAllApplications = async ({ search, doctor_search, hospital_search, stat
  * @param {boolean} approved - Onay durumu
  * @param {string} [rejectionReason=null] - Red sebebi
  * @returns {boolean|null} İşlem başarılıysa true, kullanıcı bulunamazsa null
- * @throws {AppError} Admin hesabı değiştirilmeye çalışılırsa
+ * @throws {AppError} Admin hesabı değiştirilmeye çalışılırsa veya e-posta doğrulaması zorunluyken doğrulanmamış hesap onaylanırsa
  */
 const updateUserApproval = async (userId, approved, rejectionReason = null) => {
   const user = await db('users').where('id', userId).first();
@@ -807,6 +827,14 @@ const updateUserApproval = async (userId, approved, rejectionReason = null) => {
     throw new AppError('Admin hesabı değiştirilemez', 403);
   }
 
+  // Ayar açıksa e-posta adresi doğrulanmamış hesaplar onaylanamaz
+  if (approved && !user.is_approved && !user.email_verified_at) {
+    const { require_email_verification } = await systemSettingsService.getRegistrationSettings();
+    if (require_email_verification) {
+      throw new AppError('Kullanıcı e-posta adresini doğrulamadan hesap onaylanamaz', 400);
+    }
+  }
+
   // Eski onay durumunu kaydet
   const oldApprovalStatus = user.is_approved;
 
@@ -907,6 +935,10 @@ const updateUserStatus = async (userId, isActive, reason = null) => {
     throw new AppError('Admin hesabı değiştirilemez', 403);
   }
 
+  if (isActive && user.anonymized_at) {
+    throw new AppError('Anonimleştirilmiş hesap yeniden aktifleştirilemez', 400);
+  }
+
   // Eski aktiflik durumunu kaydet
   const oldActiveStatus = user.is_active;
 
@@ -915,6 +947,15 @@ const updateUserStatus = async (userId, isActive, reason = null) => {
     updated_at: db.fn.now()
   };
 
+  // Yeniden aktifleştirilen hesabın bekleyen silme planı kaldırılır; pasifleştirmede admin işareti
+  // konur (kullanıcının kendi kapattığı hesap bekleme süresinde girişle geri açılamaz)
+  if (isActive) {
+    updateData.deletion_scheduled_at = null;
+    updateData.deactivated_by_admin_at = null;
+  } else {
+    updateData.deactivated_by_admin_at = db.fn.now();
+  }
+
   await db('users').where('id', userId).update(updateData);
 
   return true;
@@ -947,9 +988,10 @@ const deactivateUser = async (userId, reason = null) => {
     // Eski aktiflik durumunu kaydet
     const oldActiveStatus = user.is_active;
 
-    // Kullanıcıyı pasifleştir
+    // Kullanıcıyı pasifleştir (admin işareti: kendi kapattığı hesap girişle geri açılamaz)
     await db('users').where('id', userId).update({
       is_active: false,
+      deactivated_by_admin_at: db.fn.now(),
       updated_at: db.fn.now()
     });
 
@@ -979,12 +1021,18 @@ const activateUser = async (userId, reason = null) => {
       throw new AppError('Kullanıcı bulunamadı', 404);
     }
 
+    if (user.anonymized_at) {
+      throw new AppError('Anonimleştirilmiş hesap yeniden aktifleştirilemez', 400);
+    }
+
     // Eski aktiflik durumunu kaydet
     const oldActiveStatus = user.is_active;
 
-    // Kullanıcıyı aktifleştir
+    // Kullanıcıyı aktifleştir (kullanıcının kendi kapattığı hesapta bekleyen silme planı kaldırılır)
     await db('users').where('id', userId).update({
       is_active: true,
+      deletion_scheduled_at: null,
+      deactivated_by_admin_at: null,
       updated_at: db.fn.now()
     });
 
@@ -995,6 +1043,49 @@ const activateUser = async (userId, reason = null) => {
   }
 };
 
+/**
+ * Admin kullanıcılarını alt rolleriyle listeler
+ * admin_role NULL olan hesaplar varsayılan alt rolle (super_admin) döner
+ * 
+ * @returns {Promise<Array<Object>>} { id, email, admin_role, is_active, last_login, created_at }
+ */
+const getAdmins = async () => {
+  const admins = await db('users')
+    .where('role', 'admin')
+    .select('id', 'email', 'admin_role', 'is_active', 'last_login', 'created_at')
+    .orderBy('created_at', 'asc');
+
+  return admins.map((admin) => ({
+    ...admin,
+    admin_role: admin.admin_role || DEFAULT_ADMIN_SUB_ROLE,
+    is_active: admin.is_active === null || admin.is_active === undefined ? true : Boolean(admin.is_active)
+  }));
+};
+
+/**
+ * Admin kullanıcının alt rolünü günceller
+ * 
+ * @param {number} userId - Admin kullanıcı ID'si
+ * @param {string} adminRole - Yeni alt rol (appConstants.ADMIN_SUB_ROLES anahtarı)
+ * @returns {Promise<{oldRole: string, newRole: string}|null>} Kullanıcı yoksa null
+ * @throws {AppError} Kullanıcı admin değilse (400)
+ */
+const updateAdminRole = async (userId, adminRole) => {
+  const user = await db('users').where('id', userId).select('id', 'role', 'admin_role').first();
+  if (!user) return null;
+
+  if (user.role !== 'admin') {
+    throw new AppError('Alt rol yalnızca admin kullanıcılara atanabilir', 400);
+  }
+
+  await db('users').where('id', userId).update({
+    admin_role: adminRole,
+    updated_at: db.fn.now()
+  });
+
+  return { oldRole: user.admin_role || DEFAULT_ADMIN_SUB_ROLE, newRole: adminRole };
+};
+
 
 
 /**
@@ -1003,9 +1094,10 @@ const activateUser = async (userId, reason = null) => {
  * @param {number} applicationId - Başvuru ID'si
  * @param {number} statusId - Yeni durum ID'si (application_statuses.id)
  * @param {string} [reason=null] - Durum değişiklik sebebi
+ * @param {number} [adminId=null] - Değişikliği yapan admin (durum geçmişi için)
  * @returns {Object|null} Güncellenmiş başvuru bilgileri
  */
-const updateApplicationStatus = async (applicationId, statusId, reason = null) => {
+const updateApplicationStatus = async (applicationId, statusId, reason = null, adminId = null) => {
   const application = await db('applications').where('id', applicationId).first();
   if (!application) return null;
 
@@ -1016,11 +1108,28 @@ const updateApplicationStatus = async (applicationId, statusId, reason = null) =
 
   // Not: applied_at güncellenmez - bu ilk başvuru tarihi olarak kalır
   // Sadece status_id ve updated_at güncellenir
-  await db('applications').where('id', applicationId).update({
-    status_id: statusId,
-    notes: notesToPersist,
-    updated_at: db.fn.now()
-    // applied_at değiştirilmez - ilk başvuru tarihi korunur
+  const statusChanged = application.status_id !== statusId;
+  await db.transaction(async (trx) => {
+    await trx('applications').where('id', applicationId).update({
+      status_id: statusId,
+      notes: notesToPersist,
+      // Durum değiştiğinde hastanenin özel aşaması sıfırlanır
+      ...(statusChanged && { pipeline_stage_id: null }),
+      updated_at: trx.fn.now()
+      // applied_at değiştirilmez - ilk başvuru tarihi korunur
+    });
+
+    if (statusChanged) {
+      await applicationPipelineService.recordStatusChange(trx, {
+        applicationId,
+        fromStatusId: application.status_id,
+        toStatusId: statusId,
+        fromStageId: application.pipeline_stage_id,
+        changedBy: adminId,
+        changedByRole: 'admin',
+        note: normalizedReason || null
+      });
+    }
   });
 
   // Güncellenmiş başvuruyu status adı ile birlikte getir
@@ -1128,6 +1237,12 @@ const updateJob = async (jobId, jobData) => {
   const job = await db('jobs').where('id', jobId).first();
   if (!job) return null;
 
+  // Ücret girilip para birimi seçilmediyse hastane formundaki varsayılan (TRY) kullanılır
+  const hasSalary = jobData.salary_min != null || jobData.salary_max != null;
+  if (hasSalary && !jobData.salary_currency && !job.salary_currency) {
+    jobData = { ...jobData, salary_currency: 'TRY' };
+  }
+
   await db('jobs').where('id', jobId).update({
     ...jobData,
     updated_at: db.fn.now()
@@ -1151,11 +1266,20 @@ const updateJobStatus = async (jobId, statusId, adminId, reason = null) => {
 
   const oldStatusId = job.status_id;
 
-  // Durumu güncelle
-  await db('jobs').where('id', jobId).update({
+  const updateData = {
     status_id: statusId,
     updated_at: db.fn.now()
-  });
+  };
+
+  // Süresi dolmuş bir ilan manuel olarak yayına alınırsa cron tarafından hemen tekrar pasif edilmesin
+  if (statusId === 3 && (!job.expires_at || new Date(job.expires_at) <= new Date())) {
+    const durationDays = job.duration_days || await systemSettingsService.resolveJobDuration(null);
+    updateData.expires_at = systemSettingsService.calculateExpiresAt(durationDays);
+    updateData.expiry_warning_sent_at = null;
+  }
+
+  // Durumu güncelle
+  await db('jobs').where('id', jobId).update(updateData);
 
   // Job history kaydı oluştur
   await db('job_history').insert({
@@ -1167,6 +1291,11 @@ const updateJobStatus = async (jobId, statusId, adminId, reason = null) => {
     changed_at: db.fn.now()
   });
 
+  // İlan tekrar yayına alındıysa favorilerdeki "süresi doldu" işareti kaldırılır
+  if (statusId === 3) {
+    await doctorService.clearFavoriteJobsExpired([jobId]);
+  }
+
   return await getJobDetails(jobId);
 };
 
@@ -1184,11 +1313,16 @@ const approveJob = async (jobId, adminId) => {
 
     const oldStatusId = job.status_id;
 
+    // Yayın süresi hastanenin seçtiği süreden hesaplanır (eski ilanlarda varsayılan süre)
+    const durationDays = job.duration_days || await systemSettingsService.resolveJobDuration(null);
+
     // İlanı Onaylandı durumuna getir
     await db('jobs').where('id', jobId).update({
       status_id: 3, // Onaylandı
       approved_at: db.fn.now(),
       published_at: db.fn.now(),
+      expires_at: systemSettingsService.calculateExpiresAt(durationDays),
+      expiry_warning_sent_at: null,
       updated_at: db.fn.now()
     });
 
@@ -1202,6 +1336,8 @@ const approveJob = async (jobId, adminId) => {
       changed_at: db.fn.now()
     });
 
+    await doctorService.clearFavoriteJobsExpired([jobId]);
+
     // Hastaneye bildirim gönder
     try {
       const hospitalProfile = await db('jobs as j')
@@ -1587,7 +1723,14 @@ const getApplicationDetails = async (applicationId) => {
         'j.description as job_description',
         'j.employment_type',
         'j.min_experience_years',
-        // Not: max_experience_years, salary_min, salary_max kolonları jobs tablosunda yok
+        'j.salary_min',
+        'j.salary_max',
+        'j.salary_currency',
+        'j.monthly_shift_count',
+        'j.working_hours',
+        'j.provides_housing',
+        'j.provides_transport',
+        // Not: max_experience_years kolonu jobs tablosunda yok
         'js.name as job_status',
         'job_specialty.name as job_specialty_name',
         'job_subspecialty.name as job_subspecialty_name',
@@ -1979,6 +2122,8 @@ module.exports = {
   updateUserStatus,
   deactivateUser,
   activateUser,
+  getAdmins,
+  updateAdminRole,
   getAllJobs,
   getJobDetails,
   updateJob,
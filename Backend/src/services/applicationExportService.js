@@ -0,0 +1,644 @@
+/**
+ * @file applicationExportService.js
+ * @description Toplu başvuru paketi servisi - Hastanenin bir ilana gelen başvuruları tek tek indirmek
+ * yerine başvuru başına PDF ve özet tablo içeren tek bir ZIP olarak indirebilmesini sağlar.
+ *
+ * Ana İşlevler:
+ * - Dışa aktarma talebi oluşturma (hospitalService.getApplications ile aynı filtreler)
+ * - Bekleyen taleplerin arka planda işlenmesi (applicationExportCron): PDF'ler üretilir, ZIP diske yazılır
+ * - Hazır olduğunda talep eden ekip üyesine bildirim gönderilmesi (notificationService)
+ * - İlanın talep geçmişi ve hastane ekibi için indirme
+ * - Süresi dolan dosyaların diskten silinmesi
+ *
+ * ZIP içeriği:
+ * - ozet.csv: Ad soyad, unvan, uzmanlık, yan dal, deneyim yılı, durum, başvuru tarihi, PDF dosya adı
+ *   (UTF-8 BOM ve ';' ayracı ile Excel'de doğrudan açılır)
+ * - basvurular/NNN-ad-soyad-<id>.pdf (pdfService.generateApplicationPDF), BENIOKU.txt
+ *
+ * Veritabanı Tabloları:
+ * - application_export_requests: Talepler, filtreler ve durumları
+ *
+ * Not:
+ * - Pasif doktorların bilgileri başvuru listesindeki gibi gizlenir, PDF'leri pakete eklenmez
+ * - Talep ve her indirme audit log'a yazılır
+ * - Dosyalar Backend/storage/application-exports altında tutulur; /uploads gibi statik servis edilmez
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+// ============================================================================
+// DIŞ BAĞIMLILIKLAR
+// ============================================================================
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/dbConfig').db;
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const LogService = require('./logService');
+const notificationService = require('./notificationService');
+const pdfService = require('./pdfService');
+const { getApplicationPdfData } = require('./pdfDataService');
+const { applyJobApplicationFilters } = require('./hospitalService');
+const { createZipArchive } = require('../utils/zipArchive');
+const { APPLICATION_EXPORT } = require('../config/appConstants');
+
+// ============================================================================
+// YARDIMCI FONKSİYONLAR
+// ============================================================================
+
+const EXPORT_DIR = path.join(__dirname, '..', '..', 'storage', 'application-exports');
+const PROCESS_BATCH_SIZE = 2;
+const CSV_SEPARATOR = ';';
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+const TR_CHAR_MAP = { ç: 'c', ğ: 'g', ı: 'i', ö: 'o', ş: 's', ü: 'u', Ç: 'c', Ğ: 'g', İ: 'i', Ö: 'o', Ş: 's', Ü: 'u' };
+
+const toFileSlug = (text, fallback) => {
+  const slug = String(text || '')
+    .replace(/[çğıöşüÇĞİÖŞÜ]/g, (char) => TR_CHAR_MAP[char])
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return slug || fallback;
+};
+
+const formatDateTr = (value) => (value
+  ? new Date(value).toLocaleString('tr-TR', { timeZone: 'Europe/Istanbul', dateStyle: 'short', timeStyle: 'short' })
+  : '');
+
+/**
+ * CSV hücresi; formül olarak yorumlanabilecek değerler (=, +, -, @) metne çevrilir
+ */
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => `\uFEFF${rows.map((row) => row.map(toCsvValue).join(CSV_SEPARATOR)).join('\r\n')}\r\n`;
+
+/**
+ * Deneyim süresini yıl olarak hesaplar; çakışan dönemler bir kez sayılır
+ * @param {Array<{start_date, end_date, is_current}>} experiences
+ * @returns {number} Bir ondalık basamaklı yıl
+ */
+const calculateExperienceYears = (experiences = []) => {
+  const ranges = experiences
+    .filter((experience) => experience.start_date)
+    .map((experience) => [
+      new Date(experience.start_date).getTime(),
+      experience.is_current || !experience.end_date ? Date.now() : new Date(experience.end_date).getTime()
+    ])
+    .filter(([start, end]) => !Number.isNaN(start) && !Number.isNaN(end) && end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let total = 0;
+  let current = null;
+  for (const [start, end] of ranges) {
+    if (!current || start > current[1]) {
+      if (current) total += current[1] - current[0];
+      current = [start, end];
+    } else {
+      current[1] = Math.max(current[1], end);
+    }
+  }
+  if (current) total += current[1] - current[0];
+
+  return Math.round((total / YEAR_MS) * 10) / 10;
+};
+
+const parseFilters = (request) => {
+  try {
+    return request.filters_json ? JSON.parse(request.filters_json) : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const buildFileName = (request) => {
+  const date = new Date(request.created_at || Date.now()).toISOString().slice(0, 10);
+  return `basvuru-paketi-${toFileSlug(request.job_title, `ilan-${request.job_id}`)}-${date}.zip`;
+};
+
+const removeExportFile = async (request) => {
+  if (!request.file_path) {
+    return;
+  }
+  await fs.promises.unlink(path.join(EXPORT_DIR, request.file_path)).catch((error) => {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Application export file could not be deleted', { requestId: request.id, error: error.message });
+    }
+  });
+};
+
+/**
+ * Talebi istemciye dönen alanlarla sınırlar (dosya yolu dönmez)
+ * @param {Object} request - application_export_requests kaydı
+ * @returns {Object}
+ */
+const mapExportRequest = (request) => ({
+  id: request.id,
+  job_id: request.job_id,
+  filters: parseFilters(request),
+  status: request.status,
+  application_count: request.application_count,
+  file_size: request.file_size,
+  expires_at: request.expires_at,
+  download_count: request.download_count,
+  error_message: request.status === 'failed' ? request.error_message : null,
+  requested_by_name: request.requested_by_name ?? null,
+  created_at: request.created_at,
+  completed_at: request.completed_at
+});
+
+const auditExportAction = async (userId, action, request, context = {}, metadata = null) => {
+  const actorInfo = await LogService.getUserInfoForAudit(userId, 'hospital')
+    .catch(() => ({ name: null, email: null }));
+
+  await LogService.createAuditLog({
+    actorId: userId,
+    actorRole: 'hospital',
+    actorName: actorInfo.name,
+    actorEmail: actorInfo.email,
+    action,
+    resourceType: 'application_export',
+    resourceId: request.id,
+    newValues: { job_id: request.job_id, status: request.status },
+    ipAddress: context.ipAddress || null,
+    userAgent: context.userAgent || null,
+    metadata
+  }).catch((err) => logger.error('Audit log kayıt hatası', { error: err.message }));
+};
+
+/**
+ * İlanın filtreye uyan başvuruları - başvuru listesiyle aynı kapsam (silinmemiş başvuru ve ilan)
+ * @param {number} hospitalProfileId
+ * @param {number} jobId
+ * @param {Object} filters - { status }
+ * @returns {Object} Knex sorgusu
+ */
+const buildApplicationsQuery = (hospitalProfileId, jobId, filters) => {
+  const query = db('applications as a')
+    .join('doctor_profiles as dp', 'a.doctor_profile_id', 'dp.id')
+    .join('users as u', 'dp.user_id', 'u.id')
+    .join('application_statuses as ast', 'a.status_id', 'ast.id')
+    .join('jobs as j', 'a.job_id', 'j.id')
+    .where('a.job_id', jobId)
+    .where('j.hospital_id', hospitalProfileId)
+    .whereNull('a.deleted_at')
+    .whereNull('j.deleted_at');
+
+  return applyJobApplicationFilters(query, filters);
+};
+
+const getHospitalJob = async (hospitalProfileId, jobId) => {
+  const job = await db('jobs')
+    .where({ id: jobId, hospital_id: hospitalProfileId })
+    .whereNull('deleted_at')
+    .select('id', 'title', 'hospital_id')
+    .first();
+  if (!job) {
+    throw new AppError('İş ilanı bulunamadı veya yetkiniz yok', 404);
+  }
+  return job;
+};
+
+// ============================================================================
+// TALEP YÖNETİMİ
+// ============================================================================
+
+/**
+ * Yeni başvuru paketi talebi oluşturur
+ * Aynı kullanıcının aynı ilan ve filtre için hazırlanmakta olan talebi varsa o talep döner.
+ * @param {Object} user - req.user (hospitalProfileId dahil)
+ * @param {number} jobId - İş ilanı ID'si
+ * @param {Object} filters - { status } (hospitalService.getApplications filtreleri)
+ * @param {Object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Talep
+ * @throws {AppError} 404 ilan bulunamazsa, 400 başvuru yoksa veya sınır aşılırsa, 429 hastanenin aktif talep sınırı doluysa
+ */
+const requestExport = async (user, jobId, filters = {}, context = {}) => {
+  const job = await getHospitalJob(user.hospitalProfileId, jobId);
+  const normalizedFilters = filters.status ? { status: filters.status } : {};
+  const filtersJson = JSON.stringify(normalizedFilters);
+
+  const existing = await db('application_export_requests')
+    .where({ job_id: job.id, requested_by: user.id, filters_json: filtersJson })
+    .whereIn('status', ['pending', 'processing'])
+    .first();
+  if (existing) {
+    return mapExportRequest(existing);
+  }
+
+  const [{ count }] = await buildApplicationsQuery(user.hospitalProfileId, job.id, normalizedFilters)
+    .count('* as count');
+  const applicationCount = Number(count);
+  if (applicationCount === 0) {
+    throw new AppError('Seçilen filtreye uyan başvuru bulunmuyor', 400);
+  }
+  if (applicationCount > APPLICATION_EXPORT.MAX_APPLICATIONS) {
+    throw new AppError(`Tek pakette en fazla ${APPLICATION_EXPORT.MAX_APPLICATIONS} başvuru dışa aktarılabilir (${applicationCount} başvuru var); durum filtresiyle daraltın`, 400);
+  }
+
+  const [{ count: activeCount }] = await db('application_export_requests')
+    .where('hospital_profile_id', user.hospitalProfileId)
+    .whereIn('status', ['pending', 'processing'])
+    .count('* as count');
+  if (Number(activeCount) >= APPLICATION_EXPORT.MAX_ACTIVE_PER_HOSPITAL) {
+    throw new AppError('Hazırlanmakta olan başvuru paketleriniz var; tamamlandıktan sonra yeniden deneyin', 429);
+  }
+
+  const result = await db('application_export_requests')
+    .insert({
+      hospital_profile_id: user.hospitalProfileId,
+      job_id: job.id,
+      requested_by: user.id,
+      filters_json: filtersJson,
+      status: 'pending',
+      application_count: applicationCount,
+      created_at: db.fn.now()
+    })
+    .returning('id');
+
+  const id = result[0]?.id || result[0];
+  const request = await db('application_export_requests').where('id', id).first();
+
+  await auditExportAction(user.id, 'application_export.requested', request, context, {
+    filters: normalizedFilters,
+    application_count: applicationCount
+  });
+
+  return mapExportRequest(request);
+};
+
+/**
+ * İlanın son başvuru paketi taleplerini getirir (hastane ekibinin tüm talepleri)
+ * @param {Object} user - req.user
+ * @param {number} jobId - İş ilanı ID'si
+ * @returns {Promise<Array>} Talepler (yeniden eskiye)
+ */
+const getExportRequests = async (user, jobId) => {
+  const job = await getHospitalJob(user.hospitalProfileId, jobId);
+
+  const requests = await db('application_export_requests as r')
+    .leftJoin('hospital_members as hm', function () {
+      this.on('hm.user_id', 'r.requested_by').andOn('hm.hospital_profile_id', 'r.hospital_profile_id');
+    })
+    .where('r.job_id', job.id)
+    .where('r.hospital_profile_id', user.hospitalProfileId)
+    .select('r.*', 'hm.full_name as requested_by_name')
+    .orderBy('r.created_at', 'desc')
+    .limit(10);
+
+  return requests.map(mapExportRequest);
+};
+
+// ============================================================================
+// PAKET OLUŞTURMA
+// ============================================================================
+
+/**
+ * Talebin başvurularından ZIP arşivini oluşturur
+ * Tek bir başvurunun PDF'i üretilemezse paket yine tamamlanır; özet ve BENIOKU'da belirtilir.
+ * @param {Object} request - application_export_requests kaydı
+ * @param {Object} job - { id, title }
+ * @returns {Promise<{archive: Buffer, applicationCount: number}>}
+ */
+const buildExportArchive = async (request, job) => {
+  const filters = parseFilters(request);
+  const applications = await buildApplicationsQuery(request.hospital_profile_id, job.id, filters)
+    .leftJoin('specialties as s', 'dp.specialty_id', 's.id')
+    .leftJoin('subspecialties as ss', 'dp.subspecialty_id', 'ss.id')
+    .select(
+      'a.id',
+      'a.doctor_profile_id',
+      'a.applied_at',
+      'u.is_active as doctor_is_active',
+      'dp.first_name',
+      'dp.last_name',
+      'dp.title',
+      's.name as specialty_name',
+      'ss.name as subspecialty_name',
+      'ast.name as status'
+    )
+    .orderBy('a.applied_at', 'desc')
+    .limit(APPLICATION_EXPORT.MAX_APPLICATIONS);
+
+  const profileIds = [...new Set(applications.map((application) => application.doctor_profile_id))];
+  const experiences = profileIds.length > 0
+    ? await db('doctor_experiences')
+      .whereIn('doctor_profile_id', profileIds)
+      .whereNull('deleted_at')
+      .select('doctor_profile_id', 'start_date', 'end_date', 'is_current')
+    : [];
+
+  const summaryRows = [['Ad Soyad', 'Unvan', 'Uzmanlık', 'Yan Dal', 'Deneyim (Yıl)', 'Durum', 'Başvuru Tarihi', 'PDF']];
+  const pdfEntries = [];
+  const failedPdfs = [];
+
+  for (const [index, application] of applications.entries()) {
+    // Pasif doktorların bilgileri başvuru listesindeki gibi gizlenir
+    const isActive = Boolean(application.doctor_is_active);
+    const fullName = isActive ? `${application.first_name || ''} ${application.last_name || ''}`.trim() : 'Pasif kullanıcı';
+    let pdfName = '';
+
+    if (isActive) {
+      const fileName = `basvurular/${String(index + 1).padStart(3, '0')}-${toFileSlug(fullName, 'doktor')}-${application.id}.pdf`;
+      try {
+        const pdfData = await getApplicationPdfData(application.id);
+        if (pdfData) {
+          const pdf = await pdfService.generateApplicationPDF(pdfData);
+          pdfEntries.push({ name: fileName, data: Buffer.from(pdf) });
+          pdfName = fileName;
+        }
+      } catch (error) {
+        logger.warn('Application export PDF could not be generated', {
+          requestId: request.id,
+          applicationId: application.id,
+          error: error.message
+        });
+      }
+      if (!pdfName) {
+        failedPdfs.push(fullName);
+        pdfName = 'Oluşturulamadı';
+      }
+    }
+
+    const experienceYears = isActive
+      ? calculateExperienceYears(experiences.filter((experience) => experience.doctor_profile_id === application.doctor_profile_id))
+      : null;
+
+    summaryRows.push([
+      fullName,
+      isActive ? application.title : '',
+      isActive ? application.specialty_name : '',
+      isActive ? application.subspecialty_name : '',
+      experienceYears === null ? '' : String(experienceYears).replace('.', ','),
+      application.status,
+      formatDateTr(application.applied_at),
+      pdfName
+    ]);
+  }
+
+  const readme = [
+    'MediKariyer.net - Başvuru Paketi',
+    `İlan: ${job.title}`,
+    `Filtre: ${filters.status && applications.length > 0 ? `Durum = ${applications[0].status}` : 'Tüm başvurular'}`,
+    `Başvuru sayısı: ${applications.length}`,
+    `Oluşturulma zamanı: ${formatDateTr(new Date())}`,
+    '',
+    'ozet.csv    : Başvuru özeti (Excel ile açılabilir)',
+    'basvurular/ : Her başvuru için ilan ve doktor profilini içeren PDF',
+    'Pasif hesaplı doktorların bilgileri ve PDF\'leri pakete eklenmez.',
+    ...(failedPdfs.length > 0 ? ['', `PDF'i oluşturulamayan başvurular: ${failedPdfs.join(', ')}`] : [])
+  ].join('\n');
+
+  const archive = createZipArchive([
+    { name: 'BENIOKU.txt', data: readme },
+    { name: 'ozet.csv', data: toCsv(summaryRows) },
+    ...pdfEntries
+  ]);
+
+  return { archive, applicationCount: applications.length };
+};
+
+// ============================================================================
+// ARKA PLAN İŞLEME (applicationExportCron)
+// ============================================================================
+
+/**
+ * Tek bir talebi işler: ZIP'i hazırlar ve talep eden ekip üyesine bildirim gönderir
+ * @param {Object} request - 'processing' durumuna alınmış talep
+ * @returns {Promise<boolean>} Başarılıysa true
+ */
+const processExportRequest = async (request) => {
+  try {
+    const job = await db('jobs').where('id', request.job_id).whereNull('deleted_at').select('id', 'title').first();
+    if (!job) {
+      throw new AppError('İş ilanı silinmiş', 404);
+    }
+
+    const { archive, applicationCount } = await buildExportArchive(request, job);
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const fileName = `${request.id}-${crypto.randomBytes(8).toString('hex')}.zip`;
+    await fs.promises.writeFile(path.join(EXPORT_DIR, fileName), archive);
+
+    const expiresAt = new Date(Date.now() + APPLICATION_EXPORT.DOWNLOAD_EXPIRY_HOURS * 60 * 60 * 1000);
+
+    await db('application_export_requests')
+      .where('id', request.id)
+      .update({
+        status: 'ready',
+        application_count: applicationCount,
+        file_path: fileName,
+        file_size: archive.length,
+        expires_at: expiresAt,
+        completed_at: db.fn.now()
+      });
+
+    await notificationService.sendNotification({
+      user_id: request.requested_by,
+      type: 'success',
+      title: 'Başvuru Paketi Hazır',
+      body: `"${job.title}" ilanına gelen ${applicationCount} başvurunun paketi hazırlandı. Dosya ${APPLICATION_EXPORT.DOWNLOAD_EXPIRY_HOURS} saat boyunca ilan detay sayfasından indirilebilir.`,
+      data: {
+        action: 'application_export_ready',
+        category: 'system',
+        entity_type: 'application_export',
+        entity_id: request.id,
+        job_id: job.id,
+        expires_at: expiresAt.toISOString()
+      },
+      email: {
+        message: `"${job.title}" ilanına gelen ${applicationCount} başvurunun paketi hazırlandı. Dosyayı ${APPLICATION_EXPORT.DOWNLOAD_EXPIRY_HOURS} saat içinde ilan detay sayfasından indirebilirsiniz.`,
+        actionPath: `/hospital/jobs/${job.id}`,
+        actionLabel: 'İlana Git'
+      }
+    }).catch((err) => logger.error('Application export notification error', { requestId: request.id, error: err.message }));
+
+    return true;
+  } catch (error) {
+    logger.error('Application export failed', { requestId: request.id, error: error.message, stack: error.stack });
+
+    await db('application_export_requests')
+      .where('id', request.id)
+      .update({
+        status: 'failed',
+        error_message: (error instanceof AppError ? error.message : 'Başvuru paketi hazırlanırken bir hata oluştu').slice(0, 500),
+        completed_at: db.fn.now()
+      });
+
+    await notificationService.sendNotification({
+      user_id: request.requested_by,
+      type: 'error',
+      title: 'Başvuru Paketi Hazırlanamadı',
+      body: 'Başvuru paketi hazırlanırken bir hata oluştu. Lütfen ilan detay sayfasından yeniden deneyin.',
+      data: {
+        action: 'application_export_failed',
+        category: 'system',
+        entity_type: 'application_export',
+        entity_id: request.id,
+        job_id: request.job_id
+      },
+      email: false
+    }).catch((err) => logger.error('Application export notification error', { requestId: request.id, error: err.message }));
+
+    return false;
+  }
+};
+
+/**
+ * Bekleyen talepleri sırayla işler
+ * Aynı talebin iki kez işlenmemesi için önce koşullu güncellemeyle 'processing' durumuna alınır.
+ * @param {Object} [options]
+ * @param {number} [options.limit=PROCESS_BATCH_SIZE] - Tek çalışmada işlenecek en fazla talep
+ * @returns {Promise<{processed: number, ready: number, failed: number}>}
+ */
+const processPendingExports = async ({ limit = PROCESS_BATCH_SIZE } = {}) => {
+  const pending = await db('application_export_requests')
+    .where('status', 'pending')
+    .orderBy('created_at', 'asc')
+    .limit(limit);
+
+  const result = { processed: 0, ready: 0, failed: 0 };
+
+  for (const request of pending) {
+    const claimed = await db('application_export_requests')
+      .where({ id: request.id, status: 'pending' })
+      .update({ status: 'processing', started_at: db.fn.now() });
+    if (!claimed) continue;
+
+    result.processed += 1;
+    const success = await processExportRequest(request);
+    if (success) {
+      result.ready += 1;
+    } else {
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Sunucu kapanması nedeniyle 'processing' durumunda kalan talepleri tekrar sıraya alır
+ * @returns {Promise<number>} Sıraya alınan talep sayısı
+ */
+const requeueStaleExports = async () => {
+  const staleBefore = new Date(Date.now() - APPLICATION_EXPORT.STALE_PROCESSING_MINUTES * 60 * 1000);
+
+  return db('application_export_requests')
+    .where('status', 'processing')
+    .where('started_at', '<', staleBefore)
+    .update({ status: 'pending', started_at: null });
+};
+
+/**
+ * İndirme süresi dolan dosyaları diskten siler
+ * @returns {Promise<number>} Süresi dolan talep sayısı
+ */
+const cleanupExpiredExports = async () => {
+  const expired = await db('application_export_requests')
+    .where('status', 'ready')
+    .where('expires_at', '<', new Date())
+    .select('id', 'file_path');
+
+  for (const request of expired) {
+    await removeExportFile(request);
+
+    await db('application_export_requests')
+      .where('id', request.id)
+      .update({ status: 'expired', file_path: null });
+  }
+
+  return expired.length;
+};
+
+/**
+ * Hastanenin tüm başvuru paketi dosyalarını ve taleplerini siler
+ * @description Hastane hesabı anonimleştirilirken (accountDeletionService) kullanılır; paketler doktor verisi içerir
+ * @param {number} userId - Hastane sahibi kullanıcı ID'si
+ * @returns {Promise<number>} Silinen talep sayısı
+ */
+const deleteHospitalExports = async (userId) => {
+  const profile = await db('hospital_profiles').where('user_id', userId).select('id').first();
+  if (!profile) {
+    return 0;
+  }
+
+  const requests = await db('application_export_requests')
+    .where('hospital_profile_id', profile.id)
+    .select('id', 'file_path');
+
+  for (const request of requests) {
+    await removeExportFile(request);
+  }
+
+  await db('application_export_requests').where('hospital_profile_id', profile.id).del();
+  return requests.length;
+};
+
+// ============================================================================
+// İNDİRME
+// ============================================================================
+
+/**
+ * Hazır paketi indirme için döner ve indirmeyi kaydeder (hastanenin tüm ekip üyeleri)
+ * @param {Object} user - req.user
+ * @param {number} exportId - application_export_requests.id
+ * @param {Object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<{filePath: string, fileName: string}>}
+ * @throws {AppError} 404 talep bulunamazsa, 410 süresi dolmuşsa
+ */
+const getDownload = async (user, exportId, context = {}) => {
+  const request = await db('application_export_requests as r')
+    .join('jobs as j', 'r.job_id', 'j.id')
+    .where('r.id', exportId)
+    .where('r.hospital_profile_id', user.hospitalProfileId)
+    .select('r.*', 'j.title as job_title')
+    .first();
+  if (!request) {
+    throw new AppError('Başvuru paketi bulunamadı', 404);
+  }
+
+  if (request.status !== 'ready' || !request.file_path || new Date(request.expires_at) < new Date()) {
+    throw new AppError('Başvuru paketinin indirme süresi dolmuş. Lütfen yeni bir paket hazırlayın.', 410);
+  }
+
+  const filePath = path.join(EXPORT_DIR, request.file_path);
+  if (!fs.existsSync(filePath)) {
+    throw new AppError('Başvuru paketi dosyası bulunamadı. Lütfen yeni bir paket hazırlayın.', 410);
+  }
+
+  await db('application_export_requests')
+    .where('id', request.id)
+    .update({
+      download_count: db.raw('download_count + 1'),
+      last_downloaded_at: db.fn.now()
+    });
+
+  await auditExportAction(user.id, 'application_export.downloaded', request, context);
+
+  return { filePath, fileName: buildFileName(request) };
+};
+
+module.exports = {
+  requestExport,
+  getExportRequests,
+  processPendingExports,
+  requeueStaleExports,
+  cleanupExpiredExports,
+  deleteHospitalExports,
+  getDownload
+};
@@ -0,0 +1,427 @@
+/**
+ * @file applicationMessageService.js
+ * @description Başvuru mesajlaşma servisi - Hastane ile başvuran doktor arasındaki
+ * başvuru bazlı yazışmayı yönetir.
+ *
+ * Ana İşlevler:
+ * - Başvuru yazışmasını getirme (karşı tarafın mesajları okundu işaretlenir)
+ * - Mesaj gönderme (web için SSE, mobil için Expo push ile anlık iletim)
+ * - Okundu bilgisi (gönderene SSE ile iletilir)
+ * - Okunmamış mesaj özeti (bildirim zili ve mobil tab rozeti için)
+ * - Admin moderasyonu için yazışmayı salt okunur görüntüleme
+ *
+ * Kurallar:
+ * - Yazışmaya yalnızca başvuran doktor ve ilanın sahibi hastane katılabilir
+ * - Reddedilen veya geri çekilen başvurularda yazışma salt okunurdur
+ * - Mesajlar bildirim tablosuna yazılmaz; okunmamış sayısı ayrı tutulur
+ *
+ * Veritabanı Tabloları:
+ * - application_messages: Mesajlar
+ * - applications / jobs / doctor_profiles / hospital_profiles: Katılımcı bilgileri
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+// ============================================================================
+// DIŞ BAĞIMLILIKLAR
+// ============================================================================
+
+const db = require('../config/dbConfig').db;
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const sseManager = require('../utils/sseManager');
+const expoPushService = require('./mobile/expoPushService');
+const hospitalMemberService = require('./hospitalMemberService');
+
+// ============================================================================
+// SABİTLER
+// ============================================================================
+
+/**
+ * Yazışmanın salt okunur olduğu başvuru durumları (Reddedildi, Geri Çekildi)
+ * @type {Array<number>}
+ */
+const READ_ONLY_STATUS_IDS = [4, 5];
+
+/**
+ * SSE olay tipleri (bildirim nesnelerinden ayırt etmek için)
+ * @type {{MESSAGE: string, READ: string}}
+ */
+const SSE_EVENTS = {
+  MESSAGE: 'application_message',
+  READ: 'application_message_read'
+};
+
+/**
+ * Push bildiriminde gösterilecek mesaj önizleme uzunluğu
+ * @type {number}
+ */
+const PUSH_PREVIEW_LENGTH = 120;
+
+/**
+ * Okunmamış özetinde listelenecek varsayılan yazışma sayısı
+ * @type {number}
+ */
+const UNREAD_SUMMARY_DEFAULT_LIMIT = 5;
+
+// ============================================================================
+// YARDIMCI FONKSİYONLAR
+// ============================================================================
+
+/**
+ * Başvuruyu, yazışma katılımcılarıyla birlikte getirir
+ * @param {number} applicationId - Başvuru ID'si
+ * @returns {Promise<Object|undefined>} Başvuru bağlamı
+ */
+const getThreadContext = (applicationId) => {
+  return db('applications as a')
+    .join('jobs as j', 'a.job_id', 'j.id')
+    .join('doctor_profiles as dp', 'a.doctor_profile_id', 'dp.id')
+    .join('hospital_profiles as hp', 'j.hospital_id', 'hp.id')
+    .where('a.id', applicationId)
+    .whereNull('a.deleted_at')
+    .select(
+      'a.id as application_id',
+      'a.status_id',
+      'j.id as job_id',
+      'j.title as job_title',
+      'j.hospital_id',
+      'dp.user_id as doctor_user_id',
+      'dp.title as doctor_title',
+      'dp.first_name as doctor_first_name',
+      'dp.last_name as doctor_last_name',
+      'hp.user_id as hospital_user_id',
+      'hp.institution_name as hospital_name'
+    )
+    .first();
+};
+
+/**
+ * Doktorun görünen adını oluşturur
+ * @param {Object} context - getThreadContext sonucu
+ * @returns {string} Ör. "Dr. Ayşe Yılmaz"
+ */
+const buildDoctorName = (context) => {
+  return [context.doctor_title, context.doctor_first_name, context.doctor_last_name]
+    .filter(Boolean)
+    .join(' ');
+};
+
+/**
+ * Kullanıcının yazışmadaki rolünü ve karşı tarafı belirler
+ * Hastane tarafında ekibin tüm üyeleri yazışmaya katılabilir; doktorun mesajları
+ * sahip hesaba (hospital_profiles.user_id) gönderilir ve ekip bu kutuyu paylaşır.
+ * @param {Object} context - getThreadContext sonucu
+ * @param {number} userId - İstek yapan kullanıcı ID'si
+ * @param {string} role - Kullanıcı rolü (doctor | hospital)
+ * @returns {Promise<{sender_role: string, inbox_user_id: number, counterpart_user_id: number, counterpart_name: string}>}
+ * @throws {AppError} Kullanıcı yazışmanın tarafı değilse
+ */
+const resolveParticipant = async (context, userId, role) => {
+  if (role === 'doctor' && context.doctor_user_id === userId) {
+    return {
+      sender_role: 'doctor',
+      inbox_user_id: userId,
+      counterpart_user_id: context.hospital_user_id,
+      counterpart_name: context.hospital_name
+    };
+  }
+
+  if (role === 'hospital') {
+    const membership = await hospitalMemberService.getMembership(userId);
+    if (membership && membership.hospital_profile_id === context.hospital_id) {
+      return {
+        sender_role: 'hospital',
+        inbox_user_id: context.hospital_user_id,
+        counterpart_user_id: context.doctor_user_id,
+        counterpart_name: buildDoctorName(context)
+      };
+    }
+  }
+
+  throw new AppError('Başvuru bulunamadı veya yetkiniz yok', 404);
+};
+
+/**
+ * Mesaj satırını istemci formatına çevirir
+ * @param {Object} row - application_messages satırı
+ * @param {string} [viewerRole] - Görüntüleyen taraf (doctor | hospital, is_mine alanı için;
+ * hastane ekibinde bir üyenin mesajı diğer üyeler için de "bizim" mesajımızdır)
+ * @returns {Object} Mesaj
+ */
+const formatMessage = (row, viewerRole) => ({
+  id: row.id,
+  application_id: row.application_id,
+  sender_role: row.sender_role,
+  body: row.body,
+  read_at: row.read_at,
+  created_at: row.created_at,
+  is_mine: viewerRole ? row.sender_role === viewerRole : undefined
+});
+
+/**
+ * Yazışmanın başlık bilgisini oluşturur
+ * @param {Object} context - getThreadContext sonucu
+ * @param {Object} participant - resolveParticipant sonucu
+ * @returns {Object} Başlık bilgisi
+ */
+const buildThreadInfo = (context, participant) => ({
+  application_id: context.application_id,
+  job_id: context.job_id,
+  job_title: context.job_title,
+  counterpart_name: participant.counterpart_name,
+  can_reply: !READ_ONLY_STATUS_IDS.includes(context.status_id)
+});
+
+// ============================================================================
+// YAZIŞMA
+// ============================================================================
+
+/**
+ * Başvuru yazışmasını getirir ve karşı tarafın mesajlarını okundu işaretler
+ * Okundu bilgisi, gönderen web'de bağlıysa SSE ile anlık iletilir. Kullanıcı olarak görüntülemede
+ * (markRead: false) mesajlar okundu işaretlenmez ve karşı tarafa okundu bilgisi gitmez.
+ * @param {number} userId - Kullanıcı ID'si
+ * @param {string} role - Kullanıcı rolü (doctor | hospital)
+ * @param {number} applicationId - Başvuru ID'si
+ * @param {Object} [options]
+ * @param {boolean} [options.markRead=true] - Karşı tarafın mesajları okundu işaretlensin mi
+ * @returns {Promise<{thread: Object, messages: Array<Object>}>}
+ * @throws {AppError} Başvuru bulunamazsa veya kullanıcı tarafı değilse
+ */
+const getThread = async (userId, role, applicationId, { markRead = true } = {}) => {
+  const context = await getThreadContext(applicationId);
+  if (!context) {
+    throw new AppError('Başvuru bulunamadı veya yetkiniz yok', 404);
+  }
+
+  const participant = await resolveParticipant(context, userId, role);
+
+  const readAt = new Date();
+  const marked = markRead
+    ? await db('application_messages')
+      .where({ application_id: applicationId, recipient_user_id: participant.inbox_user_id })
+      .whereNull('read_at')
+      .update({ read_at: readAt })
+    : 0;
+
+  if (marked > 0) {
+    sseManager.sendToUser(participant.counterpart_user_id, {
+      type: SSE_EVENTS.READ,
+      application_id: context.application_id,
+      read_at: readAt
+    });
+  }
+
+  const rows = await db('application_messages')
+    .where('application_id', applicationId)
+    .orderBy('created_at', 'asc')
+    .orderBy('id', 'asc')
+    .select('id', 'application_id', 'sender_user_id', 'sender_role', 'body', 'read_at', 'created_at');
+
+  return {
+    thread: buildThreadInfo(context, participant),
+    messages: rows.map((row) => formatMessage(row, participant.sender_role))
+  };
+};
+
+/**
+ * Başvuru yazışmasına mesaj gönderir
+ * Alıcı web'de bağlıysa SSE, mobil cihazı kayıtlıysa Expo push ile bilgilendirilir.
+ * @param {number} userId - Gönderen kullanıcı ID'si
+ * @param {string} role - Gönderen rolü (doctor | hospital)
+ * @param {number} applicationId - Başvuru ID'si
+ * @param {string} body - Mesaj metni
+ * @returns {Promise<Object>} Oluşturulan mesaj
+ * @throws {AppError} Başvuru bulunamazsa, kullanıcı tarafı değilse veya yazışma kapalıysa
+ */
+const sendMessage = async (userId, role, applicationId, body) => {
+  const context = await getThreadContext(applicationId);
+  if (!context) {
+    throw new AppError('Başvuru bulunamadı veya yetkiniz yok', 404);
+  }
+
+  const participant = await resolveParticipant(context, userId, role);
+  const counterpartRole = participant.sender_role === 'doctor' ? 'hospital' : 'doctor';
+
+  if (READ_ONLY_STATUS_IDS.includes(context.status_id)) {
+    throw new AppError('Reddedilen veya geri çekilen başvurulara mesaj gönderilemez', 400);
+  }
+
+  const [inserted] = await db('application_messages')
+    .insert({
+      application_id: context.application_id,
+      sender_user_id: userId,
+      recipient_user_id: participant.counterpart_user_id,
+      sender_role: participant.sender_role,
+      body: body.trim(),
+      created_at: db.fn.now()
+    })
+    .returning(['id', 'application_id', 'sender_user_id', 'sender_role', 'body', 'read_at', 'created_at']);
+
+  const senderName = participant.sender_role === 'doctor' ? buildDoctorName(context) : context.hospital_name;
+
+  // Web: SSE (bağlı değilse sessizce geçilir, okunmamış sayısı bir sonraki sorguda gelir)
+  try {
+    sseManager.sendToUser(participant.counterpart_user_id, {
+      type: SSE_EVENTS.MESSAGE,
+      application_id: context.application_id,
+      job_title: context.job_title,
+      sender_name: senderName,
+      message: formatMessage(inserted, counterpartRole)
+    });
+  } catch (error) {
+    logger.warn('Mesaj SSE ile iletilemedi:', error);
+  }
+
+  // Mobil: Expo push
+  try {
+    const preview = inserted.body.length > PUSH_PREVIEW_LENGTH
+      ? `${inserted.body.slice(0, PUSH_PREVIEW_LENGTH)}…`
+      : inserted.body;
+
+    await expoPushService.sendPushToUser(
+      participant.counterpart_user_id,
+      senderName,
+      preview,
+      {
+        action: 'message_received',
+        entity_type: 'application',
+        entity_id: context.application_id,
+        application_id: context.application_id,
+        message_id: inserted.id
+      }
+    );
+  } catch (error) {
+    logger.warn('Mesaj push bildirimi gönderilemedi:', error);
+  }
+
+  return formatMessage(inserted, participant.sender_role);
+};
+
+// ============================================================================
+// OKUNMAMIŞ MESAJLAR
+// ============================================================================
+
+/**
+ * Kullanıcının okunmamış mesaj özetini getirir
+ * Bildirim zili ve mobil tab rozeti için kullanılır.
+ * @param {number} userId - Kullanıcı ID'si
+ * @param {string} role - Kullanıcı rolü (doctor | hospital)
+ * @param {Object} [options] - Seçenekler
+ * @param {number} [options.limit=5] - Listelenecek en fazla yazışma
+ * @returns {Promise<{count: number, threads: Array<Object>}>}
+ */
+const getUnreadSummary = async (userId, role, { limit = UNREAD_SUMMARY_DEFAULT_LIMIT } = {}) => {
+  // Hastane ekibi, sahip hesaba gelen mesaj kutusunu paylaşır
+  let inboxUserId = userId;
+  if (role === 'hospital') {
+    const membership = await hospitalMemberService.getMembership(userId);
+    inboxUserId = membership?.owner_user_id ?? userId;
+  }
+
+  const grouped = await db('application_messages')
+    .where('recipient_user_id', inboxUserId)
+    .whereNull('read_at')
+    .groupBy('application_id')
+    .select('application_id')
+    .count('* as unread_count')
+    .max('created_at as last_message_at');
+
+  const count = grouped.reduce((sum, row) => sum + (parseInt(row.unread_count, 10) || 0), 0);
+  if (grouped.length === 0 || limit === 0) {
+    return { count, threads: [] };
+  }
+
+  const latest = grouped
+    .sort((a, b) => new Date(b.last_message_at) - new Date(a.last_message_at))
+    .slice(0, limit);
+
+  const contexts = await db('applications as a')
+    .join('jobs as j', 'a.job_id', 'j.id')
+    .join('doctor_profiles as dp', 'a.doctor_profile_id', 'dp.id')
+    .join('hospital_profiles as hp', 'j.hospital_id', 'hp.id')
+    .whereIn('a.id', latest.map((row) => row.application_id))
+    .whereNull('a.deleted_at')
+    .select(
+      'a.id as application_id',
+      'j.title as job_title',
+      'dp.title as doctor_title',
+      'dp.first_name as doctor_first_name',
+      'dp.last_name as doctor_last_name',
+      'hp.institution_name as hospital_name'
+    );
+
+  const contextMap = new Map(contexts.map((context) => [context.application_id, context]));
+
+  const threads = latest
+    .filter((row) => contextMap.has(row.application_id))
+    .map((row) => {
+      const context = contextMap.get(row.application_id);
+      return {
+        application_id: row.application_id,
+        job_title: context.job_title,
+        counterpart_name: role === 'doctor' ? context.hospital_name : buildDoctorName(context),
+        unread_count: parseInt(row.unread_count, 10) || 0,
+        last_message_at: row.last_message_at
+      };
+    });
+
+  return { count, threads };
+};
+
+// ============================================================================
+// ADMIN
+// ============================================================================
+
+/**
+ * Başvuru yazışmasını admin için getirir (moderasyon, okundu bilgisini değiştirmez)
+ * @param {number} applicationId - Başvuru ID'si
+ * @returns {Promise<{thread: Object, messages: Array<Object>}>}
+ * @throws {AppError} Başvuru bulunamazsa
+ */
+const getThreadForAdmin = async (applicationId) => {
+  const context = await getThreadContext(applicationId);
+  if (!context) {
+    throw new AppError('Başvuru bulunamadı', 404);
+  }
+
+  const doctorName = buildDoctorName(context);
+
+  const rows = await db('application_messages')
+    .where('application_id', applicationId)
+    .orderBy('created_at', 'asc')
+    .orderBy('id', 'asc')
+    .select('id', 'application_id', 'sender_user_id', 'sender_role', 'body', 'read_at', 'created_at');
+
+  return {
+    thread: {
+      application_id: context.application_id,
+      job_id: context.job_id,
+      job_title: context.job_title,
+      doctor_name: doctorName,
+      hospital_name: context.hospital_name,
+      can_reply: false
+    },
+    messages: rows.map((row) => ({
+      ...formatMessage(row),
+      sender_user_id: row.sender_user_id,
+      sender_name: row.sender_role === 'doctor' ? doctorName : context.hospital_name
+    }))
+  };
+};
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+  getThread,
+  sendMessage,
+  getUnreadSummary,
+  getThreadForAdmin
+};
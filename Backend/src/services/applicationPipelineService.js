@@ -0,0 +1,809 @@
+/**
+ * @file applicationPipelineService.js
+ * @description Başvuru süreci (pipeline) servisi - Hastanenin başvuruları kendi tanımladığı
+ * aşamalar üzerinde yönettiği kanban akışını, durum geçmişini, dahili notları,
+ * puanlamayı ve etiketleri yönetir.
+ *
+ * Ana İşlevler:
+ * - Hastaneye özel aşama (stage) CRUD ve sıralama
+ * - Kanban panosu verisi (aşamalar + başvurular)
+ * - Toplu aşama değişikliği (doktor başına tek bildirim)
+ * - Durum geçmişi kaydı (hastane, doktor ve admin değişiklikleri)
+ * - Dahili notlar, yıldız puanı ve etiketler
+ *
+ * Aşama Mantığı:
+ * - Her aşama bir temel başvuru durumuna (status_id 1-4) bağlıdır
+ * - Başvuru bir aşamaya taşındığında status_id aşamanın durumuna eşitlenir
+ * - pipeline_stage_id boşsa başvuru, durumuna karşılık gelen ilk aşamada gösterilir
+ * - Her temel durum için en az bir aşama bulunmak zorundadır
+ * - Aşaması olmayan hastaneler için varsayılan aşamalar ilk erişimde oluşturulur
+ *
+ * Veritabanı Tabloları:
+ * - application_pipeline_stages: Hastane aşamaları
+ * - application_status_history: Durum / aşama geçmişi
+ * - application_notes: Dahili notlar
+ * - application_tags: Etiketler
+ * - applications: pipeline_stage_id, rating
+ *
+ * Not:
+ * - hospitalController bu servise hospitalService üzerinden erişir (tek servis yaklaşımı)
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+// ============================================================================
+// DIŞ BAĞIMLILIKLAR
+// ============================================================================
+
+const db = require('../config/dbConfig').db;
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const notificationService = require('./notificationService');
+const hospitalMemberService = require('./hospitalMemberService');
+
+// ============================================================================
+// SABİTLER
+// ============================================================================
+
+/**
+ * Pipeline üzerinde yönetilebilen temel durumlar
+ * (5 = Geri Çekildi, yalnızca doktor tarafından verilebilir)
+ * @type {Array<number>}
+ */
+const PIPELINE_STATUS_IDS = [1, 2, 3, 4];
+
+/**
+ * Geri çekilmiş başvuru durumu
+ * @type {number}
+ */
+const WITHDRAWN_STATUS_ID = 5;
+
+/**
+ * Aşaması olmayan hastaneler için oluşturulan varsayılan aşamalar
+ * @type {Array<{name: string, status_id: number, color: string}>}
+ */
+const DEFAULT_STAGES = [
+  { name: 'Yeni Başvurular', status_id: 1, color: 'blue' },
+  { name: 'İnceleniyor', status_id: 2, color: 'amber' },
+  { name: 'Kabul Edildi', status_id: 3, color: 'green' },
+  { name: 'Reddedildi', status_id: 4, color: 'red' }
+];
+
+/**
+ * Kanban panosunda tek seferde gösterilen en fazla başvuru
+ * @type {number}
+ */
+const BOARD_APPLICATION_LIMIT = 500;
+
+/**
+ * Başvuru başına en fazla etiket
+ * @type {number}
+ */
+const MAX_TAGS_PER_APPLICATION = 10;
+
+// ============================================================================
+// YARDIMCI FONKSİYONLAR
+// ============================================================================
+
+/**
+ * Hastane profil ID'sini kullanıcının ekip üyeliğinden getirir
+ * @param {number} userId - Hastane kullanıcı ID'si (sahip veya ekip üyesi)
+ * @param {Object} [trx=db] - Knex transaction
+ * @returns {Promise<number>} hospital_profiles.id
+ * @throws {AppError} Hastane profili bulunamadığında
+ */
+const getHospitalId = (userId, trx = db) => hospitalMemberService.getHospitalProfileId(userId, trx);
+
+/**
+ * Hastanenin aşamalarını getirir, hiç yoksa varsayılanları oluşturur
+ * @param {number} hospitalId - Hastane profil ID'si
+ * @param {Object} [trx=db] - Knex transaction
+ * @returns {Promise<Array>} Sıralı aşamalar
+ */
+const loadStages = async (hospitalId, trx = db) => {
+  const stages = await trx('application_pipeline_stages')
+    .where('hospital_id', hospitalId)
+    .orderBy([{ column: 'sort_order', order: 'asc' }, { column: 'id', order: 'asc' }])
+    .select('id', 'name', 'status_id', 'color', 'sort_order');
+
+  if (stages.length > 0) {
+    return stages;
+  }
+
+  await trx('application_pipeline_stages').insert(
+    DEFAULT_STAGES.map((stage, index) => ({
+      hospital_id: hospitalId,
+      name: stage.name,
+      status_id: stage.status_id,
+      color: stage.color,
+      sort_order: index
+    }))
+  );
+
+  return trx('application_pipeline_stages')
+    .where('hospital_id', hospitalId)
+    .orderBy([{ column: 'sort_order', order: 'asc' }, { column: 'id', order: 'asc' }])
+    .select('id', 'name', 'status_id', 'color', 'sort_order');
+};
+
+/**
+ * Başvurunun gösterileceği aşamayı çözer
+ * @param {Object} application - status_id ve pipeline_stage_id içeren başvuru
+ * @param {Array} stages - Hastanenin sıralı aşamaları
+ * @returns {number|null} Aşama ID'si (geri çekilmiş başvurular için null)
+ */
+const resolveStageId = (application, stages) => {
+  if (application.status_id === WITHDRAWN_STATUS_ID) {
+    return null;
+  }
+
+  const current = stages.find((stage) => stage.id === application.pipeline_stage_id);
+  if (current && current.status_id === application.status_id) {
+    return current.id;
+  }
+
+  const fallback = stages.find((stage) => stage.status_id === application.status_id);
+  return fallback ? fallback.id : null;
+};
+
+/**
+ * Hastaneye ait başvuruları sahiplik kontrolüyle getirir
+ * @param {Object} trx - Knex transaction
+ * @param {number} hospitalId - Hastane profil ID'si
+ * @param {Array<number>} applicationIds - Başvuru ID'leri
+ * @returns {Promise<Array>} Başvurular (doktor kullanıcı ID'si ve ilan başlığı ile)
+ */
+const findOwnedApplications = (trx, hospitalId, applicationIds) => {
+  return trx('applications as a')
+    .join('jobs as j', 'a.job_id', 'j.id')
+    .join('doctor_profiles as dp', 'a.doctor_profile_id', 'dp.id')
+    .whereIn('a.id', applicationIds)
+    .where('j.hospital_id', hospitalId)
+    .whereNull('a.deleted_at')
+    .whereNull('j.deleted_at')
+    .select(
+      'a.id',
+      'a.status_id',
+      'a.pipeline_stage_id',
+      'a.job_id',
+      'j.title as job_title',
+      'dp.user_id as doctor_user_id'
+    );
+};
+
+/**
+ * Tek bir başvurunun hastaneye ait olduğunu doğrular
+ * @param {number} hospitalId - Hastane profil ID'si
+ * @param {number} applicationId - Başvuru ID'si
+ * @returns {Promise<Object>} Başvuru
+ * @throws {AppError} Başvuru bulunamadığında veya hastaneye ait olmadığında
+ */
+const getOwnedApplication = async (hospitalId, applicationId) => {
+  const [application] = await findOwnedApplications(db, hospitalId, [applicationId]);
+
+  if (!application) {
+    throw new AppError('Başvuru bulunamadı veya yetkiniz yok', 404);
+  }
+
+  return application;
+};
+
+/**
+ * Etiket listesini normalize eder (boşlukları kırpar, tekrarları ve boşları atar)
+ * @param {Array<string>} tags - Ham etiketler
+ * @returns {Array<string>} Temiz etiketler
+ */
+const normalizeTags = (tags = []) => {
+  const seen = new Set();
+  return tags
+    .map((tag) => String(tag).trim())
+    .filter((tag) => {
+      const key = tag.toLocaleLowerCase('tr-TR');
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Başvuruların etiketlerini toplu getirir
+ * @param {Array<number>} applicationIds - Başvuru ID'leri
+ * @returns {Promise<Object<number, Array<string>>>} Başvuru ID → etiketler
+ */
+const getTagsByApplication = async (applicationIds) => {
+  if (!applicationIds.length) return {};
+
+  const rows = await db('application_tags')
+    .whereIn('application_id', applicationIds)
+    .orderBy('created_at', 'asc')
+    .select('application_id', 'tag');
+
+  return rows.reduce((acc, row) => {
+    (acc[row.application_id] = acc[row.application_id] || []).push(row.tag);
+    return acc;
+  }, {});
+};
+
+// ============================================================================
+// DURUM GEÇMİŞİ
+// ============================================================================
+
+/**
+ * Başvuru durum / aşama değişikliğini geçmişe yazar
+ * @description Durumu değiştiren her akış (hastane, doktor geri çekme, admin) bu fonksiyonu
+ * kendi transaction'ı içinde çağırır.
+ * @param {Object} trx - Knex transaction
+ * @param {Object} entry - Geçmiş kaydı
+ * @param {number} entry.applicationId - Başvuru ID'si
+ * @param {number|null} entry.fromStatusId - Önceki durum
+ * @param {number} entry.toStatusId - Yeni durum
+ * @param {number|null} [entry.fromStageId] - Önceki aşama
+ * @param {number|null} [entry.toStageId] - Yeni aşama
+ * @param {number|null} [entry.changedBy] - Değişikliği yapan kullanıcı ID'si
+ * @param {string|null} [entry.changedByRole] - hospital, doctor, admin
+ * @param {string|null} [entry.note] - Değişiklik notu
+ * @returns {Promise<void>}
+ */
+const recordStatusChange = async (trx, entry) => {
+  await trx('application_status_history').insert({
+    application_id: entry.applicationId,
+    from_status_id: entry.fromStatusId ?? null,
+    to_status_id: entry.toStatusId,
+    from_stage_id: entry.fromStageId ?? null,
+    to_stage_id: entry.toStageId ?? null,
+    changed_by: entry.changedBy ?? null,
+    changed_by_role: entry.changedByRole ?? null,
+    note: entry.note || null,
+    created_at: trx.fn.now()
+  });
+};
+
+/**
+ * Başvurunun durum geçmişini getirir
+ * @param {number} userId - Hastane kullanıcı ID'si
+ * @param {number} applicationId - Başvuru ID'si
+ * @returns {Promise<Array>} Geçmiş kayıtları (yeniden eskiye)
+ * @throws {AppError} Başvuru bulunamadığında
+ */
+const getApplicationHistory = async (userId, applicationId) => {
+  const hospitalId = await getHospitalId(userId);
+  await getOwnedApplication(hospitalId, applicationId);
+
+  return db('application_status_history as h')
+    .leftJoin('application_statuses as fs', 'h.from_status_id', 'fs.id')
+    .join('application_statuses as ts', 'h.to_status_id', 'ts.id')
+    .leftJoin('application_pipeline_stages as fst', 'h.from_stage_id', 'fst.id')
+    .leftJoin('application_pipeline_stages as tst', 'h.to_stage_id', 'tst.id')
+    .leftJoin('users as u', 'h.changed_by', 'u.id')
+    .leftJoin('hospital_members as hm', 'h.changed_by', 'hm.user_id')
+    .where('h.application_id', applicationId)
+    .orderBy('h.created_at', 'desc')
+    .select(
+      'h.id',
+      'h.from_status_id',
+      'fs.name as from_status',
+      'h.to_status_id',
+      'ts.name as to_status',
+      'h.from_stage_id',
+      'fst.name as from_stage',
+      'h.to_stage_id',
+      'tst.name as to_stage',
+      'h.changed_by',
+      'h.changed_by_role',
+      'u.email as changed_by_email',
+      'hm.full_name as changed_by_name',
+      'h.note',
+      'h.created_at'
+    );
+};
+
+// ============================================================================
+// AŞAMA YÖNETİMİ
+// ============================================================================
+
+/**
+ * Hastanenin pipeline aşamalarını getirir
+ * @param {number} userId - Hastane kullanıcı ID'si
+ * @returns {Promise<Array>} Sıralı aşamalar
+ */
+const getStages = async (userId) => {
+  const hospitalId = await getHospitalId(userId);
+  return loadStages(hospitalId);
+};
+
+/**
+ * Yeni aşama ekler (listenin sonuna)
+ * @param {number} userId - Hastane kullanıcı ID'si
+ * @param {Object} data - Aşama bilgileri
+ * @param {string} data.name - Aşama adı
+ * @param {number} data.status_id - Bağlı olduğu temel durum (1-4)
+ * @param {string} [data.color] - Renk anahtarı
+ * @returns {Promise<Array>} Güncel aşamalar
+ */
+const createStage = async (userId, data) => {
+  const hospitalId = await getHospitalId(userId);
+  const stages = await loadStages(hospitalId);
+
+  if (!PIPELINE_STATUS_IDS.includes(data.status_id)) {
+    throw new AppError('Aşama yalnızca Beklemede, İnceleniyor, Kabul veya Red durumlarına bağlanabilir', 400);
+  }
+
+  const nextOrder = stages.reduce((max, stage) => Math.max(max, stage.sort_order), -1) + 1;
+
+  await db('application_pipeline_stages').insert({
+    hospital_id: hospitalId,
+    name: data.name.trim(),
+    status_id: data.status_id,
+    color: data.color || null,
+    sort_order: nextOrder,
+    created_at: db.fn.now(),
+    updated_at: db.fn.now()
+  });
+
+  return loadStages(hospitalId);
+};
+
+/**
+ * Aşamanın adını veya rengini günceller
+ * @description Bağlı durum değiştirilemez; aksi halde içindeki başvuruların doktor tarafındaki
+ * durumu sessizce değişirdi.
+ * @param {number} userId - Hastane kullanıcı ID'si
+ * @param {number} stageId - Aşama ID'si
+ * @param {Object} data - { name?, color? }
+ * @returns {Promise<Array>} Güncel aşamalar
+ * @throws {AppError} Aşama bulunamadığında
+ */
+const updateStage = async (userId, stageId, data) => {
+  const hospitalId = await getHospitalId(userId);
+
+  const updates = { updated_at: db.fn.now() };
+  if (data.name !== undefined) updates.name = data.name.trim();
+  if (data.color !== undefined) updates.color = data.color || null;
+
+  const updated = await db('application_pipeline_stages')
+    .where({ id: stageId, hospital_id: hospitalId })
+    .update(updates);
+
+  if (!updated) {
+    throw new AppError('Aşama bulunamadı', 404);
+  }
+
+  return loadStages(hospitalId);
+};
+
+/**
+ * Aşamayı siler
+ * @description İçindeki başvurular, durumlarına karşılık gelen ilk aşamaya düşer.
+ * Bir temel durumun son aşaması silinemez.
+ * @param {number} userId - Hastane kullanıcı ID'si
+ * @param {number} stageId - Aşama ID'si
+ * @returns {Promise<Array>} Güncel aşamalar
+ * @throws {AppError} Aşama bulunamadığında veya son aşama silinmeye çalışıldığında
+ */
+const deleteStage = async (userId, stageId) => {
+  const hospitalId = await getHospitalId(userId);
+
+  await db.transaction(async (trx) => {
+    const stages = await loadStages(hospitalId, trx);
+    const stage = stages.find((item) => item.id === stageId);
+
+    if (!stage) {
+      throw new AppError('Aşama bulunamadı', 404);
+    }
+
+    const siblings = stages.filter((item) => item.status_id === stage.status_id);
+    if (siblings.length === 1) {
+      throw new AppError('Her başvuru durumu için en az bir aşama bulunmalıdır', 400);
+    }
+
+    await trx('applications')
+      .where('pipeline_stage_id', stageId)
+      .update({ pipeline_stage_id: null });
+
+    await trx('application_pipeline_stages')
+      .where({ id: stageId, hospital_id: hospitalId })
+      .del();
+  });
+
+  return loadStages(hospitalId);
+};
+
+/**
+ * Aşamaları yeniden sıralar
+ * @param {number} userId - Hastane kullanıcı ID'si
+ * @param {Array<number>} stageIds - Yeni sıradaki tüm aşama ID'leri
+ * @returns {Promise<Array>} Güncel aşamalar
+ * @throws {AppError} Liste hastanenin aşamalarıyla birebir eşleşmediğinde
+ */
+const reorderStages = async (userId, stageIds) => {
+  const hospitalId = await getHospitalId(userId);
+
+  await db.transaction(async (trx) => {
+    const stages = await loadStages(hospitalId, trx);
+    const currentIds = stages.map((stage) => stage.id).sort((a, b) => a - b);
+    const requestedIds = [...stageIds].sort((a, b) => a - b);
+
+    if (currentIds.length !== requestedIds.length || currentIds.some((id, i) => id !== requestedIds[i])) {
+      throw new AppError('Sıralama tüm aşamaları içermelidir', 400);
+    }
+
+    for (const [index, stageId] of stageIds.entries()) {
+      await trx('application_pipeline_stages')
+        .where({ id: stageId, hospital_id: hospitalId })
+        .update({ sort_order: index, updated_at: trx.fn.now() });
+    }
+  });
+
+  return loadStages(hospitalId);
+};
+
+// ============================================================================
+// KANBAN PANOSU
+// ============================================================================
+
+/**
+ * Kanban panosu verisini getirir
+ * @param {number} userId - Hastane kullanıcı ID'si
+ * @param {Object} [filters={}] - Filtreler
+ * @param {Array<number>} [filters.jobIds] - Sadece bu ilanların başvuruları
+ * @param {string} [filters.search] - Doktor adı veya ilan başlığı
+ * @returns {Promise<{stages: Array, applications: Array, truncated: boolean}>}
+ */
+const getPipelineBoard = async (userId, filters = {}) => {
+  const hospitalId = await getHospitalId(userId);
+  const stages = await loadStages(hospitalId);
+
+  let query = db('applications as a')
+    .join('jobs as j', 'a.job_id', 'j.id')
+    .join('doctor_profiles as dp', 'a.doctor_profile_id', 'dp.id')
+    .join('users as u', 'dp.user_id', 'u.id')
+    .join('application_statuses as ast', 'a.status_id', 'ast.id')
+    .where('j.hospital_id', hospitalId)
+    .whereNull('a.deleted_at')
+    .whereNull('j.deleted_at')
+    .select(
+      'a.id',
+      'a.job_id',
+      'a.status_id',
+      'a.pipeline_stage_id',
+      'a.rating',
+      'a.applied_at',
+      'a.updated_at',
+      'ast.name as status',
+      'j.title as job_title',
+      // Pasif doktorların bilgileri gizlenir (getAllApplications ile aynı kural)
+      db.raw('CASE WHEN u.is_active = 0 OR u.is_active IS NULL THEN NULL ELSE dp.first_name END as first_name'),
+      db.raw('CASE WHEN u.is_active = 0 OR u.is_active IS NULL THEN NULL ELSE dp.last_name END as last_name'),
+      db.raw('CASE WHEN u.is_active = 0 OR u.is_active IS NULL THEN NULL ELSE dp.title END as title'),
+      'u.is_active as doctor_is_active',
+      db.raw('(SELECT COUNT(*) FROM application_notes an WHERE an.application_id = a.id) as note_count')
+    )
+    .orderBy('a.applied_at', 'desc')
+    .limit(BOARD_APPLICATION_LIMIT + 1);
+
+  if (Array.isArray(filters.jobIds) && filters.jobIds.length > 0) {
+    query = query.whereIn('j.id', filters.jobIds);
+  }
+
+  if (filters.search) {
+    const term = `%${filters.search}%`;
+    query = query.where(function () {
+      this.where('dp.first_name', 'like', term)
+        .orWhere('dp.last_name', 'like', term)
+        .orWhere(db.raw("ISNULL(dp.first_name, '') + ' ' + ISNULL(dp.last_name, '') LIKE ?", [term]))
+        .orWhere('j.title', 'like', term);
+    });
+  }
+
+  const rows = await query;
+  const truncated = rows.length > BOARD_APPLICATION_LIMIT;
+  const applications = truncated ? rows.slice(0, BOARD_APPLICATION_LIMIT) : rows;
+  const tagsByApplication = await getTagsByApplication(applications.map((app) => app.id));
+
+  return {
+    stages,
+    applications: applications.map((app) => ({
+      ...app,
+      stage_id: resolveStageId(app, stages),
+      note_count: parseInt(app.note_count) || 0,
+      tags: tagsByApplication[app.id] || []
+    })),
+    truncated
+  };
+};
+
+/**
+ * Başvuruları toplu olarak bir aşamaya taşır
+ * @description Geri çekilmiş başvurular atlanır. Durumu değişen her doktora, kaç başvurusu
+ * taşınmış olursa olsun tek bildirim gönderilir. Sadece aşaması değişen (durumu aynı kalan)
+ * başvurular için doktor bilgilendirilmez.
+ * @param {number} userId - Hastane kullanıcı ID'si
+ * @param {Object} data - Taşıma bilgileri
+ * @param {Array<number>} data.application_ids - Başvuru ID'leri
+ * @param {number} data.stage_id - Hedef aşama ID'si
+ * @param {string} [data.note] - Geçmişe yazılacak dahili not (doktora gönderilmez)
+ * @returns {Promise<{moved: Array<number>, skipped: Array<{id: number, reason: string}>}>}
+ * @throws {AppError} Aşama bulunamadığında
+ */
+const moveApplications = async (userId, data) => {
+  const applicationIds = [...new Set(data.application_ids)];
+
+  const result = await db.transaction(async (trx) => {
+    const hospitalId = await getHospitalId(userId, trx);
+    const stages = await loadStages(hospitalId, trx);
+    const targetStage = stages.find((stage) => stage.id === data.stage_id);
+
+    if (!targetStage) {
+      throw new AppError('Aşama bulunamadı', 404);
+    }
+
+    const owned = await findOwnedApplications(trx, hospitalId, applicationIds);
+    const ownedById = new Map(owned.map((app) => [app.id, app]));
+    const moved = [];
+    const skipped = [];
+    const statusChanged = [];
+
+    for (const applicationId of applicationIds) {
+      const application = ownedById.get(applicationId);
+
+      if (!application) {
+        skipped.push({ id: applicationId, reason: 'Başvuru bulunamadı veya yetkiniz yok' });
+        continue;
+      }
+
+      if (application.status_id === WITHDRAWN_STATUS_ID) {
+        skipped.push({ id: applicationId, reason: 'Geri çekilen başvurular taşınamaz' });
+        continue;
+      }
+
+      const fromStageId = resolveStageId(application, stages);
+      if (fromStageId === targetStage.id) {
+        continue;
+      }
+
+      await trx('applications')
+        .where('id', applicationId)
+        .update({
+          status_id: targetStage.status_id,
+          pipeline_stage_id: targetStage.id,
+          updated_at: trx.fn.now()
+        });
+
+      await recordStatusChange(trx, {
+        applicationId,
+        fromStatusId: application.status_id,
+        toStatusId: targetStage.status_id,
+        fromStageId,
+        toStageId: targetStage.id,
+        changedBy: userId,
+        changedByRole: 'hospital',
+        note: data.note
+      });
+
+      moved.push(applicationId);
+      if (application.status_id !== targetStage.status_id) {
+        statusChanged.push(application);
+      }
+    }
+
+    const hospital = await trx('hospital_profiles')
+      .where('id', hospitalId)
+      .select('institution_name')
+      .first();
+
+    return {
+      moved,
+      skipped,
+      statusChanged,
+      statusId: targetStage.status_id,
+      hospitalName: hospital?.institution_name || 'Hastane'
+    };
+  });
+
+  // Bildirimler transaction dışında - hata taşıma işlemini geri almaz
+  const byDoctor = result.statusChanged.reduce((acc, app) => {
+    (acc[app.doctor_user_id] = acc[app.doctor_user_id] || []).push(app);
+    return acc;
+  }, {});
+
+  for (const [doctorUserId, applications] of Object.entries(byDoctor)) {
+    try {
+      if (applications.length === 1) {
+        await notificationService.sendDoctorNotification(parseInt(doctorUserId), result.statusId, {
+          application_id: applications[0].id,
+          job_id: applications[0].job_id,
+          job_title: applications[0].job_title,
+          hospital_name: result.hospitalName
+        });
+      } else {
+        await notificationService.sendDoctorBulkApplicationStatusNotification(parseInt(doctorUserId), result.statusId, {
+          hospital_name: result.hospitalName,
+          applications: applications.map((app) => ({
+            application_id: app.id,
+            job_id: app.job_id,
+            job_title: app.job_title
+          }))
+        });
+      }
+    } catch (notificationError) {
+      logger.warn(`Bulk application move notification failed for doctor ${doctorUserId}:`, notificationError);
+    }
+  }
+
+  logger.info(`Hospital user ${userId} moved ${result.moved.length} applications to stage ${data.stage_id}`);
+
+  return { moved: result.moved, skipped: result.skipped };
+};
+
+// ============================================================================
+// DAHİLİ NOTLAR
+// ============================================================================
+
+/**
+ * Başvurunun dahili notlarını getirir
+ * @param {number} userId - Hastane kullanıcı ID'si
+ * @param {number} applicationId - Başvuru ID'si
+ * @returns {Promise<Array>} Notlar (yeniden eskiye)
+ */
+const getApplicationNotes = async (userId, applicationId) => {
+  const hospitalId = await getHospitalId(userId);
+  await getOwnedApplication(hospitalId, applicationId);
+
+  return db('application_notes as n')
+    .join('users as u', 'n.author_user_id', 'u.id')
+    .leftJoin('hospital_members as hm', 'n.author_user_id', 'hm.user_id')
+    .where('n.application_id', applicationId)
+    .orderBy('n.created_at', 'desc')
+    .select('n.id', 'n.note', 'n.author_user_id', 'u.email as author_email', 'hm.full_name as author_name', 'n.created_at');
+};
+
+/**
+ * Başvuruya dahili not ekler
+ * @param {number} userId - Hastane kullanıcı ID'si
+ * @param {number} applicationId - Başvuru ID'si
+ * @param {string} note - Not metni
+ * @returns {Promise<Object>} Eklenen not
+ */
+const addApplicationNote = async (userId, applicationId, note) => {
+  const hospitalId = await getHospitalId(userId);
+  await getOwnedApplication(hospitalId, applicationId);
+
+  const result = await db('application_notes')
+    .insert({
+      application_id: applicationId,
+      author_user_id: userId,
+      note: note.trim(),
+      created_at: db.fn.now()
+    })
+    .returning('id');
+
+  const noteId = result[0]?.id || result[0];
+
+  return db('application_notes as n')
+    .join('users as u', 'n.author_user_id', 'u.id')
+    .where('n.id', noteId)
+    .select('n.id', 'n.note', 'n.author_user_id', 'u.email as author_email', 'n.created_at')
+    .first();
+};
+
+/**
+ * Dahili notu siler (yalnızca notu yazan kullanıcı)
+ * @param {number} userId - Hastane kullanıcı ID'si
+ * @param {number} applicationId - Başvuru ID'si
+ * @param {number} noteId - Not ID'si
+ * @returns {Promise<void>}
+ * @throws {AppError} Not bulunamadığında
+ */
+const deleteApplicationNote = async (userId, applicationId, noteId) => {
+  const hospitalId = await getHospitalId(userId);
+  await getOwnedApplication(hospitalId, applicationId);
+
+  const deleted = await db('application_notes')
+    .where({ id: noteId, application_id: applicationId, author_user_id: userId })
+    .del();
+
+  if (!deleted) {
+    throw new AppError('Not bulunamadı', 404);
+  }
+};
+
+// ============================================================================
+// PUAN VE ETİKETLER
+// ============================================================================
+
+/**
+ * Başvurunun puanını ve/veya etiketlerini günceller
+ * @param {number} userId - Hastane kullanıcı ID'si
+ * @param {number} applicationId - Başvuru ID'si
+ * @param {Object} data - Değerlendirme
+ * @param {number|null} [data.rating] - 1-5 yıldız (null puanı kaldırır)
+ * @param {Array<string>} [data.tags] - Etiketlerin tamamı (mevcutların yerine geçer)
+ * @returns {Promise<{rating: number|null, tags: Array<string>}>}
+ */
+const updateApplicationEvaluation = async (userId, applicationId, data) => {
+  const hospitalId = await getHospitalId(userId);
+  await getOwnedApplication(hospitalId, applicationId);
+
+  const tags = data.tags !== undefined ? normalizeTags(data.tags) : undefined;
+  if (tags && tags.length > MAX_TAGS_PER_APPLICATION) {
+    throw new AppError(`Bir başvuruya en fazla ${MAX_TAGS_PER_APPLICATION} etiket eklenebilir`, 400);
+  }
+
+  await db.transaction(async (trx) => {
+    if (data.rating !== undefined) {
+      await trx('applications')
+        .where('id', applicationId)
+        .update({ rating: data.rating });
+    }
+
+    if (tags !== undefined) {
+      await trx('application_tags').where('application_id', applicationId).del();
+      if (tags.length > 0) {
+        await trx('application_tags').insert(
+          tags.map((tag) => ({ application_id: applicationId, tag, created_at: trx.fn.now() }))
+        );
+      }
+    }
+  });
+
+  const application = await db('applications').where('id', applicationId).select('rating').first();
+  const tagsByApplication = await getTagsByApplication([applicationId]);
+
+  return {
+    rating: application?.rating ?? null,
+    tags: tagsByApplication[applicationId] || []
+  };
+};
+
+/**
+ * Hastanenin kullandığı tüm etiketleri getirir (otomatik tamamlama için)
+ * @param {number} userId - Hastane kullanıcı ID'si
+ * @returns {Promise<Array<string>>} Etiketler (alfabetik)
+ */
+const getHospitalTags = async (userId) => {
+  const hospitalId = await getHospitalId(userId);
+
+  const rows = await db('application_tags as t')
+    .join('applications as a', 't.application_id', 'a.id')
+    .join('jobs as j', 'a.job_id', 'j.id')
+    .where('j.hospital_id', hospitalId)
+    .distinct('t.tag')
+    .orderBy('t.tag', 'asc');
+
+  return rows.map((row) => row.tag);
+};
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Durum geçmişi
+  recordStatusChange,
+  getApplicationHistory,
+
+  // Aşama yönetimi
+  getStages,
+  createStage,
+  updateStage,
+  deleteStage,
+  reorderStages,
+
+  // Kanban panosu
+  getPipelineBoard,
+  moveApplications,
+
+  // Dahili notlar
+  getApplicationNotes,
+  addApplicationNote,
+  deleteApplicationNote,
+
+  // Puan ve etiketler
+  updateApplicationEvaluation,
+  getHospitalTags,
+  getTagsByApplication
+};
@@ -6,8 +6,11 @@
  * Ana İşlevler:
  * - Kullanıcı kayıt işlemleri (doctor/hospital profil oluşturma)
  * - Kimlik doğrulama (email/password kontrolü)
+ * - İki adımlı doğrulama ile girişin ikinci adımı (twoFactorService)
  * - Refresh token yönetimi
+ * - Aktif oturumları listeleme ve sonlandırma
  * - Kullanıcı profil bilgileri
+ * - E-posta adresi doğrulama (imzalı bağlantı)
  * - Token temizleme işlemleri
  * 
  * Veritabanı Tabloları:
@@ -30,34 +33,12 @@ const { AppError } = require('../utils/errorHandler');
 const logger = require('../utils/logger');
 const jwtUtils = require('../utils/jwtUtils');
 const LogService = require('./logService');
+const twoFactorService = require('./twoFactorService');
+const accountLockoutService = require('./accountLockoutService');
+const hospitalMemberService = require('./hospitalMemberService');
+const accountDeletionService = require('./accountDeletionService');
 const emailService = require('../utils/emailService');
-
-const DAY_IN_MS = 24 * 60 * 60 * 1000;
-
-/**
- * JWT refresh token süresini (gün cinsinden) ortam değişkenlerinden okur.
- * Ortam değişkeni tanımlı değilse veya format hatalıysa varsayılan olarak 7 gün kullanılır.
- * Desteklenen formatlar: "7d", "7", "30d" vb.
- */
-const resolveRefreshTokenExpiryDays = () => {
-  const rawValue = (process.env.JWT_REFRESH_EXPIRES_IN || '').trim();
-
-  if (!rawValue) {
-    return 7;
-  }
-
-  const daySuffixMatch = rawValue.match(/^(\d+)\s*d$/i);
-  if (daySuffixMatch) {
-    const parsed = parseInt(daySuffixMatch[1], 10);
-    return Number.isNaN(parsed) ? 7 : parsed;
-  }
-
-  const numericValue = parseInt(rawValue, 10);
-  return Number.isNaN(numericValue) ? 7 : numericValue;
-};
-
-const REFRESH_TOKEN_EXPIRY_DAYS = resolveRefreshTokenExpiryDays();
-const REFRESH_TOKEN_EXPIRY_MS = REFRESH_TOKEN_EXPIRY_DAYS * DAY_IN_MS;
+const { HOSPITAL_MEMBER_ROLES } = require('../config/appConstants');
 
 // ==================== TYPE DEFINITIONS ====================
 /**
@@ -69,6 +50,7 @@ const REFRESH_TOKEN_EXPIRY_MS = REFRESH_TOKEN_EXPIRY_DAYS * DAY_IN_MS;
  * @property {'doctor' | 'hospital' | 'admin'} role - Kullanıcının rolü
  * @property {boolean} is_active - Hesabın aktif olup olmadığı (admin tarafından kontrol edilir)
  * @property {boolean} is_approved - Hesabın admin tarafından onaylanıp onaylanmadığı
+ * @property {Date|null} email_verified_at - E-posta adresinin doğrulandığı tarih (doğrulanmamışsa null)
  * @property {Date} [last_login] - Son giriş tarihi (ilk girişte null)
  * @property {Date} created_at - Kayıt oluşturulma tarihi
  * @property {Date} updated_at - Kayıt güncellenme tarihi
@@ -214,6 +196,15 @@ const createHospitalProfile = async (userId, { institution_name, city_id, addres
     // updated_at NULL kalacak - sadece profil güncellendiğinde dolacak
   });
 
+  // Profili kaydeden hesap, hastane ekibinin sahibidir
+  await db('hospital_members').insert({
+    hospital_profile_id: profileId,
+    user_id: userId,
+    role: HOSPITAL_MEMBER_ROLES.OWNER,
+    created_at: db.fn.now(),
+    updated_at: db.fn.now()
+  });
+
   return profileId;
 };
 // ==================== END PROFILE CREATION FUNCTIONS ====================
@@ -226,18 +217,50 @@ const createHospitalProfile = async (userId, { institution_name, city_id, addres
 
 // ==================== CREDENTIALS & LOGIN FUNCTIONS ====================
 
+/**
+ * Hesabın giriş yapabilir durumda olduğunu kontrol eder
+ * @description Şifre adımında ve iki adımlı doğrulamanın ikinci adımında tekrar çağrılır.
+ * Kullanıcının kendi kapattığı ve silme bekleme süresindeki hesap pasif olsa da giriş yapabilir;
+ * giriş tamamlanınca (completeLogin) silme planı iptal edilir.
+ * @param {object} user - users kaydı
+ * @throws {AppError} Hesap pasif veya onaylanmamış durumda (403)
+ */
+const assertAccountCanLogin = (user) => {
+  // SQL Server bit tipi 0/1 olarak geliyorsa boolean'a çevir (toleranslı kontrol - string ve number değerleri kabul eder)
+  // NULL durumunda varsayılan değerleri kullan: is_active DEFAULT 1, is_approved DEFAULT 0
+  const isActive = user.is_active === null || user.is_active === undefined 
+    ? true  // NULL ise varsayılan 1 (aktif) - SQL DEFAULT ((1))
+    : (user.is_active === 1 || user.is_active === true || user.is_active === '1' || user.is_active === 'true');
+  
+  const isApproved = user.is_approved === null || user.is_approved === undefined
+    ? false  // NULL ise varsayılan 0 (onaysız) - SQL DEFAULT ((0))
+    : (user.is_approved === 1 || user.is_approved === true || user.is_approved === '1' || user.is_approved === 'true');
+  
+  // Admin için is_active kontrolü yapılmaz, diğer kullanıcılar için yapılır
+  if (user.role !== 'admin' && !isActive && !accountDeletionService.isDeletionPending(user)) {
+    throw new AppError('Hesabınız pasifleştirilmiştir. Lütfen sistem yöneticisi ile iletişime geçin.', 403);
+  }
+  
+  // Admin için is_approved kontrolü yapılmaz, diğer kullanıcılar için yapılır
+  if (user.role !== 'admin' && !isApproved) {
+    throw new AppError('Hesabınız admin onayını bekliyor. Onaylandıktan sonra giriş yapabilirsiniz.', 403);
+  }
+};
+
 /**
  * Kullanıcı kimlik bilgilerini doğrular
  * @description Email ve şifre ile kullanıcı girişi yapar, hesap durumunu kontrol eder
  * @param {string} email - Kullanıcının e-posta adresi
  * @param {string} password - Kullanıcının şifresi (plain text)
+ * @param {object} [context] - { ipAddress, userAgent } (hesap kilidi logu için)
  * @returns {Promise<User|null>} Kimlik bilgileri doğruysa kullanıcı objesi, yanlışsa null
- * @throws {AppError} Hesap pasif veya onaylanmamış durumda
+ * @throws {AppError} Hesap pasif, onaylanmamış veya kilitli durumda
  * 
  * Güvenlik Kontrolleri:
  * - Admin için is_active kontrolü yapılmaz
  * - Admin için is_approved kontrolü yapılmaz
  * - Diğer kullanıcılar için hem is_active hem is_approved kontrolü yapılır
+ * - Kilitli hesapta şifre kontrol edilmez; yanlış şifre hesap kilidi sayacını artırır
  * 
  * @example
  * const user = await validateCredentials('user@example.com', 'password123');
@@ -245,7 +268,7 @@ const createHospitalProfile = async (userId, { institution_name, city_id, addres
  *   // Giriş başarılı
  * }
  */
-const validateCredentials = async (email, password) => {
+const validateCredentials = async (email, password, context = {}) => {
   // Email'i normalize et (trim ve lowercase)
   const normalizedEmail = email ? email.trim().toLowerCase() : '';
   
@@ -295,24 +318,11 @@ const validateCredentials = async (email, password) => {
     passwordHashLength: user.password_hash ? user.password_hash.length : 0
   });
   
-  // SQL Server bit tipi 0/1 olarak geliyorsa boolean'a çevir (toleranslı kontrol - string ve number değerleri kabul eder)
-  // NULL durumunda varsayılan değerleri kullan: is_active DEFAULT 1, is_approved DEFAULT 0
-  const isActive = user.is_active === null || user.is_active === undefined 
-    ? true  // NULL ise varsayılan 1 (aktif) - SQL DEFAULT ((1))
-    : (user.is_active === 1 || user.is_active === true || user.is_active === '1' || user.is_active === 'true');
-  
-  const isApproved = user.is_approved === null || user.is_approved === undefined
-    ? false  // NULL ise varsayılan 0 (onaysız) - SQL DEFAULT ((0))
-    : (user.is_approved === 1 || user.is_approved === true || user.is_approved === '1' || user.is_approved === 'true');
-  
-  // Admin için is_active kontrolü yapılmaz, diğer kullanıcılar için yapılır
-  if (user.role !== 'admin' && !isActive) {
-    throw new AppError('Hesabınız pasifleştirilmiştir. Lütfen sistem yöneticisi ile iletişime geçin.', 403);
-  }
-  
-  // Admin için is_approved kontrolü yapılmaz, diğer kullanıcılar için yapılır
-  if (user.role !== 'admin' && !isApproved) {
-    throw new AppError('Hesabınız admin onayını bekliyor. Onaylandıktan sonra giriş yapabilirsiniz.', 403);
+  assertAccountCanLogin(user);
+  accountLockoutService.assertNotLocked(user);
+  // Silme bekleme süresindeki hastane sahibi kendi pasif kurum hesabı nedeniyle engellenmez
+  if (user.role === 'hospital' && !accountDeletionService.isDeletionPending(user)) {
+    await hospitalMemberService.assertActiveMembership(user.id);
   }
 
   // Şifre hash kontrolü
@@ -329,6 +339,7 @@ const validateCredentials = async (email, password) => {
     return null;
   }
 
+  let isPasswordValid = false;
   try {
     // SQL Server'dan gelen hash'in tipini ve encoding'ini kontrol et
     const hashType = typeof user.password_hash;
@@ -346,13 +357,12 @@ const validateCredentials = async (email, password) => {
     // Hash'i string'e dönüştür (gerekirse)
     const passwordHashString = String(user.password_hash);
     
-    const isPasswordValid = await bcrypt.compare(password, passwordHashString);
+    isPasswordValid = await bcrypt.compare(password, passwordHashString);
     logger.info(`Login attempt: Password validation result for ${email}`, {
       userId: user.id,
       isValid: isPasswordValid,
       hashUsed: passwordHashString.substring(0, 10)
     });
-    return isPasswordValid ? user : null;
   } catch (error) {
     logger.error(`Login attempt: bcrypt.compare error for user: ${email}`, {
       userId: user.id,
@@ -363,6 +373,12 @@ const validateCredentials = async (email, password) => {
     });
     return null;
   }
+
+  if (!isPasswordValid) {
+    await accountLockoutService.registerFailedAttempt(user, { ...context, source: 'web' });
+    return null;
+  }
+  return user;
 };
 
 /**
@@ -370,7 +386,9 @@ const validateCredentials = async (email, password) => {
  * @description Tüm kullanıcı rolleri için tek giriş fonksiyonu
  * @param {string} email - Kullanıcının e-posta adresi
  * @param {string} password - Kullanıcının şifresi
- * @returns {Promise<User>} Giriş yapan kullanıcı bilgileri (isFirstLogin flag'i ile)
+ * @returns {Promise<User>} Giriş yapan kullanıcı bilgileri (isFirstLogin flag'i ile).
+ * İki adımlı doğrulama gerekiyorsa giriş tamamlanmaz; { id, email, role, two_factor_required: true,
+ * two_factor_enabled } döner ve giriş completeLogin ile ikinci adımdan sonra tamamlanır.
  * @throws {AppError} Geçersiz kimlik bilgileri veya hesap durumu
  * 
  * @example
@@ -390,9 +408,12 @@ const loginUnified = async (email, password, req = null) => {
 
   let user;
   try {
-    user = await validateCredentials(normalizedEmail, password);
+    user = await validateCredentials(normalizedEmail, password, {
+      ipAddress: req?.ip || null,
+      userAgent: req?.get('user-agent') || null
+    });
   } catch (error) {
-    // validateCredentials içinde is_active veya is_approved kontrolü başarısız oldu
+    // validateCredentials içinde is_active, is_approved veya hesap kilidi kontrolü başarısız oldu
     // Bu durumda hatayı yukarı fırlat
     logger.warn(`Login attempt failed (account status): ${email}`, {
       error: error.message,
@@ -421,8 +442,42 @@ const loginUnified = async (email, password, req = null) => {
     throw new AppError('Geçersiz email veya şifre', 401);
   }
   
+  // İki adımlı doğrulama: şifre doğru ama oturum henüz açılmaz
+  if (twoFactorService.isSecondFactorRequired(user)) {
+    logger.info(`Login requires second factor: ${email}`, { userId: user.id, role: user.role });
+    return {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      two_factor_required: true,
+      two_factor_enabled: twoFactorService.isEnabled(user)
+    };
+  }
+
+  return completeLogin(user, req);
+};
+
+/**
+ * Kimliği doğrulanmış kullanıcı için girişi tamamlar
+ * @description Son giriş tarihini günceller, profil bilgisini ekler ve bit alanlarını boolean'a çevirir.
+ * Şifre adımında (iki adımlı doğrulama yoksa) veya ikinci adım başarılı olduktan sonra çağrılır.
+ * @param {object} user - users kaydı
+ * @param {object} [req] - Express request (log için)
+ * @returns {Promise<User>} Giriş yapan kullanıcı bilgileri (isFirstLogin flag'i ile)
+ */
+const completeLogin = async (user, req = null) => {
+  // Kapatılmış hesapla bekleme süresinde giriş yapıldıysa silme planını iptal et ve hesabı aç
+  if (accountDeletionService.isDeletionPending(user)) {
+    user = await accountDeletionService.cancelScheduledDeletion(user, {
+      ipAddress: req?.ip || null,
+      userAgent: req?.get('user-agent') || null,
+      source: 'web'
+    });
+  }
+
   // validateCredentials zaten onay kontrolü yapıyor, tekrar yapmaya gerek yok
   const loginInfo = await updateLastLogin(user.id);
+  await accountLockoutService.resetFailedLogins(user);
   
   // Log web login
   logger.info('Web user login successful', {
@@ -458,17 +513,83 @@ const loginUnified = async (email, password, req = null) => {
 };
 // ==================== END CREDENTIALS & LOGIN FUNCTIONS ====================
 
+// ==================== TWO FACTOR LOGIN FUNCTIONS ====================
+
+/**
+ * Challenge token'ından giriş yapacak kullanıcıyı yükler
+ * @description Şifre adımından sonra hesap pasifleştirilmiş olabilir; durum tekrar kontrol edilir
+ * @param {string} challengeToken - twoFactorService.createLoginChallenge çıktısı
+ * @returns {Promise<{user: object, challengeId: number}>} users kaydı ve challenge kaydı ID'si
+ */
+const getChallengeUser = async (challengeToken) => {
+  const { userId, challengeId } = await twoFactorService.verifyLoginChallenge(challengeToken);
+  const user = await db('users').where('id', userId).first();
+  if (!user) {
+    throw new AppError('Doğrulama oturumunun süresi doldu. Lütfen tekrar giriş yapın.', 401);
+  }
+  assertAccountCanLogin(user);
+  accountLockoutService.assertNotLocked(user);
+  return { user, challengeId };
+};
+
+/**
+ * Giriş sırasında zorunlu iki adımlı doğrulama kurulumunu başlatır
+ * @description Yalnızca zorunlu rolde ve henüz etkinleştirilmemiş hesaplar için kullanılır
+ * @param {string} challengeToken - Şifre adımında verilen token
+ * @returns {Promise<{secret: string, otpauth_uri: string}>}
+ * @throws {AppError} Kurulum gerekmiyorsa (400)
+ */
+const beginLoginTwoFactorSetup = async (challengeToken) => {
+  const { user } = await getChallengeUser(challengeToken);
+  if (twoFactorService.isEnabled(user) || !twoFactorService.isMandatoryForRole(user.role)) {
+    throw new AppError('Bu hesap için kurulum gerekmiyor', 400);
+  }
+  return twoFactorService.beginSetup(user.id);
+};
+
+/**
+ * Girişin ikinci adımını doğrular ve girişi tamamlar
+ * @description Hatalı her kod challenge'ın deneme sayacına eklenir; başarılı doğrulamada challenge
+ * tüketilir, böylece aynı token ile ikinci bir giriş yapılamaz.
+ * @param {object} input - { challengeToken, code, recoveryCode }
+ * @param {object} req - Express request (log için)
+ * @returns {Promise<{user: User, recoveryCodes: Array<string>|null}>} Kurulum girişte tamamlandıysa kurtarma kodları döner
+ * @throws {AppError} Token süresi dolmuş veya kod geçersiz (401)
+ */
+const completeTwoFactorLogin = async ({ challengeToken, code, recoveryCode }, req) => {
+  const { user, challengeId } = await getChallengeUser(challengeToken);
+
+  let result;
+  try {
+    result = await twoFactorService.verifyLoginSecondFactor(user.id, { code, recoveryCode }, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    await twoFactorService.recordChallengeFailure(challengeId);
+    throw error;
+  }
+
+  await twoFactorService.consumeLoginChallenge(challengeId);
+
+  const loggedIn = await completeLogin(user, req);
+  return { user: loggedIn, recoveryCodes: result.recovery_codes || null };
+};
+// ==================== END TWO FACTOR LOGIN FUNCTIONS ====================
+
 // ==================== REFRESH TOKEN VALIDATION FUNCTIONS ====================
 
 /**
  * Refresh token'ı doğrular ve kullanıcı bilgilerini döndürür
  * @description Refresh token'ın geçerliliğini kontrol eder ve kullanıcı durumunu doğrular
  * @param {string} refreshToken - Doğrulanacak refresh token
+ * @param {object} [context] - İstek bilgileri ({ ipAddress, userAgent })
  * @returns {Promise<{user: User, tokenRecord: object}>} Kullanıcı ve token kaydı
  * @throws {AppError} Geçersiz token, kullanıcı bulunamadı veya hesap durumu
  * 
  * Güvenlik Kontrolleri:
- * - Token'ın varlığı ve süresi kontrol edilir (bcrypt compare ile)
+ * - Token'ın varlığı, iptali ve süresi kontrol edilir (jti ile kayıt araması)
+ * - Yenilenmiş bir token tekrar kullanılırsa tüm token ailesi iptal edilir
  * - Kullanıcının varlığı kontrol edilir
  * - Admin olmayan kullanıcılar için is_active kontrolü yapılır
  * - Admin olmayan kullanıcılar için is_approved kontrolü yapılır
@@ -477,9 +598,9 @@ const loginUnified = async (email, password, req = null) => {
  * const { user, tokenRecord } = await validateRefreshToken('refresh_token_string');
  * // Token geçerli, yeni access token oluşturulabilir
  */
-const validateRefreshToken = async (refreshToken) => {
-  // ✅ FIX: jwtUtils.verifyRefreshTokenRecord kullan (bcrypt compare yapıyor)
-  const tokenRecord = await jwtUtils.verifyRefreshTokenRecord(refreshToken);
+const validateRefreshToken = async (refreshToken, context = {}) => {
+  // Kayıt jti ile bulunur; yenilenmiş bir token tekrar gelirse aile iptal edilir (jwtUtils)
+  const tokenRecord = await jwtUtils.verifyRefreshTokenRecord(refreshToken, context);
   if (!tokenRecord) throw new AppError('Geçersiz refresh token', 401);
 
   const user = await db('users')
@@ -536,7 +657,12 @@ const getUserProfile = async (userId, role) => {
   if (role === 'doctor') {
     return db('doctor_profiles').where('user_id', userId).first();
   } else if (role === 'hospital') {
-    return db('hospital_profiles').where('user_id', userId).first();
+    // Ekip üyeleri de bağlı oldukları hastane profilini alır; member_role ekipteki rolüdür
+    return db('hospital_members as hm')
+      .join('hospital_profiles as hp', 'hm.hospital_profile_id', 'hp.id')
+      .where('hm.user_id', userId)
+      .select('hp.*', 'hm.role as member_role', 'hm.full_name as member_name')
+      .first();
   }
   return null;
 };
@@ -855,6 +981,13 @@ const registerDoctor = async (registrationData) => {
         hasPasswordHash: !!createdUser.password_hash
       });
 
+      // E-posta doğrulama bağlantısı (fire-and-forget, kayıt işlemini yavaşlatmaz)
+      setImmediate(() => {
+        sendEmailVerification(createdUser, `${title || 'Dr.'} ${first_name} ${last_name}`).catch((emailError) => {
+          logger.warn('Verification email failed for new doctor registration:', emailError);
+        });
+      });
+
       // NOT: Hoşgeldin e-postası admin onayından sonra gönderilir (adminService.updateUserApproval)
 
       return { user: userWithBooleanFlags, profile: createdProfile };  // Boolean değerlere çevrilmiş user objesi
@@ -948,6 +1081,15 @@ const registerHospital = async (registrationData) => {
     const profile = await trx('hospital_profiles').where('user_id', userId).first();
     const profileId = profile.id;
 
+    // Kaydı yapan hesap, hastane ekibinin sahibidir (ekip üyeleri sonradan davetle eklenir)
+    await trx('hospital_members').insert({
+      hospital_profile_id: profileId,
+      user_id: userId,
+      role: HOSPITAL_MEMBER_ROLES.OWNER,
+      created_at: trx.fn.now(),
+      updated_at: trx.fn.now()
+    });
+
     // Oluşturulan verileri transaction içinde al (commit'ten önce)
     const createdUser = await trx('users').where('id', userId).first();
     const createdProfile = await trx('hospital_profiles').where('id', profileId).first();
@@ -994,6 +1136,13 @@ const registerHospital = async (registrationData) => {
       }
     });
 
+    // E-posta doğrulama bağlantısı (fire-and-forget, kayıt işlemini yavaşlatmaz)
+    setImmediate(() => {
+      sendEmailVerification(createdUser, institution_name).catch((emailError) => {
+        logger.warn('Verification email failed for new hospital registration:', emailError);
+      });
+    });
+
     // NOT: Hoşgeldin e-postası admin onayından sonra gönderilir (adminService.updateUserApproval)
 
     return { user: createdUser, profile: createdProfile };
@@ -1009,58 +1158,37 @@ const registerHospital = async (registrationData) => {
 
 /**
  * Refresh token ile yeni access token oluşturur
- * @description Geçerli refresh token ile yeni access token üretir
+ * @description Geçerli refresh token ile yeni access token üretir. Her yenilemede refresh token
+ * da yenilenir (rotation); eski token iptal edilir ve tekrar kullanılırsa tüm oturum ailesi iptal edilir.
  * @param {string} refreshToken - Geçerli refresh token
+ * @param {object} [context] - İstek bilgileri ({ ipAddress, userAgent }) - reuse security log'u için
  * @returns {Promise<{accessToken: string, refreshToken: string, user: User}>} Yeni token'lar ve kullanıcı bilgileri
  * @throws {AppError} Geçersiz refresh token veya kullanıcı durumu
  * 
  * @example
- * const result = await refreshToken('valid_refresh_token');
+ * const result = await refreshToken('valid_refresh_token', { ipAddress: req.ip });
  * console.log('Yeni access token:', result.accessToken);
  */
-const refreshToken = async (refreshToken) => {
-  const { user, tokenRecord } = await validateRefreshToken(refreshToken);
+const refreshToken = async (refreshToken, context = {}) => {
+  const { user, tokenRecord } = await validateRefreshToken(refreshToken, context);
+
+  // Refresh token rotation - aynı aileye yeni token, eski token iptal
+  const rotated = await jwtUtils.rotateRefreshToken(tokenRecord, context);
+  if (!rotated) {
+    throw new AppError('Geçersiz refresh token', 401);
+  }
 
-  // Yeni access token oluştur
+  // Yeni access token oluştur (sid: oturumun güncel refresh token kaydı)
   const accessToken = jwtUtils.generateAccessToken({
     id: user.id,
     email: user.email,
-    role: user.role
+    role: user.role,
+    sid: rotated.tokenRecord.id
   });
 
-  // Refresh token rotation - sadece gerektiğinde yeni token oluştur
-  let newRefreshToken = refreshToken; // Varsayılan olarak aynı token'ı kullan
-  
-  // Token rotation kontrolü - sadece token'ın yarısı geçmişse yeni token oluştur
-  const tokenAge = Date.now() - new Date(tokenRecord.created_at).getTime();
-  const tokenMaxAge = REFRESH_TOKEN_EXPIRY_MS;
-  
-  if (tokenAge > tokenMaxAge / 2) {
-    // Token'ın yarısı geçmişse yeni refresh token oluştur
-    newRefreshToken = jwtUtils.generateRefreshToken({
-      id: user.id,
-      email: user.email,
-      role: user.role
-    });
-    
-    const newRefreshTokenHash = jwtUtils.hashRefreshToken(newRefreshToken);
-    const expiryTime = REFRESH_TOKEN_EXPIRY_MS;
-    
-    await db.transaction(async (trx) => {
-      await trx('refresh_tokens').where('id', tokenRecord.id).del();
-      
-      await trx('refresh_tokens').insert({
-        user_id: user.id,
-        token_hash: newRefreshTokenHash,
-        expires_at: new Date(Date.now() + expiryTime),
-        created_at: new Date()
-      });
-    });
-  }
-
   return {
     accessToken,
-    refreshToken: newRefreshToken,
+    refreshToken: rotated.refreshToken,
     user: {
       id: user.id,
       email: user.email,
@@ -1076,7 +1204,7 @@ const refreshToken = async (refreshToken) => {
  * @description Kullanıcının belirli bir refresh token'ını geçersiz kılar (tek cihaz çıkışı)
  * @param {string} refreshToken - Geçersiz kılınacak refresh token
  * @returns {Promise<boolean>} İşlem başarılıysa true
- * @throws {AppError} Token bulunamazsa veya veritabanı hatası
+ * @throws {AppError} Veritabanı hatası
  * 
  * @example
  * const success = await logout('eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...');
@@ -1084,19 +1212,11 @@ const refreshToken = async (refreshToken) => {
  */
 const logout = async (refreshToken) => {
   try {
-    // Refresh token'ı hash'le
-    const tokenHash = jwtUtils.hashRefreshToken(refreshToken);
-    
-    // Belirli refresh token'ı sil
-    const deletedCount = await db('refresh_tokens')
-      .where('token_hash', tokenHash)
-      .del();
-
-    if (deletedCount === 0) {
-      throw new AppError('Refresh token bulunamadı', 404);
-    }
+    // Kayıt token'ın jti değeriyle doğrudan bulunur, SHA-256 token_hash sabit zamanlı
+    // karşılaştırılır ve iptal edilir (oturum listesinden düşer)
+    const revoked = await jwtUtils.revokeRefreshTokenByValue(refreshToken);
 
-    logger.info(`Refresh token deleted. Count: ${deletedCount}`);
+    logger.info(`Refresh token revoked on logout: ${revoked}`);
     return true;
   } catch (error) {
     logger.error('Logout error:', error);
@@ -1130,6 +1250,131 @@ const logoutAll = async (userId) => {
   }
 };
 
+// ==================== SESSION MANAGEMENT FUNCTIONS ====================
+
+/**
+ * User-Agent bilgisinden cihaz (istemci) ve platform etiketi çıkarır
+ * @description Tam bir UA ayrıştırıcısı değildir; oturum listesinde kullanıcının cihazını tanıması için yeterlidir.
+ * Mobil uygulama istekleri tarayıcı UA'sı taşımaz (okhttp / CFNetwork) veya 'mobile-app' olarak kaydedilir.
+ * @param {string|null} userAgent - refresh_tokens.user_agent değeri
+ * @returns {{device: string, platform: string}} Cihaz ve platform etiketi
+ */
+const describeUserAgent = (userAgent) => {
+  const ua = userAgent || '';
+
+  let platform = 'Bilinmiyor';
+  if (/iPhone|iPad|iOS|CFNetwork|Darwin/i.test(ua)) platform = 'iOS';
+  else if (/Android|okhttp/i.test(ua)) platform = 'Android';
+  else if (/Windows/i.test(ua)) platform = 'Windows';
+  else if (/Macintosh|Mac OS X/i.test(ua)) platform = 'macOS';
+  else if (/Linux/i.test(ua)) platform = 'Linux';
+
+  let device = 'Bilinmeyen cihaz';
+  if (ua === 'mobile-app' || /okhttp|CFNetwork|Expo/i.test(ua)) device = 'MediKariyer Mobil';
+  else if (/Edg\//.test(ua)) device = 'Edge';
+  else if (/OPR\//.test(ua)) device = 'Opera';
+  else if (/Firefox\//.test(ua)) device = 'Firefox';
+  else if (/Chrome\//.test(ua)) device = 'Chrome';
+  else if (/Safari\//.test(ua)) device = 'Safari';
+
+  return { device, platform };
+};
+
+/**
+ * Access token'daki oturum ID'sinin (sid) ait olduğu token ailesini bulur
+ * @description Her yenilemede yeni kayıt oluştuğundan sid, ailenin eski bir kaydını gösterebilir;
+ * mevcut oturum bu yüzden kayıt ID'si yerine aile üzerinden eşleştirilir.
+ * @param {number} userId - Kullanıcı ID'si
+ * @param {number|null} sessionId - req.user.sessionId
+ * @returns {Promise<string|null>} family_id veya null
+ */
+const resolveSessionFamilyId = async (userId, sessionId) => {
+  if (sessionId === null || sessionId === undefined) return null;
+
+  const record = await db('refresh_tokens')
+    .select('family_id')
+    .where({ id: sessionId, user_id: userId })
+    .first();
+
+  return record?.family_id || null;
+};
+
+/**
+ * Kullanıcının aktif oturumlarını listeler
+ * @description Her token ailesinin aktif refresh token kaydı bir oturumdur. Access token'daki 'sid' ile aynı
+ * aileye ait oturum mevcut oturum olarak işaretlenir (is_current) ve arayüzde sonlandırılamaz.
+ * @param {number} userId - Kullanıcı ID'si
+ * @param {number|null} currentSessionId - İsteği yapan oturumun ID'si (req.user.sessionId)
+ * @returns {Promise<Array<{id: number, device: string, platform: string, ip: string|null, created_at: Date, last_used_at: Date, is_current: boolean}>>}
+ *
+ * @example
+ * const sessions = await getActiveSessions(123, req.user.sessionId);
+ */
+const getActiveSessions = async (userId, currentSessionId = null) => {
+  const [records, currentFamilyId] = await Promise.all([
+    jwtUtils.getActiveUserTokens(userId),
+    resolveSessionFamilyId(userId, currentSessionId)
+  ]);
+
+  return records.map((record) => ({
+    id: record.id,
+    ...describeUserAgent(record.user_agent),
+    ip: record.ip || null,
+    created_at: record.family_created_at || record.created_at,
+    last_used_at: record.last_used_at || record.created_at,
+    is_current: currentFamilyId !== null && record.family_id === currentFamilyId
+  }));
+};
+
+/**
+ * Kullanıcının bir oturumunu sonlandırır
+ * @description Oturumun refresh token'ını jwtUtils.revokeRefreshToken ile iptal eder; o cihazın access token'ı
+ * da authenticateToken'daki oturum kontrolüyle reddedilir ve cihaz yeniden giriş yapmak zorunda kalır. Mevcut oturum buradan sonlandırılamaz (çıkış kullanılmalı).
+ * @param {object} params
+ * @param {number} params.userId - Kullanıcı ID'si
+ * @param {number} params.sessionId - Sonlandırılacak oturum (refresh token kaydı) ID'si
+ * @param {number|null} params.currentSessionId - İsteği yapan oturumun ID'si
+ * @param {string} [params.email] - Kullanıcı e-postası (security log için)
+ * @param {string} [params.ipAddress] - İstek IP adresi
+ * @param {string} [params.userAgent] - İstek user agent bilgisi
+ * @returns {Promise<boolean>} İşlem başarılıysa true
+ * @throws {AppError} 400 - Mevcut oturum, 404 - Oturum bulunamadı
+ */
+const revokeSession = async ({ userId, sessionId, currentSessionId = null, email, ipAddress, userAgent }) => {
+  const session = await db('refresh_tokens')
+    .where({ id: sessionId, user_id: userId })
+    .whereNull('revoked_at')
+    .where('expires_at', '>', new Date())
+    .first();
+
+  if (!session) {
+    throw new AppError('Oturum bulunamadı', 404);
+  }
+
+  const currentFamilyId = await resolveSessionFamilyId(userId, currentSessionId);
+  if (currentFamilyId !== null && session.family_id === currentFamilyId) {
+    throw new AppError('Kullandığınız oturum buradan sonlandırılamaz. Bu cihazdan çıkmak için çıkış yapın.', 400);
+  }
+
+  await jwtUtils.revokeRefreshToken(session.id);
+
+  const { device, platform } = describeUserAgent(session.user_agent);
+  await LogService.createSecurityLog({
+    eventType: 'session_revoked',
+    severity: 'low',
+    message: `Kullanıcı bir oturumunu sonlandırdı: ${device} (${platform})`,
+    userId,
+    email,
+    ipAddress,
+    userAgent,
+    metadata: { sessionId: session.id, familyId: session.family_id, sessionIp: session.ip }
+  }).catch(() => {});
+
+  return true;
+};
+
+// ==================== END SESSION MANAGEMENT FUNCTIONS ====================
+
 // ==================== PASSWORD RESET FUNCTIONS ====================
 
 const PASSWORD_RESET_EXPIRY_MINUTES = Number(process.env.PASSWORD_RESET_EXPIRY_MINUTES || 60);
@@ -1248,6 +1493,10 @@ const resetPasswordWithToken = async ({ token, newPassword, ipAddress, userAgent
       .where('id', user.id)
       .update({
         password_hash,
+        // Şifre sıfırlama hesap kilidini de kaldırır
+        failed_login_attempts: 0,
+        lock_count: 0,
+        locked_until: null,
         updated_at: trx.fn.now()
       });
 
@@ -1279,6 +1528,191 @@ const resetPasswordWithToken = async ({ token, newPassword, ipAddress, userAgent
 
 // ==================== END TOKEN MANAGEMENT FUNCTIONS ====================
 
+// ==================== EMAIL VERIFICATION FUNCTIONS ====================
+
+const EMAIL_VERIFICATION_EXPIRY_HOURS = Number(process.env.EMAIL_VERIFICATION_EXPIRY_HOURS || 48);
+
+/**
+ * Doğrulama token'larını imzalayan anahtar
+ * @throws {AppError} Anahtar tanımlı değilse
+ */
+const getEmailVerificationSecret = () => {
+  const secret = process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new AppError('E-posta doğrulama anahtarı tanımlı değil', 500);
+  }
+  return secret;
+};
+
+const signVerificationPayload = (payload) =>
+  crypto.createHmac('sha256', getEmailVerificationSecret()).update(payload).digest('base64url');
+
+/**
+ * İmzalı e-posta doğrulama token'ı üretir
+ * @description Token veritabanında saklanmaz; kullanıcı ID'si, e-posta adresi ve son kullanma
+ * zamanı imzalı payload içindedir. E-posta değişirse eski bağlantılar geçersiz olur.
+ * @param {{id: number, email: string}} user - Kullanıcı
+ * @returns {string} payload.signature (base64url)
+ */
+const createEmailVerificationToken = (user) => {
+  const exp = Date.now() + EMAIL_VERIFICATION_EXPIRY_HOURS * 60 * 60 * 1000;
+  const payload = Buffer.from(JSON.stringify({ u: user.id, e: user.email, exp })).toString('base64url');
+  return `${payload}.${signVerificationPayload(payload)}`;
+};
+
+/**
+ * E-posta doğrulama token'ını çözer ve imzasını doğrular
+ * @param {string} token - Doğrulama token'ı
+ * @returns {{userId: number, email: string}}
+ * @throws {AppError} İmza geçersizse veya süresi dolmuşsa
+ */
+const verifyEmailVerificationToken = (token) => {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) {
+    throw new AppError('Geçersiz e-posta doğrulama bağlantısı', 400);
+  }
+
+  const expected = Buffer.from(signVerificationPayload(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new AppError('Geçersiz e-posta doğrulama bağlantısı', 400);
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AppError('Geçersiz e-posta doğrulama bağlantısı', 400);
+  }
+
+  if (!decoded.u || !decoded.e || !decoded.exp) {
+    throw new AppError('Geçersiz e-posta doğrulama bağlantısı', 400);
+  }
+
+  if (decoded.exp < Date.now()) {
+    throw new AppError('E-posta doğrulama bağlantısının süresi dolmuş. Lütfen yeni bağlantı isteyin.', 400);
+  }
+
+  return { userId: decoded.u, email: decoded.e };
+};
+
+/**
+ * Kullanıcıya e-posta doğrulama bağlantısı gönderir
+ * @param {{id: number, email: string}} user - Kullanıcı
+ * @param {string} [name] - E-postada gösterilecek ad
+ * @returns {Promise<void>}
+ */
+const sendEmailVerification = async (user, name) => {
+  const token = createEmailVerificationToken(user);
+  await emailService.sendVerificationEmail({
+    to: user.email,
+    token,
+    name,
+    expiresInHours: EMAIL_VERIFICATION_EXPIRY_HOURS
+  });
+};
+
+/**
+ * E-posta doğrulama bağlantısını onaylar
+ * @param {Object} params
+ * @param {string} params.token - Doğrulama token'ı
+ * @param {string} [params.ipAddress] - İstek IP adresi
+ * @param {string} [params.userAgent] - İstek user-agent bilgisi
+ * @returns {Promise<{email: string, already_verified: boolean}>}
+ * @throws {AppError} Token geçersizse, kullanıcı yoksa veya e-posta değişmişse
+ */
+const verifyEmail = async ({ token, ipAddress, userAgent }) => {
+  const { userId, email } = verifyEmailVerificationToken(token);
+
+  const user = await db('users').where('id', userId).select('id', 'email', 'email_verified_at').first();
+  if (!user) {
+    throw new AppError('Kullanıcı bulunamadı', 404);
+  }
+
+  if (String(user.email).toLowerCase() !== String(email).toLowerCase()) {
+    throw new AppError('Bu doğrulama bağlantısı artık geçerli değil', 400);
+  }
+
+  if (user.email_verified_at) {
+    return { email: user.email, already_verified: true };
+  }
+
+  await db('users')
+    .where('id', user.id)
+    .update({
+      email_verified_at: db.fn.now(),
+      updated_at: db.fn.now()
+    });
+
+  await LogService.createSecurityLog({
+    eventType: 'email_verified',
+    severity: 'low',
+    message: 'E-posta adresi doğrulandı',
+    userId: user.id,
+    email: user.email,
+    ipAddress,
+    userAgent
+  }).catch(() => {});
+
+  return { email: user.email, already_verified: false };
+};
+
+/**
+ * Doğrulama bağlantısını yeniden gönderir
+ * @description Hesabın varlığını açığa çıkarmamak için her durumda başarılı döner;
+ * kayıtlı ve henüz doğrulanmamış adreslere yeni bağlantı gönderilir.
+ * @param {Object} params
+ * @param {string} params.email - E-posta adresi
+ * @param {string} [params.ipAddress] - İstek IP adresi
+ * @param {string} [params.userAgent] - İstek user-agent bilgisi
+ * @returns {Promise<{success: boolean}>}
+ */
+const resendEmailVerification = async ({ email, ipAddress, userAgent }) => {
+  const normalizedEmail = email ? email.trim().toLowerCase() : '';
+
+  if (!normalizedEmail) {
+    return { success: true };
+  }
+
+  const user = await db('users as u')
+    .leftJoin('doctor_profiles as dp', 'dp.user_id', 'u.id')
+    .leftJoin('hospital_profiles as hp', 'hp.user_id', 'u.id')
+    .whereRaw('LOWER(u.email) = ?', [normalizedEmail])
+    .select('u.id', 'u.email', 'u.email_verified_at', 'dp.title', 'dp.first_name', 'dp.last_name', 'hp.institution_name')
+    .first();
+
+  if (!user || user.email_verified_at) {
+    return { success: true };
+  }
+
+  const name = user.institution_name
+    || (user.first_name ? `${user.title || 'Dr.'} ${user.first_name} ${user.last_name}` : undefined);
+
+  try {
+    await sendEmailVerification(user, name);
+  } catch (emailError) {
+    logger.error('Verification email could not be resent', {
+      userId: user.id,
+      email: user.email,
+      error: emailError.message
+    });
+  }
+
+  await LogService.createSecurityLog({
+    eventType: 'email_verification_resent',
+    severity: 'low',
+    message: 'E-posta doğrulama bağlantısı yeniden gönderildi',
+    userId: user.id,
+    email: user.email,
+    ipAddress,
+    userAgent
+  }).catch(() => {});
+
+  return { success: true };
+};
+
+// ==================== END EMAIL VERIFICATION FUNCTIONS ====================
+
 // ==================== MODULE EXPORTS ====================
 /**
  * AuthService modülü export'ları
@@ -1300,6 +1734,12 @@ module.exports = {
   // Credentials & Login Functions
   validateCredentials,
   loginUnified,
+  completeLogin,
+  assertAccountCanLogin,
+  
+  // Two Factor Login Functions
+  beginLoginTwoFactorSetup,
+  completeTwoFactorLogin,
   
   // Refresh Token Validation Functions
   validateRefreshToken,
@@ -1314,8 +1754,16 @@ module.exports = {
   logout,
   logoutAll,
   requestPasswordReset,
+  
+  // Session Management Functions
+  getActiveSessions,
+  revokeSession,
   resetPasswordWithToken,
   
+  // Email Verification Functions
+  verifyEmail,
+  resendEmailVerification,
+  
   // Token Cleanup Functions
   cleanupExpiredTokens
 };
@@ -0,0 +1,684 @@
+/**
+ * @file dataExportService.js
+ * @description Kişisel veri dışa aktarma servisi (KVKK/GDPR veri taşınabilirliği) - Doktorun platformda
+ * tutulan verilerini JSON dosyaları ve okunabilir bir HTML özet içeren ZIP olarak indirebilmesini sağlar.
+ *
+ * Ana İşlevler:
+ * - Dışa aktarma talebi oluşturma ve talep geçmişi
+ * - Bekleyen taleplerin arka planda işlenmesi (dataExportCron): veriler toplanır, ZIP diske yazılır
+ * - Hazır olduğunda bildirim gönderilmesi (notificationService; bildirimde bağlantı/token yoktur)
+ * - İndirme (oturum açmış kullanıcı için talep ID'si ile veya mobilde oturumla alınan kısa süreli
+ *   token'lı bağlantı ile)
+ * - Süresi dolan dosyaların ve anonimleştirilen hesapların dosyalarının diskten silinmesi
+ *
+ * ZIP içeriği:
+ * - hesap.json, profil.json, egitimler.json, deneyimler.json, sertifikalar.json, diller.json
+ * - basvurular.json (her başvurunun durum geçmişiyle), bildirimler.json, fotograf_talepleri.json, gizlilik.json
+ * - profil.html (profil, eğitim, deneyim, sertifika, dil ve başvuruların tarayıcıda açılabilen özeti), BENIOKU.txt
+ *
+ * Veritabanı Tabloları:
+ * - data_export_requests: Talepler, durumları ve indirme token özeti (token_hash, token_expires_at)
+ *
+ * Not:
+ * - Talep, hazırlanma ve her indirme audit log'a yazılır
+ * - Dosyalar Backend/storage/data-exports altında tutulur; /uploads gibi statik servis edilmez
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+// ============================================================================
+// DIŞ BAĞIMLILIKLAR
+// ============================================================================
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/dbConfig').db;
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const LogService = require('./logService');
+const notificationService = require('./notificationService');
+const doctorPrivacyService = require('./doctorPrivacyService');
+const { createZipArchive } = require('../utils/zipArchive');
+const { DATA_EXPORT } = require('../config/appConstants');
+
+// ============================================================================
+// YARDIMCI FONKSİYONLAR
+// ============================================================================
+
+const EXPORT_DIR = path.join(__dirname, '..', '..', 'storage', 'data-exports');
+const PROCESS_BATCH_SIZE = 5;
+
+const hashDownloadToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+const buildDownloadUrl = (token) => {
+  const base = process.env.API_PUBLIC_URL || process.env.APP_WEB_URL || process.env.FRONTEND_URL || 'https://medikariyer.com';
+  return `${base.replace(/\/$/, '')}/api/data-exports/download?token=${encodeURIComponent(token)}`;
+};
+
+const buildFileName = (request) => {
+  const date = new Date(request.created_at || Date.now()).toISOString().slice(0, 10);
+  return `medikariyer-verilerim-${date}.zip`;
+};
+
+const toJson = (data) => JSON.stringify(data, null, 2);
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('tr-TR') : '-');
+
+const removeExportFile = async (request) => {
+  if (!request.file_path) {
+    return;
+  }
+  await fs.promises.unlink(path.join(EXPORT_DIR, request.file_path)).catch((error) => {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Data export file could not be deleted', { requestId: request.id, error: error.message });
+    }
+  });
+};
+
+/**
+ * Talebi istemciye dönen alanlarla sınırlar (dosya yolu ve token özeti dönmez)
+ * @param {Object} request - data_export_requests kaydı
+ * @returns {Object}
+ */
+const mapExportRequest = (request) => ({
+  id: request.id,
+  status: request.status,
+  file_size: request.file_size,
+  expires_at: request.expires_at,
+  download_count: request.download_count,
+  error_message: request.status === 'failed' ? request.error_message : null,
+  created_at: request.created_at,
+  completed_at: request.completed_at
+});
+
+const auditExportAction = async (userId, action, request, context = {}, metadata = null) => {
+  const actorInfo = await LogService.getUserInfoForAudit(userId, 'doctor')
+    .catch(() => ({ name: null, email: null }));
+
+  await LogService.createAuditLog({
+    actorId: userId,
+    actorRole: 'doctor',
+    actorName: actorInfo.name,
+    actorEmail: actorInfo.email,
+    action,
+    resourceType: 'data_export',
+    resourceId: request.id,
+    newValues: { status: request.status },
+    ipAddress: context.ipAddress || null,
+    userAgent: context.userAgent || null,
+    metadata
+  }).catch((err) => logger.error('Audit log kayıt hatası', { error: err.message }));
+};
+
+// ============================================================================
+// TALEP YÖNETİMİ
+// ============================================================================
+
+/**
+ * Yeni dışa aktarma talebi oluşturur
+ * @param {number} userId - Doktor kullanıcı ID'si
+ * @param {Object} context - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Oluşturulan talep
+ * @throws {AppError} 409 devam eden talep varsa, 429 bekleme süresi dolmadıysa
+ */
+const requestExport = async (userId, context = {}) => {
+  const active = await db('data_export_requests')
+    .where('user_id', userId)
+    .whereIn('status', ['pending', 'processing'])
+    .first();
+  if (active) {
+    throw new AppError('Hazırlanmakta olan bir veri dışa aktarma talebiniz zaten var', 409);
+  }
+
+  const cooldownStart = new Date(Date.now() - DATA_EXPORT.REQUEST_COOLDOWN_HOURS * 60 * 60 * 1000);
+  const recent = await db('data_export_requests')
+    .where('user_id', userId)
+    .where('status', 'ready')
+    .where('created_at', '>', cooldownStart)
+    .first();
+  if (recent) {
+    throw new AppError(`Son ${DATA_EXPORT.REQUEST_COOLDOWN_HOURS} saat içinde hazırlanmış bir dışa aktarmanız var; Ayarlar sayfasından indirebilirsiniz`, 429);
+  }
+
+  const [request] = await db('data_export_requests')
+    .insert({
+      user_id: userId,
+      status: 'pending',
+      requested_ip: context.ipAddress || null,
+      created_at: db.fn.now()
+    })
+    .returning('*');
+
+  await auditExportAction(userId, 'user.data_export_requested', request, context);
+
+  return mapExportRequest(request);
+};
+
+/**
+ * Kullanıcının son dışa aktarma taleplerini getirir
+ * @param {number} userId - Doktor kullanıcı ID'si
+ * @returns {Promise<Array>} Talepler (yeniden eskiye)
+ */
+const getExportRequests = async (userId) => {
+  const requests = await db('data_export_requests')
+    .where('user_id', userId)
+    .orderBy('created_at', 'desc')
+    .limit(10);
+
+  return requests.map(mapExportRequest);
+};
+
+// ============================================================================
+// VERİ TOPLAMA
+// ============================================================================
+
+/**
+ * Doktorun dışa aktarılacak tüm verilerini toplar
+ * @param {number} userId - Doktor kullanıcı ID'si
+ * @returns {Promise<Object>} Dosya adı → içerik eşlemesine dönüştürülecek veri
+ * @throws {AppError} 404 profil bulunamazsa
+ */
+const collectExportData = async (userId) => {
+  const account = await db('users')
+    .where('id', userId)
+    .select('id', 'email', 'role', 'is_approved', 'is_active', 'email_verified_at', 'last_login', 'created_at', 'updated_at')
+    .first();
+
+  const profile = await db('doctor_profiles as dp')
+    .leftJoin('specialties as s', 'dp.specialty_id', 's.id')
+    .leftJoin('subspecialties as ss', 'dp.subspecialty_id', 'ss.id')
+    .leftJoin('cities as rc', 'dp.residence_city_id', 'rc.id')
+    .where('dp.user_id', userId)
+    .select('dp.*', 's.name as specialty_name', 'ss.name as subspecialty_name', 'rc.name as residence_city_name')
+    .first();
+
+  if (!account || !profile) {
+    throw new AppError('Doktor profili bulunamadı', 404);
+  }
+
+  const [educations, experiences, certificates, languages, applications, notifications, photoRequests, privacy] = await Promise.all([
+    db('doctor_educations as de')
+      .leftJoin('doctor_education_types as det', 'de.education_type_id', 'det.id')
+      .where('de.doctor_profile_id', profile.id)
+      .whereNull('de.deleted_at')
+      .select('de.*', 'det.name as education_type_name')
+      .orderBy('de.graduation_year', 'desc'),
+    db('doctor_experiences as dex')
+      .leftJoin('specialties as s', 'dex.specialty_id', 's.id')
+      .leftJoin('subspecialties as ss', 'dex.subspecialty_id', 'ss.id')
+      .where('dex.doctor_profile_id', profile.id)
+      .whereNull('dex.deleted_at')
+      .select('dex.*', 's.name as specialty_name', 'ss.name as subspecialty_name')
+      .orderBy('dex.start_date', 'desc'),
+    db('doctor_certificates')
+      .where('doctor_profile_id', profile.id)
+      .whereNull('deleted_at')
+      .orderBy('certificate_year', 'desc'),
+    db('doctor_languages as dl')
+      .join('languages as l', 'dl.language_id', 'l.id')
+      .join('language_levels as ll', 'dl.level_id', 'll.id')
+      .where('dl.doctor_profile_id', profile.id)
+      .whereNull('dl.deleted_at')
+      .select('dl.*', 'l.name as language_name', 'll.name as level_name'),
+    // Geri çekilmiş ve silinmiş başvurular da kişisel veridir; deleted_at ile birlikte verilir
+    db('applications as a')
+      .leftJoin('application_statuses as ast', 'a.status_id', 'ast.id')
+      .leftJoin('jobs as j', 'a.job_id', 'j.id')
+      .leftJoin('hospital_profiles as hp', 'j.hospital_id', 'hp.id')
+      .where('a.doctor_profile_id', profile.id)
+      .select(
+        'a.id',
+        'a.job_id',
+        'j.title as job_title',
+        'hp.institution_name as hospital_name',
+        'ast.name as status',
+        'a.cover_letter',
+        'a.applied_at',
+        'a.updated_at',
+        'a.deleted_at'
+      )
+      .orderBy('a.applied_at', 'desc'),
+    db('notifications')
+      .where('user_id', userId)
+      .select('id', 'type', 'title', 'body', 'data_json', 'channel', 'read_at', 'created_at')
+      .orderBy('created_at', 'desc'),
+    db('doctor_profile_photo_requests')
+      .where('doctor_profile_id', profile.id)
+      .orderBy('created_at', 'desc'),
+    doctorPrivacyService.getPrivacySettings(userId)
+  ]);
+
+  // Durum geçmişinde değişikliği yapan hastane üyesinin kimliği verilmez (üçüncü kişi verisi)
+  const history = applications.length > 0
+    ? await db('application_status_history as h')
+      .leftJoin('application_statuses as fs', 'h.from_status_id', 'fs.id')
+      .join('application_statuses as ts', 'h.to_status_id', 'ts.id')
+      .whereIn('h.application_id', applications.map((application) => application.id))
+      .select('h.application_id', 'fs.name as from_status', 'ts.name as to_status', 'h.changed_by_role', 'h.created_at')
+      .orderBy('h.created_at', 'asc')
+    : [];
+
+  const applicationsWithHistory = applications.map((application) => ({
+    ...application,
+    status_history: history
+      .filter((entry) => entry.application_id === application.id)
+      .map(({ application_id: _applicationId, ...entry }) => entry)
+  }));
+
+  return {
+    account,
+    profile,
+    educations,
+    experiences,
+    certificates,
+    languages,
+    applications: applicationsWithHistory,
+    notifications: notifications.map(({ data_json: dataJson, ...notification }) => {
+      let data = null;
+      try {
+        data = dataJson ? JSON.parse(dataJson) : null;
+      } catch (error) {
+        data = dataJson;
+      }
+      return { ...notification, data };
+    }),
+    photoRequests,
+    privacy
+  };
+};
+
+/**
+ * Profil özetini tek başına açılabilen bir HTML sayfası olarak oluşturur
+ * Harici kaynak (CSS, font, görsel bağlantısı) kullanılmaz; profil fotoğrafı yalnızca
+ * data URI olarak saklanıyorsa gömülür.
+ * @param {Object} data - collectExportData çıktısı
+ * @returns {string} HTML
+ */
+const buildProfileHtml = (data) => {
+  const { account, profile } = data;
+  const fullName = `${profile.title || ''} ${profile.first_name || ''} ${profile.last_name || ''}`.trim();
+  const photo = typeof profile.profile_photo === 'string' && profile.profile_photo.startsWith('data:image/')
+    ? `<img src="${escapeHtml(profile.profile_photo)}" alt="" style="width:96px;height:96px;object-fit:cover;border-radius:8px">`
+    : '';
+
+  const section = (title, rows) => `
+    <h2>${escapeHtml(title)}</h2>
+    ${rows.length > 0 ? `<ul>${rows.map((row) => `<li>${row}</li>`).join('')}</ul>` : '<p>-</p>'}`;
+
+  return `<!DOCTYPE html>
+<html lang="tr">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(fullName)} - MediKariyer.net</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #1f2937; max-width: 800px; margin: 24px auto; padding: 0 16px; }
+    h1 { margin-bottom: 4px; } h2 { border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; margin-top: 24px; }
+    li { margin-bottom: 6px; } .muted { color: #6b7280; }
+  </style>
+</head>
+<body>
+  ${photo}
+  <h1>${escapeHtml(fullName)}</h1>
+  <p class="muted">${escapeHtml([profile.specialty_name, profile.subspecialty_name].filter(Boolean).join(' / '))}</p>
+  <p>
+    E-posta: ${escapeHtml(account.email)}<br>
+    Telefon: ${escapeHtml(profile.phone || '-')}<br>
+    Doğum tarihi: ${formatDate(profile.dob)}<br>
+    İkamet: ${escapeHtml(profile.residence_city_name || '-')}
+  </p>
+  ${section('Eğitim', data.educations.map((edu) => `<strong>${escapeHtml(edu.education_institution)}</strong> - ${escapeHtml(edu.education_type_name || '')} ${escapeHtml(edu.field || '')} (${escapeHtml(edu.graduation_year || '-')})`))}
+  ${section('Deneyim', data.experiences.map((exp) => `<strong>${escapeHtml(exp.role_title)}</strong> - ${escapeHtml(exp.organization)} (${formatDate(exp.start_date)} - ${exp.end_date ? formatDate(exp.end_date) : 'Devam ediyor'})${exp.description ? `<br><span class="muted">${escapeHtml(exp.description)}</span>` : ''}`))}
+  ${section('Sertifikalar', data.certificates.map((cert) => `<strong>${escapeHtml(cert.certificate_name)}</strong> - ${escapeHtml(cert.institution || '')} (${escapeHtml(cert.certificate_year || '-')})`))}
+  ${section('Diller', data.languages.map((lang) => `${escapeHtml(lang.language_name)}: ${escapeHtml(lang.level_name)}`))}
+  ${section('Başvurular', data.applications.map((application) => `<strong>${escapeHtml(application.job_title || `İlan #${application.job_id}`)}</strong> - ${escapeHtml(application.hospital_name || '-')} - ${escapeHtml(application.status || '-')} (${formatDate(application.applied_at)})`))}
+</body>
+</html>
+`;
+};
+
+/**
+ * Toplanan verilerden ZIP arşivini oluşturur
+ * @param {Object} data - collectExportData çıktısı
+ * @returns {Promise<Buffer>} ZIP dosyası
+ */
+const buildExportArchive = async (data) => {
+  const { account, profile } = data;
+
+  const readme = [
+    'MediKariyer.net - Kişisel Verileriniz',
+    `Oluşturulma zamanı: ${new Date().toLocaleString('tr-TR')}`,
+    '',
+    'hesap.json            : Hesap bilgileri (e-posta, durum, kayıt ve son giriş tarihleri)',
+    'profil.json           : Doktor profili (profil fotoğrafı base64 olarak dahildir)',
+    'egitimler.json        : Eğitim bilgileri',
+    'deneyimler.json       : Deneyim bilgileri',
+    'sertifikalar.json     : Sertifikalar',
+    'diller.json           : Dil bilgileri',
+    'basvurular.json       : Başvurular ve durum geçmişleri',
+    'bildirimler.json      : Bildirimler',
+    'fotograf_talepleri.json: Profil fotoğrafı değişiklik talepleri',
+    'gizlilik.json         : Profil görünürlüğü, iletişim bilgisi gizleme ve engellenen hastaneler',
+    'profil.html           : Yukarıdaki bilgilerin tarayıcıda açılabilen özeti'
+  ].join('\n');
+
+  const entries = [
+    { name: 'BENIOKU.txt', data: readme },
+    { name: 'hesap.json', data: toJson(account) },
+    { name: 'profil.json', data: toJson(profile) },
+    { name: 'egitimler.json', data: toJson(data.educations) },
+    { name: 'deneyimler.json', data: toJson(data.experiences) },
+    { name: 'sertifikalar.json', data: toJson(data.certificates) },
+    { name: 'diller.json', data: toJson(data.languages) },
+    { name: 'basvurular.json', data: toJson(data.applications) },
+    { name: 'bildirimler.json', data: toJson(data.notifications) },
+    { name: 'fotograf_talepleri.json', data: toJson(data.photoRequests) },
+    { name: 'gizlilik.json', data: toJson(data.privacy) },
+    { name: 'profil.html', data: buildProfileHtml(data) }
+  ];
+
+  return createZipArchive(entries);
+};
+
+// ============================================================================
+// ARKA PLAN İŞLEME (dataExportCron)
+// ============================================================================
+
+/**
+ * Tek bir talebi işler: ZIP'i hazırlar ve kullanıcıya bildirim gönderir
+ * Bildirim verisi notifications.data_json'da saklandığı ve push ile iletildiği için indirme
+ * bağlantısı içermez; indirme oturum açılarak yapılır (createDownloadLink / getDownloadForUser).
+ * @param {Object} request - 'processing' durumuna alınmış talep
+ * @returns {Promise<boolean>} Başarılıysa true
+ */
+const processExportRequest = async (request) => {
+  try {
+    const data = await collectExportData(request.user_id);
+    const archive = await buildExportArchive(data);
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const fileName = `${request.id}-${crypto.randomBytes(8).toString('hex')}.zip`;
+    await fs.promises.writeFile(path.join(EXPORT_DIR, fileName), archive);
+
+    const expiresAt = new Date(Date.now() + DATA_EXPORT.DOWNLOAD_EXPIRY_HOURS * 60 * 60 * 1000);
+
+    await db('data_export_requests')
+      .where('id', request.id)
+      .update({
+        status: 'ready',
+        file_path: fileName,
+        file_size: archive.length,
+        expires_at: expiresAt,
+        completed_at: db.fn.now()
+      });
+
+    await auditExportAction(request.user_id, 'user.data_export_ready', { ...request, status: 'ready' }, {}, {
+      file_size: archive.length,
+      expires_at: expiresAt.toISOString()
+    });
+
+    await notificationService.sendNotification({
+      user_id: request.user_id,
+      type: 'success',
+      title: 'Verileriniz İndirmeye Hazır',
+      body: `Kişisel verilerinizin dışa aktarımı hazırlandı. Dosya ${DATA_EXPORT.DOWNLOAD_EXPIRY_HOURS} saat boyunca indirilebilir.`,
+      data: {
+        action: 'data_export_ready',
+        category: 'system',
+        entity_type: 'data_export',
+        entity_id: request.id
+      },
+      email: {
+        message: `Kişisel verilerinizin dışa aktarımı hazırlandı. Dosyayı ${DATA_EXPORT.DOWNLOAD_EXPIRY_HOURS} saat içinde Ayarlar sayfasından indirebilirsiniz.`,
+        actionPath: '/doctor/settings',
+        actionLabel: 'Ayarlara Git'
+      }
+    }).catch((err) => logger.error('Data export notification error', { requestId: request.id, error: err.message }));
+
+    return true;
+  } catch (error) {
+    logger.error('Data export failed', { requestId: request.id, error: error.message, stack: error.stack });
+
+    await db('data_export_requests')
+      .where('id', request.id)
+      .update({
+        status: 'failed',
+        error_message: (error instanceof AppError ? error.message : 'Veriler hazırlanırken bir hata oluştu').slice(0, 500),
+        completed_at: db.fn.now()
+      });
+
+    await notificationService.sendNotification({
+      user_id: request.user_id,
+      type: 'error',
+      title: 'Veri Dışa Aktarma Başarısız',
+      body: 'Kişisel verileriniz hazırlanırken bir hata oluştu. Lütfen daha sonra yeniden talep edin.',
+      data: { action: 'data_export_failed', category: 'system', entity_type: 'data_export', entity_id: request.id },
+      email: false
+    }).catch((err) => logger.error('Data export notification error', { requestId: request.id, error: err.message }));
+
+    return false;
+  }
+};
+
+/**
+ * Bekleyen talepleri sırayla işler
+ * Aynı talebin iki kez işlenmemesi için önce koşullu güncellemeyle 'processing' durumuna alınır.
+ * @param {Object} [options]
+ * @param {number} [options.limit=PROCESS_BATCH_SIZE] - Tek çalışmada işlenecek en fazla talep
+ * @returns {Promise<{processed: number, ready: number, failed: number}>}
+ */
+const processPendingExports = async ({ limit = PROCESS_BATCH_SIZE } = {}) => {
+  const pending = await db('data_export_requests')
+    .where('status', 'pending')
+    .orderBy('created_at', 'asc')
+    .limit(limit);
+
+  const result = { processed: 0, ready: 0, failed: 0 };
+
+  for (const request of pending) {
+    const claimed = await db('data_export_requests')
+      .where({ id: request.id, status: 'pending' })
+      .update({ status: 'processing', started_at: db.fn.now() });
+    if (!claimed) continue;
+
+    result.processed += 1;
+    const success = await processExportRequest(request);
+    if (success) {
+      result.ready += 1;
+    } else {
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Sunucu kapanması nedeniyle 'processing' durumunda kalan talepleri tekrar sıraya alır
+ * @returns {Promise<number>} Sıraya alınan talep sayısı
+ */
+const requeueStaleExports = async () => {
+  const staleBefore = new Date(Date.now() - DATA_EXPORT.STALE_PROCESSING_MINUTES * 60 * 1000);
+
+  return db('data_export_requests')
+    .where('status', 'processing')
+    .where('started_at', '<', staleBefore)
+    .update({ status: 'pending', started_at: null });
+};
+
+/**
+ * İndirme süresi dolan dosyaları diskten siler
+ * @returns {Promise<number>} Süresi dolan talep sayısı
+ */
+const cleanupExpiredExports = async () => {
+  const expired = await db('data_export_requests')
+    .where('status', 'ready')
+    .where('expires_at', '<', new Date())
+    .select('id', 'file_path');
+
+  for (const request of expired) {
+    await removeExportFile(request);
+
+    await db('data_export_requests')
+      .where('id', request.id)
+      .update({ status: 'expired', file_path: null, token_hash: null, token_expires_at: null });
+  }
+
+  return expired.length;
+};
+
+/**
+ * Kullanıcının tüm dışa aktarma dosyalarını ve taleplerini siler
+ * @description Hesap anonimleştirilirken (accountDeletionService) kullanılır
+ * @param {number} userId - Kullanıcı ID'si
+ * @returns {Promise<number>} Silinen talep sayısı
+ */
+const deleteUserExports = async (userId) => {
+  const requests = await db('data_export_requests')
+    .where('user_id', userId)
+    .select('id', 'file_path');
+
+  for (const request of requests) {
+    await removeExportFile(request);
+  }
+
+  await db('data_export_requests').where('user_id', userId).del();
+  return requests.length;
+};
+
+// ============================================================================
+// İNDİRME
+// ============================================================================
+
+/**
+ * Hazır talebin dosyasını indirme için döner ve indirmeyi kaydeder
+ * @param {Object} request - data_export_requests kaydı
+ * @param {Object} context - { ipAddress, userAgent, via }
+ * @returns {Promise<{filePath: string, fileName: string}>}
+ * @throws {AppError} 410 süresi dolmuşsa
+ */
+const resolveDownload = async (request, context) => {
+  if (request.status !== 'ready' || !request.file_path || new Date(request.expires_at) < new Date()) {
+    throw new AppError('İndirme bağlantısının süresi dolmuş. Lütfen yeni bir dışa aktarma talep edin.', 410);
+  }
+
+  const filePath = path.join(EXPORT_DIR, request.file_path);
+  if (!fs.existsSync(filePath)) {
+    throw new AppError('Dışa aktarma dosyası bulunamadı. Lütfen yeni bir dışa aktarma talep edin.', 410);
+  }
+
+  await db('data_export_requests')
+    .where('id', request.id)
+    .update({
+      download_count: db.raw('download_count + 1'),
+      last_downloaded_at: db.fn.now()
+    });
+
+  await auditExportAction(request.user_id, 'user.data_export_downloaded', request, context, { via: context.via });
+
+  return { filePath, fileName: buildFileName(request) };
+};
+
+/**
+ * Oturum açmış doktor için kısa süreli, token'lı indirme bağlantısı üretir
+ * @description Mobil uygulama dosyayı tarayıcıda indirdiği için oturum başlığı gönderemez;
+ * bağlantı yalnızca istek anında üretilir ve DOWNLOAD_LINK_MINUTES geçerlidir. Yeni bağlantı
+ * öncekini geçersiz kılar. Token yalnızca özet olarak saklanır.
+ * @param {number} userId - Doktor kullanıcı ID'si
+ * @param {number} exportId - data_export_requests.id
+ * @param {Object} context - { ipAddress, userAgent }
+ * @returns {Promise<{url: string, expires_at: Date}>}
+ * @throws {AppError} 404 talep bulunamazsa, 410 dosyanın süresi dolmuşsa
+ */
+const createDownloadLink = async (userId, exportId, context = {}) => {
+  const request = await db('data_export_requests')
+    .where({ id: exportId, user_id: userId })
+    .first();
+  if (!request) {
+    throw new AppError('Dışa aktarma talebi bulunamadı', 404);
+  }
+  if (request.status !== 'ready' || !request.file_path || new Date(request.expires_at) < new Date()) {
+    throw new AppError('İndirme süresi dolmuş. Lütfen yeni bir dışa aktarma talep edin.', 410);
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const linkExpiresAt = new Date(Date.now() + DATA_EXPORT.DOWNLOAD_LINK_MINUTES * 60 * 1000);
+
+  await db('data_export_requests')
+    .where('id', request.id)
+    .update({
+      token_hash: hashDownloadToken(token),
+      token_expires_at: linkExpiresAt
+    });
+
+  await auditExportAction(userId, 'user.data_export_link_created', request, context, {
+    link_expires_at: linkExpiresAt.toISOString()
+  });
+
+  return { url: buildDownloadUrl(token), expires_at: linkExpiresAt };
+};
+
+/**
+ * Kısa süreli bağlantı token'ı ile indirme (oturum gerektirmez)
+ * @param {string} token - Düz indirme token'ı (createDownloadLink)
+ * @param {Object} context - { ipAddress, userAgent }
+ * @returns {Promise<{filePath: string, fileName: string}>}
+ * @throws {AppError} 404 token geçersizse, 410 süresi dolmuşsa
+ */
+const getDownloadByToken = async (token, context = {}) => {
+  const request = token
+    ? await db('data_export_requests').where('token_hash', hashDownloadToken(token)).first()
+    : null;
+  if (!request) {
+    throw new AppError('İndirme bağlantısı geçersiz', 404);
+  }
+  if (!request.token_expires_at || new Date(request.token_expires_at) < new Date()) {
+    throw new AppError('İndirme bağlantısının süresi dolmuş. Uygulamadan yeni bağlantı alın.', 410);
+  }
+
+  return resolveDownload(request, { ...context, via: 'link' });
+};
+
+/**
+ * Oturum açmış doktorun kendi talebini indirmesi
+ * @param {number} userId - Doktor kullanıcı ID'si
+ * @param {number} exportId - data_export_requests.id
+ * @param {Object} context - { ipAddress, userAgent }
+ * @returns {Promise<{filePath: string, fileName: string}>}
+ * @throws {AppError} 404 talep bulunamazsa, 410 süresi dolmuşsa
+ */
+const getDownloadForUser = async (userId, exportId, context = {}) => {
+  const request = await db('data_export_requests')
+    .where({ id: exportId, user_id: userId })
+    .first();
+  if (!request) {
+    throw new AppError('Dışa aktarma talebi bulunamadı', 404);
+  }
+
+  return resolveDownload(request, { ...context, via: 'account' });
+};
+
+module.exports = {
+  requestExport,
+  getExportRequests,
+  collectExportData,
+  processPendingExports,
+  requeueStaleExports,
+  cleanupExpiredExports,
+  deleteUserExports,
+  createDownloadLink,
+  getDownloadByToken,
+  getDownloadForUser
+};
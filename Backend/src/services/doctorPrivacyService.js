@@ -0,0 +1,370 @@
+/**
+ * @file doctorPrivacyService.js
+ * @description Doktor profili gizlilik servisi - Doktorun profilini hangi hastanelerin
+ * görebileceğini, iletişim bilgilerinin maskelenmesini ve engellenen hastaneleri yönetir.
+ *
+ * Ana İşlevler:
+ * - Görünürlük ayarı (public / applied_only / hidden)
+ * - Telefon / e-posta maskeleme (başvuru yapılmamış hastanelere)
+ * - Hastane engelleme listesi
+ * - Hastane tarafı sorgular için erişim kuralları (hospitalService kullanır)
+ *
+ * Erişim Kuralları:
+ * - Doktor listesi: hidden doktorlar ve doktoru engelleyen hastaneler listede görmez;
+ *   applied_only doktorları yalnızca başvuru yapılan hastaneler görür
+ * - Profil detayı: başvuru yapılan hastane her zaman açar; diğerleri yalnızca
+ *   public ve engellenmemişse açar
+ * - Başvuru yapılan hastane telefon ve e-postayı her zaman görür
+ *
+ * Veritabanı Tabloları:
+ * - doctor_profiles: profile_visibility, hide_phone, hide_email
+ * - doctor_blocked_hospitals: Engellenen hastaneler
+ * - applications / jobs: Başvuru kontrolü
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+// ============================================================================
+// DIŞ BAĞIMLILIKLAR
+// ============================================================================
+
+const db = require('../config/dbConfig').db;
+const { AppError } = require('../utils/errorHandler');
+
+// ============================================================================
+// SABİTLER
+// ============================================================================
+
+/**
+ * Profil görünürlük seçenekleri
+ * @type {Object}
+ */
+const PROFILE_VISIBILITY = {
+  PUBLIC: 'public',
+  APPLIED_ONLY: 'applied_only',
+  HIDDEN: 'hidden'
+};
+
+/**
+ * Engelleme için hastane aramasında dönen en fazla sonuç
+ * @type {number}
+ */
+const HOSPITAL_SEARCH_LIMIT = 20;
+
+// ============================================================================
+// YARDIMCI FONKSİYONLAR
+// ============================================================================
+
+/**
+ * Kullanıcının doktor profil ID'sini getirir
+ * @param {number} userId - Doktor kullanıcı ID'si
+ * @returns {Promise<number>} Doktor profil ID'si
+ * @throws {AppError} Profil bulunamazsa
+ */
+const getDoctorProfileId = async (userId) => {
+  const profile = await db('doctor_profiles').where('user_id', userId).select('id').first();
+  if (!profile) {
+    throw new AppError('Profil bulunamadı', 404);
+  }
+  return profile.id;
+};
+
+/**
+ * Doktorun hastanenin bir ilanına başvurup başvurmadığını kontrol eden alt sorgu
+ * @description whereExists / orWhereExists içinde kullanılır; dış sorguda dp alias'ı olmalıdır.
+ * @param {number} hospitalProfileId - Hastane profil ID'si
+ * @returns {Function} Knex alt sorgu fonksiyonu
+ */
+const appliedToHospital = (hospitalProfileId) => function () {
+  this.select(db.raw(1))
+    .from('applications as a')
+    .join('jobs as j', 'a.job_id', 'j.id')
+    .whereRaw('a.doctor_profile_id = dp.id')
+    .where('j.hospital_id', hospitalProfileId)
+    .whereNull('a.deleted_at')
+    .whereNull('j.deleted_at');
+};
+
+/**
+ * Doktorun hastaneyi engelleyip engellemediğini kontrol eden alt sorgu
+ * @param {number} hospitalProfileId - Hastane profil ID'si
+ * @returns {Function} Knex alt sorgu fonksiyonu
+ */
+const blockedHospital = (hospitalProfileId) => function () {
+  this.select(db.raw(1))
+    .from('doctor_blocked_hospitals as dbh')
+    .whereRaw('dbh.doctor_profile_id = dp.id')
+    .where('dbh.hospital_profile_id', hospitalProfileId);
+};
+
+/**
+ * Engellenen hastane kaydını API formatına çevirir
+ * @param {Object} row - doctor_blocked_hospitals + hospital_profiles kaydı
+ * @returns {Object} Engellenen hastane
+ */
+const formatBlockedHospital = (row) => ({
+  hospital_id: row.hospital_id,
+  institution_name: row.institution_name,
+  city_name: row.city_name || null,
+  blocked_at: row.created_at
+});
+
+// ============================================================================
+// GİZLİLİK AYARLARI
+// ============================================================================
+
+/**
+ * Doktorun engellediği hastaneleri getirir
+ * @param {number} doctorProfileId - Doktor profil ID'si
+ * @returns {Promise<Array<Object>>} Engellenen hastaneler (yeniden eskiye)
+ */
+const listBlockedHospitals = async (doctorProfileId) => {
+  const rows = await db('doctor_blocked_hospitals as dbh')
+    .join('hospital_profiles as hp', 'dbh.hospital_profile_id', 'hp.id')
+    .leftJoin('cities as c', 'hp.city_id', 'c.id')
+    .where('dbh.doctor_profile_id', doctorProfileId)
+    .select(
+      'dbh.hospital_profile_id as hospital_id',
+      'hp.institution_name',
+      'c.name as city_name',
+      'dbh.created_at'
+    )
+    .orderBy('dbh.created_at', 'desc');
+
+  return rows.map(formatBlockedHospital);
+};
+
+/**
+ * Doktorun gizlilik ayarlarını getirir
+ * @param {number} userId - Doktor kullanıcı ID'si
+ * @returns {Promise<Object>} { profile_visibility, hide_phone, hide_email, blocked_hospitals }
+ */
+const getPrivacySettings = async (userId) => {
+  const profile = await db('doctor_profiles')
+    .where('user_id', userId)
+    .select('id', 'profile_visibility', 'hide_phone', 'hide_email')
+    .first();
+
+  if (!profile) {
+    throw new AppError('Profil bulunamadı', 404);
+  }
+
+  return {
+    profile_visibility: profile.profile_visibility || PROFILE_VISIBILITY.PUBLIC,
+    hide_phone: Boolean(profile.hide_phone),
+    hide_email: Boolean(profile.hide_email),
+    blocked_hospitals: await listBlockedHospitals(profile.id)
+  };
+};
+
+/**
+ * Doktorun görünürlük ve maskeleme ayarlarını günceller
+ * @param {number} userId - Doktor kullanıcı ID'si
+ * @param {Object} data - Güncellenecek alanlar
+ * @param {string} [data.profile_visibility] - public | applied_only | hidden
+ * @param {boolean} [data.hide_phone] - Telefonu başvuru yapılmamış hastanelerden gizle
+ * @param {boolean} [data.hide_email] - E-postayı başvuru yapılmamış hastanelerden gizle
+ * @returns {Promise<Object>} Güncel gizlilik ayarları
+ *
+ * @example
+ * await updatePrivacySettings(42, { profile_visibility: 'applied_only', hide_phone: true });
+ */
+const updatePrivacySettings = async (userId, data) => {
+  const doctorProfileId = await getDoctorProfileId(userId);
+
+  const updates = { updated_at: db.fn.now() };
+  if (data.profile_visibility !== undefined) updates.profile_visibility = data.profile_visibility;
+  if (data.hide_phone !== undefined) updates.hide_phone = Boolean(data.hide_phone);
+  if (data.hide_email !== undefined) updates.hide_email = Boolean(data.hide_email);
+
+  await db('doctor_profiles').where('id', doctorProfileId).update(updates);
+
+  return getPrivacySettings(userId);
+};
+
+/**
+ * Engellenecek hastaneyi kurum adına göre arar
+ * @description Yalnızca onaylı ve aktif hastaneler döner; zaten engellenenler hariç tutulur.
+ * @param {number} userId - Doktor kullanıcı ID'si
+ * @param {string} [search] - Kurum adı araması
+ * @returns {Promise<Array<Object>>} { hospital_id, institution_name, city_name }
+ */
+const searchHospitals = async (userId, search) => {
+  const doctorProfileId = await getDoctorProfileId(userId);
+
+  let query = db('hospital_profiles as hp')
+    .join('users as u', 'hp.user_id', 'u.id')
+    .leftJoin('cities as c', 'hp.city_id', 'c.id')
+    .where('u.is_approved', true)
+    .where('u.is_active', true)
+    .whereNotExists(function () {
+      this.select(db.raw(1))
+        .from('doctor_blocked_hospitals as dbh')
+        .whereRaw('dbh.hospital_profile_id = hp.id')
+        .where('dbh.doctor_profile_id', doctorProfileId);
+    });
+
+  const trimmedSearch = typeof search === 'string' ? search.trim() : '';
+  if (trimmedSearch) {
+    query = query.where('hp.institution_name', 'like', `%${trimmedSearch}%`);
+  }
+
+  return query
+    .select('hp.id as hospital_id', 'hp.institution_name', 'c.name as city_name')
+    .orderBy('hp.institution_name', 'asc')
+    .limit(HOSPITAL_SEARCH_LIMIT);
+};
+
+/**
+ * Hastaneyi engeller
+ * @param {number} userId - Doktor kullanıcı ID'si
+ * @param {number} hospitalProfileId - Engellenecek hastane profil ID'si
+ * @returns {Promise<Array<Object>>} Güncel engellenen hastaneler listesi
+ * @throws {AppError} Hastane bulunamazsa
+ */
+const blockHospital = async (userId, hospitalProfileId) => {
+  const doctorProfileId = await getDoctorProfileId(userId);
+
+  const hospital = await db('hospital_profiles').where('id', hospitalProfileId).select('id').first();
+  if (!hospital) {
+    throw new AppError('Hastane bulunamadı', 404);
+  }
+
+  const existing = await db('doctor_blocked_hospitals')
+    .where({ doctor_profile_id: doctorProfileId, hospital_profile_id: hospitalProfileId })
+    .first();
+
+  if (!existing) {
+    await db('doctor_blocked_hospitals').insert({
+      doctor_profile_id: doctorProfileId,
+      hospital_profile_id: hospitalProfileId,
+      created_at: db.fn.now()
+    });
+  }
+
+  return listBlockedHospitals(doctorProfileId);
+};
+
+/**
+ * Hastane engelini kaldırır
+ * @param {number} userId - Doktor kullanıcı ID'si
+ * @param {number} hospitalProfileId - Hastane profil ID'si
+ * @returns {Promise<Array<Object>>} Güncel engellenen hastaneler listesi
+ * @throws {AppError} Engel kaydı bulunamazsa
+ */
+const unblockHospital = async (userId, hospitalProfileId) => {
+  const doctorProfileId = await getDoctorProfileId(userId);
+
+  const deleted = await db('doctor_blocked_hospitals')
+    .where({ doctor_profile_id: doctorProfileId, hospital_profile_id: hospitalProfileId })
+    .del();
+
+  if (!deleted) {
+    throw new AppError('Engellenen hastane bulunamadı', 404);
+  }
+
+  return listBlockedHospitals(doctorProfileId);
+};
+
+// ============================================================================
+// HASTANE TARAFI ERİŞİM KURALLARI
+// ============================================================================
+
+/**
+ * Hastanenin doktor listesine görünürlük kurallarını uygular
+ * @description Dış sorguda doctor_profiles "dp" alias'ı ile kullanılmalıdır.
+ * hidden doktorlar ve hastaneyi engelleyen doktorlar listelenmez; applied_only
+ * doktorlar yalnızca başvuru yapılan hastaneye listelenir.
+ * @param {Object} query - Knex sorgusu
+ * @param {number} hospitalProfileId - Listeyi görüntüleyen hastane profil ID'si
+ * @returns {Object} Filtrelenmiş Knex sorgusu
+ */
+const applyHospitalListingRules = (query, hospitalProfileId) => query
+  .whereNot('dp.profile_visibility', PROFILE_VISIBILITY.HIDDEN)
+  .whereNotExists(blockedHospital(hospitalProfileId))
+  .where(function () {
+    this.where('dp.profile_visibility', PROFILE_VISIBILITY.PUBLIC)
+      .orWhereExists(appliedToHospital(hospitalProfileId));
+  });
+
+/**
+ * Doktor aramasında e-posta eşleşmesini gizlilik ayarına göre sınırlar
+ * @description E-postasını gizleyen doktor, başvuru yapmadığı hastanenin aramasında
+ * e-posta ile bulunamaz (aksi halde maskelenen e-posta tahmin edilebilir).
+ * @param {Object} builder - Knex where builder (orWhere içinde)
+ * @param {string} search - Arama terimi
+ * @param {number} hospitalProfileId - Arama yapan hastane profil ID'si
+ */
+const whereEmailSearchable = (builder, search, hospitalProfileId) => {
+  builder.where('u.email', 'like', `%${search}%`)
+    .andWhere(function () {
+      this.where('dp.hide_email', false)
+        .orWhereExists(appliedToHospital(hospitalProfileId));
+    });
+};
+
+/**
+ * Hastanenin doktor profil detayını açıp açamayacağını belirler
+ * @param {Object} doctorProfile - profile_visibility alanını içeren doktor profili
+ * @param {number} hospitalProfileId - Hastane profil ID'si
+ * @param {boolean} hasApplied - Doktor bu hastaneye başvurmuş mu
+ * @returns {Promise<boolean>} Erişim var mı
+ */
+const canHospitalViewProfile = async (doctorProfile, hospitalProfileId, hasApplied) => {
+  if (hasApplied) {
+    return true;
+  }
+
+  if ((doctorProfile.profile_visibility || PROFILE_VISIBILITY.PUBLIC) !== PROFILE_VISIBILITY.PUBLIC) {
+    return false;
+  }
+
+  const blocked = await db('doctor_blocked_hospitals')
+    .where({ doctor_profile_id: doctorProfile.id, hospital_profile_id: hospitalProfileId })
+    .first();
+
+  return !blocked;
+};
+
+/**
+ * Doktor kaydındaki iletişim bilgilerini gizlilik ayarına göre maskeler
+ * @description Başvuru yapılmamış hastanede hide_phone / hide_email açıksa alan null döner
+ * ve phone_hidden / email_hidden bayrağı eklenir. Ayar kolonları yanıttan çıkarılır.
+ * @param {Object} doctor - phone, email, hide_phone, hide_email alanlarını içeren kayıt
+ * @param {boolean} hasApplied - Doktor bu hastaneye başvurmuş mu
+ * @returns {Object} Maskelenmiş kayıt
+ */
+const maskContactFields = (doctor, hasApplied) => {
+  const { hide_phone, hide_email, profile_visibility, ...rest } = doctor;
+  const phoneHidden = !hasApplied && Boolean(hide_phone);
+  const emailHidden = !hasApplied && Boolean(hide_email);
+
+  return {
+    ...rest,
+    phone: phoneHidden ? null : rest.phone,
+    email: emailHidden ? null : rest.email,
+    phone_hidden: phoneHidden,
+    email_hidden: emailHidden
+  };
+};
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+  PROFILE_VISIBILITY,
+  getPrivacySettings,
+  updatePrivacySettings,
+  searchHospitals,
+  blockHospital,
+  unblockHospital,
+  applyHospitalListingRules,
+  whereEmailSearchable,
+  canHospitalViewProfile,
+  maskContactFields
+};
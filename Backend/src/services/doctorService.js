@@ -42,6 +42,10 @@ const fs = require('fs');
 const path = require('path');
 const { AppError } = require('../utils/errorHandler');
 const notificationService = require('./notificationService');
+const applicationPipelineService = require('./applicationPipelineService');
+const accountDeletionService = require('./accountDeletionService');
+const pdfService = require('./pdfService');
+const jobSearchService = require('./jobSearchService');
 const logger = require('../utils/logger');
 
 // ============================================================================
@@ -149,20 +153,72 @@ const getProfile = async (userId) => {
  * }
  */
 const getCompleteProfile = async (userId) => {
-  const profile = await db('doctor_profiles').where('user_id', userId).first();
+  // getProfile uzmanlık, şehir adları ve e-postayı da döner (CV için gerekli)
+  const profile = await getProfile(userId);
   if (!profile) return null;
 
-  // Paralel olarak tüm ilişkili verileri al (Soft delete kontrolü ile)
+  // Paralel olarak tüm ilişkili verileri lookup adlarıyla al (Soft delete kontrolü ile)
   const [educations, experiences, certificates, languages] = await Promise.all([
-    db('doctor_educations').where('doctor_profile_id', profile.id).whereNull('deleted_at').orderBy('graduation_year', 'desc'),
-    db('doctor_experiences').where('doctor_profile_id', profile.id).whereNull('deleted_at').orderBy('start_date', 'desc'),
+    db('doctor_educations as de')
+      .leftJoin('doctor_education_types as det', 'de.education_type_id', 'det.id')
+      .where('de.doctor_profile_id', profile.id)
+      .whereNull('de.deleted_at')
+      .select('de.*', 'det.name as education_type_name')
+      .orderBy('de.graduation_year', 'desc'),
+    db('doctor_experiences as dex')
+      .leftJoin('specialties as s', 'dex.specialty_id', 's.id')
+      .leftJoin('subspecialties as ss', 'dex.subspecialty_id', 'ss.id')
+      .where('dex.doctor_profile_id', profile.id)
+      .whereNull('dex.deleted_at')
+      .select('dex.*', 's.name as specialty_name', 'ss.name as subspecialty_name')
+      .orderBy('dex.start_date', 'desc'),
     db('doctor_certificates').where('doctor_profile_id', profile.id).whereNull('deleted_at').orderBy('certificate_year', 'desc'),
-    db('doctor_languages').where('doctor_profile_id', profile.id).whereNull('deleted_at').orderBy('level_id', 'desc')
+    db('doctor_languages as dl')
+      .leftJoin('languages as l', 'dl.language_id', 'l.id')
+      .leftJoin('language_levels as ll', 'dl.level_id', 'll.id')
+      .where('dl.doctor_profile_id', profile.id)
+      .whereNull('dl.deleted_at')
+      .select('dl.*', 'l.name as language_name', 'll.name as level_name')
+      .orderBy('dl.level_id', 'desc')
   ]);
 
   return { ...profile, educations, experiences, certificates, languages };
 };
 
+/**
+ * Doktorun kendi CV'sini PDF olarak üretir
+ * @description getCompleteProfile verisinden (eğitim, deneyim, sertifika, dil ve onaylı
+ * profil fotoğrafı) seçilen şablon ve dilde PDF oluşturur.
+ * @param {number} userId - Kullanıcının ID'si (users.id)
+ * @param {Object} [options]
+ * @param {string} [options.template] - classic | compact
+ * @param {string} [options.lang] - tr | en
+ * @returns {Promise<{pdf: Buffer, fileName: string}>} PDF ve indirme dosya adı
+ * @throws {AppError} Profil bulunamazsa
+ * 
+ * @example
+ * const { pdf, fileName } = await generateCvPdf(123, { template: 'compact', lang: 'en' });
+ */
+const generateCvPdf = async (userId, options = {}) => {
+  const profile = await getCompleteProfile(userId);
+  if (!profile) {
+    throw new AppError('Profil bulunamadı', 404);
+  }
+
+  const pdf = await pdfService.generateDoctorCvPDF(pdfService.buildDoctorCvData(profile), options);
+
+  // Dosya adında yalnızca ASCII karakterler (Content-Disposition uyumluluğu)
+  const namePart = `${profile.first_name || ''}-${profile.last_name || ''}`
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/ı/g, 'i')
+    .replace(/İ/g, 'I')
+    .replace(/[^a-zA-Z0-9-]/g, '')
+    .toLowerCase();
+
+  return { pdf, fileName: `cv-${namePart || profile.id}.pdf` };
+};
+
 /**
  * Doktorun kişisel profil bilgilerini günceller
  * @description Doktorun temel kişisel bilgilerini (ad, soyad, telefon, doğum tarihi vb.) günceller
@@ -1671,6 +1727,21 @@ const withdrawApplication = async (applicationId, doctorProfileId, reason = '')
         updated_at: db.fn.now()
       });
 
+    const doctorProfile = await trx('doctor_profiles')
+      .where('id', doctorProfileId)
+      .select('user_id')
+      .first();
+
+    await applicationPipelineService.recordStatusChange(trx, {
+      applicationId,
+      fromStatusId: application.status_id,
+      toStatusId: 5,
+      fromStageId: application.pipeline_stage_id,
+      changedBy: doctorProfile?.user_id,
+      changedByRole: 'doctor',
+      note: reason || null
+    });
+
     // Güncellenmiş başvuruyu getir (transaction içinde)
     const applicationData = await trx('applications')
       .where('id', applicationId)
@@ -1911,16 +1982,17 @@ const getDoctorRecentApplications = async (doctorProfileId, limit = 5) => {
  * @param {string} [filters.specialty] - Uzmanlık alanı
  * @param {string} [filters.city] - Şehir
  * @param {string} [filters.hospital] - Hastane adı
- * @param {string} [filters.search] - Arama terimi
+ * @param {string} [filters.search] - Arama terimi (jobSearchService; sonuçlar alaka skoruna göre sıralanır)
  * @param {number} [filters.page=1] - Sayfa numarası
  * @param {number} [filters.limit=10] - Sayfa başına kayıt sayısı
+ * @param {number|null} [doctorProfileId=null] - Verilirse ilanlara is_favorite eklenir
  * @returns {Promise<Object>} İş ilanları ve sayfalama bilgileri
  * @throws {AppError} Veritabanı hatası durumunda
  * 
  * @example
  * const jobs = await getJobs({ specialty: 'Kardiyoloji', city: 'İstanbul' });
  */
-const getJobs = async (filters = {}) => {
+const getJobs = async (filters = {}, doctorProfileId = null) => {
   const {
     // ID bazlı filtreler (öncelikli)
     city_id,
@@ -2045,12 +2117,11 @@ const getJobs = async (filters = {}) => {
     query = query.where('j.created_at', '<=', endDateWithTime);
   }
 
-  // Arama (sadece ilan başlığı ve hastane)
-  if (search) {
-    query = query.where(function() {
-      this.where('j.title', 'like', `%${search}%`)
-          .orWhere('hp.institution_name', 'like', `%${search}%`);
-    });
+  // Arama - jobSearchService indeksi (başlık, açıklama, hastane, şehir, branş; Türkçe duyarlı)
+  const searchResult = search ? await jobSearchService.searchJobIds(search) : null;
+  const searchMatches = searchResult ? searchResult.matches : null;
+  if (searchMatches) {
+    jobSearchService.joinSearchResults(query, searchMatches);
   }
 
   // Toplam kayıt sayısı - ayrı query ile
@@ -2136,23 +2207,27 @@ const getJobs = async (filters = {}) => {
     countQuery.where('j.created_at', '<=', endDateWithTime);
   }
 
-  if (search) {
-    countQuery.where(function() {
-      this.where('j.title', 'like', `%${search}%`)
-          .orWhere('hp.institution_name', 'like', `%${search}%`);
-    });
+  if (searchMatches) {
+    jobSearchService.joinSearchResults(countQuery, searchMatches);
   }
 
   const totalResult = await countQuery.count('* as total').first();
   const total = parseInt(totalResult.total);
 
+  // Arama yapıldıysa en alakalı ilanlar önce, eşitlikte en yeni ilanlar önce
+  if (searchMatches && searchMatches.length > 0) {
+    jobSearchService.orderByRelevance(query);
+  }
+
   // SQL seviyesinde sayfalama (100k veri için kritik!)
   // Knex, SQL Server için OFFSET/FETCH sözdizimini otomatik kullanır
-  const jobs = await query
+  const rows = await query
     .orderBy('j.created_at', 'desc')
     .limit(limit)
     .offset(offset);
 
+  const jobs = await attachFavoriteFlags(rows, doctorProfileId);
+
   return {
     jobs,
     pagination: {
@@ -2161,7 +2236,9 @@ const getJobs = async (filters = {}) => {
       total,
       total_pages: Math.ceil(total / limit),
       has_next: page < Math.ceil(total / limit),
-      has_prev: page > 1
+      has_prev: page > 1,
+      // Arama çok fazla ilanla eşleştiyse yalnızca en alakalı JOB_SEARCH.MAX_RESULTS ilan listelenir
+      truncated: Boolean(searchResult?.truncated)
     }
   };
 };
@@ -2239,6 +2316,14 @@ const getJobById = async (id, doctorProfileId = null) => {
       job.active_application_status_id = activeApplication.status_id;
       job.active_application_status = activeApplication.status_name;
     }
+
+    const favorite = await db('doctor_favorite_jobs')
+      .select('id')
+      .where({ doctor_profile_id: doctorProfileId, job_id: id })
+      .first();
+    job.is_favorite = !!favorite;
+  } else {
+    job.is_favorite = false;
   }
 
   return job;
@@ -2322,6 +2407,221 @@ const resolveHospitalId = async (hospital) => {
   return hospitalRecord ? hospitalRecord.id : null;
 };
 
+// ============================================================================
+// FAVORİ (KAYDEDİLEN) İLANLAR
+// ============================================================================
+
+/**
+ * İlan listesine favori bilgisini ekle
+ * @description Verilen ilanlar için doktorun favori kaydı olup olmadığını tek sorguda bulur
+ * ve her ilana `is_favorite` alanını ekler. Web ve mobil listeler ortak kullanır.
+ * @param {Array<Object>} jobs - İş ilanları (id alanı zorunlu)
+ * @param {number|null} doctorProfileId - Doktor profili kimliği
+ * @returns {Promise<Array<Object>>} is_favorite alanı eklenmiş ilanlar
+ */
+const attachFavoriteFlags = async (jobs, doctorProfileId) => {
+  if (!jobs || jobs.length === 0) {
+    return jobs;
+  }
+
+  if (!doctorProfileId) {
+    return jobs.map(job => ({ ...job, is_favorite: false }));
+  }
+
+  const jobIds = jobs.map(job => job.id);
+  const favorites = await db('doctor_favorite_jobs')
+    .select('job_id')
+    .where('doctor_profile_id', doctorProfileId)
+    .whereIn('job_id', jobIds);
+
+  const favoriteSet = new Set(favorites.map(f => f.job_id));
+
+  return jobs.map(job => ({
+    ...job,
+    is_favorite: favoriteSet.has(job.id)
+  }));
+};
+
+/**
+ * İlanı favorilere ekle
+ * @description Doktorun aktif bir iş ilanını kaydetmesini sağlar. İlan zaten kayıtlıysa
+ * mevcut kayıt döndürülür (idempotent).
+ * @param {number} doctorProfileId - Doktor profili kimliği
+ * @param {number} jobId - İş ilanı kimliği
+ * @returns {Promise<Object>} Favori kaydı
+ * @throws {AppError} İlan bulunamadı veya aktif değil
+ *
+ * @example
+ * const favorite = await addFavoriteJob(12, 345);
+ */
+const addFavoriteJob = async (doctorProfileId, jobId) => {
+  const job = await db('jobs')
+    .select('id')
+    .where('id', jobId)
+    .where('status_id', 3) // Sadece onaylanmış (aktif) ilanlar kaydedilebilir
+    .whereNull('deleted_at')
+    .first();
+
+  if (!job) {
+    throw new AppError('İş ilanı bulunamadı', 404);
+  }
+
+  const existing = await db('doctor_favorite_jobs')
+    .where({ doctor_profile_id: doctorProfileId, job_id: jobId })
+    .first();
+
+  if (existing) {
+    return existing;
+  }
+
+  const [favorite] = await db('doctor_favorite_jobs')
+    .insert({
+      doctor_profile_id: doctorProfileId,
+      job_id: jobId,
+      created_at: db.fn.now()
+    })
+    .returning(['id', 'doctor_profile_id', 'job_id', 'created_at', 'expired_at']);
+
+  logger.info(`Job ${jobId} added to favorites by doctor profile ${doctorProfileId}`);
+
+  return favorite;
+};
+
+/**
+ * İlanı favorilerden çıkar
+ * @description Doktorun kaydettiği ilanı favorilerinden kaldırır. Süresi dolmuş ilanlar da
+ * bu yolla listeden temizlenir.
+ * @param {number} doctorProfileId - Doktor profili kimliği
+ * @param {number} jobId - İş ilanı kimliği
+ * @returns {Promise<boolean>} Silme başarılı mı
+ * @throws {AppError} Favori kaydı bulunamadı
+ */
+const removeFavoriteJob = async (doctorProfileId, jobId) => {
+  const deleted = await db('doctor_favorite_jobs')
+    .where({ doctor_profile_id: doctorProfileId, job_id: jobId })
+    .del();
+
+  if (!deleted) {
+    throw new AppError('Kaydedilen ilan bulunamadı', 404);
+  }
+
+  return true;
+};
+
+/**
+ * Doktorun kaydettiği ilanları getir
+ * @description Favori ilanları kaydedilme tarihine göre (yeniden eskiye) sayfalı getirir.
+ * Pasife alınmış ilanlar listeden düşmez; `is_expired: true` ile işaretlenir.
+ * Silinmiş ilanlar listelenmez.
+ * @param {number} doctorProfileId - Doktor profili kimliği
+ * @param {Object} [options={}] - Sayfalama parametreleri
+ * @param {number} [options.page=1] - Sayfa numarası
+ * @param {number} [options.limit=10] - Sayfa başına kayıt sayısı
+ * @returns {Promise<Object>} Kaydedilen ilanlar ve sayfalama bilgileri
+ *
+ * @example
+ * const { jobs, pagination } = await getFavoriteJobs(12, { page: 1, limit: 20 });
+ */
+const getFavoriteJobs = async (doctorProfileId, options = {}) => {
+  const page = parseInt(options.page) || 1;
+  const limit = parseInt(options.limit) || 10;
+  const offset = (page - 1) * limit;
+
+  const baseQuery = db('doctor_favorite_jobs as f')
+    .innerJoin('jobs as j', 'f.job_id', 'j.id')
+    .where('f.doctor_profile_id', doctorProfileId)
+    .whereNull('j.deleted_at');
+
+  const totalResult = await baseQuery.clone().count('* as total').first();
+  const total = parseInt(totalResult?.total) || 0;
+
+  const rows = await baseQuery.clone()
+    .select([
+      'j.*',
+      'f.created_at as favorited_at',
+      'f.expired_at as favorite_expired_at',
+      'hp.institution_name as hospital_name',
+      'hp.logo as hospital_logo',
+      'hc.name as hospital_city',
+      'c.name as city',
+      's.name as specialty_name',
+      'ss.name as subspecialty_name',
+      'js.name as status_name'
+    ])
+    .leftJoin('hospital_profiles as hp', 'j.hospital_id', 'hp.id')
+    .leftJoin('cities as hc', 'hp.city_id', 'hc.id')
+    .leftJoin('cities as c', 'j.city_id', 'c.id')
+    .leftJoin('specialties as s', 'j.specialty_id', 's.id')
+    .leftJoin('subspecialties as ss', 'j.subspecialty_id', 'ss.id')
+    .leftJoin('job_statuses as js', 'j.status_id', 'js.id')
+    .orderBy('f.created_at', 'desc')
+    .limit(limit)
+    .offset(offset);
+
+  // İlan tekrar onaylanırsa (status_id = 3) kayıt yeniden aktif sayılır
+  const jobs = rows.map(({ favorite_expired_at, ...job }) => {
+    const isExpired = job.status_id !== 3;
+    return {
+      ...job,
+      is_favorite: true,
+      is_expired: isExpired,
+      expired_at: isExpired ? favorite_expired_at : null
+    };
+  });
+
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    jobs,
+    pagination: {
+      current_page: page,
+      per_page: limit,
+      total,
+      total_pages: totalPages,
+      has_next: page < totalPages,
+      has_prev: page > 1
+    }
+  };
+};
+
+/**
+ * Süresi dolan ilanların favori kayıtlarını işaretle
+ * @description jobExpirationCron ilanları pasife aldığında çağrılır. Kayıtlar silinmez,
+ * sadece expired_at doldurulur; böylece doktor "Kaydedilenler" listesinde ilanın süresinin
+ * dolduğunu görür.
+ * @param {Array<number>} jobIds - Pasife alınan ilan ID'leri
+ * @returns {Promise<number>} Güncellenen favori kaydı sayısı
+ */
+const markFavoriteJobsExpired = async (jobIds) => {
+  if (!jobIds || jobIds.length === 0) {
+    return 0;
+  }
+
+  return db('doctor_favorite_jobs')
+    .whereIn('job_id', jobIds)
+    .whereNull('expired_at')
+    .update({ expired_at: db.fn.now() });
+};
+
+/**
+ * Tekrar yayına alınan ilanların favori kayıtlarındaki "süresi doldu" işaretini kaldırır
+ * @description İlan Onaylandı (status_id = 3) durumuna döndüğünde çağrılır (hastane renewJob /
+ * updateJobStatus, admin approveJob / updateJobStatus). Aksi halde ilan sonradan tekrar dolduğunda
+ * markFavoriteJobsExpired eski tarihi korur ve listede yanlış bitiş tarihi görünür.
+ * @param {Array<number>} jobIds - Yayına alınan ilan ID'leri
+ * @returns {Promise<number>} Güncellenen favori kaydı sayısı
+ */
+const clearFavoriteJobsExpired = async (jobIds) => {
+  if (!jobIds || jobIds.length === 0) {
+    return 0;
+  }
+
+  return db('doctor_favorite_jobs')
+    .whereIn('job_id', jobIds)
+    .whereNotNull('expired_at')
+    .update({ expired_at: null });
+};
+
 // ============================================================================
 // FOTOĞRAF ONAY SİSTEMİ
 // ============================================================================
@@ -2453,15 +2753,20 @@ const cancelPhotoRequest = async (userId) => {
 
 /**
  * Doktor hesabını siler (pasif hale getirir)
- * @description Doktorun hesabını pasife alır ve oturumlarını sonlandırır
+ * @description Doktorun hesabını pasife alır, oturumlarını sonlandırır ve kişisel verilerin
+ * anonimleştirileceği tarihi planlar (accountDeletionService). Bu tarihe kadar giriş yapılırsa hesap geri açılır.
  * @param {number} userId - Kullanıcının ID'si (users.id)
- * @returns {Promise<boolean>} İşlem durumu
+ * @param {Object} [context] - { ipAddress, userAgent } (audit log için)
+ * @returns {Promise<{deletion_scheduled_at: Date}>} Anonimleştirme tarihi
  * @throws {AppError} Kullanıcı bulunamadığında veya hesap zaten pasif olduğunda
  */
-const deactivateAccount = async (userId) => {
+const deactivateAccount = async (userId, context = {}) => {
   try {
+    const deletionScheduledAt = await accountDeletionService.calculateDeletionDate();
+    let user;
+
     await db.transaction(async (trx) => {
-      const user = await trx('users').where('id', userId).first();
+      user = await trx('users').where('id', userId).first();
       if (!user) {
         throw new AppError('Kullanıcı bulunamadı', 404);
       }
@@ -2474,13 +2779,16 @@ const deactivateAccount = async (userId) => {
         .where('id', userId)
         .update({
           is_active: false,
+          deletion_scheduled_at: deletionScheduledAt,
           updated_at: trx.fn.now()
         });
 
       await trx('refresh_tokens').where('user_id', userId).del();
     });
 
-    return true;
+    await accountDeletionService.recordDeletionScheduled(user, deletionScheduledAt, context);
+
+    return { deletion_scheduled_at: deletionScheduledAt };
   } catch (error) {
     if (error instanceof AppError) {
       throw error;
@@ -2498,6 +2806,7 @@ module.exports = {
   updateProfile,
   getProfile,
   getCompleteProfile,
+  generateCvPdf,
   updatePersonalInfo,
   getEducations,
   addEducation,
@@ -2539,6 +2848,14 @@ module.exports = {
   resolveStatusId,
   resolveHospitalId,
   
+  // Favori (kaydedilen) ilanlar
+  attachFavoriteFlags,
+  addFavoriteJob,
+  removeFavoriteJob,
+  getFavoriteJobs,
+  markFavoriteJobsExpired,
+  clearFavoriteJobsExpired,
+  
   // Fotoğraf onay sistemi
   requestProfilePhotoChange,
   getMyPhotoRequestStatus,
@@ -0,0 +1,399 @@
+/**
+ * @file emailNotificationService.js
+ * @description E-posta bildirim kanalı - Uygulama içi bildirimlerin e-posta karşılığını yönetir.
+ * Mobil uygulamayı kaldıran veya web'e girmeyen kullanıcıların başvuru sonuçlarından
+ * haberdar olması için notificationService bu servisi kullanır. Kullanıcının kategori için
+ * e-posta kanalını açık tutup tutmadığı notificationPreferenceService'te kontrol edilir.
+ *
+ * Ana İşlevler:
+ * - İmzalı token ile tek tıkla abonelikten çıkma (kategorinin e-posta kanalını kapatır, oturum gerektirmez)
+ * - Bildirim e-postasını templates/email/notification.html ile oluşturup sıraya alma
+ * - Sıradaki e-postaları sendMailWithRetry ile gönderme (emailQueueCron)
+ *
+ * Kuyruk Mantığı:
+ * - pending: Gönderilmeyi bekliyor (next_attempt_at geldiğinde)
+ * - sending: Cron tarafından alındı (aynı kaydın iki kez gönderilmesini engeller)
+ * - sent: Gönderildi
+ * - failed: MAX_QUEUE_ATTEMPTS deneme sonunda gönderilemedi
+ *
+ * Veritabanı Tabloları:
+ * - email_queue: Gönderilecek e-postalar
+ * - users / doctor_profiles / hospital_profiles: Alıcı adresi ve adı
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+// ============================================================================
+// DIŞ BAĞIMLILIKLAR
+// ============================================================================
+
+const crypto = require('crypto');
+const db = require('../config/dbConfig').db;
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const emailService = require('../utils/emailService');
+const notificationPreferenceService = require('./notificationPreferenceService');
+
+// ============================================================================
+// SABİTLER
+// ============================================================================
+
+const { NOTIFICATION_CATEGORIES } = notificationPreferenceService;
+
+/**
+ * Kategori tanıtılmadan önce üretilmiş token'lardaki tür → kategori eşlemesi
+ * (gönderilmiş e-postalardaki bağlantılar çalışmaya devam etmelidir)
+ * @type {Object<string, string>}
+ */
+const LEGACY_EMAIL_TYPES = {
+  new_application: 'application_status'
+};
+
+/**
+ * Bir e-posta için en fazla gönderim denemesi (her denemede sendMailWithRetry kendi retry'ını da yapar)
+ * @type {number}
+ */
+const MAX_QUEUE_ATTEMPTS = 5;
+
+/**
+ * Başarısız denemeden sonra ilk bekleme süresi (dakika, her denemede iki katına çıkar)
+ * @type {number}
+ */
+const RETRY_BASE_MINUTES = 5;
+
+/**
+ * Cron çalışması başına gönderilecek en fazla e-posta
+ * @type {number}
+ */
+const QUEUE_BATCH_SIZE = 20;
+
+// ============================================================================
+// YARDIMCI FONKSİYONLAR
+// ============================================================================
+
+/**
+ * Abonelikten çıkma token'larını imzalamak için kullanılan anahtar
+ * @returns {string}
+ */
+const getUnsubscribeSecret = () => {
+  const secret = process.env.EMAIL_UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new AppError('Abonelikten çıkma anahtarı tanımlı değil', 500);
+  }
+  return secret;
+};
+
+/**
+ * Token gövdesini imzalar
+ * @param {string} payload - base64url kodlu gövde
+ * @returns {string}
+ */
+const signPayload = (payload) => {
+  return crypto.createHmac('sha256', getUnsubscribeSecret()).update(payload).digest('base64url');
+};
+
+/**
+ * Template değişkenlerini HTML'e güvenli hale getirir (template engine kaçış yapmaz)
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Alıcının e-posta adresi, rolü ve görünen adı
+ * @param {number} userId
+ * @returns {Promise<Object|undefined>}
+ */
+const getRecipient = async (userId) => {
+  return await db('users as u')
+    .leftJoin('doctor_profiles as dp', 'dp.user_id', 'u.id')
+    .leftJoin('hospital_profiles as hp', 'hp.user_id', 'u.id')
+    .where('u.id', userId)
+    .select(
+      'u.id',
+      'u.email',
+      'u.role',
+      'u.is_active',
+      'dp.title as doctor_title',
+      'dp.first_name',
+      'dp.last_name',
+      'hp.institution_name'
+    )
+    .first();
+};
+
+/**
+ * Alıcının e-postada görünen adı
+ * @param {Object} recipient
+ * @returns {string|null}
+ */
+const buildRecipientName = (recipient) => {
+  if (recipient.role === 'hospital') {
+    return recipient.institution_name || null;
+  }
+  const name = [recipient.doctor_title, recipient.first_name, recipient.last_name].filter(Boolean).join(' ');
+  return name || null;
+};
+
+// ============================================================================
+// ABONELİKTEN ÇIKMA TOKEN'LARI
+// ============================================================================
+
+/**
+ * Kullanıcı ve bildirim kategorisi için abonelikten çıkma token'ı üretir
+ * Token süresizdir; e-postadaki bağlantı her zaman çalışmalıdır.
+ * @param {number} userId
+ * @param {string} category - NOTIFICATION_CATEGORIES anahtarı
+ * @returns {string} `<payload>.<imza>` formatında token
+ */
+const createUnsubscribeToken = (userId, category) => {
+  const payload = Buffer.from(JSON.stringify({ u: userId, t: category })).toString('base64url');
+  return `${payload}.${signPayload(payload)}`;
+};
+
+/**
+ * Abonelikten çıkma token'ını doğrular
+ * @param {string} token
+ * @returns {{userId: number, category: string}}
+ * @throws {AppError} Token geçersizse
+ */
+const verifyUnsubscribeToken = (token) => {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) {
+    throw new AppError('Geçersiz abonelikten çıkma bağlantısı', 400);
+  }
+
+  const expected = Buffer.from(signPayload(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new AppError('Geçersiz abonelikten çıkma bağlantısı', 400);
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    throw new AppError('Geçersiz abonelikten çıkma bağlantısı', 400);
+  }
+
+  const category = LEGACY_EMAIL_TYPES[decoded?.t] || decoded?.t;
+  if (!Number.isInteger(decoded?.u) || !NOTIFICATION_CATEGORIES[category]) {
+    throw new AppError('Geçersiz abonelikten çıkma bağlantısı', 400);
+  }
+
+  return { userId: decoded.u, category };
+};
+
+// ============================================================================
+// ABONELİKTEN ÇIKMA
+// ============================================================================
+
+/**
+ * Token ile abonelikten çıkar (oturum gerektirmez)
+ * Yalnızca ilgili kategorinin e-posta kanalı kapanır; uygulama içi ve push bildirimleri sürer.
+ * @param {string} token
+ * @returns {Promise<{category: string, label: string}>}
+ * @throws {AppError} Token geçersizse veya kullanıcı bulunamazsa
+ */
+const unsubscribeByToken = async (token) => {
+  const { userId, category } = verifyUnsubscribeToken(token);
+
+  const user = await db('users').where('id', userId).select('id').first();
+  if (!user) {
+    throw new AppError('Kullanıcı bulunamadı', 404);
+  }
+
+  await notificationPreferenceService.setChannel(userId, category, 'email', false);
+  logger.info('[Email Notification] Abonelikten çıkıldı', { userId, category });
+
+  return { category, label: NOTIFICATION_CATEGORIES[category].label };
+};
+
+// ============================================================================
+// SIRAYA ALMA
+// ============================================================================
+
+/**
+ * Bildirim e-postasını sıraya alır
+ * Kanal tercihi çağıran tarafta (notificationService) kontrol edilir; burada yalnızca
+ * hesap pasifse veya e-posta adresi yoksa sıraya alınmaz.
+ * @param {number} userId - Alıcı user ID'si
+ * @param {string} category - NOTIFICATION_CATEGORIES anahtarı
+ * @param {Object} content - E-posta içeriği
+ * @param {string} content.subject - Konu
+ * @param {string} content.title - Başlık
+ * @param {string} content.message - Ana metin
+ * @param {string} [content.note] - Ek not (örn. hastane notu)
+ * @param {string} [content.actionPath] - Web uygulamasındaki hedef yol (örn. /doctor/applications/12)
+ * @param {string} [content.actionLabel='Detayları Görüntüle'] - Buton metni
+ * @returns {Promise<{queued: boolean, reason?: string, id?: number}>}
+ */
+const queueNotificationEmail = async (userId, category, content) => {
+  if (!NOTIFICATION_CATEGORIES[category]) {
+    throw new AppError(`Geçersiz bildirim kategorisi: ${category}`, 400);
+  }
+
+  const recipient = await getRecipient(userId);
+  if (!recipient || !recipient.email || !recipient.is_active) {
+    return { queued: false, reason: 'recipient_unavailable' };
+  }
+
+  const name = buildRecipientName(recipient);
+  const token = createUnsubscribeToken(userId, category);
+  const unsubscribeLink = emailService.buildUnsubscribeLink(token);
+  const websiteUrl = process.env.APP_WEB_URL || process.env.FRONTEND_URL || 'https://medikariyer.com';
+  const actionUrl = content.actionPath ? `${websiteUrl}${content.actionPath}` : '';
+  const actionLabel = content.actionLabel || 'Detayları Görüntüle';
+  const typeLabel = NOTIFICATION_CATEGORIES[category].label;
+
+  const text = [
+    `Merhaba${name ? ' ' + name : ''},`,
+    '',
+    content.message,
+    content.note ? `\nNot: ${content.note}` : '',
+    actionUrl ? `\n${actionLabel}: ${actionUrl}` : '',
+    '',
+    'Saygılarımızla,',
+    'MediKariyer Ekibi',
+    '',
+    `"${typeLabel}" e-postalarını almak istemiyorsanız: ${unsubscribeLink}`
+  ].filter((line) => line !== '').join('\n');
+
+  const html = emailService.buildEmailHtml('notification', {
+    subject: escapeHtml(content.subject),
+    title: escapeHtml(content.title),
+    name: escapeHtml(name),
+    message: escapeHtml(content.message),
+    note: escapeHtml(content.note),
+    actionUrl: escapeHtml(actionUrl),
+    actionLabel: escapeHtml(actionLabel),
+    typeLabel: escapeHtml(typeLabel),
+    unsubscribeLink: escapeHtml(unsubscribeLink)
+  });
+
+  const [inserted] = await db('email_queue')
+    .insert({
+      user_id: userId,
+      email_type: category,
+      to_email: recipient.email,
+      subject: content.subject,
+      text_body: text,
+      html_body: html,
+      headers_json: JSON.stringify(emailService.buildUnsubscribeHeaders(token))
+    })
+    .returning('id');
+
+  return { queued: true, id: inserted?.id ?? inserted };
+};
+
+// ============================================================================
+// KUYRUK İŞLEME (CRON)
+// ============================================================================
+
+/**
+ * Zamanı gelen bekleyen e-postaları gönderir
+ * Kayıtlar önce 'sending' durumuna alınır; böylece uzun süren bir gönderim sırasında
+ * bir sonraki cron çalışması aynı kaydı tekrar almaz.
+ * @param {Object} [options]
+ * @param {number} [options.limit=QUEUE_BATCH_SIZE]
+ * @returns {Promise<{processed: number, sent: number, failed: number, retried: number}>}
+ */
+const processEmailQueue = async ({ limit = QUEUE_BATCH_SIZE } = {}) => {
+  const due = await db('email_queue')
+    .where('status', 'pending')
+    .where('next_attempt_at', '<=', db.fn.now())
+    .orderBy('next_attempt_at', 'asc')
+    .limit(limit)
+    .select('id');
+
+  const summary = { processed: 0, sent: 0, failed: 0, retried: 0 };
+
+  for (const { id } of due) {
+    // Başka bir çalışma aynı kaydı aldıysa atla
+    const claimed = await db('email_queue')
+      .where({ id, status: 'pending' })
+      .update({ status: 'sending', next_attempt_at: db.fn.now() });
+    if (!claimed) continue;
+
+    const email = await db('email_queue').where('id', id).first();
+    summary.processed += 1;
+
+    try {
+      await emailService.sendMailWithRetry({
+        to: email.to_email,
+        subject: email.subject,
+        text: email.text_body,
+        html: email.html_body || undefined,
+        headers: email.headers_json ? JSON.parse(email.headers_json) : undefined
+      });
+
+      await db('email_queue')
+        .where('id', id)
+        .update({ status: 'sent', attempts: email.attempts + 1, sent_at: db.fn.now(), last_error: null });
+      summary.sent += 1;
+    } catch (error) {
+      const attempts = email.attempts + 1;
+      const exhausted = attempts >= MAX_QUEUE_ATTEMPTS;
+      const delayMinutes = RETRY_BASE_MINUTES * Math.pow(2, attempts - 1);
+
+      await db('email_queue')
+        .where('id', id)
+        .update({
+          status: exhausted ? 'failed' : 'pending',
+          attempts,
+          last_error: String(error.message || error).slice(0, 1000),
+          next_attempt_at: exhausted ? email.next_attempt_at : new Date(Date.now() + delayMinutes * 60 * 1000)
+        });
+
+      if (exhausted) {
+        summary.failed += 1;
+        logger.error('[Email Notification] E-posta gönderilemedi, deneme sınırı aşıldı', {
+          id,
+          to: email.to_email,
+          attempts,
+          error: error.message
+        });
+      } else {
+        summary.retried += 1;
+      }
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Sunucu beklenmedik kapandığında 'sending' durumunda kalan kayıtları tekrar sıraya alır
+ * @param {number} [staleMinutes=15] - Bu süreden eski 'sending' kayıtları
+ * @returns {Promise<number>} Sıraya geri alınan kayıt sayısı
+ */
+const requeueStaleEmails = async (staleMinutes = 15) => {
+  return await db('email_queue')
+    .where('status', 'sending')
+    .where('next_attempt_at', '<', new Date(Date.now() - staleMinutes * 60 * 1000))
+    .update({ status: 'pending' });
+};
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+  unsubscribeByToken,
+  createUnsubscribeToken,
+  queueNotificationEmail,
+  processEmailQueue,
+  requeueStaleEmails
+};
@@ -0,0 +1,474 @@
+/**
+ * @file hospitalMemberService.js
+ * @description Hastane ekip servisi - Bir hastane profiline birden fazla kullanıcının (ekip üyesi)
+ * kendi hesabıyla erişmesini sağlar.
+ *
+ * Ana İşlevler:
+ * - Kullanıcının üyeliğinden hastane profilinin çözülmesi (tüm hastane servisleri bunu kullanır)
+ * - Ekip listesi, e-posta ile davet, davet iptali
+ * - Üye rolünü değiştirme ve üyeyi ekipten çıkarma
+ * - Davetin önizlenmesi ve şifre belirlenerek kabul edilmesi (public)
+ *
+ * Roller:
+ * - owner: Profili kaydeden hesap; ekip ve kurum profilini yönetir (hospital_profiles.user_id)
+ * - recruiter: İlan ve başvuru işlemlerini yapar
+ * - viewer: Yalnızca görüntüler
+ *
+ * Veritabanı Tabloları:
+ * - hospital_members: Üyelikler (kullanıcı başına tek hastane)
+ * - hospital_member_invitations: Bekleyen / kabul edilmiş davetler (token_hash)
+ * - users: Üye hesapları (role = 'hospital')
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+// ============================================================================
+// DIŞ BAĞIMLILIKLAR
+// ============================================================================
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('../config/dbConfig').db;
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const LogService = require('./logService');
+const emailService = require('../utils/emailService');
+const {
+  HOSPITAL_MEMBER_ROLES,
+  HOSPITAL_MEMBER_ROLE_LABELS,
+  HOSPITAL_INVITATION
+} = require('../config/appConstants');
+
+// ============================================================================
+// YARDIMCI FONKSİYONLAR
+// ============================================================================
+
+const hashInvitationToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+const normalizeEmail = (email) => (email ? email.trim().toLowerCase() : '');
+
+/**
+ * Kullanıcının hastane üyeliğini getirir
+ * @description Sahip hesabın durumu da döner; sahip pasifleştirilirse ekip de erişemez
+ * @param {number} userId - users.id
+ * @param {Object} [trx=db] - Knex transaction
+ * @returns {Promise<Object|undefined>} { id, hospital_profile_id, role, full_name, owner_user_id,
+ * institution_name, owner_is_active, owner_is_approved }
+ */
+const getMembership = (userId, trx = db) => {
+  return trx('hospital_members as hm')
+    .join('hospital_profiles as hp', 'hm.hospital_profile_id', 'hp.id')
+    .join('users as owner', 'hp.user_id', 'owner.id')
+    .where('hm.user_id', userId)
+    .select(
+      'hm.id',
+      'hm.hospital_profile_id',
+      'hm.role',
+      'hm.full_name',
+      'hp.user_id as owner_user_id',
+      'hp.institution_name',
+      'owner.is_active as owner_is_active',
+      'owner.is_approved as owner_is_approved'
+    )
+    .first();
+};
+
+/**
+ * Hastane kullanıcısının aktif bir ekibe bağlı olduğunu doğrular
+ * @description Girişte ve her istekte (authMiddleware) çağrılır; sahip hesap pasifleştirilir
+ * veya onayı kaldırılırsa ekip üyeleri de erişemez
+ * @param {number} userId - users.id
+ * @returns {Promise<Object>} getMembership sonucu
+ * @throws {AppError} 403 - Üyelik yoksa veya kurum hesabı pasif / onaysızsa
+ */
+const assertActiveMembership = async (userId) => {
+  const membership = await getMembership(userId);
+
+  if (!membership) {
+    throw new AppError('Hesabınız bir kurum ekibine bağlı değil', 403);
+  }
+  if (membership.owner_is_active === false || !membership.owner_is_approved) {
+    throw new AppError('Kurum hesabı pasif durumda veya admin onayını bekliyor', 403);
+  }
+
+  return membership;
+};
+
+/**
+ * Kullanıcının üyesi olduğu hastane profilinin ID'sini getirir
+ * @param {number} userId - users.id
+ * @param {Object} [trx=db] - Knex transaction
+ * @returns {Promise<number>} hospital_profiles.id
+ * @throws {AppError} 404 - Kullanıcı bir hastanenin üyesi değilse
+ */
+const getHospitalProfileId = async (userId, trx = db) => {
+  const membership = await trx('hospital_members')
+    .where('user_id', userId)
+    .select('hospital_profile_id')
+    .first();
+
+  if (!membership) {
+    throw new AppError('Hastane profili bulunamadı', 404);
+  }
+
+  return membership.hospital_profile_id;
+};
+
+const getOwnerMembership = async (userId) => {
+  const membership = await getMembership(userId);
+  if (!membership) {
+    throw new AppError('Hastane profili bulunamadı', 404);
+  }
+  if (membership.role !== HOSPITAL_MEMBER_ROLES.OWNER) {
+    throw new AppError('Ekibi yalnızca hesap sahibi yönetebilir', 403);
+  }
+  return membership;
+};
+
+const auditTeamAction = async (actor, action, resourceId, oldValues, newValues) => {
+  const actorInfo = await LogService.getUserInfoForAudit(actor.id, 'hospital')
+    .catch(() => ({ name: null, email: actor.email }));
+
+  await LogService.createAuditLog({
+    actorId: actor.id,
+    actorRole: 'hospital',
+    actorName: actorInfo.name,
+    actorEmail: actorInfo.email || actor.email,
+    action,
+    resourceType: 'hospital_member',
+    resourceId,
+    oldValues,
+    newValues,
+    ipAddress: actor.ipAddress,
+    userAgent: actor.userAgent
+  }).catch((err) => logger.error('Audit log kayıt hatası', { error: err.message }));
+};
+
+// ============================================================================
+// EKİP YÖNETİMİ (SAHİP)
+// ============================================================================
+
+/**
+ * Hastane ekibini ve bekleyen davetleri getirir
+ * @param {number} userId - İstek yapan üye
+ * @returns {Promise<{members: Array, invitations: Array, roles: Array, max_members: number}>}
+ */
+const getTeam = async (userId) => {
+  const hospitalProfileId = await getHospitalProfileId(userId);
+
+  const members = await db('hospital_members as hm')
+    .join('users as u', 'hm.user_id', 'u.id')
+    .leftJoin('users as inviter', 'hm.invited_by', 'inviter.id')
+    .where('hm.hospital_profile_id', hospitalProfileId)
+    .orderByRaw("CASE WHEN hm.role = 'owner' THEN 0 ELSE 1 END")
+    .orderBy('hm.created_at', 'asc')
+    .select(
+      'hm.id',
+      'hm.user_id',
+      'hm.role',
+      'hm.full_name',
+      'hm.created_at',
+      'u.email',
+      'u.is_active',
+      'u.last_login',
+      'inviter.email as invited_by_email'
+    );
+
+  const invitations = await db('hospital_member_invitations as i')
+    .leftJoin('users as inviter', 'i.invited_by', 'inviter.id')
+    .where('i.hospital_profile_id', hospitalProfileId)
+    .whereNull('i.accepted_at')
+    .where('i.expires_at', '>', db.fn.now())
+    .orderBy('i.created_at', 'desc')
+    .select('i.id', 'i.email', 'i.role', 'i.expires_at', 'i.created_at', 'inviter.email as invited_by_email');
+
+  return {
+    members: members.map((member) => ({ ...member, is_self: member.user_id === userId })),
+    invitations,
+    roles: Object.entries(HOSPITAL_MEMBER_ROLE_LABELS)
+      .filter(([key]) => key !== HOSPITAL_MEMBER_ROLES.OWNER)
+      .map(([key, label]) => ({ key, label })),
+    max_members: HOSPITAL_INVITATION.MAX_MEMBERS
+  };
+};
+
+/**
+ * Ekibe e-posta ile üye davet eder
+ * @description Aynı e-postaya bekleyen davet varsa yenisiyle değiştirilir. Davet e-postası
+ * gönderilemezse davet geri alınır.
+ * @param {Object} actor - { id, email, ipAddress, userAgent } (hesap sahibi)
+ * @param {Object} data - { email, role: 'recruiter' | 'viewer' }
+ * @returns {Promise<Object>} Oluşturulan davet
+ * @throws {AppError} 403 sahip değilse, 409 e-posta kayıtlıysa, 400 üye sınırı doluysa
+ */
+const inviteMember = async (actor, { email, role }) => {
+  const owner = await getOwnerMembership(actor.id);
+  const normalizedEmail = normalizeEmail(email);
+
+  const existingUser = await db('users').where('email', normalizedEmail).select('id').first();
+  if (existingUser) {
+    throw new AppError('Bu e-posta adresi zaten kayıtlı. Davet yalnızca yeni e-posta adreslerine gönderilebilir.', 409);
+  }
+
+  const [{ memberCount }] = await db('hospital_members')
+    .where('hospital_profile_id', owner.hospital_profile_id)
+    .count({ memberCount: '*' });
+  const [{ invitationCount }] = await db('hospital_member_invitations')
+    .where('hospital_profile_id', owner.hospital_profile_id)
+    .whereNot('email', normalizedEmail)
+    .whereNull('accepted_at')
+    .where('expires_at', '>', db.fn.now())
+    .count({ invitationCount: '*' });
+
+  if (Number(memberCount) + Number(invitationCount) >= HOSPITAL_INVITATION.MAX_MEMBERS) {
+    throw new AppError(`Bir kurum hesabında en fazla ${HOSPITAL_INVITATION.MAX_MEMBERS} kullanıcı olabilir`, 400);
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + HOSPITAL_INVITATION.EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+  const invitation = await db.transaction(async (trx) => {
+    await trx('hospital_member_invitations')
+      .where({ hospital_profile_id: owner.hospital_profile_id, email: normalizedEmail })
+      .whereNull('accepted_at')
+      .del();
+
+    const [inserted] = await trx('hospital_member_invitations')
+      .insert({
+        hospital_profile_id: owner.hospital_profile_id,
+        email: normalizedEmail,
+        role,
+        token_hash: hashInvitationToken(token),
+        invited_by: actor.id,
+        expires_at: expiresAt,
+        created_at: trx.fn.now()
+      })
+      .returning(['id', 'email', 'role', 'expires_at', 'created_at']);
+
+    return inserted;
+  });
+
+  try {
+    await emailService.sendHospitalInvitationEmail({
+      to: normalizedEmail,
+      token,
+      institutionName: owner.institution_name,
+      roleLabel: HOSPITAL_MEMBER_ROLE_LABELS[role],
+      expiresAt
+    });
+  } catch (error) {
+    await db('hospital_member_invitations').where('id', invitation.id).del();
+    throw new AppError('Davet e-postası gönderilemedi, lütfen tekrar deneyin', 502);
+  }
+
+  await auditTeamAction(actor, 'hospital_member.invite', invitation.id, null, { email: normalizedEmail, role });
+
+  return { ...invitation, invited_by_email: actor.email };
+};
+
+/**
+ * Bekleyen daveti iptal eder
+ * @param {Object} actor - { id, email, ipAddress, userAgent } (hesap sahibi)
+ * @param {number} invitationId - Davet ID'si
+ * @returns {Promise<void>}
+ */
+const revokeInvitation = async (actor, invitationId) => {
+  const owner = await getOwnerMembership(actor.id);
+
+  const invitation = await db('hospital_member_invitations')
+    .where({ id: invitationId, hospital_profile_id: owner.hospital_profile_id })
+    .whereNull('accepted_at')
+    .first();
+
+  if (!invitation) {
+    throw new AppError('Davet bulunamadı', 404);
+  }
+
+  await db('hospital_member_invitations').where('id', invitationId).del();
+  await auditTeamAction(actor, 'hospital_member.invite_revoke', invitationId, { email: invitation.email, role: invitation.role }, null);
+};
+
+const getManagedMember = async (owner, memberId) => {
+  const member = await db('hospital_members as hm')
+    .join('users as u', 'hm.user_id', 'u.id')
+    .where({ 'hm.id': memberId, 'hm.hospital_profile_id': owner.hospital_profile_id })
+    .select('hm.id', 'hm.user_id', 'hm.role', 'u.email')
+    .first();
+
+  if (!member) {
+    throw new AppError('Ekip üyesi bulunamadı', 404);
+  }
+  if (member.role === HOSPITAL_MEMBER_ROLES.OWNER) {
+    throw new AppError('Hesap sahibinin rolü değiştirilemez veya ekipten çıkarılamaz', 400);
+  }
+
+  return member;
+};
+
+/**
+ * Ekip üyesinin rolünü değiştirir
+ * @param {Object} actor - { id, email, ipAddress, userAgent } (hesap sahibi)
+ * @param {number} memberId - hospital_members.id
+ * @param {string} role - 'recruiter' | 'viewer'
+ * @returns {Promise<Object>} Güncellenen üye
+ */
+const updateMemberRole = async (actor, memberId, role) => {
+  const owner = await getOwnerMembership(actor.id);
+  const member = await getManagedMember(owner, memberId);
+
+  await db('hospital_members')
+    .where('id', memberId)
+    .update({ role, updated_at: db.fn.now() });
+
+  await auditTeamAction(actor, 'hospital_member.role_update', memberId, { role: member.role }, { role, email: member.email });
+
+  return { ...member, role };
+};
+
+/**
+ * Üyeyi ekipten çıkarır
+ * @description Üye hesabı yalnızca bu hastane için açıldığından pasifleştirilir ve oturumları kapatılır
+ * @param {Object} actor - { id, email, ipAddress, userAgent } (hesap sahibi)
+ * @param {number} memberId - hospital_members.id
+ * @returns {Promise<void>}
+ */
+const removeMember = async (actor, memberId) => {
+  const owner = await getOwnerMembership(actor.id);
+  const member = await getManagedMember(owner, memberId);
+
+  await db.transaction(async (trx) => {
+    await trx('hospital_members').where('id', memberId).del();
+    await trx('users')
+      .where('id', member.user_id)
+      .update({ is_active: false, updated_at: trx.fn.now() });
+    await trx('refresh_tokens').where('user_id', member.user_id).del();
+  });
+
+  await auditTeamAction(actor, 'hospital_member.remove', memberId, { email: member.email, role: member.role }, null);
+};
+
+// ============================================================================
+// DAVET KABULÜ (PUBLIC)
+// ============================================================================
+
+const getPendingInvitation = async (token, trx = db) => {
+  const invitation = await trx('hospital_member_invitations as i')
+    .join('hospital_profiles as hp', 'i.hospital_profile_id', 'hp.id')
+    .where('i.token_hash', hashInvitationToken(token || ''))
+    .select('i.*', 'hp.institution_name')
+    .first();
+
+  if (!invitation || invitation.accepted_at) {
+    throw new AppError('Geçersiz veya daha önce kullanılmış davet bağlantısı', 400);
+  }
+  if (new Date(invitation.expires_at) < new Date()) {
+    throw new AppError('Davet bağlantısının süresi dolmuş. Kurumunuzdan yeni bir davet isteyin.', 400);
+  }
+
+  return invitation;
+};
+
+/**
+ * Davet bilgisini getirir (kabul sayfası için)
+ * @param {string} token - E-postadaki davet token'ı
+ * @returns {Promise<{email: string, role: string, role_label: string, institution_name: string, expires_at: Date}>}
+ */
+const getInvitationPreview = async (token) => {
+  const invitation = await getPendingInvitation(token);
+
+  return {
+    email: invitation.email,
+    role: invitation.role,
+    role_label: HOSPITAL_MEMBER_ROLE_LABELS[invitation.role],
+    institution_name: invitation.institution_name,
+    expires_at: invitation.expires_at
+  };
+};
+
+/**
+ * Daveti kabul eder ve üye hesabını oluşturur
+ * @description Davet e-postasına erişim e-posta sahipliğini kanıtladığından hesap doğrulanmış ve
+ * onaylı açılır; hastanenin kendisi zaten admin onayından geçmiştir.
+ * @param {Object} params - { token, password, full_name, ipAddress, userAgent }
+ * @returns {Promise<{email: string, institution_name: string}>}
+ */
+const acceptInvitation = async ({ token, password, full_name, ipAddress, userAgent }) => {
+  const passwordHash = await bcrypt.hash(password, 12);
+
+  const result = await db.transaction(async (trx) => {
+    const invitation = await getPendingInvitation(token, trx);
+
+    const existingUser = await trx('users').where('email', invitation.email).select('id').first();
+    if (existingUser) {
+      throw new AppError('Bu e-posta adresi zaten kayıtlı', 409);
+    }
+
+    const [user] = await trx('users')
+      .insert({
+        email: invitation.email,
+        password_hash: passwordHash,
+        role: 'hospital',
+        is_approved: true,
+        is_active: true,
+        email_verified_at: trx.fn.now(),
+        created_at: trx.fn.now(),
+        updated_at: trx.fn.now()
+      })
+      .returning(['id', 'email']);
+
+    await trx('hospital_members').insert({
+      hospital_profile_id: invitation.hospital_profile_id,
+      user_id: user.id,
+      role: invitation.role,
+      full_name: full_name.trim(),
+      invited_by: invitation.invited_by,
+      created_at: trx.fn.now(),
+      updated_at: trx.fn.now()
+    });
+
+    await trx('hospital_member_invitations')
+      .where('id', invitation.id)
+      .update({ accepted_at: trx.fn.now() });
+
+    return { user, invitation };
+  });
+
+  LogService.createSecurityLog({
+    eventType: 'hospital_invitation_accepted',
+    severity: 'low',
+    message: `Hastane ekip daveti kabul edildi: ${result.user.email} (${result.invitation.institution_name})`,
+    userId: result.user.id,
+    email: result.user.email,
+    ipAddress: ipAddress || null,
+    userAgent: userAgent || null,
+    metadata: {
+      hospital_profile_id: result.invitation.hospital_profile_id,
+      role: result.invitation.role,
+      invited_by: result.invitation.invited_by
+    }
+  }).catch((err) => logger.error('Security log kayıt hatası', { error: err.message }));
+
+  return { email: result.user.email, institution_name: result.invitation.institution_name };
+};
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+  getMembership,
+  assertActiveMembership,
+  getHospitalProfileId,
+  getTeam,
+  inviteMember,
+  revokeInvitation,
+  updateMemberRole,
+  removeMember,
+  getInvitationPreview,
+  acceptInvitation
+};
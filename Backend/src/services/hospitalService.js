@@ -7,6 +7,10 @@
  * - Hastane profil yönetimi (CRUD)
  * - İş ilanı yönetimi (CRUD) - jobService'den taşındı
  * - Başvuru yönetimi (gelen başvurular, durum güncelleme) - applicationService'den taşındı
+ * - Başvuru süreci (aşamalar, kanban, notlar, puan/etiket) - applicationPipelineService üzerinden
+ * - Mülakat planlama (öneri, iptal, yaklaşan mülakatlar, .ics) - interviewService üzerinden
+ * - Başvuru mesajlaşması (doktorla yazışma) - applicationMessageService üzerinden
+ * - Ekip yönetimi (davet, rol, üye çıkarma) - hospitalMemberService üzerinden
  * - Dashboard verileri (istatistikler, son başvurular)
  * - Profil tamamlanma hesaplama
  * 
@@ -17,6 +21,7 @@
  * 
  * Veritabanı Tabloları:
  * - hospital_profiles: Hastane profil bilgileri
+ * - hospital_members: Ekip üyelikleri (kullanıcı → hastane profili çözümlemesi)
  * - jobs: İş ilanı bilgileri
  * - applications: Başvuru bilgileri
  * - doctor_profiles: Doktor profilleri
@@ -38,6 +43,14 @@ const { AppError } = require('../utils/errorHandler');
 const logger = require('../utils/logger');
 const { createPaginationResponse, calculateOffset, validatePaginationParams } = require('../utils/paginationHelper');
 const notificationService = require('./notificationService');
+const systemSettingsService = require('./systemSettingsService');
+const applicationPipelineService = require('./applicationPipelineService');
+const interviewService = require('./interviewService');
+const applicationMessageService = require('./applicationMessageService');
+const hospitalMemberService = require('./hospitalMemberService');
+const accountDeletionService = require('./accountDeletionService');
+const doctorPrivacyService = require('./doctorPrivacyService');
+const doctorService = require('./doctorService');
 
 // ============================================================================
 // PROFİL YÖNETİMİ
@@ -66,7 +79,9 @@ const notificationService = require('./notificationService');
  */
 const getProfile = async (userId) => {
   try {
-    // hospital_profiles, users ve cities tablolarını join ederek tam profil bilgisini getir
+    const hospitalProfileId = await hospitalMemberService.getHospitalProfileId(userId);
+
+    // hospital_profiles, users (sahip hesap) ve cities tablolarını join ederek tam profil bilgisini getir
     const profile = await db('hospital_profiles as hp')
       .join('users as u', 'hp.user_id', 'u.id')
       .leftJoin('cities as c', 'hp.city_id', 'c.id')
@@ -78,7 +93,7 @@ const getProfile = async (userId) => {
         'u.is_approved',                 // Admin onay durumu
         'u.created_at as user_created_at'  // Kullanıcı oluşturulma tarihi
       )
-      .where('hp.user_id', userId)
+      .where('hp.id', hospitalProfileId)
       .first();
 
     // Profil bulunamazsa hata fırlat
@@ -120,19 +135,12 @@ const getProfile = async (userId) => {
  */
 const updateProfile = async (userId, profileData) => {
   try {
-    // Önce mevcut profili kontrol et
-    const existingProfile = await db('hospital_profiles')
-      .where('user_id', userId)
-      .first();
-
-    // Profil bulunamazsa hata fırlat
-    if (!existingProfile) {
-      throw new AppError('Sağlık kuruluşu profili bulunamadı', 404);
-    }
+    // Hastane profil ID'sini ekip üyeliğinden al (üyelik yoksa 404)
+    const hospitalProfileId = await hospitalMemberService.getHospitalProfileId(userId);
 
     // Profil bilgilerini güncelle (updated_at otomatik olarak güncellenir)
     await db('hospital_profiles')
-      .where('user_id', userId)
+      .where('id', hospitalProfileId)
       .update({
         ...profileData,
         updated_at: db.fn.now()  // Güncelleme tarihini otomatik ayarla
@@ -224,6 +232,34 @@ const getProfileCompletion = async (userId) => {
 // İŞ İLANI YÖNETİMİ (jobService'den taşındı)
 // ============================================================================
 
+/**
+ * Ücret, nöbet ve yan hak alanlarını veritabanı formatına çevirir
+ * @description Formdan gelen boş string değerleri null yapar; ücret girilmişse
+ * para birimi belirtilmediğinde TRY kabul edilir. Sadece gönderilen alanlar döner.
+ * @param {Object} jobData - İş ilanı verileri
+ * @returns {Object} Normalize edilmiş iş ilanı verileri
+ */
+const normalizeCompensationFields = (jobData) => {
+  const data = { ...jobData };
+  const toNullable = (value) => (value === '' || value === undefined ? null : value);
+
+  ['salary_min', 'salary_max', 'salary_currency', 'monthly_shift_count', 'working_hours'].forEach((field) => {
+    if (field in data) {
+      data[field] = toNullable(data[field]);
+    }
+  });
+
+  const hasSalary = data.salary_min != null || data.salary_max != null;
+  if (hasSalary && !data.salary_currency) {
+    data.salary_currency = 'TRY';
+  }
+  if ('salary_min' in data && 'salary_max' in data && !hasSalary) {
+    data.salary_currency = null;
+  }
+
+  return data;
+};
+
 /**
  * Hastane iş ilanlarını listeler
  * @description Hastanenin tüm iş ilanlarını filtreleme ve sayfalama ile getirir
@@ -253,15 +289,8 @@ const getJobs = async (userId, params = {}) => {
       subspecialty_id
     } = params;
 
-    // Hastane profil ID'sini al
-    const hospitalProfile = await db('hospital_profiles')
-      .where('user_id', userId)
-      .select('id')
-      .first();
-
-    if (!hospitalProfile) {
-      throw new AppError('Hastane profili bulunamadı', 404);
-    }
+    // Hastane profil ID'sini ekip üyeliğinden al
+    const hospitalProfileId = await hospitalMemberService.getHospitalProfileId(userId);
 
     // Base query - hastane kendi ilanlarının hepsini görür (Aktif, Pasif) - Silinmiş olanlar hariç
     let query = db('jobs as j')
@@ -269,7 +298,7 @@ const getJobs = async (userId, params = {}) => {
       .join('specialties as s', 'j.specialty_id', 's.id')
       .leftJoin('cities as c', 'j.city_id', 'c.id')
       .leftJoin('subspecialties as ss', 'j.subspecialty_id', 'ss.id')
-      .where('j.hospital_id', hospitalProfile.id)
+      .where('j.hospital_id', hospitalProfileId)
       .whereNull('j.deleted_at') // Soft delete: Silinmiş iş ilanlarını gösterme
       .select(
         'j.*',
@@ -341,7 +370,7 @@ const getJobs = async (userId, params = {}) => {
     const totalQuery = db('jobs as j')
       .join('job_statuses as js', 'j.status_id', 'js.id')
       .join('specialties as s', 'j.specialty_id', 's.id')
-      .where('j.hospital_id', hospitalProfile.id)
+      .where('j.hospital_id', hospitalProfileId)
       .whereNull('j.deleted_at'); // Soft delete: Silinmiş iş ilanlarını sayma
 
     if (status) {
@@ -396,26 +425,25 @@ const getJobs = async (userId, params = {}) => {
  */
 const createJob = async (userId, jobData) => {
   try {
-    // Hastane profil ID'sini al
-    const hospitalProfile = await db('hospital_profiles')
-      .where('user_id', userId)
-      .select('id')
-      .first();
-
-    if (!hospitalProfile) {
-      throw new AppError('Hastane profili bulunamadı', 404);
-    }
+    // Hastane profil ID'sini ekip üyeliğinden al
+    const hospitalProfileId = await hospitalMemberService.getHospitalProfileId(userId);
 
     // İş ilanını oluştur - database'de city_id nullable
     // ÖNEMLİ: status_id her zaman 1 (Onay Bekliyor) olarak ayarlanır
     // Hastane status_id gönderse bile göz ardı edilir ve 1 olarak ayarlanır
     const { status_id, ...cleanJobData } = jobData; // status_id'yi çıkar
     
+    // Yayın süresi admin sınırları içinde olmalı; expires_at onay anında hesaplanır
+    const durationDays = await systemSettingsService.resolveJobDuration(jobData.duration_days);
+    
     const insertData = {
-      ...cleanJobData,
-      hospital_id: hospitalProfile.id,
+      ...normalizeCompensationFields(cleanJobData),
+      duration_days: durationDays,
+      hospital_id: hospitalProfileId,
       status_id: 1, // Onay Bekliyor - Admin onayı bekliyor (HER ZAMAN)
       revision_count: 0,
+      created_by: userId, // İlanı oluşturan ekip üyesi
+      updated_by: userId,
       created_at: db.fn.now(),
       updated_at: db.fn.now()
     };
@@ -428,7 +456,7 @@ const createJob = async (userId, jobData) => {
     // Admin'lere yeni iş ilanı bildirimi gönder
     try {
       const hospitalInfo = await db('hospital_profiles')
-        .where('id', hospitalProfile.id)
+        .where('id', hospitalProfileId)
         .select('institution_name')
         .first();
       
@@ -438,7 +466,7 @@ const createJob = async (userId, jobData) => {
         body: `${hospitalInfo?.institution_name || 'Hastane'} tarafından yeni bir iş ilanı oluşturuldu. Onay bekliyor.`,
         data: {
           job_id: jobId,
-          hospital_id: hospitalProfile.id,
+          hospital_id: hospitalProfileId,
           hospital_name: hospitalInfo?.institution_name || 'Hastane',
           job_title: jobData.title || 'İş İlanı',
           status: 'pending_approval'
@@ -484,19 +512,12 @@ const createJob = async (userId, jobData) => {
  */
 const updateJob = async (userId, jobId, jobData) => {
   try {
-    // Hastane profil ID'sini al
-    const hospitalProfile = await db('hospital_profiles')
-      .where('user_id', userId)
-      .select('id')
-      .first();
-
-    if (!hospitalProfile) {
-      throw new AppError('Hastane profili bulunamadı', 404);
-    }
+    // Hastane profil ID'sini ekip üyeliğinden al
+    const hospitalProfileId = await hospitalMemberService.getHospitalProfileId(userId);
 
     // İş ilanının sahipliğini kontrol et
     const existingJob = await db('jobs')
-      .where({ id: jobId, hospital_id: hospitalProfile.id })
+      .where({ id: jobId, hospital_id: hospitalProfileId })
       .first();
 
     if (!existingJob) {
@@ -514,14 +535,29 @@ const updateJob = async (userId, jobId, jobData) => {
     // status_id'yi jobData'dan çıkar (hastane status değiştiremez)
     const { status_id, ...updateData } = jobData;
     
+    if (updateData.duration_days !== undefined) {
+      updateData.duration_days = await systemSettingsService.resolveJobDuration(updateData.duration_days);
+    }
+    
     // İş ilanını güncelle
     await db('jobs')
       .where('id', jobId)
       .update({
-        ...updateData,
+        ...normalizeCompensationFields(updateData),
+        updated_by: userId,
         updated_at: db.fn.now()
       });
 
+    // Job history kaydı oluştur (ilanı hangi ekip üyesinin düzenlediği)
+    await db('job_history').insert({
+      job_id: jobId,
+      old_status_id: oldStatus,
+      new_status_id: oldStatus,
+      changed_by: userId,
+      note: 'İlan içeriği güncellendi',
+      changed_at: db.fn.now()
+    });
+
     // Güncellenmiş iş ilanını getir
     const job = await db('jobs as j')
       .join('job_statuses as js', 'j.status_id', 'js.id')
@@ -548,19 +584,12 @@ const updateJob = async (userId, jobId, jobData) => {
  */
 const resubmitJob = async (userId, jobId) => {
   try {
-    // Hastane profil ID'sini al
-    const hospitalProfile = await db('hospital_profiles')
-      .where('user_id', userId)
-      .select('id')
-      .first();
-
-    if (!hospitalProfile) {
-      throw new AppError('Hastane profili bulunamadı', 404);
-    }
+    // Hastane profil ID'sini ekip üyeliğinden al
+    const hospitalProfileId = await hospitalMemberService.getHospitalProfileId(userId);
 
     // İş ilanının sahipliğini ve durumunu kontrol et
     const existingJob = await db('jobs')
-      .where({ id: jobId, hospital_id: hospitalProfile.id })
+      .where({ id: jobId, hospital_id: hospitalProfileId })
       .first();
 
     if (!existingJob) {
@@ -580,6 +609,7 @@ const resubmitJob = async (userId, jobId) => {
       .update({
         status_id: 1, // Onay Bekliyor
         revision_note: null, // Revizyon notunu temizle
+        updated_by: userId,
         updated_at: db.fn.now()
       });
 
@@ -611,6 +641,103 @@ const resubmitJob = async (userId, jobId) => {
   }
 };
 
+/**
+ * Hastane iş ilanının yayın süresini uzatır (renew)
+ * @description Onaylandı durumundaki ilanın expires_at tarihini ileri alır.
+ * İlan onay kuyruğuna geri gönderilmez; mevcut bitiş tarihi henüz geçmediyse
+ * süre kalan günlerin üzerine eklenir. Süresi dolduğu için jobExpirationCron tarafından
+ * pasife alınmış ilan (Pasif ve bitiş tarihi geçmiş) da yenilenebilir; bu durumda ilan
+ * bugünden itibaren tekrar yayına alınır ("İlanı Yenile").
+ * @param {number} userId - Hastane kullanıcı ID'si
+ * @param {number} jobId - İş ilanı ID'si
+ * @param {number} [durationDays] - Uzatma süresi (gün), gönderilmezse ilanın kendi süresi
+ * @returns {Promise<Object>} Güncellenmiş iş ilanı
+ * @throws {AppError} İlan bulunamadığında, onaylı değilse veya süre sınırların dışındaysa
+ */
+const renewJob = async (userId, jobId, durationDays) => {
+  try {
+    // Hastane profil ID'sini ekip üyeliğinden al
+    const hospitalProfileId = await hospitalMemberService.getHospitalProfileId(userId);
+
+    const existingJob = await db('jobs')
+      .where({ id: jobId, hospital_id: hospitalProfileId })
+      .first();
+
+    if (!existingJob) {
+      throw new AppError('İş ilanı bulunamadı veya yetkiniz yok', 404);
+    }
+
+    const now = new Date();
+    const currentExpiry = existingJob.expires_at ? new Date(existingJob.expires_at) : null;
+
+    // Onaylandı (3) ilanlar veya süresi dolduğu için Pasif (4) olan ilanlar yenilenebilir;
+    // hastanenin kendisinin pasife aldığı ve süresi dolmamış ilanlar durum değişikliğiyle açılır
+    const isExpired = existingJob.status_id === 4 && (!currentExpiry || currentExpiry <= now);
+    if (existingJob.status_id !== 3 && !isExpired) {
+      throw new AppError('Sadece yayındaki veya süresi dolmuş ilanlar yenilenebilir', 400);
+    }
+
+    const days = await systemSettingsService.resolveJobDuration(durationDays ?? existingJob.duration_days);
+
+    const base = currentExpiry && currentExpiry > now ? currentExpiry : now;
+    const expiresAt = systemSettingsService.calculateExpiresAt(days, base);
+
+    // Art arda yenilemelerle ilan üst sınırdan daha uzun süre yayında kalamaz
+    const { max_days: maxDays } = await systemSettingsService.getJobLifetimeSettings();
+    if (expiresAt > systemSettingsService.calculateExpiresAt(maxDays, now)) {
+      throw new AppError(`İlan en fazla ${maxDays} gün sonrasına kadar uzatılabilir`, 400);
+    }
+
+    await db('jobs')
+      .where('id', jobId)
+      .update({
+        ...(isExpired ? { status_id: 3 } : {}),
+        expires_at: expiresAt,
+        expiry_warning_sent_at: null,
+        renewal_count: (existingJob.renewal_count || 0) + 1,
+        updated_by: userId,
+        updated_at: db.fn.now()
+      });
+
+    await db('job_history').insert({
+      job_id: jobId,
+      old_status_id: existingJob.status_id,
+      new_status_id: 3,
+      changed_by: userId,
+      note: isExpired ? `Süresi dolan ilan ${days} günlüğüne yenilendi` : `İlan süresi ${days} gün uzatıldı`,
+      changed_at: db.fn.now()
+    });
+
+    if (isExpired) {
+      await doctorService.clearFavoriteJobsExpired([jobId]);
+    }
+
+    const job = await db('jobs as j')
+      .join('job_statuses as js', 'j.status_id', 'js.id')
+      .join('specialties as s', 'j.specialty_id', 's.id')
+      .leftJoin('cities as c', 'j.city_id', 'c.id')
+      .leftJoin('subspecialties as ss', 'j.subspecialty_id', 'ss.id')
+      .where('j.id', jobId)
+      .select('j.*', 'js.name as status', 's.name as specialty', 'c.name as city', 'ss.name as subspecialty_name')
+      .first();
+
+    logger.info(`Job renewed: ${jobId} by user ${userId}, expires_at: ${expiresAt.toISOString()}`);
+    return job;
+  } catch (error) {
+    logger.error('Renew hospital job error:', error);
+    throw error;
+  }
+};
+
+/**
+ * İlan yayın süresi seçeneklerini getirir
+ * @description İlan formunda gösterilecek admin tanımlı alt/üst sınır ve varsayılan süre
+ * @returns {Promise<{min_days: number, max_days: number, default_days: number}>}
+ */
+const getJobLifetimeOptions = async () => {
+  return systemSettingsService.getJobLifetimeSettings();
+};
+
 // ============================================================================
 // İŞ İLANI BİLDİRİM FONKSİYONLARI (jobService'den taşındı)
 // ============================================================================
@@ -700,15 +827,8 @@ const sendJobStatusChangeNotification = async (jobId, newStatus, oldStatus) => {
  */
 const getJobById = async (userId, jobId) => {
   try {
-    // Hastane profil ID'sini al
-    const hospitalProfile = await db('hospital_profiles')
-      .where('user_id', userId)
-      .select('id')
-      .first();
-
-    if (!hospitalProfile) {
-      throw new AppError('Hastane profili bulunamadı', 404);
-    }
+    // Hastane profil ID'sini ekip üyeliğinden al
+    const hospitalProfileId = await hospitalMemberService.getHospitalProfileId(userId);
 
     // İş ilanını getir (TÜM statuslerde - Pasif, Beklemede, Onaylandı, Reddedildi)
     const job = await db('jobs as j')
@@ -716,14 +836,23 @@ const getJobById = async (userId, jobId) => {
       .join('specialties as s', 'j.specialty_id', 's.id')
       .leftJoin('cities as c', 'j.city_id', 'c.id')
       .leftJoin('subspecialties as ss', 'j.subspecialty_id', 'ss.id')
-      .where({ 'j.id': jobId, 'j.hospital_id': hospitalProfile.id })
+      // İlanı oluşturan / son değiştiren ekip üyesi
+      .leftJoin('users as cu', 'j.created_by', 'cu.id')
+      .leftJoin('hospital_members as cm', 'j.created_by', 'cm.user_id')
+      .leftJoin('users as uu', 'j.updated_by', 'uu.id')
+      .leftJoin('hospital_members as um', 'j.updated_by', 'um.user_id')
+      .where({ 'j.id': jobId, 'j.hospital_id': hospitalProfileId })
       .whereNull('j.deleted_at') // Sadece fiziksel silinmemiş ilanlar - Hastane tüm statuslerde görebilir
       .select(
         'j.*',
         'js.name as status',
         's.name as specialty',
         'c.name as city',
-        'ss.name as subspecialty_name'
+        'ss.name as subspecialty_name',
+        'cu.email as created_by_email',
+        'cm.full_name as created_by_name',
+        'uu.email as updated_by_email',
+        'um.full_name as updated_by_name'
       )
       .first();
 
@@ -758,19 +887,12 @@ const getJobById = async (userId, jobId) => {
  */
 const updateJobStatus = async (userId, jobId, statusId, reason) => {
   try {
-    // Hastane profil ID'sini al
-    const hospitalProfile = await db('hospital_profiles')
-      .where('user_id', userId)
-      .select('id')
-      .first();
-
-    if (!hospitalProfile) {
-      throw new AppError('Hastane profili bulunamadı', 404);
-    }
+    // Hastane profil ID'sini ekip üyeliğinden al
+    const hospitalProfileId = await hospitalMemberService.getHospitalProfileId(userId);
 
     // İş ilanının sahipliğini kontrol et
     const existingJob = await db('jobs')
-      .where({ id: jobId, hospital_id: hospitalProfile.id })
+      .where({ id: jobId, hospital_id: hospitalProfileId })
       .first();
 
     if (!existingJob) {
@@ -800,20 +922,38 @@ const updateJobStatus = async (userId, jobId, statusId, reason) => {
     // İş ilanı durumunu güncelle
     const updateData = {
       status_id: statusId,
+      updated_by: userId,
       updated_at: db.fn.now()
     };
     
     // Eğer Pasif'ten (4) Onaylandı'ya (3) geçiş yapılıyorsa
     // published_at'i güncelle (yeni yayın tarihi olarak)
     if (oldStatus === 4 && statusId === 3) {
+      const durationDays = existingJob.duration_days || await systemSettingsService.resolveJobDuration(null);
       updateData.published_at = db.fn.now();
-      logger.info(`Job ${jobId}: Pasif → Aktif geçişi, published_at güncellendi`);
+      updateData.expires_at = systemSettingsService.calculateExpiresAt(durationDays);
+      updateData.expiry_warning_sent_at = null;
+      logger.info(`Job ${jobId}: Pasif → Aktif geçişi, published_at ve expires_at güncellendi`);
     }
     
     await db('jobs')
       .where('id', jobId)
       .update(updateData);
 
+    // Job history kaydı oluştur
+    await db('job_history').insert({
+      job_id: jobId,
+      old_status_id: oldStatus,
+      new_status_id: statusId,
+      changed_by: userId,
+      note: reason || (statusId === 4 ? 'İlan hastane tarafından pasife alındı' : 'İlan hastane tarafından yeniden yayına alındı'),
+      changed_at: db.fn.now()
+    });
+
+    if (statusId === 3) {
+      await doctorService.clearFavoriteJobsExpired([jobId]);
+    }
+
     // Güncellenmiş iş ilanını getir
     const job = await db('jobs as j')
       .join('job_statuses as js', 'j.status_id', 'js.id')
@@ -845,6 +985,31 @@ const updateJobStatus = async (userId, jobId, statusId, reason) => {
 // BAŞVURU YÖNETİMİ (applicationService'den taşındı)
 // ============================================================================
 
+/**
+ * İlan başvuruları filtrelerini sorguya uygular
+ * @description getApplications (liste ve toplam sayı) ile başvuru paketi dışa aktarma
+ * (applicationExportService) aynı filtreleri kullanır. Sorguda 'ast' (application_statuses) join'i olmalıdır.
+ * @param {Object} query - Knex sorgusu
+ * @param {Object} filters
+ * @param {number|string} [filters.status] - Durum ID'si veya adı
+ * @returns {Object} Aynı Knex sorgusu
+ */
+const applyJobApplicationFilters = (query, { status } = {}) => {
+  if (status) {
+    // Status parametresi sayı mı kontrol et
+    // Eğer sayı ise ast.id ile, değilse ast.name ile karşılaştır
+    const statusNum = parseInt(status, 10);
+    if (!isNaN(statusNum)) {
+      // Sayı geldiğinde ID ile karşılaştır
+      query.where('ast.id', statusNum);
+    } else {
+      // String geldiğinde name ile karşılaştır (geriye uyumluluk)
+      query.where('ast.name', status);
+    }
+  }
+  return query;
+};
+
 /**
  * Hastane iş ilanı başvurularını getirir
  * @description Belirli bir iş ilanına gelen başvuruları getirir
@@ -858,19 +1023,12 @@ const getApplications = async (userId, jobId, params = {}) => {
   try {
     const { page = 1, limit = 10, status } = params;
 
-    // Hastane profil ID'sini al
-    const hospitalProfile = await db('hospital_profiles')
-      .where('user_id', userId)
-      .select('id')
-      .first();
-
-    if (!hospitalProfile) {
-      throw new AppError('Hastane profili bulunamadı', 404);
-    }
+    // Hastane profil ID'sini ekip üyeliğinden al
+    const hospitalProfileId = await hospitalMemberService.getHospitalProfileId(userId);
 
     // İş ilanının sahipliğini kontrol et
     const job = await db('jobs')
-      .where({ id: jobId, hospital_id: hospitalProfile.id })
+      .where({ id: jobId, hospital_id: hospitalProfileId })
       .first();
 
     if (!job) {
@@ -878,7 +1036,7 @@ const getApplications = async (userId, jobId, params = {}) => {
     }
 
     // Base query - Silinmiş başvuruları gösterme
-    let query = db('applications as a')
+    const query = db('applications as a')
       .join('doctor_profiles as dp', 'a.doctor_profile_id', 'dp.id')
       .join('users as u', 'dp.user_id', 'u.id')
       .join('application_statuses as ast', 'a.status_id', 'ast.id')
@@ -887,7 +1045,7 @@ const getApplications = async (userId, jobId, params = {}) => {
       .leftJoin('cities as c', 'j.city_id', 'c.id')
       .leftJoin('specialties as s', 'j.specialty_id', 's.id')
       .where('a.job_id', jobId)
-      .where('j.hospital_id', hospitalProfile.id) // GÜVENLİK: Sadece bu hastaneye ait ilanların başvuruları
+      .where('j.hospital_id', hospitalProfileId) // GÜVENLİK: Sadece bu hastaneye ait ilanların başvuruları
       .whereNull('a.deleted_at') // Soft delete: Silinmiş başvuruları gösterme
       .whereNull('j.deleted_at') // Soft delete: Silinmiş iş ilanlarına ait başvuruları gösterme
       .select(
@@ -914,18 +1072,7 @@ const getApplications = async (userId, jobId, params = {}) => {
       );
 
     // Filtreler
-    if (status) {
-      // Status parametresi sayı mı kontrol et
-      // Eğer sayı ise ast.id ile, değilse ast.name ile karşılaştır
-      const statusNum = parseInt(status, 10);
-      if (!isNaN(statusNum)) {
-        // Sayı geldiğinde ID ile karşılaştır
-        query = query.where('ast.id', statusNum);
-      } else {
-        // String geldiğinde name ile karşılaştır (geriye uyumluluk)
-        query = query.where('ast.name', status);
-      }
-    }
+    applyJobApplicationFilters(query, { status });
 
     // Sayfalama
     const offset = (page - 1) * limit;
@@ -961,18 +1108,7 @@ const getApplications = async (userId, jobId, params = {}) => {
       .whereNull('a.deleted_at') // Soft delete: Silinmiş başvuruları sayma
       .whereNull('j.deleted_at'); // Soft delete: Silinmiş iş ilanlarına ait başvuruları gösterme
 
-    if (status) {
-      // Status parametresi sayı mı kontrol et
-      // Eğer sayı ise ast.id ile, değilse ast.name ile karşılaştır
-      const statusNum = parseInt(status, 10);
-      if (!isNaN(statusNum)) {
-        // Sayı geldiğinde ID ile karşılaştır
-        totalQuery.where('ast.id', statusNum);
-      } else {
-        // String geldiğinde name ile karşılaştır (geriye uyumluluk)
-        totalQuery.where('ast.name', status);
-      }
-    }
+    applyJobApplicationFilters(totalQuery, { status });
 
     const [{ count }] = await totalQuery.count('* as count');
 
@@ -1008,15 +1144,8 @@ const getAllApplications = async (userId, params = {}) => {
   try {
     const { page = 1, limit = 10, status, search, doctor_search, job_search, jobIds } = params;
 
-    // Hastane profil ID'sini al
-    const hospitalProfile = await db('hospital_profiles')
-      .where('user_id', userId)
-      .select('id')
-      .first();
-
-    if (!hospitalProfile) {
-      throw new AppError('Hastane profili bulunamadı', 404);
-    }
+    // Hastane profil ID'sini ekip üyeliğinden al
+    const hospitalProfileId = await hospitalMemberService.getHospitalProfileId(userId);
 
     // Base query - Silinmiş başvuruları gösterme
     let query = db('applications as a')
@@ -1027,7 +1156,7 @@ const getAllApplications = async (userId, params = {}) => {
       .leftJoin('job_statuses as js', 'j.status_id', 'js.id')
       .leftJoin('cities as c', 'j.city_id', 'c.id')
       .leftJoin('specialties as s', 'j.specialty_id', 's.id')
-      .where('j.hospital_id', hospitalProfile.id)
+      .where('j.hospital_id', hospitalProfileId)
       .whereNull('a.deleted_at') // Soft delete: Silinmiş başvuruları gösterme
       .whereNull('j.deleted_at') // Soft delete: Silinmiş iş ilanlarına ait başvuruları gösterme
       .select(
@@ -1038,6 +1167,7 @@ const getAllApplications = async (userId, params = {}) => {
         'a.doctor_profile_id',
         'a.status_id',
         'a.applied_at',
+        'a.rating',
         // Pasif doktorlar için bilgileri gizle (SQL Server bit tipi için güvenli kontrol)
         // Aktif edildiğinde (is_active = 1) bilgiler tekrar görünür olacak
         db.raw('CASE WHEN u.is_active = 0 OR u.is_active IS NULL THEN NULL ELSE dp.first_name END as first_name'),
@@ -1127,7 +1257,7 @@ const getAllApplications = async (userId, params = {}) => {
     // application_statuses JOIN'i kaldırıldı - sadece status_id'ye ihtiyacımız var (zaten applications tablosunda)
     const totalQuery = db('applications as a')
       .join('jobs as j', 'a.job_id', 'j.id')
-      .where('j.hospital_id', hospitalProfile.id)
+      .where('j.hospital_id', hospitalProfileId)
       .whereNull('a.deleted_at') // Soft delete: Silinmiş başvuruları gösterme
       .whereNull('j.deleted_at'); // Soft delete: Silinmiş iş ilanlarına ait başvuruları gösterme
 
@@ -1216,15 +1346,8 @@ const updateApplicationStatus = async (userId, applicationId, statusId, notes =
     // Transaction içinde tüm işlemleri yap (Deadlock riskini önlemek için)
     // Mobil tarafı zaten transaction kullanıyor, web tarafı da aynı standardı kullanmalı
     const updatedApplication = await db.transaction(async (trx) => {
-      // Hastane profil ID'sini al
-      const hospitalProfile = await trx('hospital_profiles')
-        .where('user_id', userId)
-        .select('id')
-        .first();
-
-      if (!hospitalProfile) {
-        throw new AppError('Hastane profili bulunamadı', 404);
-      }
+      // Hastane profil ID'sini ekip üyeliğinden al
+      const hospitalProfileId = await hospitalMemberService.getHospitalProfileId(userId, trx);
 
       // Başvurunun sahipliğini kontrol et - SELECT FOR UPDATE ile row-level locking
       const application = await trx.raw(`
@@ -1233,7 +1356,7 @@ const updateApplicationStatus = async (userId, applicationId, statusId, notes =
         INNER JOIN jobs j ON a.job_id = j.id
         INNER JOIN application_statuses ast ON a.status_id = ast.id
         WHERE a.id = ? AND j.hospital_id = ?
-      `, [applicationId, hospitalProfile.id]);
+      `, [applicationId, hospitalProfileId]);
 
       if (!application || !application[0] || application[0].length === 0) {
         throw new AppError('Başvuru bulunamadı veya yetkiniz yok', 404);
@@ -1247,14 +1370,29 @@ const updateApplicationStatus = async (userId, applicationId, statusId, notes =
       }
 
       // Başvuru durumunu güncelle (direkt status_id kullan - string desteği kaldırıldı)
+      // Durum değiştiğinde özel aşama sıfırlanır; başvuru yeni durumun ilk aşamasında görünür
+      const statusChanged = appData.status_id !== statusId;
       await trx('applications')
         .where('id', applicationId)
         .update({
           status_id: statusId,
           notes: notes,
+          ...(statusChanged && { pipeline_stage_id: null }),
           updated_at: db.fn.now()
         });
 
+      if (statusChanged) {
+        await applicationPipelineService.recordStatusChange(trx, {
+          applicationId,
+          fromStatusId: appData.status_id,
+          toStatusId: statusId,
+          fromStageId: appData.pipeline_stage_id,
+          changedBy: userId,
+          changedByRole: 'hospital',
+          note: notes
+        });
+      }
+
       // Güncellenmiş başvuruyu getir (transaction içinde)
       const applicationData = await trx('applications as a')
         .join('doctor_profiles as dp', 'a.doctor_profile_id', 'dp.id')
@@ -1326,15 +1464,8 @@ const updateApplicationStatus = async (userId, applicationId, statusId, notes =
  */
 const getRecentApplications = async (userId, limit = 5) => {
   try {
-    // Hastane profil ID'sini al
-    const hospitalProfile = await db('hospital_profiles')
-      .where('user_id', userId)
-      .select('id')
-      .first();
-
-    if (!hospitalProfile) {
-      throw new AppError('Hastane profili bulunamadı', 404);
-    }
+    // Hastane profil ID'sini ekip üyeliğinden al
+    const hospitalProfileId = await hospitalMemberService.getHospitalProfileId(userId);
 
     // Son başvuruları getir - Soft delete kontrolü ile (Geri çekilen başvurular dahil)
     const applications = await db('applications as a')
@@ -1342,7 +1473,7 @@ const getRecentApplications = async (userId, limit = 5) => {
       .join('users as u', 'dp.user_id', 'u.id')
       .join('application_statuses as ast', 'a.status_id', 'ast.id')
       .join('jobs as j', 'a.job_id', 'j.id')
-      .where('j.hospital_id', hospitalProfile.id)
+      .where('j.hospital_id', hospitalProfileId)
       .whereNull('a.deleted_at') // Soft delete: Silinmiş başvuruları gösterme
       // NOT: Geri çekilen başvurular artık gösteriliyor
       .whereNull('j.deleted_at') // Soft delete: Silinmiş iş ilanlarına ait başvuruları gösterme
@@ -1375,22 +1506,15 @@ const getRecentApplications = async (userId, limit = 5) => {
  */
 const getRecentJobs = async (userId, limit = 5) => {
   try {
-    // Hastane profil ID'sini al
-    const hospitalProfile = await db('hospital_profiles')
-      .where('user_id', userId)
-      .select('id')
-      .first();
-
-    if (!hospitalProfile) {
-      throw new AppError('Hastane profili bulunamadı', 404);
-    }
+    // Hastane profil ID'sini ekip üyeliğinden al
+    const hospitalProfileId = await hospitalMemberService.getHospitalProfileId(userId);
 
     // Son iş ilanlarını getir
     const jobs = await db('jobs as j')
       .join('job_statuses as js', 'j.status_id', 'js.id')
       .join('specialties as s', 'j.specialty_id', 's.id')
       .leftJoin('cities as c', 'j.city_id', 'c.id')
-      .where('j.hospital_id', hospitalProfile.id)
+      .where('j.hospital_id', hospitalProfileId)
       .whereNull('j.deleted_at') // Silinmemiş ilanları getir
       .select(
         'j.id',
@@ -1417,6 +1541,8 @@ const getRecentJobs = async (userId, limit = 5) => {
 
 /**
  * Hastane tarafından doktor profillerini listeleme
+ * @description Doktorun gizlilik ayarları uygulanır (doctorPrivacyService): hidden ve
+ * hastaneyi engelleyen doktorlar listelenmez, gizlenen telefon/e-posta maskelenir.
  * @param {number} hospitalUserId - Hastane kullanıcı ID'si
  * @param {Object} params - Filtreleme parametreleri
  * @param {number} [params.page=1] - Sayfa numarası
@@ -1488,14 +1614,8 @@ const getDoctorProfiles = async (hospitalUserId, params = {}) => {
       return value;
     };
 
-    // Hastane profilini kontrol et
-    const hospitalProfile = await db('hospital_profiles')
-      .where('user_id', hospitalUserId)
-      .first();
-
-    if (!hospitalProfile) {
-      throw new AppError('Hastane profili bulunamadı', 404);
-    }
+    // Hastane profil ID'sini ekip üyeliğinden al
+    const hospitalProfileId = await hospitalMemberService.getHospitalProfileId(hospitalUserId);
 
     const buildFilterQuery = () => {
       let base = db('doctor_profiles as dp')
@@ -1507,13 +1627,16 @@ const getDoctorProfiles = async (hospitalUserId, params = {}) => {
         .where('u.is_approved', true)
         .where('u.is_active', true);
 
+      // Doktorun görünürlük ayarı ve engelleme listesi
+      base = doctorPrivacyService.applyHospitalListingRules(base, hospitalProfileId);
+
       if (showOnlyApplicants) {
         base = base.whereExists(function () {
           this.select(1)
             .from('applications as a')
             .join('jobs as j', 'a.job_id', 'j.id')
             .whereRaw('a.doctor_profile_id = dp.id')
-            .where('j.hospital_id', hospitalProfile.id)
+            .where('j.hospital_id', hospitalProfileId)
             .whereNull('a.deleted_at')
             .whereNull('j.deleted_at');
         });
@@ -1524,7 +1647,9 @@ const getDoctorProfiles = async (hospitalUserId, params = {}) => {
         base = base.where(function () {
           this.where('dp.first_name', 'like', `%${trimmedSearch}%`)
             .orWhere('dp.last_name', 'like', `%${trimmedSearch}%`)
-            .orWhere('u.email', 'like', `%${trimmedSearch}%`);
+            .orWhere(function () {
+              doctorPrivacyService.whereEmailSearchable(this, trimmedSearch, hospitalProfileId);
+            });
         });
       }
 
@@ -1575,6 +1700,8 @@ const getDoctorProfiles = async (hospitalUserId, params = {}) => {
         'bp.name as birth_place_name',
         'rc.name as residence_city_name',
         'dp.phone',
+        'dp.hide_phone',
+        'dp.hide_email',
         'dp.title',
         'dp.profile_photo',
         's.name as specialty_name',
@@ -1605,15 +1732,16 @@ const getDoctorProfiles = async (hospitalUserId, params = {}) => {
       const appliedDoctors = await db('applications as a')
         .join('jobs as j', 'a.job_id', 'j.id')
         .whereIn('a.doctor_profile_id', doctorIds)
-        .where('j.hospital_id', hospitalProfile.id)
+        .where('j.hospital_id', hospitalProfileId)
         .whereNull('a.deleted_at')
         .whereNull('j.deleted_at')
         .distinct('a.doctor_profile_id');
 
       const appliedSet = new Set(appliedDoctors.map((row) => row.doctor_profile_id));
 
+      // Başvuru yapılmamış hastaneye gizlenen iletişim bilgileri maskelenir
       doctors = doctors.map((doctor) => ({
-        ...doctor,
+        ...doctorPrivacyService.maskContactFields(doctor, appliedSet.has(doctor.id)),
         has_applied: appliedSet.has(doctor.id)
       }));
     }
@@ -1627,6 +1755,8 @@ const getDoctorProfiles = async (hospitalUserId, params = {}) => {
 
 /**
  * Hastane tarafından tek doktor profilini detaylı görüntüleme
+ * @description Başvuru yoksa profil yalnızca public ve engellenmemişse açılır;
+ * aksi halde profil bulunamadı (404) döner.
  * @param {number} hospitalUserId - Hastane kullanıcı ID'si
  * @param {number} doctorProfileId - Doktor profil ID'si
  * @returns {Promise<Object>} Doktor profil detayları
@@ -1638,14 +1768,8 @@ const getDoctorProfiles = async (hospitalUserId, params = {}) => {
  */
 const getDoctorProfileDetail = async (hospitalUserId, doctorProfileId) => {
   try {
-    // Hastane profilini kontrol et
-    const hospitalProfile = await db('hospital_profiles')
-      .where('user_id', hospitalUserId)
-      .first();
-
-    if (!hospitalProfile) {
-      throw new AppError('Hastane profili bulunamadı', 404);
-    }
+    // Hastane profil ID'sini ekip üyeliğinden al
+    const hospitalProfileId = await hospitalMemberService.getHospitalProfileId(hospitalUserId);
 
     // Doktor profilini getir - Lookup tablolarıyla join et
     const doctorProfile = await db('doctor_profiles as dp')
@@ -1677,13 +1801,19 @@ const getDoctorProfileDetail = async (hospitalUserId, doctorProfileId) => {
     const doctorApplication = await db('applications as a')
       .join('jobs as j', 'a.job_id', 'j.id')
       .where('a.doctor_profile_id', doctorProfileId)
-      .where('j.hospital_id', hospitalProfile.id)
+      .where('j.hospital_id', hospitalProfileId)
       .whereNull('a.deleted_at')
       .whereNull('j.deleted_at')
       .first();
 
     const hasApplied = Boolean(doctorApplication);
 
+    // Görünürlük ayarı / engelleme - profilin varlığı da açığa çıkarılmaz
+    const canView = await doctorPrivacyService.canHospitalViewProfile(doctorProfile, hospitalProfileId, hasApplied);
+    if (!canView) {
+      throw new AppError('Doktor profili bulunamadı', 404);
+    }
+
     // Doktor için ek bilgileri getir - lookup tablolarıyla JOIN (Soft delete kontrolü ile)
     const educations = await db('doctor_educations as de')
       .leftJoin('doctor_education_types as det', 'de.education_type_id', 'det.id')
@@ -1729,7 +1859,7 @@ const getDoctorProfileDetail = async (hospitalUserId, doctorProfileId) => {
 
     return {
       profile: {
-        ...doctorProfile,
+        ...doctorPrivacyService.maskContactFields(doctorProfile, hasApplied),
         has_applied: hasApplied
       },
       educations,
@@ -1749,13 +1879,8 @@ const getDoctorProfileDetail = async (hospitalUserId, doctorProfileId) => {
  */
 const getApplicationById = async (hospitalUserId, applicationId) => {
   try {
-    const hospitalProfile = await db('hospital_profiles')
-      .where('user_id', hospitalUserId)
-      .first();
-
-    if (!hospitalProfile) {
-      throw new AppError('Hastane profili bulunamadı', 404);
-    }
+    // Hastane profil ID'sini ekip üyeliğinden al
+    const hospitalProfileId = await hospitalMemberService.getHospitalProfileId(hospitalUserId);
 
     // getAllApplications ile aynı JOIN sırası ve mantığı kullan
     const application = await db('applications as a')
@@ -1767,7 +1892,7 @@ const getApplicationById = async (hospitalUserId, applicationId) => {
       .leftJoin('cities as c', 'j.city_id', 'c.id')
       .leftJoin('specialties as s', 'j.specialty_id', 's.id')
       .where('a.id', applicationId)
-      .where('j.hospital_id', hospitalProfile.id)
+      .where('j.hospital_id', hospitalProfileId)
       .whereNull('a.deleted_at') // Soft delete: Silinmiş başvuruları gösterme
       .whereNull('j.deleted_at') // Soft delete: Silinmiş iş ilanlarına ait başvuruları gösterme
       .select(
@@ -1795,12 +1920,15 @@ const getApplicationById = async (hospitalUserId, applicationId) => {
       .first();
 
     if (!application) {
-      logger.warn(`Application not found: applicationId=${applicationId}, hospitalProfileId=${hospitalProfile.id}, hospitalUserId=${hospitalUserId}`);
+      logger.warn(`Application not found: applicationId=${applicationId}, hospitalProfileId=${hospitalProfileId}, hospitalUserId=${hospitalUserId}`);
       throw new AppError('Başvuru bulunamadı', 404);
     }
     
     logger.debug(`Application found: applicationId=${applicationId}, jobId=${application.job_id}, doctorProfileId=${application.doctor_profile_id}`);
 
+    const tagsByApplication = await applicationPipelineService.getTagsByApplication([application.id]);
+    application.tags = tagsByApplication[application.id] || [];
+
     // job_status fallback ekle (getAllApplications ile tutarlılık için)
     if (!application.job_status && application.job_status_id) {
       const statusMap = {
@@ -1820,10 +1948,13 @@ const getApplicationById = async (hospitalUserId, applicationId) => {
   }
 };
 
-const deactivateAccount = async (userId) => {
+const deactivateAccount = async (userId, context = {}) => {
   try {
+    const deletionScheduledAt = await accountDeletionService.calculateDeletionDate();
+    let user;
+
     await db.transaction(async (trx) => {
-      const user = await trx('users').where('id', userId).first();
+      user = await trx('users').where('id', userId).first();
       if (!user) {
         throw new AppError('Kullanıcı bulunamadı', 404);
       }
@@ -1836,13 +1967,16 @@ const deactivateAccount = async (userId) => {
         .where('id', userId)
         .update({
           is_active: false,
+          deletion_scheduled_at: deletionScheduledAt,
           updated_at: trx.fn.now()
         });
 
       await trx('refresh_tokens').where('user_id', userId).del();
     });
 
-    return true;
+    await accountDeletionService.recordDeletionScheduled(user, deletionScheduledAt, context);
+
+    return { deletion_scheduled_at: deletionScheduledAt };
   } catch (error) {
     if (error instanceof AppError) {
       throw error;
@@ -1870,12 +2004,43 @@ module.exports = {
   updateJob,
   resubmitJob,
   updateJobStatus,
+  renewJob,
+  getJobLifetimeOptions,
   
   // Başvuru yönetimi (applicationService'den taşındı)
   getApplications,
+  applyJobApplicationFilters,
   getAllApplications,
   updateApplicationStatus,
   
+  // Başvuru süreci / kanban (applicationPipelineService)
+  getPipelineBoard: applicationPipelineService.getPipelineBoard,
+  moveApplications: applicationPipelineService.moveApplications,
+  getPipelineStages: applicationPipelineService.getStages,
+  createPipelineStage: applicationPipelineService.createStage,
+  updatePipelineStage: applicationPipelineService.updateStage,
+  deletePipelineStage: applicationPipelineService.deleteStage,
+  reorderPipelineStages: applicationPipelineService.reorderStages,
+  getApplicationHistory: applicationPipelineService.getApplicationHistory,
+  getApplicationNotes: applicationPipelineService.getApplicationNotes,
+  addApplicationNote: applicationPipelineService.addApplicationNote,
+  deleteApplicationNote: applicationPipelineService.deleteApplicationNote,
+  updateApplicationEvaluation: applicationPipelineService.updateApplicationEvaluation,
+  getHospitalTags: applicationPipelineService.getHospitalTags,
+  
+  // Mülakat planlama (interviewService)
+  proposeInterview: interviewService.proposeInterview,
+  cancelInterview: interviewService.cancelInterview,
+  getApplicationInterviews: interviewService.getApplicationInterviews,
+  getUpcomingInterviews: interviewService.getUpcomingInterviews,
+  getInterviewCalendar: interviewService.getHospitalInterviewCalendar,
+  
+  // Başvuru mesajlaşması (applicationMessageService)
+  getApplicationMessages: (userId, applicationId, options) =>
+    applicationMessageService.getThread(userId, 'hospital', applicationId, options),
+  sendApplicationMessage: (userId, applicationId, body) =>
+    applicationMessageService.sendMessage(userId, 'hospital', applicationId, body),
+  
   // Dashboard yönetimi
   getRecentApplications,
   getRecentJobs,
@@ -1888,6 +2053,13 @@ module.exports = {
   getDoctorProfileDetail,
   getApplicationById,
   
+  // Ekip yönetimi (hospitalMemberService)
+  getTeam: hospitalMemberService.getTeam,
+  inviteTeamMember: hospitalMemberService.inviteMember,
+  revokeTeamInvitation: hospitalMemberService.revokeInvitation,
+  updateTeamMemberRole: hospitalMemberService.updateMemberRole,
+  removeTeamMember: hospitalMemberService.removeMember,
+  
   // Hesap yönetimi
   deactivateAccount
 };
@@ -0,0 +1,215 @@
+/**
+ * @file impersonationService.js
+ * @description Kullanıcı olarak görüntüleme servisi - Destek taleplerinde admin, doktor veya hastane
+ * kullanıcısının gördüğü ekranları kendi gözüyle inceleyebilsin diye kısa ömürlü access token üretir.
+ *
+ * Ana İşlevler:
+ * - Hedef kullanıcı adına 30 dakikalık, yenilenemeyen access token üretilmesi (refresh token/oturum yok)
+ * - Token'daki `imp` alanının doğrulanması ve isteği başlatan adminin req.impersonator olarak eklenmesi
+ * - Varsayılan salt okuma modu: GET/HEAD/OPTIONS dışındaki istekler reddedilir
+ * - Görüntüleme süresince yapılan her isteğin audit log'a yazılması (user.impersonation_request)
+ *
+ * Token payload'ı:
+ * - userId, role, isApproved: Hedef kullanıcı (authMiddleware hedef kullanıcıyı yükler)
+ * - imp: { id, adminId, readOnly } - id aynı görüntüleme oturumundaki tüm kayıtları ilişkilendirir
+ *
+ * Not:
+ * - Admin hesabı pasifleşir veya users.impersonate iznini kaybederse token hemen geçersiz olur
+ * - Admin kullanıcılar görüntülenemez; şifre, iki adımlı doğrulama, oturum ve hesap kapatma
+ *   işlemleri yazma izni olsa da engellenir (authMiddleware.blockImpersonation)
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+// ============================================================================
+// DIŞ BAĞIMLILIKLAR
+// ============================================================================
+
+const crypto = require('crypto');
+const db = require('../config/dbConfig').db;
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const LogService = require('./logService');
+const { generateAccessToken } = require('../utils/jwtUtils');
+const { getAdminPermissions } = require('../middleware/roleGuard');
+const { USER_ROLES, ADMIN_PERMISSIONS, IMPERSONATION } = require('../config/appConstants');
+
+// ============================================================================
+// YARDIMCI FONKSİYONLAR
+// ============================================================================
+
+const READ_ONLY_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// SQL Server bit değerleri 0/1, boolean veya string gelebilir; NULL is_active aktif sayılır
+const toBoolean = (value, defaultValue) => {
+  if (value === null || value === undefined) return defaultValue;
+  return value === 1 || value === true || value === '1' || value === 'true';
+};
+
+// ============================================================================
+// GÖRÜNTÜLEME BAŞLATMA
+// ============================================================================
+
+/**
+ * Hedef kullanıcı adına görüntüleme token'ı üretir
+ * @param {Object} admin - { id, email, ipAddress, userAgent }
+ * @param {number} targetUserId - Görüntülenecek doktor veya hastane kullanıcısı
+ * @param {Object} options - { reason, allow_write }
+ * @returns {Promise<Object>} { accessToken, expires_at, read_only, user }
+ * @throws {AppError} 404 kullanıcı yoksa, 400 admin veya erişemeyen bir hesapsa
+ */
+const startImpersonation = async (admin, targetUserId, { reason, allow_write: allowWrite = false }) => {
+  const target = await db('users').where('id', targetUserId).first();
+  if (!target) {
+    throw new AppError('Kullanıcı bulunamadı', 404);
+  }
+
+  if (target.role === USER_ROLES.ADMIN) {
+    throw new AppError('Admin kullanıcılar görüntülenemez', 400);
+  }
+
+  // Pasif veya onaysız hesaplar zaten giriş yapamaz; görüntüleme token'ı da authMiddleware'den geçemez
+  if (!toBoolean(target.is_active, true) || !toBoolean(target.is_approved, false)) {
+    throw new AppError('Pasif veya onay bekleyen hesaplar görüntülenemez', 400);
+  }
+
+  const readOnly = !allowWrite;
+  const impersonationId = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + IMPERSONATION.TOKEN_EXPIRES_MINUTES * 60 * 1000);
+
+  const accessToken = generateAccessToken(
+    {
+      userId: target.id,
+      role: target.role,
+      isApproved: true,
+      imp: { id: impersonationId, adminId: admin.id, readOnly }
+    },
+    { expiresIn: IMPERSONATION.TOKEN_EXPIRES_IN }
+  );
+
+  const adminInfo = await LogService.getUserInfoForAudit(admin.id, USER_ROLES.ADMIN).catch(() => ({ name: 'Admin', email: admin.email }));
+  await LogService.createAuditLog({
+    actorId: admin.id,
+    actorRole: USER_ROLES.ADMIN,
+    actorName: adminInfo.name || 'Admin',
+    actorEmail: adminInfo.email || admin.email,
+    action: 'user.impersonation_start',
+    resourceType: 'user',
+    resourceId: target.id,
+    newValues: { read_only: readOnly, expires_at: expiresAt.toISOString() },
+    ipAddress: admin.ipAddress,
+    userAgent: admin.userAgent,
+    metadata: { impersonation_id: impersonationId, reason, target_email: target.email, target_role: target.role }
+  }).catch(err => logger.error('Audit log kayıt hatası', { error: err.message }));
+
+  LogService.createSecurityLog({
+    eventType: 'impersonation_started',
+    severity: readOnly ? 'medium' : 'high',
+    message: `${admin.email} kullanıcı olarak görüntülemeyi başlattı: ${target.email}${readOnly ? '' : ' (yazma izniyle)'}`,
+    userId: target.id,
+    email: target.email,
+    ipAddress: admin.ipAddress,
+    userAgent: admin.userAgent,
+    metadata: { impersonation_id: impersonationId, admin_id: admin.id, read_only: readOnly, reason }
+  }).catch(err => logger.error('Security log kayıt hatası', { error: err.message }));
+
+  return {
+    accessToken,
+    expires_at: expiresAt,
+    read_only: readOnly,
+    user: {
+      id: target.id,
+      email: target.email,
+      role: target.role,
+      is_approved: true,
+      is_active: true
+    }
+  };
+};
+
+// ============================================================================
+// İSTEK DOĞRULAMA VE KAYIT (authMiddleware)
+// ============================================================================
+
+/**
+ * Token'daki görüntüleme bilgisini doğrular
+ * @param {Object} imp - Token payload'ındaki imp alanı
+ * @returns {Promise<Object>} req.impersonator - { id, email, impersonationId, readOnly }
+ * @throws {AppError} 401 admin hesabı geçersizse veya users.impersonate iznini kaybettiyse
+ */
+const resolveImpersonator = async (imp) => {
+  const adminUser = imp?.adminId
+    ? await db('users').where('id', imp.adminId).first()
+    : null;
+
+  if (
+    !adminUser ||
+    !toBoolean(adminUser.is_active, true) ||
+    !getAdminPermissions(adminUser).includes(ADMIN_PERMISSIONS.USERS_IMPERSONATE)
+  ) {
+    throw new AppError('Kullanıcı olarak görüntüleme oturumu geçersiz', 401);
+  }
+
+  return {
+    id: adminUser.id,
+    email: adminUser.email,
+    impersonationId: imp.id,
+    readOnly: imp.readOnly !== false
+  };
+};
+
+/**
+ * Salt okuma modunda değişiklik yapan istekleri reddeder
+ * @param {Object} impersonator - req.impersonator
+ * @param {string} method - HTTP metodu
+ * @throws {AppError} 403
+ */
+const assertAllowedMethod = (impersonator, method) => {
+  if (impersonator.readOnly && !READ_ONLY_METHODS.has(method)) {
+    throw new AppError('Kullanıcı olarak görüntüleme salt okuma modunda; değişiklik yapılamaz', 403);
+  }
+};
+
+/**
+ * Görüntüleme sırasında yapılan isteği yanıt tamamlanınca audit log'a yazar
+ * @description Admin adı startImpersonation'daki gibi LogService.getUserInfoForAudit ile çözülür;
+ * sorgu yanıt tamamlandıktan sonra yapıldığı için isteği geciktirmez.
+ * @param {Object} req - Express request (req.user hedef kullanıcı, req.impersonator admin)
+ * @param {Object} res - Express response
+ */
+const recordImpersonatedRequest = (req, res) => {
+  res.on('finish', async () => {
+    const adminInfo = await LogService.getUserInfoForAudit(req.impersonator.id, USER_ROLES.ADMIN)
+      .catch(() => ({ name: 'Admin', email: req.impersonator.email }));
+
+    LogService.createAuditLog({
+      actorId: req.impersonator.id,
+      actorRole: USER_ROLES.ADMIN,
+      actorName: adminInfo.name || 'Admin',
+      actorEmail: adminInfo.email || req.impersonator.email,
+      action: 'user.impersonation_request',
+      resourceType: 'user',
+      resourceId: req.user?.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      metadata: {
+        impersonation_id: req.impersonator.impersonationId,
+        read_only: req.impersonator.readOnly,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode
+      }
+    }).catch(err => logger.error('Audit log kayıt hatası', { error: err.message }));
+  });
+};
+
+module.exports = {
+  startImpersonation,
+  resolveImpersonator,
+  assertAllowedMethod,
+  recordImpersonatedRequest
+};
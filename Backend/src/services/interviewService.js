@@ -0,0 +1,794 @@
+/**
+ * @file interviewService.js
+ * @description Mülakat servisi - Hastane ile başvuran doktor arasındaki mülakat planlamasını yönetir.
+ *
+ * Ana İşlevler:
+ * - Hastanenin "İnceleniyor" durumundaki başvuru için zaman dilimleri önermesi
+ * - Doktorun önerilen zaman dilimlerinden birini kabul etmesi (mobil)
+ * - Hastanenin mülakatı iptal etmesi
+ * - Hastane paneli için yaklaşan mülakatlar
+ * - iCalendar (.ics) dosyası üretimi
+ * - Mülakat öncesi hatırlatma bildirimleri (cron)
+ *
+ * Akış:
+ * - proposed: Hastane 1-5 zaman dilimi önerdi, doktorun seçimi bekleniyor
+ * - scheduled: Doktor bir zaman dilimini seçti
+ * - cancelled: Hastane mülakatı iptal etti
+ * - Bir başvuruda aynı anda yalnızca bir aktif (proposed/scheduled) mülakat olabilir
+ *
+ * Veritabanı Tabloları:
+ * - interviews: Mülakat kayıtları
+ * - interview_slots: Önerilen zaman dilimleri
+ * - applications / jobs / doctor_profiles / hospital_profiles: Sahiplik ve bildirim bilgileri
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+// ============================================================================
+// DIŞ BAĞIMLILIKLAR
+// ============================================================================
+
+const crypto = require('crypto');
+const db = require('../config/dbConfig').db;
+const { AppError } = require('../utils/errorHandler');
+const notificationService = require('./notificationService');
+const hospitalMemberService = require('./hospitalMemberService');
+const logger = require('../utils/logger');
+
+// ============================================================================
+// SABİTLER
+// ============================================================================
+
+/**
+ * Mülakat önerilebilecek başvuru durumu (İnceleniyor)
+ * @type {number}
+ */
+const REVIEWING_STATUS_ID = 2;
+
+/**
+ * Hatırlatma gönderilmeyecek başvuru durumları (Reddedildi, Geri Çekildi)
+ * @type {Array<number>}
+ */
+const CLOSED_STATUS_IDS = [4, 5];
+
+/**
+ * Aktif mülakat durumları
+ * @type {Array<string>}
+ */
+const ACTIVE_INTERVIEW_STATUSES = ['proposed', 'scheduled'];
+
+/**
+ * Hatırlatma pencereleri (dakika)
+ * @type {{DAY: number, HOUR: number}}
+ */
+const REMINDER_WINDOWS = {
+  DAY: 24 * 60,
+  HOUR: 60
+};
+
+/**
+ * Hastane paneli için yaklaşan mülakat limiti
+ * @type {number}
+ */
+const UPCOMING_DEFAULT_LIMIT = 10;
+
+// ============================================================================
+// YARDIMCI FONKSİYONLAR
+// ============================================================================
+
+/**
+ * Kullanıcının ekip üyesi olduğu hastane profilini getirir
+ * @param {number} userId - Hastane kullanıcı ID'si (sahip veya ekip üyesi)
+ * @returns {Promise<Object>} Hastane profili (user_id sahip hesaptır)
+ * @throws {AppError} Profil bulunamadığında
+ */
+const getHospitalProfile = async (userId) => {
+  const hospitalProfileId = await hospitalMemberService.getHospitalProfileId(userId);
+  const profile = await db('hospital_profiles')
+    .where('id', hospitalProfileId)
+    .select('id', 'user_id', 'institution_name')
+    .first();
+
+  if (!profile) {
+    throw new AppError('Hastane profili bulunamadı', 404);
+  }
+
+  return profile;
+};
+
+/**
+ * Kullanıcının doktor profilini getirir
+ * @param {number} userId - Doktor kullanıcı ID'si
+ * @returns {Promise<Object>} Doktor profili
+ * @throws {AppError} Profil bulunamadığında
+ */
+const getDoctorProfile = async (userId) => {
+  const profile = await db('doctor_profiles')
+    .where('user_id', userId)
+    .select('id', 'user_id')
+    .first();
+
+  if (!profile) {
+    throw new AppError('Doktor profili bulunamadı', 404);
+  }
+
+  return profile;
+};
+
+/**
+ * Başvuruyu, ilan / doktor / hastane bilgileriyle birlikte getirir
+ * @param {Object} trx - Knex instance veya transaction
+ * @param {number} applicationId - Başvuru ID'si
+ * @returns {Promise<Object|undefined>} Başvuru bağlamı
+ */
+const getApplicationContext = (trx, applicationId) => {
+  return trx('applications as a')
+    .join('jobs as j', 'a.job_id', 'j.id')
+    .join('doctor_profiles as dp', 'a.doctor_profile_id', 'dp.id')
+    .join('hospital_profiles as hp', 'j.hospital_id', 'hp.id')
+    .where('a.id', applicationId)
+    .whereNull('a.deleted_at')
+    .select(
+      'a.id as application_id',
+      'a.status_id',
+      'a.doctor_profile_id',
+      'j.id as job_id',
+      'j.title as job_title',
+      'j.hospital_id',
+      'dp.user_id as doctor_user_id',
+      'dp.title as doctor_title',
+      'dp.first_name as doctor_first_name',
+      'dp.last_name as doctor_last_name',
+      'hp.user_id as hospital_user_id',
+      'hp.institution_name as hospital_name',
+      'hp.address as hospital_address'
+    )
+    .first();
+};
+
+/**
+ * Doktorun görünen adını oluşturur
+ * @param {Object} context - getApplicationContext sonucu
+ * @returns {string} Ör. "Dr. Ayşe Yılmaz"
+ */
+const buildDoctorName = (context) => {
+  return [context.doctor_title, context.doctor_first_name, context.doctor_last_name]
+    .filter(Boolean)
+    .join(' ');
+};
+
+/**
+ * Mülakatlara zaman dilimlerini ve seçilen zamanı ekler
+ * @param {Array<Object>} interviews - interviews satırları
+ * @returns {Promise<Array<Object>>} slots, starts_at ve calendar_path alanlarıyla mülakatlar
+ */
+const attachSlots = async (interviews) => {
+  if (interviews.length === 0) return [];
+
+  const slots = await db('interview_slots')
+    .whereIn('interview_id', interviews.map((interview) => interview.id))
+    .orderBy('starts_at', 'asc')
+    .select('id', 'interview_id', 'starts_at');
+
+  return interviews.map((interview) => {
+    const own = slots.filter((slot) => slot.interview_id === interview.id);
+    const selected = own.find((slot) => slot.id === interview.selected_slot_id);
+    const { calendar_token: calendarToken, ...rest } = interview;
+
+    return {
+      ...rest,
+      slots: own.map(({ id, starts_at }) => ({ id, starts_at })),
+      starts_at: selected ? selected.starts_at : null,
+      ends_at: selected
+        ? new Date(new Date(selected.starts_at).getTime() + interview.duration_minutes * 60000)
+        : null,
+      // Takvim bağlantısı yalnızca kesinleşmiş mülakatlarda verilir
+      calendar_path: interview.status === 'scheduled' && calendarToken
+        ? `/interviews/calendar/${calendarToken}.ics`
+        : null
+    };
+  });
+};
+
+/**
+ * Mülakat listesi için ortak kolonlar
+ * @type {Array<string>}
+ */
+const INTERVIEW_COLUMNS = [
+  'i.id',
+  'i.application_id',
+  'i.mode',
+  'i.location',
+  'i.meeting_url',
+  'i.duration_minutes',
+  'i.notes',
+  'i.status',
+  'i.selected_slot_id',
+  'i.calendar_token',
+  'i.cancel_reason',
+  'i.cancelled_at',
+  'i.scheduled_at',
+  'i.created_at'
+];
+
+// ============================================================================
+// iCALENDAR
+// ============================================================================
+
+/**
+ * Tarihi iCalendar UTC formatına çevirir
+ * @param {Date|string} date - Tarih
+ * @returns {string} Ör. 20240315T093000Z
+ */
+const formatIcsDate = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * iCalendar metin alanındaki özel karakterleri kaçışlar (RFC 5545 3.3.11)
+ * @param {string} value - Ham metin
+ * @returns {string} Kaçışlanmış metin
+ */
+const escapeIcsText = (value = '') => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Satırı 75 oktetlik parçalara katlar (RFC 5545 3.1)
+ * Türkçe karakterler UTF-8'de 2 bayt olduğundan karakter değil bayt sayılır.
+ * @param {string} line - Tek satır
+ * @returns {string} CRLF + boşluk ile katlanmış satır
+ */
+const foldIcsLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    // Devam satırları baştaki boşluk için 1 bayt kullanır
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Kesinleşmiş mülakat için iCalendar dosyası üretir
+ * @param {Object} interview - attachSlots sonrası mülakat (starts_at / ends_at dolu)
+ * @param {Object} context - getApplicationContext sonucu
+ * @returns {{filename: string, content: string}} Dosya adı ve içerik
+ */
+const buildInterviewCalendar = (interview, context) => {
+  const doctorName = buildDoctorName(context);
+  const descriptionParts = [
+    `${context.hospital_name} - ${context.job_title}`,
+    `Aday: ${doctorName}`,
+    interview.mode === 'video' ? `Görüntülü görüşme: ${interview.meeting_url}` : null,
+    interview.notes ? `Not: ${interview.notes}` : null
+  ].filter(Boolean);
+
+  const location = interview.mode === 'video'
+    ? interview.meeting_url
+    : (interview.location || context.hospital_address || context.hospital_name);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//MediKariyer//Mulakat//TR',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:interview-${interview.id}@medikariyer.com`,
+    `DTSTAMP:${formatIcsDate(new Date())}`,
+    `DTSTART:${formatIcsDate(interview.starts_at)}`,
+    `DTEND:${formatIcsDate(interview.ends_at)}`,
+    `SUMMARY:${escapeIcsText(`Mülakat: ${context.job_title} - ${context.hospital_name}`)}`,
+    `DESCRIPTION:${escapeIcsText(descriptionParts.join('\n'))}`,
+    location ? `LOCATION:${escapeIcsText(location)}` : null,
+    interview.mode === 'video' && interview.meeting_url ? `URL:${interview.meeting_url}` : null,
+    'STATUS:CONFIRMED',
+    'BEGIN:VALARM',
+    'TRIGGER:-PT1H',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeIcsText('Mülakat hatırlatması')}`,
+    'END:VALARM',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return {
+    filename: `mulakat-${interview.id}.ics`,
+    content: `${lines.map(foldIcsLine).join('\r\n')}\r\n`
+  };
+};
+
+// ============================================================================
+// HASTANE İŞLEMLERİ
+// ============================================================================
+
+/**
+ * Başvuru için mülakat önerir
+ * @param {number} userId - Hastane kullanıcı ID'si
+ * @param {number} applicationId - Başvuru ID'si
+ * @param {Object} data - Mülakat bilgileri
+ * @param {string} data.mode - in_person | video
+ * @param {string} [data.location] - Yüz yüze görüşme adresi (boşsa hastane adresi)
+ * @param {string} [data.meeting_url] - Görüntülü görüşme bağlantısı (video için zorunlu)
+ * @param {number} data.duration_minutes - Süre (dakika)
+ * @param {string} [data.notes] - Doktora iletilecek not
+ * @param {Array<string|Date>} data.slots - Önerilen başlangıç zamanları
+ * @returns {Promise<Object>} Oluşturulan mülakat
+ * @throws {AppError} Başvuru İnceleniyor durumunda değilse veya aktif mülakat varsa
+ */
+const proposeInterview = async (userId, applicationId, data) => {
+  const hospital = await getHospitalProfile(userId);
+  const context = await getApplicationContext(db, applicationId);
+
+  if (!context || context.hospital_id !== hospital.id) {
+    throw new AppError('Başvuru bulunamadı veya yetkiniz yok', 404);
+  }
+
+  if (context.status_id !== REVIEWING_STATUS_ID) {
+    throw new AppError('Mülakat yalnızca "İnceleniyor" durumundaki başvurular için planlanabilir', 400);
+  }
+
+  if (data.mode === 'video' && !data.meeting_url) {
+    throw new AppError('Görüntülü görüşme için bağlantı gereklidir', 400);
+  }
+
+  const now = Date.now();
+  const slotTimes = [...new Set(data.slots.map((slot) => new Date(slot).getTime()))].sort((a, b) => a - b);
+  if (slotTimes.some((time) => time <= now)) {
+    throw new AppError('Önerilen zamanlar ileri bir tarih olmalıdır', 400);
+  }
+
+  const interviewId = await db.transaction(async (trx) => {
+    const active = await trx('interviews')
+      .where('application_id', applicationId)
+      .whereIn('status', ACTIVE_INTERVIEW_STATUSES)
+      .first('id');
+
+    if (active) {
+      throw new AppError('Bu başvuru için zaten aktif bir mülakat var. Yeni öneri için önce mevcut mülakatı iptal edin.', 409);
+    }
+
+    const result = await trx('interviews')
+      .insert({
+        application_id: applicationId,
+        hospital_id: hospital.id,
+        mode: data.mode,
+        location: data.mode === 'in_person' ? (data.location || null) : null,
+        meeting_url: data.mode === 'video' ? data.meeting_url : null,
+        duration_minutes: data.duration_minutes,
+        notes: data.notes || null,
+        status: 'proposed',
+        calendar_token: crypto.randomBytes(24).toString('hex'),
+        created_by: userId,
+        created_at: trx.fn.now(),
+        updated_at: trx.fn.now()
+      })
+      .returning('id');
+
+    const id = result[0]?.id || result[0];
+
+    await trx('interview_slots').insert(
+      slotTimes.map((time) => ({ interview_id: id, starts_at: new Date(time), created_at: trx.fn.now() }))
+    );
+
+    return id;
+  });
+
+  try {
+    await notificationService.sendInterviewNotification(context.doctor_user_id, 'proposed', {
+      interview_id: interviewId,
+      application_id: context.application_id,
+      job_title: context.job_title,
+      hospital_name: context.hospital_name,
+      slot_count: slotTimes.length
+    });
+  } catch (error) {
+    logger.warn('Mülakat daveti bildirimi gönderilemedi:', error);
+  }
+
+  const [interview] = await attachSlots(
+    await db('interviews as i').where('i.id', interviewId).select(INTERVIEW_COLUMNS)
+  );
+  return interview;
+};
+
+/**
+ * Mülakatı iptal eder
+ * @param {number} userId - Hastane kullanıcı ID'si
+ * @param {number} interviewId - Mülakat ID'si
+ * @param {string} [reason] - İptal sebebi (doktora iletilir)
+ * @returns {Promise<void>}
+ * @throws {AppError} Mülakat bulunamadığında veya zaten iptal edildiyse
+ */
+const cancelInterview = async (userId, interviewId, reason = null) => {
+  const hospital = await getHospitalProfile(userId);
+  const interview = await db('interviews')
+    .where({ id: interviewId, hospital_id: hospital.id })
+    .first();
+
+  if (!interview) {
+    throw new AppError('Mülakat bulunamadı veya yetkiniz yok', 404);
+  }
+
+  if (!ACTIVE_INTERVIEW_STATUSES.includes(interview.status)) {
+    throw new AppError('Bu mülakat zaten iptal edilmiş', 400);
+  }
+
+  await db('interviews')
+    .where('id', interviewId)
+    .update({
+      status: 'cancelled',
+      cancel_reason: reason || null,
+      cancelled_at: db.fn.now(),
+      updated_at: db.fn.now()
+    });
+
+  const context = await getApplicationContext(db, interview.application_id);
+  if (context) {
+    try {
+      await notificationService.sendInterviewNotification(context.doctor_user_id, 'cancelled', {
+        interview_id: interview.id,
+        application_id: context.application_id,
+        job_title: context.job_title,
+        hospital_name: context.hospital_name,
+        reason
+      });
+    } catch (error) {
+      logger.warn('Mülakat iptal bildirimi gönderilemedi:', error);
+    }
+  }
+};
+
+/**
+ * Başvurunun tüm mülakatlarını getirir (hastane, en yeni önce)
+ * @param {number} userId - Hastane kullanıcı ID'si
+ * @param {number} applicationId - Başvuru ID'si
+ * @returns {Promise<Array<Object>>} Mülakatlar
+ * @throws {AppError} Başvuru hastaneye ait değilse
+ */
+const getApplicationInterviews = async (userId, applicationId) => {
+  const hospital = await getHospitalProfile(userId);
+  const context = await getApplicationContext(db, applicationId);
+
+  if (!context || context.hospital_id !== hospital.id) {
+    throw new AppError('Başvuru bulunamadı veya yetkiniz yok', 404);
+  }
+
+  const interviews = await db('interviews as i')
+    .where('i.application_id', applicationId)
+    .orderBy('i.created_at', 'desc')
+    .select(INTERVIEW_COLUMNS);
+
+  return attachSlots(interviews);
+};
+
+/**
+ * Hastane paneli için yaklaşan mülakatları getirir
+ * Kesinleşmiş mülakatlar seçilen zamana, yanıt bekleyenler en erken öneriye göre sıralanır.
+ * @param {number} userId - Hastane kullanıcı ID'si
+ * @param {Object} [options] - Seçenekler
+ * @param {number} [options.limit=10] - En fazla kayıt
+ * @returns {Promise<Array<Object>>} Mülakatlar (doktor adı, ilan başlığı ve next_at ile)
+ */
+const getUpcomingInterviews = async (userId, { limit = UPCOMING_DEFAULT_LIMIT } = {}) => {
+  const hospital = await getHospitalProfile(userId);
+  const now = new Date();
+
+  const rows = await db('interviews as i')
+    .join('applications as a', 'i.application_id', 'a.id')
+    .join('jobs as j', 'a.job_id', 'j.id')
+    .join('doctor_profiles as dp', 'a.doctor_profile_id', 'dp.id')
+    .where('i.hospital_id', hospital.id)
+    .whereIn('i.status', ACTIVE_INTERVIEW_STATUSES)
+    .whereNull('a.deleted_at')
+    .whereNotIn('a.status_id', CLOSED_STATUS_IDS)
+    .whereExists(function () {
+      this.select(db.raw(1))
+        .from('interview_slots as s')
+        .whereRaw('s.interview_id = i.id')
+        .where('s.starts_at', '>', now)
+        .where(function () {
+          this.whereNull('i.selected_slot_id').orWhereRaw('s.id = i.selected_slot_id');
+        });
+    })
+    .select(
+      ...INTERVIEW_COLUMNS,
+      'j.title as job_title',
+      'dp.title as doctor_title',
+      'dp.first_name as doctor_first_name',
+      'dp.last_name as doctor_last_name'
+    );
+
+  const interviews = await attachSlots(rows);
+
+  return interviews
+    .map((interview) => {
+      const nextSlot = interview.slots.find((slot) => new Date(slot.starts_at) > now);
+      const {
+        doctor_title: title,
+        doctor_first_name: firstName,
+        doctor_last_name: lastName,
+        ...rest
+      } = interview;
+
+      return {
+        ...rest,
+        doctor_name: [title, firstName, lastName].filter(Boolean).join(' '),
+        next_at: interview.starts_at || (nextSlot ? nextSlot.starts_at : null)
+      };
+    })
+    .sort((a, b) => new Date(a.next_at) - new Date(b.next_at))
+    .slice(0, limit);
+};
+
+/**
+ * Hastanenin kesinleşmiş mülakatı için .ics dosyası üretir
+ * @param {number} userId - Hastane kullanıcı ID'si
+ * @param {number} interviewId - Mülakat ID'si
+ * @returns {Promise<{filename: string, content: string}>}
+ * @throws {AppError} Mülakat bulunamadığında veya henüz kesinleşmediyse
+ */
+const getHospitalInterviewCalendar = async (userId, interviewId) => {
+  const hospital = await getHospitalProfile(userId);
+  const row = await db('interviews as i')
+    .where({ 'i.id': interviewId, 'i.hospital_id': hospital.id })
+    .select(INTERVIEW_COLUMNS)
+    .first();
+
+  if (!row) {
+    throw new AppError('Mülakat bulunamadı veya yetkiniz yok', 404);
+  }
+
+  if (row.status !== 'scheduled') {
+    throw new AppError('Takvim dosyası yalnızca kesinleşmiş mülakatlar için indirilebilir', 400);
+  }
+
+  const [interview] = await attachSlots([row]);
+  const context = await getApplicationContext(db, row.application_id);
+  return buildInterviewCalendar(interview, context);
+};
+
+// ============================================================================
+// DOKTOR İŞLEMLERİ
+// ============================================================================
+
+/**
+ * Doktorun başvurusundaki güncel mülakatı getirir
+ * Aktif mülakat varsa o, yoksa en son iptal edilen döner.
+ * @param {number} userId - Doktor kullanıcı ID'si
+ * @param {number} applicationId - Başvuru ID'si
+ * @returns {Promise<Object|null>} Mülakat veya null
+ */
+const getDoctorApplicationInterview = async (userId, applicationId) => {
+  const profile = await getDoctorProfile(userId);
+
+  const rows = await db('interviews as i')
+    .join('applications as a', 'i.application_id', 'a.id')
+    .where('i.application_id', applicationId)
+    .where('a.doctor_profile_id', profile.id)
+    .orderByRaw("CASE WHEN i.status = 'cancelled' THEN 1 ELSE 0 END")
+    .orderBy('i.created_at', 'desc')
+    .select(INTERVIEW_COLUMNS)
+    .limit(1);
+
+  const [interview] = await attachSlots(rows);
+  return interview || null;
+};
+
+/**
+ * Doktor önerilen zaman dilimlerinden birini kabul eder
+ * @param {number} userId - Doktor kullanıcı ID'si
+ * @param {number} applicationId - Başvuru ID'si
+ * @param {number} slotId - Seçilen zaman dilimi ID'si
+ * @returns {Promise<Object>} Güncel mülakat
+ * @throws {AppError} Bekleyen mülakat yoksa, zaman dilimi geçersizse veya geçmişteyse
+ */
+const acceptInterviewSlot = async (userId, applicationId, slotId) => {
+  const profile = await getDoctorProfile(userId);
+  const context = await getApplicationContext(db, applicationId);
+
+  if (!context || context.doctor_profile_id !== profile.id) {
+    throw new AppError('Başvuru bulunamadı', 404);
+  }
+
+  if (CLOSED_STATUS_IDS.includes(context.status_id)) {
+    throw new AppError('Bu başvuru için mülakat kabul edilemez', 400);
+  }
+
+  const interview = await db('interviews')
+    .where({ application_id: applicationId, status: 'proposed' })
+    .first();
+
+  if (!interview) {
+    throw new AppError('Yanıt bekleyen bir mülakat daveti bulunamadı', 404);
+  }
+
+  const slot = await db('interview_slots')
+    .where({ id: slotId, interview_id: interview.id })
+    .first();
+
+  if (!slot) {
+    throw new AppError('Seçilen zaman bu mülakata ait değil', 400);
+  }
+
+  if (new Date(slot.starts_at) <= new Date()) {
+    throw new AppError('Seçilen zaman geçmiş. Lütfen başka bir zaman seçin.', 400);
+  }
+
+  // status koşulu eşzamanlı iptal / kabul isteklerine karşı korur
+  const updated = await db('interviews')
+    .where({ id: interview.id, status: 'proposed' })
+    .update({
+      status: 'scheduled',
+      selected_slot_id: slot.id,
+      scheduled_at: db.fn.now(),
+      updated_at: db.fn.now()
+    });
+
+  if (!updated) {
+    throw new AppError('Mülakat daveti artık geçerli değil', 409);
+  }
+
+  try {
+    await notificationService.sendInterviewNotification(context.hospital_user_id, 'scheduled', {
+      interview_id: interview.id,
+      application_id: context.application_id,
+      job_title: context.job_title,
+      doctor_name: buildDoctorName(context),
+      starts_at: slot.starts_at
+    });
+  } catch (error) {
+    logger.warn('Mülakat onay bildirimi gönderilemedi:', error);
+  }
+
+  return getDoctorApplicationInterview(userId, applicationId);
+};
+
+// ============================================================================
+// TAKVİM BAĞLANTISI
+// ============================================================================
+
+/**
+ * Takvim anahtarıyla .ics dosyası üretir (oturum gerektirmeyen bağlantı)
+ * Mobil uygulama dosyayı cihazın takvimine bu bağlantı üzerinden açtırır.
+ * @param {string} token - interviews.calendar_token
+ * @returns {Promise<{filename: string, content: string}>}
+ * @throws {AppError} Anahtar geçersizse veya mülakat kesinleşmemişse
+ */
+const getCalendarByToken = async (token) => {
+  const row = await db('interviews as i')
+    .where('i.calendar_token', token)
+    .where('i.status', 'scheduled')
+    .select(INTERVIEW_COLUMNS)
+    .first();
+
+  if (!row) {
+    throw new AppError('Takvim kaydı bulunamadı', 404);
+  }
+
+  const [interview] = await attachSlots([row]);
+  const context = await getApplicationContext(db, row.application_id);
+  return buildInterviewCalendar(interview, context);
+};
+
+// ============================================================================
+// HATIRLATMALAR
+// ============================================================================
+
+/**
+ * Yaklaşan mülakatlar için doktora ve hastaneye hatırlatma gönderir
+ * - 24 saat kala bir kez, 1 saat kala bir kez
+ * - Cron bir çalışmayı kaçırırsa 1 saat penceresine girmiş mülakatta yalnızca
+ *   1 saat hatırlatması gönderilir (iki bildirim art arda gitmez)
+ * @returns {Promise<{interviews_checked: number, reminders_sent: number}>}
+ */
+const processInterviewReminders = async () => {
+  const now = new Date();
+  const dayAhead = new Date(now.getTime() + REMINDER_WINDOWS.DAY * 60000);
+
+  const rows = await db('interviews as i')
+    .join('interview_slots as s', 'i.selected_slot_id', 's.id')
+    .join('applications as a', 'i.application_id', 'a.id')
+    .where('i.status', 'scheduled')
+    .whereNull('a.deleted_at')
+    .whereNotIn('a.status_id', CLOSED_STATUS_IDS)
+    .where('s.starts_at', '>', now)
+    .where('s.starts_at', '<=', dayAhead)
+    .where(function () {
+      this.whereNull('i.reminder_day_sent_at').orWhereNull('i.reminder_hour_sent_at');
+    })
+    .select(
+      'i.id',
+      'i.application_id',
+      'i.reminder_day_sent_at',
+      'i.reminder_hour_sent_at',
+      's.starts_at'
+    );
+
+  let remindersSent = 0;
+
+  for (const row of rows) {
+    const minutesLeft = (new Date(row.starts_at).getTime() - now.getTime()) / 60000;
+    const inHourWindow = minutesLeft <= REMINDER_WINDOWS.HOUR;
+
+    let update = null;
+    if (inHourWindow && !row.reminder_hour_sent_at) {
+      update = { reminder_hour_sent_at: db.fn.now() };
+      if (!row.reminder_day_sent_at) update.reminder_day_sent_at = db.fn.now();
+    } else if (!inHourWindow && !row.reminder_day_sent_at) {
+      update = { reminder_day_sent_at: db.fn.now() };
+    }
+
+    if (!update) continue;
+
+    try {
+      const context = await getApplicationContext(db, row.application_id);
+      if (!context) continue;
+
+      const base = {
+        interview_id: row.id,
+        application_id: context.application_id,
+        job_title: context.job_title,
+        starts_at: row.starts_at
+      };
+
+      await notificationService.sendInterviewNotification(context.doctor_user_id, 'reminder', {
+        ...base,
+        hospital_name: context.hospital_name
+      });
+      await notificationService.sendInterviewNotification(context.hospital_user_id, 'reminder', {
+        ...base,
+        doctor_name: buildDoctorName(context)
+      });
+
+      await db('interviews').where('id', row.id).update(update);
+      remindersSent += 2;
+    } catch (error) {
+      logger.error(`[Interview Reminder] Mülakat ${row.id} için hatırlatma gönderilemedi:`, error);
+    }
+  }
+
+  return { interviews_checked: rows.length, reminders_sent: remindersSent };
+};
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Hastane
+  proposeInterview,
+  cancelInterview,
+  getApplicationInterviews,
+  getUpcomingInterviews,
+  getHospitalInterviewCalendar,
+
+  // Doktor
+  getDoctorApplicationInterview,
+  acceptInterviewSlot,
+
+  // Takvim ve hatırlatma
+  getCalendarByToken,
+  processInterviewReminders
+};
@@ -0,0 +1,420 @@
+/**
+ * @file jobSearchService.js
+ * @description İlan arama indeksi - Türkçe duyarlı, alan ağırlıklı tam metin arama
+ * Web (doctorService.getJobs), mobil (mobileJobSearchService) ve kayıtlı arama eşleştirmesi
+ * (savedSearchService) aynı indeksi kullanır.
+ *
+ * İndeks:
+ * - Süreç içi ters indeks (terim → ilan → ağırlık); yayındaki ilanların başlık, branş, yan dal,
+ *   hastane, şehir ve açıklama alanlarından kurulur
+ * - Metinler turkishText ile normalize edilir ve köklerine indirilir (İ/ı, Ş/ş, çekim ekleri)
+ * - Kurulduktan sonra REFRESH_INTERVAL_SECONDS'da bir yalnızca değişen ilanlar (jobs.updated_at,
+ *   hospital_profiles.updated_at, hastane kullanıcısının users.updated_at) yeniden indekslenir;
+ *   lookup adı değişiklikleri gibi diğer değişiklikler FULL_REBUILD_MINUTES'da bir yapılan tam
+ *   kurulumla yansır
+ * - İndekste yalnızca listelenebilir ilanlar (onaylı, silinmemiş, hastanesi aktif) tutulur; böylece
+ *   MAX_RESULTS sınırı yayında olmayan ilanlarla dolmaz. Aynı koşullar her sorguda SQL tarafında
+ *   tekrar uygulandığı için geride kalmış bir kayıt sonuçlara sızmaz
+ *
+ * Arama:
+ * - Çok kelimeli aramada her kelime ilanın en az bir alanında geçmelidir (AND)
+ * - Skor = her kelime için eşleşen alan ağırlıklarının toplamı (JOB_SEARCH.FIELD_WEIGHTS)
+ * - Kök eşleşmesi tam puan, önek eşleşmesi (yazılmakta olan kelime: "kardiyo") yarım puan alır
+ * - Sonuç SQL sorgusuna OPENJSON ile tek parametre olarak bağlanır; filtreler, sayım ve
+ *   sayfalama SQL'de kalır, sıralama skora göre yapılır (SQL Server 2016+)
+ * - Eşleşme MAX_RESULTS'tan fazlaysa en alakalı MAX_RESULTS ilan alınır ve truncated: true döner;
+ *   listeleme yanıtları bunu pagination.truncated ile bildirir (toplam sayı eksik olabilir)
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+// ============================================================================
+// DIŞ BAĞIMLILIKLAR
+// ============================================================================
+
+const db = require('../config/dbConfig').db;
+const logger = require('../utils/logger');
+const { JOB_SEARCH } = require('../config/appConstants');
+const { tokenizeTurkish, stemTurkish } = require('../utils/turkishText');
+
+// ============================================================================
+// İNDEKS DURUMU
+// ============================================================================
+
+/** SQL sorgusunda arama sonuçlarının takma adı (sıralama için) */
+const RANK_ALIAS = 'search_rank';
+
+const BUILD_BATCH_SIZE = 1000;
+
+/** İndekslenen alanlar: [ağırlık anahtarı, kaynak sorgudaki kolon] */
+const INDEXED_FIELDS = [
+  ['title', 'title'],
+  ['specialty', 'specialty_name'],
+  ['subspecialty', 'subspecialty_name'],
+  ['hospital', 'hospital_name'],
+  ['city', 'city_name'],
+  ['description', 'description']
+];
+
+const createIndex = () => ({
+  stems: new Map(), // kök → Map(jobId → ağırlık) - tam eşleşme
+  words: new Map(), // kelime → Map(jobId → ağırlık) - önek eşleşmesi
+  jobTerms: new Map(), // jobId → { stems, words } - ilan çıkarılırken kullanılır
+  sortedWords: null // önek araması için sıralı kelime listesi (değişiklikte sıfırlanır)
+});
+
+const state = {
+  index: createIndex(),
+  builtAt: 0,
+  refreshedAt: 0,
+  syncedAt: null, // son senkronizasyonun veritabanı saati
+  building: null,
+  refreshing: null
+};
+
+// ============================================================================
+// YARDIMCI FONKSİYONLAR
+// ============================================================================
+
+const addPosting = (map, term, jobId, weight) => {
+  let postings = map.get(term);
+  if (!postings) {
+    postings = new Map();
+    map.set(term, postings);
+  }
+  postings.set(jobId, (postings.get(jobId) || 0) + weight);
+};
+
+const removePostings = (map, terms, jobId) => {
+  terms.forEach((term) => {
+    const postings = map.get(term);
+    if (!postings) return;
+    postings.delete(jobId);
+    if (postings.size === 0) map.delete(term);
+  });
+};
+
+/**
+ * İlanı indeksten çıkarır
+ */
+const removeJob = (index, jobId) => {
+  const terms = index.jobTerms.get(jobId);
+  if (!terms) return;
+  removePostings(index.stems, terms.stems, jobId);
+  removePostings(index.words, terms.words, jobId);
+  index.jobTerms.delete(jobId);
+  index.sortedWords = null;
+};
+
+/**
+ * İlanı indekse ekler (varsa önce eski terimleri çıkarılır)
+ * Bir terim aynı alanda kaç kez geçerse geçsin alan ağırlığı bir kez sayılır; farklı alanlarda
+ * geçen terimlerin ağırlıkları toplanır.
+ */
+const addJob = (index, job) => {
+  removeJob(index, job.id);
+
+  const stemWeights = new Map();
+  const wordWeights = new Map();
+
+  INDEXED_FIELDS.forEach(([field, column]) => {
+    const weight = JOB_SEARCH.FIELD_WEIGHTS[field];
+    const words = new Set(tokenizeTurkish(job[column]));
+    const stems = new Set([...words].map(stemTurkish));
+    words.forEach((word) => wordWeights.set(word, (wordWeights.get(word) || 0) + weight));
+    stems.forEach((stem) => stemWeights.set(stem, (stemWeights.get(stem) || 0) + weight));
+  });
+
+  if (stemWeights.size === 0) return;
+
+  stemWeights.forEach((weight, stem) => addPosting(index.stems, stem, job.id, weight));
+  wordWeights.forEach((weight, word) => addPosting(index.words, word, job.id, weight));
+  index.jobTerms.set(job.id, { stems: [...stemWeights.keys()], words: [...wordWeights.keys()] });
+  index.sortedWords = null;
+};
+
+/**
+ * İndekslenecek alanları getiren sorgu
+ * Listelenebilirlik (isSearchable) için yayın durumu ve hastane kullanıcısının aktifliği de seçilir.
+ */
+const buildSourceQuery = () => db('jobs as j')
+  .leftJoin('cities as c', 'j.city_id', 'c.id')
+  .leftJoin('specialties as s', 'j.specialty_id', 's.id')
+  .leftJoin('subspecialties as ss', 'j.subspecialty_id', 'ss.id')
+  .leftJoin('hospital_profiles as hp', 'j.hospital_id', 'hp.id')
+  .leftJoin('users as hospital_users', 'hp.user_id', 'hospital_users.id')
+  .select(
+    'j.id',
+    'j.status_id',
+    'j.deleted_at',
+    'hospital_users.is_active as hospital_active',
+    'j.title',
+    'j.description',
+    'c.name as city_name',
+    's.name as specialty_name',
+    'ss.name as subspecialty_name',
+    'hp.institution_name as hospital_name'
+  );
+
+/** mobileJobSearchService.buildJobsBaseQuery ve doctorService.getJobs ile aynı koşullar */
+const isSearchable = (job) => job.status_id === 3 && !job.deleted_at &&
+  (job.hospital_active === true || job.hospital_active === 1);
+
+const getDatabaseTime = async () => {
+  const [{ now }] = await db.raw('SELECT GETDATE() AS now');
+  return now;
+};
+
+/**
+ * İndeksi baştan kurar; kurulum bitene kadar mevcut indeks kullanılmaya devam eder
+ */
+const buildIndex = async () => {
+  const startedAt = Date.now();
+  const syncedAt = await getDatabaseTime();
+  const index = createIndex();
+
+  let lastId = 0;
+  for (;;) {
+    const rows = await buildSourceQuery()
+      .where('j.status_id', 3)
+      .whereNull('j.deleted_at')
+      .where('hospital_users.is_active', true)
+      .where('j.id', '>', lastId)
+      .orderBy('j.id')
+      .limit(BUILD_BATCH_SIZE);
+
+    rows.forEach((row) => addJob(index, row));
+    if (rows.length < BUILD_BATCH_SIZE) break;
+    lastId = rows[rows.length - 1].id;
+  }
+
+  state.index = index;
+  state.syncedAt = syncedAt;
+  state.builtAt = Date.now();
+  state.refreshedAt = state.builtAt;
+
+  logger.info(`[Job Search] İndeks kuruldu: ${index.jobTerms.size} ilan, ${index.stems.size} terim (${Date.now() - startedAt} ms)`);
+};
+
+/**
+ * Son senkronizasyondan sonra değişen ilanları (veya hastanesi değişenleri) yeniden indeksler
+ */
+const refreshIndex = async () => {
+  const syncedAt = await getDatabaseTime();
+  const since = state.syncedAt;
+
+  const rows = await buildSourceQuery()
+    .where(function() {
+      this.where('j.updated_at', '>=', since)
+        .orWhere('hp.updated_at', '>=', since)
+        .orWhere('hospital_users.updated_at', '>=', since);
+    });
+
+  rows.forEach((row) => {
+    if (isSearchable(row)) {
+      addJob(state.index, row);
+    } else {
+      removeJob(state.index, row.id);
+    }
+  });
+
+  state.syncedAt = syncedAt;
+  state.refreshedAt = Date.now();
+
+  if (rows.length > 0) {
+    logger.debug(`[Job Search] İndeks güncellendi: ${rows.length} ilan`);
+  }
+};
+
+/**
+ * İndeksin hazır ve güncel olmasını sağlar
+ * - İlk aramada indeks kurulur (beklenir)
+ * - Tam kurulum zamanı geldiyse arka planda yeniden kurulur, mevcut indeks kullanılır
+ * - Artımlı güncelleme zamanı geldiyse beklenir; başarısız olursa mevcut indeksle devam edilir
+ */
+const ensureIndex = async () => {
+  if (!state.builtAt) {
+    if (!state.building) {
+      state.building = buildIndex().finally(() => { state.building = null; });
+    }
+    await state.building;
+    return;
+  }
+
+  if (!state.building && Date.now() - state.builtAt > JOB_SEARCH.FULL_REBUILD_MINUTES * 60 * 1000) {
+    state.building = buildIndex()
+      .catch((error) => logger.error('[Job Search] İndeks yeniden kurulamadı:', error))
+      .finally(() => { state.building = null; });
+  }
+
+  if (!state.building && Date.now() - state.refreshedAt > JOB_SEARCH.REFRESH_INTERVAL_SECONDS * 1000) {
+    if (!state.refreshing) {
+      state.refreshing = refreshIndex()
+        .catch((error) => logger.error('[Job Search] İndeks güncellenemedi:', error))
+        .finally(() => { state.refreshing = null; });
+    }
+    await state.refreshing;
+  }
+};
+
+/**
+ * Arama terimini (kelime, kök) çiftlerine ayırır
+ * @param {string} keyword - Kullanıcının yazdığı arama terimi
+ * @returns {Array<Object>} { word, stem } listesi (tekrarsız, en fazla MAX_QUERY_TERMS)
+ */
+const parseQuery = (keyword) => {
+  const terms = new Map();
+  tokenizeTurkish(keyword).forEach((word) => {
+    const stem = stemTurkish(word);
+    if (!terms.has(stem)) terms.set(stem, { word, stem });
+  });
+  return [...terms.values()].slice(0, JOB_SEARCH.MAX_QUERY_TERMS);
+};
+
+const getSortedWords = (index) => {
+  if (!index.sortedWords) {
+    index.sortedWords = [...index.words.keys()].sort();
+  }
+  return index.sortedWords;
+};
+
+/**
+ * Önekle başlayan indeks kelimelerini ikili arama ile bulur
+ */
+const findWordsWithPrefix = (index, prefix) => {
+  const words = getSortedWords(index);
+  let low = 0;
+  let high = words.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (words[mid] < prefix) low = mid + 1;
+    else high = mid;
+  }
+
+  const matches = [];
+  for (let i = low; i < words.length && words[i].startsWith(prefix); i++) {
+    matches.push(words[i]);
+  }
+  return matches;
+};
+
+/**
+ * Tek bir arama kelimesi için ilan skorlarını hesaplar
+ * Kök eşleşmesi tam ağırlık alır; kökle (veya yazılan kelimeyle) başlayan kelimeler
+ * PREFIX_MATCH_FACTOR ile çarpılır. Bir ilan için en yüksek skor geçerlidir.
+ */
+const scoreTerm = (index, { word, stem }) => {
+  const scores = new Map(index.stems.get(stem) || []);
+
+  const prefixes = [stem];
+  if (!word.startsWith(stem)) prefixes.push(word);
+
+  prefixes
+    .filter((prefix) => prefix.length >= JOB_SEARCH.MIN_PREFIX_LENGTH)
+    .forEach((prefix) => {
+      findWordsWithPrefix(index, prefix).forEach((match) => {
+        index.words.get(match).forEach((weight, jobId) => {
+          const score = weight * JOB_SEARCH.PREFIX_MATCH_FACTOR;
+          if (score > (scores.get(jobId) || 0)) scores.set(jobId, score);
+        });
+      });
+    });
+
+  return scores;
+};
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Arama terimine uyan ilanları alaka skoruyla döndürür
+ * @param {string} keyword - Arama terimi
+ * @param {Object} [options]
+ * @param {Array<number>} [options.jobIds] - Yalnızca bu ilanlar arasında ara (kayıtlı arama eşleştirmesi);
+ * sınır aday ilanlara uygulanır, tüm indekse değil
+ * @returns {Promise<{matches: Array<Object>, truncated: boolean}|null>} matches: skora göre azalan
+ * { id, score } listesi (en fazla MAX_RESULTS); truncated: sınır nedeniyle eşleşme atıldı mı.
+ * Terimde aranabilir kelime yoksa (boş, yalnızca "ve" gibi) null döner; bu durumda arama filtresi
+ * uygulanmamalıdır.
+ * @example
+ * const { matches, truncated } = await searchJobIds('istanbul kardiyoloji');
+ * // matches: [{ id: 42, score: 20 }, { id: 17, score: 12 }], truncated: false
+ */
+const searchJobIds = async (keyword, { jobIds } = {}) => {
+  const terms = parseQuery(keyword);
+  if (terms.length === 0) return null;
+
+  await ensureIndex();
+  const { index } = state;
+
+  const candidates = jobIds ? new Set(jobIds.map(Number)) : null;
+
+  let scores = null;
+  for (const term of terms) {
+    const termScores = scoreTerm(index, term);
+    if (candidates) {
+      termScores.forEach((score, jobId) => {
+        if (!candidates.has(jobId)) termScores.delete(jobId);
+      });
+    }
+    if (scores === null) {
+      scores = termScores;
+    } else {
+      const merged = new Map();
+      scores.forEach((score, jobId) => {
+        if (termScores.has(jobId)) merged.set(jobId, score + termScores.get(jobId));
+      });
+      scores = merged;
+    }
+    if (scores.size === 0) return { matches: [], truncated: false };
+  }
+
+  const matches = [...scores]
+    .map(([id, score]) => ({ id, score }))
+    .sort((a, b) => b.score - a.score || b.id - a.id);
+
+  return {
+    matches: matches.slice(0, JOB_SEARCH.MAX_RESULTS),
+    truncated: matches.length > JOB_SEARCH.MAX_RESULTS
+  };
+};
+
+/**
+ * Arama sonuçlarını 'jobs as j' tabanlı sorguya bağlar
+ * @description Sonuç listesi tek bir JSON parametresi olarak gönderilir (SQL Server'ın 2100
+ * parametre sınırına takılmaz). Sorgunun clone'ları (sayım sorgusu) bağlantıyı korur.
+ * @param {Object} query - Knex sorgusu ('jobs as j' alias'ı ile)
+ * @param {Array<Object>} matches - searchJobIds sonucundaki matches
+ * @returns {Object} Query
+ */
+const joinSearchResults = (query, matches) => {
+  if (matches.length === 0) {
+    return query.whereRaw('1 = 0');
+  }
+  return query.joinRaw(
+    `INNER JOIN OPENJSON(?) WITH (job_id INT '$.id', score FLOAT '$.score') AS ${RANK_ALIAS} ON ${RANK_ALIAS}.job_id = j.id`,
+    [JSON.stringify(matches)]
+  );
+};
+
+/**
+ * Sorguyu alaka skoruna göre sıralar (joinSearchResults sonrası kullanılır)
+ * @param {Object} query - Knex sorgusu
+ * @returns {Object} Query
+ */
+const orderByRelevance = (query) => query.orderBy(`${RANK_ALIAS}.score`, 'desc');
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+  searchJobIds,
+  joinSearchResults,
+  orderByRelevance
+};
@@ -511,12 +511,16 @@ class LogService {
           name = `${profile.first_name} ${profile.last_name}`;
         }
       } else if (role === 'hospital') {
-        const profile = await db('hospital_profiles')
-          .select('institution_name')
-          .where('user_id', userId)
+        // Ekip üyelerinde kurum adının yanında üyenin adı da gösterilir
+        const profile = await db('hospital_members as hm')
+          .join('hospital_profiles as hp', 'hm.hospital_profile_id', 'hp.id')
+          .select('hp.institution_name', 'hm.full_name')
+          .where('hm.user_id', userId)
           .first();
         if (profile) {
-          name = profile.institution_name;
+          name = profile.full_name
+            ? `${profile.full_name} (${profile.institution_name})`
+            : profile.institution_name;
         }
       } else if (role === 'admin') {
         name = 'Admin';
@@ -8,6 +8,7 @@
  * - Başvuru detayı
  * - Başvuru oluşturma
  * - Başvuru geri çekme
+ * - Başvuru detayında güncel mülakat daveti (interviewService)
  * 
  * Veritabanı Tabloları:
  * - applications: Başvurular
@@ -37,6 +38,8 @@ const { AppError } = require('../../utils/errorHandler');
 const logger = require('../../utils/logger');
 const applicationTransformer = require('../../mobile/transformers/applicationTransformer');
 const doctorService = require('../doctorService');
+const applicationPipelineService = require('../applicationPipelineService');
+const interviewService = require('../interviewService');
 const { getDoctorProfile } = require('./mobileDoctorService');
 const { normalizeCountResult, buildPaginationSQL, normalizeRawResult } = require('../../utils/queryHelper');
 
@@ -197,7 +200,12 @@ const getApplicationDetail = async (userId, applicationId) => {
     throw new AppError('Başvuru bulunamadı', 404);
   }
 
-  return applicationTransformer.toDetail(application);
+  const interview = await interviewService.getDoctorApplicationInterview(userId, applicationId);
+
+  return {
+    ...applicationTransformer.toDetail(application),
+    interview
+  };
 };
 
 const createApplication = async (userId, { job_id: jobId, cover_letter: coverLetter }) => {
@@ -437,6 +445,16 @@ const withdrawApplication = async (userId, applicationId, reason = null) => {
         notes: reason ? `${application.notes || ''}\n\nGeri çekme sebebi: ${reason}`.trim() : application.notes,
         updated_at: db.fn.now()
       });
+
+    await applicationPipelineService.recordStatusChange(trx, {
+      applicationId,
+      fromStatusId: application.status_id,
+      toStatusId: 5,
+      fromStageId: application.pipeline_stage_id,
+      changedBy: userId,
+      changedByRole: 'doctor',
+      note: reason || null
+    });
   });
 
   // Bildirim gönder - Web'deki mantık (transaction dışında)
@@ -7,6 +7,7 @@
  * - Mobil login işlemi (sadece doktor rolü)
  * - Token yenileme (refresh token)
  * - Logout işlemi
+ * - Aktif oturumları listeleme ve sonlandırma
  * - Şifre sıfırlama talebi (forgot password - web ile aynı mantık)
  * 
  * Veritabanı Tabloları:
@@ -34,6 +35,8 @@ const db = require('../../config/dbConfig').db;
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const authService = require('../authService');
+const accountLockoutService = require('../accountLockoutService');
+const accountDeletionService = require('../accountDeletionService');
 const doctorService = require('../doctorService');
 const logger = require('../../utils/logger');
 const { AppError } = require('../../utils/errorHandler');
@@ -42,8 +45,9 @@ const {
   generateRefreshToken, 
   createRefreshTokenRecord, 
   revokeRefreshTokenByValue,
+  findRefreshTokenRecord,
   verifyRefreshTokenRecord,
-  hashRefreshToken
+  rotateRefreshToken
 } = require('../../utils/jwtUtils');
 const profileTransformer = require('../../mobile/transformers/profileTransformer');
 
@@ -87,7 +91,8 @@ const registerDoctor = async (registrationData, req) => {
       email: result.user.email,
       role: result.user.role,
       is_approved: result.user.is_approved,
-      is_active: result.user.is_active
+      is_active: result.user.is_active,
+      email_verified: !!result.user.email_verified_at
     },
     profile: {
       id: result.profile.id,
@@ -103,9 +108,11 @@ const registerDoctor = async (registrationData, req) => {
 
 /**
  * Mobile-specific credential validation (allows pending users)
- * @description Validates credentials without blocking unapproved users (for mobile waiting screen)
+ * @description Validates credentials without blocking unapproved users (for mobile waiting screen).
+ * Locked accounts are rejected before the password check; wrong passwords share the web lockout counter.
+ * @param {object} [context] - { ipAddress, userAgent }
  */
-const validateMobileCredentials = async (email, password) => {
+const validateMobileCredentials = async (email, password, context = {}) => {
   // Email'i normalize et (trim ve lowercase)
   const normalizedEmail = email ? email.trim().toLowerCase() : '';
 
@@ -123,6 +130,8 @@ const validateMobileCredentials = async (email, password) => {
     ? true
     : (user.is_active === 1 || user.is_active === true || user.is_active === '1' || user.is_active === 'true');
 
+  accountLockoutService.assertNotLocked(user);
+
   // Şifre kontrolü
   if (!user.password_hash || !user.password_hash.startsWith('$2')) {
     return null;
@@ -132,12 +141,14 @@ const validateMobileCredentials = async (email, password) => {
   const isPasswordValid = await bcrypt.compare(password, passwordHashString);
 
   if (!isPasswordValid) {
+    await accountLockoutService.registerFailedAttempt(user, { ...context, source: 'mobile' });
     return null;
   }
 
   // Mobile: Sadece is_active kontrolü yap (suspended users cannot login)
   // is_approved kontrolü YAPILMAZ (pending users can login to see waiting screen)
-  if (!isActive) {
+  // Kendi kapattığı hesabın silme bekleme süresindeki kullanıcı giriş yapabilir (login'de hesap geri açılır)
+  if (!isActive && !accountDeletionService.isDeletionPending(user)) {
     throw new AppError('Hesabınız pasifleştirilmiştir. Lütfen sistem yöneticisi ile iletişime geçin.', 403);
   }
 
@@ -146,13 +157,26 @@ const validateMobileCredentials = async (email, password) => {
 
 const login = async ({ email, password }, req) => {
   // Mobile-specific credential validation (allows pending users)
-  const user = await validateMobileCredentials(email, password);
+  let user = await validateMobileCredentials(email, password, {
+    ipAddress: req?.ip || null,
+    userAgent: req?.get?.('User-Agent') || null
+  });
   
   if (!user) {
     throw new AppError('E-posta veya şifre hatalı', 401);
   }
 
   ensureDoctorRole(user);
+  await accountLockoutService.resetFailedLogins(user);
+
+  // Kapatılmış hesapla bekleme süresinde giriş yapıldıysa silme planını iptal et ve hesabı aç
+  if (accountDeletionService.isDeletionPending(user)) {
+    user = await accountDeletionService.cancelScheduledDeletion(user, {
+      ipAddress: req?.ip || null,
+      userAgent: req?.get?.('User-Agent') || null,
+      source: 'mobile'
+    });
+  }
 
   // SQL Server bit tipini boolean'a çevir - users tablosundan gelen değerleri kullan
   // NULL durumunda varsayılan değerleri kullan: is_active DEFAULT 1, is_approved DEFAULT 0
@@ -172,13 +196,15 @@ const login = async ({ email, password }, req) => {
   // Mobile app will show "Waiting for Approval" screen based on is_approved flag
   // Only suspended users (is_active = false) are blocked
 
+  const refreshToken = generateRefreshToken({ userId: user.id });
+  const session = await createRefreshTokenRecord(user.id, refreshToken, req?.get?.('User-Agent') || 'mobile-app', req?.ip || null);
+
+  // Access token oturum ID'sini (sid) taşır; aktif oturumlar listesinde mevcut oturum işaretlenir
   const tokens = {
-    accessToken: generateAccessToken(buildTokenPayload(user)),
-    refreshToken: generateRefreshToken({ userId: user.id })
+    accessToken: generateAccessToken({ ...buildTokenPayload(user), sid: session.id }),
+    refreshToken
   };
 
-  await createRefreshTokenRecord(user.id, tokens.refreshToken, req?.get?.('User-Agent') || 'mobile-app', req?.ip || null);
-
   // Update last_login for mobile users
   await db('users')
     .where('id', user.id)
@@ -221,9 +247,9 @@ const login = async ({ email, password }, req) => {
  * Mobile-specific refresh token validation (allows pending users)
  * @description Validates refresh token without blocking unapproved users (for mobile waiting screen)
  */
-const validateMobileRefreshToken = async (refreshToken) => {
-  // Token kaydını doğrula
-  const tokenRecord = await verifyRefreshTokenRecord(refreshToken);
+const validateMobileRefreshToken = async (refreshToken, context = {}) => {
+  // Token kaydını doğrula (jti ile; yenilenmiş token tekrar gelirse aile iptal edilir)
+  const tokenRecord = await verifyRefreshTokenRecord(refreshToken, context);
   if (!tokenRecord) {
     throw new AppError('Geçersiz refresh token', 401);
   }
@@ -252,9 +278,11 @@ const validateMobileRefreshToken = async (refreshToken) => {
   return { user, tokenRecord };
 };
 
-const refresh = async (refreshToken) => {
+const refresh = async (refreshToken, req) => {
+  const context = { ipAddress: req?.ip || null, userAgent: req?.get?.('User-Agent') || null };
+
   // Mobile-specific refresh token validation (allows pending users)
-  const { user, tokenRecord } = await validateMobileRefreshToken(refreshToken);
+  const { user, tokenRecord } = await validateMobileRefreshToken(refreshToken, context);
   
   ensureDoctorRole(user);
 
@@ -272,50 +300,24 @@ const refresh = async (refreshToken) => {
     ? false  // NULL ise varsayılan 0 (görülmemiş) - SQL DEFAULT ((0))
     : (user.is_onboarding_seen === 1 || user.is_onboarding_seen === true || user.is_onboarding_seen === '1' || user.is_onboarding_seen === 'true');
 
-  // Yeni access token oluştur
+  // Refresh token rotation - aynı aileye yeni token, eski token iptal
+  const rotated = await rotateRefreshToken(tokenRecord, context);
+  if (!rotated) {
+    throw new AppError('Geçersiz refresh token', 401);
+  }
+
+  // Yeni access token oluştur (sid: oturumun güncel refresh token kaydı)
   const newAccessToken = generateAccessToken({
     userId: user.id,
     role: user.role,
     isApproved: isApproved,
-    isActive: isActive
+    isActive: isActive,
+    sid: rotated.tokenRecord.id
   });
 
-  // Refresh token rotation - sadece gerektiğinde yeni token oluştur
-  // Token'ın yarısı geçmişse yeni refresh token oluştur (güvenlik için)
-  const DAY_IN_MS = 24 * 60 * 60 * 1000;
-  const REFRESH_TOKEN_EXPIRY_DAYS = 7; // 7 gün (JWT_REFRESH_EXPIRES_IN ile uyumlu)
-  const REFRESH_TOKEN_EXPIRY_MS = REFRESH_TOKEN_EXPIRY_DAYS * DAY_IN_MS;
-  
-  let newRefreshToken = refreshToken; // Varsayılan olarak aynı token'ı kullan
-  
-  const tokenAge = Date.now() - new Date(tokenRecord.created_at).getTime();
-  const tokenMaxAge = REFRESH_TOKEN_EXPIRY_MS;
-  
-  if (tokenAge > tokenMaxAge / 2) {
-    // Token'ın yarısı geçmişse yeni refresh token oluştur (token rotation)
-    newRefreshToken = generateRefreshToken({ userId: user.id });
-    
-    const newRefreshTokenHash = hashRefreshToken(newRefreshToken);
-    const expiryTime = REFRESH_TOKEN_EXPIRY_MS;
-    
-    // Transaction ile eski token'ı sil ve yeni token'ı kaydet
-    await db.transaction(async (trx) => {
-      await trx('refresh_tokens').where('id', tokenRecord.id).del();
-      
-      await trx('refresh_tokens').insert({
-        user_id: user.id,
-        token_hash: newRefreshTokenHash,
-        expires_at: new Date(Date.now() + expiryTime),
-        user_agent: tokenRecord.user_agent || 'mobile-app',
-        ip: tokenRecord.ip || null,
-        created_at: new Date()
-      });
-    });
-  }
-
   return {
     accessToken: newAccessToken,
-    refreshToken: newRefreshToken,
+    refreshToken: rotated.refreshToken,
     user: {
       id: user.id,
       email: user.email,
@@ -390,6 +392,9 @@ const changePassword = async (userId, { currentPassword, newPassword }, currentR
   const isValid = await bcrypt.compare(currentPassword, user.password_hash);
   if (!isValid) throw new AppError('Mevcut şifre yanlış', 400);
 
+  // Mevcut oturumu bul (jti ile); diğer oturumlar sonlandırılırken korunur
+  const currentToken = currentRefreshToken ? await findRefreshTokenRecord(currentRefreshToken) : null;
+
   // Transaction ile şifre güncelleme ve oturum sonlandırma
   await db.transaction(async (trx) => {
     // Yeni şifreyi hash'le ve güncelle
@@ -399,44 +404,17 @@ const changePassword = async (userId, { currentPassword, newPassword }, currentR
       updated_at: trx.fn.now()
     });
 
-    // GÜVENLİK: Diğer tüm oturumları sonlandır (mevcut oturum hariç)
+    // GÜVENLİK: Diğer tüm oturumları sonlandır (mevcut oturumun token ailesi hariç)
     // Bu, hesap ele geçirilmişse saldırganın erişimini keser
-    const deleteQuery = trx('refresh_tokens').where('user_id', user.id);
-    
-    // Mevcut oturumu koru (eğer token varsa)
-    if (currentRefreshToken) {
-      // Token hash'ini bul ve onu hariç tut
-      const allTokens = await trx('refresh_tokens').where('user_id', user.id).select('id', 'token_hash');
-      
-      // Mevcut token'ı bul (bcrypt compare ile)
-      let currentTokenId = null;
-      for (const tokenRecord of allTokens) {
-        try {
-          const isMatch = await bcrypt.compare(currentRefreshToken, tokenRecord.token_hash);
-          if (isMatch) {
-            currentTokenId = tokenRecord.id;
-            break;
-          }
-        } catch (e) {
-          // Hash compare hatası, devam et
-        }
-      }
+    if (currentToken) {
+      const deletedCount = await trx('refresh_tokens')
+        .where('user_id', user.id)
+        .where((builder) => builder.whereNot('family_id', currentToken.family_id).orWhereNull('family_id'))
+        .del();
       
-      if (currentTokenId) {
-        // Mevcut oturum hariç diğerlerini sil
-        const deletedCount = await trx('refresh_tokens')
-          .where('user_id', user.id)
-          .whereNot('id', currentTokenId)
-          .del();
-        
-        logger.info(`Password changed, ${deletedCount} other sessions terminated for user: ${user.email} (mobile)`);
-      } else {
-        // Token bulunamadı, tüm oturumları sil (güvenlik için)
-        const deletedCount = await trx('refresh_tokens').where('user_id', user.id).del();
-        logger.info(`Password changed, all ${deletedCount} sessions terminated for user: ${user.email} (mobile)`);
-      }
+      logger.info(`Password changed, ${deletedCount} other sessions terminated for user: ${user.email} (mobile)`);
     } else {
-      // Token gönderilmedi, tüm oturumları sil
+      // Token gönderilmedi veya bulunamadı, tüm oturumları sil
       const deletedCount = await trx('refresh_tokens').where('user_id', user.id).del();
       logger.info(`Password changed, all ${deletedCount} sessions terminated for user: ${user.email} (mobile)`);
     }
@@ -464,6 +442,21 @@ const forgotPassword = async (email, req) => {
   return { success: true };
 };
 
+/**
+ * E-posta doğrulama bağlantısını yeniden gönderir
+ * @description Web'deki authService.resendEmailVerification ile aynı; bağlantı web sayfasına gider
+ * @param {string} email - Kullanıcı e-posta adresi
+ * @param {object} req - Express request objesi
+ * @returns {Promise<{success: boolean}>}
+ */
+const resendVerification = async (email, req) => {
+  return authService.resendEmailVerification({
+    email,
+    ipAddress: req?.ip || null,
+    userAgent: req?.get?.('User-Agent') || 'mobile-app'
+  });
+};
+
 /**
  * Reset password using reset token
  * Requirements: 10.2, 10.3, 10.4, 10.5, 12.3
@@ -496,6 +489,10 @@ const resetPassword = async (token, newPassword) => {
       .where('id', resetToken.user_id)
       .update({ 
         password_hash: hashedPassword,
+        // Şifre sıfırlama hesap kilidini de kaldırır
+        failed_login_attempts: 0,
+        lock_count: 0,
+        locked_until: null,
         updated_at: new Date()
       });
 
@@ -559,6 +556,33 @@ const markOnboardingCompleted = async (userId) => {
 // MODULE EXPORTS
 // ============================================================================
 
+/**
+ * Aktif oturumları listele (web ile aynı mantık - authService.getActiveSessions)
+ * @param {number} userId - Kullanıcı ID'si
+ * @param {number|null} currentSessionId - İsteği yapan oturumun ID'si (access token 'sid')
+ */
+const getSessions = async (userId, currentSessionId) => {
+  const sessions = await authService.getActiveSessions(userId, currentSessionId);
+  return { sessions };
+};
+
+/**
+ * Oturum sonlandır (web ile aynı mantık - authService.revokeSession)
+ * @description Mevcut oturum sonlandırılamaz; bu cihazdan çıkış için logout kullanılır
+ */
+const revokeSession = async (user, sessionId, req) => {
+  await authService.revokeSession({
+    userId: user.id,
+    sessionId,
+    currentSessionId: user.sessionId,
+    email: user.email,
+    ipAddress: req?.ip || null,
+    userAgent: req?.get?.('User-Agent') || null
+  });
+
+  return { success: true };
+};
+
 module.exports = {
   registerDoctor,
   login,
@@ -567,8 +591,11 @@ module.exports = {
   getMe,
   changePassword,
   forgotPassword,
+  resendVerification,
   resetPassword,
   logoutAll,
+  getSessions,
+  revokeSession,
   markOnboardingCompleted
 };
 
@@ -319,9 +319,9 @@ const cancelPhotoRequest = async (userId) => {
 // ACCOUNT MANAGEMENT (Web Service Wrappers)
 // ============================================================================
 
-const deactivateAccount = async (userId) => {
+const deactivateAccount = async (userId, context = {}) => {
   const doctorService = require('../doctorService');
-  return await doctorService.deactivateAccount(userId);
+  return await doctorService.deactivateAccount(userId, context);
 };
 
 module.exports = {
@@ -4,14 +4,15 @@
  * 
  * Ana İşlevler:
  * - Çoklu alan araması (title, description, hospital, city, specialty, subspecialty)
- * - Akıllı arama (relevance scoring)
- * - Performans optimizasyonu (indexed search)
+ * - Alaka sıralaması (alan ağırlıklı skor, eşitlikte en yeni ilan önce)
  * - Filtreleme desteği (city, specialty, subspecialty, employment_type)
+ * - Ücret ve yan hak filtreleri (min_salary, provides_housing, provides_transport)
  * 
  * Arama Stratejisi:
- * 1. Prefix search (LIKE 'term%') - Index kullanımı için
- * 2. Full-text search (LIKE '%term%') - Daha geniş sonuçlar için
- * 3. Relevance scoring - En alakalı sonuçlar önce
+ * - Anahtar kelime jobSearchService'in Türkçe duyarlı arama indeksinde aranır
+ *   (büyük/küçük harf ve Türkçe karakter duyarsız, çekim eklerini tanır, çok kelimede AND)
+ * - Eşleşen ilanlar skorlarıyla birlikte SQL sorgusuna bağlanır; filtreler, sayım ve
+ *   sayfalama SQL'de uygulanır
  * 
  * Veritabanı Tabloları:
  * - jobs: İş ilanları
@@ -20,6 +21,7 @@
  * - subspecialties: Alt branşlar
  * - hospital_profiles: Hastane profilleri
  * - applications: Başvurular (is_applied kontrolü için)
+ * - doctor_favorite_jobs: Kaydedilen ilanlar (is_favorite kontrolü için)
  * 
  * @author MediKariyer Development Team
  * @version 1.0.0
@@ -37,6 +39,7 @@ const logger = require('../../utils/logger');
 const jobTransformer = require('../../mobile/transformers/jobTransformer');
 const { getDoctorProfile } = require('./mobileDoctorService');
 const { normalizeCountResult } = require('../../utils/queryHelper');
+const jobSearchService = require('../jobSearchService');
 
 // ============================================================================
 // HELPER FUNCTIONS
@@ -59,33 +62,49 @@ const buildJobsBaseQuery = () => {
 
 /**
  * Arama query'si oluştur - Çoklu alan araması
+ * @description Anahtar kelime jobSearchService indeksinde aranır (başlık, açıklama, hastane,
+ * şehir, branş, yan dal). Aranabilir kelime yoksa sorgu değiştirilmez.
  * @param {Object} baseQuery - Base query
  * @param {string} keyword - Arama terimi
- * @returns {Object} Query with search conditions
+ * @param {Object} [options] - jobSearchService.searchJobIds seçenekleri ({ jobIds })
+ * @returns {Promise<Object>} { query, ranked, truncated } - ranked: sorgu alaka skoruna göre
+ * sıralanabilir mi; truncated: eşleşmeler MAX_RESULTS ile sınırlandı mı
  */
-const applySearchConditions = (baseQuery, keyword) => {
-  if (!keyword || keyword.trim().length === 0) {
-    return baseQuery;
+const applySearchConditions = async (baseQuery, keyword, options = {}) => {
+  const result = await jobSearchService.searchJobIds(keyword, options);
+  if (!result) {
+    return { query: baseQuery, ranked: false, truncated: false };
   }
 
-  const searchTerm = keyword.trim();
-  
-  // Çoklu alan araması - OR koşulları ile
-  // Arama alanları: title, description, hospital_name, city_name, specialty_name, subspecialty_name
-  baseQuery.andWhere(function() {
-    // 1. İlan başlığı (en önemli)
-    this.where('j.title', 'like', `%${searchTerm}%`)
-      // 2. İlan açıklaması
-      .orWhere('j.description', 'like', `%${searchTerm}%`)
-      // 3. Hastane adı
-      .orWhere('hp.institution_name', 'like', `%${searchTerm}%`)
-      // 4. Şehir adı
-      .orWhere('c.name', 'like', `%${searchTerm}%`)
-      // 5. Branş adı
-      .orWhere('s.name', 'like', `%${searchTerm}%`)
-      // 6. Alt branş adı
-      .orWhere('ss.name', 'like', `%${searchTerm}%`);
-  });
+  jobSearchService.joinSearchResults(baseQuery, result.matches);
+  return { query: baseQuery, ranked: result.matches.length > 0, truncated: result.truncated };
+};
+
+/**
+ * Ücret ve yan hak filtrelerini uygula
+ * @description min_salary, ilanın ücret aralığının üst ucu (yoksa alt ucu) ile karşılaştırılır;
+ * farklı para birimleri karşılaştırılmaz (varsayılan TRY). Ücret belirtmeyen ilanlar elenir.
+ * @param {Object} baseQuery - Base query
+ * @param {Object} filters - Filtre parametreleri
+ * @returns {Object} Query with compensation conditions
+ */
+const applyCompensationFilters = (baseQuery, filters = {}) => {
+  if (filters.min_salary !== undefined && filters.min_salary !== null && filters.min_salary !== '') {
+    const minSalary = Number(filters.min_salary);
+    if (!isNaN(minSalary) && minSalary > 0) {
+      baseQuery
+        .andWhere('j.salary_currency', filters.salary_currency || 'TRY')
+        .andWhereRaw('COALESCE(j.salary_max, j.salary_min) >= ?', [minSalary]);
+    }
+  }
+
+  if (filters.provides_housing === true || filters.provides_housing === 'true') {
+    baseQuery.andWhere('j.provides_housing', true);
+  }
+
+  if (filters.provides_transport === true || filters.provides_transport === 'true') {
+    baseQuery.andWhere('j.provides_transport', true);
+  }
 
   return baseQuery;
 };
@@ -146,14 +165,17 @@ const applyFilterConditions = (baseQuery, filters = {}) => {
     }
   }
 
+  // Ücret ve yan hak filtreleri
+  applyCompensationFilters(baseQuery, filters);
+
   return baseQuery;
 };
 
 /**
- * Başvuru bilgilerini ekle
+ * Başvuru ve favori bilgilerini ekle
  * @param {Array} jobs - İş ilanları
  * @param {number} doctorProfileId - Doktor profil ID
- * @returns {Promise<Array>} Jobs with application info
+ * @returns {Promise<Array>} Jobs with application info and is_favorite flag
  */
 const attachApplicationInfo = async (jobs, doctorProfileId) => {
   if (jobs.length === 0) return jobs;
@@ -161,12 +183,20 @@ const attachApplicationInfo = async (jobs, doctorProfileId) => {
   const jobIds = jobs.map(j => j.id);
   
   // Başvuru kontrolü - status_id = 5 (Geri Çekildi) hariç
-  const applications = await db('applications')
-    .select('job_id', 'id')
-    .whereIn('job_id', jobIds)
-    .where('doctor_profile_id', doctorProfileId)
-    .whereNull('deleted_at')
-    .whereNot('status_id', 5);
+  const [applications, favorites] = await Promise.all([
+    db('applications')
+      .select('job_id', 'id')
+      .whereIn('job_id', jobIds)
+      .where('doctor_profile_id', doctorProfileId)
+      .whereNull('deleted_at')
+      .whereNot('status_id', 5),
+    db('doctor_favorite_jobs')
+      .select('job_id')
+      .whereIn('job_id', jobIds)
+      .where('doctor_profile_id', doctorProfileId)
+  ]);
+
+  const favoriteSet = new Set(favorites.map(f => f.job_id));
 
   // Application map oluştur
   const applicationMap = {};
@@ -178,7 +208,8 @@ const attachApplicationInfo = async (jobs, doctorProfileId) => {
   return jobs.map(job => ({
     ...job,
     application_id: applicationMap[job.id] || null,
-    is_applied: Boolean(applicationMap[job.id])
+    is_applied: Boolean(applicationMap[job.id]),
+    is_favorite: favoriteSet.has(job.id)
   }));
 };
 
@@ -206,14 +237,11 @@ const searchJobs = async (userId, { keyword, filters = {}, page = 1, limit = 20
     const perPage = Math.min(Math.max(Number(limit) || 20, 1), 50);
     const offset = (currentPage - 1) * perPage;
 
-    // Base query oluştur
-    let baseQuery = buildJobsBaseQuery();
-
-    // Arama koşullarını uygula
-    baseQuery = applySearchConditions(baseQuery, keyword);
+    // Base query oluştur ve arama koşullarını uygula
+    const { query: baseQuery, ranked, truncated } = await applySearchConditions(buildJobsBaseQuery(), keyword);
 
     // Filtre koşullarını uygula
-    baseQuery = applyFilterConditions(baseQuery, filters);
+    applyFilterConditions(baseQuery, filters);
 
     // Count query
     const countQuery = baseQuery.clone()
@@ -233,14 +261,26 @@ const searchJobs = async (userId, { keyword, filters = {}, page = 1, limit = 20
         'j.hospital_id',
         'j.employment_type',
         'j.min_experience_years',
+        'j.salary_min',
+        'j.salary_max',
+        'j.salary_currency',
+        'j.monthly_shift_count',
+        'j.provides_housing',
+        'j.provides_transport',
         'j.created_at',
         'c.name as city_name',
         's.name as specialty_name',
         'ss.name as subspecialty_name',
         'hp.institution_name as hospital_name',
         'hp.logo as hospital_logo'
-      )
-      .orderBy('j.created_at', 'desc') // En yeni ilanlar önce
+      );
+
+    // En alakalı ilanlar önce, eşitlikte en yeni ilanlar önce
+    if (ranked) {
+      jobSearchService.orderByRelevance(dataQuery);
+    }
+    dataQuery
+      .orderBy('j.created_at', 'desc')
       .limit(perPage)
       .offset(offset);
 
@@ -269,7 +309,9 @@ const searchJobs = async (userId, { keyword, filters = {}, page = 1, limit = 20
         total,
         total_pages: Math.ceil(total / perPage) || 0,
         has_next: currentPage * perPage < total,
-        has_prev: currentPage > 1
+        has_prev: currentPage > 1,
+        // Arama çok fazla ilanla eşleştiyse yalnızca en alakalı JOB_SEARCH.MAX_RESULTS ilan listelenir
+        truncated
       }
     };
   } catch (error) {
@@ -290,21 +332,24 @@ const getSearchSuggestions = async (keyword, limit = 10) => {
       return [];
     }
 
-    const searchTerm = keyword.trim();
+    const result = await jobSearchService.searchJobIds(keyword);
+    if (!result || result.matches.length === 0) {
+      return [];
+    }
 
-    // İlan başlıklarından öneriler
-    const titleSuggestions = await db('jobs as j')
+    // İlan başlıklarından öneriler (en alakalı önce, aynı başlık bir kez)
+    const titleQuery = db('jobs as j')
       .leftJoin('hospital_profiles as hp', 'j.hospital_id', 'hp.id')
       .leftJoin('users as hospital_users', 'hp.user_id', 'hospital_users.id')
       .select('j.title')
       .whereNull('j.deleted_at')
       .where('j.status_id', 3)
-      .where('hospital_users.is_active', true)
-      .where('j.title', 'like', `%${searchTerm}%`)
-      .groupBy('j.title')
-      .limit(limit);
+      .where('hospital_users.is_active', true);
+
+    jobSearchService.joinSearchResults(titleQuery, result.matches);
+    const rows = await jobSearchService.orderByRelevance(titleQuery).limit(limit * 3);
 
-    return titleSuggestions.map(s => s.title).filter(Boolean);
+    return [...new Set(rows.map(row => row.title).filter(Boolean))].slice(0, limit);
   } catch (error) {
     logger.error('❌ Search suggestions error:', error);
     return [];
@@ -317,5 +362,11 @@ const getSearchSuggestions = async (keyword, limit = 10) => {
 
 module.exports = {
   searchJobs,
-  getSearchSuggestions
+  getSearchSuggestions,
+  attachApplicationInfo,
+  // Kayıtlı arama eşleştirmesi (savedSearchService) aynı filtre mantığını kullanır
+  buildJobsBaseQuery,
+  applySearchConditions,
+  applyFilterConditions,
+  applyCompensationFilters
 };
@@ -6,6 +6,8 @@
  * Ana İşlevler:
  * - İş ilanları listesi (pagination, filters)
  * - İş ilanı detayı
+ * - Kaydedilen (favori) ilanlar
+ * - Kayıtlı aramalar (yeni ilan bildirimleri)
  * 
  * Veritabanı Tabloları:
  * - jobs: İş ilanları
@@ -13,6 +15,8 @@
  * - specialties: Branşlar
  * - hospital_profiles: Hastane profilleri
  * - applications: Başvurular (is_applied kontrolü için)
+ * - doctor_favorite_jobs: Kaydedilen ilanlar (is_favorite kontrolü için)
+ * - doctor_saved_searches: Kayıtlı aramalar
  * 
  * Özellikler:
  * - Minimal payload (mobile optimized)
@@ -61,7 +65,11 @@ const listJobs = async (userId, { page = 1, limit = 20, filters = {} } = {}) =>
         subspecialty_id: filters.subspecialty_id,
         hospital_id: filters.hospital_id,
         employment_type: filters.employment_type,
-        min_experience_years: filters.min_experience_years
+        min_experience_years: filters.min_experience_years,
+        min_salary: filters.min_salary,
+        salary_currency: filters.salary_currency,
+        provides_housing: filters.provides_housing,
+        provides_transport: filters.provides_transport
       },
       page,
       limit
@@ -116,6 +124,9 @@ const listJobs = async (userId, { page = 1, limit = 20, filters = {} } = {}) =>
     baseQuery.andWhere('j.employment_type', filters.employment_type);
   }
 
+  // Ücret ve yan hak filtreleri (arama servisi ile ortak)
+  mobileJobSearchService.applyCompensationFilters(baseQuery, filters);
+
   const dataQuery = baseQuery
     .clone()
     .leftJoin('subspecialties as ss', 'j.subspecialty_id', 'ss.id')
@@ -127,6 +138,12 @@ const listJobs = async (userId, { page = 1, limit = 20, filters = {} } = {}) =>
       'j.subspecialty_id',
       'j.hospital_id',
       'j.employment_type',
+      'j.salary_min',
+      'j.salary_max',
+      'j.salary_currency',
+      'j.monthly_shift_count',
+      'j.provides_housing',
+      'j.provides_transport',
       'j.created_at',
       'c.name as city_name',
       's.name as specialty_name',
@@ -145,36 +162,13 @@ const listJobs = async (userId, { page = 1, limit = 20, filters = {} } = {}) =>
   
   const total = normalizeCountResult(countResults[0]);
 
-  // Başvuru kontrolü için job id'leri topla
+  // Başvuru ve favori bilgilerini ekle (arama servisi ile ortak)
   // Not: status_id = 5 (Geri Çekildi) olan başvurular hariç tutulur
   // Bu sayede kullanıcı geri çektikten sonra tekrar başvurabilir
-  const jobIds = rows.map(r => r.id);
-  const applications = jobIds.length > 0 
-    ? await db('applications')
-        .select('job_id', 'id')
-        .whereIn('job_id', jobIds)
-        .where('doctor_profile_id', profile.id)
-        .whereNull('deleted_at')
-        .whereNot('status_id', 5) // 5 = Geri Çekildi (withdrawn)
-    : [];
-
-  // Application map oluştur
-  const applicationMap = {};
-  applications.forEach(app => {
-    applicationMap[app.job_id] = app.id;
-  });
-
-  // Rows'a application_id ekle
-  const rowsWithApplications = rows.map(row => ({
-    ...row,
-    application_id: applicationMap[row.id] || null
-  }));
+  const rowsWithApplications = await mobileJobSearchService.attachApplicationInfo(rows, profile.id);
 
   return {
-    data: rowsWithApplications.map((row) => jobTransformer.toListItem({
-      ...row,
-      is_applied: Boolean(row.application_id)
-    })),
+    data: rowsWithApplications.map((row) => jobTransformer.toListItem(row)),
     pagination: {
       current_page: currentPage,
       per_page: perPage,
@@ -208,6 +202,13 @@ const getJobDetail = async (userId, jobId) => {
         'j.hospital_id',
         'j.employment_type',
         'j.min_experience_years',
+        'j.salary_min',
+        'j.salary_max',
+        'j.salary_currency',
+        'j.monthly_shift_count',
+        'j.working_hours',
+        'j.provides_housing',
+        'j.provides_transport',
         'j.created_at',
         'c.name as city_name',
         's.name as specialty_name',
@@ -253,19 +254,97 @@ const getJobDetail = async (userId, jobId) => {
     .whereNot('status_id', 5) // 5 = Geri Çekildi (withdrawn)
     .first();
 
+  const favoriteCheck = await db('doctor_favorite_jobs')
+    .select('id')
+    .where('job_id', jobId)
+    .where('doctor_profile_id', profile.id)
+    .first();
+
   return jobTransformer.toDetail({
     ...jobData,
     application_id: applicationCheck?.id || null,
-    is_applied: Boolean(applicationCheck?.id)
+    is_applied: Boolean(applicationCheck?.id),
+    is_favorite: Boolean(favoriteCheck?.id)
   });
 };
 
+// ============================================================================
+// FAVORİ (KAYDEDİLEN) İLANLAR
+// ============================================================================
+
+// Kaydedilen ilanlar listesi (web doctorService'i wrap ediyor)
+const listFavoriteJobs = async (userId, { page = 1, limit = 20 } = {}) => {
+  const doctorService = require('../doctorService');
+  const profile = await getDoctorProfile(userId);
+  const currentPage = Math.max(Number(page) || 1, 1);
+  const perPage = Math.min(Math.max(Number(limit) || 20, 1), 50);
+
+  const result = await doctorService.getFavoriteJobs(profile.id, { page: currentPage, limit: perPage });
+  const jobsWithApplications = await mobileJobSearchService.attachApplicationInfo(result.jobs, profile.id);
+
+  return {
+    data: jobsWithApplications.map((job) => jobTransformer.toListItem(job)),
+    pagination: result.pagination
+  };
+};
+
+const addFavoriteJob = async (userId, jobId) => {
+  const doctorService = require('../doctorService');
+  const profile = await getDoctorProfile(userId);
+  await doctorService.addFavoriteJob(profile.id, jobId);
+  return { job_id: Number(jobId), is_favorite: true };
+};
+
+const removeFavoriteJob = async (userId, jobId) => {
+  const doctorService = require('../doctorService');
+  const profile = await getDoctorProfile(userId);
+  await doctorService.removeFavoriteJob(profile.id, jobId);
+  return { job_id: Number(jobId), is_favorite: false };
+};
+
+// ============================================================================
+// KAYITLI ARAMALAR
+// ============================================================================
+
+// Kayıtlı arama işlemleri web ile aynı servisi (savedSearchService) kullanır
+const listSavedSearches = async (userId) => {
+  const savedSearchService = require('../savedSearchService');
+  const profile = await getDoctorProfile(userId);
+  return savedSearchService.listSavedSearches(profile.id);
+};
+
+const createSavedSearch = async (userId, data) => {
+  const savedSearchService = require('../savedSearchService');
+  const profile = await getDoctorProfile(userId);
+  return savedSearchService.createSavedSearch(profile.id, data);
+};
+
+const updateSavedSearch = async (userId, searchId, data) => {
+  const savedSearchService = require('../savedSearchService');
+  const profile = await getDoctorProfile(userId);
+  return savedSearchService.updateSavedSearch(profile.id, searchId, data);
+};
+
+const deleteSavedSearch = async (userId, searchId) => {
+  const savedSearchService = require('../savedSearchService');
+  const profile = await getDoctorProfile(userId);
+  await savedSearchService.deleteSavedSearch(profile.id, searchId);
+  return { id: Number(searchId) };
+};
+
 // ============================================================================
 // MODULE EXPORTS
 // ============================================================================
 
 module.exports = {
   listJobs,
-  getJobDetail
+  getJobDetail,
+  listFavoriteJobs,
+  addFavoriteJob,
+  removeFavoriteJob,
+  listSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
 };
 
@@ -0,0 +1,454 @@
+/**
+ * @file notificationPreferenceService.js
+ * @description Bildirim tercihleri servisi - Kullanıcı başına, bildirim kategorisi başına kanal tercihleri
+ * ve sessiz saatler. notificationService her bildirimi göndermeden önce bu servisten
+ * teslim planını alır (hangi kanallar açık, push ertelenecek mi).
+ *
+ * Kategoriler:
+ * - application_status: Başvuru ve mülakat gelişmeleri (doktor, hastane)
+ * - job_status: İlan durumu, onay ve süre uyarıları (doktor, hastane)
+ * - new_job_match: Kayıtlı aramalara uyan yeni ilanlar (doktor)
+ * - system: Sistem duyuruları ve hesap bildirimleri (tüm kullanıcılar)
+ * - congress: Kongre duyuruları (doktor)
+ *
+ * Kanallar:
+ * - inapp: Bildirimler listesi + SSE (web) / bildirim ekranı (mobil)
+ * - push: Expo push (mobil)
+ * - email: E-posta kuyruğu (emailNotificationService)
+ *
+ * Sessiz Saatler:
+ * - Europe/Istanbul saatine göre başlangıç / bitiş (HH:mm), gece yarısını geçebilir (örn. 22:00 - 08:00)
+ * - Sessiz saatlerde push gönderilmez; bitişte gönderilmek üzere ertelenir
+ * - Uygulama içi bildirim ve e-posta sessiz saatlerden etkilenmez
+ *
+ * Veritabanı Tabloları:
+ * - user_notification_preferences: Kategori başına kanal tercihleri (satır yoksa varsayılanlar)
+ * - user_notification_settings: Sessiz saatler
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+// ============================================================================
+// DIŞ BAĞIMLILIKLAR
+// ============================================================================
+
+const db = require('../config/dbConfig').db;
+const { AppError } = require('../utils/errorHandler');
+
+// ============================================================================
+// SABİTLER
+// ============================================================================
+
+/**
+ * Bildirim kategorileri
+ * roles: Kategoriyi Ayarlar sayfasında görebilen roller
+ * defaults: Kullanıcı tercih kaydetmediğinde geçerli kanal değerleri
+ * @type {Object<string, {label: string, description: string, roles: Array<string>, defaults: {inapp: boolean, push: boolean, email: boolean}}>}
+ */
+const NOTIFICATION_CATEGORIES = {
+  application_status: {
+    label: 'Başvuru durumu',
+    description: 'Başvuru, mülakat ve başvuru durumu değişiklikleri',
+    roles: ['doctor', 'hospital'],
+    defaults: { inapp: true, push: true, email: true }
+  },
+  job_status: {
+    label: 'İlan durumu',
+    description: 'İlan onayı, durum değişikliği ve yayın süresi uyarıları',
+    roles: ['doctor', 'hospital'],
+    defaults: { inapp: true, push: true, email: false }
+  },
+  new_job_match: {
+    label: 'Yeni ilan eşleşmesi',
+    description: 'Kayıtlı aramalarınıza uyan yeni ilanlar',
+    roles: ['doctor'],
+    defaults: { inapp: true, push: true, email: false }
+  },
+  system: {
+    label: 'Sistem',
+    description: 'Duyurular ve hesabınızla ilgili bildirimler',
+    roles: ['doctor', 'hospital'],
+    defaults: { inapp: true, push: true, email: false }
+  },
+  congress: {
+    label: 'Kongre',
+    description: 'Kongre ve etkinlik duyuruları',
+    roles: ['doctor'],
+    defaults: { inapp: true, push: true, email: false }
+  }
+};
+
+/**
+ * Bildirim kanalları ve tablo kolonları
+ * @type {Object<string, string>}
+ */
+const CHANNEL_COLUMNS = {
+  inapp: 'inapp_enabled',
+  push: 'push_enabled',
+  email: 'email_enabled'
+};
+
+/**
+ * Bildirim action'ı → kategori eşlemesi
+ * @type {Object<string, string>}
+ */
+const ACTION_CATEGORIES = {
+  application_created: 'application_status',
+  application_status_changed: 'application_status',
+  application_withdrawn: 'application_status',
+  interview_updated: 'application_status',
+  job_status_changed: 'job_status',
+  job_expiring: 'job_status',
+  job_expired: 'job_status',
+  saved_search_match: 'new_job_match'
+};
+
+/**
+ * Sessiz saatlerin yorumlandığı saat dilimi
+ * @type {string}
+ */
+const QUIET_HOURS_TIMEZONE = 'Europe/Istanbul';
+
+/**
+ * Sessiz saat varsayılanları (kapalı)
+ */
+const DEFAULT_QUIET_HOURS = {
+  enabled: false,
+  start: '22:00',
+  end: '08:00'
+};
+
+/**
+ * MSSQL parametre sınırı (2100) için whereIn parça boyutu
+ * @type {number}
+ */
+const WHERE_IN_CHUNK_SIZE = 1000;
+
+// ============================================================================
+// YARDIMCI FONKSİYONLAR
+// ============================================================================
+
+/**
+ * "HH:mm" → gün içindeki dakika
+ * @param {string} value
+ * @returns {number}
+ */
+const toMinutes = (value) => {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Verilen anın Europe/Istanbul saatine göre gün içindeki dakikası
+ * @param {Date} date
+ * @returns {number}
+ */
+const getIstanbulMinutes = (date) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: QUIET_HOURS_TIMEZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const hour = Number(parts.find((part) => part.type === 'hour').value);
+  const minute = Number(parts.find((part) => part.type === 'minute').value);
+  return hour * 60 + minute;
+};
+
+/**
+ * Veritabanı satırını sessiz saat nesnesine çevirir
+ * @param {Object|undefined} row
+ * @returns {{enabled: boolean, start: string, end: string}}
+ */
+const formatQuietHours = (row) => {
+  if (!row) return { ...DEFAULT_QUIET_HOURS };
+  return {
+    enabled: Boolean(row.quiet_hours_enabled),
+    start: row.quiet_hours_start,
+    end: row.quiet_hours_end
+  };
+};
+
+/**
+ * Kategori için kayıtlı satır + varsayılanlardan kanal durumlarını üretir
+ * @param {string} category
+ * @param {Object|undefined} row
+ * @returns {{inapp: boolean, push: boolean, email: boolean}}
+ */
+const resolveChannels = (category, row) => {
+  const defaults = (NOTIFICATION_CATEGORIES[category] || NOTIFICATION_CATEGORIES.system).defaults;
+  if (!row) return { ...defaults };
+  return {
+    inapp: Boolean(row.inapp_enabled),
+    push: Boolean(row.push_enabled),
+    email: Boolean(row.email_enabled)
+  };
+};
+
+/**
+ * Diziyi whereIn için parçalara böler
+ * @param {Array} items
+ * @returns {Array<Array>}
+ */
+const chunk = (items) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += WHERE_IN_CHUNK_SIZE) {
+    chunks.push(items.slice(i, i + WHERE_IN_CHUNK_SIZE));
+  }
+  return chunks;
+};
+
+/**
+ * Kategori satırını yazar (varsa günceller)
+ * @param {number} userId
+ * @param {string} category
+ * @param {{inapp: boolean, push: boolean, email: boolean}} channels
+ * @returns {Promise<void>}
+ */
+const upsertCategory = async (userId, category, channels) => {
+  const values = {
+    inapp_enabled: channels.inapp,
+    push_enabled: channels.push,
+    email_enabled: channels.email
+  };
+
+  const updated = await db('user_notification_preferences')
+    .where({ user_id: userId, category })
+    .update({ ...values, updated_at: db.fn.now() });
+
+  if (!updated) {
+    await db('user_notification_preferences').insert({ user_id: userId, category, ...values });
+  }
+};
+
+// ============================================================================
+// KATEGORİ VE SESSİZ SAAT HESAPLAMA
+// ============================================================================
+
+/**
+ * Bildirim verisinden kategoriyi belirler
+ * Öncelik: data.category → action eşlemesi → entity_type → system
+ * @param {Object} [data] - Bildirim data objesi
+ * @returns {string} Kategori anahtarı
+ */
+const resolveCategory = (data) => {
+  if (data?.category && NOTIFICATION_CATEGORIES[data.category]) {
+    return data.category;
+  }
+  if (data?.action && ACTION_CATEGORIES[data.action]) {
+    return ACTION_CATEGORIES[data.action];
+  }
+  if (data?.entity_type === 'congress' || data?.congress_id) {
+    return 'congress';
+  }
+  if (data?.entity_type === 'job' || data?.job_id) {
+    return 'job_status';
+  }
+  if (data?.entity_type === 'application' || data?.application_id) {
+    return 'application_status';
+  }
+  return 'system';
+};
+
+/**
+ * Sessiz saatler içindeyse push'un gönderilebileceği ilk anı döndürür
+ * @param {{enabled: boolean, start: string, end: string}} quietHours
+ * @param {Date} [now=new Date()]
+ * @returns {Date|null} Sessiz saat dışındaysa null
+ */
+const getQuietHoursEnd = (quietHours, now = new Date()) => {
+  if (!quietHours?.enabled) return null;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return null;
+
+  const current = getIstanbulMinutes(now);
+  const inQuietHours = start < end
+    ? current >= start && current < end
+    : current >= start || current < end; // Gece yarısını geçen aralık
+
+  if (!inQuietHours) return null;
+
+  const minutesUntilEnd = (end - current + 1440) % 1440;
+  const endsAt = new Date(now.getTime() + minutesUntilEnd * 60 * 1000);
+  endsAt.setSeconds(0, 0);
+  return endsAt;
+};
+
+// ============================================================================
+// TESLİM PLANI (notificationService)
+// ============================================================================
+
+/**
+ * Tek kullanıcı için bildirimin hangi kanallardan gideceğini belirler
+ * @param {number} userId
+ * @param {string} category
+ * @returns {Promise<{inapp: boolean, push: boolean, email: boolean, deferPushUntil: Date|null}>}
+ */
+const getDeliveryPlan = async (userId, category) => {
+  const [row, settings] = await Promise.all([
+    db('user_notification_preferences').where({ user_id: userId, category }).first(),
+    db('user_notification_settings').where({ user_id: userId }).first()
+  ]);
+
+  const channels = resolveChannels(category, row);
+  return {
+    ...channels,
+    deferPushUntil: channels.push ? getQuietHoursEnd(formatQuietHours(settings)) : null
+  };
+};
+
+/**
+ * Toplu bildirim için kullanıcı başına teslim planı
+ * @param {Array<number>} userIds
+ * @param {string} category
+ * @returns {Promise<Map<number, {inapp: boolean, push: boolean, email: boolean, deferPushUntil: Date|null}>>}
+ */
+const getDeliveryPlans = async (userIds, category) => {
+  const rows = new Map();
+  const settings = new Map();
+
+  for (const ids of chunk(userIds)) {
+    const [preferenceRows, settingRows] = await Promise.all([
+      db('user_notification_preferences').whereIn('user_id', ids).where({ category }),
+      db('user_notification_settings').whereIn('user_id', ids)
+    ]);
+    preferenceRows.forEach((row) => rows.set(row.user_id, row));
+    settingRows.forEach((row) => settings.set(row.user_id, row));
+  }
+
+  const now = new Date();
+  const plans = new Map();
+  for (const userId of userIds) {
+    const channels = resolveChannels(category, rows.get(userId));
+    plans.set(userId, {
+      ...channels,
+      deferPushUntil: channels.push ? getQuietHoursEnd(formatQuietHours(settings.get(userId)), now) : null
+    });
+  }
+  return plans;
+};
+
+// ============================================================================
+// TERCİH YÖNETİMİ (Ayarlar sayfası)
+// ============================================================================
+
+/**
+ * Kullanıcının rolüne uygun kategori tercihleri ve sessiz saatleri
+ * @param {number} userId
+ * @param {string} role - doctor | hospital
+ * @returns {Promise<{categories: Array, quiet_hours: Object}>}
+ */
+const getPreferences = async (userId, role) => {
+  const [rows, settings] = await Promise.all([
+    db('user_notification_preferences').where({ user_id: userId }),
+    db('user_notification_settings').where({ user_id: userId }).first()
+  ]);
+  const stored = new Map(rows.map((row) => [row.category, row]));
+
+  const categories = Object.entries(NOTIFICATION_CATEGORIES)
+    .filter(([, config]) => config.roles.includes(role))
+    .map(([category, config]) => ({
+      category,
+      label: config.label,
+      description: config.description,
+      ...resolveChannels(category, stored.get(category))
+    }));
+
+  return {
+    categories,
+    quiet_hours: {
+      ...formatQuietHours(settings),
+      timezone: QUIET_HOURS_TIMEZONE
+    }
+  };
+};
+
+/**
+ * Kategori tercihlerini ve / veya sessiz saatleri günceller
+ * Gönderilmeyen kanallar mevcut değerini korur.
+ * @param {number} userId
+ * @param {string} role
+ * @param {Object} payload
+ * @param {Array<{category: string, inapp?: boolean, push?: boolean, email?: boolean}>} [payload.categories]
+ * @param {{enabled: boolean, start: string, end: string}} [payload.quiet_hours]
+ * @returns {Promise<{categories: Array, quiet_hours: Object}>} Güncel tercihler
+ * @throws {AppError} Rol için geçersiz kategori gönderilirse
+ */
+const updatePreferences = async (userId, role, { categories = [], quiet_hours: quietHours } = {}) => {
+  const invalid = categories.find((item) => !NOTIFICATION_CATEGORIES[item.category]?.roles.includes(role));
+  if (invalid) {
+    throw new AppError(`Geçersiz bildirim kategorisi: ${invalid.category}`, 400);
+  }
+
+  if (categories.length > 0) {
+    const rows = await db('user_notification_preferences').where({ user_id: userId });
+    const stored = new Map(rows.map((row) => [row.category, row]));
+
+    for (const item of categories) {
+      const current = resolveChannels(item.category, stored.get(item.category));
+      await upsertCategory(userId, item.category, {
+        inapp: item.inapp ?? current.inapp,
+        push: item.push ?? current.push,
+        email: item.email ?? current.email
+      });
+    }
+  }
+
+  if (quietHours) {
+    const values = {
+      quiet_hours_enabled: quietHours.enabled,
+      quiet_hours_start: quietHours.start,
+      quiet_hours_end: quietHours.end
+    };
+    const updated = await db('user_notification_settings')
+      .where({ user_id: userId })
+      .update({ ...values, updated_at: db.fn.now() });
+    if (!updated) {
+      await db('user_notification_settings').insert({ user_id: userId, ...values });
+    }
+  }
+
+  return await getPreferences(userId, role);
+};
+
+/**
+ * Tek bir kanalı açar / kapatır (örn. e-postadaki abonelikten çıkma bağlantısı)
+ * @param {number} userId
+ * @param {string} category
+ * @param {string} channel - inapp | push | email
+ * @param {boolean} enabled
+ * @returns {Promise<void>}
+ */
+const setChannel = async (userId, category, channel, enabled) => {
+  if (!NOTIFICATION_CATEGORIES[category] || !CHANNEL_COLUMNS[channel]) {
+    throw new AppError('Geçersiz bildirim tercihi', 400);
+  }
+
+  const row = await db('user_notification_preferences').where({ user_id: userId, category }).first();
+  await upsertCategory(userId, category, {
+    ...resolveChannels(category, row),
+    [channel]: enabled
+  });
+};
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+  NOTIFICATION_CATEGORIES,
+  QUIET_HOURS_TIMEZONE,
+  resolveCategory,
+  getQuietHoursEnd,
+  getDeliveryPlan,
+  getDeliveryPlans,
+  getPreferences,
+  updatePreferences,
+  setChannel
+};
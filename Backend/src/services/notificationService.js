@@ -10,6 +10,9 @@
  * - Role-based bildirim gönderme (doktor/hastane için otomatik)
  * - Bildirim istatistikleri ve raporlama
  * - Filtreleme ve sayfalama
+ * - Bildirim e-posta kopyası (emailNotificationService kuyruğu)
+ * - Kullanıcı tercihlerine göre kanal seçimi ve sessiz saatlerde push erteleme
+ *   (notificationPreferenceService)
  * 
  * Servis Ayrımı Mantığı:
  * - Bu servis TÜM kullanıcılar için ortak bildirim işlemleri yapar
@@ -26,6 +29,7 @@
  * 
  * Veritabanı Tabloları:
  * - notifications: Bildirim bilgileri
+ * - deferred_push_notifications: Sessiz saatler nedeniyle ertelenen push bildirimleri
  * - users: Kullanıcı bilgileri (foreign key)
  * - applications: Başvuru bilgileri
  * - jobs: İş ilanı bilgileri
@@ -47,6 +51,8 @@ const logger = require('../utils/logger');
 const { PAGINATION } = require('../config/appConstants');
 const sseManager = require('../utils/sseManager');
 const expoPushService = require('./mobile/expoPushService');
+const emailNotificationService = require('./emailNotificationService');
+const notificationPreferenceService = require('./notificationPreferenceService');
 
 // ============================================================================
 // TYPE DEFINITIONS
@@ -398,17 +404,93 @@ const clearReadNotifications = async (userId) => {
 // BİLDİRİM GÖNDERME İŞLEMLERİ
 // ============================================================================
 
+/**
+ * Ertelenen push bildirimleri için cron çalışması başına en fazla kayıt
+ * @type {number}
+ */
+const DEFERRED_PUSH_BATCH_SIZE = 100;
+
+/**
+ * Bildirim data objesine state güncellemesi için gereken alanları ekler
+ * @param {Object} [data] - Ek JSON verisi
+ * @returns {Object} action, entity_id ve entity_type içeren data
+ */
+const enhanceNotificationData = (data) => ({
+  ...data,
+  // Eğer data içinde action yoksa, varsayılan olarak 'info' kullan
+  action: data?.action || 'info',
+  // entity_id ve entity_type bilgilerini ekle (mobil için kritik)
+  entity_id: data?.entity_id || data?.application_id || data?.job_id || null,
+  entity_type: data?.entity_type || (data?.application_id ? 'application' : data?.job_id ? 'job' : null)
+});
+
+/**
+ * Push bildirimini sessiz saat bitişinde gönderilmek üzere kaydeder
+ * @param {number} userId - Hedef kullanıcı ID'si
+ * @param {string} title - Push başlığı
+ * @param {string} body - Push içeriği
+ * @param {Object} pushData - Push data objesi
+ * @param {Date} deliverAfter - Gönderilebileceği ilk an
+ * @returns {Promise<void>}
+ */
+const deferPushNotification = async (userId, title, body, pushData, deliverAfter) => {
+  try {
+    await db('deferred_push_notifications').insert({
+      user_id: userId,
+      title,
+      body,
+      data_json: pushData ? JSON.stringify(pushData) : null,
+      deliver_after: deliverAfter
+    });
+    logger.info(`[Notification Service] 🌙 Push sessiz saatler nedeniyle ertelendi - User ID: ${userId}, Until: ${deliverAfter.toISOString()}`);
+  } catch (deferError) {
+    logger.error('[Notification Service] ❌ Push erteleme hatası:', deferError);
+  }
+};
+
+/**
+ * Bildirimin e-posta kopyasını sıraya alır
+ * @description E-posta kanalındaki hatalar uygulama içi bildirimi engellemez; gönderim
+ * emailQueueCron ile ayrıca yapılır. `email` verilmezse başlık ve içerikten genel bir e-posta üretilir.
+ * @param {number} userId - Alıcının user ID'si
+ * @param {string} category - Bildirim kategorisi
+ * @param {string} title - Bildirim başlığı
+ * @param {string} body - Bildirim içeriği
+ * @param {Object} [email] - Özel e-posta içeriği (subject, title, message, note, actionPath, actionLabel)
+ * @returns {Promise<void>}
+ */
+const queueNotificationEmail = async (userId, category, title, body, email) => {
+  const content = {
+    subject: `MediKariyer | ${title}`,
+    title,
+    message: String(body || '').replace(/\*\*/g, ''),
+    ...email
+  };
+
+  try {
+    const result = await emailNotificationService.queueNotificationEmail(userId, category, content);
+    if (!result.queued) {
+      logger.info(`[Notification Service] E-posta sıraya alınmadı - User ID: ${userId}, Category: ${category}, Reason: ${result.reason}`);
+    }
+  } catch (emailError) {
+    logger.error('[Notification Service] ❌ E-posta sıraya alma hatası:', emailError);
+  }
+};
+
 /**
  * Yeni bildirim gönderir
- * @description Belirtilen kullanıcıya yeni bildirim gönderir
+ * @description Belirtilen kullanıcıya yeni bildirim gönderir. Kanallar kullanıcının kategori
+ * tercihlerine göre seçilir: uygulama içi kapalıysa kayıt ve SSE yapılmaz, push kapalıysa
+ * gönderilmez, sessiz saatlerdeyse ertelenir, e-posta açıksa kuyruğa alınır.
  * @param {Object} notificationData - Bildirim verileri
  * @param {number} notificationData.user_id - Hedef kullanıcı ID'si
  * @param {string} notificationData.type - Bildirim türü (info, warning, success, error)
  * @param {string} notificationData.title - Bildirim başlığı
  * @param {string} notificationData.body - Bildirim içeriği
- * @param {Object} [notificationData.data] - Ek JSON verisi
+ * @param {Object} [notificationData.data] - Ek JSON verisi (data.category ile kategori açıkça verilebilir)
  * @param {string} [notificationData.channel='inapp'] - Bildirim kanalı
- * @returns {Promise<Notification>} Oluşturulan bildirim bilgileri
+ * @param {Object|false} [notificationData.email] - Özel e-posta içeriği; false ise e-posta gönderilmez
+ * @returns {Promise<Notification|null>} Oluşturulan bildirim bilgileri (uygulama içi kanal kapalıysa null)
  * @throws {AppError} Kullanıcı bulunamazsa veya veritabanı hatası durumunda
  * 
  * @example
@@ -421,7 +503,7 @@ const clearReadNotifications = async (userId) => {
  * });
  */
 const sendNotification = async (notificationData) => {
-  const { user_id, type, title, body, data, channel = 'inapp' } = notificationData;
+  const { user_id, type, title, body, data, channel = 'inapp', email } = notificationData;
   
   // Kullanıcının varlığını kontrol et
   const user = await db('users').where('id', user_id).first();
@@ -431,95 +513,103 @@ const sendNotification = async (notificationData) => {
   
   // In-App State Update için: data objesine action ve entity_id ekle (eğer yoksa)
   // Bu sayede mobil ve web frontend'ler bildirim geldiğinde ilgili state'i otomatik güncelleyebilir
-  const enhancedData = {
-    ...data,
-    // Eğer data içinde action yoksa, varsayılan olarak 'info' kullan
-    action: data?.action || 'info',
-    // entity_id ve entity_type bilgilerini ekle (mobil için kritik)
-    entity_id: data?.entity_id || data?.application_id || data?.job_id || null,
-    entity_type: data?.entity_type || (data?.application_id ? 'application' : data?.job_id ? 'job' : null)
-  };
-  
-  // SQL Server için INSERT sonrası ID'yi almak için raw query kullan
-  const result = await db.raw(
-    `INSERT INTO notifications (user_id, type, title, body, data_json, channel, read_at, created_at)
-     OUTPUT inserted.id, inserted.*
-     VALUES (?, ?, ?, ?, ?, ?, NULL, GETDATE())`,
-    [
-      user_id,
-      type || 'info',
-      title,
-      body,
-      enhancedData ? JSON.stringify(enhancedData) : null,
-      channel
-    ]
-  );
+  const enhancedData = enhanceNotificationData(data);
+  const category = notificationPreferenceService.resolveCategory(enhancedData);
+  const plan = await notificationPreferenceService.getDeliveryPlan(user_id, category);
   
-  // SQL Server'dan dönen sonucu al (result üç boyutlu array dönüyor)
-  const records = result[0];
-  const notification = Array.isArray(records) ? records[0] : records;
+  let notification = null;
   
-  // data_json'u parse et
-  if (notification && notification.data_json) {
+  if (plan.inapp) {
+    // SQL Server için INSERT sonrası ID'yi almak için raw query kullan
+    const result = await db.raw(
+      `INSERT INTO notifications (user_id, type, title, body, data_json, channel, read_at, created_at)
+       OUTPUT inserted.id, inserted.*
+       VALUES (?, ?, ?, ?, ?, ?, NULL, GETDATE())`,
+      [
+        user_id,
+        type || 'info',
+        title,
+        body,
+        enhancedData ? JSON.stringify(enhancedData) : null,
+        channel
+      ]
+    );
+    
+    // SQL Server'dan dönen sonucu al (result üç boyutlu array dönüyor)
+    const records = result[0];
+    notification = Array.isArray(records) ? records[0] : records;
+    
+    // data_json'u parse et
+    if (notification && notification.data_json) {
+      try {
+        notification.data = JSON.parse(notification.data_json);
+      } catch (error) {
+        logger.warn('Notification data_json parse error:', error);
+        notification.data = null;
+      }
+    }
+    
+    // SSE ile real-time bildirim gönder
     try {
-      notification.data = JSON.parse(notification.data_json);
-    } catch (error) {
-      logger.warn('Notification data_json parse error:', error);
-      notification.data = null;
+      const normalizedNotification = {
+        id: notification.id,
+        user_id: notification.user_id,
+        type: notification.type,
+        title: notification.title,
+        body: notification.body,
+        data: notification.data,
+        read_at: notification.read_at,
+        created_at: notification.created_at,
+        isRead: notification.read_at !== null && notification.read_at !== undefined,
+        createdAt: notification.created_at,
+        message: notification.body
+      };
+      
+      logger.info(`[Notification Service] SSE bildirim gönderiliyor - User ID: ${user_id}, Title: ${notification.title}`);
+      const sent = sseManager.sendToUser(user_id, normalizedNotification);
+      
+      if (sent) {
+        logger.info(`[Notification Service] ✅ SSE bildirim gönderildi - User ID: ${user_id}`);
+      } else {
+        logger.warn(`[Notification Service] ⚠️ SSE bildirim gönderilemedi - User ID: ${user_id} bağlı değil`);
+      }
+    } catch (sseError) {
+      // SSE hatası bildirim gönderimini engellemez
+      logger.error('[Notification Service] ❌ SSE bildirim gönderme hatası:', sseError);
     }
+  } else {
+    logger.info(`[Notification Service] Uygulama içi bildirim kullanıcı tercihiyle kapalı - User ID: ${user_id}, Category: ${category}`);
   }
   
-  // SSE ile real-time bildirim gönder
-  try {
-    const normalizedNotification = {
-      id: notification.id,
-      user_id: notification.user_id,
-      type: notification.type,
-      title: notification.title,
-      body: notification.body,
-      data: notification.data,
-      read_at: notification.read_at,
-      created_at: notification.created_at,
-      isRead: notification.read_at !== null && notification.read_at !== undefined,
-      createdAt: notification.created_at,
-      message: notification.body
+  // Mobile push notification gönder (SSE'den sonra, return'den önce)
+  if (plan.push) {
+    const pushData = {
+      notificationId: notification?.id || null,
+      type: type || 'info',
+      ...enhancedData
     };
     
-    logger.info(`[Notification Service] SSE bildirim gönderiliyor - User ID: ${user_id}, Title: ${notification.title}`);
-    const sent = sseManager.sendToUser(user_id, normalizedNotification);
-    
-    if (sent) {
-      logger.info(`[Notification Service] ✅ SSE bildirim gönderildi - User ID: ${user_id}`);
+    if (plan.deferPushUntil) {
+      await deferPushNotification(user_id, title, body, pushData, plan.deferPushUntil);
     } else {
-      logger.warn(`[Notification Service] ⚠️ SSE bildirim gönderilemedi - User ID: ${user_id} bağlı değil`);
+      try {
+        logger.info(`[Notification Service] Mobile push bildirim gönderiliyor - User ID: ${user_id}, Title: ${title}`);
+        const pushResult = await expoPushService.sendPushToUser(user_id, title, body, pushData);
+        
+        if (pushResult.success) {
+          logger.info(`[Notification Service] ✅ Mobile push bildirim gönderildi - User ID: ${user_id}, Sent: ${pushResult.sent}`);
+        } else {
+          logger.warn(`[Notification Service] ⚠️ Mobile push bildirim gönderilemedi - User ID: ${user_id}, Message: ${pushResult.message}`);
+        }
+      } catch (pushError) {
+        // Push notification hatası bildirim gönderimini engellemez
+        logger.error('[Notification Service] ❌ Mobile push bildirim gönderme hatası:', pushError);
+      }
     }
-  } catch (sseError) {
-    // SSE hatası bildirim gönderimini engellemez
-    logger.error('[Notification Service] ❌ SSE bildirim gönderme hatası:', sseError);
   }
   
-  // Mobile push notification gönder (SSE'den sonra, return'den önce)
-  try {
-    logger.info(`[Notification Service] Mobile push bildirim gönderiliyor - User ID: ${user_id}, Title: ${notification.title}`);
-    const pushResult = await expoPushService.sendPushToUser(
-      user_id,
-      notification.title,
-      notification.body,
-      {
-        notificationId: notification.id,
-        type: notification.type,
-        ...notification.data
-      }
-    );
-    
-    if (pushResult.success) {
-      logger.info(`[Notification Service] ✅ Mobile push bildirim gönderildi - User ID: ${user_id}, Sent: ${pushResult.sent}`);
-    } else {
-      logger.warn(`[Notification Service] ⚠️ Mobile push bildirim gönderilemedi - User ID: ${user_id}, Message: ${pushResult.message}`);
-    }
-  } catch (pushError) {
-    // Push notification hatası bildirim gönderimini engellemez
-    logger.error('[Notification Service] ❌ Mobile push bildirim gönderme hatası:', pushError);
+  if (plan.email && email !== false) {
+    await queueNotificationEmail(user_id, category, title, body, email);
   }
   
   return notification;
@@ -527,7 +617,8 @@ const sendNotification = async (notificationData) => {
 
 /**
  * Toplu bildirim gönderir (admin için)
- * @description Birden fazla kullanıcıya aynı bildirimi gönderir
+ * @description Birden fazla kullanıcıya aynı bildirimi gönderir. Her kullanıcının kategori
+ * tercihleri ve sessiz saatleri ayrı ayrı uygulanır.
  * @param {Array<number>} userIds - Hedef kullanıcı ID'leri dizisi
  * @param {Object} notificationData - Bildirim verileri
  * @param {string} notificationData.type - Bildirim türü
@@ -555,9 +646,16 @@ const sendBulkNotification = async (userIds, notificationData) => {
   // SQL Server için bulk insert yap
   const dataJson = data ? JSON.stringify(data) : null;
   const notificationType = type || 'info';
+  const category = notificationPreferenceService.resolveCategory(data);
+  const plans = await notificationPreferenceService.getDeliveryPlans(userIds, category);
+  
+  const inappUserIds = userIds.filter((userId) => plans.get(userId).inapp);
+  const pushUserIds = userIds.filter((userId) => plans.get(userId).push && !plans.get(userId).deferPushUntil);
+  const deferredUserIds = userIds.filter((userId) => plans.get(userId).push && plans.get(userId).deferPushUntil);
+  const emailUserIds = userIds.filter((userId) => plans.get(userId).email);
   
   // Her bir userId için notification insert et
-  for (const userId of userIds) {
+  for (const userId of inappUserIds) {
     await db.raw(
       `INSERT INTO notifications (user_id, type, title, body, data_json, channel, read_at, created_at)
        VALUES (?, ?, ?, ?, ?, ?, NULL, GETDATE())`,
@@ -565,33 +663,86 @@ const sendBulkNotification = async (userIds, notificationData) => {
     );
   }
   
+  const pushData = {
+    type: notificationType,
+    ...data
+  };
+  
   // Toplu push notification gönder (her kullanıcı için mobile'a bildirim gitmeli)
   // Web'den hiç oturum açmamış kullanıcılar için de mobile'a bildirim gitmeli
-  try {
-    logger.info(`[Notification Service] Toplu mobile push bildirim gönderiliyor - ${userIds.length} kullanıcı`);
-    const pushResult = await expoPushService.sendBulkPushNotification(
-      userIds,
-      title,
-      body,
-      {
-        type: notificationType,
-        ...data
+  if (pushUserIds.length > 0) {
+    try {
+      logger.info(`[Notification Service] Toplu mobile push bildirim gönderiliyor - ${pushUserIds.length} kullanıcı`);
+      const pushResult = await expoPushService.sendBulkPushNotification(pushUserIds, title, body, pushData);
+      
+      if (pushResult.success) {
+        logger.info(`[Notification Service] ✅ Toplu mobile push bildirim gönderildi - ${pushResult.sent} gönderildi, ${pushResult.failed} başarısız`);
+      } else {
+        logger.warn(`[Notification Service] ⚠️ Toplu mobile push bildirim gönderilemedi - ${pushResult.message}`);
       }
-    );
-    
-    if (pushResult.success) {
-      logger.info(`[Notification Service] ✅ Toplu mobile push bildirim gönderildi - ${pushResult.sent} gönderildi, ${pushResult.failed} başarısız`);
-    } else {
-      logger.warn(`[Notification Service] ⚠️ Toplu mobile push bildirim gönderilemedi - ${pushResult.message}`);
+    } catch (pushError) {
+      // Push notification hatası bildirim gönderimini engellemez
+      logger.error('[Notification Service] ❌ Toplu mobile push bildirim gönderme hatası:', pushError);
     }
-  } catch (pushError) {
-    // Push notification hatası bildirim gönderimini engellemez
-    logger.error('[Notification Service] ❌ Toplu mobile push bildirim gönderme hatası:', pushError);
+  }
+  
+  for (const userId of deferredUserIds) {
+    await deferPushNotification(userId, title, body, pushData, plans.get(userId).deferPushUntil);
+  }
+  
+  for (const userId of emailUserIds) {
+    await queueNotificationEmail(userId, category, title, body);
   }
   
   return { sent_count: userIds.length };
 };
 
+/**
+ * Sessiz saatleri biten ertelenmiş push bildirimlerini gönderir (deferredPushCron)
+ * @param {Object} [options]
+ * @param {number} [options.limit=DEFERRED_PUSH_BATCH_SIZE]
+ * @returns {Promise<{processed: number, sent: number}>}
+ */
+const processDeferredPushNotifications = async ({ limit = DEFERRED_PUSH_BATCH_SIZE } = {}) => {
+  const due = await db('deferred_push_notifications')
+    .whereNull('sent_at')
+    .where('deliver_after', '<=', db.fn.now())
+    .orderBy('deliver_after', 'asc')
+    .limit(limit);
+
+  const summary = { processed: 0, sent: 0 };
+
+  for (const item of due) {
+    // Başka bir çalışma aynı kaydı aldıysa atla
+    const claimed = await db('deferred_push_notifications')
+      .where({ id: item.id })
+      .whereNull('sent_at')
+      .update({ sent_at: db.fn.now() });
+    if (!claimed) continue;
+
+    summary.processed += 1;
+
+    try {
+      let pushData = null;
+      try {
+        pushData = item.data_json ? JSON.parse(item.data_json) : null;
+      } catch (error) {
+        logger.warn('Deferred push data_json parse error:', error);
+      }
+
+      const pushResult = await expoPushService.sendPushToUser(item.user_id, item.title, item.body, pushData || {});
+      if (pushResult.success) {
+        summary.sent += 1;
+      }
+    } catch (pushError) {
+      // Ertelenen push tekrar denenmez; bildirim uygulama içinde zaten mevcut
+      logger.error('[Notification Service] ❌ Ertelenen push gönderme hatası:', pushError);
+    }
+  }
+
+  return summary;
+};
+
 /**
  * Sistem genelinde bildirim gönderir
  * @description Belirtilen role sahip tüm kullanıcılara bildirim gönderir
@@ -709,6 +860,15 @@ const sendDoctorNotification = async (doctorUserId, status, applicationData) =>
     type: notificationType,
     title: notificationTitle,
     body: notificationBody,
+    // Geri çekme doktorun kendi işlemi; e-posta yalnızca hastanenin verdiği kararlar için
+    email: statusId === 5 ? false : {
+      message: `${applicationData.hospital_name} hastanesindeki ${applicationData.job_title} pozisyonu için başvurunuz ${
+        { 1: 'inceleme aşamasına alındı', 2: 'inceleme aşamasına alındı', 3: 'uygun bulundu', 4: 'uygun bulunmadı' }[statusId] || 'güncellendi'
+      }.`,
+      note: applicationData.notes || null,
+      actionPath: `/doctor/applications/${applicationData.application_id}`,
+      actionLabel: 'Başvuruyu Görüntüle'
+    },
     data: {
       // In-App State Update için kritik alanlar
       action: 'application_status_changed',
@@ -726,6 +886,49 @@ const sendDoctorNotification = async (doctorUserId, status, applicationData) =>
   });
 };
 
+/**
+ * Doktor için toplu başvuru durumu bildirimi gönderir
+ * @description Hastane aynı doktorun birden fazla başvurusunu tek seferde aynı duruma taşıdığında
+ * her başvuru için ayrı bildirim yerine tek bir özet bildirim gönderir
+ * @param {number} doctorUserId - Doktorun user ID'si
+ * @param {number} statusId - Yeni başvuru durumu ID'si (1-4)
+ * @param {Object} data - Bildirim verileri
+ * @param {string} data.hospital_name - Hastane adı
+ * @param {Array<{application_id: number, job_id: number, job_title: string}>} data.applications - Taşınan başvurular
+ * @returns {Promise<Object>} Gönderilen bildirim bilgisi
+ *
+ * @example
+ * await sendDoctorBulkApplicationStatusNotification(123, 2, {
+ *   hospital_name: 'Ankara Hastanesi',
+ *   applications: [{ application_id: 1, job_id: 10, job_title: 'Acil Tıp Uzmanı' }]
+ * });
+ */
+const sendDoctorBulkApplicationStatusNotification = async (doctorUserId, statusId, data) => {
+  const statusTexts = {
+    1: { title: 'Başvurularınız incelemeye alındı', phrase: 'inceleme aşamasına alındı', type: 'info' },
+    2: { title: 'Başvurularınız incelemeye alındı', phrase: 'inceleme aşamasına alındı', type: 'info' },
+    3: { title: 'Başvurularınız kabul edildi', phrase: 'uygun bulundu', type: 'success' },
+    4: { title: 'Başvurularınız uygun bulunmadı', phrase: 'uygun bulunmadı', type: 'error' }
+  };
+  const text = statusTexts[statusId] || { title: 'Başvuru durumlarınız değişti', phrase: 'güncellendi', type: 'info' };
+  const jobTitles = data.applications.map((app) => app.job_title).join(', ');
+
+  return await sendNotification({
+    user_id: doctorUserId,
+    type: text.type,
+    title: text.title,
+    body: `${data.hospital_name} hastanesindeki ${data.applications.length} başvurunuz ${text.phrase}: ${jobTitles}`,
+    data: {
+      action: 'application_status_changed',
+      entity_type: 'application',
+      entity_id: data.applications[0]?.application_id || null,
+      status_id: statusId,
+      application_ids: data.applications.map((app) => app.application_id),
+      hospital_name: data.hospital_name
+    }
+  });
+};
+
 /**
  * Doktor için iş ilanı durumu bildirimi gönderir
  * @description Doktorun başvurduğu iş ilanının durumu değiştiğinde bildirim gönderir
@@ -830,6 +1033,11 @@ const sendHospitalNotification = async (hospitalUserId, applicationData) => {
     type: 'info',
     title: 'Yeni Başvuru Aldınız',
     body: `${applicationData.job_title} pozisyonu için ${applicationData.doctor_name} doktorundan yeni bir başvuru aldınız.`,
+    email: {
+      subject: `MediKariyer | Yeni başvuru: ${applicationData.job_title}`,
+      actionPath: `/hospital/applications/${applicationData.application_id}`,
+      actionLabel: 'Başvuruyu İncele'
+    },
     data: {
       // In-App State Update için kritik alanlar
       action: 'application_created',
@@ -888,6 +1096,90 @@ const sendHospitalWithdrawalNotification = async (hospitalUserId, applicationDat
   });
 };
 
+/**
+ * Mülakat bildirimi gönderir (doktor veya hastane)
+ * @description Mülakat önerildiğinde, doktor bir zaman dilimini kabul ettiğinde,
+ * hastane mülakatı iptal ettiğinde ve mülakat yaklaştığında kullanılır
+ * @param {number} userId - Alıcının user ID'si
+ * @param {string} event - proposed | scheduled | cancelled | reminder
+ * @param {Object} interviewData - Mülakat bilgileri
+ * @param {number} interviewData.interview_id - Mülakat ID'si
+ * @param {number} interviewData.application_id - Başvuru ID'si
+ * @param {string} interviewData.job_title - İş ilanı başlığı
+ * @param {string} [interviewData.hospital_name] - Hastane adı (doktora giden bildirimler)
+ * @param {string} [interviewData.doctor_name] - Doktor adı (hastaneye giden bildirimler)
+ * @param {Date|string} [interviewData.starts_at] - Seçilen zaman (scheduled, reminder)
+ * @param {number} [interviewData.slot_count] - Önerilen zaman dilimi sayısı (proposed)
+ * @param {string} [interviewData.reason] - İptal sebebi (cancelled)
+ * @returns {Promise<Object>} Gönderilen bildirim bilgisi
+ *
+ * @example
+ * await sendInterviewNotification(123, 'proposed', {
+ *   interview_id: 7,
+ *   application_id: 456,
+ *   job_title: 'Acil Tıp Uzmanı',
+ *   hospital_name: 'Ankara Hastanesi',
+ *   slot_count: 3
+ * });
+ */
+const sendInterviewNotification = async (userId, event, interviewData) => {
+  const counterpart = interviewData.hospital_name || interviewData.doctor_name;
+  const when = interviewData.starts_at
+    ? new Date(interviewData.starts_at).toLocaleString('tr-TR', {
+      timeZone: 'Europe/Istanbul',
+      dateStyle: 'long',
+      timeStyle: 'short'
+    })
+    : null;
+
+  let title;
+  let body;
+  let type = 'info';
+
+  switch (event) {
+    case 'proposed':
+      title = 'Mülakat Daveti';
+      body = `${counterpart} hastanesi ${interviewData.job_title} pozisyonu için ${interviewData.slot_count || 1} mülakat zamanı önerdi. Size uygun olanı seçin.`;
+      break;
+    case 'scheduled':
+      title = 'Mülakat Zamanı Onaylandı';
+      body = `${counterpart}, ${interviewData.job_title} pozisyonu için ${when} tarihindeki mülakatı onayladı.`;
+      type = 'success';
+      break;
+    case 'cancelled':
+      title = 'Mülakat İptal Edildi';
+      body = `${counterpart} hastanesi ${interviewData.job_title} pozisyonu için planlanan mülakatı iptal etti.${interviewData.reason ? ` Sebep: ${interviewData.reason}` : ''}`;
+      type = 'warning';
+      break;
+    case 'reminder':
+      title = 'Mülakat Hatırlatması';
+      body = `${counterpart} ile ${interviewData.job_title} pozisyonu için mülakatınız ${when} tarihinde.`;
+      break;
+    default:
+      title = 'Mülakat Güncellendi';
+      body = `${interviewData.job_title} pozisyonu için mülakat bilgileri güncellendi.`;
+  }
+
+  return await sendNotification({
+    user_id: userId,
+    type,
+    title,
+    body,
+    data: {
+      // In-App State Update için kritik alanlar
+      action: 'interview_updated',
+      entity_type: 'application',
+      entity_id: interviewData.application_id,
+      // Mülakat verileri
+      event,
+      interview_id: interviewData.interview_id,
+      application_id: interviewData.application_id,
+      job_title: interviewData.job_title,
+      starts_at: interviewData.starts_at || null
+    }
+  });
+};
+
 /**
  * Admin için bildirim gönderir
  * @description Admin tüm kullanıcılara veya belirli role sahip kullanıcılara bildirim gönderir
@@ -1303,13 +1595,16 @@ module.exports = {
   // Bildirim gönderme işlemleri
   sendNotification,
   sendBulkNotification,
+  processDeferredPushNotifications,
   sendSystemNotification,
   
   // Role-based bildirim gönderme
   sendDoctorNotification,
+  sendDoctorBulkApplicationStatusNotification,
   sendDoctorJobStatusNotification,
   sendHospitalNotification,
   sendHospitalWithdrawalNotification,
+  sendInterviewNotification,
   sendAdminNotification,
   sendAdminBulkNotification,
   sendAdminSystemNotification,
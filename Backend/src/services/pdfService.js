@@ -1,122 +1,398 @@
 const puppeteer = require('puppeteer');
 const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+const { DOCTOR_CV, PDF_RENDER } = require('../config/appConstants');
+
+/**
+ * Doktor CV etiketleri (DOCTOR_CV.LANGUAGES)
+ * Şablonlar: classic - başvuru belgesiyle aynı görünüm, compact - iki sütunlu sade görünüm
+ * Lookup değerleri (uzmanlık, şehir, dil adları) veritabanındaki haliyle yazılır.
+ */
+const CV_LABELS = {
+  tr: {
+    locale: 'tr-TR',
+    documentTitle: 'Özgeçmiş',
+    pageTitle: 'MediKariyer.net Özgeçmiş',
+    doctorInfo: 'Doktor Bilgileri',
+    contact: 'İletişim',
+    fullName: 'Ad Soyad',
+    specialty: 'Uzmanlık',
+    subSpecialty: 'Yan Dal Uzmanlığı',
+    email: 'E-posta',
+    phone: 'Telefon',
+    city: 'Şehir',
+    birthDate: 'Doğum Tarihi',
+    education: 'Eğitim Bilgileri',
+    experience: 'Deneyim Bilgileri',
+    certificates: 'Sertifikalar',
+    languages: 'Dil Bilgileri',
+    graduation: 'Mezuniyet',
+    ongoing: 'Devam Ediyor',
+    level: 'Seviye',
+    notSpecified: 'Belirtilmemiş',
+    photoAlt: 'Profil Fotoğrafı',
+    footer: 'Bu belge MediKariyer.net sistemi tarafından otomatik olarak üretilmiştir.',
+    generatedAt: 'Oluşturulma Zamanı'
+  },
+  en: {
+    locale: 'en-GB',
+    documentTitle: 'Curriculum Vitae',
+    pageTitle: 'MediKariyer.net Curriculum Vitae',
+    doctorInfo: 'Personal Information',
+    contact: 'Contact',
+    fullName: 'Full Name',
+    specialty: 'Specialty',
+    subSpecialty: 'Subspecialty',
+    email: 'Email',
+    phone: 'Phone',
+    city: 'City',
+    birthDate: 'Date of Birth',
+    education: 'Education',
+    experience: 'Experience',
+    certificates: 'Certificates',
+    languages: 'Languages',
+    graduation: 'Graduated',
+    ongoing: 'Present',
+    level: 'Level',
+    notSpecified: 'Not specified',
+    photoAlt: 'Profile Photo',
+    footer: 'This document was generated automatically by MediKariyer.net.',
+    generatedAt: 'Generated at'
+  }
+};
 
 class PDFService {
   constructor() {
     this.browser = null;
+    this.browserLaunch = null;
+    this.idlePages = [];
+    this.activeJobs = 0;
+    this.queue = [];
+    this.cache = new Map();
   }
 
+  // ============================================================================
+  // TARAYICI VE SAYFA HAVUZU
+  // ============================================================================
+
+  /**
+   * Paylaşılan tarayıcıyı döndürür; kapanmış / çökmüşse yeniden başlatır
+   * Aynı anda gelen istekler tek bir launch'ı bekler.
+   */
   async initBrowser() {
-    if (!this.browser) {
-      this.browser = await puppeteer.launch({
+    if (this.browser && this.browser.connected) {
+      return this.browser;
+    }
+
+    if (!this.browserLaunch) {
+      this.browserLaunch = puppeteer.launch({
         headless: 'new',
         args: ['--no-sandbox', '--disable-setuid-sandbox']
-      });
+      })
+        .then((browser) => {
+          browser.on('disconnected', () => {
+            // Çöken / kapatılan tarayıcının sayfaları kullanılamaz; bir sonraki iş yeniden başlatır
+            if (this.browser === browser) {
+              logger.warn('PDF browser disconnected, will relaunch on next render');
+              this.browser = null;
+              this.idlePages = [];
+            }
+          });
+          this.browser = browser;
+          return browser;
+        })
+        .finally(() => {
+          this.browserLaunch = null;
+        });
     }
-    return this.browser;
+
+    return this.browserLaunch;
   }
 
   async closeBrowser() {
+    // Kuyrukta bekleyenleri bırakma; kapanışta hepsi hata alır
+    this.queue.splice(0).forEach((waiter) => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new AppError('PDF servisi kapatılıyor', 503));
+    });
+    this.idlePages = [];
+
     if (this.browser) {
-      await this.browser.close();
+      const browser = this.browser;
       this.browser = null;
+      await browser.close();
     }
   }
 
   /**
-   * Generate Job Posting PDF
+   * Render slotu al - PDF_RENDER.POOL_SIZE dolu ise kuyrukta bekle
+   * @throws {AppError} 503 - Kuyruk dolu veya bekleme süresi aşıldı
    */
-  async generateJobPostingPDF(jobData) {
-    try {
-      logger.info('Starting PDF generation for job', { jobId: jobData.jobId });
-      const browser = await this.initBrowser();
-      const page = await browser.newPage();
+  acquireSlot() {
+    if (this.activeJobs < PDF_RENDER.POOL_SIZE) {
+      this.activeJobs++;
+      return Promise.resolve();
+    }
+
+    if (this.queue.length >= PDF_RENDER.QUEUE_LIMIT) {
+      return Promise.reject(new AppError('PDF servisi şu anda yoğun, lütfen biraz sonra tekrar deneyin', 503));
+    }
 
-      // Logo URL'sini kısalt (sadece ilk 100 karakter)
-      if (jobData.hospitalLogo && jobData.hospitalLogo.length > 100) {
-        logger.info('Hospital logo URL length', { length: jobData.hospitalLogo.length });
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+      waiter.timer = setTimeout(() => {
+        this.queue = this.queue.filter((item) => item !== waiter);
+        reject(new AppError('PDF servisi şu anda yoğun, lütfen biraz sonra tekrar deneyin', 503));
+      }, PDF_RENDER.QUEUE_TIMEOUT_MS);
+      this.queue.push(waiter);
+    });
+  }
+
+  /**
+   * Render slotunu bırak - kuyrukta bekleyen varsa slot doğrudan ona geçer
+   */
+  releaseSlot() {
+    const next = this.queue.shift();
+    if (next) {
+      clearTimeout(next.timer);
+      next.resolve();
+      return;
+    }
+    this.activeJobs--;
+  }
+
+  /**
+   * Havuzdan boş sayfa al, yoksa yeni sayfa aç
+   */
+  async acquirePage() {
+    while (this.idlePages.length > 0) {
+      const page = this.idlePages.pop();
+      if (!page.isClosed() && this.browser && this.browser.connected) {
+        return page;
       }
+    }
 
-      const html = this.generateJobPostingHTML(jobData);
-      logger.info('HTML generated', { length: html.length });
-      
-      // Base64 görseller için load event'ini bekle
-      await page.setContent(html, { 
-        waitUntil: 'load',
-        timeout: 30000 
+    const browser = await this.initBrowser();
+    return browser.newPage();
+  }
+
+  /**
+   * Sağlam sayfayı havuza geri koy, hatalı / zaman aşımına uğramış sayfayı kapat
+   */
+  async releasePage(page, healthy) {
+    if (!page || page.isClosed()) return;
+
+    if (healthy && this.browser && this.browser.connected && this.idlePages.length < PDF_RENDER.POOL_SIZE) {
+      this.idlePages.push(page);
+      return;
+    }
+
+    // Takılan sayfa kapanmayı da bekletebilir; kapanmazsa tarayıcı yeniden başlatılır
+    const closed = await Promise.race([
+      page.close().then(() => true),
+      new Promise(resolve => setTimeout(() => resolve(false), 5000))
+    ]).catch((error) => {
+      logger.warn('PDF page close failed', { error: error.message });
+      return false;
+    });
+
+    if (!closed && this.browser) {
+      logger.warn('PDF browser unresponsive, restarting');
+      const browser = this.browser;
+      this.browser = null;
+      this.idlePages = [];
+      browser.close().catch(() => {
+        const processHandle = browser.process();
+        if (processHandle) processHandle.kill('SIGKILL');
       });
-      logger.info('HTML content set in page');
-      
-      // Görsellerin render olması için bekleme
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      const pdf = await page.pdf({
-        format: 'A4',
-        printBackground: true,
-        margin: {
-          top: '20mm',
-          right: '15mm',
-          bottom: '20mm',
-          left: '15mm'
+    }
+  }
+
+  /**
+   * HTML'i havuzdaki bir sayfada PDF'e çevirir
+   * Her iş PDF_RENDER.JOB_TIMEOUT_MS ile sınırlıdır; takılan sayfa kapatılır ve
+   * diğer indirmeleri bekletmez.
+   * @param {string} html - Render edilecek HTML
+   * @param {Object} pdfOptions - page.pdf seçenekleri
+   * @param {Object} [options]
+   * @param {string} [options.label] - Log için iş adı
+   * @param {number} [options.settleMs=0] - setContent sonrası görseller için bekleme
+   * @param {string} [options.cacheKey] - Verilirse sonuç önbelleğe yazılır (bkz. buildCacheKey)
+   * @returns {Promise<Buffer>}
+   */
+  async renderPdf(html, pdfOptions, options = {}) {
+    const { label = 'pdf', settleMs = 0, cacheKey = null } = options;
+
+    await this.acquireSlot();
+
+    let page = null;
+    let healthy = false;
+    let timedOut = false;
+    let timer = null;
+
+    try {
+      const render = (async () => {
+        const acquired = await this.acquirePage();
+        if (timedOut) {
+          // Sayfa zaman aşımından sonra açıldı; havuza girmeden kapat
+          await this.releasePage(acquired, false);
+          return null;
+        }
+        page = acquired;
+        await page.setContent(html, {
+          waitUntil: 'load',
+          timeout: PDF_RENDER.JOB_TIMEOUT_MS
+        });
+        if (settleMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, settleMs));
         }
+        return page.pdf(pdfOptions);
+      })();
+
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          timedOut = true;
+          reject(new AppError('PDF oluşturma zaman aşımına uğradı', 504));
+        }, PDF_RENDER.JOB_TIMEOUT_MS);
       });
 
-      logger.info('PDF generated', { size: pdf.length });
-      await page.close();
-      
+      // Zaman aşımında render promise'i sahipsiz kalır; sayfa kapatılınca reddedilir
+      render.catch(() => {});
+      const pdf = Buffer.from(await Promise.race([render, timeout]));
+      healthy = true;
+
+      logger.info('PDF generated', { label, size: pdf.length });
+
+      if (cacheKey) {
+        this.setCachedPdf(cacheKey, pdf);
+      }
+
       return pdf;
     } catch (error) {
-      logger.error('PDF generation error', { error: error.message, stack: error.stack });
+      logger.error('PDF generation error', { label, error: error.message, stack: error.stack });
       throw error;
+    } finally {
+      clearTimeout(timer);
+      await this.releasePage(page, healthy);
+      this.releaseSlot();
     }
   }
 
+  // ============================================================================
+  // PDF ÖNBELLEĞİ
+  // ============================================================================
+
   /**
-   * Generate Application PDF (Job + Doctor Profile)
+   * Önbellek anahtarı - kaynak güncellendiğinde (updated_at) anahtar değişir
+   * @param {string} type - Kaynak türü (örn. 'job')
+   * @param {number|string} id - Kaynak ID'si
+   * @param {Date|string} updatedAt - Kaynağın son güncellenme zamanı
+   * @returns {string|null} updatedAt yoksa null (önbelleğe alınmaz)
    */
-  async generateApplicationPDF(applicationData) {
-    try {
-      logger.info('Starting PDF generation for application', { applicationId: applicationData.applicationId });
-      const browser = await this.initBrowser();
-      const page = await browser.newPage();
+  buildCacheKey(type, id, updatedAt) {
+    if (!id || !updatedAt) return null;
+    const version = new Date(updatedAt).getTime();
+    if (Number.isNaN(version)) return null;
+    return `${type}:${id}:${version}`;
+  }
+
+  getCachedPdf(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return null;
+
+    if (Date.now() - entry.createdAt > PDF_RENDER.CACHE_TTL_MS) {
+      this.cache.delete(key);
+      return null;
+    }
+
+    // LRU: son kullanılan sona taşınır
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    return entry.pdf;
+  }
 
-      // Profil fotoğrafı URL'sini kısalt (sadece ilk 100 karakter)
-      if (applicationData.doctor?.profilePhoto && applicationData.doctor.profilePhoto.length > 100) {
-        logger.info('Profile photo URL length', { length: applicationData.doctor.profilePhoto.length });
+  setCachedPdf(key, pdf) {
+    // Aynı kaynağın eski sürümlerini bırak
+    const prefix = key.slice(0, key.lastIndexOf(':') + 1);
+    for (const existingKey of this.cache.keys()) {
+      if (existingKey.startsWith(prefix)) {
+        this.cache.delete(existingKey);
       }
+    }
 
-      const html = this.generateApplicationHTML(applicationData);
-      logger.info('HTML generated', { length: html.length });
-      
-      // Base64 görseller için load event'ini bekle
-      await page.setContent(html, { 
-        waitUntil: 'load',
-        timeout: 30000 
-      });
-      logger.info('HTML content set in page');
-      
-      // Görsellerin render olması için bekleme
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      const pdf = await page.pdf({
-        format: 'A4',
-        printBackground: true,
-        margin: {
-          top: '20mm',
-          right: '15mm',
-          bottom: '20mm',
-          left: '15mm'
-        }
-      });
+    this.cache.set(key, { pdf, createdAt: Date.now() });
 
-      logger.info('PDF generated', { size: pdf.length });
-      await page.close();
-      
-      return pdf;
-    } catch (error) {
-      logger.error('PDF generation error', { error: error.message, stack: error.stack });
-      throw error;
+    while (this.cache.size > PDF_RENDER.CACHE_MAX_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  // ============================================================================
+  // PDF ÜRETİMİ
+  // ============================================================================
+
+  /**
+   * Generate Job Posting PDF
+   * jobData.updatedAt verilirse sonuç ilan ID'si + updatedAt ile önbelleğe alınır
+   */
+  async generateJobPostingPDF(jobData) {
+    logger.info('Starting PDF generation for job', { jobId: jobData.jobId });
+
+    // Logo URL'sini kısalt (sadece ilk 100 karakter)
+    if (jobData.hospitalLogo && jobData.hospitalLogo.length > 100) {
+      logger.info('Hospital logo URL length', { length: jobData.hospitalLogo.length });
+    }
+
+    const cacheKey = this.buildCacheKey('job', jobData.jobId, jobData.updatedAt);
+    if (cacheKey) {
+      const cached = this.getCachedPdf(cacheKey);
+      if (cached) {
+        logger.info('PDF served from cache', { label: 'job', cacheKey });
+        return cached;
+      }
+    }
+
+    const html = this.generateJobPostingHTML(jobData);
+    logger.info('HTML generated', { length: html.length });
+
+    // Base64 görsellerin render olması için kısa bekleme
+    return this.renderPdf(html, {
+      format: 'A4',
+      printBackground: true,
+      margin: {
+        top: '20mm',
+        right: '15mm',
+        bottom: '20mm',
+        left: '15mm'
+      }
+    }, { label: 'job', settleMs: 1000, cacheKey });
+  }
+
+  /**
+   * Generate Application PDF (Job + Doctor Profile)
+   */
+  async generateApplicationPDF(applicationData) {
+    logger.info('Starting PDF generation for application', { applicationId: applicationData.applicationId });
+
+    // Profil fotoğrafı URL'sini kısalt (sadece ilk 100 karakter)
+    if (applicationData.doctor?.profilePhoto && applicationData.doctor.profilePhoto.length > 100) {
+      logger.info('Profile photo URL length', { length: applicationData.doctor.profilePhoto.length });
     }
+
+    const html = this.generateApplicationHTML(applicationData);
+    logger.info('HTML generated', { length: html.length });
+
+    // Base64 görsellerin render olması için kısa bekleme
+    return this.renderPdf(html, {
+      format: 'A4',
+      printBackground: true,
+      margin: {
+        top: '20mm',
+        right: '15mm',
+        bottom: '20mm',
+        left: '15mm'
+      }
+    }, { label: 'application', settleMs: 1000 });
   }
 
   /**
@@ -132,6 +408,18 @@ class PDFService {
       .replace(/'/g, '&#039;');
   }
 
+  /**
+   * Format salary range for PDF (ör. "80.000 - 120.000 TRY")
+   */
+  formatSalaryRange(min, max, currency) {
+    const format = (value) => (value === null || value === undefined ? null : Number(value).toLocaleString('tr-TR'));
+    const minLabel = format(min);
+    const maxLabel = format(max);
+    if (!minLabel && !maxLabel) return null;
+    const range = minLabel && maxLabel ? `${minLabel} - ${maxLabel}` : (minLabel ? `${minLabel}+` : `En fazla ${maxLabel}`);
+    return `${range} ${currency || 'TRY'}`;
+  }
+
   /**
    * Generate HTML for Job Posting PDF
    */
@@ -155,10 +443,24 @@ class PDFService {
       requirements,
       description,
       workingHours,
-      benefits,
+      benefits: benefitsText,
+      salaryMin,
+      salaryMax,
+      salaryCurrency,
+      monthlyShiftCount,
+      providesHousing,
+      providesTransport,
       createdAt
     } = jobData;
 
+    const salaryRange = this.formatSalaryRange(salaryMin, salaryMax, salaryCurrency);
+    const benefitItems = [
+      providesHousing ? 'Lojman / konaklama' : null,
+      providesTransport ? 'Servis / ulaşım desteği' : null,
+      benefitsText || null
+    ].filter(Boolean);
+    const benefits = benefitItems.length > 0 ? benefitItems.join('\n') : null;
+
     return `
 <!DOCTYPE html>
 <html lang="tr">
@@ -393,6 +695,18 @@ class PDFService {
           <td><strong>${minExperience} yıl</strong></td>
         </tr>
         ` : ''}
+        ${salaryRange ? `
+        <tr>
+          <td>Aylık Ücret</td>
+          <td><strong>${this.escapeHtml(salaryRange)}</strong></td>
+        </tr>
+        ` : ''}
+        ${monthlyShiftCount !== null && monthlyShiftCount !== undefined ? `
+        <tr>
+          <td>Aylık Nöbet Sayısı</td>
+          <td>${Number(monthlyShiftCount)}</td>
+        </tr>
+        ` : ''}
       </table>
     </div>
 
@@ -523,6 +837,136 @@ class PDFService {
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <title>Başvuru Detayı - ${applicationId}</title>
   <style>
+${this.getApplicationStyles()}
+  </style>
+</head>
+<body>
+  <div class="page-title">MediKariyer.net Başvuru Belgesi</div>
+  
+  <div class="header">
+    <div class="hospital-info">
+      <div class="hospital-logo-container">
+        ${hospitalLogo && hospitalLogo.startsWith('data:image') 
+          ? `<img src="${hospitalLogo}" alt="Hospital Logo" class="hospital-logo-img">` 
+          : `<div class="hospital-logo-text">${hospitalName.charAt(0)}</div>`}
+      </div>
+      <div class="hospital-name">${hospitalName}</div>
+    </div>
+  </div>
+
+  <div class="content">
+    ${this.generateDoctorSectionsHTML(doctor)}
+  </div>
+
+  <div class="page-break"></div>
+
+  <div class="content">
+    <div class="section">
+      <h2 class="section-title">Başvuru Bilgileri</h2>
+      <table class="info-table">
+        <tr>
+          <td>Başvuru ID</td>
+          <td><strong>${applicationId}</strong></td>
+        </tr>
+        <tr>
+          <td>İlan Başlığı</td>
+          <td><strong>${this.escapeHtml(jobTitle)}</strong></td>
+        </tr>
+        <tr>
+          <td>Çalışma Türü</td>
+          <td>${this.escapeHtml(employmentType) || '-'}</td>
+        </tr>
+        <tr>
+          <td>Başvuru Tarihi</td>
+          <td>${new Date(applicationDate).toLocaleDateString('tr-TR')}</td>
+        </tr>
+        <tr>
+          <td>Durum</td>
+          <td><strong>${this.escapeHtml(status)}</strong></td>
+        </tr>
+      </table>
+    </div>
+
+    ${doctorNote ? `
+    <div class="section">
+      <h2 class="section-title">Doktor Notu</h2>
+      <div class="detail-box">
+        <p>${this.escapeHtml(doctorNote)}</p>
+      </div>
+    </div>
+    ` : ''}
+
+    ${jobDescription ? `
+    <div class="section">
+      <h2 class="section-title">İlan Açıklaması</h2>
+      <div class="detail-box">
+        <p>${this.escapeHtml(jobDescription)}</p>
+      </div>
+    </div>
+    ` : ''}
+
+    <div class="section">
+      <h2 class="section-title">HASTANE BİLGİLERİ</h2>
+      <div class="hospital-info-section">
+        <div class="hospital-info-item">
+          <span class="hospital-info-label">Hastane Adı:</span>
+          <span>${hospitalName}</span>
+        </div>
+        ${hospitalCity ? `
+        <div class="hospital-info-item">
+          <span class="hospital-info-label">Şehir:</span>
+          <span>${hospitalCity}</span>
+        </div>
+        ` : ''}
+        ${hospitalAddress ? `
+        <div class="hospital-info-item">
+          <span class="hospital-info-label">Adres:</span>
+          <span>${hospitalAddress}</span>
+        </div>
+        ` : ''}
+        ${hospitalPhone ? `
+        <div class="hospital-info-item">
+          <span class="hospital-info-label">Telefon:</span>
+          <span>${hospitalPhone}</span>
+        </div>
+        ` : ''}
+        ${hospitalEmail ? `
+        <div class="hospital-info-item">
+          <span class="hospital-info-label">E-posta:</span>
+          <span>${hospitalEmail}</span>
+        </div>
+        ` : ''}
+        ${hospitalWebsite ? `
+        <div class="hospital-info-item">
+          <span class="hospital-info-label">Web Site:</span>
+          <span>${hospitalWebsite}</span>
+        </div>
+        ` : ''}
+      </div>
+    </div>
+  </div>
+
+  <div class="footer">
+    <p>Bu belge MediKariyer.net sistemi tarafından otomatik olarak üretilmiştir.</p>
+    <p>Oluşturulma Zamanı: ${new Date().toLocaleString('tr-TR', { 
+      day: '2-digit', 
+      month: '2-digit', 
+      year: 'numeric', 
+      hour: '2-digit', 
+      minute: '2-digit', 
+      second: '2-digit' 
+    })}</p>
+  </div>
+</body>
+</html>
+    `;
+  }
+
+  /**
+   * Başvuru belgesi ve doktor CV'si için ortak stiller
+   */
+  getApplicationStyles() {
+    return `
     * {
       margin: 0;
       padding: 0;
@@ -699,214 +1143,433 @@ class PDFService {
       color: #666;
       margin: 3px 0;
     }
-  </style>
-</head>
-<body>
-  <div class="page-title">MediKariyer.net Başvuru Belgesi</div>
-  
-  <div class="header">
-    <div class="hospital-info">
-      <div class="hospital-logo-container">
-        ${hospitalLogo && hospitalLogo.startsWith('data:image') 
-          ? `<img src="${hospitalLogo}" alt="Hospital Logo" class="hospital-logo-img">` 
-          : `<div class="hospital-logo-text">${hospitalName.charAt(0)}</div>`}
-      </div>
-      <div class="hospital-name">${hospitalName}</div>
-    </div>
-  </div>
+    `;
+  }
 
-  <div class="content">
-    <div class="section">
-      <h2 class="section-title">Doktor Bilgileri</h2>
-      <table class="info-table">
-        <tr>
-          <td>Ad Soyad</td>
-          <td><strong>${this.escapeHtml(doctor.fullName)}</strong></td>
-        </tr>
-        <tr>
-          <td>Uzmanlık</td>
-          <td><strong>${this.escapeHtml(doctor.specialty)}</strong></td>
-        </tr>
-        <tr>
-          <td>Yan Dal Uzmanlığı</td>
-          <td>${this.escapeHtml(doctor.subSpecialty) || '-'}</td>
-        </tr>
-        <tr>
-          <td>E-posta</td>
-          <td>${this.escapeHtml(doctor.email)}</td>
-        </tr>
-        <tr>
-          <td>Telefon</td>
-          <td>${this.escapeHtml(doctor.phone)}</td>
-        </tr>
-        <tr>
-          <td>Şehir</td>
-          <td>${this.escapeHtml(doctor.city) || '-'}</td>
-        </tr>
-        ${doctor.birthDate ? `
-        <tr>
-          <td>Doğum Tarihi</td>
-          <td>${new Date(doctor.birthDate).toLocaleDateString('tr-TR')}</td>
-        </tr>
-        ` : ''}
-      </table>
-    </div>
-
-    ${doctor.education && doctor.education.length > 0 ? `
-    <div class="section">
-      <h2 class="section-title">Eğitim Bilgileri</h2>
-      ${doctor.education.map(edu => `
-        <div class="detail-box">
-          <h4>${this.escapeHtml(edu.education_institution || 'Belirtilmemiş')}</h4>
-          <p>${this.escapeHtml(edu.education_type_name || '')} ${edu.field ? `- ${this.escapeHtml(edu.field)}` : ''}
-${edu.graduation_year ? `Mezuniyet: ${edu.graduation_year}` : ''}</p>
-        </div>
-      `).join('')}
-    </div>
-    ` : ''}
-
-    ${doctor.experience && doctor.experience.length > 0 ? `
-    <div class="section">
-      <h2 class="section-title">Deneyim Bilgileri</h2>
-      ${doctor.experience.map(exp => `
-        <div class="detail-box">
-          <h4>${this.escapeHtml(exp.role_title || 'Belirtilmemiş')} - ${this.escapeHtml(exp.organization || 'Belirtilmemiş')}</h4>
-          <p>${exp.start_date ? new Date(exp.start_date).toLocaleDateString('tr-TR') : ''} - ${exp.end_date ? new Date(exp.end_date).toLocaleDateString('tr-TR') : 'Devam Ediyor'}
-${exp.specialty_name ? `Uzmanlık: ${this.escapeHtml(exp.specialty_name)}${exp.subspecialty_name ? ` / ${this.escapeHtml(exp.subspecialty_name)}` : ''}` : ''}
-${exp.description ? `\n${this.escapeHtml(exp.description)}` : ''}</p>
-        </div>
-      `).join('')}
-    </div>
-    ` : ''}
-
-    ${doctor.certificates && doctor.certificates.length > 0 ? `
-    <div class="section">
-      <h2 class="section-title">Sertifikalar</h2>
-      ${doctor.certificates.map(cert => `
-        <div class="detail-box">
-          <h4>${this.escapeHtml(cert.certificate_name || 'Belirtilmemiş')}</h4>
-          <p>${this.escapeHtml(cert.institution || '')} ${cert.certificate_year ? `| ${cert.certificate_year}` : ''}</p>
-        </div>
-      `).join('')}
-    </div>
-    ` : ''}
+  /**
+   * Doktor bilgileri, eğitim, deneyim, sertifika ve dil bölümleri
+   * Başvuru belgesi ve klasik CV şablonu aynı bölümleri kullanır
+   * @param {Object} doctor - Doktor CV verisi (buildDoctorCvData formatı)
+   * @param {Object} [labels=CV_LABELS.tr] - Bölüm etiketleri
+   */
+  generateDoctorSectionsHTML(doctor, labels = CV_LABELS.tr) {
+    const formatDate = (value) => new Date(value).toLocaleDateString(labels.locale);
 
-    ${doctor.languages && doctor.languages.length > 0 ? `
-    <div class="section">
-      <h2 class="section-title">Dil Bilgileri</h2>
-      ${doctor.languages.map(lang => `
-        <div class="detail-box">
-          <h4>${this.escapeHtml(lang.language_name || 'Belirtilmemiş')}</h4>
-          <p>Seviye: ${this.escapeHtml(lang.level_name || 'Belirtilmemiş')}</p>
-        </div>
-      `).join('')}
-    </div>
-    ` : ''}
+    return `
+  <div class="section">
+    <h2 class="section-title">${labels.doctorInfo}</h2>
+    <table class="info-table">
+      <tr>
+        <td>${labels.fullName}</td>
+        <td><strong>${this.escapeHtml(doctor.fullName)}</strong></td>
+      </tr>
+      <tr>
+        <td>${labels.specialty}</td>
+        <td><strong>${this.escapeHtml(doctor.specialty)}</strong></td>
+      </tr>
+      <tr>
+        <td>${labels.subSpecialty}</td>
+        <td>${this.escapeHtml(doctor.subSpecialty) || '-'}</td>
+      </tr>
+      <tr>
+        <td>${labels.email}</td>
+        <td>${this.escapeHtml(doctor.email)}</td>
+      </tr>
+      <tr>
+        <td>${labels.phone}</td>
+        <td>${this.escapeHtml(doctor.phone)}</td>
+      </tr>
+      <tr>
+        <td>${labels.city}</td>
+        <td>${this.escapeHtml(doctor.city) || '-'}</td>
+      </tr>
+      ${doctor.birthDate ? `
+      <tr>
+        <td>${labels.birthDate}</td>
+        <td>${formatDate(doctor.birthDate)}</td>
+      </tr>
+      ` : ''}
+    </table>
   </div>
 
-  <div class="page-break"></div>
-
-  <div class="content">
-    <div class="section">
-      <h2 class="section-title">Başvuru Bilgileri</h2>
-      <table class="info-table">
-        <tr>
-          <td>Başvuru ID</td>
-          <td><strong>${applicationId}</strong></td>
-        </tr>
-        <tr>
-          <td>İlan Başlığı</td>
-          <td><strong>${this.escapeHtml(jobTitle)}</strong></td>
-        </tr>
-        <tr>
-          <td>Çalışma Türü</td>
-          <td>${this.escapeHtml(employmentType) || '-'}</td>
-        </tr>
-        <tr>
-          <td>Başvuru Tarihi</td>
-          <td>${new Date(applicationDate).toLocaleDateString('tr-TR')}</td>
-        </tr>
-        <tr>
-          <td>Durum</td>
-          <td><strong>${this.escapeHtml(status)}</strong></td>
-        </tr>
-      </table>
-    </div>
+  ${doctor.education && doctor.education.length > 0 ? `
+  <div class="section">
+    <h2 class="section-title">${labels.education}</h2>
+    ${doctor.education.map(edu => `
+      <div class="detail-box">
+        <h4>${this.escapeHtml(edu.education_institution || labels.notSpecified)}</h4>
+        <p>${this.escapeHtml(edu.education_type_name || '')} ${edu.field ? `- ${this.escapeHtml(edu.field)}` : ''}
+${edu.graduation_year ? `${labels.graduation}: ${edu.graduation_year}` : ''}</p>
+      </div>
+    `).join('')}
+  </div>
+  ` : ''}
 
-    ${doctorNote ? `
-    <div class="section">
-      <h2 class="section-title">Doktor Notu</h2>
+  ${doctor.experience && doctor.experience.length > 0 ? `
+  <div class="section">
+    <h2 class="section-title">${labels.experience}</h2>
+    ${doctor.experience.map(exp => `
       <div class="detail-box">
-        <p>${this.escapeHtml(doctorNote)}</p>
+        <h4>${this.escapeHtml(exp.role_title || labels.notSpecified)} - ${this.escapeHtml(exp.organization || labels.notSpecified)}</h4>
+        <p>${exp.start_date ? formatDate(exp.start_date) : ''} - ${exp.end_date ? formatDate(exp.end_date) : labels.ongoing}
+${exp.specialty_name ? `${labels.specialty}: ${this.escapeHtml(exp.specialty_name)}${exp.subspecialty_name ? ` / ${this.escapeHtml(exp.subspecialty_name)}` : ''}` : ''}
+${exp.description ? `\n${this.escapeHtml(exp.description)}` : ''}</p>
       </div>
-    </div>
-    ` : ''}
+    `).join('')}
+  </div>
+  ` : ''}
 
-    ${jobDescription ? `
-    <div class="section">
-      <h2 class="section-title">İlan Açıklaması</h2>
+  ${doctor.certificates && doctor.certificates.length > 0 ? `
+  <div class="section">
+    <h2 class="section-title">${labels.certificates}</h2>
+    ${doctor.certificates.map(cert => `
       <div class="detail-box">
-        <p>${this.escapeHtml(jobDescription)}</p>
+        <h4>${this.escapeHtml(cert.certificate_name || labels.notSpecified)}</h4>
+        <p>${this.escapeHtml(cert.institution || '')} ${cert.certificate_year ? `| ${cert.certificate_year}` : ''}</p>
       </div>
-    </div>
-    ` : ''}
+    `).join('')}
+  </div>
+  ` : ''}
 
-    <div class="section">
-      <h2 class="section-title">HASTANE BİLGİLERİ</h2>
-      <div class="hospital-info-section">
-        <div class="hospital-info-item">
-          <span class="hospital-info-label">Hastane Adı:</span>
-          <span>${hospitalName}</span>
-        </div>
-        ${hospitalCity ? `
-        <div class="hospital-info-item">
-          <span class="hospital-info-label">Şehir:</span>
-          <span>${hospitalCity}</span>
-        </div>
-        ` : ''}
-        ${hospitalAddress ? `
-        <div class="hospital-info-item">
-          <span class="hospital-info-label">Adres:</span>
-          <span>${hospitalAddress}</span>
-        </div>
-        ` : ''}
-        ${hospitalPhone ? `
-        <div class="hospital-info-item">
-          <span class="hospital-info-label">Telefon:</span>
-          <span>${hospitalPhone}</span>
-        </div>
-        ` : ''}
-        ${hospitalEmail ? `
-        <div class="hospital-info-item">
-          <span class="hospital-info-label">E-posta:</span>
-          <span>${hospitalEmail}</span>
-        </div>
-        ` : ''}
-        ${hospitalWebsite ? `
-        <div class="hospital-info-item">
-          <span class="hospital-info-label">Web Site:</span>
-          <span>${hospitalWebsite}</span>
-        </div>
-        ` : ''}
+  ${doctor.languages && doctor.languages.length > 0 ? `
+  <div class="section">
+    <h2 class="section-title">${labels.languages}</h2>
+    ${doctor.languages.map(lang => `
+      <div class="detail-box">
+        <h4>${this.escapeHtml(lang.language_name || labels.notSpecified)}</h4>
+        <p>${labels.level}: ${this.escapeHtml(lang.level_name || labels.notSpecified)}</p>
       </div>
-    </div>
+    `).join('')}
   </div>
+  ` : ''}
+    `;
+  }
+
+  /**
+   * doctorService.getCompleteProfile çıktısını CV verisine çevirir
+   * Profil fotoğrafı doctor_profiles.profile_photo'dan gelir (yalnızca admin onaylı fotoğraf)
+   * @param {Object} profile - Tam profil (educations, experiences, certificates, languages dahil)
+   * @returns {Object} generateDoctorCvPDF için doktor verisi
+   */
+  buildDoctorCvData(profile) {
+    return {
+      fullName: `${profile.title || ''} ${profile.first_name || ''} ${profile.last_name || ''}`.trim(),
+      email: profile.email,
+      phone: profile.phone,
+      birthDate: profile.dob,
+      city: profile.residence_city_name,
+      specialty: profile.specialty_name,
+      subSpecialty: profile.subspecialty_name,
+      profilePhoto: profile.profile_photo,
+      education: profile.educations || [],
+      experience: profile.experiences || [],
+      certificates: profile.certificates || [],
+      languages: profile.languages || []
+    };
+  }
+
+  /**
+   * Generate Doctor CV PDF
+   * Doktorun CV indirmesinde (/api/doctor/profile/cv.pdf) ve kişisel veri dışa aktarmada kullanılır
+   * @param {Object} doctor - Doktor CV verisi (buildDoctorCvData formatı)
+   * @param {Object} [options]
+   * @param {string} [options.template] - DOCTOR_CV.TEMPLATES (classic | compact)
+   * @param {string} [options.lang] - DOCTOR_CV.LANGUAGES (tr | en)
+   */
+  async generateDoctorCvPDF(doctor, options = {}) {
+    logger.info('Starting PDF generation for doctor CV', { template: options.template, lang: options.lang });
+
+    const html = this.generateDoctorCvHTML(doctor, options);
+    logger.info('HTML generated', { length: html.length });
+
+    const compact = options.template === 'compact';
+    return this.renderPdf(html, {
+      format: 'A4',
+      printBackground: true,
+      margin: compact
+        ? { top: '12mm', right: '12mm', bottom: '12mm', left: '12mm' }
+        : { top: '20mm', right: '15mm', bottom: '20mm', left: '15mm' }
+    }, { label: 'doctor-cv' });
+  }
+
+  /**
+   * Doktor CV HTML'i - seçilen şablon ve dile göre
+   * Bilinmeyen şablon/dil değerlerinde classic / tr kullanılır
+   */
+  generateDoctorCvHTML(doctor, options = {}) {
+    const template = DOCTOR_CV.TEMPLATES.includes(options.template) ? options.template : DOCTOR_CV.DEFAULT_TEMPLATE;
+    const lang = CV_LABELS[options.lang] ? options.lang : DOCTOR_CV.DEFAULT_LANGUAGE;
+    const labels = CV_LABELS[lang];
+
+    return template === 'compact'
+      ? this.generateCompactCvHTML(doctor, labels, lang)
+      : this.generateClassicCvHTML(doctor, labels, lang);
+  }
+
+  /**
+   * Profil fotoğrafı veya baş harf
+   * Yalnızca base64 (data:image) fotoğraflar gömülür; harici URL'ler yüklenmez
+   */
+  generateCvAvatarHTML(doctor, labels, imgClass, textClass) {
+    const initial = (doctor.fullName || '?').trim().charAt(0);
+    return doctor.profilePhoto && doctor.profilePhoto.startsWith('data:image')
+      ? `<img src="${doctor.profilePhoto}" alt="${labels.photoAlt}" class="${imgClass}">`
+      : `<div class="${textClass}">${this.escapeHtml(initial)}</div>`;
+  }
 
+  /**
+   * CV alt bilgisi (oluşturulma zamanı)
+   */
+  generateCvFooterHTML(labels) {
+    return `
   <div class="footer">
-    <p>Bu belge MediKariyer.net sistemi tarafından otomatik olarak üretilmiştir.</p>
-    <p>Oluşturulma Zamanı: ${new Date().toLocaleString('tr-TR', { 
-      day: '2-digit', 
-      month: '2-digit', 
-      year: 'numeric', 
-      hour: '2-digit', 
-      minute: '2-digit', 
-      second: '2-digit' 
+    <p>${labels.footer}</p>
+    <p>${labels.generatedAt}: ${new Date().toLocaleString(labels.locale, {
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
     })}</p>
+  </div>`;
+  }
+
+  /**
+   * Klasik CV şablonu - başvuru belgesiyle aynı stil
+   */
+  generateClassicCvHTML(doctor, labels, lang) {
+    return `
+<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${labels.documentTitle} - ${this.escapeHtml(doctor.fullName)}</title>
+  <style>
+${this.getApplicationStyles()}
+  </style>
+</head>
+<body>
+  <div class="page-title">${labels.pageTitle}</div>
+
+  <div class="header">
+    <div class="hospital-info">
+      <div class="hospital-logo-container">
+        ${this.generateCvAvatarHTML(doctor, labels, 'hospital-logo-img', 'hospital-logo-text')}
+      </div>
+      <div class="hospital-name">${this.escapeHtml(doctor.fullName)}</div>
+    </div>
   </div>
+
+  <div class="content">
+    ${this.generateDoctorSectionsHTML(doctor, labels)}
+  </div>
+${this.generateCvFooterHTML(labels)}
 </body>
 </html>
     `;
   }
+
+  /**
+   * Kompakt CV şablonu - solda kişisel bilgi sütunu, sağda liste halinde bölümler
+   */
+  generateCompactCvHTML(doctor, labels, lang) {
+    const formatDate = (value) => new Date(value).toLocaleDateString(labels.locale, { month: '2-digit', year: 'numeric' });
+    const listSection = (title, items, renderItem) => (items && items.length > 0 ? `
+      <div class="cv-section">
+        <h2>${title}</h2>
+        <ul>${items.map(item => `<li>${renderItem(item)}</li>`).join('')}</ul>
+      </div>` : '');
+
+    return `
+<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${labels.documentTitle} - ${this.escapeHtml(doctor.fullName)}</title>
+  <style>
+${this.getCompactCvStyles()}
+  </style>
+</head>
+<body>
+  <div class="cv">
+    <aside class="cv-sidebar">
+      <div class="cv-avatar">
+        ${this.generateCvAvatarHTML(doctor, labels, 'cv-avatar-img', 'cv-avatar-text')}
+      </div>
+      <h1>${this.escapeHtml(doctor.fullName)}</h1>
+      <p class="cv-specialty">${this.escapeHtml(doctor.specialty)}${doctor.subSpecialty ? ` / ${this.escapeHtml(doctor.subSpecialty)}` : ''}</p>
+
+      <h3>${labels.contact}</h3>
+      <dl>
+        <dt>${labels.email}</dt><dd>${this.escapeHtml(doctor.email) || '-'}</dd>
+        <dt>${labels.phone}</dt><dd>${this.escapeHtml(doctor.phone) || '-'}</dd>
+        <dt>${labels.city}</dt><dd>${this.escapeHtml(doctor.city) || '-'}</dd>
+        ${doctor.birthDate ? `<dt>${labels.birthDate}</dt><dd>${new Date(doctor.birthDate).toLocaleDateString(labels.locale)}</dd>` : ''}
+      </dl>
+
+      ${doctor.languages && doctor.languages.length > 0 ? `
+      <h3>${labels.languages}</h3>
+      <dl>
+        ${doctor.languages.map(lang => `<dt>${this.escapeHtml(lang.language_name || labels.notSpecified)}</dt><dd>${this.escapeHtml(lang.level_name || labels.notSpecified)}</dd>`).join('')}
+      </dl>` : ''}
+    </aside>
+
+    <main class="cv-main">
+      ${listSection(labels.experience, doctor.experience, exp => `
+        <strong>${this.escapeHtml(exp.role_title || labels.notSpecified)}</strong> · ${this.escapeHtml(exp.organization || labels.notSpecified)}
+        <span class="cv-meta">${exp.start_date ? formatDate(exp.start_date) : ''} – ${exp.end_date ? formatDate(exp.end_date) : labels.ongoing}${exp.specialty_name ? ` · ${this.escapeHtml(exp.specialty_name)}` : ''}</span>
+        ${exp.description ? `<p>${this.escapeHtml(exp.description)}</p>` : ''}`)}
+      ${listSection(labels.education, doctor.education, edu => `
+        <strong>${this.escapeHtml(edu.education_institution || labels.notSpecified)}</strong>
+        <span class="cv-meta">${[edu.education_type_name, edu.field].filter(Boolean).map(value => this.escapeHtml(value)).join(' · ')}${edu.graduation_year ? ` · ${labels.graduation}: ${edu.graduation_year}` : ''}</span>`)}
+      ${listSection(labels.certificates, doctor.certificates, cert => `
+        <strong>${this.escapeHtml(cert.certificate_name || labels.notSpecified)}</strong>
+        <span class="cv-meta">${this.escapeHtml(cert.institution || '')}${cert.certificate_year ? ` · ${cert.certificate_year}` : ''}</span>`)}
+    </main>
+  </div>
+${this.generateCvFooterHTML(labels)}
+</body>
+</html>
+    `;
+  }
+
+  /**
+   * Kompakt CV şablonu stilleri
+   */
+  getCompactCvStyles() {
+    return `
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+
+    body {
+      font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+      color: #1a1a1a;
+      font-size: 11px;
+      line-height: 1.5;
+    }
+
+    .cv {
+      display: flex;
+      gap: 18px;
+    }
+
+    .cv-sidebar {
+      width: 32%;
+      background: #eff6ff;
+      border-radius: 8px;
+      padding: 16px;
+    }
+
+    .cv-avatar {
+      width: 84px;
+      height: 84px;
+      margin: 0 auto 10px;
+      border-radius: 50%;
+      overflow: hidden;
+      background: #2563eb;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    }
+
+    .cv-avatar-img {
+      width: 100%;
+      height: 100%;
+      object-fit: cover;
+    }
+
+    .cv-avatar-text {
+      font-size: 32px;
+      font-weight: bold;
+      color: white;
+    }
+
+    .cv-sidebar h1 {
+      font-size: 16px;
+      text-align: center;
+      color: #1e40af;
+    }
+
+    .cv-specialty {
+      text-align: center;
+      color: #475569;
+      margin-bottom: 12px;
+    }
+
+    .cv-sidebar h3 {
+      font-size: 12px;
+      color: #1e40af;
+      border-bottom: 1px solid #bfdbfe;
+      padding-bottom: 3px;
+      margin: 12px 0 6px;
+      text-transform: uppercase;
+    }
+
+    .cv-sidebar dt {
+      font-weight: 600;
+      color: #334155;
+    }
+
+    .cv-sidebar dd {
+      margin-bottom: 6px;
+      word-break: break-word;
+    }
+
+    .cv-main {
+      flex: 1;
+    }
+
+    .cv-section {
+      margin-bottom: 14px;
+    }
+
+    .cv-section h2 {
+      font-size: 13px;
+      color: #1e40af;
+      border-bottom: 2px solid #2563eb;
+      padding-bottom: 3px;
+      margin-bottom: 6px;
+      text-transform: uppercase;
+    }
+
+    .cv-section ul {
+      list-style: none;
+    }
+
+    .cv-section li {
+      margin-bottom: 7px;
+      page-break-inside: avoid;
+    }
+
+    .cv-meta {
+      display: block;
+      color: #64748b;
+    }
+
+    .cv-section li p {
+      margin-top: 2px;
+      white-space: pre-wrap;
+    }
+
+    .footer {
+      margin-top: 16px;
+      text-align: center;
+      border-top: 1px solid #e2e8f0;
+      padding-top: 6px;
+    }
+
+    .footer p {
+      font-size: 9px;
+      color: #94a3b8;
+    }
+    `;
+  }
 }
 
 module.exports = new PDFService();
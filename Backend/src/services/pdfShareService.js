@@ -0,0 +1,384 @@
+/**
+ * @file pdfShareService.js
+ * @description PDF erişim politikası ve paylaşılabilir PDF bağlantıları servisi.
+ * Tüm PDF route'ları (pdfRoutes) erişim kararını buradan alır; hastaneler ilan ve
+ * başvuru PDF'lerini hesabı olmayan kişilere (örn. bölüm şefi) süreli, imzalı
+ * bağlantılarla iletebilir.
+ *
+ * Erişim Politikası (assertPdfAccess):
+ * - Admin: Tüm ilan ve başvuru PDF'leri
+ * - Hastane (tüm ekip rolleri): Yalnızca kendi ilanları ve bu ilanlara gelen başvurular
+ * - Doktor: Kendi başvuruları ve onaylanmış (yayındaki) ilanlar
+ *
+ * Paylaşım Bağlantıları:
+ * - URL, bağlantı ID'si ve bitiş zamanı üzerinden HMAC-SHA256 ile imzalanır
+ *   (PDF_SHARE_SECRET, yoksa JWT_SECRET); imza veritabanında tutulmaz
+ * - Kayıt (pdf_share_links) iptal, erişim sayacı ve listeleme içindir
+ * - Her açılış pdf_share_link_accesses tablosuna yazılır (IP, user agent)
+ * - Oluşturma ve iptal audit log'a yazılır
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+// ============================================================================
+// DIŞ BAĞIMLILIKLAR
+// ============================================================================
+
+const crypto = require('crypto');
+const db = require('../config/dbConfig').db;
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const LogService = require('./logService');
+const { PDF_SHARE } = require('../config/appConstants');
+
+// ============================================================================
+// SABİTLER
+// ============================================================================
+
+/** Doktorların görebildiği ilan durumu (Onaylandı) */
+const APPROVED_JOB_STATUS_ID = 3;
+
+// ============================================================================
+// YARDIMCI FONKSİYONLAR
+// ============================================================================
+
+/**
+ * Paylaşım bağlantılarını imzalamak için kullanılan anahtar
+ * @returns {string}
+ */
+const getShareSecret = () => {
+  const secret = process.env.PDF_SHARE_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new AppError('PDF paylaşım anahtarı tanımlı değil', 500);
+  }
+  return secret;
+};
+
+/**
+ * Bağlantı ID'si ve bitiş zamanını (unix saniye) imzalar
+ * @param {number} linkId
+ * @param {number} expires
+ * @returns {string} base64url imza
+ */
+const signLink = (linkId, expires) => {
+  return crypto.createHmac('sha256', getShareSecret()).update(`${linkId}.${expires}`).digest('base64url');
+};
+
+const isValidSignature = (linkId, expires, signature) => {
+  const expected = Buffer.from(signLink(linkId, expires));
+  const given = Buffer.from(String(signature || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+const toUnixSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+/**
+ * İmzalı, herkese açık PDF bağlantısı
+ * @param {Object} link - pdf_share_links kaydı
+ * @returns {string}
+ */
+const buildShareUrl = (link) => {
+  const base = process.env.API_PUBLIC_URL || process.env.APP_WEB_URL || process.env.FRONTEND_URL || 'https://medikariyer.com';
+  const expires = toUnixSeconds(link.expires_at);
+  const signature = signLink(link.id, expires);
+  return `${base.replace(/\/$/, '')}/api/pdf/shared/${link.id}?expires=${expires}&signature=${encodeURIComponent(signature)}`;
+};
+
+const isLinkActive = (link) => !link.revoked_at && new Date(link.expires_at) > new Date();
+
+/**
+ * Bağlantıyı istemciye dönen alanlarla sınırlar; aktif bağlantılar URL ile döner
+ */
+const formatLink = (link) => {
+  const active = isLinkActive(link);
+  return {
+    id: link.id,
+    resource_type: link.resource_type,
+    resource_id: link.resource_id,
+    note: link.note,
+    expires_at: link.expires_at,
+    revoked_at: link.revoked_at,
+    access_count: link.access_count,
+    last_accessed_at: link.last_accessed_at,
+    created_at: link.created_at,
+    created_by_name: link.created_by_name ?? null,
+    is_active: active,
+    url: active ? buildShareUrl(link) : null
+  };
+};
+
+const auditShareAction = async (user, action, link, context = {}) => {
+  const actorInfo = await LogService.getUserInfoForAudit(user.id, user.role)
+    .catch(() => ({ name: null, email: user.email }));
+
+  await LogService.createAuditLog({
+    actorId: user.id,
+    actorRole: user.role,
+    actorName: actorInfo.name,
+    actorEmail: actorInfo.email || user.email,
+    action,
+    resourceType: 'pdf_share_link',
+    resourceId: link.id,
+    newValues: {
+      resource_type: link.resource_type,
+      resource_id: link.resource_id,
+      expires_at: link.expires_at,
+      revoked_at: link.revoked_at || null
+    },
+    ipAddress: context.ipAddress || null,
+    userAgent: context.userAgent || null
+  }).catch((err) => logger.error('Audit log kayıt hatası', { error: err.message }));
+};
+
+// ============================================================================
+// ERİŞİM POLİTİKASI
+// ============================================================================
+
+/**
+ * PDF'i üretilecek kaynağın sahiplik bilgisini getirir
+ * @param {string} resourceType - 'job' | 'application'
+ * @param {number} resourceId
+ * @returns {Promise<Object|undefined>} { id, hospital_id, status_id?, doctor_user_id? }
+ */
+const getPdfResource = (resourceType, resourceId) => {
+  if (resourceType === 'job') {
+    return db('jobs')
+      .where('id', resourceId)
+      .whereNull('deleted_at')
+      .select('id', 'hospital_id', 'status_id')
+      .first();
+  }
+
+  return db('applications as a')
+    .join('jobs as j', 'a.job_id', 'j.id')
+    .join('doctor_profiles as dp', 'a.doctor_profile_id', 'dp.id')
+    .where('a.id', resourceId)
+    .whereNull('a.deleted_at')
+    .whereNull('j.deleted_at')
+    .select('a.id', 'j.hospital_id', 'dp.user_id as doctor_user_id')
+    .first();
+};
+
+/**
+ * Kullanıcının PDF'e erişebildiğini doğrular
+ * @param {Object} user - req.user (id, role, hospitalProfileId)
+ * @param {string} resourceType - 'job' | 'application'
+ * @param {number} resourceId
+ * @returns {Promise<Object>} getPdfResource sonucu
+ * @throws {AppError} 404 - Kaynak yoksa, 403 - Erişim yetkisi yoksa
+ */
+const assertPdfAccess = async (user, resourceType, resourceId) => {
+  const resource = await getPdfResource(resourceType, resourceId);
+  if (!resource) {
+    throw new AppError(resourceType === 'job' ? 'İlan bulunamadı' : 'Başvuru bulunamadı', 404);
+  }
+
+  let allowed = false;
+  if (user.role === 'admin') {
+    allowed = true;
+  } else if (user.role === 'hospital') {
+    allowed = !!user.hospitalProfileId && resource.hospital_id === user.hospitalProfileId;
+  } else if (user.role === 'doctor') {
+    allowed = resourceType === 'job'
+      ? resource.status_id === APPROVED_JOB_STATUS_ID
+      : resource.doctor_user_id === user.id;
+  }
+
+  if (!allowed) {
+    logger.warn('PDF access denied', { userId: user.id, role: user.role, resourceType, resourceId });
+    throw new AppError('Bu belgeye erişim yetkiniz yok', 403);
+  }
+
+  return resource;
+};
+
+/**
+ * Paylaşım bağlantılarını yalnızca kaynağın sahibi hastane yönetebilir
+ * @throws {AppError} 403 - Hastane kullanıcısı değilse veya kaynak başka hastanenin ise
+ */
+const assertShareOwner = async (user, resourceType, resourceId) => {
+  if (user.role !== 'hospital') {
+    throw new AppError('Paylaşım bağlantılarını yalnızca hastane hesapları yönetebilir', 403);
+  }
+  return assertPdfAccess(user, resourceType, resourceId);
+};
+
+// ============================================================================
+// PAYLAŞIM BAĞLANTILARI (HASTANE)
+// ============================================================================
+
+/**
+ * Süreli, imzalı paylaşım bağlantısı oluşturur
+ * @param {Object} user - req.user
+ * @param {Object} data - { resource_type, resource_id, expires_in_hours, note }
+ * @param {Object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<Object>} formatLink sonucu (url dahil)
+ * @throws {AppError} 409 - Kaynak için aktif bağlantı sınırı doluysa
+ */
+const createShareLink = async (user, data, context = {}) => {
+  const { resource_type: resourceType, resource_id: resourceId } = data;
+  await assertShareOwner(user, resourceType, resourceId);
+
+  const [{ count }] = await db('pdf_share_links')
+    .where({ resource_type: resourceType, resource_id: resourceId, hospital_profile_id: user.hospitalProfileId })
+    .whereNull('revoked_at')
+    .where('expires_at', '>', new Date())
+    .count('* as count');
+
+  if (Number(count) >= PDF_SHARE.MAX_ACTIVE_LINKS_PER_RESOURCE) {
+    throw new AppError(`Bu belge için en fazla ${PDF_SHARE.MAX_ACTIVE_LINKS_PER_RESOURCE} aktif paylaşım bağlantısı olabilir; eskilerini iptal edin`, 409);
+  }
+
+  // İmza saniye hassasiyetindedir; bitiş zamanı milisaniyesiz saklanır
+  const expiresInHours = data.expires_in_hours || PDF_SHARE.DEFAULT_EXPIRY_HOURS;
+  const expiresAt = new Date(Math.floor((Date.now() + expiresInHours * 60 * 60 * 1000) / 1000) * 1000);
+
+  const result = await db('pdf_share_links')
+    .insert({
+      resource_type: resourceType,
+      resource_id: resourceId,
+      hospital_profile_id: user.hospitalProfileId,
+      created_by: user.id,
+      note: data.note || null,
+      expires_at: expiresAt
+    })
+    .returning('id');
+
+  const id = result[0]?.id || result[0];
+  const link = await db('pdf_share_links').where('id', id).first();
+
+  await auditShareAction(user, 'pdf_share_link.create', link, context);
+
+  return formatLink(link);
+};
+
+/**
+ * Bir kaynağın paylaşım bağlantılarını listeler (en yeni önce)
+ * @param {Object} user - req.user
+ * @param {Object} query - { resource_type, resource_id }
+ * @returns {Promise<Array>}
+ */
+const getShareLinks = async (user, { resource_type: resourceType, resource_id: resourceId }) => {
+  await assertShareOwner(user, resourceType, resourceId);
+
+  const links = await db('pdf_share_links as l')
+    .leftJoin('hospital_members as hm', function () {
+      this.on('hm.user_id', 'l.created_by').andOn('hm.hospital_profile_id', 'l.hospital_profile_id');
+    })
+    .where({
+      'l.resource_type': resourceType,
+      'l.resource_id': resourceId,
+      'l.hospital_profile_id': user.hospitalProfileId
+    })
+    .select('l.*', 'hm.full_name as created_by_name')
+    .orderBy('l.created_at', 'desc');
+
+  return links.map(formatLink);
+};
+
+const getOwnedLink = async (user, linkId) => {
+  const link = await db('pdf_share_links')
+    .where({ id: linkId, hospital_profile_id: user.hospitalProfileId || 0 })
+    .first();
+  if (!link) {
+    throw new AppError('Paylaşım bağlantısı bulunamadı', 404);
+  }
+  return link;
+};
+
+/**
+ * Paylaşım bağlantısını iptal eder; bağlantı hemen çalışmaz hale gelir
+ * @returns {Promise<Object>} Güncel bağlantı
+ */
+const revokeShareLink = async (user, linkId, context = {}) => {
+  const link = await getOwnedLink(user, linkId);
+  if (link.revoked_at) {
+    return formatLink(link);
+  }
+
+  await db('pdf_share_links').where('id', link.id).update({ revoked_at: db.fn.now() });
+  const updated = await db('pdf_share_links').where('id', link.id).first();
+
+  await auditShareAction(user, 'pdf_share_link.revoke', updated, context);
+
+  return formatLink(updated);
+};
+
+/**
+ * Bağlantının erişim kayıtlarını getirir (en yeni önce)
+ * @returns {Promise<Array>} [{ id, ip_address, user_agent, accessed_at }]
+ */
+const getShareLinkAccesses = async (user, linkId) => {
+  const link = await getOwnedLink(user, linkId);
+
+  return db('pdf_share_link_accesses')
+    .where('share_link_id', link.id)
+    .select('id', 'ip_address', 'user_agent', 'accessed_at')
+    .orderBy('accessed_at', 'desc');
+};
+
+// ============================================================================
+// İMZALI BAĞLANTI İLE ERİŞİM (PUBLIC)
+// ============================================================================
+
+/**
+ * İmzalı bağlantıyı doğrular ve erişimi kaydeder
+ * @param {number} linkId - URL'deki bağlantı ID'si
+ * @param {Object} params - { expires, signature } (URL sorgusu)
+ * @param {Object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<{resource_type: string, resource_id: number}>}
+ * @throws {AppError} 404 - İmza geçersizse, 410 - Süresi dolmuş veya iptal edilmişse
+ */
+const resolveSharedLink = async (linkId, { expires, signature }, context = {}) => {
+  if (!isValidSignature(linkId, expires, signature)) {
+    logger.warn('Invalid PDF share link signature', { linkId, ipAddress: context.ipAddress });
+    throw new AppError('Paylaşım bağlantısı geçersiz', 404);
+  }
+
+  const link = await db('pdf_share_links').where('id', linkId).first();
+  if (!link) {
+    throw new AppError('Paylaşım bağlantısı geçersiz', 404);
+  }
+
+  const now = Date.now();
+  if (expires * 1000 <= now || !isLinkActive(link)) {
+    throw new AppError('Paylaşım bağlantısının süresi dolmuş veya iptal edilmiş', 410);
+  }
+
+  // Kaynak silinmişse bağlantı da çalışmaz
+  const resource = await getPdfResource(link.resource_type, link.resource_id);
+  if (!resource) {
+    throw new AppError('Paylaşılan belge artık mevcut değil', 410);
+  }
+
+  await db.transaction(async (trx) => {
+    await trx('pdf_share_link_accesses').insert({
+      share_link_id: link.id,
+      ip_address: context.ipAddress ? String(context.ipAddress).slice(0, 45) : null,
+      user_agent: context.userAgent ? String(context.userAgent).slice(0, 500) : null
+    });
+    await trx('pdf_share_links')
+      .where('id', link.id)
+      .update({
+        access_count: trx.raw('access_count + 1'),
+        last_accessed_at: trx.fn.now()
+      });
+  });
+
+  logger.info('PDF share link accessed', { linkId: link.id, resourceType: link.resource_type, resourceId: link.resource_id });
+
+  return { resource_type: link.resource_type, resource_id: link.resource_id };
+};
+
+module.exports = {
+  assertPdfAccess,
+  createShareLink,
+  getShareLinks,
+  revokeShareLink,
+  getShareLinkAccesses,
+  resolveSharedLink
+};
@@ -0,0 +1,356 @@
+/**
+ * @file savedSearchService.js
+ * @description Kayıtlı arama servisi - Doktorların kaydettiği ilan arama filtrelerini ve
+ * bu filtrelere uyan yeni ilanlar için gönderilen bildirimleri yönetir.
+ *
+ * Ana İşlevler:
+ * - Kayıtlı arama CRUD (oluştur, listele, yeniden adlandır, duraklat, sil)
+ * - Yeni yayınlanan ilanları kayıtlı aramalarla eşleştirme
+ * - Eşleşen ilanlar için bildirim gönderme (DB + SSE + Expo push)
+ *
+ * Eşleştirme Mantığı:
+ * - Filtreler mobileJobSearchService ile birebir aynı şekilde uygulanır
+ *   (keyword jobSearchService arama indeksinde, city_id / specialty_id çoklu seçim, employment_type)
+ * - Admin approveJob ile yayına alınan ilanlar published_at üzerinden yakalanır
+ * - Yalnızca arama kaydedildikten sonra yayınlanan ilanlar bildirilir (published_at >= created_at)
+ * - Aynı ilan aynı arama için yalnızca bir kez bildirilir (doctor_saved_search_alerts)
+ *
+ * Veritabanı Tabloları:
+ * - doctor_saved_searches: Kayıtlı aramalar
+ * - doctor_saved_search_alerts: Gönderilen eşleşme bildirimleri
+ * - doctor_profiles / users: Bildirim alıcısı
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+// ============================================================================
+// DIŞ BAĞIMLILIKLAR
+// ============================================================================
+
+const db = require('../config/dbConfig').db;
+const { AppError } = require('../utils/errorHandler');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
+const {
+  buildJobsBaseQuery,
+  applySearchConditions,
+  applyFilterConditions
+} = require('./mobile/mobileJobSearchService');
+
+// ============================================================================
+// SABİTLER
+// ============================================================================
+
+/**
+ * Doktor başına tutulabilecek en fazla kayıtlı arama
+ * @type {number}
+ */
+const MAX_SAVED_SEARCHES = 20;
+
+/**
+ * Eşleşme için geriye dönük bakılacak süre (saat)
+ * Cron bir çalışmayı kaçırsa bile ilanlar bir sonraki çalışmada yakalanır;
+ * tekrar bildirim doctor_saved_search_alerts ile engellenir.
+ * @type {number}
+ */
+const MATCH_LOOKBACK_HOURS = 24;
+
+// ============================================================================
+// YARDIMCI FONKSİYONLAR
+// ============================================================================
+
+/**
+ * ID listesini "1,2,3" formatına çevirir
+ * @param {Array<number>|string|null} ids - ID dizisi veya virgüllü string
+ * @returns {string|null} Virgülle ayrılmış ID'ler (boşsa null)
+ */
+const toIdCsv = (ids) => {
+  if (ids === undefined || ids === null || ids === '') return null;
+  const list = (Array.isArray(ids) ? ids : String(ids).split(','))
+    .map(id => parseInt(String(id).trim()))
+    .filter(id => !isNaN(id) && id > 0);
+  const unique = [...new Set(list)];
+  return unique.length > 0 ? unique.join(',') : null;
+};
+
+/**
+ * "1,2,3" formatını sayı dizisine çevirir
+ * @param {string|null} csv - Virgülle ayrılmış ID'ler
+ * @returns {Array<number>} ID dizisi
+ */
+const fromIdCsv = (csv) => {
+  if (!csv) return [];
+  return String(csv).split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id));
+};
+
+/**
+ * Veritabanı kaydını API formatına çevirir
+ * @param {Object} row - doctor_saved_searches kaydı
+ * @returns {Object} Kayıtlı arama
+ */
+const formatSavedSearch = (row) => ({
+  id: row.id,
+  name: row.name,
+  keyword: row.keyword || null,
+  city_ids: fromIdCsv(row.city_ids),
+  specialty_ids: fromIdCsv(row.specialty_ids),
+  employment_type: row.employment_type || null,
+  is_active: Boolean(row.is_active),
+  last_notified_at: row.last_notified_at || null,
+  created_at: row.created_at,
+  updated_at: row.updated_at || null
+});
+
+/**
+ * Doktora ait kayıtlı aramayı getirir
+ * @param {number} doctorProfileId - Doktor profili kimliği
+ * @param {number} searchId - Kayıtlı arama kimliği
+ * @returns {Promise<Object>} Veritabanı kaydı
+ * @throws {AppError} Kayıt bulunamazsa veya doktora ait değilse
+ */
+const getOwnedSearch = async (doctorProfileId, searchId) => {
+  const row = await db('doctor_saved_searches')
+    .where({ id: searchId, doctor_profile_id: doctorProfileId })
+    .first();
+
+  if (!row) {
+    throw new AppError('Kayıtlı arama bulunamadı', 404);
+  }
+
+  return row;
+};
+
+// ============================================================================
+// KAYITLI ARAMA CRUD
+// ============================================================================
+
+/**
+ * Doktorun kayıtlı aramalarını getirir
+ * @param {number} doctorProfileId - Doktor profili kimliği
+ * @returns {Promise<Array<Object>>} Kayıtlı aramalar (yeniden eskiye)
+ */
+const listSavedSearches = async (doctorProfileId) => {
+  const rows = await db('doctor_saved_searches')
+    .where('doctor_profile_id', doctorProfileId)
+    .orderBy('created_at', 'desc');
+
+  return rows.map(formatSavedSearch);
+};
+
+/**
+ * Yeni kayıtlı arama oluşturur
+ * @param {number} doctorProfileId - Doktor profili kimliği
+ * @param {Object} data - Arama verileri
+ * @param {string} data.name - Arama adı
+ * @param {string} [data.keyword] - Arama terimi
+ * @param {Array<number>|string} [data.city_ids] - Şehir ID'leri
+ * @param {Array<number>|string} [data.specialty_ids] - Branş ID'leri
+ * @param {string} [data.employment_type] - Çalışma türü
+ * @returns {Promise<Object>} Oluşturulan kayıtlı arama
+ * @throws {AppError} Hiç filtre yoksa veya limit aşıldıysa
+ *
+ * @example
+ * await createSavedSearch(12, { name: 'İstanbul Kardiyoloji', city_ids: [34], specialty_ids: [5] });
+ */
+const createSavedSearch = async (doctorProfileId, data) => {
+  const record = {
+    doctor_profile_id: doctorProfileId,
+    name: data.name.trim(),
+    keyword: data.keyword ? data.keyword.trim() : null,
+    city_ids: toIdCsv(data.city_ids),
+    specialty_ids: toIdCsv(data.specialty_ids),
+    employment_type: data.employment_type || null,
+    is_active: true,
+    created_at: db.fn.now()
+  };
+
+  if (!record.keyword && !record.city_ids && !record.specialty_ids && !record.employment_type) {
+    throw new AppError('Kaydetmek için en az bir filtre seçmelisiniz', 400);
+  }
+
+  const countResult = await db('doctor_saved_searches')
+    .where('doctor_profile_id', doctorProfileId)
+    .count('* as total')
+    .first();
+
+  if (parseInt(countResult?.total) >= MAX_SAVED_SEARCHES) {
+    throw new AppError(`En fazla ${MAX_SAVED_SEARCHES} arama kaydedebilirsiniz`, 400);
+  }
+
+  const result = await db('doctor_saved_searches')
+    .insert(record)
+    .returning('id');
+
+  const id = result[0]?.id || result[0];
+
+  return formatSavedSearch(await getOwnedSearch(doctorProfileId, id));
+};
+
+/**
+ * Kayıtlı aramayı günceller (yeniden adlandırma / duraklatma)
+ * @param {number} doctorProfileId - Doktor profili kimliği
+ * @param {number} searchId - Kayıtlı arama kimliği
+ * @param {Object} data - Güncellenecek alanlar
+ * @param {string} [data.name] - Yeni ad
+ * @param {boolean} [data.is_active] - false ise bildirimler duraklatılır
+ * @returns {Promise<Object>} Güncellenmiş kayıtlı arama
+ */
+const updateSavedSearch = async (doctorProfileId, searchId, data) => {
+  await getOwnedSearch(doctorProfileId, searchId);
+
+  const updates = { updated_at: db.fn.now() };
+  if (data.name !== undefined) updates.name = data.name.trim();
+  if (data.is_active !== undefined) updates.is_active = Boolean(data.is_active);
+
+  await db('doctor_saved_searches')
+    .where({ id: searchId, doctor_profile_id: doctorProfileId })
+    .update(updates);
+
+  return formatSavedSearch(await getOwnedSearch(doctorProfileId, searchId));
+};
+
+/**
+ * Kayıtlı aramayı siler
+ * @param {number} doctorProfileId - Doktor profili kimliği
+ * @param {number} searchId - Kayıtlı arama kimliği
+ * @returns {Promise<boolean>} Silme başarılı mı
+ */
+const deleteSavedSearch = async (doctorProfileId, searchId) => {
+  await getOwnedSearch(doctorProfileId, searchId);
+
+  await db.transaction(async (trx) => {
+    await trx('doctor_saved_search_alerts').where('saved_search_id', searchId).del();
+    await trx('doctor_saved_searches').where('id', searchId).del();
+  });
+
+  return true;
+};
+
+// ============================================================================
+// YENİ İLAN EŞLEŞTİRME VE BİLDİRİM
+// ============================================================================
+
+/**
+ * Kayıtlı aramaya uyan ve henüz bildirilmemiş ilanları bulur
+ * Arama kaydedilmeden önce yayınlanan ilanlar (aday penceresinde olsalar da) bildirilmez.
+ * @param {Object} search - doctor_saved_searches kaydı
+ * @param {Array<number>} jobIds - Aday ilan ID'leri (yeni yayınlananlar)
+ * @returns {Promise<Array<Object>>} Eşleşen ilanlar (id, title, hospital_name)
+ */
+const findNewMatches = async (search, jobIds) => {
+  const { query } = await applySearchConditions(buildJobsBaseQuery().whereIn('j.id', jobIds), search.keyword, { jobIds });
+
+  applyFilterConditions(query, {
+    city_id: search.city_ids,
+    specialty_id: search.specialty_ids,
+    employment_type: search.employment_type
+  });
+
+  return query
+    .where('j.published_at', '>=', search.created_at)
+    .whereNotExists(function() {
+      this.select(db.raw(1))
+        .from('doctor_saved_search_alerts as a')
+        .whereRaw('a.job_id = j.id')
+        .where('a.saved_search_id', search.id);
+    })
+    .select('j.id', 'j.title', 'hp.institution_name as hospital_name')
+    .orderBy('j.published_at', 'desc');
+};
+
+/**
+ * Yeni yayınlanan ilanları aktif kayıtlı aramalarla eşleştirip bildirim gönderir
+ * @description savedSearchAlertCron tarafından periyodik olarak çağrılır. Son
+ * MATCH_LOOKBACK_HOURS saat içinde yayınlanan (approveJob → published_at) ilanlar,
+ * her aktif kayıtlı arama için filtrelenir. Eşleşme varsa arama başına tek bildirim
+ * gönderilir ve eşleşen ilanlar tekrar bildirilmemek üzere işaretlenir.
+ * @returns {Promise<Object>} { searches_checked, notifications_sent }
+ */
+const processNewJobAlerts = async () => {
+  const since = new Date(Date.now() - MATCH_LOOKBACK_HOURS * 60 * 60 * 1000);
+
+  const newJobs = await db('jobs')
+    .select('id')
+    .where('status_id', 3) // Onaylandı
+    .whereNull('deleted_at')
+    .where('published_at', '>=', since);
+
+  if (newJobs.length === 0) {
+    return { searches_checked: 0, notifications_sent: 0 };
+  }
+
+  const jobIds = newJobs.map(job => job.id);
+
+  // Sadece aktif kullanıcıların aktif aramaları
+  const searches = await db('doctor_saved_searches as ss')
+    .join('doctor_profiles as dp', 'ss.doctor_profile_id', 'dp.id')
+    .join('users as u', 'dp.user_id', 'u.id')
+    .where('ss.is_active', true)
+    .where('u.is_active', true)
+    .select('ss.*', 'u.id as user_id');
+
+  let notificationsSent = 0;
+
+  for (const search of searches) {
+    try {
+      const matches = await findNewMatches(search, jobIds);
+      if (matches.length === 0) continue;
+
+      await db('doctor_saved_search_alerts').insert(
+        matches.map(job => ({
+          saved_search_id: search.id,
+          job_id: job.id,
+          notified_at: db.fn.now()
+        }))
+      );
+
+      await db('doctor_saved_searches')
+        .where('id', search.id)
+        .update({ last_notified_at: db.fn.now() });
+
+      const [firstJob] = matches;
+      const body = matches.length === 1
+        ? `"${search.name}" aramanıza uygun yeni ilan: ${firstJob.hospital_name} - ${firstJob.title}`
+        : `"${search.name}" aramanıza uygun ${matches.length} yeni ilan yayınlandı.`;
+
+      await notificationService.sendNotification({
+        user_id: search.user_id,
+        type: 'info',
+        title: 'Aramanıza Uygun Yeni İlan',
+        body,
+        data: {
+          action: 'saved_search_match',
+          entity_type: 'job',
+          entity_id: firstJob.id,
+          job_id: firstJob.id,
+          job_ids: matches.map(job => job.id),
+          saved_search_id: search.id,
+          saved_search_name: search.name
+        }
+      });
+
+      notificationsSent++;
+    } catch (error) {
+      // Tek bir aramadaki hata diğer aramaların bildirimini engellemez
+      logger.error(`[Saved Search] Arama ${search.id} işlenemedi:`, error);
+    }
+  }
+
+  return { searches_checked: searches.length, notifications_sent: notificationsSent };
+};
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+  listSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  processNewJobAlerts
+};
@@ -0,0 +1,284 @@
+/**
+ * @file systemSettingsService.js
+ * @description Sistem ayarları servisi - Admin tarafından yönetilen anahtar/değer ayarlarını okur ve günceller.
+ *
+ * Ana İşlevler:
+ * - system_settings tablosundan ayar okuma / yazma
+ * - İlan yayın süresi sınırları (alt / üst / varsayılan gün)
+ * - Hastanenin seçtiği sürenin doğrulanması ve expires_at hesaplanması
+ * - Kayıt ayarları (admin onayı için e-posta doğrulaması zorunluluğu)
+ * - Hesap kapatma sonrası anonimleştirmeye kadar bekleme süresi
+ *
+ * Veritabanı Tabloları:
+ * - system_settings: setting_key, setting_value, description, updated_by, updated_at
+ *
+ * Not:
+ * - Tabloda kayıt yoksa appConstants.JOB_LIFETIME / REGISTRATION / ACCOUNT_DELETION varsayılanları kullanılır
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+// ============================================================================
+// DIŞ BAĞIMLILIKLAR
+// ============================================================================
+
+const db = require('../config/dbConfig').db;
+const { AppError } = require('../utils/errorHandler');
+const { JOB_LIFETIME, REGISTRATION, ACCOUNT_DELETION } = require('../config/appConstants');
+
+// ============================================================================
+// SABİTLER
+// ============================================================================
+
+/**
+ * İlan yayın süresi ayar anahtarları
+ * @type {Object<string, string>}
+ */
+const JOB_LIFETIME_KEYS = {
+  min_days: 'job_lifetime.min_days',
+  max_days: 'job_lifetime.max_days',
+  default_days: 'job_lifetime.default_days'
+};
+
+/**
+ * Kayıt ayar anahtarları
+ * @type {Object<string, string>}
+ */
+const REGISTRATION_KEYS = {
+  require_email_verification: 'registration.require_email_verification'
+};
+
+/**
+ * Hesap silme ayar anahtarları
+ * @type {Object<string, string>}
+ */
+const ACCOUNT_DELETION_KEYS = {
+  grace_period_days: 'account_deletion.grace_period_days'
+};
+
+// ============================================================================
+// GENEL AYAR İŞLEMLERİ
+// ============================================================================
+
+/**
+ * Birden fazla ayarı tek sorguda getirir
+ * @param {Array<string>} keys - Ayar anahtarları
+ * @returns {Promise<Object<string, string>>} Anahtar → değer haritası (olmayan anahtarlar dahil edilmez)
+ */
+const getSettings = async (keys) => {
+  const rows = await db('system_settings')
+    .whereIn('setting_key', keys)
+    .select('setting_key', 'setting_value');
+
+  return rows.reduce((acc, row) => {
+    acc[row.setting_key] = row.setting_value;
+    return acc;
+  }, {});
+};
+
+/**
+ * Ayarları kaydeder (varsa günceller, yoksa ekler)
+ * @param {Object<string, string|number>} values - Anahtar → değer haritası
+ * @param {number} [updatedBy=null] - Güncelleyen admin kullanıcı ID'si
+ * @returns {Promise<void>}
+ */
+const setSettings = async (values, updatedBy = null) => {
+  await db.transaction(async (trx) => {
+    for (const [key, value] of Object.entries(values)) {
+      const updated = await trx('system_settings')
+        .where('setting_key', key)
+        .update({
+          setting_value: String(value),
+          updated_by: updatedBy,
+          updated_at: trx.fn.now()
+        });
+
+      if (!updated) {
+        await trx('system_settings').insert({
+          setting_key: key,
+          setting_value: String(value),
+          updated_by: updatedBy,
+          updated_at: trx.fn.now()
+        });
+      }
+    }
+  });
+};
+
+// ============================================================================
+// İLAN YAYIN SÜRESİ
+// ============================================================================
+
+/**
+ * İlan yayın süresi sınırlarını getirir
+ * @returns {Promise<{min_days: number, max_days: number, default_days: number}>}
+ */
+const getJobLifetimeSettings = async () => {
+  const values = await getSettings(Object.values(JOB_LIFETIME_KEYS));
+  const read = (key, fallback) => {
+    const parsed = parseInt(values[key]);
+    return isNaN(parsed) ? fallback : parsed;
+  };
+
+  return {
+    min_days: read(JOB_LIFETIME_KEYS.min_days, JOB_LIFETIME.MIN_DAYS),
+    max_days: read(JOB_LIFETIME_KEYS.max_days, JOB_LIFETIME.MAX_DAYS),
+    default_days: read(JOB_LIFETIME_KEYS.default_days, JOB_LIFETIME.DEFAULT_DAYS)
+  };
+};
+
+/**
+ * İlan yayın süresi sınırlarını günceller
+ * @param {Object} data - Yeni değerler (gönderilmeyenler korunur)
+ * @param {number} [data.min_days] - Alt sınır
+ * @param {number} [data.max_days] - Üst sınır
+ * @param {number} [data.default_days] - Varsayılan süre
+ * @param {number} adminId - Güncelleyen admin kullanıcı ID'si
+ * @returns {Promise<Object>} Güncel sınırlar
+ * @throws {AppError} min > max veya varsayılan sınırların dışındaysa
+ */
+const updateJobLifetimeSettings = async (data, adminId) => {
+  const current = await getJobLifetimeSettings();
+  const next = { ...current, ...data };
+
+  if (next.min_days > next.max_days) {
+    throw new AppError('Alt sınır üst sınırdan büyük olamaz', 400);
+  }
+
+  if (next.default_days < next.min_days || next.default_days > next.max_days) {
+    throw new AppError(`Varsayılan süre ${next.min_days}-${next.max_days} gün arasında olmalıdır`, 400);
+  }
+
+  await setSettings({
+    [JOB_LIFETIME_KEYS.min_days]: next.min_days,
+    [JOB_LIFETIME_KEYS.max_days]: next.max_days,
+    [JOB_LIFETIME_KEYS.default_days]: next.default_days
+  }, adminId);
+
+  return next;
+};
+
+/**
+ * Hastanenin seçtiği yayın süresini doğrular
+ * @param {number|null|undefined} durationDays - Seçilen süre (boşsa varsayılan kullanılır)
+ * @returns {Promise<number>} Geçerli süre (gün)
+ * @throws {AppError} Süre admin sınırlarının dışındaysa
+ */
+const resolveJobDuration = async (durationDays) => {
+  const settings = await getJobLifetimeSettings();
+
+  if (durationDays === undefined || durationDays === null || durationDays === '') {
+    return settings.default_days;
+  }
+
+  const days = parseInt(durationDays);
+  if (isNaN(days) || days < settings.min_days || days > settings.max_days) {
+    throw new AppError(`İlan yayın süresi ${settings.min_days}-${settings.max_days} gün arasında olmalıdır`, 400);
+  }
+
+  return days;
+};
+
+/**
+ * Yayın bitiş tarihini hesaplar
+ * @param {number} durationDays - Yayın süresi (gün)
+ * @param {Date} [from=new Date()] - Başlangıç tarihi
+ * @returns {Date} expires_at
+ */
+const calculateExpiresAt = (durationDays, from = new Date()) => {
+  const expiresAt = new Date(from);
+  expiresAt.setDate(expiresAt.getDate() + durationDays);
+  return expiresAt;
+};
+
+// ============================================================================
+// KAYIT AYARLARI
+// ============================================================================
+
+/**
+ * Kayıt ayarlarını getirir
+ * @returns {Promise<{require_email_verification: boolean}>}
+ */
+const getRegistrationSettings = async () => {
+  const values = await getSettings(Object.values(REGISTRATION_KEYS));
+  const raw = values[REGISTRATION_KEYS.require_email_verification];
+
+  return {
+    require_email_verification: raw === undefined
+      ? REGISTRATION.REQUIRE_EMAIL_VERIFICATION_FOR_APPROVAL
+      : raw === 'true' || raw === '1'
+  };
+};
+
+/**
+ * Kayıt ayarlarını günceller
+ * @param {Object} data - Yeni değerler (gönderilmeyenler korunur)
+ * @param {boolean} [data.require_email_verification] - Admin onayı için e-posta doğrulaması zorunlu mu
+ * @param {number} adminId - Güncelleyen admin kullanıcı ID'si
+ * @returns {Promise<Object>} Güncel ayarlar
+ */
+const updateRegistrationSettings = async (data, adminId) => {
+  const next = { ...(await getRegistrationSettings()), ...data };
+
+  await setSettings({
+    [REGISTRATION_KEYS.require_email_verification]: next.require_email_verification
+  }, adminId);
+
+  return next;
+};
+
+// ============================================================================
+// HESAP SİLME AYARLARI
+// ============================================================================
+
+/**
+ * Hesap silme ayarlarını getirir
+ * @returns {Promise<{grace_period_days: number}>} Kullanıcının hesabını kapatmasından anonimleştirmeye kadar geçen süre
+ */
+const getAccountDeletionSettings = async () => {
+  const values = await getSettings(Object.values(ACCOUNT_DELETION_KEYS));
+  const parsed = parseInt(values[ACCOUNT_DELETION_KEYS.grace_period_days]);
+
+  return {
+    grace_period_days: isNaN(parsed) ? ACCOUNT_DELETION.GRACE_PERIOD_DAYS : parsed
+  };
+};
+
+/**
+ * Hesap silme ayarlarını günceller
+ * @description Yeni süre yalnızca bundan sonra kapatılan hesaplara uygulanır
+ * @param {Object} data - Yeni değerler
+ * @param {number} data.grace_period_days - Bekleme süresi (gün)
+ * @param {number} adminId - Güncelleyen admin kullanıcı ID'si
+ * @returns {Promise<Object>} Güncel ayarlar
+ */
+const updateAccountDeletionSettings = async (data, adminId) => {
+  const next = { ...(await getAccountDeletionSettings()), ...data };
+
+  await setSettings({
+    [ACCOUNT_DELETION_KEYS.grace_period_days]: next.grace_period_days
+  }, adminId);
+
+  return next;
+};
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+  getSettings,
+  setSettings,
+  getJobLifetimeSettings,
+  updateJobLifetimeSettings,
+  resolveJobDuration,
+  calculateExpiresAt,
+  getRegistrationSettings,
+  updateRegistrationSettings,
+  getAccountDeletionSettings,
+  updateAccountDeletionSettings
+};
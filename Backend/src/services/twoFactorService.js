@@ -0,0 +1,636 @@
+/**
+ * @file twoFactorService.js
+ * @description İki adımlı doğrulama servisi - TOTP (RFC 6238) kurulumu, kod doğrulama,
+ * kurtarma kodları ve giriş ikinci adımı için kısa ömürlü challenge token'ları.
+ *
+ * Ana İşlevler:
+ * - Doğrulayıcı uygulama kurulumu (base32 gizli anahtar + otpauth:// provisioning URI)
+ * - 6 haneli, 30 saniyelik TOTP kodlarının doğrulanması (±1 adım tolerans, tekrar kullanım engeli)
+ * - Tek kullanımlık kurtarma kodları (SHA-256 ile saklanır)
+ * - Şifre adımından sonra verilen challenge token'ı (imzalı, 5 dakika geçerli, tek kullanımlık,
+ *   challenge başına en fazla 5 hatalı kod)
+ *
+ * Veritabanı Tabloları:
+ * - users: two_factor_secret (AES-256-GCM), two_factor_enabled_at, two_factor_last_used_step
+ * - user_two_factor_recovery_codes: user_id, code_hash, used_at
+ * - two_factor_login_challenges: jti, user_id, attempts, expires_at, consumed_at
+ *
+ * Not:
+ * - Yalnızca web'den giriş yapan roller (admin, hospital) için kullanılabilir; admin için zorunludur
+ * - Gizli anahtarlar TWO_FACTOR_ENCRYPTION_KEY (yoksa JWT_SECRET) ile türetilen anahtarla şifrelenir
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+// ============================================================================
+// DIŞ BAĞIMLILIKLAR
+// ============================================================================
+
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const db = require('../config/dbConfig').db;
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const LogService = require('./logService');
+const accountLockoutService = require('./accountLockoutService');
+
+// ============================================================================
+// SABİTLER
+// ============================================================================
+
+const TOTP_ISSUER = 'MediKariyer';
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const TOTP_WINDOW = 1;
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRY_MINUTES = 5;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * İki adımlı doğrulamayı kullanabilen roller
+ * @description Mobil uygulama yalnızca doktor girişi yaptığından ikinci adım web rolleriyle sınırlıdır
+ * @type {Array<string>}
+ */
+const TWO_FACTOR_ROLES = ['admin', 'hospital'];
+
+/**
+ * İki adımlı doğrulamanın zorunlu olduğu roller
+ * @type {Array<string>}
+ */
+const MANDATORY_ROLES = ['admin'];
+
+// ============================================================================
+// YARDIMCI FONKSİYONLAR
+// ============================================================================
+
+const getServerSecret = () => {
+  const secret = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new AppError('İki adımlı doğrulama anahtarı tanımlı değil', 500);
+  }
+  return secret;
+};
+
+const getEncryptionKey = () =>
+  crypto.createHash('sha256').update(`${getServerSecret()}:two-factor-secret`).digest();
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[^A-Z2-7]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Gizli anahtarı veritabanına yazmak için şifreler
+ * @param {string} secret - base32 gizli anahtar
+ * @returns {string} iv.tag.ciphertext (base64url)
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = String(stored || '').split('.').map((part) => Buffer.from(part, 'base64url'));
+  if (!iv || !tag || !encrypted) {
+    throw new AppError('İki adımlı doğrulama anahtarı okunamadı', 500);
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Belirli bir zaman adımı için TOTP kodu üretir (HMAC-SHA1, RFC 4226 dinamik kesme)
+ * @param {string} secret - base32 gizli anahtar
+ * @param {number} step - Unix zamanı / 30
+ * @returns {string} 6 haneli kod
+ */
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Kodu geçerli zaman penceresindeki adımlarla karşılaştırır
+ * @returns {number|null} Eşleşen zaman adımı
+ */
+const findMatchingStep = (secret, code) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset += 1) {
+    const step = currentStep + offset;
+    const expected = Buffer.from(generateTotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+const generateRecoveryCode = () => {
+  const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+};
+
+const buildOtpauthUri = (email, secret) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const logSecurityEvent = (eventType, severity, message, user, context = {}, metadata = undefined) => {
+  LogService.createSecurityLog({
+    eventType,
+    severity,
+    message,
+    userId: user.id,
+    email: user.email,
+    ipAddress: context.ipAddress || null,
+    userAgent: context.userAgent || null,
+    metadata
+  }).catch((err) => logger.error('Security log kayıt hatası', { error: err.message }));
+};
+
+const getTwoFactorUser = async (userId) => {
+  const user = await db('users')
+    .where('id', userId)
+    .select('id', 'email', 'role', 'password_hash', 'two_factor_secret', 'two_factor_enabled_at', 'two_factor_last_used_step')
+    .first();
+
+  if (!user) {
+    throw new AppError('Kullanıcı bulunamadı', 404);
+  }
+  return user;
+};
+
+const assertRoleSupported = (user) => {
+  if (!TWO_FACTOR_ROLES.includes(user.role)) {
+    throw new AppError('İki adımlı doğrulama bu hesap türü için kullanılamaz', 403);
+  }
+};
+
+// ============================================================================
+// DURUM KONTROLLERİ
+// ============================================================================
+
+/**
+ * Kullanıcı için iki adımlı doğrulama etkin mi
+ * @param {{two_factor_enabled_at: Date|null}} user - users kaydı
+ * @returns {boolean}
+ */
+const isEnabled = (user) => Boolean(user && user.two_factor_enabled_at);
+
+/**
+ * Rol için iki adımlı doğrulama zorunlu mu
+ * @param {string} role - Kullanıcı rolü
+ * @returns {boolean}
+ */
+const isMandatoryForRole = (role) => MANDATORY_ROLES.includes(role);
+
+/**
+ * Şifre doğrulandıktan sonra ikinci adım gerekiyor mu
+ * @description Etkinleştirilmiş kullanıcılar kod girer; zorunlu rollerde etkin değilse kurulum istenir
+ * @param {object} user - users kaydı
+ * @returns {boolean}
+ */
+const isSecondFactorRequired = (user) =>
+  TWO_FACTOR_ROLES.includes(user.role) && (isEnabled(user) || isMandatoryForRole(user.role));
+
+/**
+ * İki adımlı doğrulama durumunu getirir
+ * @param {number} userId - Kullanıcı ID'si
+ * @returns {Promise<{available: boolean, enabled: boolean, required: boolean, enabled_at: Date|null, recovery_codes_remaining: number}>}
+ */
+const getStatus = async (userId) => {
+  const user = await getTwoFactorUser(userId);
+  const enabled = isEnabled(user);
+
+  let remaining = 0;
+  if (enabled) {
+    const row = await db('user_two_factor_recovery_codes')
+      .where('user_id', userId)
+      .whereNull('used_at')
+      .count({ count: '*' })
+      .first();
+    remaining = Number(row?.count || 0);
+  }
+
+  return {
+    available: TWO_FACTOR_ROLES.includes(user.role),
+    enabled,
+    required: isMandatoryForRole(user.role),
+    enabled_at: user.two_factor_enabled_at || null,
+    recovery_codes_remaining: remaining
+  };
+};
+
+// ============================================================================
+// CHALLENGE TOKEN
+// ============================================================================
+
+const signChallengePayload = (payload) =>
+  crypto.createHmac('sha256', `${getServerSecret()}:two-factor-challenge`).update(payload).digest('base64url');
+
+const buildChallengeExpiredError = () =>
+  new AppError('Doğrulama oturumunun süresi doldu. Lütfen tekrar giriş yapın.', 401);
+
+/**
+ * Şifre adımı başarılı olduğunda ikinci adım için kısa ömürlü token üretir
+ * @description JWT değildir; authMiddleware tarafından erişim token'ı olarak kabul edilmez.
+ * Token'daki jti two_factor_login_challenges kaydına bağlanır (tek kullanım ve deneme sayacı için).
+ * @param {{id: number}} user - Kullanıcı
+ * @returns {Promise<string>} payload.signature (base64url)
+ */
+const createLoginChallenge = async (user) => {
+  const jti = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + CHALLENGE_EXPIRY_MINUTES * 60 * 1000);
+
+  await db('two_factor_login_challenges')
+    .where('user_id', user.id)
+    .where('expires_at', '<', new Date())
+    .del();
+  await db('two_factor_login_challenges').insert({ jti, user_id: user.id, expires_at: expiresAt });
+
+  const payload = Buffer.from(JSON.stringify({ u: user.id, p: '2fa', j: jti, exp: expiresAt.getTime() })).toString('base64url');
+  return `${payload}.${signChallengePayload(payload)}`;
+};
+
+/**
+ * Challenge token'ını doğrular
+ * @description İmza ve süre kontrolünden sonra kaydın tüketilmemiş ve deneme sınırına ulaşmamış olması gerekir
+ * @param {string} token - createLoginChallenge çıktısı
+ * @returns {Promise<{userId: number, challengeId: number}>} Kullanıcı ve challenge kaydı ID'si
+ * @throws {AppError} İmza geçersizse, süresi dolmuşsa, kullanılmışsa veya deneme sınırı aşıldıysa (401)
+ */
+const verifyLoginChallenge = async (token) => {
+  const [payload, signature] = String(token || '').split('.');
+  const invalid = buildChallengeExpiredError();
+  if (!payload || !signature) throw invalid;
+
+  const expected = Buffer.from(signChallengePayload(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw invalid;
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalid;
+  }
+
+  if (!decoded.u || decoded.p !== '2fa' || !decoded.j || !decoded.exp || decoded.exp < Date.now()) {
+    throw invalid;
+  }
+
+  const challenge = await db('two_factor_login_challenges')
+    .where({ jti: decoded.j, user_id: decoded.u })
+    .whereNull('consumed_at')
+    .where('attempts', '<', CHALLENGE_MAX_ATTEMPTS)
+    .where('expires_at', '>', new Date())
+    .select('id')
+    .first();
+
+  if (!challenge) throw invalid;
+
+  return { userId: decoded.u, challengeId: challenge.id };
+};
+
+/**
+ * Challenge ile yapılan başarısız denemeyi sayar
+ * @description CHALLENGE_MAX_ATTEMPTS'a ulaşan challenge verifyLoginChallenge'da reddedilir
+ * @param {number} challengeId - verifyLoginChallenge çıktısındaki kayıt ID'si
+ * @returns {Promise<void>}
+ */
+const recordChallengeFailure = async (challengeId) => {
+  await db('two_factor_login_challenges')
+    .where('id', challengeId)
+    .update({ attempts: db.raw('attempts + 1') });
+};
+
+/**
+ * Challenge'ı tüketir; giriş tamamlanmadan önce çağrılır
+ * @description Koşullu güncelleme ile aynı token'la eşzamanlı iki istekten yalnızca biri girişi tamamlar
+ * @param {number} challengeId - verifyLoginChallenge çıktısındaki kayıt ID'si
+ * @returns {Promise<void>}
+ * @throws {AppError} Challenge daha önce kullanılmışsa (401)
+ */
+const consumeLoginChallenge = async (challengeId) => {
+  const updated = await db('two_factor_login_challenges')
+    .where('id', challengeId)
+    .whereNull('consumed_at')
+    .update({ consumed_at: db.fn.now() });
+
+  if (!updated) {
+    throw buildChallengeExpiredError();
+  }
+};
+
+// ============================================================================
+// KOD DOĞRULAMA
+// ============================================================================
+
+/**
+ * TOTP kodunu doğrular ve kullanılan zaman adımını kaydeder
+ * @description Aynı adımın kodu ikinci kez kabul edilmez (koşullu güncelleme)
+ * @param {object} user - users kaydı (two_factor_secret dolu)
+ * @param {string} code - 6 haneli kod
+ * @returns {Promise<boolean>}
+ */
+const consumeTotpCode = async (user, code) => {
+  if (!user.two_factor_secret) return false;
+
+  const step = findMatchingStep(decryptSecret(user.two_factor_secret), code);
+  if (step === null) return false;
+
+  const updated = await db('users')
+    .where('id', user.id)
+    .where((builder) => {
+      builder.whereNull('two_factor_last_used_step').orWhere('two_factor_last_used_step', '<', step);
+    })
+    .update({ two_factor_last_used_step: step });
+
+  return updated > 0;
+};
+
+/**
+ * Kurtarma kodunu tek kullanımlık olarak tüketir
+ * @param {number} userId - Kullanıcı ID'si
+ * @param {string} code - Kurtarma kodu (tire ve büyük/küçük harf önemsiz)
+ * @returns {Promise<boolean>}
+ */
+const consumeRecoveryCode = async (userId, code) => {
+  if (!normalizeRecoveryCode(code)) return false;
+
+  const updated = await db('user_two_factor_recovery_codes')
+    .where({ user_id: userId, code_hash: hashRecoveryCode(code) })
+    .whereNull('used_at')
+    .update({ used_at: db.fn.now() });
+
+  return updated > 0;
+};
+
+/**
+ * Yeni kurtarma kodları üretir; eski kodlar silinir
+ * @param {number} userId - Kullanıcı ID'si
+ * @param {object} [trx] - Knex transaction
+ * @returns {Promise<Array<string>>} Açık kodlar (yalnızca bir kez gösterilir)
+ */
+const replaceRecoveryCodes = async (userId, trx = db) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+  await trx('user_two_factor_recovery_codes').where('user_id', userId).del();
+  await trx('user_two_factor_recovery_codes').insert(
+    codes.map((code) => ({ user_id: userId, code_hash: hashRecoveryCode(code) }))
+  );
+
+  return codes;
+};
+
+/**
+ * Giriş ikinci adımını doğrular
+ * @description Etkin kullanıcıda TOTP veya kurtarma kodu kabul edilir. Zorunlu rolde kurulum
+ * tamamlanmamışsa kod, bekleyen anahtarla doğrulanır ve iki adımlı doğrulama etkinleştirilir.
+ * @param {number} userId - Kullanıcı ID'si
+ * @param {{code?: string, recoveryCode?: string}} input - Doğrulama girdisi
+ * @param {object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<{method: string, recovery_codes?: Array<string>}>}
+ * @throws {AppError} Kod geçersizse (401); hatalı kodlar hesap kilidi sayacına eklenir
+ */
+const verifyLoginSecondFactor = async (userId, { code, recoveryCode }, context = {}) => {
+  const user = await getTwoFactorUser(userId);
+
+  if (!isEnabled(user)) {
+    if (!isMandatoryForRole(user.role)) {
+      throw new AppError('İki adımlı doğrulama etkin değil', 400);
+    }
+    if (!user.two_factor_secret) {
+      throw new AppError('Önce doğrulayıcı uygulama kurulumunu başlatın', 400);
+    }
+    const { recovery_codes } = await enable(userId, code, context);
+    return { method: 'enrollment', recovery_codes };
+  }
+
+  if (recoveryCode) {
+    if (!(await consumeRecoveryCode(userId, recoveryCode))) {
+      logSecurityEvent('two_factor_failed', 'medium', `Geçersiz kurtarma kodu: ${user.email}`, user, context, { method: 'recovery_code' });
+      await accountLockoutService.registerFailedAttempt(user, { ...context, source: 'two_factor' });
+      throw new AppError('Kurtarma kodu geçersiz veya daha önce kullanılmış', 401);
+    }
+    logSecurityEvent('two_factor_recovery_code_used', 'medium', `Kurtarma kodu ile giriş yapıldı: ${user.email}`, user, context);
+    return { method: 'recovery_code' };
+  }
+
+  if (!(await consumeTotpCode(user, code))) {
+    logSecurityEvent('two_factor_failed', 'medium', `Geçersiz doğrulama kodu: ${user.email}`, user, context, { method: 'totp' });
+    await accountLockoutService.registerFailedAttempt(user, { ...context, source: 'two_factor' });
+    throw new AppError('Doğrulama kodu geçersiz', 401);
+  }
+
+  return { method: 'totp' };
+};
+
+// ============================================================================
+// KURULUM VE YÖNETİM
+// ============================================================================
+
+/**
+ * Doğrulayıcı uygulama kurulumunu başlatır
+ * @description Yeni gizli anahtar üretilir ve şifreli olarak saklanır; ilk kod doğrulanana kadar etkin olmaz.
+ * Kurulum tekrar başlatılırsa önceki bekleyen anahtar geçersiz olur.
+ * @param {number} userId - Kullanıcı ID'si
+ * @returns {Promise<{secret: string, otpauth_uri: string}>} otpauth_uri QR koduna dönüştürülür
+ * @throws {AppError} Zaten etkinse (400)
+ */
+const beginSetup = async (userId) => {
+  const user = await getTwoFactorUser(userId);
+  assertRoleSupported(user);
+
+  if (isEnabled(user)) {
+    throw new AppError('İki adımlı doğrulama zaten etkin', 400);
+  }
+
+  const secret = base32Encode(crypto.randomBytes(SECRET_BYTES));
+  await db('users')
+    .where('id', userId)
+    .update({ two_factor_secret: encryptSecret(secret), two_factor_last_used_step: null, updated_at: db.fn.now() });
+
+  return { secret, otpauth_uri: buildOtpauthUri(user.email, secret) };
+};
+
+/**
+ * Kurulumu ilk kodla doğrulayıp etkinleştirir
+ * @param {number} userId - Kullanıcı ID'si
+ * @param {string} code - Doğrulayıcı uygulamadaki kod
+ * @param {object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<{recovery_codes: Array<string>}>}
+ * @throws {AppError} Kurulum başlatılmamışsa veya kod geçersizse (400)
+ */
+const enable = async (userId, code, context = {}) => {
+  const user = await getTwoFactorUser(userId);
+  assertRoleSupported(user);
+
+  if (isEnabled(user)) {
+    throw new AppError('İki adımlı doğrulama zaten etkin', 400);
+  }
+  if (!user.two_factor_secret) {
+    throw new AppError('Önce doğrulayıcı uygulama kurulumunu başlatın', 400);
+  }
+  if (!(await consumeTotpCode(user, code))) {
+    throw new AppError('Doğrulama kodu geçersiz. Uygulamadaki güncel kodu girin.', 400);
+  }
+
+  const recoveryCodes = await db.transaction(async (trx) => {
+    await trx('users')
+      .where('id', userId)
+      .update({ two_factor_enabled_at: trx.fn.now(), updated_at: trx.fn.now() });
+    return replaceRecoveryCodes(userId, trx);
+  });
+
+  logSecurityEvent('two_factor_enabled', 'medium', `İki adımlı doğrulama etkinleştirildi: ${user.email}`, user, context);
+
+  return { recovery_codes: recoveryCodes };
+};
+
+/**
+ * İki adımlı doğrulamayı kapatır
+ * @param {number} userId - Kullanıcı ID'si
+ * @param {{password: string, code: string}} input - Mevcut şifre ve güncel kod
+ * @param {object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<void>}
+ * @throws {AppError} Zorunlu rol (403), etkin değil (400), şifre veya kod hatalı (400)
+ */
+const disable = async (userId, { password, code }, context = {}) => {
+  const user = await getTwoFactorUser(userId);
+
+  if (isMandatoryForRole(user.role)) {
+    throw new AppError('Admin hesaplarında iki adımlı doğrulama kapatılamaz', 403);
+  }
+  if (!isEnabled(user)) {
+    throw new AppError('İki adımlı doğrulama etkin değil', 400);
+  }
+  if (!user.password_hash || !(await bcrypt.compare(password, String(user.password_hash)))) {
+    throw new AppError('Mevcut şifre hatalı', 400);
+  }
+  if (!(await consumeTotpCode(user, code))) {
+    throw new AppError('Doğrulama kodu geçersiz', 400);
+  }
+
+  await db.transaction(async (trx) => {
+    await trx('user_two_factor_recovery_codes').where('user_id', userId).del();
+    await trx('users')
+      .where('id', userId)
+      .update({
+        two_factor_secret: null,
+        two_factor_enabled_at: null,
+        two_factor_last_used_step: null,
+        updated_at: trx.fn.now()
+      });
+  });
+
+  logSecurityEvent('two_factor_disabled', 'medium', `İki adımlı doğrulama kapatıldı: ${user.email}`, user, context);
+};
+
+/**
+ * Kurtarma kodlarını yeniler (eski kodlar geçersiz olur)
+ * @param {number} userId - Kullanıcı ID'si
+ * @param {string} code - Güncel doğrulama kodu
+ * @param {object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<{recovery_codes: Array<string>}>}
+ * @throws {AppError} Etkin değil veya kod geçersiz (400)
+ */
+const regenerateRecoveryCodes = async (userId, code, context = {}) => {
+  const user = await getTwoFactorUser(userId);
+
+  if (!isEnabled(user)) {
+    throw new AppError('İki adımlı doğrulama etkin değil', 400);
+  }
+  if (!(await consumeTotpCode(user, code))) {
+    throw new AppError('Doğrulama kodu geçersiz', 400);
+  }
+
+  const recoveryCodes = await db.transaction((trx) => replaceRecoveryCodes(userId, trx));
+
+  logSecurityEvent('two_factor_recovery_codes_regenerated', 'low', `Kurtarma kodları yenilendi: ${user.email}`, user, context);
+
+  return { recovery_codes: recoveryCodes };
+};
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  isEnabled,
+  isMandatoryForRole,
+  isSecondFactorRequired,
+  getStatus,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  recordChallengeFailure,
+  consumeLoginChallenge,
+  verifyLoginSecondFactor,
+  beginSetup,
+  enable,
+  disable,
+  regenerateRecoveryCodes
+};
@@ -0,0 +1,113 @@
+/**
+ * @file accountAnonymizationCron.js
+ * @description Kapatılan hesapların bekleme süresi sonunda anonimleştirilmesi
+ * Kullanıcının kendi kapattığı ve silme tarihi (users.deletion_scheduled_at) gelen hesapların
+ * kişisel verilerini accountDeletionService.processScheduledDeletions ile temizler.
+ */
+
+'use strict';
+
+const cron = require('node-cron');
+const logger = require('./logger');
+const accountDeletionService = require('../services/accountDeletionService');
+
+/**
+ * Çalışan cron görevlerinin referanslarını tutar.
+ * Graceful shutdown sırasında bu referanslar üzerinden stop/destroy çağrıları yapılır.
+ * @type {import('node-cron').ScheduledTask[]}
+ */
+const scheduledTasks = [];
+
+let isRunning = false;
+
+/**
+ * Yeni oluşturulan cron görevini kayıt altına alır.
+ * @param {import('node-cron').ScheduledTask} task
+ */
+const registerTask = (task) => {
+  scheduledTasks.push(task);
+  return task;
+};
+
+/**
+ * Halihazırda çalışan görevleri durdurur ve listeden temizler.
+ */
+const stopAllRegisteredTasks = () => {
+  if (!scheduledTasks.length) {
+    return;
+  }
+
+  scheduledTasks.forEach((task, index) => {
+    try {
+      task.stop();
+      if (typeof task.destroy === 'function') {
+        task.destroy();
+      }
+    } catch (error) {
+      logger.error('Account anonymization task stop error:', { index, error });
+    }
+  });
+
+  scheduledTasks.length = 0;
+};
+
+/**
+ * Silme tarihi gelen hesapları anonimleştirir
+ * Bir çalışmada en fazla ACCOUNT_DELETION.BATCH_SIZE hesap işlenir; kalanlar sonraki çalışmaya kalır.
+ * @returns {Promise<{processed: number, anonymized: number, failed: number}>}
+ */
+const anonymizeDueAccounts = async () => {
+  if (isRunning) {
+    return { processed: 0, anonymized: 0, failed: 0 };
+  }
+
+  isRunning = true;
+  const startTime = Date.now();
+  try {
+    const result = await accountDeletionService.processScheduledDeletions();
+    if (result.processed > 0) {
+      logger.info(`Account anonymization completed: ${result.anonymized} anonymized, ${result.failed} failed in ${Date.now() - startTime}ms`);
+    }
+    return result;
+  } catch (error) {
+    logger.error('Account anonymization error:', error);
+    return { processed: 0, anonymized: 0, failed: 1 };
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Anonimleştirme zamanlayıcısını başlatır
+ */
+const startAccountAnonymizationScheduler = () => {
+  if (scheduledTasks.length > 0) {
+    logger.warn('Account anonymization scheduler already running. Skipping reinitialisation.');
+    return;
+  }
+
+  // Her saat başının 30. dakikasında silme tarihi gelen hesapları anonimleştir
+  registerTask(
+    cron.schedule('30 * * * *', async () => {
+      await anonymizeDueAccounts();
+    }, {
+      timezone: 'Europe/Istanbul' // Türkiye saati
+    })
+  );
+
+  logger.info('Account anonymization scheduler started');
+};
+
+/**
+ * Anonimleştirme zamanlayıcısını durdurur
+ */
+const stopAccountAnonymizationScheduler = () => {
+  stopAllRegisteredTasks();
+  logger.info('Account anonymization scheduler stopped');
+};
+
+module.exports = {
+  anonymizeDueAccounts,
+  startAccountAnonymizationScheduler,
+  stopAccountAnonymizationScheduler
+};
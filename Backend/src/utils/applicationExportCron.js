@@ -0,0 +1,94 @@
+/**
+ * @file applicationExportCron.js
+ * @description Toplu başvuru paketi talepleri için cron job
+ * Her dakika çalışır; applicationExportService.requestExport ile oluşturulan talepleri işler
+ * ve indirme süresi dolan ZIP dosyalarını diskten siler.
+ *
+ * Mantık:
+ * - 'pending' talepler sırayla hazırlanır; hazır olunca talep eden ekip üyesine bildirim gider
+ * - Sunucu kapanması nedeniyle 'processing' durumunda kalan talepler tekrar sıraya alınır
+ * - Süresi dolan 'ready' taleplerin dosyaları silinir, talep 'expired' olur
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+const cron = require('node-cron');
+const logger = require('./logger');
+const applicationExportService = require('../services/applicationExportService');
+
+let scheduledTask = null;
+let isRunning = false;
+
+/**
+ * Bekleyen talepleri işler ve süresi dolan dosyaları temizler
+ * Önceki çalışma bitmeden (çok sayıda PDF) yenisi başlamaz.
+ * @returns {Promise<void>}
+ */
+const processApplicationExports = async () => {
+  if (isRunning) {
+    return;
+  }
+
+  isRunning = true;
+  try {
+    const requeued = await applicationExportService.requeueStaleExports();
+    if (requeued > 0) {
+      logger.warn(`[Application Export Cron] ${requeued} yarım kalmış talep tekrar sıraya alındı`);
+    }
+
+    const result = await applicationExportService.processPendingExports();
+    if (result.processed > 0) {
+      logger.info(`[Application Export Cron] Tamamlandı - ${result.ready} hazırlandı, ${result.failed} başarısız`);
+    }
+
+    const expired = await applicationExportService.cleanupExpiredExports();
+    if (expired > 0) {
+      logger.info(`[Application Export Cron] Süresi dolan ${expired} başvuru paketi silindi`);
+    }
+  } catch (error) {
+    logger.error('[Application Export Cron] Hata:', error);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Cron job'ı başlatır
+ * Her dakika çalışır
+ */
+const startApplicationExportCron = () => {
+  if (scheduledTask) {
+    return;
+  }
+
+  // '* * * * *' = Her dakika
+  scheduledTask = cron.schedule('* * * * *', async () => {
+    await processApplicationExports();
+  }, {
+    scheduled: true,
+    timezone: 'Europe/Istanbul' // Türkiye saati
+  });
+
+  logger.info('[Application Export Cron] Cron job başlatıldı - Her dakika çalışacak');
+};
+
+/**
+ * Cron job'ı durdurur
+ */
+const stopApplicationExportCron = () => {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+  logger.info('[Application Export Cron] Cron job durduruldu');
+};
+
+module.exports = {
+  processApplicationExports,
+  startApplicationExportCron,
+  stopApplicationExportCron
+};
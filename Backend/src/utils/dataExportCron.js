@@ -0,0 +1,94 @@
+/**
+ * @file dataExportCron.js
+ * @description Kişisel veri dışa aktarma talepleri için cron job
+ * Her dakika çalışır; dataExportService.requestExport ile oluşturulan talepleri işler
+ * ve indirme süresi dolan ZIP dosyalarını diskten siler.
+ *
+ * Mantık:
+ * - 'pending' talepler sırayla hazırlanır; hazır olunca kullanıcıya bildirim gider
+ * - Sunucu kapanması nedeniyle 'processing' durumunda kalan talepler tekrar sıraya alınır
+ * - Süresi dolan 'ready' taleplerin dosyaları silinir, talep 'expired' olur
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+const cron = require('node-cron');
+const logger = require('./logger');
+const dataExportService = require('../services/dataExportService');
+
+let scheduledTask = null;
+let isRunning = false;
+
+/**
+ * Bekleyen talepleri işler ve süresi dolan dosyaları temizler
+ * Önceki çalışma bitmeden (büyük profil, yavaş PDF) yenisi başlamaz.
+ * @returns {Promise<void>}
+ */
+const processDataExports = async () => {
+  if (isRunning) {
+    return;
+  }
+
+  isRunning = true;
+  try {
+    const requeued = await dataExportService.requeueStaleExports();
+    if (requeued > 0) {
+      logger.warn(`[Data Export Cron] ${requeued} yarım kalmış talep tekrar sıraya alındı`);
+    }
+
+    const result = await dataExportService.processPendingExports();
+    if (result.processed > 0) {
+      logger.info(`[Data Export Cron] Tamamlandı - ${result.ready} hazırlandı, ${result.failed} başarısız`);
+    }
+
+    const expired = await dataExportService.cleanupExpiredExports();
+    if (expired > 0) {
+      logger.info(`[Data Export Cron] Süresi dolan ${expired} dışa aktarma dosyası silindi`);
+    }
+  } catch (error) {
+    logger.error('[Data Export Cron] Hata:', error);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Cron job'ı başlatır
+ * Her dakika çalışır
+ */
+const startDataExportCron = () => {
+  if (scheduledTask) {
+    return;
+  }
+
+  // '* * * * *' = Her dakika
+  scheduledTask = cron.schedule('* * * * *', async () => {
+    await processDataExports();
+  }, {
+    scheduled: true,
+    timezone: 'Europe/Istanbul' // Türkiye saati
+  });
+
+  logger.info('[Data Export Cron] Cron job başlatıldı - Her dakika çalışacak');
+};
+
+/**
+ * Cron job'ı durdurur
+ */
+const stopDataExportCron = () => {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+  logger.info('[Data Export Cron] Cron job durduruldu');
+};
+
+module.exports = {
+  processDataExports,
+  startDataExportCron,
+  stopDataExportCron
+};
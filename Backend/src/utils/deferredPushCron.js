@@ -0,0 +1,84 @@
+/**
+ * @file deferredPushCron.js
+ * @description Sessiz saatler nedeniyle ertelenen push bildirimleri için cron job
+ * Her 5 dakikada bir çalışır; notificationService tarafından deferred_push_notifications
+ * tablosuna yazılan ve sessiz saat bitişi gelmiş push bildirimlerini gönderir.
+ * 
+ * Mantık:
+ * - deliver_after <= şimdi ve sent_at NULL olan kayıtlar sırayla gönderilir
+ * - Kayıt gönderimden önce sent_at ile işaretlenir (aynı push iki kez gitmez)
+ * 
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+const cron = require('node-cron');
+const logger = require('./logger');
+const notificationService = require('../services/notificationService');
+
+let scheduledTask = null;
+let isRunning = false;
+
+/**
+ * Zamanı gelen ertelenmiş push bildirimlerini gönderir
+ * Önceki çalışma bitmeden yenisi başlamaz.
+ * @returns {Promise<void>}
+ */
+const processDeferredPushes = async () => {
+  if (isRunning) {
+    return;
+  }
+
+  isRunning = true;
+  try {
+    const result = await notificationService.processDeferredPushNotifications();
+
+    if (result.processed > 0) {
+      logger.info(`[Deferred Push Cron] Tamamlandı - ${result.processed} işlendi, ${result.sent} gönderildi`);
+    }
+  } catch (error) {
+    logger.error('[Deferred Push Cron] Hata:', error);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Cron job'ı başlatır
+ * Her 5 dakikada bir çalışır
+ */
+const startDeferredPushCron = () => {
+  if (scheduledTask) {
+    return;
+  }
+
+  // '*/5 * * * *' = Her 5 dakikada bir
+  scheduledTask = cron.schedule('*/5 * * * *', async () => {
+    await processDeferredPushes();
+  }, {
+    scheduled: true,
+    timezone: 'Europe/Istanbul' // Türkiye saati
+  });
+
+  logger.info('[Deferred Push Cron] Cron job başlatıldı - Her 5 dakikada bir çalışacak');
+};
+
+/**
+ * Cron job'ı durdurur
+ */
+const stopDeferredPushCron = () => {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+  logger.info('[Deferred Push Cron] Cron job durduruldu');
+};
+
+module.exports = {
+  processDeferredPushes,
+  startDeferredPushCron,
+  stopDeferredPushCron
+};
@@ -0,0 +1,90 @@
+/**
+ * @file emailQueueCron.js
+ * @description Bildirim e-postası kuyruğu için cron job
+ * Her dakika çalışır; notificationService tarafından email_queue tablosuna yazılan
+ * e-postaları emailService.sendMailWithRetry ile gönderir.
+ * 
+ * Mantık:
+ * - Zamanı gelen (next_attempt_at <= şimdi) 'pending' kayıtlar sırayla gönderilir
+ * - Başarısız gönderim üstel bekleme ile ertelenir, deneme sınırında 'failed' olur
+ * - Sunucu kapanması nedeniyle 'sending' durumunda kalan kayıtlar tekrar sıraya alınır
+ * 
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+const cron = require('node-cron');
+const logger = require('./logger');
+const emailNotificationService = require('../services/emailNotificationService');
+
+let scheduledTask = null;
+let isRunning = false;
+
+/**
+ * Kuyruktaki e-postaları gönderir
+ * Önceki çalışma bitmeden (yavaş SMTP) yenisi başlamaz.
+ * @returns {Promise<void>}
+ */
+const processEmailQueue = async () => {
+  if (isRunning) {
+    return;
+  }
+
+  isRunning = true;
+  try {
+    const requeued = await emailNotificationService.requeueStaleEmails();
+    if (requeued > 0) {
+      logger.warn(`[Email Queue Cron] ${requeued} yarım kalmış e-posta tekrar sıraya alındı`);
+    }
+
+    const result = await emailNotificationService.processEmailQueue();
+
+    if (result.processed > 0) {
+      logger.info(`[Email Queue Cron] Tamamlandı - ${result.sent} gönderildi, ${result.retried} ertelendi, ${result.failed} başarısız`);
+    }
+  } catch (error) {
+    logger.error('[Email Queue Cron] Hata:', error);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Cron job'ı başlatır
+ * Her dakika çalışır
+ */
+const startEmailQueueCron = () => {
+  if (scheduledTask) {
+    return;
+  }
+
+  // '* * * * *' = Her dakika
+  scheduledTask = cron.schedule('* * * * *', async () => {
+    await processEmailQueue();
+  }, {
+    scheduled: true,
+    timezone: 'Europe/Istanbul' // Türkiye saati
+  });
+
+  logger.info('[Email Queue Cron] Cron job başlatıldı - Her dakika çalışacak');
+};
+
+/**
+ * Cron job'ı durdurur
+ */
+const stopEmailQueueCron = () => {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+  logger.info('[Email Queue Cron] Cron job durduruldu');
+};
+
+module.exports = {
+  processEmailQueue,
+  startEmailQueueCron,
+  stopEmailQueueCron
+};
@@ -9,6 +9,8 @@
  * - Retry mekanizması (3 deneme, exponential backoff)
  * - Simülasyon modu (SMTP yoksa)
  * - Şifre sıfırlama, hoşgeldin emaili desteği
+ * - Bildirim e-postaları için template ve retry yardımcıları
+ *   (sıraya alma ve gönderim: services/emailNotificationService.js)
  * 
  * @author MediKariyer Development Team
  * @version 2.0.0
@@ -299,8 +301,10 @@ const isRetryableError = (error) => {
 
 /**
  * Retry ile email gönderir
+ * @param {Object} options
+ * @param {Object} [options.headers] - Ek başlıklar (örn. List-Unsubscribe)
  */
-const sendMailWithRetry = async ({ to, subject, text, html }) => {
+const sendMailWithRetry = async ({ to, subject, text, html, headers }) => {
   const mailTransporter = createTransporter();
   const from = process.env.EMAIL_FROM || 'no-reply@medikariyer.com';
 
@@ -314,7 +318,7 @@ const sendMailWithRetry = async ({ to, subject, text, html }) => {
   
   for (let attempt = 1; attempt <= EMAIL_CONFIG.maxRetries; attempt++) {
     try {
-      const info = await mailTransporter.sendMail({ from, to, subject, text, html });
+      const info = await mailTransporter.sendMail({ from, to, subject, text, html, headers });
       
       if (attempt > 1) {
         logger.info(`E-posta gönderildi (${attempt}. denemede)`, { 
@@ -401,6 +405,46 @@ const buildMobileResetLink = (token) => {
   return `medikariyer://reset-password?token=${token}`;
 };
 
+/**
+ * E-posta doğrulama bağlantısı (web sayfası, açıldığında token otomatik doğrulanır)
+ */
+const buildVerificationLink = (token) => {
+  return `${EMAIL_CONFIG.defaults.websiteUrl}/verify-email?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Hastane ekip daveti bağlantısı (web sayfası, şifre belirlenerek davet kabul edilir)
+ */
+const buildHospitalInvitationLink = (token) => {
+  return `${EMAIL_CONFIG.defaults.websiteUrl}/hospital-invitation?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * E-postadaki "abonelikten çık" bağlantısı (web sayfası, tek tıkla onaylar)
+ */
+const buildUnsubscribeLink = (token) => {
+  return `${EMAIL_CONFIG.defaults.websiteUrl}/email-unsubscribe?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * List-Unsubscribe başlıkları (RFC 8058 tek tıkla abonelikten çıkma)
+ * API_PUBLIC_URL tanımlıysa posta istemcisi doğrudan API'ye POST eder;
+ * tanımlı değilse yalnızca web bağlantısı verilir.
+ */
+const buildUnsubscribeHeaders = (token) => {
+  const apiBase = process.env.API_PUBLIC_URL;
+
+  if (!apiBase) {
+    return { 'List-Unsubscribe': `<${buildUnsubscribeLink(token)}>` };
+  }
+
+  const apiUrl = `${apiBase.replace(/\/$/, '')}/api/notifications/email/unsubscribe?token=${encodeURIComponent(token)}`;
+  return {
+    'List-Unsubscribe': `<${apiUrl}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+};
+
 // ============================================================================
 // EMAIL FUNCTIONS
 // ============================================================================
@@ -462,6 +506,158 @@ const sendPasswordResetEmail = async ({ to, token, name, expiresAt, source = 'we
   }
 };
 
+/**
+ * E-posta adresi doğrulama e-postası gönderir
+ * @param {Object} options
+ * @param {string} options.to - Alıcı email
+ * @param {string} options.token - İmzalı doğrulama token'ı
+ * @param {string} [options.name] - Kullanıcı adı (opsiyonel)
+ * @param {number} options.expiresInHours - Bağlantının geçerlilik süresi (saat)
+ */
+const sendVerificationEmail = async ({ to, token, name, expiresInHours }) => {
+  const verificationLink = buildVerificationLink(token);
+  const subject = 'MediKariyer | E-posta Adresinizi Doğrulayın';
+
+  // Plain text versiyonu
+  const text = [
+    `Merhaba${name ? ' ' + name : ''},`,
+    '',
+    'MediKariyer hesabınızın e-posta adresini doğrulamak için aşağıdaki bağlantıyı kullanabilirsiniz:',
+    verificationLink,
+    '',
+    `Bu bağlantı ${expiresInHours} saat boyunca geçerlidir.`,
+    '',
+    'Eğer MediKariyer\'e kayıt olmadıysanız lütfen bu e-postayı dikkate almayın.',
+    '',
+    'MediKariyer Destek Ekibi'
+  ].join('\n');
+
+  // HTML versiyonu (template ile)
+  const html = buildEmailHtml('emailVerification', {
+    name,
+    verificationLink,
+    expiresInHours,
+    subject
+  });
+
+  try {
+    const result = await sendMailWithRetry({ to, subject, text, html });
+    logger.info('E-posta doğrulama e-postası gönderildi', {
+      to,
+      simulated: result.simulated,
+      attempts: result.attempts
+    });
+    return result;
+  } catch (error) {
+    logger.error('E-posta doğrulama e-postası gönderilemedi', { to, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Hesap kilitlendi bildirimi gönderir
+ * @param {Object} options
+ * @param {string} options.to - Alıcı email
+ * @param {string} [options.name] - Kullanıcı adı (opsiyonel)
+ * @param {string} options.lockDuration - Okunabilir kilit süresi (örn. "15 dakika")
+ * @param {Date} options.lockedUntil - Kilidin açılacağı zaman
+ * @param {number} options.attempts - Kilidi tetikleyen başarısız deneme sayısı
+ * @param {string} [options.ipAddress] - Son denemenin IP adresi
+ */
+const sendAccountLockedEmail = async ({ to, name, lockDuration, lockedUntil, attempts, ipAddress }) => {
+  const subject = 'MediKariyer | Hesabınız Geçici Olarak Kilitlendi';
+  const resetLink = `${EMAIL_CONFIG.defaults.websiteUrl}/forgot-password`;
+  const lockedUntilText = new Date(lockedUntil).toLocaleString('tr-TR', { timeZone: 'Europe/Istanbul' });
+
+  // Plain text versiyonu
+  const text = [
+    `Merhaba${name ? ' ' + name : ''},`,
+    '',
+    `Hesabınıza art arda ${attempts} başarısız giriş denemesi yapıldığı için hesabınız ${lockDuration} süreyle kilitlendi.`,
+    `Kilit ${lockedUntilText} tarihinde kendiliğinden kalkar.`,
+    ipAddress ? `Son deneme IP adresi: ${ipAddress}` : null,
+    '',
+    'Denemeleri siz yapmadıysanız şifrenizi hemen sıfırlamanızı öneririz:',
+    resetLink,
+    '',
+    'MediKariyer Destek Ekibi'
+  ].filter((line) => line !== null).join('\n');
+
+  // HTML versiyonu (template ile)
+  const html = buildEmailHtml('accountLocked', {
+    name,
+    attempts,
+    lockDuration,
+    lockedUntilText,
+    ipAddress,
+    resetLink,
+    subject
+  });
+
+  try {
+    const result = await sendMailWithRetry({ to, subject, text, html });
+    logger.info('Hesap kilidi bildirimi gönderildi', {
+      to,
+      simulated: result.simulated,
+      attempts: result.attempts
+    });
+    return result;
+  } catch (error) {
+    logger.error('Hesap kilidi bildirimi gönderilemedi', { to, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Hastane ekip daveti e-postası gönderir
+ * @param {Object} params
+ * @param {string} params.to - Davet edilen e-posta adresi
+ * @param {string} params.token - Davet token'ı (veritabanında yalnızca özeti saklanır)
+ * @param {string} params.institutionName - Davet eden kurum adı
+ * @param {string} params.roleLabel - Ekip rolü (örn. "İşe Alım Sorumlusu")
+ * @param {Date} params.expiresAt - Davetin geçerlilik sonu
+ */
+const sendHospitalInvitationEmail = async ({ to, token, institutionName, roleLabel, expiresAt }) => {
+  const subject = `MediKariyer | ${institutionName} Ekip Daveti`;
+  const inviteLink = buildHospitalInvitationLink(token);
+  const expiresAtText = new Date(expiresAt).toLocaleString('tr-TR', { timeZone: 'Europe/Istanbul' });
+
+  // Plain text versiyonu
+  const text = [
+    'Merhaba,',
+    '',
+    `${institutionName} sizi MediKariyer'deki kurum hesabına ${roleLabel} olarak davet etti.`,
+    'Daveti kabul etmek için aşağıdaki bağlantıyla kendi şifrenizi belirleyin:',
+    inviteLink,
+    '',
+    `Bu davet ${expiresAtText} tarihine kadar geçerlidir. Daveti beklemiyorsanız bu e-postayı yok sayabilirsiniz.`,
+    '',
+    'MediKariyer Destek Ekibi'
+  ].join('\n');
+
+  // HTML versiyonu (template ile)
+  const html = buildEmailHtml('hospitalInvitation', {
+    institutionName,
+    roleLabel,
+    inviteLink,
+    expiresAtText,
+    subject
+  });
+
+  try {
+    const result = await sendMailWithRetry({ to, subject, text, html });
+    logger.info('Hastane ekip daveti gönderildi', {
+      to,
+      simulated: result.simulated,
+      attempts: result.attempts
+    });
+    return result;
+  } catch (error) {
+    logger.error('Hastane ekip daveti gönderilemedi', { to, error: error.message });
+    throw error;
+  }
+};
+
 /**
  * Hoşgeldin e-postası gönderir
  * @param {Object} options
@@ -572,6 +768,13 @@ const clearTemplateCache = () => {
 module.exports = {
   sendPasswordResetEmail,
   sendWelcomeEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail,
+  sendHospitalInvitationEmail,
   sendEmail,
-  clearTemplateCache
+  clearTemplateCache,
+  buildEmailHtml,
+  sendMailWithRetry,
+  buildUnsubscribeLink,
+  buildUnsubscribeHeaders
 };
@@ -0,0 +1,76 @@
+/**
+ * @file interviewReminderCron.js
+ * @description Mülakat hatırlatmaları için cron job
+ * Her 10 dakikada bir çalışır; kesinleşmiş mülakatlar için doktora ve hastaneye
+ * 24 saat ve 1 saat kala hatırlatma bildirimi gönderir.
+ * 
+ * Mantık:
+ * - Seçilen zamanı önümüzdeki 24 saat içinde olan, status = 'scheduled' mülakatlar aday kabul edilir
+ * - Reddedilen / geri çekilen başvuruların mülakatları atlanır
+ * - Gönderilen hatırlatmalar interviews.reminder_day_sent_at / reminder_hour_sent_at ile işaretlenir
+ * 
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+const cron = require('node-cron');
+const logger = require('./logger');
+const interviewService = require('../services/interviewService');
+
+let scheduledTask = null;
+
+/**
+ * Yaklaşan mülakatlar için hatırlatma gönderir
+ * @returns {Promise<void>}
+ */
+const checkInterviewReminders = async () => {
+  try {
+    const result = await interviewService.processInterviewReminders();
+
+    if (result.reminders_sent > 0) {
+      logger.info(`[Interview Reminder Cron] ${result.interviews_checked} mülakat kontrol edildi, ${result.reminders_sent} hatırlatma gönderildi`);
+    }
+  } catch (error) {
+    logger.error('[Interview Reminder Cron] Hata:', error);
+  }
+};
+
+/**
+ * Cron job'ı başlatır
+ * Her 10 dakikada bir çalışır
+ */
+const startInterviewReminderCron = () => {
+  if (scheduledTask) {
+    return;
+  }
+
+  // '*/10 * * * *' = Her 10 dakikada bir
+  scheduledTask = cron.schedule('*/10 * * * *', async () => {
+    await checkInterviewReminders();
+  }, {
+    scheduled: true,
+    timezone: 'Europe/Istanbul' // Türkiye saati
+  });
+
+  logger.info('[Interview Reminder Cron] Cron job başlatıldı - Her 10 dakikada bir çalışacak');
+};
+
+/**
+ * Cron job'ı durdurur
+ */
+const stopInterviewReminderCron = () => {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+  logger.info('[Interview Reminder Cron] Cron job durduruldu');
+};
+
+module.exports = {
+  checkInterviewReminders,
+  startInterviewReminderCron,
+  stopInterviewReminderCron
+};
@@ -1,11 +1,13 @@
 /**
  * @file jobExpirationCron.js
- * @description 30 günlük ilan süresi kontrolü için cron job
- * Her gün saat 00:00'da çalışır ve 30 günü dolan ilanları otomatik olarak pasif eder
+ * @description İlan yayın süresi kontrolü için cron job
+ * Her saat başı çalışır, süresi dolan ilanları pasif eder ve süresi yaklaşan ilanlar için hastaneyi uyarır
  * 
  * Mantık:
- * - published_at + 30 gün < bugün ise ve status_id = 3 (Onaylandı) ise
- * - status_id = 4 (Pasif) yap
+ * - expires_at <= şimdi ve status_id = 3 (Onaylandı) ise status_id = 4 (Pasif) yap
+ * - expires_at olmayan eski ilanlarda published_at + varsayılan süre kullanılır
+ * - Bu ilanları kaydetmiş doktorların favori kayıtlarını "süresi doldu" olarak işaretle
+ * - expires_at 3 gün içindeyse hastaneye bir kez "ilanınızın süresi doluyor" bildirimi gönder
  * 
  * @author MediKariyer Development Team
  * @version 1.0.0
@@ -18,35 +20,47 @@ const cron = require('node-cron');
 const db = require('../config/dbConfig').db;
 const logger = require('./logger');
 const notificationService = require('../services/notificationService');
+const doctorService = require('../services/doctorService');
+const systemSettingsService = require('../services/systemSettingsService');
+const { JOB_LIFETIME } = require('../config/appConstants');
+
+let scheduledTask = null;
 
 /**
- * 30 günü dolan ilanları otomatik olarak pasif eder
+ * Süresi dolan ilanları otomatik olarak pasif eder
  * @returns {Promise<void>}
  */
 const checkExpiredJobs = async () => {
   try {
     logger.info('[Job Expiration Cron] Başlatılıyor...');
     
-    // 30 gün önceki tarihi hesapla
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    thirtyDaysAgo.setHours(0, 0, 0, 0); // Günün başlangıcı
+    const now = new Date();
+    
+    // expires_at alanı olmayan (migration öncesi) ilanlar için varsayılan süre
+    const { default_days: defaultDays } = await systemSettingsService.getJobLifetimeSettings();
+    const legacyCutoff = new Date(now);
+    legacyCutoff.setDate(legacyCutoff.getDate() - defaultDays);
     
-    logger.info(`[Job Expiration Cron] Kontrol ediliyor: published_at < ${thirtyDaysAgo.toISOString()}`);
+    logger.info(`[Job Expiration Cron] Kontrol ediliyor: expires_at <= ${now.toISOString()}`);
     
-    // published_at + 30 gün < bugün ise ve status_id = 3 (Onaylandı) ise
     const expiredJobs = await db('jobs')
       .where('status_id', 3) // Onaylandı
-      .whereNotNull('published_at') // published_at dolu olanlar
-      .where('published_at', '<', thirtyDaysAgo)
-      .select('id', 'title', 'hospital_id', 'published_at');
+      .where(function () {
+        this.where('expires_at', '<=', now)
+          .orWhere(function () {
+            this.whereNull('expires_at')
+              .whereNotNull('published_at')
+              .where('published_at', '<', legacyCutoff);
+          });
+      })
+      .select('id', 'title', 'hospital_id', 'published_at', 'expires_at');
     
     if (expiredJobs.length > 0) {
       const jobIds = expiredJobs.map(job => job.id);
       
       logger.info(`[Job Expiration Cron] ${expiredJobs.length} ilan süresi dolmuş:`, {
         jobIds,
-        jobs: expiredJobs.map(j => ({ id: j.id, title: j.title, published_at: j.published_at }))
+        jobs: expiredJobs.map(j => ({ id: j.id, title: j.title, published_at: j.published_at, expires_at: j.expires_at }))
       });
       
       // İlanları pasif et
@@ -59,6 +73,14 @@ const checkExpiredJobs = async () => {
       
       logger.info(`[Job Expiration Cron] ${updatedCount} ilan otomatik olarak pasif edildi`);
       
+      // Kaydedilen ilanlar listeden düşmesin, süresi doldu olarak işaretlensin
+      try {
+        const favoriteCount = await doctorService.markFavoriteJobsExpired(jobIds);
+        logger.info(`[Job Expiration Cron] ${favoriteCount} favori kaydı süresi doldu olarak işaretlendi`);
+      } catch (favoriteError) {
+        logger.error('[Job Expiration Cron] Favori kayıtları işaretlenemedi:', favoriteError);
+      }
+      
       // Her ilan için bildirim gönder (opsiyonel - şimdilik log)
       for (const job of expiredJobs) {
         try {
@@ -76,8 +98,11 @@ const checkExpiredJobs = async () => {
                 user_id: jobDetails.user_id,
                 type: 'warning',
                 title: 'İlan Süresi Doldu',
-                body: `"${jobDetails.title}" ilanınızın süresi doldu. İlanı yenilemek için güncelleyebilirsiniz.`,
+                body: `"${jobDetails.title}" ilanınızın süresi doldu. İlanı tekrar yayına almak için ilan detayından "İlanı Yenile" ile yenileyebilirsiniz.`,
                 data: {
+                  action: 'job_expired',
+                  entity_type: 'job',
+                  entity_id: job.id,
                   job_id: job.id,
                   job_title: jobDetails.title,
                   expired_at: new Date().toISOString()
@@ -102,21 +127,76 @@ const checkExpiredJobs = async () => {
   }
 };
 
+/**
+ * Süresi EXPIRY_WARNING_DAYS gün içinde dolacak ilanlar için hastaneye uyarı gönderir
+ * Her ilan için tek uyarı gönderilir (expiry_warning_sent_at); yenileme bu alanı sıfırlar
+ * @returns {Promise<void>}
+ */
+const sendExpiryWarnings = async () => {
+  try {
+    const now = new Date();
+    const warningLimit = new Date(now);
+    warningLimit.setDate(warningLimit.getDate() + JOB_LIFETIME.EXPIRY_WARNING_DAYS);
+    
+    const expiringJobs = await db('jobs as j')
+      .join('hospital_profiles as hp', 'j.hospital_id', 'hp.id')
+      .where('j.status_id', 3) // Onaylandı
+      .whereNull('j.expiry_warning_sent_at')
+      .where('j.expires_at', '>', now)
+      .where('j.expires_at', '<=', warningLimit)
+      .select('j.id', 'j.title', 'j.expires_at', 'hp.user_id', 'hp.institution_name');
+    
+    if (expiringJobs.length === 0) {
+      return;
+    }
+    
+    logger.info(`[Job Expiration Cron] ${expiringJobs.length} ilan için süre uyarısı gönderilecek`);
+    
+    for (const job of expiringJobs) {
+      try {
+        await notificationService.sendNotification({
+          user_id: job.user_id,
+          type: 'warning',
+          title: 'İlan Süresi Doluyor',
+          body: `"${job.title}" ilanınızın süresi ${JOB_LIFETIME.EXPIRY_WARNING_DAYS} gün içinde dolacak. Yayında kalması için ilanı yenileyebilirsiniz.`,
+          data: {
+            action: 'job_expiring',
+            entity_type: 'job',
+            entity_id: job.id,
+            job_id: job.id,
+            job_title: job.title,
+            expires_at: new Date(job.expires_at).toISOString()
+          }
+        });
+        
+        await db('jobs')
+          .where('id', job.id)
+          .update({ expiry_warning_sent_at: db.fn.now() });
+      } catch (notificationError) {
+        logger.error(`[Job Expiration Cron] Süre uyarısı gönderilemedi (job ${job.id}):`, notificationError);
+      }
+    }
+  } catch (error) {
+    logger.error('[Job Expiration Cron] Süre uyarısı hatası:', error);
+  }
+};
+
 /**
  * Cron job'ı başlatır
- * Her gün saat 00:00'da çalışır
+ * Her saat başı çalışır (expires_at ilan bazında olduğu için günlük kontrol yetersiz)
  */
 const startJobExpirationCron = () => {
-  // Her gün saat 00:00'da çalış (cron format: dakika saat gün ay hafta)
-  // '0 0 * * *' = Her gün saat 00:00
-  cron.schedule('0 0 * * *', async () => {
+  // Her saat başı çalış (cron format: dakika saat gün ay hafta)
+  // '0 * * * *' = Her saat, dakika 0
+  scheduledTask = cron.schedule('0 * * * *', async () => {
     await checkExpiredJobs();
+    await sendExpiryWarnings();
   }, {
     scheduled: true,
     timezone: 'Europe/Istanbul' // Türkiye saati
   });
   
-  logger.info('[Job Expiration Cron] Cron job başlatıldı - Her gün saat 00:00\'da çalışacak');
+  logger.info('[Job Expiration Cron] Cron job başlatıldı - Her saat başı çalışacak');
   
   // İlk çalıştırmada da kontrol et (opsiyonel - test için)
   // checkExpiredJobs();
@@ -126,12 +206,16 @@ const startJobExpirationCron = () => {
  * Cron job'ı durdurur
  */
 const stopJobExpirationCron = () => {
-  // Cron job'ları durdur (node-cron'da scheduled job'ları durdurmak için)
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
   logger.info('[Job Expiration Cron] Cron job durduruldu');
 };
 
 module.exports = {
   checkExpiredJobs,
+  sendExpiryWarnings,
   startJobExpirationCron,
   stopJobExpirationCron
 };
@@ -3,21 +3,36 @@
  * @description JWT token işlemleri ve token yönetimi için merkezi modül.
  * Bu dosya, JWT token oluşturma/doğrulama ve refresh token veritabanı işlemlerini
  * tek bir yerde toplar. Token'ların güvenli bir şekilde yönetilmesini sağlar.
+ *
+ * Refresh token rotation:
+ * - Her refresh token bir jti taşır; kayıt jti ile indeksli aranır (kullanıcının tüm token'larını taramak yok)
+ * - Her yenilemede yeni token üretilir, aynı aileye (family_id) eklenir, eski kayıt iptal edilip yenisine bağlanır
+ * - İptal edilmiş (yerine yenisi verilmiş) bir token tekrar gelirse token çalınmış sayılır; tüm aile iptal edilir
+ *
+ * Oturum kontrolü:
+ * - Access token'daki 'sid' bir refresh token kaydını gösterir; kaydın ailesinde aktif kayıt kalmadıysa
+ *   (oturum sonlandırma, çıkış, tüm oturumların iptali) access token süresi dolmadan da reddedilir
+ * - Sonuçlar kısa süreli bellekte tutulur; bu süreçteki her iptal önbelleği temizler
  */
 
 'use strict';
 
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const bcrypt = require('bcryptjs');
 const db = require('../config/dbConfig').db;
 const logger = require('./logger');
+const LogService = require('../services/logService');
 
 // JWT yapılandırması
 const JWT_SECRET = process.env.JWT_SECRET;
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET;
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h'; // 24 saat
 const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '30d'; // 30 gün
+const SESSION_STATUS_CACHE_TTL_MS = 30 * 1000; // Başka bir süreçte yapılan iptal en geç bu sürede geçerli olur
+const SESSION_STATUS_CACHE_MAX_SIZE = 5000;
+
+/** sid -> { active, expiresAt } */
+const sessionStatusCache = new Map();
 
 // ==================== JWT TOKEN İŞLEMLERİ ====================
 
@@ -41,7 +56,9 @@ const generateAccessToken = (payload, options = {}) => {
  */
 const generateRefreshToken = (payload, options = {}) => {
   return jwt.sign(payload, JWT_REFRESH_SECRET, {
-    expiresIn: options.expiresIn || JWT_REFRESH_EXPIRES_IN
+    expiresIn: options.expiresIn || JWT_REFRESH_EXPIRES_IN,
+    // jti: refresh_tokens kaydının indeksli arama anahtarı
+    jwtid: options.jwtid || crypto.randomUUID()
   });
 };
 
@@ -86,26 +103,47 @@ const generateTokenPair = (payload) => {
 // ==================== REFRESH TOKEN VERİTABANI İŞLEMLERİ ====================
 
 /**
- * Verilen refresh token'ı hash'leyerek veritabanına kaydeder.
+ * Refresh token kaydının son geçerlilik tarihini token'ın kendi exp claim'inden alır.
+ * Böylece kayıt, JWT ile aynı JWT_REFRESH_EXPIRES_IN süresiyle sona erer (her yenilemede yeniden başlar).
+ * @param {string} refreshToken - generateRefreshToken ile üretilmiş token
+ * @returns {Date} Token'ın sona erme zamanı
+ */
+const resolveRecordExpiry = (refreshToken) => {
+  const { exp } = jwt.decode(refreshToken) || {};
+  if (!exp) {
+    throw new Error('Refresh token does not contain exp');
+  }
+  return new Date(exp * 1000);
+};
+
+/**
+ * Verilen refresh token'ı hash'leyerek veritabanına kaydeder (yeni oturum = yeni token ailesi).
+ * Kayıt, token'ın jti değeriyle eşleştirilir.
  * @param {number} userId - Token'ın ait olduğu kullanıcı ID'si
- * @param {string} refreshToken - Kullanıcıya verilen orijinal refresh token
+ * @param {string} refreshToken - Kullanıcıya verilen orijinal refresh token (generateRefreshToken ile üretilmiş)
  * @param {string} userAgent - İsteği yapan kullanıcının tarayıcı bilgisi
  * @param {string} ip - İsteği yapan kullanıcının IP adresi
  * @returns {Promise<object>} Veritabanında oluşturulan token kaydı
  */
 const createRefreshTokenRecord = async (userId, refreshToken, userAgent, ip) => {
   try {
-    const tokenHash = await bcrypt.hash(refreshToken, 10);
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 7); // 7 gün
+    const { jti } = jwt.decode(refreshToken) || {};
+    if (!jti) {
+      throw new Error('Refresh token does not contain jti');
+    }
 
+    const now = new Date();
     const [tokenRecord] = await db('refresh_tokens')
       .insert({
         user_id: userId,
-        token_hash: tokenHash,
-        expires_at: expiresAt,
+        jti,
+        family_id: crypto.randomUUID(),
+        family_created_at: now,
+        token_hash: hashRefreshToken(refreshToken),
+        expires_at: resolveRecordExpiry(refreshToken),
         user_agent: userAgent,
-        ip: ip
+        ip: ip,
+        last_used_at: now
       })
       .returning('*');
 
@@ -117,46 +155,205 @@ const createRefreshTokenRecord = async (userId, refreshToken, userAgent, ip) =>
 };
 
 /**
- * Verilen bir refresh token'ın geçerli olup olmadığını veritabanındaki hash ile karşılaştırarak doğrular.
- * ⚠️ PERFORMANCE FIX: JWT'yi decode edip user_id'yi alarak sadece o kullanıcının token'larını kontrol eder.
+ * Refresh token'a ait kaydı jti ile bulur (iptal/süre kontrolü yapmaz, yan etkisi yoktur).
+ * JWT imzası doğrulanır, ardından kayıttaki hash sabit zamanlı karşılaştırılır.
+ * @param {string} refreshToken - Aranacak refresh token
+ * @returns {Promise<object|null>} Token kaydı veya null
+ */
+const findRefreshTokenRecord = async (refreshToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
+  } catch (error) {
+    // Token decode edilemezse veya expire olduysa null döndür
+    logger.warn('Refresh token decode failed:', error.message);
+    return null;
+  }
+
+  // jti'siz token'lar rotation öncesi sürüme aittir (migration 012 ile iptal edildi)
+  if (!decoded.jti || !decoded.userId) {
+    logger.warn('Refresh token does not contain jti or userId');
+    return null;
+  }
+
+  const tokenRecord = await db('refresh_tokens')
+    .where('jti', decoded.jti)
+    .first();
+
+  if (!tokenRecord || Number(tokenRecord.user_id) !== Number(decoded.userId)) {
+    return null;
+  }
+
+  const presentedHash = Buffer.from(hashRefreshToken(refreshToken));
+  const storedHash = Buffer.from(tokenRecord.token_hash || '');
+  if (presentedHash.length !== storedHash.length || !crypto.timingSafeEqual(presentedHash, storedHash)) {
+    return null;
+  }
+
+  return tokenRecord;
+};
+
+/**
+ * Bir token ailesindeki tüm aktif kayıtları iptal eder.
+ * @param {string} familyId - Token ailesi ID'si
+ * @returns {Promise<number>} İptal edilen kayıt sayısı
+ */
+const revokeTokenFamily = async (familyId) => {
+  try {
+    if (!familyId) return 0;
+
+    const updated = await db('refresh_tokens')
+      .where('family_id', familyId)
+      .whereNull('revoked_at')
+      .update({
+        revoked_at: new Date()
+      });
+
+    sessionStatusCache.clear();
+    return updated;
+  } catch (error) {
+    logger.error('Error revoking refresh token family:', error);
+    throw error;
+  }
+};
+
+/**
+ * Yerine yenisi verilmiş bir token'ın tekrar kullanılmasını ele alır.
+ * Token çalınmış sayılır: aile tamamen iptal edilir ve security log yazılır.
+ * @param {object} tokenRecord - Tekrar kullanılan token kaydı
+ * @param {object} [context] - İstek bilgileri ({ ipAddress, userAgent })
+ * @returns {Promise<void>}
+ */
+const handleRefreshTokenReuse = async (tokenRecord, context = {}) => {
+  const revokedCount = await revokeTokenFamily(tokenRecord.family_id);
+
+  logger.warn('Refresh token reuse detected, token family revoked', {
+    userId: tokenRecord.user_id,
+    familyId: tokenRecord.family_id,
+    revokedCount
+  });
+
+  await LogService.createSecurityLog({
+    eventType: 'refresh_token_reuse',
+    severity: 'high',
+    message: 'Daha önce yenilenmiş bir refresh token tekrar kullanıldı; oturumun tüm token\'ları iptal edildi',
+    userId: tokenRecord.user_id,
+    ipAddress: context.ipAddress || null,
+    userAgent: context.userAgent || null,
+    metadata: {
+      tokenId: tokenRecord.id,
+      familyId: tokenRecord.family_id,
+      revokedCount,
+      sessionIp: tokenRecord.ip
+    }
+  }).catch(() => {});
+};
+
+/**
+ * Verilen bir refresh token'ın geçerli olup olmadığını doğrular.
+ * Kayıt jti ile bulunur; iptal edilmiş ve yerine yenisi verilmiş bir token gelirse
+ * tekrar kullanım (reuse) olarak değerlendirilip tüm aile iptal edilir.
  * @param {string} refreshToken - Doğrulanacak olan refresh token
+ * @param {object} [context] - İstek bilgileri ({ ipAddress, userAgent }) - security log için
  * @returns {Promise<object|null>} Token geçerliyse veritabanı kaydı, değilse null
  */
-const verifyRefreshTokenRecord = async (refreshToken) => {
+const verifyRefreshTokenRecord = async (refreshToken, context = {}) => {
   try {
-    // JWT token'ı decode et (signature doğrulaması yapmadan sadece payload'u al)
-    let userId;
-    try {
-      const decoded = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
-      userId = decoded.userId;
-    } catch (error) {
-      // Token decode edilemezse veya expire olduysa null döndür
-      logger.warn('Refresh token decode failed:', error.message);
+    const tokenRecord = await findRefreshTokenRecord(refreshToken);
+    if (!tokenRecord) {
       return null;
     }
 
-    if (!userId) {
-      logger.warn('Refresh token does not contain userId');
+    if (tokenRecord.revoked_at) {
+      if (tokenRecord.replaced_by_id) {
+        await handleRefreshTokenReuse(tokenRecord, context);
+      }
       return null;
     }
 
-    // Sadece bu kullanıcının aktif token'larını getir
-    const tokenRecords = await db('refresh_tokens')
-      .where('user_id', userId)
-      .where('expires_at', '>', new Date())
-      .whereNull('revoked_at');
+    if (new Date(tokenRecord.expires_at) <= new Date()) {
+      return null;
+    }
+
+    return tokenRecord;
+  } catch (error) {
+    logger.error('Error verifying refresh token record:', error);
+    throw error;
+  }
+};
+
+/**
+ * Refresh token rotation: aynı aileye yeni token ekler, eskisini iptal edip yenisine bağlar.
+ * Cihaz, IP ve oturum başlangıcı yeni kayda taşınır. Eski kayıt bu arada başka bir istekle
+ * iptal edildiyse (aynı token'ın eşzamanlı kullanımı) tekrar kullanım olarak değerlendirilir.
+ * @param {object} tokenRecord - verifyRefreshTokenRecord ile doğrulanmış kayıt
+ * @param {object} [context] - İstek bilgileri ({ ipAddress, userAgent })
+ * @returns {Promise<{refreshToken: string, tokenRecord: object}|null>} Yeni token ve kaydı, reuse durumunda null
+ */
+const rotateRefreshToken = async (tokenRecord, context = {}) => {
+  try {
+    const refreshToken = generateRefreshToken({ userId: tokenRecord.user_id });
+    const { jti } = jwt.decode(refreshToken);
 
-    // Kullanıcının token'larını bcrypt ile kontrol et (genelde 1-3 token olur, tüm database değil!)
-    for (const record of tokenRecords) {
-      const isValid = await bcrypt.compare(refreshToken, record.token_hash);
-      if (isValid) {
-        return record;
+    const newRecord = await db.transaction(async (trx) => {
+      const revoked = await trx('refresh_tokens')
+        .where('id', tokenRecord.id)
+        .whereNull('revoked_at')
+        .update({ revoked_at: new Date() });
+
+      if (revoked === 0) {
+        return null;
       }
+
+      const [inserted] = await trx('refresh_tokens')
+        .insert({
+          user_id: tokenRecord.user_id,
+          jti,
+          family_id: tokenRecord.family_id,
+          family_created_at: tokenRecord.family_created_at || tokenRecord.created_at,
+          token_hash: hashRefreshToken(refreshToken),
+          expires_at: resolveRecordExpiry(refreshToken),
+          user_agent: tokenRecord.user_agent,
+          ip: tokenRecord.ip,
+          last_used_at: new Date()
+        })
+        .returning('*');
+
+      await trx('refresh_tokens')
+        .where('id', tokenRecord.id)
+        .update({ replaced_by_id: inserted.id });
+
+      return inserted;
+    });
+
+    if (!newRecord) {
+      await handleRefreshTokenReuse(tokenRecord, context);
+      return null;
     }
 
-    return null;
+    return { refreshToken, tokenRecord: newRecord };
   } catch (error) {
-    logger.error('Error verifying refresh token record:', error);
+    logger.error('Error rotating refresh token:', error);
+    throw error;
+  }
+};
+
+/**
+ * Kullanıcının aktif (iptal edilmemiş, süresi dolmamış) refresh token kayıtlarını getirir.
+ * Her token ailesinin tek bir aktif kaydı vardır; her kayıt bir oturumu (cihazı) temsil eder.
+ * @param {number} userId - Kullanıcı ID'si
+ * @returns {Promise<Array<object>>} Son kullanıma göre sıralı oturum kayıtları (token_hash hariç)
+ */
+const getActiveUserTokens = async (userId) => {
+  try {
+    return await db('refresh_tokens')
+      .select('id', 'family_id', 'family_created_at', 'user_agent', 'ip', 'created_at', 'last_used_at', 'expires_at')
+      .where('user_id', userId)
+      .where('expires_at', '>', new Date())
+      .whereNull('revoked_at')
+      .orderByRaw('COALESCE(last_used_at, created_at) DESC');
+  } catch (error) {
+    logger.error('Error listing active user tokens:', error);
     throw error;
   }
 };
@@ -174,6 +371,7 @@ const revokeRefreshToken = async (tokenId) => {
         revoked_at: new Date()
       });
 
+    sessionStatusCache.clear();
     return updated > 0;
   } catch (error) {
     logger.error('Error revoking refresh token:', error);
@@ -188,8 +386,8 @@ const revokeRefreshToken = async (tokenId) => {
  */
 const revokeRefreshTokenByValue = async (refreshToken) => {
   try {
-    const tokenRecord = await verifyRefreshTokenRecord(refreshToken);
-    if (tokenRecord) {
+    const tokenRecord = await findRefreshTokenRecord(refreshToken);
+    if (tokenRecord && !tokenRecord.revoked_at) {
       return await revokeRefreshToken(tokenRecord.id);
     }
     return false;
@@ -213,6 +411,7 @@ const revokeAllUserTokens = async (userId) => {
         revoked_at: new Date()
       });
 
+    sessionStatusCache.clear();
     return updated;
   } catch (error) {
     logger.error('Error revoking all user tokens:', error);
@@ -220,6 +419,35 @@ const revokeAllUserTokens = async (userId) => {
   }
 };
 
+/**
+ * Access token'daki oturumun (sid) hâlâ açık olup olmadığını kontrol eder.
+ * Her yenilemede yeni kayıt oluştuğundan sid ailenin eski (iptal edilmiş) bir kaydını gösterebilir;
+ * bu yüzden kaydın kendisine değil, ailesinde iptal edilmemiş ve süresi dolmamış kayıt olup olmadığına bakılır.
+ * @param {number} sessionId - Access token'daki 'sid' (refresh token kaydı ID'si)
+ * @returns {Promise<boolean>} Oturum açıksa true
+ */
+const isSessionActive = async (sessionId) => {
+  const cached = sessionStatusCache.get(sessionId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.active;
+  }
+
+  const activeRecord = await db('refresh_tokens as rt')
+    .join('refresh_tokens as family', 'family.family_id', 'rt.family_id')
+    .where('rt.id', sessionId)
+    .whereNull('family.revoked_at')
+    .where('family.expires_at', '>', new Date())
+    .first('family.id');
+
+  const active = Boolean(activeRecord);
+  if (sessionStatusCache.size >= SESSION_STATUS_CACHE_MAX_SIZE) {
+    sessionStatusCache.clear();
+  }
+  sessionStatusCache.set(sessionId, { active, expiresAt: Date.now() + SESSION_STATUS_CACHE_TTL_MS });
+
+  return active;
+};
+
 /**
  * Süresi dolmuş refresh token'ları veritabanından temizler.
  * @returns {Promise<number>} Silinen token sayısı
@@ -241,12 +469,13 @@ const cleanupExpiredTokens = async () => {
 // ==================== ÖZEL TOKEN İŞLEMLERİ ====================
 
 /**
- * Refresh token'ı hash'ler (bcrypt ile)
+ * Refresh token'ı hash'ler (SHA-256, base64url)
+ * Kayıt jti ile bulunduğundan yavaş/salt'lı hash'e gerek yoktur; token zaten yüksek entropili bir JWT'dir.
  * @param {string} refreshToken - Hash'lenecek refresh token
- * @returns {string} Hash'lenmiş token
+ * @returns {string} Hash'lenmiş token (43 karakter)
  */
 const hashRefreshToken = (refreshToken) => {
-  return bcrypt.hashSync(refreshToken, 10);
+  return crypto.createHash('sha256').update(refreshToken).digest('base64url');
 };
 
 /**
@@ -267,10 +496,15 @@ module.exports = {
   
   // Refresh Token Veritabanı İşlemleri
   createRefreshTokenRecord,
+  findRefreshTokenRecord,
   verifyRefreshTokenRecord,
+  rotateRefreshToken,
+  getActiveUserTokens,
   revokeRefreshToken,
+  revokeTokenFamily,
   revokeRefreshTokenByValue,
   revokeAllUserTokens,
+  isSessionActive,
   cleanupExpiredTokens,
   
   // Özel Token İşlemleri
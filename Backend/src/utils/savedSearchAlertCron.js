@@ -0,0 +1,77 @@
+/**
+ * @file savedSearchAlertCron.js
+ * @description Kayıtlı arama bildirimleri için cron job
+ * Her 15 dakikada bir çalışır; admin tarafından onaylanıp yayına alınan (published_at)
+ * yeni ilanları doktorların kayıtlı aramalarıyla eşleştirir ve bildirim gönderir.
+ * 
+ * Mantık:
+ * - Son 24 saatte yayınlanan, status_id = 3 (Onaylandı) ilanlar aday kabul edilir
+ * - Her aktif (duraklatılmamış) kayıtlı arama için filtreler uygulanır
+ * - Eşleşme varsa notificationService.sendNotification (DB + SSE + Expo push)
+ * - Bildirilen ilanlar doctor_saved_search_alerts tablosuna yazılır (tekrar gönderilmez)
+ * 
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+const cron = require('node-cron');
+const logger = require('./logger');
+const savedSearchService = require('../services/savedSearchService');
+
+let scheduledTask = null;
+
+/**
+ * Yeni ilanları kayıtlı aramalarla eşleştirir ve bildirim gönderir
+ * @returns {Promise<void>}
+ */
+const checkSavedSearchAlerts = async () => {
+  try {
+    logger.info('[Saved Search Cron] Başlatılıyor...');
+
+    const result = await savedSearchService.processNewJobAlerts();
+
+    logger.info(`[Saved Search Cron] Tamamlandı - ${result.searches_checked} arama kontrol edildi, ${result.notifications_sent} bildirim gönderildi`);
+  } catch (error) {
+    logger.error('[Saved Search Cron] Hata:', error);
+  }
+};
+
+/**
+ * Cron job'ı başlatır
+ * Her 15 dakikada bir çalışır
+ */
+const startSavedSearchAlertCron = () => {
+  if (scheduledTask) {
+    return;
+  }
+
+  // '*/15 * * * *' = Her 15 dakikada bir
+  scheduledTask = cron.schedule('*/15 * * * *', async () => {
+    await checkSavedSearchAlerts();
+  }, {
+    scheduled: true,
+    timezone: 'Europe/Istanbul' // Türkiye saati
+  });
+
+  logger.info('[Saved Search Cron] Cron job başlatıldı - Her 15 dakikada bir çalışacak');
+};
+
+/**
+ * Cron job'ı durdurur
+ */
+const stopSavedSearchAlertCron = () => {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+  logger.info('[Saved Search Cron] Cron job durduruldu');
+};
+
+module.exports = {
+  checkSavedSearchAlerts,
+  startSavedSearchAlertCron,
+  stopSavedSearchAlertCron
+};
@@ -0,0 +1,140 @@
+/**
+ * @file turkishText.js
+ * @description Türkçe metin normalizasyonu, kelimelere ayırma ve hafif kök bulma yardımcıları
+ * İlan arama indeksi (jobSearchService) hem indekslenen metne hem de arama terimine aynı
+ * işlemleri uygular; böylece "İSTANBUL", "istanbul" ve "Istanbul'da" aynı terime dönüşür.
+ *
+ * Normalizasyon:
+ * - Türkçe küçük harf dönüşümü (İ → i, I → ı)
+ * - Aksan / Türkçe karakter katlama (ç → c, ğ → g, ı → i, ö → o, ş → s, ü → u, â → a)
+ *   Kullanıcılar Türkçe klavye olmadan da ("sisli", "cocuk") arama yapabilir
+ * - Kesme işaretinden sonraki ekin atılması (Ankara'da → ankara)
+ *
+ * Kök bulma (stemTurkish):
+ * - Sözlük kullanmayan, ek atmaya dayalı hafif bir yöntemdir (yalnızca çoğul, iyelik ve hal ekleri)
+ * - Kök her zaman doğru dilbilgisel kök değildir ("hastanelerde" ve "hastane" → "hastan");
+ *   önemli olan aynı kelimenin farklı çekimlerinin aynı terime inmesidir
+ * - Ek atıldıktan sonra sondaki yumuşama geri alınır (kliniği → klinik)
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+// ============================================================================
+// SABİTLER
+// ============================================================================
+
+/** Aramada anlam taşımayan kelimeler (katlanmış biçimde) */
+const STOP_WORDS = new Set([
+  've', 'veya', 'ile', 'icin', 'bir', 'bu', 'su', 'da', 'de', 'ki', 'mi', 'mu',
+  'ya', 'gibi', 'olan', 'en', 'cok', 'daha', 'her', 'ne', 'the', 'and', 'or', 'of'
+]);
+
+/** Katlanmış biçimde ek listesi - en uzun ek önce denenir */
+const SUFFIXES = [
+  'lerinden', 'larindan', 'lerinde', 'larinda', 'lerine', 'larina', 'lerini', 'larini',
+  'lerin', 'larin', 'leri', 'lari', 'ler', 'lar',
+  'sinden', 'sindan', 'sinde', 'sinda', 'sinin', 'sunun', 'sine', 'sina', 'sini',
+  'ndan', 'nden', 'nda', 'nde', 'nin', 'nun',
+  'dan', 'den', 'tan', 'ten', 'yla', 'yle',
+  'si', 'su', 'da', 'de', 'ta', 'te',
+  'in', 'un', 'yi', 'yu', 'ya', 'ye',
+  'i', 'u', 'a', 'e'
+].sort((a, b) => b.length - a.length);
+
+const MIN_STEM_LENGTH = 4;
+const MIN_STEM_LENGTH_AFTER_VOWEL = 3;
+const MAX_SUFFIX_STRIPS = 3;
+const MIN_TOKEN_LENGTH = 2;
+
+/** Ek atıldıktan sonra sondaki yumuşamayı geri alır (ğ → k, b → p) */
+const HARDENING = { g: 'k', b: 'p' };
+
+// ============================================================================
+// YARDIMCI FONKSİYONLAR
+// ============================================================================
+
+const isVowel = (char) => 'aeiou'.includes(char);
+
+/**
+ * Ekin kelimeden atılıp atılamayacağını kontrol eder
+ * Kaynaştırma harfiyle (s, y, n) başlayan ekler yalnızca ünlüyle biten köklere gelir
+ * (hastane-si, aile-ye); tek ünlülük ekler daha kısa köke izin verir (göz-ü).
+ */
+const isStrippable = (word, suffix) => {
+  if (!word.endsWith(suffix)) return false;
+  const stem = word.slice(0, -suffix.length);
+  const minLength = suffix.length === 1 ? MIN_STEM_LENGTH_AFTER_VOWEL : MIN_STEM_LENGTH;
+  if (stem.length < minLength) return false;
+  if ('syn'.includes(suffix[0]) && !isVowel(stem[stem.length - 1])) return false;
+  return true;
+};
+
+/**
+ * Metni Türkçe kurallarıyla küçük harfe çevirip aksanları katlar
+ * @param {string} text - Ham metin
+ * @returns {string} Katlanmış metin (yalnızca ASCII harf, rakam ve ayraçlar)
+ * @example
+ * foldTurkish('İSTANBUL Şişli'); // 'istanbul sisli'
+ */
+const foldTurkish = (text) => String(text ?? '')
+  .toLocaleLowerCase('tr-TR')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/ı/g, 'i');
+
+/**
+ * Katlanmış kelimenin hafif kökünü bulur
+ * @param {string} word - foldTurkish ile katlanmış tek kelime
+ * @returns {string} Kök
+ * @example
+ * stemTurkish('hastanelerinde'); // 'hastan'
+ * stemTurkish('klinigi'); // 'klinik'
+ */
+const stemTurkish = (word) => {
+  if (/\d/.test(word)) return word;
+
+  let stem = word;
+  let stripped = false;
+  for (let i = 0; i < MAX_SUFFIX_STRIPS; i++) {
+    const suffix = SUFFIXES.find((s) => isStrippable(stem, s));
+    if (!suffix) break;
+    stem = stem.slice(0, -suffix.length);
+    stripped = true;
+    // Tek ünlü (i, u, a, e) son ektir; öncesinde ek aranırsa kök bozulur (hastane → hastan → has)
+    if (suffix.length === 1) break;
+  }
+
+  const last = stem[stem.length - 1];
+  if (stripped && HARDENING[last]) {
+    stem = stem.slice(0, -1) + HARDENING[last];
+  }
+  return stem;
+};
+
+/**
+ * Metni arama kelimelerine ayırır (HTML etiketleri, kesme ekleri ve durak kelimeler atılır)
+ * @param {string} text - Ham metin
+ * @returns {Array<string>} Katlanmış kelimeler (tekrarlar korunur)
+ * @example
+ * tokenizeTurkish("<p>Ankara'da Acil Tıp uzmanı</p>"); // ['ankara', 'acil', 'tip', 'uzmani']
+ */
+const tokenizeTurkish = (text) => foldTurkish(
+  String(text ?? '').replace(/<[^>]*>/g, ' ').replace(/&[a-z]+;|&#\d+;/gi, ' ')
+)
+  .replace(/['’`][a-z]+/g, '')
+  .split(/[^a-z0-9]+/)
+  .filter((token) => token.length >= MIN_TOKEN_LENGTH && !STOP_WORDS.has(token));
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+  foldTurkish,
+  stemTurkish,
+  tokenizeTurkish
+};
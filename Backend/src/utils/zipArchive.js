@@ -0,0 +1,126 @@
+/**
+ * @file zipArchive.js
+ * @description Bellek içi ZIP arşivi oluşturma yardımcısı
+ * Dışa aktarılan JSON ve PDF dosyalarını tek bir indirilebilir ZIP'te toplamak için kullanılır.
+ * Ek paket gerektirmez; dosyalar Node'un zlib modülüyle DEFLATE ile sıkıştırılır.
+ *
+ * Not:
+ * - ZIP64 desteklenmez; tek arşiv 4 GB'ı ve 65535 dosyayı geçemez
+ * - Dosya adları UTF-8 olarak işaretlenir (Türkçe karakterler korunur)
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+
+// ============================================================================
+// YARDIMCI FONKSİYONLAR
+// ============================================================================
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS tarih/saat formatı (yerel saat, 2 saniye çözünürlük)
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// ============================================================================
+// ARŞİV OLUŞTURMA
+// ============================================================================
+
+/**
+ * Verilen dosyalardan ZIP arşivi oluşturur
+ * @param {Array<{name: string, data: Buffer|string}>} entries - Arşivdeki yol ve içerik
+ * @param {Date} [modifiedAt=new Date()] - Dosyaların değiştirilme zamanı
+ * @returns {Buffer} ZIP dosyası
+ *
+ * @example
+ * const zip = createZipArchive([
+ *   { name: 'profil.json', data: JSON.stringify(profile, null, 2) },
+ *   { name: 'cv.pdf', data: pdfBuffer }
+ * ]);
+ */
+const createZipArchive = (entries, modifiedAt = new Date()) => {
+  const { time, date } = toDosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    // Sıkıştırma kazanç sağlamıyorsa (PDF, görsel) dosyayı olduğu gibi sakla
+    const useDeflate = deflated.length < data.length;
+    const body = useDeflate ? deflated : data;
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 dosya adı
+    local.writeUInt16LE(useDeflate ? 8 : 0, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(useDeflate ? 8 : 0, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, body);
+    centralParts.push(central, name);
+    offset += local.length + name.length + body.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+module.exports = {
+  createZipArchive
+};
@@ -22,6 +22,7 @@
 
 
 const Joi = require('joi');
+const { ADMIN_SUB_ROLES, ACCOUNT_DELETION } = require('../config/appConstants');
 
 // ============================================================================
 // KULLANICI YÖNETİMİ ŞEMALARI
@@ -37,6 +38,7 @@ const getUsersQuerySchema = Joi.object({
   role: Joi.string().valid('doctor', 'hospital', 'admin').optional(),
   isApproved: Joi.string().valid('true', 'false').optional(),
   isActive: Joi.string().valid('true', 'false').optional(),
+  emailVerified: Joi.string().valid('true', 'false').optional(),
   search: Joi.string().max(100).pattern(/^[a-zA-Z0-9\sçğıöşüÇĞIİÖŞÜ@._\-,]*$/).optional(),
   email_search: Joi.string().max(100).pattern(/^[a-zA-Z0-9\sçğıöşüÇĞIİÖŞÜ@._\-,]*$/).optional(),
   doctor_search: Joi.string().max(100).pattern(/^[a-zA-Z0-9\sçğıöşüÇĞIİÖŞÜ._\-,]*$/).optional(),
@@ -72,6 +74,17 @@ const userIdParamSchema = Joi.object({
   id: Joi.number().integer().positive().required()
 });
 
+/**
+ * Admin alt rolü güncelleme için validation şeması
+ * @description Yalnızca appConstants.ADMIN_SUB_ROLES'da tanımlı alt roller kabul edilir
+ */
+const adminRoleUpdateSchema = Joi.object({
+  admin_role: Joi.string().valid(...Object.keys(ADMIN_SUB_ROLES)).required().messages({
+    'any.only': 'Geçersiz admin rolü',
+    'any.required': 'Admin rolü belirtilmelidir'
+  })
+});
+
 /**
  * İş ilanı ID parametresi için validation şeması
  * @description URL parametrelerinde iş ilanı ID'sini doğrular
@@ -130,6 +143,26 @@ const jobUpdateSchema = Joi.object({
     'number.min': 'Deneyim en az 0 yıl olmalıdır',
     'number.max': 'Deneyim en fazla 50 yıl olabilir'
   }),
+  salary_min: Joi.number().min(0).max(10000000).optional().allow(null).messages({
+    'number.min': 'Minimum ücret negatif olamaz'
+  }),
+  salary_max: Joi.number().min(0).max(10000000).optional().allow(null)
+    .when('salary_min', { is: Joi.number().required(), then: Joi.number().min(Joi.ref('salary_min')) })
+    .messages({
+      'number.min': 'Maksimum ücret minimum ücretten küçük olamaz'
+    }),
+  salary_currency: Joi.string().valid('TRY', 'USD', 'EUR').optional().allow(null).messages({
+    'any.only': 'Para birimi TRY, USD veya EUR olmalıdır'
+  }),
+  monthly_shift_count: Joi.number().integer().min(0).max(31).optional().allow(null).messages({
+    'number.min': 'Aylık nöbet sayısı negatif olamaz',
+    'number.max': 'Aylık nöbet sayısı 31\'den büyük olamaz'
+  }),
+  working_hours: Joi.string().max(255).optional().allow(null, '').messages({
+    'string.max': 'Çalışma saatleri en fazla 255 karakter olabilir'
+  }),
+  provides_housing: Joi.boolean().optional(),
+  provides_transport: Joi.boolean().optional(),
   status_id: Joi.number().integer().positive().optional().messages({
     'number.positive': 'Durum ID\'si pozitif olmalıdır'
   })
@@ -313,6 +346,69 @@ const photoRequestReviewSchema = Joi.object({
   })
 });
 
+/**
+ * İlan yayın süresi ayarları için validation şeması
+ * @description Hastanelerin seçebileceği yayın süresi sınırlarını (gün) doğrular.
+ * min/max/varsayılan arasındaki tutarlılık servis katmanında mevcut değerlerle birlikte kontrol edilir.
+ */
+const jobLifetimeSettingsSchema = Joi.object({
+  min_days: Joi.number().integer().min(1).max(365).optional().messages({
+    'number.base': 'Alt sınır sayı olmalıdır',
+    'number.min': 'Alt sınır en az 1 gün olmalıdır',
+    'number.max': 'Alt sınır en fazla 365 gün olabilir'
+  }),
+  max_days: Joi.number().integer().min(1).max(365).optional().messages({
+    'number.base': 'Üst sınır sayı olmalıdır',
+    'number.min': 'Üst sınır en az 1 gün olmalıdır',
+    'number.max': 'Üst sınır en fazla 365 gün olabilir'
+  }),
+  default_days: Joi.number().integer().min(1).max(365).optional().messages({
+    'number.base': 'Varsayılan süre sayı olmalıdır',
+    'number.min': 'Varsayılan süre en az 1 gün olmalıdır',
+    'number.max': 'Varsayılan süre en fazla 365 gün olabilir'
+  })
+}).min(1).messages({
+  'object.min': 'Güncellenecek en az bir alan gönderilmelidir'
+});
+
+/**
+ * Kayıt ayarları güncelleme şeması
+ * @description require_email_verification açıkken e-posta adresi doğrulanmamış hesaplar onaylanamaz
+ */
+const registrationSettingsSchema = Joi.object({
+  require_email_verification: Joi.boolean().required().messages({
+    'boolean.base': 'E-posta doğrulama zorunluluğu true/false olmalıdır',
+    'any.required': 'E-posta doğrulama zorunluluğu belirtilmelidir'
+  })
+});
+
+/**
+ * Hesap silme ayarları güncelleme şeması
+ * @description Kullanıcının hesabını kapatmasından kişisel verilerin anonimleştirilmesine kadar geçen süre
+ */
+const accountDeletionSettingsSchema = Joi.object({
+  grace_period_days: Joi.number().integer().min(ACCOUNT_DELETION.MIN_GRACE_PERIOD_DAYS).max(ACCOUNT_DELETION.MAX_GRACE_PERIOD_DAYS).required().messages({
+    'number.base': 'Bekleme süresi sayı olmalıdır',
+    'number.min': `Bekleme süresi en az ${ACCOUNT_DELETION.MIN_GRACE_PERIOD_DAYS} gün olmalıdır`,
+    'number.max': `Bekleme süresi en fazla ${ACCOUNT_DELETION.MAX_GRACE_PERIOD_DAYS} gün olabilir`,
+    'any.required': 'Bekleme süresi belirtilmelidir'
+  })
+});
+
+/**
+ * Kullanıcı olarak görüntüleme başlatma için validation şeması
+ * @description Gerekçe audit log'a yazılır; yazma izni açıkça istenmedikçe token salt okumadır
+ */
+const impersonationStartSchema = Joi.object({
+  reason: Joi.string().trim().min(5).max(500).required().messages({
+    'string.empty': 'Görüntüleme gerekçesi zorunludur',
+    'string.min': 'Görüntüleme gerekçesi en az 5 karakter olmalıdır',
+    'string.max': 'Görüntüleme gerekçesi en fazla 500 karakter olabilir',
+    'any.required': 'Görüntüleme gerekçesi zorunludur'
+  }),
+  allow_write: Joi.boolean().default(false)
+});
+
 /**
  * AdminSchemas modülü
  * Tüm admin endpoint'leri için gerekli validation şemalarını export eder
@@ -321,6 +417,8 @@ module.exports = {
   getUsersQuerySchema,
   approveUserSchema,
   userIdParamSchema,
+  adminRoleUpdateSchema,
+  impersonationStartSchema,
   jobIdParamSchema,
   userStatusUpdateSchema,
   jobStatusUpdateSchema,
@@ -338,4 +436,8 @@ module.exports = {
   photoRequestIdParamSchema,
   photoRequestQuerySchema,
   photoRequestReviewSchema,
+  // System settings schemas
+  jobLifetimeSettingsSchema,
+  registrationSettingsSchema,
+  accountDeletionSettingsSchema,
 };
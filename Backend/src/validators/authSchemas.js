@@ -420,6 +420,159 @@ const resetPasswordSchema = Joi.object({
     })
 });
 
+/**
+ * Verify Email Schema
+ * @description E-posta doğrulama bağlantısı validasyonu
+ */
+const verifyEmailSchema = Joi.object({
+  token: Joi.string()
+    .max(1000)
+    .required()
+    .messages({
+      'string.empty': 'E-posta doğrulama token\'ı zorunludur',
+      'string.max': 'Geçersiz e-posta doğrulama token\'ı',
+      'any.required': 'E-posta doğrulama token\'ı zorunludur'
+    })
+});
+
+/**
+ * Hospital Invitation Token Param Schema
+ * @description Hastane ekip daveti önizleme URL parametresi validasyonu
+ */
+const hospitalInvitationTokenParamSchema = Joi.object({
+  token: Joi.string()
+    .hex()
+    .length(64)
+    .required()
+    .messages({
+      'string.hex': 'Geçersiz davet bağlantısı',
+      'string.length': 'Geçersiz davet bağlantısı',
+      'any.required': 'Davet token\'ı zorunludur'
+    })
+});
+
+/**
+ * Accept Hospital Invitation Schema
+ * @description Hastane ekip davetini kabul edip şifre belirleme validasyonu
+ */
+const acceptHospitalInvitationSchema = Joi.object({
+  token: Joi.string()
+    .hex()
+    .length(64)
+    .required()
+    .messages({
+      'string.hex': 'Geçersiz davet bağlantısı',
+      'string.length': 'Geçersiz davet bağlantısı',
+      'any.required': 'Davet token\'ı zorunludur'
+    }),
+  full_name: Joi.string()
+    .trim()
+    .min(2)
+    .max(150)
+    .required()
+    .messages({
+      'string.empty': 'Ad soyad zorunludur',
+      'string.min': 'Ad soyad en az 2 karakter olmalıdır',
+      'string.max': 'Ad soyad en fazla 150 karakter olabilir',
+      'any.required': 'Ad soyad zorunludur'
+    }),
+  password: passwordSchema,
+  confirmPassword: Joi.string()
+    .valid(Joi.ref('password'))
+    .optional()
+    .allow('', null)
+    .messages({
+      'any.only': 'Şifreler eşleşmiyor'
+    })
+});
+
+/**
+ * Resend Verification Schema
+ * @description Doğrulama bağlantısını yeniden gönderme validasyonu
+ */
+const resendVerificationSchema = Joi.object({
+  email: emailSchema
+});
+
+/**
+ * Session ID Param Schema
+ * @description Oturum sonlandırma URL parametresi validasyonu (refresh token kaydı ID'si)
+ */
+const sessionIdParamSchema = Joi.object({
+  id: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .messages({
+      'number.base': 'Oturum ID sayı olmalıdır',
+      'number.integer': 'Oturum ID tam sayı olmalıdır',
+      'number.positive': 'Oturum ID pozitif olmalıdır',
+      'any.required': 'Oturum ID zorunludur'
+    })
+});
+
+/**
+ * Two Factor Code Schema
+ * @description Doğrulayıcı uygulamadaki 6 haneli kod
+ */
+const twoFactorCodeSchema = Joi.string()
+  .trim()
+  .pattern(/^\d{6}$/)
+  .messages({
+    'string.empty': 'Doğrulama kodu zorunludur',
+    'string.pattern.base': 'Doğrulama kodu 6 haneli olmalıdır',
+    'any.required': 'Doğrulama kodu zorunludur'
+  });
+
+const challengeTokenSchema = Joi.string()
+  .max(1000)
+  .required()
+  .messages({
+    'string.empty': 'Doğrulama oturumu bulunamadı. Lütfen tekrar giriş yapın.',
+    'any.required': 'Doğrulama oturumu bulunamadı. Lütfen tekrar giriş yapın.'
+  });
+
+/**
+ * Login Two Factor Schema
+ * @description Girişin ikinci adımı - doğrulayıcı kodu veya kurtarma kodu (ikisinden biri)
+ */
+const loginTwoFactorSchema = Joi.object({
+  challengeToken: challengeTokenSchema,
+  code: twoFactorCodeSchema,
+  recoveryCode: Joi.string().trim().max(20)
+}).xor('code', 'recoveryCode').messages({
+  'object.missing': 'Doğrulama kodu veya kurtarma kodu zorunludur',
+  'object.xor': 'Doğrulama kodu ve kurtarma kodu birlikte gönderilemez'
+});
+
+/**
+ * Login Two Factor Setup Schema
+ * @description Girişte zorunlu iki adımlı doğrulama kurulumu
+ */
+const loginTwoFactorSetupSchema = Joi.object({
+  challengeToken: challengeTokenSchema
+});
+
+/**
+ * Two Factor Code Body Schema
+ * @description Etkinleştirme ve kurtarma kodu yenileme
+ */
+const twoFactorCodeBodySchema = Joi.object({
+  code: twoFactorCodeSchema.required()
+});
+
+/**
+ * Disable Two Factor Schema
+ * @description İki adımlı doğrulamayı kapatma - mevcut şifre ve güncel kod
+ */
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string().required().messages({
+    'string.empty': 'Mevcut şifre zorunludur',
+    'any.required': 'Mevcut şifre zorunludur'
+  }),
+  code: twoFactorCodeSchema.required()
+});
+
 // ==================== END AUTHENTICATION SCHEMAS ====================
 /**
  * AuthSchemas modülü export'ları
@@ -434,6 +587,15 @@ module.exports = {
   refreshTokenSchema,
   logoutSchema,
   forgotPasswordSchema,
-  resetPasswordSchema
+  resetPasswordSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  hospitalInvitationTokenParamSchema,
+  acceptHospitalInvitationSchema,
+  sessionIdParamSchema,
+  loginTwoFactorSchema,
+  loginTwoFactorSetupSchema,
+  twoFactorCodeBodySchema,
+  disableTwoFactorSchema
 };
 // ==================== END MODULE EXPORTS ====================
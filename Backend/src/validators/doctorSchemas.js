@@ -40,6 +40,7 @@
 // ============================================================================
 
 const Joi = require('joi');
+const { DOCTOR_CV } = require('../config/appConstants');
 
 // ============================================================================
 // TEMEL DOĞRULAMA ŞEMALARI
@@ -395,6 +396,18 @@ const withdrawApplicationSchema = Joi.object({
     })
 });
 
+/**
+ * Başvuru mesajı şeması
+ * @description Doktorun başvuru yazışmasına gönderdiği mesaj
+ */
+const applicationMessageSchema = Joi.object({
+  body: Joi.string().trim().min(1).max(2000).required().messages({
+    'string.empty': 'Mesaj boş olamaz',
+    'string.max': 'Mesaj en fazla 2000 karakter olabilir',
+    'any.required': 'Mesaj zorunludur'
+  })
+});
+
 /**
  * Başvuru filtreleme şeması
  * @description Doktor başvurularını filtrelerken kullanılan validation şeması
@@ -576,6 +589,198 @@ const jobIdParamSchema = Joi.object({
     })
 });
 
+/**
+ * Kaydedilen ilanlar sorgu şeması
+ * @description Favori ilan listesinin sayfalama parametrelerini doğrular
+ * @type {Joi.ObjectSchema}
+ * 
+ * @example
+ * { page: 1, limit: 10 }
+ */
+const favoriteJobsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1).messages({
+    'number.base': 'Sayfa numarası sayı olmalıdır',
+    'number.integer': 'Sayfa numarası tam sayı olmalıdır',
+    'number.min': 'Sayfa numarası en az 1 olmalıdır'
+  }),
+  limit: Joi.number().integer().min(1).max(100).default(10).messages({
+    'number.base': 'Limit sayı olmalıdır',
+    'number.integer': 'Limit tam sayı olmalıdır',
+    'number.min': 'Limit en az 1 olmalıdır',
+    'number.max': 'Limit en fazla 100 olabilir'
+  })
+});
+
+// ============================================================================
+// KAYITLI ARAMA ŞEMALARI
+// ============================================================================
+
+/**
+ * Kayıtlı arama ID listesi şeması
+ * @description Şehir / branş listesi - dizi ([1, 2]) veya "1,2" formatında kabul edilir
+ * @type {Joi.AlternativesSchema}
+ */
+const savedSearchIdListSchema = Joi.alternatives().try(
+  Joi.array().items(Joi.number().integer().positive()).max(20),
+  Joi.string().pattern(/^(\d+)(,\d+)*$/)
+).messages({
+  'alternatives.match': 'ID listesi sayı dizisi veya "1,2,3" formatında olmalıdır'
+});
+
+/**
+ * Kayıtlı arama oluşturma şeması
+ * @description Doktorun ilan arama filtrelerini kaydetmesi için kullanılır
+ * @type {Joi.ObjectSchema}
+ * 
+ * @example
+ * {
+ *   name: "İstanbul Kardiyoloji",
+ *   keyword: "uzman",
+ *   city_ids: [34],
+ *   specialty_ids: [5, 7],
+ *   employment_type: "Tam Zamanlı"
+ * }
+ */
+const savedSearchCreateSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required().messages({
+    'string.min': 'Arama adı en az 2 karakter olmalıdır',
+    'string.max': 'Arama adı en fazla 100 karakter olabilir',
+    'any.required': 'Arama adı zorunludur'
+  }),
+  keyword: Joi.string().trim().max(100).allow('', null).optional().messages({
+    'string.max': 'Arama terimi en fazla 100 karakter olabilir'
+  }),
+  city_ids: savedSearchIdListSchema.allow(null).optional(),
+  specialty_ids: savedSearchIdListSchema.allow(null).optional(),
+  employment_type: Joi.string().max(50).allow('', null).optional().messages({
+    'string.max': 'İstihdam türü en fazla 50 karakter olabilir'
+  })
+});
+
+/**
+ * Kayıtlı arama güncelleme şeması
+ * @description Yeniden adlandırma ve duraklatma/devam ettirme için kullanılır
+ * @type {Joi.ObjectSchema}
+ * 
+ * @example
+ * { is_active: false }
+ */
+const savedSearchUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).optional().messages({
+    'string.min': 'Arama adı en az 2 karakter olmalıdır',
+    'string.max': 'Arama adı en fazla 100 karakter olabilir'
+  }),
+  is_active: Joi.boolean().optional().messages({
+    'boolean.base': 'Aktiflik durumu true veya false olmalıdır'
+  })
+}).min(1).messages({
+  'object.min': 'Güncellenecek en az bir alan gönderilmelidir'
+});
+
+/**
+ * Kayıtlı arama ID parametresi şeması
+ * @description URL'deki kayıtlı arama ID parametresini doğrular
+ * @type {Joi.ObjectSchema}
+ */
+const savedSearchIdParamSchema = Joi.object({
+  id: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .messages({
+      'number.base': 'Kayıtlı arama ID\'si sayı olmalıdır',
+      'number.integer': 'Kayıtlı arama ID\'si tam sayı olmalıdır',
+      'number.positive': 'Kayıtlı arama ID\'si pozitif sayı olmalıdır',
+      'any.required': 'Kayıtlı arama ID\'si zorunludur'
+    })
+});
+
+// ============================================================================
+// CV PDF ŞEMALARI
+// ============================================================================
+
+/**
+ * CV PDF sorgu şeması
+ * @description Şablon ve etiket dilini doğrular; verilmezse klasik / Türkçe kullanılır
+ * @type {Joi.ObjectSchema}
+ * 
+ * @example
+ * GET /api/doctor/profile/cv.pdf?template=compact&lang=en
+ */
+const cvPdfQuerySchema = Joi.object({
+  template: Joi.string().valid(...DOCTOR_CV.TEMPLATES).default(DOCTOR_CV.DEFAULT_TEMPLATE).messages({
+    'any.only': `Şablon ${DOCTOR_CV.TEMPLATES.join(' veya ')} olmalıdır`
+  }),
+  lang: Joi.string().valid(...DOCTOR_CV.LANGUAGES).default(DOCTOR_CV.DEFAULT_LANGUAGE).messages({
+    'any.only': `Dil ${DOCTOR_CV.LANGUAGES.join(' veya ')} olmalıdır`
+  })
+});
+
+// ============================================================================
+// PROFİL GİZLİLİK ŞEMALARI
+// ============================================================================
+
+/**
+ * Profil gizlilik ayarları güncelleme şeması
+ * @description Görünürlük ve iletişim bilgisi maskeleme ayarlarını doğrular
+ * @type {Joi.ObjectSchema}
+ * 
+ * @example
+ * { profile_visibility: "applied_only", hide_phone: true }
+ */
+const privacySettingsUpdateSchema = Joi.object({
+  profile_visibility: Joi.string().valid('public', 'applied_only', 'hidden').optional().messages({
+    'any.only': 'Görünürlük public, applied_only veya hidden olmalıdır'
+  }),
+  hide_phone: Joi.boolean().optional().messages({
+    'boolean.base': 'Telefon gizleme ayarı true veya false olmalıdır'
+  }),
+  hide_email: Joi.boolean().optional().messages({
+    'boolean.base': 'E-posta gizleme ayarı true veya false olmalıdır'
+  })
+}).min(1).messages({
+  'object.min': 'Güncellenecek en az bir alan gönderilmelidir'
+});
+
+/**
+ * Engellenecek hastane arama şeması
+ * @type {Joi.ObjectSchema}
+ */
+const privacyHospitalSearchQuerySchema = Joi.object({
+  search: Joi.string().trim().max(100).allow('').optional().messages({
+    'string.max': 'Arama terimi en fazla 100 karakter olabilir'
+  })
+});
+
+/**
+ * Hastane engelleme şeması
+ * @type {Joi.ObjectSchema}
+ * 
+ * @example
+ * { hospital_id: 7 }
+ */
+const blockHospitalSchema = Joi.object({
+  hospital_id: Joi.number().integer().positive().required().messages({
+    'number.base': 'Hastane ID\'si sayı olmalıdır',
+    'number.integer': 'Hastane ID\'si tam sayı olmalıdır',
+    'number.positive': 'Hastane ID\'si pozitif sayı olmalıdır',
+    'any.required': 'Hastane ID\'si zorunludur'
+  })
+});
+
+/**
+ * Engellenen hastane ID parametresi şeması
+ * @type {Joi.ObjectSchema}
+ */
+const blockedHospitalIdParamSchema = Joi.object({
+  hospitalId: Joi.number().integer().positive().required().messages({
+    'number.base': 'Hastane ID\'si sayı olmalıdır',
+    'number.integer': 'Hastane ID\'si tam sayı olmalıdır',
+    'number.positive': 'Hastane ID\'si pozitif sayı olmalıdır',
+    'any.required': 'Hastane ID\'si zorunludur'
+  })
+});
+
 // ============================================================================
 // DOKTOR PROFİL DETAY ID PARAMETRELERİ
 // ============================================================================
@@ -681,6 +886,41 @@ const jobStatusChangeSchema = Joi.object({
     })
 });
 
+/**
+ * Veri dışa aktarma ID parametresi şeması
+ * @description URL'deki dışa aktarma talebi ID parametresini doğrular
+ * @type {Joi.ObjectSchema}
+ */
+const dataExportIdParamSchema = Joi.object({
+  id: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .messages({
+      'number.base': 'Talep ID\'si sayı olmalıdır',
+      'number.integer': 'Talep ID\'si tam sayı olmalıdır',
+      'number.positive': 'Talep ID\'si pozitif sayı olmalıdır',
+      'any.required': 'Talep ID\'si zorunludur'
+    })
+});
+
+/**
+ * Veri dışa aktarma indirme bağlantısı şeması
+ * @description Bildirimdeki indirme bağlantısının token parametresini doğrular
+ * @type {Joi.ObjectSchema}
+ */
+const dataExportDownloadQuerySchema = Joi.object({
+  token: Joi.string()
+    .hex()
+    .length(64)
+    .required()
+    .messages({
+      'string.hex': 'İndirme bağlantısı geçersiz',
+      'string.length': 'İndirme bağlantısı geçersiz',
+      'any.required': 'İndirme bağlantısı geçersiz'
+    })
+});
+
 module.exports = {
   // Doktor profil şemaları
   doctorPersonalInfoSchema,
@@ -695,11 +935,27 @@ module.exports = {
   withdrawApplicationSchema,
   applicationFilterSchema,
   applicationIdParamSchema,
+  applicationMessageSchema,
   
   // İş ilanı şemaları
   jobSearchSchema,
   jobIdParamSchema,
   jobStatusChangeSchema,
+  favoriteJobsQuerySchema,
+  
+  // Kayıtlı arama şemaları
+  savedSearchCreateSchema,
+  savedSearchUpdateSchema,
+  savedSearchIdParamSchema,
+  
+  // CV PDF şemaları
+  cvPdfQuerySchema,
+  
+  // Profil gizlilik şemaları
+  privacySettingsUpdateSchema,
+  privacyHospitalSearchQuerySchema,
+  blockHospitalSchema,
+  blockedHospitalIdParamSchema,
   
   // Profil detay ID parametreleri
   educationIdParamSchema,
@@ -707,6 +963,10 @@ module.exports = {
   certificateIdParamSchema,
   languageIdParamSchema,
   
+  // Veri dışa aktarma şemaları
+  dataExportIdParamSchema,
+  dataExportDownloadQuerySchema,
+  
   // Yardımcı şemalar
   hybridIdSchema
 };
\ No newline at end of file
@@ -13,6 +13,7 @@
  * Validation Şemaları:
  * - hospitalProfileSchema: Hastane profil güncelleme
  * - jobSchema: İş ilanı oluşturma/güncelleme
+ * - jobRenewSchema: Yayındaki ilanın süresini uzatma
  * - applicationStatusSchema: Başvuru durumu güncelleme
  * 
  * Schema.sql Uyumluluğu:
@@ -208,6 +209,91 @@ const jobSchema = Joi.object({
       'any.required': 'İş tanımı zorunludur'
     }),
 
+  // Ücret aralığı (aylık) - opsiyonel
+  salary_min: Joi.number()
+    .min(0)
+    .max(10000000)
+    .optional()
+    .allow(null, '')
+    .messages({
+      'number.base': 'Minimum ücret sayı olmalıdır',
+      'number.min': 'Minimum ücret negatif olamaz',
+      'number.max': 'Minimum ücret çok yüksek'
+    }),
+
+  salary_max: Joi.number()
+    .min(0)
+    .max(10000000)
+    .optional()
+    .allow(null, '')
+    .when('salary_min', {
+      is: Joi.number().required(),
+      then: Joi.number().min(Joi.ref('salary_min'))
+    })
+    .messages({
+      'number.base': 'Maksimum ücret sayı olmalıdır',
+      'number.min': 'Maksimum ücret minimum ücretten küçük olamaz',
+      'number.max': 'Maksimum ücret çok yüksek'
+    }),
+
+  salary_currency: Joi.string()
+    .valid('TRY', 'USD', 'EUR')
+    .optional()
+    .allow(null, '')
+    .messages({
+      'any.only': 'Para birimi TRY, USD veya EUR olmalıdır'
+    }),
+
+  // Aylık nöbet sayısı
+  monthly_shift_count: Joi.number()
+    .integer()
+    .min(0)
+    .max(31)
+    .optional()
+    .allow(null, '')
+    .messages({
+      'number.base': 'Aylık nöbet sayısı sayı olmalıdır',
+      'number.integer': 'Aylık nöbet sayısı tam sayı olmalıdır',
+      'number.min': 'Aylık nöbet sayısı negatif olamaz',
+      'number.max': 'Aylık nöbet sayısı 31\'den büyük olamaz'
+    }),
+
+  working_hours: Joi.string()
+    .max(255)
+    .optional()
+    .allow(null, '')
+    .messages({
+      'string.max': 'Çalışma saatleri en fazla 255 karakter olabilir'
+    }),
+
+  // Yan haklar
+  provides_housing: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'Lojman bilgisi true veya false olmalıdır'
+    }),
+
+  provides_transport: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'Ulaşım bilgisi true veya false olmalıdır'
+    }),
+
+  // Yayın süresi (gün) - admin tarafından belirlenen sınırlar servis katmanında kontrol edilir,
+  // boş bırakılırsa varsayılan süre kullanılır
+  duration_days: Joi.number()
+    .integer()
+    .min(1)
+    .max(365)
+    .optional()
+    .allow(null, '')
+    .messages({
+      'number.base': 'Yayın süresi sayı olmalıdır',
+      'number.integer': 'Yayın süresi tam sayı olmalıdır',
+      'number.min': 'Yayın süresi en az 1 gün olmalıdır',
+      'number.max': 'Yayın süresi en fazla 365 gün olabilir'
+    }),
+
   // NOT: status_id burada yok çünkü oluşturma sırasında backend otomatik olarak
   // status_id = 1 (Onay Bekliyor) olarak ayarlar. Hastane status_id gönderemez.
   // status_id: Joi.forbidden() // Hastane status_id gönderemez
@@ -517,6 +603,331 @@ const jobStatusChangeSchema = Joi.object({
  */
 const jobResubmitSchema = Joi.object({}).allow({});
 
+/**
+ * Job Renew Schema
+ * @description Onaylı ilanın yayın süresini uzatırken kullanılacak validation
+ * (duration_days gönderilmezse ilanın kendi süresi kullanılır)
+ */
+const jobRenewSchema = Joi.object({
+  duration_days: Joi.number()
+    .integer()
+    .min(1)
+    .max(365)
+    .optional()
+    .messages({
+      'number.base': 'Yayın süresi sayı olmalıdır',
+      'number.integer': 'Yayın süresi tam sayı olmalıdır',
+      'number.min': 'Yayın süresi en az 1 gün olmalıdır',
+      'number.max': 'Yayın süresi en fazla 365 gün olabilir'
+    })
+});
+
+// ============================================================================
+// BAŞVURU SÜRECİ (PIPELINE) ŞEMALARI
+// ============================================================================
+
+/**
+ * Kanban panosunda kullanılabilen aşama renkleri
+ * @type {Array<string>}
+ */
+const PIPELINE_STAGE_COLORS = ['blue', 'amber', 'green', 'red', 'purple', 'cyan', 'gray'];
+
+/**
+ * Başvuru ID parametre şeması
+ * @description /applications/:applicationId route'ları için
+ */
+const applicationIdParamSchema = Joi.object({
+  applicationId: Joi.number().integer().positive().required().messages({
+    'number.base': 'Başvuru ID sayı olmalıdır',
+    'number.integer': 'Başvuru ID tam sayı olmalıdır',
+    'number.positive': 'Başvuru ID pozitif olmalıdır',
+    'any.required': 'Başvuru ID zorunludur'
+  })
+});
+
+/**
+ * Dahili not parametre şeması
+ * @description /applications/:applicationId/notes/:noteId route'u için
+ */
+const applicationNoteParamSchema = applicationIdParamSchema.keys({
+  noteId: Joi.number().integer().positive().required().messages({
+    'number.base': 'Not ID sayı olmalıdır',
+    'any.required': 'Not ID zorunludur'
+  })
+});
+
+/**
+ * Dahili not ekleme şeması
+ */
+const applicationNoteSchema = Joi.object({
+  note: Joi.string().trim().min(1).max(2000).required().messages({
+    'string.empty': 'Not boş olamaz',
+    'string.max': 'Not en fazla 2000 karakter olabilir',
+    'any.required': 'Not zorunludur'
+  })
+});
+
+/**
+ * Başvuru mesajı şeması
+ * @description Hastanenin başvuru yazışmasına gönderdiği mesaj (doktor görür)
+ */
+const applicationMessageSchema = Joi.object({
+  body: Joi.string().trim().min(1).max(2000).required().messages({
+    'string.empty': 'Mesaj boş olamaz',
+    'string.max': 'Mesaj en fazla 2000 karakter olabilir',
+    'any.required': 'Mesaj zorunludur'
+  })
+});
+
+/**
+ * Başvuru değerlendirme şeması (yıldız puanı ve etiketler)
+ * @description tags gönderilirse mevcut etiketlerin tamamının yerine geçer
+ */
+const applicationEvaluationSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).allow(null).optional().messages({
+    'number.base': 'Puan sayı olmalıdır',
+    'number.min': 'Puan en az 1 olmalıdır',
+    'number.max': 'Puan en fazla 5 olabilir'
+  }),
+  tags: Joi.array().items(
+    Joi.string().trim().min(1).max(50).messages({
+      'string.max': 'Etiket en fazla 50 karakter olabilir'
+    })
+  ).max(10).optional().messages({
+    'array.max': 'En fazla 10 etiket eklenebilir'
+  })
+}).min(1).messages({
+  'object.min': 'Puan veya etiket gönderilmelidir'
+});
+
+/**
+ * Kanban panosu sorgu şeması
+ */
+const pipelineBoardQuerySchema = Joi.object({
+  jobIds: Joi.string().pattern(/^\d+(,\d+)*$/).optional().messages({
+    'string.pattern.base': 'İş ilanı ID\'leri virgülle ayrılmış sayılar olmalıdır (örn: 1,2,3)'
+  }),
+  search: Joi.string().trim().min(2).max(100).optional().messages({
+    'string.min': 'Arama terimi en az 2 karakter olmalıdır',
+    'string.max': 'Arama terimi en fazla 100 karakter olabilir'
+  })
+});
+
+/**
+ * Toplu aşama değişikliği şeması
+ * @description Seçili başvuruları tek seferde bir aşamaya taşır
+ */
+const pipelineMoveSchema = Joi.object({
+  application_ids: Joi.array().items(Joi.number().integer().positive()).min(1).max(100).required().messages({
+    'array.min': 'En az bir başvuru seçilmelidir',
+    'array.max': 'Tek seferde en fazla 100 başvuru taşınabilir',
+    'any.required': 'Başvuru listesi zorunludur'
+  }),
+  stage_id: Joi.number().integer().positive().required().messages({
+    'number.base': 'Aşama ID sayı olmalıdır',
+    'any.required': 'Hedef aşama zorunludur'
+  }),
+  note: Joi.string().trim().max(1000).allow('', null).optional().messages({
+    'string.max': 'Not en fazla 1000 karakter olabilir'
+  })
+});
+
+/**
+ * Aşama ID parametre şeması
+ */
+const pipelineStageIdParamSchema = Joi.object({
+  stageId: Joi.number().integer().positive().required().messages({
+    'number.base': 'Aşama ID sayı olmalıdır',
+    'any.required': 'Aşama ID zorunludur'
+  })
+});
+
+/**
+ * Aşama oluşturma şeması
+ * @description status_id, aşamadaki başvuruların doktor tarafında görünen durumudur (1-4)
+ */
+const pipelineStageSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required().messages({
+    'string.min': 'Aşama adı en az 2 karakter olmalıdır',
+    'string.max': 'Aşama adı en fazla 100 karakter olabilir',
+    'any.required': 'Aşama adı zorunludur'
+  }),
+  status_id: Joi.number().integer().valid(1, 2, 3, 4).required().messages({
+    'any.only': 'Aşama yalnızca Beklemede, İnceleniyor, Kabul veya Red durumlarına bağlanabilir',
+    'any.required': 'Bağlı durum zorunludur'
+  }),
+  color: Joi.string().valid(...PIPELINE_STAGE_COLORS).allow(null).optional().messages({
+    'any.only': `Renk şu değerlerden biri olmalıdır: ${PIPELINE_STAGE_COLORS.join(', ')}`
+  })
+});
+
+/**
+ * Aşama güncelleme şeması (bağlı durum değiştirilemez)
+ */
+const pipelineStageUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).optional().messages({
+    'string.min': 'Aşama adı en az 2 karakter olmalıdır',
+    'string.max': 'Aşama adı en fazla 100 karakter olabilir'
+  }),
+  color: Joi.string().valid(...PIPELINE_STAGE_COLORS).allow(null).optional().messages({
+    'any.only': `Renk şu değerlerden biri olmalıdır: ${PIPELINE_STAGE_COLORS.join(', ')}`
+  })
+}).min(1).messages({
+  'object.min': 'Güncellenecek en az bir alan gönderilmelidir'
+});
+
+/**
+ * Aşama sıralama şeması
+ */
+const pipelineStageOrderSchema = Joi.object({
+  stage_ids: Joi.array().items(Joi.number().integer().positive()).min(1).unique().required().messages({
+    'array.unique': 'Aşama listesinde tekrar olamaz',
+    'any.required': 'Aşama sıralaması zorunludur'
+  })
+});
+
+// ============================================================================
+// MÜLAKAT ŞEMALARI
+// ============================================================================
+
+/**
+ * Mülakat önerisi şeması
+ * Hastane 1-5 zaman dilimi önerir; doktor birini seçer
+ */
+const interviewProposalSchema = Joi.object({
+  mode: Joi.string().valid('in_person', 'video').required().messages({
+    'any.only': 'Görüşme türü yüz yüze veya görüntülü olmalıdır',
+    'any.required': 'Görüşme türü zorunludur'
+  }),
+  location: Joi.string().trim().max(500).allow('', null).optional().messages({
+    'string.max': 'Adres en fazla 500 karakter olabilir'
+  }),
+  meeting_url: Joi.when('mode', {
+    is: 'video',
+    then: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(500).required(),
+    otherwise: Joi.any().strip()
+  }).messages({
+    'string.uri': 'Görüşme bağlantısı geçerli bir URL olmalıdır',
+    'string.uriCustomScheme': 'Görüşme bağlantısı http veya https ile başlamalıdır',
+    'string.max': 'Görüşme bağlantısı en fazla 500 karakter olabilir',
+    'any.required': 'Görüntülü görüşme için bağlantı zorunludur'
+  }),
+  duration_minutes: Joi.number().integer().min(15).max(240).default(30).messages({
+    'number.min': 'Süre en az 15 dakika olmalıdır',
+    'number.max': 'Süre en fazla 240 dakika olabilir'
+  }),
+  notes: Joi.string().trim().max(1000).allow('', null).optional().messages({
+    'string.max': 'Not en fazla 1000 karakter olabilir'
+  }),
+  slots: Joi.array().items(Joi.date().iso()).min(1).max(5).unique().required().messages({
+    'array.min': 'En az bir zaman önerilmelidir',
+    'array.max': 'En fazla 5 zaman önerilebilir',
+    'array.unique': 'Aynı zaman birden fazla kez önerilemez',
+    'date.format': 'Zaman ISO formatında olmalıdır',
+    'any.required': 'Önerilen zamanlar zorunludur'
+  })
+});
+
+/**
+ * Mülakat ID parametre şeması
+ */
+const interviewIdParamSchema = Joi.object({
+  interviewId: Joi.number().integer().positive().required().messages({
+    'number.base': 'Mülakat ID sayı olmalıdır',
+    'any.required': 'Mülakat ID zorunludur'
+  })
+});
+
+/**
+ * Mülakat iptal şeması
+ */
+const interviewCancelSchema = Joi.object({
+  reason: Joi.string().trim().max(500).allow('', null).optional().messages({
+    'string.max': 'İptal sebebi en fazla 500 karakter olabilir'
+  })
+});
+
+/**
+ * Yaklaşan mülakatlar query şeması
+ */
+const upcomingInterviewsQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+// ============================================================================
+// BAŞVURU PAKETİ DIŞA AKTARMA ŞEMALARI
+// ============================================================================
+
+/**
+ * Başvuru paketi talep şeması (body)
+ * @description GET /jobs/:jobId/applications ile aynı filtreler (durum ID'si veya adı)
+ */
+const applicationExportRequestSchema = Joi.object({
+  status: Joi.alternatives()
+    .try(Joi.number().integer().positive(), Joi.string().trim().max(50))
+    .messages({
+      'alternatives.match': 'Durum geçerli bir ID veya durum adı olmalıdır'
+    })
+});
+
+/**
+ * Başvuru paketi parametre şeması
+ */
+const applicationExportIdParamSchema = Joi.object({
+  exportId: Joi.number().integer().positive().required().messages({
+    'number.base': 'Paket ID sayı olmalıdır',
+    'any.required': 'Paket ID zorunludur'
+  })
+});
+
+// ============================================================================
+// EKİP YÖNETİMİ ŞEMALARI
+// ============================================================================
+
+const teamRoleSchema = Joi.string().valid('recruiter', 'viewer').required().messages({
+  'any.only': 'Rol işe alım sorumlusu veya görüntüleyici olmalıdır',
+  'any.required': 'Rol zorunludur'
+});
+
+/**
+ * Ekip daveti şeması
+ */
+const teamInvitationSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().max(255).required().messages({
+    'string.email': 'Geçerli bir e-posta adresi giriniz',
+    'string.empty': 'E-posta adresi zorunludur',
+    'any.required': 'E-posta adresi zorunludur'
+  }),
+  role: teamRoleSchema
+});
+
+/**
+ * Ekip üyesi rol güncelleme şeması
+ */
+const teamMemberRoleSchema = Joi.object({
+  role: teamRoleSchema
+});
+
+/**
+ * Ekip üyesi parametre şeması
+ */
+const teamMemberIdParamSchema = Joi.object({
+  memberId: Joi.number().integer().positive().required().messages({
+    'number.base': 'Üye ID sayı olmalıdır',
+    'any.required': 'Üye ID zorunludur'
+  })
+});
+
+/**
+ * Ekip daveti parametre şeması
+ */
+const teamInvitationIdParamSchema = Joi.object({
+  invitationId: Joi.number().integer().positive().required().messages({
+    'number.base': 'Davet ID sayı olmalıdır',
+    'any.required': 'Davet ID zorunludur'
+  })
+});
+
 // ============================================================================
 // MODULE EXPORTS
 // ============================================================================
@@ -531,10 +942,40 @@ module.exports = {
   jobIdParamSchema,
   jobStatusChangeSchema,
   jobResubmitSchema,
+  jobRenewSchema,
   
   // Başvuru durumu validation
   applicationStatusSchema,
   
+  // Başvuru süreci (pipeline) validation
+  applicationIdParamSchema,
+  applicationNoteParamSchema,
+  applicationNoteSchema,
+  applicationMessageSchema,
+  applicationEvaluationSchema,
+  pipelineBoardQuerySchema,
+  pipelineMoveSchema,
+  pipelineStageIdParamSchema,
+  pipelineStageSchema,
+  pipelineStageUpdateSchema,
+  pipelineStageOrderSchema,
+  
+  // Mülakat validation
+  interviewProposalSchema,
+  interviewIdParamSchema,
+  interviewCancelSchema,
+  upcomingInterviewsQuerySchema,
+  
+  // Başvuru paketi validation
+  applicationExportRequestSchema,
+  applicationExportIdParamSchema,
+  
+  // Ekip yönetimi validation
+  teamInvitationSchema,
+  teamMemberRoleSchema,
+  teamMemberIdParamSchema,
+  teamInvitationIdParamSchema,
+  
   // Query parametreleri validation
   applicationsQuerySchema,
   doctorProfilesQuerySchema
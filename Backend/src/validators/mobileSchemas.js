@@ -431,6 +431,78 @@ const mobileWithdrawApplicationSchema = Joi.object({
   })
 });
 
+/**
+ * Mobile Accept Interview Slot Schema
+ * @description Doktorun önerilen mülakat zamanlarından birini seçmesi
+ */
+const mobileAcceptInterviewSlotSchema = Joi.object({
+  slot_id: Joi.number().integer().positive().required().messages({
+    'number.base': 'Zaman dilimi ID sayı olmalıdır',
+    'any.required': 'Zaman dilimi seçimi zorunludur'
+  })
+});
+
+/**
+ * Mobile Application Message Schema
+ * @description Doktorun başvuru yazışmasına gönderdiği mesaj
+ */
+const mobileApplicationMessageSchema = Joi.object({
+  body: Joi.string().trim().min(1).max(2000).required().messages({
+    'string.empty': 'Mesaj boş olamaz',
+    'string.max': 'Mesaj en fazla 2000 karakter olabilir',
+    'any.required': 'Mesaj zorunludur'
+  })
+});
+
+// ==================== MOBILE SAVED SEARCH SCHEMAS ====================
+
+/**
+ * Mobile Saved Search ID List Schema
+ * @description Şehir / branş listesi - dizi veya "1,2,3" formatı (mobileJobsQuerySchema ile uyumlu)
+ */
+const savedSearchIdListSchema = Joi.alternatives().try(
+  Joi.array().items(Joi.number().integer().positive()).max(20),
+  Joi.string().pattern(/^(\d+)(,\d+)*$/)
+).messages({
+  'alternatives.match': 'ID listesi sayı dizisi veya "1,2,3" formatında olmalıdır'
+});
+
+/**
+ * Mobile Create Saved Search Schema
+ * @description Kayıtlı arama oluşturma endpoint'i için validasyon
+ */
+const mobileCreateSavedSearchSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required().messages({
+    'string.min': 'Arama adı en az 2 karakter olmalıdır',
+    'string.max': 'Arama adı en fazla 100 karakter olabilir',
+    'any.required': 'Arama adı zorunludur'
+  }),
+  keyword: Joi.string().trim().max(100).allow('', null).optional().messages({
+    'string.max': 'Arama terimi en fazla 100 karakter olabilir'
+  }),
+  city_ids: savedSearchIdListSchema.allow(null).optional(),
+  specialty_ids: savedSearchIdListSchema.allow(null).optional(),
+  employment_type: Joi.string().max(50).allow('', null).optional().messages({
+    'string.max': 'Çalışma türü en fazla 50 karakter olabilir'
+  })
+});
+
+/**
+ * Mobile Update Saved Search Schema
+ * @description Yeniden adlandırma ve duraklatma için validasyon
+ */
+const mobileUpdateSavedSearchSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).optional().messages({
+    'string.min': 'Arama adı en az 2 karakter olmalıdır',
+    'string.max': 'Arama adı en fazla 100 karakter olabilir'
+  }),
+  is_active: Joi.boolean().optional().messages({
+    'boolean.base': 'Aktiflik durumu true veya false olmalıdır'
+  })
+}).min(1).messages({
+  'object.min': 'Güncellenecek en az bir alan gönderilmelidir'
+});
+
 // ==================== MOBILE DEVICE TOKEN SCHEMAS ====================
 
 /**
@@ -520,6 +592,20 @@ const mobileJobsQuerySchema = paginationQuerySchema.keys({
     'number.integer': 'Minimum deneyim yılı tam sayı olmalıdır',
     'number.min': 'Minimum deneyim yılı 0\'dan küçük olamaz',
     'number.max': 'Minimum deneyim yılı 50\'den büyük olamaz'
+  }),
+  // Ücret ve yan hak filtreleri
+  min_salary: Joi.number().min(0).max(10000000).optional().messages({
+    'number.base': 'Minimum ücret sayı olmalıdır',
+    'number.min': 'Minimum ücret negatif olamaz'
+  }),
+  salary_currency: Joi.string().valid('TRY', 'USD', 'EUR').optional().messages({
+    'any.only': 'Para birimi TRY, USD veya EUR olmalıdır'
+  }),
+  provides_housing: Joi.boolean().optional().messages({
+    'boolean.base': 'Lojman filtresi true veya false olmalıdır'
+  }),
+  provides_transport: Joi.boolean().optional().messages({
+    'boolean.base': 'Ulaşım filtresi true veya false olmalıdır'
   })
 });
 
@@ -564,6 +650,19 @@ const mobileJobDetailParamsSchema = Joi.object({
   })
 });
 
+/**
+ * Mobile Saved Search Params Schema
+ * @description Kayıtlı arama ID parametresi validasyonu
+ */
+const mobileSavedSearchParamsSchema = Joi.object({
+  searchId: Joi.number().integer().positive().required().messages({
+    'number.base': 'Kayıtlı arama ID sayı olmalıdır',
+    'number.integer': 'Kayıtlı arama ID tam sayı olmalıdır',
+    'number.positive': 'Kayıtlı arama ID pozitif bir sayı olmalıdır',
+    'any.required': 'Kayıtlı arama ID zorunludur'
+  })
+});
+
 /**
  * Mobile Application Detail Params Schema
  * @description Application detail için params validasyonu
@@ -699,6 +798,12 @@ module.exports = {
   // Applications
   mobileCreateApplicationSchema,
   mobileWithdrawApplicationSchema,
+  mobileAcceptInterviewSlotSchema,
+  mobileApplicationMessageSchema,
+  
+  // Saved Searches
+  mobileCreateSavedSearchSchema,
+  mobileUpdateSavedSearchSchema,
   
   // Device Token
   mobileDeviceTokenSchema,
@@ -712,6 +817,7 @@ module.exports = {
   
   // Params Schemas
   mobileJobDetailParamsSchema,
+  mobileSavedSearchParamsSchema,
   mobileApplicationDetailParamsSchema,
   mobileEducationParamsSchema,
   mobileExperienceParamsSchema,
@@ -17,6 +17,7 @@
  * - sendNotificationSchema: Bildirim gönderme (sadece admin için)
  * - cleanupSchema: Temizleme işlemleri (tüm kullanıcılar için)
  * - notificationIdParamSchema: URL parametresi doğrulama
+ * - notificationSettingsUpdateSchema: Bildirim tercihleri ve sessiz saatler (doktor, hastane, mobil)
  * 
  * Servis Ayrımı Mantığı:
  * - Bu şemalar TÜM kullanıcılar için ortak bildirim işlemlerini içerir
@@ -170,6 +171,56 @@ const notificationIdParamSchema = Joi.object({
   })
 });
 
+// ============================================================================
+// BİLDİRİM TERCİHLERİ ŞEMALARI
+// ============================================================================
+
+/**
+ * Sessiz saat formatı (HH:mm, 24 saat)
+ */
+const timeOfDaySchema = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+  'string.pattern.base': 'Saat HH:mm formatında olmalıdır (örn. 22:00)'
+});
+
+/**
+ * Bildirim tercihleri güncelleme şeması
+ * @description Kategori bazında kanal listesi ve / veya sessiz saatler; gönderilmeyen kanallar
+ * korunur. Kategorinin kullanıcının rolüne uygunluğu serviste kontrol edilir.
+ */
+const notificationSettingsUpdateSchema = Joi.object({
+  categories: Joi.array().items(
+    Joi.object({
+      category: Joi.string()
+        .valid('application_status', 'job_status', 'new_job_match', 'system', 'congress')
+        .required()
+        .messages({
+          'any.only': 'Geçersiz bildirim kategorisi',
+          'any.required': 'Bildirim kategorisi zorunludur'
+        }),
+      inapp: Joi.boolean(),
+      push: Joi.boolean(),
+      email: Joi.boolean()
+    }).or('inapp', 'push', 'email').messages({
+      'object.missing': 'En az bir kanal tercihi gönderilmelidir'
+    })
+  ).unique('category').messages({
+    'array.unique': 'Aynı kategori birden fazla kez gönderilemez'
+  }),
+  quiet_hours: Joi.object({
+    enabled: Joi.boolean().required().messages({
+      'any.required': 'Sessiz saat durumu zorunludur'
+    }),
+    start: timeOfDaySchema.required().messages({
+      'any.required': 'Sessiz saat başlangıcı zorunludur'
+    }),
+    end: timeOfDaySchema.required().messages({
+      'any.required': 'Sessiz saat bitişi zorunludur'
+    })
+  })
+}).or('categories', 'quiet_hours').messages({
+  'object.missing': 'Güncellenecek tercih gönderilmelidir'
+});
+
 // ============================================================================
 // MODULE EXPORTS
 // ============================================================================
@@ -185,5 +236,8 @@ module.exports = {
   sendNotificationSchema,
   
   // Bildirim ID parametresi
-  notificationIdParamSchema
+  notificationIdParamSchema,
+
+  // Bildirim tercihleri
+  notificationSettingsUpdateSchema
 };
@@ -0,0 +1,131 @@
+/**
+ * @file pdfSchemas.js
+ * @description PDF validation şemaları - İlan / başvuru PDF'leri ve paylaşım bağlantıları için
+ * veri doğrulama şemalarını içerir. pdfRoutes tarafından kullanılır.
+ *
+ * Şema Türleri:
+ * - jobPdfParamsSchema / applicationPdfParamsSchema: PDF indirme route parametreleri
+ * - shareLinkCreateSchema: Paylaşım bağlantısı oluşturma
+ * - shareLinkListQuerySchema: Bir kaynağın paylaşım bağlantılarını listeleme
+ * - shareLinkIdParamSchema: Bağlantı ID parametresi
+ * - sharedPdfParamsSchema / sharedPdfQuerySchema: İmzalı bağlantı ile PDF açma (public)
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+'use strict';
+
+const Joi = require('joi');
+const { PDF_SHARE } = require('../config/appConstants');
+
+// ============================================================================
+// ORTAK ALANLAR
+// ============================================================================
+
+const idField = (label) => Joi.number().integer().positive().required().messages({
+  'number.base': `${label} sayı olmalıdır`,
+  'number.integer': `${label} tam sayı olmalıdır`,
+  'number.positive': `${label} pozitif olmalıdır`,
+  'any.required': `${label} gereklidir`
+});
+
+const resourceTypeField = Joi.string().valid(...PDF_SHARE.RESOURCE_TYPES).required().messages({
+  'any.only': `Kaynak türü ${PDF_SHARE.RESOURCE_TYPES.join(' veya ')} olmalıdır`,
+  'any.required': 'Kaynak türü gereklidir'
+});
+
+// ============================================================================
+// PDF İNDİRME ŞEMALARI
+// ============================================================================
+
+/**
+ * İlan PDF parametreleri
+ * @example GET /api/pdf/job/12
+ */
+const jobPdfParamsSchema = Joi.object({
+  jobId: idField('İlan ID')
+});
+
+/**
+ * Başvuru PDF parametreleri
+ * @example GET /api/pdf/application/34
+ */
+const applicationPdfParamsSchema = Joi.object({
+  applicationId: idField('Başvuru ID')
+});
+
+// ============================================================================
+// PAYLAŞIM BAĞLANTISI ŞEMALARI
+// ============================================================================
+
+/**
+ * Paylaşım bağlantısı oluşturma
+ * @example
+ * POST /api/pdf/share-links
+ * { "resource_type": "application", "resource_id": 34, "expires_in_hours": 48, "note": "Kardiyoloji şefi" }
+ */
+const shareLinkCreateSchema = Joi.object({
+  resource_type: resourceTypeField,
+  resource_id: idField('Kaynak ID'),
+  expires_in_hours: Joi.number()
+    .integer()
+    .min(PDF_SHARE.MIN_EXPIRY_HOURS)
+    .max(PDF_SHARE.MAX_EXPIRY_HOURS)
+    .default(PDF_SHARE.DEFAULT_EXPIRY_HOURS)
+    .messages({
+      'number.base': 'Geçerlilik süresi sayı olmalıdır',
+      'number.min': `Geçerlilik süresi en az ${PDF_SHARE.MIN_EXPIRY_HOURS} saat olmalıdır`,
+      'number.max': `Geçerlilik süresi en fazla ${PDF_SHARE.MAX_EXPIRY_HOURS / 24} gün olabilir`
+    }),
+  note: Joi.string().trim().max(255).allow('', null).messages({
+    'string.max': 'Not en fazla 255 karakter olabilir'
+  })
+});
+
+/**
+ * Bir kaynağın paylaşım bağlantılarını listeleme
+ * @example GET /api/pdf/share-links?resource_type=application&resource_id=34
+ */
+const shareLinkListQuerySchema = Joi.object({
+  resource_type: resourceTypeField,
+  resource_id: idField('Kaynak ID')
+});
+
+/**
+ * Paylaşım bağlantısı ID parametresi
+ * @example DELETE /api/pdf/share-links/5
+ */
+const shareLinkIdParamSchema = Joi.object({
+  id: idField('Bağlantı ID')
+});
+
+/**
+ * İmzalı bağlantı parametreleri (public)
+ * @example GET /api/pdf/shared/5?expires=1767225600&signature=...
+ */
+const sharedPdfParamsSchema = Joi.object({
+  linkId: idField('Bağlantı ID')
+});
+
+const sharedPdfQuerySchema = Joi.object({
+  expires: Joi.number().integer().positive().required().messages({
+    'number.base': 'Paylaşım bağlantısı geçersiz',
+    'any.required': 'Paylaşım bağlantısı geçersiz'
+  }),
+  signature: Joi.string().max(128).required().messages({
+    'string.empty': 'Paylaşım bağlantısı geçersiz',
+    'any.required': 'Paylaşım bağlantısı geçersiz'
+  })
+});
+
+module.exports = {
+  jobPdfParamsSchema,
+  applicationPdfParamsSchema,
+  shareLinkCreateSchema,
+  shareLinkListQuerySchema,
+  shareLinkIdParamSchema,
+  sharedPdfParamsSchema,
+  sharedPdfQuerySchema
+};
@@ -46,6 +46,7 @@
  * - useLocation ile aktif sayfa takibi
  * - React Router Link ile sayfa yönlendirme
  * - Lucide React icons kullanımı
+ * - Admin alt rolünün izni olmayan menü öğeleri gizlenir (user.permissions)
  * 
  * @author MediKariyer Development Team
  * @version 2.0.0
@@ -70,6 +71,11 @@ import {
 } from 'react-icons/fi';
 import { Building2 } from 'lucide-react';
 import { useDeviceDetection } from '@/hooks/useDeviceDetection';
+import useAuthStore from '@/store/authStore';
+import { APP_CONFIG } from '@/config/app';
+import { hasPermission } from '@/utils/permissions';
+
+const { ADMIN_PERMISSIONS } = APP_CONFIG;
 
 /**
  * ============================================================================
@@ -80,18 +86,19 @@ import { useDeviceDetection } from '@/hooks/useDeviceDetection';
  * Mobile: Overlay sidebar (hamburger butonuyla açılır/kapanır)
  */
 
-/** Menü öğeleri konfigürasyonu */
+/** Menü öğeleri konfigürasyonu - permission tanımlı öğeler yalnızca o izne sahip adminlere gösterilir */
 const MENU_ITEMS = [
   { name: 'Dashboard', href: '/admin', icon: FiHome, color: 'from-blue-500 to-blue-600' },
-  { name: 'Doktorlar', href: '/admin/users', icon: FiUsers, color: 'from-green-500 to-green-600' },
-  { name: 'Hastaneler', href: '/admin/hospitals', icon: Building2, color: 'from-green-500 to-green-600' },
-  { name: 'İş İlanı Yönetimi', href: '/admin/jobs', icon: FiBriefcase, color: 'from-purple-500 to-purple-600' },
-  { name: 'Başvurular', href: '/admin/applications', icon: FiCheckCircle, color: 'from-emerald-500 to-emerald-600' },
-  { name: 'Fotoğraf Onayları', href: '/admin/photo-approvals', icon: FiCamera, color: 'from-purple-500 to-purple-600' },
-  { name: 'Bildirimler', href: '/admin/notifications', icon: FiBell, color: 'from-amber-500 to-amber-600' },
-  { name: 'İletişim Mesajları', href: '/admin/contact-messages', icon: FiMail, color: 'from-teal-500 to-teal-600' },
-  { name: 'Kongre Yönetimi', href: '/admin/congresses', icon: FiFileText, color: 'from-indigo-500 to-indigo-600' },
-  { name: 'Sistem Logları', href: '/admin/logs', icon: FiActivity, color: 'from-red-500 to-red-600' },
+  { name: 'Doktorlar', href: '/admin/users', icon: FiUsers, color: 'from-green-500 to-green-600', permission: ADMIN_PERMISSIONS.USERS_MANAGE },
+  { name: 'Hastaneler', href: '/admin/hospitals', icon: Building2, color: 'from-green-500 to-green-600', permission: ADMIN_PERMISSIONS.USERS_MANAGE },
+  { name: 'İş İlanı Yönetimi', href: '/admin/jobs', icon: FiBriefcase, color: 'from-purple-500 to-purple-600', permission: ADMIN_PERMISSIONS.JOBS_MODERATE },
+  { name: 'Başvurular', href: '/admin/applications', icon: FiCheckCircle, color: 'from-emerald-500 to-emerald-600', permission: ADMIN_PERMISSIONS.APPLICATIONS_MANAGE },
+  { name: 'Fotoğraf Onayları', href: '/admin/photo-approvals', icon: FiCamera, color: 'from-purple-500 to-purple-600', permission: ADMIN_PERMISSIONS.PHOTOS_REVIEW },
+  { name: 'Bildirimler', href: '/admin/notifications', icon: FiBell, color: 'from-amber-500 to-amber-600', permission: ADMIN_PERMISSIONS.NOTIFICATIONS_BROADCAST },
+  { name: 'İletişim Mesajları', href: '/admin/contact-messages', icon: FiMail, color: 'from-teal-500 to-teal-600', permission: ADMIN_PERMISSIONS.CONTACT_MANAGE },
+  { name: 'Kongre Yönetimi', href: '/admin/congresses', icon: FiFileText, color: 'from-indigo-500 to-indigo-600', permission: ADMIN_PERMISSIONS.CONGRESS_MANAGE },
+  { name: 'Sistem Logları', href: '/admin/logs', icon: FiActivity, color: 'from-red-500 to-red-600', permission: ADMIN_PERMISSIONS.LOGS_READ },
+  { name: 'Hesap Güvenliği', href: '/admin/settings', icon: FiSettings, color: 'from-slate-500 to-slate-600' },
 ];
 
 /** Ortak menü listesi render'ı */
@@ -133,6 +140,8 @@ const AdminSidebar = ({ isMobileOpen = false, onMobileClose }) => {
   const location = useLocation();
   const [currentPath, setCurrentPath] = useState(location.pathname);
   const { isMobileDevice } = useDeviceDetection();
+  const user = useAuthStore((state) => state.user);
+  const menuItems = MENU_ITEMS.filter((item) => hasPermission(user, item.permission));
 
   useEffect(() => {
     setCurrentPath(location.pathname);
@@ -194,7 +203,7 @@ const AdminSidebar = ({ isMobileOpen = false, onMobileClose }) => {
         className="flex flex-col h-full w-64 bg-gradient-to-b from-slate-900 via-slate-800 to-slate-900 border-r border-slate-700/50 shadow-2xl flex-shrink-0"
         style={{ minWidth: '256px', maxWidth: '256px' }}
       >
-        <SidebarNav items={MENU_ITEMS} currentPath={currentPath} onItemClick={() => {}} />
+        <SidebarNav items={menuItems} currentPath={currentPath} onItemClick={() => {}} />
       </div>
     </>
   );
@@ -52,8 +52,11 @@ import { ROUTE_CONFIG } from '@config/routes.js';
 import { APP_CONFIG } from '@config/app.js';
 import NavbarNotificationBell from './NavbarNotificationBell';
 import useAuthStore from '../../store/authStore';
+import { hasPermission } from '@/utils/permissions';
 import logoImage from '../../assets/logo.png';
 
+const { ADMIN_PERMISSIONS } = APP_CONFIG;
+
 /**
  * ============================================================================
  * HEADER COMPONENT
@@ -171,16 +174,17 @@ const Header = ({ showMobileMenuButton = false, onMobileMenuClick, isMobileMenuO
    */
   const adminMenuItems = [
     { to: ROUTE_CONFIG.ADMIN.DASHBOARD, text: 'Dashboard', icon: BarChart3 },
-    { to: ROUTE_CONFIG.ADMIN.USERS, text: 'Doktorlar', icon: Stethoscope },
-    { to: ROUTE_CONFIG.ADMIN.HOSPITALS, text: 'Hastaneler', icon: Building2 },
-    { to: ROUTE_CONFIG.ADMIN.JOBS, text: 'İş İlanı Yönetimi', icon: Briefcase },
-    { to: ROUTE_CONFIG.ADMIN.APPLICATIONS, text: 'Başvurular', icon: ClipboardList },
-    { to: ROUTE_CONFIG.ADMIN.PHOTO_APPROVALS, text: 'Fotoğraf Onayları', icon: Camera },
-    { to: ROUTE_CONFIG.ADMIN.NOTIFICATIONS, text: 'Bildirimler', icon: Bell },
-    { to: ROUTE_CONFIG.ADMIN.CONTACT_MESSAGES, text: 'İletişim Mesajları', icon: Mail },
-    { to: ROUTE_CONFIG.ADMIN.CONGRESSES, text: 'Kongre Yönetimi', icon: Calendar },
-    { to: ROUTE_CONFIG.ADMIN.LOGS, text: 'Sistem Logları', icon: Activity },
-  ];
+    { to: ROUTE_CONFIG.ADMIN.USERS, text: 'Doktorlar', icon: Stethoscope, permission: ADMIN_PERMISSIONS.USERS_MANAGE },
+    { to: ROUTE_CONFIG.ADMIN.HOSPITALS, text: 'Hastaneler', icon: Building2, permission: ADMIN_PERMISSIONS.USERS_MANAGE },
+    { to: ROUTE_CONFIG.ADMIN.JOBS, text: 'İş İlanı Yönetimi', icon: Briefcase, permission: ADMIN_PERMISSIONS.JOBS_MODERATE },
+    { to: ROUTE_CONFIG.ADMIN.APPLICATIONS, text: 'Başvurular', icon: ClipboardList, permission: ADMIN_PERMISSIONS.APPLICATIONS_MANAGE },
+    { to: ROUTE_CONFIG.ADMIN.PHOTO_APPROVALS, text: 'Fotoğraf Onayları', icon: Camera, permission: ADMIN_PERMISSIONS.PHOTOS_REVIEW },
+    { to: ROUTE_CONFIG.ADMIN.NOTIFICATIONS, text: 'Bildirimler', icon: Bell, permission: ADMIN_PERMISSIONS.NOTIFICATIONS_BROADCAST },
+    { to: ROUTE_CONFIG.ADMIN.CONTACT_MESSAGES, text: 'İletişim Mesajları', icon: Mail, permission: ADMIN_PERMISSIONS.CONTACT_MANAGE },
+    { to: ROUTE_CONFIG.ADMIN.CONGRESSES, text: 'Kongre Yönetimi', icon: Calendar, permission: ADMIN_PERMISSIONS.CONGRESS_MANAGE },
+    { to: ROUTE_CONFIG.ADMIN.LOGS, text: 'Sistem Logları', icon: Activity, permission: ADMIN_PERMISSIONS.LOGS_READ },
+    { to: ROUTE_CONFIG.ADMIN.SETTINGS, text: 'Hesap Güvenliği', icon: Settings },
+  ].filter((item) => hasPermission(user, item.permission));
 
 
   /**
@@ -0,0 +1,72 @@
+/**
+ * @file ImpersonationBanner.jsx
+ * @description Kullanıcı olarak görüntüleme bandı - Admin bir doktor veya hastane kullanıcısının
+ * gözünden uygulamayı incelerken tüm sayfaların üstünde gösterilir.
+ *
+ * Ana Özellikler:
+ * - Görüntülenen kullanıcının e-postası, mod (salt okuma / yazma izni) ve bitiş saati
+ * - "Görüntülemeyi Bitir" ile admin oturumuna dönüş ve kullanıcı detay sayfasına yönlendirme
+ * - Token süresi dolduğunda otomatik olarak admin oturumuna dönüş
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useCallback, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ScanEye } from 'lucide-react';
+import useAuthStore from '@/store/authStore';
+import { formatDateTime } from '@/utils/dateUtils';
+import { showToast } from '@/utils/toastUtils';
+import { toastMessages } from '@/config/toast';
+
+const ImpersonationBanner = () => {
+  const navigate = useNavigate();
+  const impersonation = useAuthStore((state) => state.impersonation);
+  const user = useAuthStore((state) => state.user);
+  const stopImpersonation = useAuthStore((state) => state.stopImpersonation);
+
+  const handleStop = useCallback(() => {
+    const targetUserId = stopImpersonation();
+    navigate(targetUserId ? `/admin/users/${targetUserId}` : '/admin');
+  }, [stopImpersonation, navigate]);
+
+  // Token süresi dolunca istek atmayı beklemeden admin oturumuna dön
+  useEffect(() => {
+    if (!impersonation?.expiresAt) return undefined;
+
+    const remaining = new Date(impersonation.expiresAt).getTime() - Date.now();
+    const timer = setTimeout(() => {
+      showToast.info(toastMessages.user.impersonateEnded);
+      handleStop();
+    }, Math.max(remaining, 0));
+
+    return () => clearTimeout(timer);
+  }, [impersonation?.expiresAt, handleStop]);
+
+  if (!impersonation) return null;
+
+  return (
+    <div className="relative z-[60] w-full bg-amber-500 text-amber-950 shadow-md">
+      <div className="max-w-7xl mx-auto flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 px-4 py-2 text-sm">
+        <p className="flex items-center gap-2 font-medium">
+          <ScanEye className="w-4 h-4 flex-shrink-0" />
+          <span className="break-all">
+            {user?.email} olarak görüntülüyorsunuz · {impersonation.readOnly ? 'Salt okuma' : 'Yazma izni açık'}
+            {impersonation.expiresAt && ` · Bitiş: ${formatDateTime(impersonation.expiresAt)}`}
+          </span>
+        </p>
+        <button
+          type="button"
+          onClick={handleStop}
+          className="self-start sm:self-auto rounded-lg bg-amber-950 px-3 py-1 text-xs font-semibold text-amber-50 hover:bg-amber-900 transition"
+        >
+          Görüntülemeyi Bitir
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ImpersonationBanner;
@@ -12,6 +12,7 @@
  * - Header yönetimi: Tüm sayfalarda header gösterimi
  * - Footer yönetimi: Sadece belirli sayfalarda footer gösterimi
  * - Sidebar yönetimi: Admin sayfalarında sidebar gösterimi
+ * - Görüntüleme bandı: Admin kullanıcı olarak görüntülerken tüm layout'larda en üstte gösterilir
  * - Gradient arka planlar: Sayfa tipine göre farklı gradient'ler
  * - Responsive: Mobil ve desktop uyumlu
  * 
@@ -43,6 +44,7 @@ import { Outlet, useLocation } from 'react-router-dom';
 import Header from './Header';
 import Footer from './Footer';
 import AdminSidebar from './AdminSidebar';
+import ImpersonationBanner from './ImpersonationBanner';
 import { useAuthStore } from '@/store/authStore';
 
 /**
@@ -79,6 +81,8 @@ const MainLayout = () => {
   if (isDoctorPage) {
     return (
       <div className="flex flex-col w-full min-h-screen bg-white">
+        <ImpersonationBanner />
+
         {/* Üst Navigasyon */}
         <Header />
 
@@ -96,6 +100,8 @@ const MainLayout = () => {
   if (isHospitalPage) {
     return (
       <div className="flex flex-col w-full min-h-screen bg-white">
+        <ImpersonationBanner />
+
         {/* Üst Navigasyon */}
         <Header />
 
@@ -112,6 +118,8 @@ const MainLayout = () => {
   if (isHomePage) {
     return (
       <div className="flex flex-col w-full min-h-screen bg-white">
+        <ImpersonationBanner />
+
         {/* Üst Navigasyon */}
         <Header />
 
@@ -130,6 +138,8 @@ const MainLayout = () => {
   if (isAdminPage && isAdmin) {
     return (
       <div className="flex flex-col w-full min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100">
+        <ImpersonationBanner />
+
         {/* Üst Navigasyon - Mobilde hamburger butonu göster */}
         <Header 
           showMobileMenuButton={true}
@@ -171,6 +181,8 @@ const MainLayout = () => {
   if (isAuthPage) {
     return (
       <div className="flex flex-col w-full min-h-screen bg-white">
+        <ImpersonationBanner />
+
         {/* Üst Navigasyon (reset-password hariç) */}
         {showAuthHeader && <Header />}
 
@@ -194,6 +206,8 @@ const MainLayout = () => {
         ? 'bg-white' 
         : 'bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100'
     }`}>
+      <ImpersonationBanner />
+
       {/* Üst Navigasyon */}
       {!shouldHideHeader && <Header />}
 
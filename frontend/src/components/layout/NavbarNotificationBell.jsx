@@ -1,11 +1,12 @@
 /**
  * Navbar Notification Bell
- * 🔔 simgesi + unread count badge
+ * 🔔 simgesi + unread count badge (bildirimler + okunmamış başvuru mesajları)
  * Global layout component - Header'da kullanılır
  */
 
 import React, { useState, useRef, useEffect } from 'react';
 import { useUnreadNotificationCount, useNotifications, useMarkAsRead } from '@/features/notifications/api/useNotifications';
+import { useUnreadMessageSummary } from '@/features/messages/api/useApplicationMessages';
 import { Bell, Settings, Users, MessageSquare, FileText, BarChart3 } from 'lucide-react';
 import { Link, useNavigate } from 'react-router-dom';
 import { ROUTE_CONFIG } from '@config/routes.js';
@@ -19,7 +20,11 @@ const NavbarNotificationBell = () => {
   const { data, isLoading, error } = useUnreadNotificationCount();
   const navigate = useNavigate();
   const markAsReadMutation = useMarkAsRead();
-  const unreadCount = data?.data?.data?.count ?? 0;
+  const unreadNotificationCount = data?.data?.data?.count ?? 0;
+  const { data: messageSummary } = useUnreadMessageSummary();
+  const unreadMessageCount = messageSummary?.count ?? 0;
+  const unreadMessageThreads = messageSummary?.threads || [];
+  const unreadCount = unreadNotificationCount + unreadMessageCount;
   const [isOpen, setIsOpen] = useState(false);
   const dropdownRef = useRef(null);
 
@@ -166,12 +171,49 @@ const NavbarNotificationBell = () => {
           <div className="px-4 py-3 border-b border-gray-100">
             <div className="flex flex-col items-center text-center gap-1">
               <h3 className="font-semibold text-gray-900">Bildirimler</h3>
-              {unreadCount > 0 && (
-                <p className="text-sm text-gray-500">{unreadCount} yeni bildirim</p>
+              {unreadNotificationCount > 0 && (
+                <p className="text-sm text-gray-500">{unreadNotificationCount} yeni bildirim</p>
+              )}
+              {unreadMessageCount > 0 && (
+                <p className="text-sm text-gray-500">{unreadMessageCount} okunmamış mesaj</p>
               )}
             </div>
           </div>
           
+          {/* Okunmamış başvuru mesajları */}
+          {unreadMessageThreads.length > 0 && (
+            <div className="border-b border-gray-100">
+              {unreadMessageThreads.map((thread) => (
+                <button
+                  key={thread.application_id}
+                  type="button"
+                  onClick={() => {
+                    setIsOpen(false);
+                    const targetRoute = resolveApplicationRoute(thread.application_id);
+                    if (targetRoute) {
+                      navigate(targetRoute);
+                    }
+                  }}
+                  className="w-full text-left px-4 py-3 hover:bg-gray-50 transition-colors bg-blue-50/50"
+                >
+                  <div className="flex items-start gap-3">
+                    <MessageSquare className="w-5 h-5 text-blue-600 flex-shrink-0 mt-0.5" />
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-start justify-between gap-2">
+                        <h4 className="text-sm font-medium text-gray-900 truncate">{thread.counterpart_name}</h4>
+                        <span className="text-[11px] font-semibold text-white bg-blue-600 rounded-full px-1.5 min-w-[20px] text-center">
+                          {thread.unread_count}
+                        </span>
+                      </div>
+                      <p className="text-xs text-gray-600 mt-1 truncate">{thread.job_title}</p>
+                      <p className="text-xs text-gray-400 mt-1">{formatRelativeTime(thread.last_message_at)}</p>
+                    </div>
+                  </div>
+                </button>
+              ))}
+            </div>
+          )}
+
           {isDropdownLoading ? (
             <div className="px-4 py-3">
               <p className="text-sm text-gray-500">Yükleniyor...</p>
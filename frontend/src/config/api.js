@@ -84,16 +84,29 @@ export const ENDPOINTS = {
   // ==================== AUTH ENDPOINTS - Backend authRoutes.js ile tam uyumlu ====================
   AUTH: {
     LOGIN: '/auth/login', // POST /auth/login - authController.loginUnified
+    LOGIN_TWO_FACTOR: '/auth/login/2fa', // POST /auth/login/2fa - authController.loginTwoFactor
+    LOGIN_TWO_FACTOR_SETUP: '/auth/login/2fa/setup', // POST /auth/login/2fa/setup - authController.loginTwoFactorSetup
     REGISTER_DOCTOR: '/auth/registerDoctor', // POST /auth/registerDoctor - authController.registerDoctor
     REGISTER_HOSPITAL: '/auth/registerHospital', // POST /auth/registerHospital - authController.registerHospital
     REFRESH: '/auth/refresh', // POST /auth/refresh - authController.refreshToken
     LOGOUT: '/auth/logout', // POST /auth/logout - authController.logout
     LOGOUT_ALL: '/auth/logout-all', // POST /auth/logout-all - authController.logoutAll
+    SESSIONS: '/auth/sessions', // GET /auth/sessions - authController.getSessions
+    SESSION_DETAIL: '/auth/sessions/:id', // DELETE /auth/sessions/:id - authController.revokeSession
+    TWO_FACTOR: '/auth/2fa', // GET /auth/2fa - authController.getTwoFactorStatus (admin, hospital)
+    TWO_FACTOR_SETUP: '/auth/2fa/setup', // POST /auth/2fa/setup - authController.setupTwoFactor
+    TWO_FACTOR_ENABLE: '/auth/2fa/enable', // POST /auth/2fa/enable - authController.enableTwoFactor
+    TWO_FACTOR_DISABLE: '/auth/2fa/disable', // POST /auth/2fa/disable - authController.disableTwoFactor
+    TWO_FACTOR_RECOVERY_CODES: '/auth/2fa/recovery-codes', // POST /auth/2fa/recovery-codes - authController.regenerateRecoveryCodes
     CHANGE_PASSWORD: '/auth/change-password', // POST /auth/change-password - authController.changePassword
     VERIFY_TOKEN: '/auth/verify-token', // POST /auth/verify-token - authController.verifyToken
     ME: '/auth/me', // GET /auth/me - authController.getMe
     FORGOT_PASSWORD: '/auth/forgot-password', // POST /auth/forgot-password - authController.forgotPassword
     RESET_PASSWORD: '/auth/reset-password', // POST /auth/reset-password - authController.resetPassword
+    VERIFY_EMAIL: '/auth/verify-email', // POST /auth/verify-email - authController.verifyEmail
+    RESEND_VERIFICATION: '/auth/resend-verification', // POST /auth/resend-verification - authController.resendVerification
+    HOSPITAL_INVITATION: '/auth/hospital-invitations/:token', // GET /auth/hospital-invitations/:token - authController.getHospitalInvitation
+    HOSPITAL_INVITATION_ACCEPT: '/auth/hospital-invitations/accept', // POST /auth/hospital-invitations/accept - authController.acceptHospitalInvitation
   },
 
   // ==================== DOCTOR ENDPOINTS (Backend: /api/doctor/*) ====================
@@ -108,7 +121,14 @@ export const ENDPOINTS = {
     PROFILE_COMPLETE: '/doctor/profile/complete', // GET - Tam profil bilgileri (alias)
     PROFILE_COMPLETION: '/doctor/profile/completion', // GET - Profil tamamlanma oranı
     PROFILE_PERSONAL: '/doctor/profile/personal', // PATCH - Kişisel bilgi güncelleme
+    CV_PDF: '/doctor/profile/cv.pdf', // GET - CV PDF (?template=classic|compact&lang=tr|en)
     ACCOUNT_DEACTIVATE: '/doctor/account/deactivate', // POST - Hesabı pasife al
+    DATA_EXPORT: '/doctor/account/data-export', // GET/POST - Kişisel veri dışa aktarma talepleri
+    DATA_EXPORT_DOWNLOAD: '/doctor/account/data-export/:id/download', // GET - Hazır ZIP'i indir
+    PRIVACY: '/doctor/privacy', // GET/PUT - Profil görünürlüğü ve iletişim bilgisi gizleme
+    PRIVACY_HOSPITALS: '/doctor/privacy/hospitals', // GET - Engellenecek hastane arama (?search=)
+    PRIVACY_BLOCKED_HOSPITALS: '/doctor/privacy/blocked-hospitals', // POST - Hastaneyi engelle
+    PRIVACY_BLOCKED_HOSPITAL: '/doctor/privacy/blocked-hospitals/:hospitalId', // DELETE - Engeli kaldır
     
     // Fotoğraf yönetimi
     PHOTO: '/doctor/profile/photo', // POST - Profil fotoğrafı değişiklik talebi oluştur
@@ -135,11 +155,14 @@ export const ENDPOINTS = {
     // İş ilanları ve başvurular
     JOBS: '/doctor/jobs', // GET - Doktor için iş ilanları
     JOB_DETAIL: '/doctor/jobs/:id', // GET - İş ilanı detayı
+    FAVORITE_JOBS: '/doctor/jobs/favorites', // GET - Kaydedilen ilanlar
+    JOB_FAVORITE: '/doctor/jobs/:id/favorite', // POST/DELETE - İlanı kaydet / kaydedilenlerden çıkar
     APPLICATIONS: '/doctor/applications', // POST - Başvuru oluşturma
     APPLICATIONS_ME: '/doctor/applications/me', // GET - Doktorun başvuruları
     APPLICATION_DETAIL: '/doctor/applications/:id', // GET/PATCH/DELETE - Başvuru detayı/güncelleme/silme
     APPLICATION_WITHDRAW: '/doctor/applications/:id/withdraw', // POST - Başvuru geri çekme
     APPLICATION_DELETE: '/doctor/applications/:id', // DELETE - Başvuru silme
+    APPLICATION_MESSAGES: '/doctor/applications/:id/messages', // GET/POST - Hastaneyle yazışma
     
     // Dashboard ve istatistikler
     DASHBOARD: '/doctor/dashboard', // GET - Doktor dashboard verileri
@@ -166,12 +189,35 @@ export const ENDPOINTS = {
     JOBS: '/hospital/jobs', // GET/POST - İş ilanı listesi/oluşturma
     JOB_DETAIL: '/hospital/jobs/:id', // GET/PATCH/DELETE - İş ilanı detayı/güncelleme/silme
     JOB_RESUBMIT: '/hospital/jobs/:id/resubmit', // POST - İş ilanı tekrar gönder (resubmit)
+    JOB_RENEW: '/hospital/jobs/:id/renew', // POST - Yayındaki ilanın süresini uzat
+    JOB_LIFETIME_OPTIONS: '/hospital/jobs/lifetime-options', // GET - Yayın süresi alt/üst sınırı ve varsayılan
     JOB_APPLICATIONS: '/hospital/jobs/:id/applications', // GET - İş ilanı başvuruları
+    JOB_APPLICATIONS_EXPORT: '/hospital/jobs/:id/applications/export', // POST - Başvuru paketi (ZIP) talebi ({ status })
+    JOB_APPLICATION_EXPORTS: '/hospital/jobs/:id/applications/exports', // GET - İlanın başvuru paketi talepleri
+    APPLICATION_EXPORT_DOWNLOAD: '/hospital/application-exports/:id/download', // GET - Hazır başvuru paketini indir
     
     // Başvuru yönetimi
     APPLICATIONS: '/hospital/applications', // GET - Tüm başvurular
     APPLICATION_DETAIL: '/hospital/applications/:id', // GET/PATCH - Başvuru detayı/durum güncelleme
     APPLICATION_STATUS: '/hospital/applications/:id/status', // PATCH - Başvuru durumu güncelleme
+    APPLICATION_PIPELINE: '/hospital/applications/pipeline', // GET - Kanban panosu (aşamalar + başvurular)
+    APPLICATION_BULK_MOVE: '/hospital/applications/bulk-move', // POST - Başvuruları toplu aşama değişikliği
+    APPLICATION_TAGS: '/hospital/applications/tags', // GET - Hastanenin kullandığı etiketler
+    APPLICATION_HISTORY: '/hospital/applications/:id/history', // GET - Başvuru durum geçmişi
+    APPLICATION_NOTES: '/hospital/applications/:id/notes', // GET/POST - Dahili notlar
+    APPLICATION_NOTE_DETAIL: '/hospital/applications/:id/notes/:noteId', // DELETE - Dahili not silme
+    APPLICATION_EVALUATION: '/hospital/applications/:id/evaluation', // PATCH - Yıldız puanı ve etiketler
+    PIPELINE_STAGES: '/hospital/pipeline-stages', // GET/POST - Başvuru süreci aşamaları
+    PIPELINE_STAGE_DETAIL: '/hospital/pipeline-stages/:id', // PATCH/DELETE - Aşama güncelleme/silme
+    PIPELINE_STAGES_ORDER: '/hospital/pipeline-stages/order', // PUT - Aşama sıralaması
+    APPLICATION_INTERVIEWS: '/hospital/applications/:id/interviews', // GET/POST - Başvurunun mülakatları / mülakat önerisi
+    INTERVIEWS_UPCOMING: '/hospital/interviews/upcoming', // GET - Yaklaşan mülakatlar (dashboard)
+    INTERVIEW_CANCEL: '/hospital/interviews/:id/cancel', // POST - Mülakat iptali
+    INTERVIEW_CALENDAR: '/hospital/interviews/:id/calendar', // GET - Mülakat .ics dosyası
+    APPLICATION_MESSAGES: '/hospital/applications/:id/messages', // GET/POST - Doktorla yazışma
+    PDF_SHARE_LINKS: '/pdf/share-links', // GET/POST - İlan / başvuru PDF paylaşım bağlantıları (?resource_type=&resource_id=)
+    PDF_SHARE_LINK: '/pdf/share-links/:id', // DELETE - Paylaşım bağlantısını iptal et
+    PDF_SHARE_LINK_ACCESSES: '/pdf/share-links/:id/accesses', // GET - Bağlantının erişim kayıtları
     
     // Dashboard ve istatistikler
     DASHBOARD: '/hospital/dashboard', // GET - Hastane dashboard verileri
@@ -182,6 +228,12 @@ export const ENDPOINTS = {
     DOCTOR_DETAIL: '/hospital/doctors/:doctorId', // GET - Doktor profil detayı
     DOCTOR_PROFILE_DETAIL: '/hospital/doctor-profiles/:id', // GET - Doktor profil detayı (alias)
     DOCTOR_SEARCH: '/hospital/doctor-search', // GET - Doktor arama
+
+    // Ekip yönetimi (ekip üyeleri ve davetler)
+    TEAM: '/hospital/team', // GET - Ekip üyeleri ve bekleyen davetler
+    TEAM_INVITATIONS: '/hospital/team/invitations', // POST - Üye davet et (owner)
+    TEAM_INVITATION_DETAIL: '/hospital/team/invitations/:id', // DELETE - Daveti iptal et (owner)
+    TEAM_MEMBER_DETAIL: '/hospital/team/members/:id', // PATCH/DELETE - Üye rolü güncelleme/üyeyi çıkarma (owner)
     ACCOUNT_DEACTIVATE: '/hospital/account/deactivate', // POST - Hastane hesabını pasif et
   },
 
@@ -197,6 +249,10 @@ export const ENDPOINTS = {
     USER_DELETE: '/admin/users/:id', // DELETE - Kullanıcı silme
     USER_APPROVAL: '/admin/users/:id/approval', // PATCH - Kullanıcı onay durumu
     USER_STATUS: '/admin/users/:id/status', // PATCH - Kullanıcı aktif/pasif durumu
+    USER_UNLOCK: '/admin/users/:id/unlock', // PATCH - Başarısız girişler nedeniyle kilitlenen hesabı aç
+    USER_IMPERSONATE: '/admin/users/:id/impersonate', // POST - Kullanıcı olarak görüntüle (users.impersonate)
+    ADMINS: '/admin/admins', // GET - Admin kullanıcıları ve alt roller (admins.manage)
+    ADMIN_ROLE: '/admin/admins/:id/role', // PATCH - Admin alt rolünü güncelle (admins.manage)
     
     // İş ilanı yönetimi
     JOBS: '/admin/jobs', // GET/PATCH/DELETE - İş ilanı listesi/güncelleme/silme
@@ -214,6 +270,7 @@ export const ENDPOINTS = {
     APPLICATION_DETAIL: '/admin/applications/:id', // GET - Başvuru detayı
     APPLICATION_STATUS: '/admin/applications/:id/status', // PATCH - Başvuru durumu
     APPLICATION_DELETE: '/admin/applications/:id', // DELETE - Başvuru silme
+    APPLICATION_MESSAGES: '/admin/applications/:id/messages', // GET - Başvuru yazışması (moderasyon)
     
     // Dashboard ve istatistikler
     DASHBOARD: '/admin/dashboard', // GET - Admin dashboard verileri
@@ -267,9 +324,11 @@ export const ENDPOINTS = {
     MARK_ALL_READ: '/notifications/mark-all-read', // PATCH - Tüm bildirimleri okundu işaretle
     DELETE: '/notifications/:id', // DELETE - Bildirim sil
     SEND: '/notifications/send', // POST - Bildirim gönder (admin only)
-    SETTINGS: '/notifications/settings', // GET/PATCH - Bildirim ayarları
+    SETTINGS: '/notifications/settings', // GET/PUT - Bildirim tercihleri (kategori × kanal) ve sessiz saatler (doctor, hospital)
     UNREAD_COUNT: '/notifications/unread-count', // GET - Okunmamış bildirim sayısı
     STREAM: '/notifications/stream', // GET - SSE real-time bildirim stream
+    MESSAGES_UNREAD: '/notifications/messages/unread', // GET - Okunmamış başvuru mesajları özeti
+    EMAIL_UNSUBSCRIBE: '/notifications/email/unsubscribe', // POST - Tek tıkla e-posta aboneliğinden çık (public, token ile)
   },
 
   // ==================== CONTACT ENDPOINTS (Backend: /api/contact/*) ====================
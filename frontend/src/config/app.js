@@ -126,6 +126,24 @@ export const APP_CONFIG = {
     HOSPITAL: 'hospital',
     GUEST: 'guest'
   },
+
+  /**
+   * Admin izinleri (Backend appConstants.ADMIN_PERMISSIONS ile aynı)
+   * Admin alt rolünün izinleri login ve /auth/me yanıtında user.permissions olarak gelir
+   */
+  ADMIN_PERMISSIONS: {
+    USERS_MANAGE: 'users.manage',
+    USERS_IMPERSONATE: 'users.impersonate',
+    JOBS_MODERATE: 'jobs.moderate',
+    APPLICATIONS_MANAGE: 'applications.manage',
+    PHOTOS_REVIEW: 'photos.review',
+    CONGRESS_MANAGE: 'congress.manage',
+    NOTIFICATIONS_BROADCAST: 'notifications.broadcast',
+    CONTACT_MANAGE: 'contact.manage',
+    LOGS_READ: 'logs.read',
+    SETTINGS_MANAGE: 'settings.manage',
+    ADMINS_MANAGE: 'admins.manage'
+  },
   
   // ==================== İŞ İLANI DURUMLARI ====================
   /**
@@ -49,6 +49,9 @@ export const ROUTE_CONFIG = {
     PENDING_APPROVAL: '/pending-approval',
     FORGOT_PASSWORD: '/forgot-password',
     RESET_PASSWORD: '/reset-password',
+    VERIFY_EMAIL: '/verify-email',
+    HOSPITAL_INVITATION: '/hospital-invitation',
+    EMAIL_UNSUBSCRIBE: '/email-unsubscribe',
     PRIVACY_POLICY: '/privacy-policy',
     TERMS_OF_SERVICE: '/terms-of-service',
     HELP_CENTER: '/help-center',
@@ -75,6 +78,7 @@ export const ROUTE_CONFIG = {
     CONGRESSES: '/admin/congresses',
     CONGRESS_DETAIL: '/admin/congresses/:id',
     CONGRESS_CREATE: '/admin/congresses/new',
+    SETTINGS: '/admin/settings',
   },
   
   // ============================================================================
@@ -43,6 +43,8 @@ export const toastMessages = {
     statusUpdateError: 'İş ilanı durumu güncellenemedi',
     resubmitSuccess: 'İş ilanı başarıyla tekrar gönderildi',
     resubmitError: 'İş ilanı tekrar gönderilemedi',
+    renewSuccess: 'İlanın yayın süresi uzatıldı',
+    renewError: 'İlanın yayın süresi uzatılamadı',
     approveSuccess: 'İş ilanı onaylandı',
     approveError: 'İş ilanı onaylanırken bir hata oluştu',
     rejectSuccess: 'İş ilanı reddedildi',
@@ -58,6 +60,9 @@ export const toastMessages = {
     activateSuccess: 'İlan aktif edildi',
     deactivateSuccess: 'İlan pasif hale getirildi',
     statusUpdateSuccessGeneric: 'Durum başarıyla güncellendi',
+    favoriteSuccess: 'İlan kaydedilenlere eklendi',
+    unfavoriteSuccess: 'İlan kaydedilenlerden çıkarıldı',
+    favoriteError: 'Kaydedilen ilanlar güncellenemedi',
   },
 
   // BAŞVURU MESAJLARI
@@ -74,6 +79,28 @@ export const toastMessages = {
     withdrawError: 'Başvuru geri çekilemedi',
     deleteSuccess: 'Başvuru kalıcı olarak silindi',
     deleteError: 'Başvuru silinemedi',
+    bulkMoveError: 'Başvurular taşınamadı',
+    internalNoteAddSuccess: 'Not eklendi',
+    internalNoteAddError: 'Not eklenemedi',
+    internalNoteDeleteSuccess: 'Not silindi',
+    internalNoteDeleteError: 'Not silinemedi',
+    evaluationError: 'Değerlendirme kaydedilemedi',
+    stageSaveSuccess: 'Aşamalar güncellendi',
+    stageSaveError: 'Aşama kaydedilemedi',
+    interviewProposeSuccess: 'Mülakat daveti doktora gönderildi',
+    interviewProposeError: 'Mülakat daveti gönderilemedi',
+    interviewCancelSuccess: 'Mülakat iptal edildi',
+    interviewCancelError: 'Mülakat iptal edilemedi',
+    interviewCalendarError: 'Takvim dosyası indirilemedi',
+    messageSendError: 'Mesaj gönderilemedi',
+    shareLinkCreateSuccess: 'Paylaşım bağlantısı oluşturuldu ve kopyalandı',
+    shareLinkCreateError: 'Paylaşım bağlantısı oluşturulamadı',
+    shareLinkRevokeSuccess: 'Paylaşım bağlantısı iptal edildi',
+    shareLinkRevokeError: 'Paylaşım bağlantısı iptal edilemedi',
+    shareLinkCopied: 'Bağlantı kopyalandı',
+    exportRequested: 'Başvuru paketi hazırlanıyor. Hazır olduğunda bildirim alacaksınız.',
+    exportError: 'Başvuru paketi talebi oluşturulamadı',
+    exportDownloadError: 'Başvuru paketi indirilemedi',
   },
 
   // EĞİTİM MESAJLARI
@@ -136,6 +163,18 @@ export const toastMessages = {
     deleteError: 'İletişim bilgisi silinemedi',
   },
 
+  // EKİP MESAJLARI (hastane ekip üyeleri)
+  team: {
+    inviteSuccess: 'Davet e-postası gönderildi',
+    inviteError: 'Davet gönderilemedi',
+    revokeInvitationSuccess: 'Davet iptal edildi',
+    revokeInvitationError: 'Davet iptal edilemedi',
+    roleUpdateSuccess: 'Üye rolü güncellendi',
+    roleUpdateError: 'Üye rolü güncellenemedi',
+    removeSuccess: 'Üye ekipten çıkarıldı',
+    removeError: 'Üye ekipten çıkarılamadı',
+  },
+
   // KULLANICI MESAJLARI
   user: {
     approveSuccess: 'Kullanıcı onaylandı',
@@ -144,6 +183,12 @@ export const toastMessages = {
     activateSuccess: 'Kullanıcı aktifleştirildi',
     deactivateSuccess: 'Kullanıcı pasifleştirildi',
     statusUpdateError: 'Durum güncellenirken hata oluştu',
+    unlockSuccess: 'Hesap kilidi kaldırıldı',
+    unlockError: 'Hesap kilidi kaldırılamadı',
+    adminRoleUpdateSuccess: 'Admin rolü güncellendi',
+    adminRoleUpdateError: 'Admin rolü güncellenemedi',
+    impersonateError: 'Kullanıcı olarak görüntüleme başlatılamadı',
+    impersonateEnded: 'Kullanıcı olarak görüntüleme sona erdi',
   },
 
   // FOTOĞRAF MESAJLARI
@@ -160,6 +205,15 @@ export const toastMessages = {
   account: {
     deactivateSuccess: 'Hesabınız silindi',
     deactivateError: 'Hesap kapatma işlemi sırasında bir hata oluştu',
+    dataExportRequested: 'Verileriniz hazırlanıyor. Hazır olduğunda bildirim alacaksınız.',
+    dataExportError: 'Veri dışa aktarma talebi oluşturulamadı',
+    dataExportDownloadError: 'Dosya indirilemedi',
+    cvDownloadError: 'CV PDF oluşturulamadı',
+    privacyUpdateSuccess: 'Gizlilik ayarlarınız güncellendi',
+    privacyUpdateError: 'Gizlilik ayarları güncellenemedi',
+    hospitalBlocked: 'Hastane engellendi',
+    hospitalUnblocked: 'Hastane engeli kaldırıldı',
+    hospitalBlockError: 'Hastane engelleme işlemi başarısız',
   },
 
   // GENEL MESAJLAR
@@ -232,6 +286,8 @@ export const toastMessages = {
     markAllReadErrorGeneric: 'Tüm bildirimler okundu olarak işaretlenemedi',
     deleteSuccess: 'Bildirim silindi',
     deleteError: 'Bildirim silinirken hata oluştu',
+    settingsSuccess: 'Bildirim tercihleriniz kaydedildi',
+    settingsError: 'Bildirim tercihleri kaydedilemedi',
   },
 
   // FOTOĞRAF ONAY MESAJLARI
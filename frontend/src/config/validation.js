@@ -538,6 +538,12 @@ export const hospitalProfileUpdateSchema = z.object({
  * - employment_type: İstihdam türü ('Tam Zamanlı', 'Yarı Zamanlı', 'Nöbet Usulü')
  * - min_experience_years: Minimum deneyim yılı (0-50 arası, opsiyonel)
  * - description: İş tanımı (min 10, max 5000 karakter)
+ * - duration_days: Yayın süresi (gün, opsiyonel - admin sınırları backend'de kontrol edilir)
+ * - salary_min / salary_max: Aylık ücret aralığı (opsiyonel, max >= min)
+ * - salary_currency: Para birimi ('TRY', 'USD', 'EUR')
+ * - monthly_shift_count: Aylık nöbet sayısı (0-31, opsiyonel)
+ * - working_hours: Çalışma saatleri (max 255 karakter, opsiyonel)
+ * - provides_housing / provides_transport: Lojman ve servis yan hakları
  * - status_id: İlan durumu (1=Aktif, 2=Pasif, sadece güncellemede kullanılır)
  */
 export const jobSchema = z.object({
@@ -550,12 +556,23 @@ export const jobSchema = z.object({
   }),
   min_experience_years: z.number().int().min(0, 'Minimum deneyim yılı 0\'dan küçük olamaz').max(50, 'Minimum deneyim yılı 50\'den büyük olamaz').nullable().optional(),
   description: z.string().min(10, 'İş tanımı en az 10 karakter olmalıdır').max(5000, 'İş tanımı en fazla 5000 karakter olabilir'),
+  duration_days: z.number().int().min(1, 'Yayın süresi en az 1 gün olmalıdır').max(365, 'Yayın süresi en fazla 365 gün olabilir').nullable().optional(),
+  salary_min: z.number().min(0, 'Ücret 0\'dan küçük olamaz').nullable().optional(),
+  salary_max: z.number().min(0, 'Ücret 0\'dan küçük olamaz').nullable().optional(),
+  salary_currency: z.enum(['TRY', 'USD', 'EUR']).nullable().optional(),
+  monthly_shift_count: z.number().int().min(0, 'Nöbet sayısı 0\'dan küçük olamaz').max(31, 'Nöbet sayısı 31\'den büyük olamaz').nullable().optional(),
+  working_hours: z.string().max(255, 'Çalışma saatleri en fazla 255 karakter olabilir').nullable().optional(),
+  provides_housing: z.boolean().optional(),
+  provides_transport: z.boolean().optional(),
   // status_id sadece güncelleme için geçerli (oluşturmada backend otomatik 1 yapar)
   // 1=Aktif, 2=Pasif
   status_id: z.number().int().positive()
     .refine((val) => [1, 2].includes(val), 'Sadece Aktif (1) veya Pasif (2) seçilebilir')
     .optional()
-});
+}).refine(
+  (data) => data.salary_min == null || data.salary_max == null || data.salary_max >= data.salary_min,
+  { message: 'Maksimum ücret minimum ücretten küçük olamaz', path: ['salary_max'] }
+);
 
 /**
  * Application Status Schema - Backend adminSchemas.js applicationStatusUpdateSchema ile tam uyumlu
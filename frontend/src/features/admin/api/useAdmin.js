@@ -30,6 +30,7 @@ export const QUERY_KEYS = {
   USERS: ['admin', 'users'],
   USER_DETAIL: ['admin', 'user'],
   USER_CREATE: ['admin', 'user-create'],
+  ADMINS: ['admin', 'admins'],
   
   // İş ilanı yönetimi
   JOBS: ['admin', 'jobs'],
@@ -74,16 +75,17 @@ export const QUERY_KEYS = {
 /**
  * Kullanıcı listesini getirir - Backend: getUsers
  * @param {Object} filters - Filtreleme parametreleri
+ * @param {Object} [options] - { enabled } (örn. users.manage izni yoksa kapatılır)
  * @returns {Object} React Query result
  */
-export function useUsers(filters = {}) {
+export function useUsers(filters = {}, { enabled = true } = {}) {
   return useQuery({
     queryKey: [QUERY_KEYS.USERS, JSON.stringify(filters)],
     queryFn: () => {
       const queryString = buildQueryString(filters);
       return apiRequest.get(`${ENDPOINTS.ADMIN.USERS}${queryString}`);
     },
-    ...adminQueryConfig({ keepPreviousData: true }), // REALTIME: Admin kullanıcıları hemen görmeli
+    ...adminQueryConfig({ keepPreviousData: true, enabled }), // REALTIME: Admin kullanıcıları hemen görmeli
   });
 }
 
@@ -204,6 +206,89 @@ export function useUpdateUserStatus() {
   });
 }
 
+/**
+ * Kilitli hesabın kilidini kaldırır - Backend: unlockUser
+ * Başarısız giriş sayacı ve kilit süresi sıfırlanır
+ * @returns {Object} React Query mutation
+ */
+export function useUnlockUser() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ userId }) => 
+      apiRequest.patch(buildEndpoint(ENDPOINTS.ADMIN.USER_UNLOCK, { id: userId })),
+    onSuccess: (data, variables) => {
+      const { userId } = variables;
+      
+      // Detay sayfasındaki kullanıcı verisini manuel güncelle
+      queryClient.setQueryData([QUERY_KEYS.USER_DETAIL, userId], (oldData) => {
+        if (oldData?.data?.user) {
+          return {
+            ...oldData,
+            data: {
+              ...oldData.data,
+              user: {
+                ...oldData.data.user,
+                failed_login_attempts: 0,
+                lock_count: 0,
+                locked_until: null
+              }
+            }
+          };
+        }
+        return oldData;
+      });
+    },
+  });
+}
+
+
+/**
+ * Kullanıcı olarak görüntülemeyi başlatır - Backend: impersonateUser
+ * Yanıttaki kısa ömürlü token authStore.startImpersonation ile aktif edilir
+ * @returns {Object} React Query mutation ({ accessToken, expires_at, read_only, user })
+ */
+export function useImpersonateUser() {
+  return useMutation({
+    mutationFn: async ({ userId, reason, allowWrite = false }) => {
+      const response = await apiRequest.post(
+        buildEndpoint(ENDPOINTS.ADMIN.USER_IMPERSONATE, { id: userId }),
+        { reason, allow_write: allowWrite }
+      );
+      return response.data?.data;
+    },
+  });
+}
+
+/**
+ * Admin kullanıcılarını ve tanımlı alt rolleri getirir - Backend: getAdmins
+ * @param {Object} [options] - { enabled }
+ * @returns {Object} React Query result ({ admins, roles, default_role })
+ */
+export function useAdmins({ enabled = true } = {}) {
+  return useQuery({
+    queryKey: QUERY_KEYS.ADMINS,
+    queryFn: async () => {
+      const response = await apiRequest.get(ENDPOINTS.ADMIN.ADMINS);
+      return response.data?.data;
+    },
+    ...adminQueryConfig({ enabled }),
+  });
+}
+
+/**
+ * Admin kullanıcının alt rolünü günceller - Backend: updateAdminRole
+ * @returns {Object} React Query mutation
+ */
+export function useUpdateAdminRole() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ userId, adminRole }) =>
+      apiRequest.patch(buildEndpoint(ENDPOINTS.ADMIN.ADMIN_ROLE, { id: userId }), { admin_role: adminRole }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: QUERY_KEYS.ADMINS });
+    },
+  });
+}
 
 // ============================================================================
 // İŞ İLANI YÖNETİMİ - Backend adminService.js ile uyumlu
@@ -212,9 +297,10 @@ export function useUpdateUserStatus() {
 /**
  * Tüm iş ilanlarını getirir - Backend: getAllJobs
  * @param {Object} filters - Filtreleme parametreleri
+ * @param {Object} [options] - { enabled } (örn. jobs.moderate izni yoksa kapatılır)
  * @returns {Object} React Query result
  */
-export function useAdminJobs(filters = {}) {
+export function useAdminJobs(filters = {}, { enabled = true } = {}) {
   return useQuery({
     queryKey: [QUERY_KEYS.JOBS, filters],
     queryFn: () => {
@@ -226,6 +312,7 @@ export function useAdminJobs(filters = {}) {
       cacheTime: 0,
       refetchOnMount: 'always',
       refetchOnWindowFocus: true,
+      enabled,
     }), // REALTIME: Admin iş ilanlarını her açılışta yenile
   });
 }
@@ -649,9 +736,10 @@ export function useDashboard(filters = {}) {
 /**
  * Fotoğraf onay taleplerini getirir - Backend: getPhotoRequests
  * @param {Object} filters - Filtreleme parametreleri
+ * @param {Object} [options] - { enabled } (örn. photos.review izni yoksa kapatılır)
  * @returns {Object} React Query result
  */
-export function usePhotoRequests(filters = {}) {
+export function usePhotoRequests(filters = {}, { enabled = true } = {}) {
   return useQuery({
     queryKey: [QUERY_KEYS.PHOTO_REQUESTS, JSON.stringify(filters)],
     queryFn: () => {
@@ -663,6 +751,7 @@ export function usePhotoRequests(filters = {}) {
       cacheTime: 0,
       refetchOnMount: 'always',
       refetchOnWindowFocus: true,
+      enabled,
     }), // REALTIME: Fotoğraf talepleri her açılışta güncellensin
   });
 }
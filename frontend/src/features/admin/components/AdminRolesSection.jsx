@@ -0,0 +1,94 @@
+/**
+ * AdminRolesSection - Admin alt rolleri
+ *
+ * Admin Hesap Güvenliği sayfasında, admins.manage iznine sahip adminlere
+ * gösterilir. Admin kullanıcılarını alt rolleriyle listeler ve alt rol
+ * değiştirilmesini sağlar. Alt rollerin izinleri backend'den gelir; admin
+ * kendi alt rolünü değiştiremez.
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+import { Users } from 'lucide-react';
+import { useAdmins, useUpdateAdminRole } from '../api/useAdmin';
+import useAuthStore from '@/store/authStore';
+import { showToast } from '@/utils/toastUtils';
+import { toastMessages } from '@/config/toast';
+import { formatDateTime } from '@/utils/dateUtils';
+
+const AdminRolesSection = () => {
+  const currentUser = useAuthStore((state) => state.user);
+  const { data, isLoading } = useAdmins();
+  const updateAdminRole = useUpdateAdminRole();
+
+  const admins = data?.admins || [];
+  const roles = data?.roles || [];
+
+  const handleRoleChange = (userId, adminRole) => {
+    updateAdminRole.mutate(
+      { userId, adminRole },
+      {
+        onSuccess: () => showToast.success(toastMessages.user.adminRoleUpdateSuccess),
+        onError: (error) => showToast.error(error, { defaultMessage: toastMessages.user.adminRoleUpdateError })
+      }
+    );
+  };
+
+  return (
+    <section className="bg-white/90 backdrop-blur-xl rounded-2xl md:rounded-3xl shadow-2xl border border-white/40 p-5 md:p-8 space-y-6">
+      <div className="flex items-start gap-4">
+        <div className="p-3 rounded-2xl bg-indigo-100 text-indigo-700">
+          <Users className="w-6 h-6" />
+        </div>
+        <div className="space-y-1">
+          <h2 className="text-xl font-semibold text-slate-900">Admin Rolleri</h2>
+          <p className="text-sm text-slate-600">
+            Her admin yalnızca alt rolünün izin verdiği bölümleri görür ve yönetir.
+          </p>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-slate-500">Yükleniyor...</p>
+      ) : (
+        <div className="space-y-3">
+          {admins.map((admin) => {
+            const isSelf = admin.id === currentUser?.id;
+            return (
+              <div
+                key={admin.id}
+                className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 rounded-2xl border border-slate-200 px-4 py-3"
+              >
+                <div className="min-w-0">
+                  <p className="font-medium text-slate-900 break-all">
+                    {admin.email}
+                    {isSelf && <span className="ml-2 text-xs text-slate-500">(siz)</span>}
+                    {!admin.is_active && <span className="ml-2 text-xs text-red-600">Pasif</span>}
+                  </p>
+                  <p className="text-xs text-slate-500">
+                    Son giriş: {admin.last_login ? formatDateTime(admin.last_login) : '-'}
+                  </p>
+                </div>
+                <select
+                  value={admin.admin_role}
+                  onChange={(e) => handleRoleChange(admin.id, e.target.value)}
+                  disabled={isSelf || updateAdminRole.isPending}
+                  className="rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-900 focus:border-blue-500 focus:ring-2 focus:ring-blue-500/40 disabled:opacity-60"
+                >
+                  {roles.map((role) => (
+                    <option key={role.key} value={role.key}>{role.label}</option>
+                  ))}
+                </select>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default AdminRolesSection;
@@ -20,6 +20,7 @@ import { SkeletonLoader } from '@/components/ui/LoadingSpinner';
 import { ModalContainer } from '@/components/ui/ModalContainer';
 import { formatDateTime, formatDate as formatDateUtil, formatDateShort } from '@/utils/dateUtils';
 import useAuthStore from '@/store/authStore';
+import ApplicationMessageThread from '@/features/messages/components/ApplicationMessageThread';
 
 const AdminApplicationDetailPage = () => {
   const { id } = useParams();
@@ -356,7 +357,8 @@ const AdminApplicationDetailPage = () => {
                 {[
                   { id: 'application', name: 'Başvuru', icon: FileText },
                   { id: 'hospital', name: 'Hastane', icon: Building },
-                  { id: 'doctor', name: 'Doktor', icon: User }
+                  { id: 'doctor', name: 'Doktor', icon: User },
+                  { id: 'messages', name: 'Mesajlar', icon: MessageSquare }
                 ].map((tab) => {
                   const Icon = tab.icon;
                   return (
@@ -651,6 +653,11 @@ const AdminApplicationDetailPage = () => {
                   )}
                 </div>
               )}
+
+              {/* Mesajlar Sekmesi (moderasyon, salt okunur) */}
+              {activeTab === 'messages' && (
+                <ApplicationMessageThread applicationId={application.id} />
+              )}
             </div>
           </div>
 
@@ -27,6 +27,11 @@ import {
 } from 'lucide-react';
 import { useDashboard, useUsers, useAdminJobs, usePhotoRequests } from '../api/useAdmin';
 import { SkeletonLoader } from '@/components/ui/LoadingSpinner';
+import useAuthStore from '@/store/authStore';
+import { APP_CONFIG } from '@/config/app';
+import { hasPermission } from '@/utils/permissions';
+
+const { ADMIN_PERMISSIONS } = APP_CONFIG;
 
 const DashboardPage = () => {
   const navigate = useNavigate();
@@ -36,11 +41,17 @@ const DashboardPage = () => {
   // Analytics hooks
   const { data: dashboardData, isLoading, refetch: refetchDashboard, error } = useDashboard();
   
+  // Admin alt rolünün izinleri - izni olmayan bölümlerin sayıları istenmez
+  const user = useAuthStore((state) => state.user);
+  const canManageUsers = hasPermission(user, ADMIN_PERMISSIONS.USERS_MANAGE);
+  const canModerateJobs = hasPermission(user, ADMIN_PERMISSIONS.JOBS_MODERATE);
+  const canReviewPhotos = hasPermission(user, ADMIN_PERMISSIONS.PHOTOS_REVIEW);
+
   // Bekleyen sayıları almak için ayrı query'ler
-  const { data: pendingDoctorsData } = useUsers({ role: 'doctor', isApproved: false, limit: 1 });
-  const { data: pendingHospitalsData } = useUsers({ role: 'hospital', isApproved: false, limit: 1 });
-  const { data: pendingJobsData } = useAdminJobs({ status: 1, limit: 1 });
-  const { data: pendingPhotosData } = usePhotoRequests({ status: 'pending', limit: 1 });
+  const { data: pendingDoctorsData } = useUsers({ role: 'doctor', isApproved: false, limit: 1 }, { enabled: canManageUsers });
+  const { data: pendingHospitalsData } = useUsers({ role: 'hospital', isApproved: false, limit: 1 }, { enabled: canManageUsers });
+  const { data: pendingJobsData } = useAdminJobs({ status: 1, limit: 1 }, { enabled: canModerateJobs });
+  const { data: pendingPhotosData } = usePhotoRequests({ status: 'pending', limit: 1 }, { enabled: canReviewPhotos });
 
   // Bekleyen sayıları hesapla
   const pendingDoctorsCount = pendingDoctorsData?.data?.data?.pagination?.total || 
@@ -86,7 +97,8 @@ const DashboardPage = () => {
       borderColor: 'border-blue-200',
       hoverBgColor: 'hover:bg-blue-100',
       href: '/admin/users?isApproved=false',
-      count: pendingDoctorsCount
+      count: pendingDoctorsCount,
+      permission: ADMIN_PERMISSIONS.USERS_MANAGE
     },
     {
       title: 'Onay bekleyen hastaneler',
@@ -96,7 +108,8 @@ const DashboardPage = () => {
       borderColor: 'border-green-200',
       hoverBgColor: 'hover:bg-green-100',
       href: '/admin/hospitals?isApproved=false',
-      count: pendingHospitalsCount
+      count: pendingHospitalsCount,
+      permission: ADMIN_PERMISSIONS.USERS_MANAGE
     },
     {
       title: 'Onay bekleyen iş ilanları',
@@ -106,7 +119,8 @@ const DashboardPage = () => {
       borderColor: 'border-orange-200',
       hoverBgColor: 'hover:bg-orange-100',
       href: '/admin/jobs?status=1',
-      count: pendingJobsCount
+      count: pendingJobsCount,
+      permission: ADMIN_PERMISSIONS.JOBS_MODERATE
     },
     {
       title: 'Onay bekleyen fotoğraf onayları',
@@ -116,9 +130,10 @@ const DashboardPage = () => {
       borderColor: 'border-purple-200',
       hoverBgColor: 'hover:bg-purple-100',
       href: '/admin/photo-approvals?status=pending',
-      count: pendingPhotosCount
+      count: pendingPhotosCount,
+      permission: ADMIN_PERMISSIONS.PHOTOS_REVIEW
     },
-  ];
+  ].filter((action) => hasPermission(user, action.permission));
 
   const StatCard = ({ title, value, subtitle, icon: Icon, color, trend, trendValue, onClick }) => {
     const colorClasses = {
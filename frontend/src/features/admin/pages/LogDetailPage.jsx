@@ -63,13 +63,15 @@ const LogDetailPage = () => {
       'user.logout_all': 'Tüm Cihazlardan Çıkış', 'user.approve': 'Kullanıcı Onayı',
       'user.reject': 'Kullanıcı Reddi', 'job.approve': 'İlan Onayı', 'job.reject': 'İlan Reddi',
       'job.request_revision': 'Revizyon İsteği', 'application.update_status': 'Başvuru Güncelleme',
-      'photo_request.approve': 'Fotoğraf Onayı', 'photo_request.reject': 'Fotoğraf Reddi'
+      'photo_request.approve': 'Fotoğraf Onayı', 'photo_request.reject': 'Fotoğraf Reddi',
+      'user.unlock': 'Hesap Kilidi Kaldırma'
     },
     eventTypes: {
       'login_success': 'Başarılı Giriş', 'login_failed': 'Başarısız Giriş', 'logout': 'Çıkış',
       'logout_all_devices': 'Tüm Cihazlardan Çıkış', 'unauthorized_access': 'Yetkisiz Erişim',
       'user_registered': 'Kullanıcı Kaydı', 'password_reset_requested': 'Şifre Sıfırlama İsteği',
-      'password_reset_completed': 'Şifre Sıfırlama Tamamlandı'
+      'password_reset_completed': 'Şifre Sıfırlama Tamamlandı',
+      'account_locked': 'Hesap Kilitlendi', 'account_unlocked': 'Hesap Kilidi Kaldırıldı'
     },
     severities: { 'low': 'Düşük', 'medium': 'Orta', 'high': 'Yüksek', 'critical': 'Kritik' },
     levels: { 'error': 'Hata', 'warn': 'Uyarı', 'info': 'Bilgi', 'http': 'HTTP', 'debug': 'Debug' }
@@ -504,6 +504,8 @@ const LogsPage = () => {
                         <option value="user_registered">Kullanıcı Kaydı</option>
                         <option value="password_reset_requested">Şifre Sıfırlama İsteği</option>
                         <option value="password_reset_completed">Şifre Sıfırlama Tamamlandı</option>
+                        <option value="account_locked">Hesap Kilitlendi</option>
+                        <option value="account_unlocked">Hesap Kilidi Kaldırıldı</option>
                       </select>
                     </div>
                     
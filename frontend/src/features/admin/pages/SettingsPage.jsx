@@ -0,0 +1,47 @@
+/**
+ * @file SettingsPage.jsx
+ * @description Admin hesap güvenliği sayfası
+ * İki adımlı doğrulama (admin için zorunlu), aktif oturumlar ve
+ * admins.manage iznine sahip adminler için admin alt rolleri
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+import { Shield } from 'lucide-react';
+import TwoFactorSection from '@/features/auth/components/TwoFactorSection';
+import ActiveSessionsSection from '@/features/auth/components/ActiveSessionsSection';
+import AdminRolesSection from '../components/AdminRolesSection';
+import useAuthStore from '@/store/authStore';
+import { APP_CONFIG } from '@/config/app';
+import { hasPermission } from '@/utils/permissions';
+
+const AdminSettingsPage = () => {
+  const user = useAuthStore((state) => state.user);
+  const canManageAdmins = hasPermission(user, APP_CONFIG.ADMIN_PERMISSIONS.ADMINS_MANAGE);
+
+  return (
+    <div className="min-h-screen">
+      <div className="p-4 sm:p-6 space-y-6">
+        {/* Header */}
+        <div>
+          <h1 className="text-xl sm:text-2xl font-bold text-gray-900 flex items-center">
+            <Shield className="h-6 w-6 sm:h-8 sm:w-8 mr-2 sm:mr-3 text-indigo-600" />
+            Hesap Güvenliği
+          </h1>
+          <p className="text-gray-600 mt-2 text-sm sm:text-base">
+            Doğrulayıcı uygulamanızı, kurtarma kodlarınızı ve açık oturumlarınızı yönetin
+          </p>
+        </div>
+
+        <TwoFactorSection />
+        <ActiveSessionsSection />
+        {canManageAdmins && <AdminRolesSection />}
+      </div>
+    </div>
+  );
+};
+
+export default AdminSettingsPage;
@@ -30,12 +30,19 @@ import {
   ExternalLink,
   CheckCircle2,
   X as XIcon,
-  ArrowLeft as ArrowLeftIcon
+  ArrowLeft as ArrowLeftIcon,
+  Unlock,
+  ScanEye
 } from 'lucide-react';
-import { useUserById, useUpdateUserStatus, useUpdateUserApproval, useApplications } from '../api/useAdmin';
+import { useUserById, useUpdateUserStatus, useUpdateUserApproval, useUnlockUser, useImpersonateUser, useApplications } from '../api/useAdmin';
 import { SkeletonLoader } from '@/components/ui/LoadingSpinner';
+import { ModalContainer } from '@/components/ui/ModalContainer';
 import { showToast } from '@/utils/toastUtils';
 import { toastMessages } from '@/config/toast';
+import useAuthStore from '@/store/authStore';
+import { APP_CONFIG } from '@/config/app';
+import { ROUTE_CONFIG } from '@config/routes.js';
+import { hasPermission } from '@/utils/permissions';
 
 // Başvurular Tab Component
 const DoctorApplicationsTab = ({ userId }) => {
@@ -276,6 +283,13 @@ const UserDetailPage = () => {
   // Debug logging - removed for production
   const updateUserStatus = useUpdateUserStatus();
   const updateUserApproval = useUpdateUserApproval();
+  const unlockUser = useUnlockUser();
+  const impersonateUser = useImpersonateUser();
+  const currentAdmin = useAuthStore((state) => state.user);
+  const startImpersonation = useAuthStore((state) => state.startImpersonation);
+  const canImpersonate = hasPermission(currentAdmin, APP_CONFIG.ADMIN_PERMISSIONS.USERS_IMPERSONATE);
+  const [impersonateModalOpen, setImpersonateModalOpen] = useState(false);
+  const [impersonateForm, setImpersonateForm] = useState({ reason: '', allowWrite: false });
 
   // Fotoğraf onay fonksiyonu kaldırıldı
   // İlk kayıt: Admin kullanıcıyı onaylarken fotoğrafı görür, uygunsuzsa kullanıcıyı reddeder
@@ -318,6 +332,38 @@ const UserDetailPage = () => {
   };
 
 
+  const handleUnlock = () => {
+    unlockUser.mutate(
+      { userId: id },
+      {
+        onSuccess: () => {
+          showToast.success(toastMessages.user.unlockSuccess);
+          refetch();
+        },
+        onError: (error) => {
+          showToast.error(error, { defaultMessage: toastMessages.user.unlockError });
+        }
+      }
+    );
+  };
+
+  const handleImpersonate = (e) => {
+    e.preventDefault();
+    impersonateUser.mutate(
+      { userId: id, reason: impersonateForm.reason.trim(), allowWrite: impersonateForm.allowWrite },
+      {
+        onSuccess: (data) => {
+          setImpersonateModalOpen(false);
+          startImpersonation(data);
+          navigate(data.user.role === 'hospital' ? ROUTE_CONFIG.HOSPITAL.DASHBOARD : ROUTE_CONFIG.DOCTOR.DASHBOARD);
+        },
+        onError: (error) => {
+          showToast.error(error, { defaultMessage: toastMessages.user.impersonateError });
+        }
+      }
+    );
+  };
+
   const getRoleBadge = (role) => {
     const colors = {
       admin: 'bg-red-100 text-red-800',
@@ -350,6 +396,11 @@ const UserDetailPage = () => {
   const backUrl = userRole === 'hospital' ? '/admin/hospitals' : '/admin/users';
   const backLabel = userRole === 'hospital' ? 'Hastane Listesine Dön' : 'Doktor Listesine Dön';
 
+  // Başarısız girişler nedeniyle hesap kilidi
+  const lockedUntil = user.data?.user?.locked_until || user.locked_until;
+  const isLocked = !!lockedUntil && new Date(lockedUntil) > new Date();
+  const failedLoginAttempts = user.data?.user?.failed_login_attempts || user.failed_login_attempts || 0;
+
   return (
     <div className="min-h-screen bg-gray-50">
         <div className="p-4 lg:p-6">
@@ -442,6 +493,27 @@ const UserDetailPage = () => {
                     <span className="hidden sm:inline">{(user.data?.user?.is_active || user.is_active) ? 'Pasifleştir' : 'Aktifleştir'}</span>
                     <span className="sm:hidden">{(user.data?.user?.is_active || user.is_active) ? 'Pasif' : 'Aktif'}</span>
                   </button>
+
+                  {isLocked && (
+                    <button
+                      onClick={handleUnlock}
+                      disabled={unlockUser.isPending}
+                      className="admin-btn admin-btn-primary flex items-center justify-center space-x-2 text-sm"
+                    >
+                      <Unlock className="h-4 w-4" />
+                      <span>Kilidi Kaldır</span>
+                    </button>
+                  )}
+
+                  {canImpersonate && userRole !== 'admin' && (user.data?.user?.is_active || user.is_active) && (user.data?.user?.is_approved || user.is_approved) && (
+                    <button
+                      onClick={() => setImpersonateModalOpen(true)}
+                      className="admin-btn admin-btn-outline flex items-center justify-center space-x-2 text-sm"
+                    >
+                      <ScanEye className="h-4 w-4" />
+                      <span>Kullanıcı Olarak Görüntüle</span>
+                    </button>
+                  )}
                   
                 </div>
               </div>
@@ -519,6 +591,16 @@ const UserDetailPage = () => {
                             {(user.data?.user?.is_approved || user.is_approved) ? 'Onaylandı' : 'Onay Bekliyor'}
                           </span>
                         </div>
+                        <div className="flex items-center justify-between">
+                          <span className="text-sm text-gray-500">E-posta Doğrulama</span>
+                          <span className={`px-2 py-1 text-xs font-medium rounded-full ${
+                            (user.data?.user?.email_verified_at || user.email_verified_at) ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+                          }`}>
+                            {(user.data?.user?.email_verified_at || user.email_verified_at)
+                              ? `Doğrulandı (${new Date(user.data?.user?.email_verified_at || user.email_verified_at).toLocaleDateString('tr-TR')})`
+                              : 'Doğrulanmadı'}
+                          </span>
+                        </div>
                         <div className="flex items-center justify-between">
                           <span className="text-sm text-gray-500">Aktivite Durumu</span>
                           <span className={`px-2 py-1 text-xs font-medium rounded-full ${
@@ -527,6 +609,22 @@ const UserDetailPage = () => {
                             {(user.data?.user?.is_active || user.is_active) ? 'Aktif' : 'Pasif'}
                           </span>
                         </div>
+                        <div className="flex items-center justify-between">
+                          <span className="text-sm text-gray-500">Giriş Kilidi</span>
+                          <span className={`px-2 py-1 text-xs font-medium rounded-full ${
+                            isLocked ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'
+                          }`}>
+                            {isLocked
+                              ? `Kilitli (${new Date(lockedUntil).toLocaleString('tr-TR')} tarihine kadar)`
+                              : 'Kilitli Değil'}
+                          </span>
+                        </div>
+                        {!isLocked && failedLoginAttempts > 0 && (
+                          <div className="flex items-center justify-between">
+                            <span className="text-sm text-gray-500">Başarısız Giriş Denemesi</span>
+                            <span className="text-sm font-medium text-gray-900">{failedLoginAttempts}</span>
+                          </div>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -931,6 +1029,64 @@ const UserDetailPage = () => {
           </div>
         </div>
 
+        {impersonateModalOpen && (
+          <ModalContainer
+            isOpen={impersonateModalOpen}
+            onClose={() => setImpersonateModalOpen(false)}
+            title="Kullanıcı Olarak Görüntüle"
+            align="center"
+            size="small"
+          >
+            <form onSubmit={handleImpersonate} className="space-y-4">
+              <p className="text-sm text-gray-600">
+                30 dakika boyunca uygulamayı bu kullanıcının gözünden görürsünüz. Görüntüleme sırasında yapılan
+                her istek denetim kayıtlarına sizin adınızla yazılır.
+              </p>
+              <label className="flex flex-col gap-1 text-sm text-gray-700">
+                Gerekçe (destek talebi vb.)
+                <textarea
+                  value={impersonateForm.reason}
+                  onChange={(e) => setImpersonateForm((prev) => ({ ...prev, reason: e.target.value }))}
+                  rows={3}
+                  maxLength={500}
+                  className="rounded-lg border border-gray-300 px-3 py-2 text-gray-900"
+                  required
+                />
+              </label>
+              <label className="flex items-start gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={impersonateForm.allowWrite}
+                  onChange={(e) => setImpersonateForm((prev) => ({ ...prev, allowWrite: e.target.checked }))}
+                  className="mt-0.5"
+                />
+                <span>
+                  Değişiklik yapmaya izin ver
+                  <span className="block text-xs text-gray-500">
+                    Varsayılan olarak salt okumadır. Şifre, iki adımlı doğrulama, oturum ve hesap kapatma işlemleri her durumda engellenir.
+                  </span>
+                </span>
+              </label>
+              <div className="flex justify-end gap-3">
+                <button
+                  type="button"
+                  onClick={() => setImpersonateModalOpen(false)}
+                  className="admin-btn admin-btn-outline text-sm"
+                >
+                  Vazgeç
+                </button>
+                <button
+                  type="submit"
+                  disabled={impersonateForm.reason.trim().length < 5 || impersonateUser.isPending}
+                  className="admin-btn admin-btn-primary text-sm"
+                >
+                  {impersonateUser.isPending ? 'Başlatılıyor...' : 'Görüntülemeyi Başlat'}
+                </button>
+              </div>
+            </form>
+          </ModalContainer>
+        )}
+
       </div>
   );
 };
@@ -24,6 +24,7 @@ const UsersPage = () => {
     role: 'doctor', // Sabit: sadece doktorlar
     isApproved: '',
     isActive: '',
+    emailVerified: '',
     doctor_search: '',
     specialty_id: '',
     subspecialty_id: '',
@@ -274,6 +275,20 @@ const UsersPage = () => {
     return <span className="px-2 py-1 text-xs font-medium rounded-full bg-yellow-100 text-yellow-800">Onay Bekliyor</span>;
   };
 
+  const getEmailVerifiedBadge = (emailVerifiedAt) => {
+    if (emailVerifiedAt) {
+      return (
+        <span
+          className="px-2 py-1 text-xs font-medium rounded-full bg-green-100 text-green-800"
+          title={new Date(emailVerifiedAt).toLocaleString('tr-TR')}
+        >
+          Doğrulandı
+        </span>
+      );
+    }
+    return <span className="px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-700">Doğrulanmadı</span>;
+  };
+
   const getActivityBadge = (isActive) => {
     if (isActive) {
       return <span className="px-2 py-1 text-xs font-medium rounded-full bg-blue-100 text-blue-800">Aktif</span>;
@@ -427,6 +442,17 @@ const UsersPage = () => {
             <option value="false">Onay Bekleyen</option>
           </select>
 
+          {/* Email Verification Filter */}
+          <select
+            value={filters.emailVerified}
+            onChange={(e) => handleFilterChange('emailVerified', e.target.value)}
+            className="admin-form-select text-sm"
+          >
+            <option value="">E-posta Doğrulama</option>
+            <option value="true">Doğrulanmış</option>
+            <option value="false">Doğrulanmamış</option>
+          </select>
+
           {/* Active Filter */}
           <select
             value={filters.isActive}
@@ -457,6 +483,7 @@ const UsersPage = () => {
               <tr>
                 <th>Doktor</th>
                 <th>Onay Durumu</th>
+                <th>E-posta</th>
                 <th>Aktivite Durumu</th>
                 <th>Kayıt Tarihi</th>
                 <th>Son Giriş</th>
@@ -482,6 +509,9 @@ const UsersPage = () => {
                   <td>
                     {getApprovalBadge(user.is_approved)}
                   </td>
+                  <td>
+                    {getEmailVerifiedBadge(user.email_verified_at)}
+                  </td>
                   <td>
                     {getActivityBadge(user.is_active)}
                   </td>
@@ -544,6 +574,10 @@ const UsersPage = () => {
                 <span className="text-gray-500">Onay:</span>
                 <div className="mt-1">{getApprovalBadge(user.is_approved)}</div>
               </div>
+              <div>
+                <span className="text-gray-500">E-posta:</span>
+                <div className="mt-1">{getEmailVerifiedBadge(user.email_verified_at)}</div>
+              </div>
               <div>
                 <span className="text-gray-500">Durum:</span>
                 <div className="mt-1">{getActivityBadge(user.is_active)}</div>
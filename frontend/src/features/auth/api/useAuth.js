@@ -16,7 +16,7 @@
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import { useNavigate } from 'react-router-dom';
 import { apiRequest } from '@/services/http/client';
-import { ENDPOINTS } from '@config/api.js';
+import { ENDPOINTS, buildEndpoint } from '@config/api.js';
 import useAuthStore from '@/store/authStore';
 import useUiStore from '@/store/uiStore';
 import { ROUTE_CONFIG } from '@config/routes.js';
@@ -36,6 +36,8 @@ import {
 export const QUERY_KEYS = {
   USER: ['user'],
   ME: ['auth', 'me'],
+  SESSIONS: ['auth', 'sessions'],
+  TWO_FACTOR: ['auth', 'two-factor'],
   VERIFY_TOKEN: ['auth', 'verify-token']
 };
 
@@ -46,6 +48,8 @@ export const QUERY_KEYS = {
  * Backend: authController.loginUnified
  * Endpoint: POST /auth/login
  * Response: { user: {...}, tokens: { accessToken, refreshToken } }
+ * İki adımlı doğrulama gerekiyorsa: { two_factor_required, enrollment_required, challengeToken }
+ * (giriş yapılmaz, LoginPage ikinci adımı gösterir)
  */
 export const useLogin = () => {
   const navigate = useNavigate();
@@ -81,6 +85,11 @@ export const useLogin = () => {
       return result;
     },
     onSuccess: (res) => {
+      if (res?.data?.two_factor_required) {
+        logger.info('Login requires second factor', { enrollment: res.data.enrollment_required });
+        return;
+      }
+
       if (res && res.success && res.data && res.data.user && res.data.tokens) {
         logger.info('Login successful', { user: res.data.user });
         
@@ -135,6 +144,53 @@ export const useLogin = () => {
   });
 };
 
+/**
+ * Login Two Factor Hook - Girişin ikinci adımı
+ * Backend: authController.loginTwoFactor
+ * Endpoint: POST /auth/login/2fa
+ * Body: { challengeToken, code } veya { challengeToken, recoveryCode }
+ * Response: { user, tokens, recovery_codes? } - kurtarma kodları yalnızca girişte kurulum tamamlandıysa döner.
+ * Kurtarma kodları döndüyse oturum, kodlar gösterildikten sonra LoginPage tarafından açılır.
+ */
+export const useLoginTwoFactor = () => {
+  const { login } = useAuthStore();
+  const { showSuccess } = useUiStore();
+
+  return useMutation({
+    mutationFn: async (payload) => {
+      const response = await apiRequest.post(ENDPOINTS.AUTH.LOGIN_TWO_FACTOR, payload);
+      return response.data;
+    },
+    onSuccess: (res) => {
+      if (!res?.data?.user || !res.data.tokens || res.data.recovery_codes) return;
+
+      login(res.data.user, res.data.tokens);
+      showSuccess('Giriş başarılı! Yönlendiriliyorsunuz...');
+    },
+    onError: (error) => {
+      logger.error('Login two factor error', {
+        status: error.response?.status,
+        message: error.response?.data?.message
+      });
+    },
+  });
+};
+
+/**
+ * Login Two Factor Setup Hook - Girişte zorunlu kurulum (admin)
+ * Backend: authController.loginTwoFactorSetup
+ * Endpoint: POST /auth/login/2fa/setup
+ * Response: { secret, otpauth_uri }
+ */
+export const useLoginTwoFactorSetup = () => {
+  return useMutation({
+    mutationFn: async (challengeToken) => {
+      const response = await apiRequest.post(ENDPOINTS.AUTH.LOGIN_TWO_FACTOR_SETUP, { challengeToken });
+      return response.data?.data;
+    },
+  });
+};
+
 /**
  * Forgot Password Hook
  * Backend: authController.forgotPassword
@@ -232,6 +288,121 @@ export const useResetPassword = () => {
   });
 };
 
+/**
+ * Verify Email Hook
+ * Backend: authController.verifyEmail
+ * Endpoint: POST /auth/verify-email
+ * Response: { email, already_verified }
+ * Sonuç VerifyEmailPage üzerinde gösterilir (toast yok)
+ */
+export const useVerifyEmail = () => {
+  return useMutation({
+    mutationFn: async (token) => {
+      const response = await apiRequest.post(ENDPOINTS.AUTH.VERIFY_EMAIL, { token });
+      return response.data;
+    },
+    onError: (error) => {
+      logger.error('Email verification error', {
+        message: error.message,
+        status: error.response?.status
+      });
+    }
+  });
+};
+
+/**
+ * Resend Verification Hook
+ * Backend: authController.resendVerification
+ * Endpoint: POST /auth/resend-verification
+ * Response: { success, message } (hesap varlığını açığa çıkarmaz)
+ */
+export const useResendVerification = () => {
+  const { showSuccess, showError } = useUiStore();
+
+  return useMutation({
+    mutationFn: async ({ email }) => {
+      const validation = validateForgotPassword({ email });
+      if (!validation.isValid) {
+        throw new Error(validation.errors[0] || 'Form doğrulama hatası');
+      }
+
+      const response = await apiRequest.post(ENDPOINTS.AUTH.RESEND_VERIFICATION, { email });
+      return response.data;
+    },
+    onSuccess: (res) => {
+      showSuccess(res?.message || 'Doğrulama bağlantısı e-posta adresinize gönderildi.');
+    },
+    onError: (error) => {
+      const errorMessage = error.response?.data?.message || error.response?.data?.error || error.message || 'Doğrulama bağlantısı gönderilemedi';
+      showError(errorMessage);
+    }
+  });
+};
+
+// ==================== HOSPITAL INVITATION HOOKS ====================
+
+/**
+ * Hospital Invitation Preview Hook
+ * Backend: authController.getHospitalInvitation
+ * Endpoint: GET /auth/hospital-invitations/:token
+ * Response: { invitation: { email, role, role_label, institution_name, expires_at } }
+ */
+export const useHospitalInvitation = (token) => {
+  return useQuery({
+    queryKey: ['auth', 'hospital-invitation', token],
+    queryFn: async () => {
+      const response = await apiRequest.get(buildEndpoint(ENDPOINTS.AUTH.HOSPITAL_INVITATION, { token }));
+      return response.data?.data?.invitation;
+    },
+    enabled: !!token,
+    retry: false,
+  });
+};
+
+/**
+ * Accept Hospital Invitation Hook
+ * Backend: authController.acceptHospitalInvitation
+ * Endpoint: POST /auth/hospital-invitations/accept
+ * Response: { email, institution_name } - başarılı olursa giriş sayfasına yönlendirir
+ */
+export const useAcceptHospitalInvitation = () => {
+  const navigate = useNavigate();
+  const { showSuccess, showError } = useUiStore();
+
+  return useMutation({
+    mutationFn: async ({ token, full_name, password, confirmPassword }) => {
+      const validation = validateResetPassword({ token, password, confirmPassword });
+      if (!validation.isValid) {
+        throw new Error(validation.errors[0] || 'Form doğrulama hatası');
+      }
+
+      const response = await apiRequest.post(ENDPOINTS.AUTH.HOSPITAL_INVITATION_ACCEPT, {
+        token,
+        full_name,
+        password,
+        confirmPassword
+      });
+      return response.data;
+    },
+    onSuccess: (res) => {
+      const message = res?.message || 'Ekibe katıldınız. E-posta adresiniz ve şifrenizle giriş yapabilirsiniz.';
+      showSuccess(message);
+
+      navigate(ROUTE_CONFIG.PUBLIC.LOGIN, {
+        replace: true,
+        state: { message }
+      });
+    },
+    onError: (error) => {
+      logger.error('Accept hospital invitation error', {
+        message: error.message,
+        status: error.response?.status
+      });
+      showError(error.response?.data?.message || error.message || 'Davet kabul edilemedi');
+    }
+  });
+};
+
 export const useChangePassword = () => {
   const { showSuccess, showError } = useUiStore();
   const getRefreshToken = useAuthStore.getState().getRefreshToken;
@@ -337,12 +508,12 @@ export const useRegisterDoctor = () => {
     },
     onSuccess: (result) => {
       logger.info('Doctor registration successful');
-      showSuccess('Doktor kaydınız başarılı! Admin onayı sonrası sisteme giriş yapabilirsiniz.');
+      showSuccess('Doktor kaydınız başarılı! E-posta adresinize gönderilen bağlantıyla adresinizi doğrulayın.');
       
       navigate(ROUTE_CONFIG.PUBLIC.LOGIN, {
         state: {
           pendingApproval: true,
-          message: 'Doktor kaydınız alındı. Admin onayı sonrası sisteme giriş yapabilirsiniz.'
+          message: 'Doktor kaydınız alındı. E-posta adresinizi doğruladıktan ve admin onayı sonrası sisteme giriş yapabilirsiniz.'
         }
       });
     },
@@ -426,12 +597,12 @@ export const useRegisterHospital = () => {
     },
     onSuccess: (result) => {
       logger.info('Hospital registration successful');
-      showSuccess('Hastane kaydınız başarılı! Admin onayı sonrası sisteme giriş yapabilirsiniz.');
+      showSuccess('Hastane kaydınız başarılı! E-posta adresinize gönderilen bağlantıyla adresinizi doğrulayın.');
       
       navigate(ROUTE_CONFIG.PUBLIC.LOGIN, {
         state: {
           pendingApproval: true,
-          message: 'Hastane kaydınız alındı. Admin onayı sonrası sisteme giriş yapabilirsiniz.'
+          message: 'Hastane kaydınız alındı. E-posta adresinizi doğruladıktan ve admin onayı sonrası sisteme giriş yapabilirsiniz.'
         }
       });
     },
@@ -614,6 +785,163 @@ export const useLogoutAll = () => {
   });
 };
 
+// ==================== SESSION HOOKS ====================
+
+/**
+ * Active Sessions Hook
+ * Backend: authController.getSessions
+ * Endpoint: GET /auth/sessions
+ * Response: { sessions: [{ id, device, platform, ip, created_at, last_used_at, is_current }] }
+ */
+export const useSessions = () => {
+  const { token } = useAuthStore();
+
+  return useQuery({
+    queryKey: QUERY_KEYS.SESSIONS,
+    queryFn: async () => {
+      const response = await apiRequest.get(ENDPOINTS.AUTH.SESSIONS);
+      return response.data?.data?.sessions || [];
+    },
+    enabled: !!token,
+    staleTime: 60 * 1000, // 1 dakika
+  });
+};
+
+/**
+ * Revoke Session Hook
+ * Backend: authController.revokeSession
+ * Endpoint: DELETE /auth/sessions/:id
+ * Mevcut oturum backend tarafında da reddedilir (400)
+ */
+export const useRevokeSession = () => {
+  const { showSuccess, showError } = useUiStore();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (sessionId) => {
+      const response = await apiRequest.delete(buildEndpoint(ENDPOINTS.AUTH.SESSION_DETAIL, { id: sessionId }));
+      return response.data;
+    },
+    onSuccess: () => {
+      showSuccess('Oturum sonlandırıldı');
+      queryClient.invalidateQueries({ queryKey: QUERY_KEYS.SESSIONS });
+    },
+    onError: (error) => {
+      logger.error('Revoke session error', error);
+      showError(error.response?.data?.message || 'Oturum sonlandırılamadı');
+    },
+  });
+};
+
+// ==================== TWO FACTOR HOOKS ====================
+
+/**
+ * Two Factor Status Hook
+ * Backend: authController.getTwoFactorStatus
+ * Endpoint: GET /auth/2fa
+ * Response: { available, enabled, required, enabled_at, recovery_codes_remaining }
+ */
+export const useTwoFactorStatus = () => {
+  const { token } = useAuthStore();
+
+  return useQuery({
+    queryKey: QUERY_KEYS.TWO_FACTOR,
+    queryFn: async () => {
+      const response = await apiRequest.get(ENDPOINTS.AUTH.TWO_FACTOR);
+      return response.data?.data;
+    },
+    enabled: !!token,
+    staleTime: 60 * 1000, // 1 dakika
+  });
+};
+
+/**
+ * Two Factor Setup Hook
+ * Backend: authController.setupTwoFactor
+ * Endpoint: POST /auth/2fa/setup
+ * Response: { secret, otpauth_uri } - ilk kod doğrulanana kadar etkin olmaz
+ */
+export const useSetupTwoFactor = () => {
+  const { showError } = useUiStore();
+
+  return useMutation({
+    mutationFn: async () => {
+      const response = await apiRequest.post(ENDPOINTS.AUTH.TWO_FACTOR_SETUP);
+      return response.data?.data;
+    },
+    onError: (error) => {
+      logger.error('Two factor setup error', error);
+      showError(error.response?.data?.message || 'Kurulum başlatılamadı');
+    },
+  });
+};
+
+/**
+ * Enable Two Factor Hook
+ * Backend: authController.enableTwoFactor
+ * Endpoint: POST /auth/2fa/enable
+ * Response: { recovery_codes }
+ */
+export const useEnableTwoFactor = () => {
+  const { showSuccess } = useUiStore();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (code) => {
+      const response = await apiRequest.post(ENDPOINTS.AUTH.TWO_FACTOR_ENABLE, { code });
+      return response.data?.data;
+    },
+    onSuccess: () => {
+      showSuccess('İki adımlı doğrulama etkinleştirildi');
+      queryClient.invalidateQueries({ queryKey: QUERY_KEYS.TWO_FACTOR });
+    },
+  });
+};
+
+/**
+ * Disable Two Factor Hook
+ * Backend: authController.disableTwoFactor
+ * Endpoint: POST /auth/2fa/disable
+ * Admin hesaplarında backend 403 döner
+ */
+export const useDisableTwoFactor = () => {
+  const { showSuccess } = useUiStore();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ password, code }) => {
+      const response = await apiRequest.post(ENDPOINTS.AUTH.TWO_FACTOR_DISABLE, { password, code });
+      return response.data;
+    },
+    onSuccess: () => {
+      showSuccess('İki adımlı doğrulama kapatıldı');
+      queryClient.invalidateQueries({ queryKey: QUERY_KEYS.TWO_FACTOR });
+    },
+  });
+};
+
+/**
+ * Regenerate Recovery Codes Hook
+ * Backend: authController.regenerateRecoveryCodes
+ * Endpoint: POST /auth/2fa/recovery-codes
+ * Response: { recovery_codes } - eski kodlar geçersiz olur
+ */
+export const useRegenerateRecoveryCodes = () => {
+  const { showSuccess } = useUiStore();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (code) => {
+      const response = await apiRequest.post(ENDPOINTS.AUTH.TWO_FACTOR_RECOVERY_CODES, { code });
+      return response.data?.data;
+    },
+    onSuccess: () => {
+      showSuccess('Kurtarma kodları yenilendi');
+      queryClient.invalidateQueries({ queryKey: QUERY_KEYS.TWO_FACTOR });
+    },
+  });
+};
+
 // ==================== USER INFO HOOKS ====================
 
 /**
@@ -684,11 +1012,20 @@ export const useVerifyToken = () => {
 
 export default {
   useLogin,
+  useLoginTwoFactor,
+  useLoginTwoFactorSetup,
   useRegisterDoctor,
   useRegisterHospital,
   useRefreshToken,
   useLogout,
   useLogoutAll,
+  useSessions,
+  useRevokeSession,
+  useTwoFactorStatus,
+  useSetupTwoFactor,
+  useEnableTwoFactor,
+  useDisableTwoFactor,
+  useRegenerateRecoveryCodes,
   useMe,
   useVerifyToken
 };
\ No newline at end of file
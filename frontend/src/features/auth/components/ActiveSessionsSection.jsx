@@ -0,0 +1,87 @@
+/**
+ * ActiveSessionsSection - Aktif Oturumlar
+ *
+ * Doktor, hastane ve admin Ayarlar sayfalarında kullanılır. Hesaba giriş yapılmış
+ * cihazları (tarayıcı / mobil uygulama), platformu, IP adresini ve son
+ * kullanım zamanını listeler; tek bir oturum sonlandırılabilir. Şu an
+ * kullanılan oturum işaretlenir ve buradan sonlandırılamaz (çıkış yapılmalı).
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+import { MonitorSmartphone, Smartphone, Monitor } from 'lucide-react';
+import { useSessions, useRevokeSession } from '../api/useAuth';
+import { formatDateTime } from '@/utils/dateUtils';
+
+const MOBILE_PLATFORMS = ['iOS', 'Android'];
+
+const ActiveSessionsSection = () => {
+  const { data: sessions = [], isLoading } = useSessions();
+  const revokeMutation = useRevokeSession();
+
+  return (
+    <section className="bg-white/90 backdrop-blur-xl rounded-2xl md:rounded-3xl shadow-2xl border border-white/40 p-5 md:p-8 space-y-6">
+      <div className="flex items-start gap-4">
+        <div className="p-3 rounded-2xl bg-emerald-100 text-emerald-700">
+          <MonitorSmartphone className="w-6 h-6" />
+        </div>
+        <div className="space-y-1">
+          <h2 className="text-xl font-semibold text-slate-900">Aktif Oturumlar</h2>
+          <p className="text-sm text-slate-600">
+            Hesabınıza giriş yapılmış cihazlar. Tanımadığınız bir oturumu sonlandırın ve şifrenizi değiştirin.
+          </p>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-slate-500">Yükleniyor...</p>
+      ) : sessions.length === 0 ? (
+        <p className="text-sm text-slate-500">Aktif oturum bulunamadı.</p>
+      ) : (
+        <ul className="divide-y divide-slate-200">
+          {sessions.map((session) => {
+            const Icon = MOBILE_PLATFORMS.includes(session.platform) ? Smartphone : Monitor;
+            const isRevoking = revokeMutation.isPending && revokeMutation.variables === session.id;
+
+            return (
+              <li key={session.id} className="py-4 flex flex-wrap items-center justify-between gap-4">
+                <div className="flex items-start gap-3">
+                  <Icon className="w-5 h-5 text-slate-500 mt-0.5" />
+                  <div>
+                    <p className="font-medium text-slate-900">
+                      {session.device} · {session.platform}
+                      {session.is_current && (
+                        <span className="ml-2 inline-flex items-center rounded-full bg-emerald-100 px-2.5 py-0.5 text-xs font-semibold text-emerald-700">
+                          Bu cihaz
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-sm text-slate-500">
+                      IP: {session.ip || '-'} · Giriş: {formatDateTime(session.created_at)} · Son kullanım: {formatDateTime(session.last_used_at)}
+                    </p>
+                  </div>
+                </div>
+
+                {!session.is_current && (
+                  <button
+                    type="button"
+                    onClick={() => revokeMutation.mutate(session.id)}
+                    disabled={revokeMutation.isPending}
+                    className="inline-flex items-center justify-center rounded-2xl border border-red-300 px-4 py-2 text-sm font-semibold text-red-600 transition hover:bg-red-50 disabled:cursor-not-allowed disabled:opacity-60"
+                  >
+                    {isRevoking ? 'Sonlandırılıyor...' : 'Oturumu Sonlandır'}
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default ActiveSessionsSection;
@@ -0,0 +1,79 @@
+/**
+ * RecoveryCodesList - Tek kullanımlık kurtarma kodları
+ *
+ * İki adımlı doğrulama etkinleştirildiğinde veya kodlar yenilendiğinde backend
+ * kodları yalnızca bir kez döndürür; bu bileşen kodları listeler ve kopyalama /
+ * indirme seçeneği sunar.
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+import { AlertTriangle, Copy, Download } from 'lucide-react';
+import useUiStore from '@/store/uiStore';
+
+const RecoveryCodesList = ({ codes = [] }) => {
+  const { showSuccess, showError } = useUiStore();
+  const content = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(content);
+      showSuccess('Kurtarma kodları kopyalandı');
+    } catch {
+      showError('Kopyalanamadı, lütfen elle seçin');
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([`MediKariyer kurtarma kodları\n\n${content}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'medikariyer-kurtarma-kodlari.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="rounded-2xl border border-amber-200 bg-amber-50/80 px-4 py-3 flex items-start gap-3 text-sm text-amber-800">
+        <AlertTriangle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+        <p>
+          Bu kodlar yalnızca şimdi gösterilir. Telefonunuza erişemezseniz her kodu bir kez kullanarak giriş yapabilirsiniz; güvenli bir yerde saklayın.
+        </p>
+      </div>
+
+      <ul className="grid grid-cols-2 gap-2 rounded-2xl border border-slate-200 bg-slate-50 p-4">
+        {codes.map((code) => (
+          <li key={code} className="font-mono text-sm tracking-wider text-slate-900 text-center">
+            {code}
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex flex-wrap gap-3">
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="inline-flex items-center gap-1 rounded-xl px-3 py-1.5 text-sm font-medium text-blue-700 hover:bg-blue-50 transition"
+        >
+          <Copy className="w-4 h-4" />
+          Kopyala
+        </button>
+        <button
+          type="button"
+          onClick={handleDownload}
+          className="inline-flex items-center gap-1 rounded-xl px-3 py-1.5 text-sm font-medium text-blue-700 hover:bg-blue-50 transition"
+        >
+          <Download className="w-4 h-4" />
+          İndir (.txt)
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryCodesList;
@@ -0,0 +1,286 @@
+/**
+ * TwoFactorSection - İki Adımlı Doğrulama
+ *
+ * Hastane ve admin Ayarlar sayfalarında kullanılır. Doğrulayıcı uygulama
+ * (TOTP) kurulumunu başlatır, ilk kodla etkinleştirir ve tek kullanımlık
+ * kurtarma kodlarını gösterir. Etkinse kurtarma kodları yenilenebilir; admin
+ * hesaplarında zorunlu olduğundan kapatma seçeneği gösterilmez.
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState } from 'react';
+import { KeyRound, ShieldCheck } from 'lucide-react';
+import {
+  useTwoFactorStatus,
+  useSetupTwoFactor,
+  useEnableTwoFactor,
+  useDisableTwoFactor,
+  useRegenerateRecoveryCodes
+} from '../api/useAuth';
+import { formatDateTime } from '@/utils/dateUtils';
+import TwoFactorSetupDetails from './TwoFactorSetupDetails';
+import RecoveryCodesList from './RecoveryCodesList';
+
+const inputClassName = 'w-full rounded-2xl border border-slate-200 bg-white/70 py-3 px-4 text-slate-900 shadow-sm focus:border-blue-500 focus:ring-2 focus:ring-blue-500/40';
+
+const TwoFactorSection = () => {
+  const { data: status, isLoading } = useTwoFactorStatus();
+  const setupMutation = useSetupTwoFactor();
+  const enableMutation = useEnableTwoFactor();
+  const disableMutation = useDisableTwoFactor();
+  const regenerateMutation = useRegenerateRecoveryCodes();
+
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [action, setAction] = useState(null); // 'regenerate' | 'disable'
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [formError, setFormError] = useState('');
+
+  const resetForm = () => {
+    setAction(null);
+    setCode('');
+    setPassword('');
+    setFormError('');
+  };
+
+  const handleError = (error) => {
+    setFormError(error?.response?.data?.message || 'İşlem tamamlanamadı');
+  };
+
+  const handleStartSetup = () => {
+    setRecoveryCodes(null);
+    setupMutation.mutate(undefined, {
+      onSuccess: (data) => {
+        setSetup(data);
+        resetForm();
+      }
+    });
+  };
+
+  const handleEnable = (event) => {
+    event.preventDefault();
+    enableMutation.mutate(code.trim(), {
+      onSuccess: (data) => {
+        setSetup(null);
+        setRecoveryCodes(data?.recovery_codes || []);
+        resetForm();
+      },
+      onError: handleError
+    });
+  };
+
+  const handleRegenerate = (event) => {
+    event.preventDefault();
+    regenerateMutation.mutate(code.trim(), {
+      onSuccess: (data) => {
+        setRecoveryCodes(data?.recovery_codes || []);
+        resetForm();
+      },
+      onError: handleError
+    });
+  };
+
+  const handleDisable = (event) => {
+    event.preventDefault();
+    disableMutation.mutate({ password, code: code.trim() }, {
+      onSuccess: () => {
+        setRecoveryCodes(null);
+        resetForm();
+      },
+      onError: handleError
+    });
+  };
+
+  const renderCodeInput = () => (
+    <label className="flex flex-col gap-2 text-sm font-medium text-slate-700">
+      Doğrulama kodu
+      <input
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        maxLength={6}
+        value={code}
+        onChange={(e) => {
+          setCode(e.target.value.replace(/\D/g, ''));
+          if (formError) setFormError('');
+        }}
+        placeholder="123456"
+        className={`${inputClassName} font-mono tracking-widest`}
+        required
+      />
+    </label>
+  );
+
+  const renderFormError = () => formError && (
+    <div className="rounded-2xl border border-red-200 bg-red-50/90 px-4 py-3 text-sm text-red-700">
+      {formError}
+    </div>
+  );
+
+  const renderBody = () => {
+    if (isLoading) {
+      return <p className="text-sm text-slate-500">Yükleniyor...</p>;
+    }
+
+    if (recoveryCodes) {
+      return (
+        <div className="space-y-4">
+          <RecoveryCodesList codes={recoveryCodes} />
+          <button
+            type="button"
+            onClick={() => setRecoveryCodes(null)}
+            className="rounded-2xl bg-blue-600 px-6 py-3 text-white font-semibold shadow-lg shadow-blue-600/30 transition hover:bg-blue-700"
+          >
+            Kodları kaydettim
+          </button>
+        </div>
+      );
+    }
+
+    if (setup) {
+      return (
+        <form className="space-y-4" onSubmit={handleEnable}>
+          <TwoFactorSetupDetails secret={setup.secret} otpauthUri={setup.otpauth_uri} />
+          {renderCodeInput()}
+          {renderFormError()}
+          <div className="flex flex-wrap gap-3">
+            <button
+              type="submit"
+              disabled={code.length !== 6 || enableMutation.isPending}
+              className="rounded-2xl bg-blue-600 px-6 py-3 text-white font-semibold shadow-lg shadow-blue-600/30 transition hover:bg-blue-700 disabled:cursor-not-allowed disabled:opacity-60"
+            >
+              {enableMutation.isPending ? 'Doğrulanıyor...' : 'Etkinleştir'}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setSetup(null);
+                resetForm();
+              }}
+              className="rounded-2xl px-6 py-3 text-sm font-medium text-slate-600 hover:bg-slate-100 transition"
+            >
+              Vazgeç
+            </button>
+          </div>
+        </form>
+      );
+    }
+
+    if (!status?.enabled) {
+      return (
+        <div className="space-y-4">
+          <p className="text-sm text-slate-600">
+            İki adımlı doğrulama kapalı. Etkinleştirdiğinizde girişte şifrenizin yanında doğrulayıcı uygulamadaki kod da istenir.
+          </p>
+          <button
+            type="button"
+            onClick={handleStartSetup}
+            disabled={setupMutation.isPending}
+            className="rounded-2xl bg-blue-600 px-6 py-3 text-white font-semibold shadow-lg shadow-blue-600/30 transition hover:bg-blue-700 disabled:cursor-not-allowed disabled:opacity-60"
+          >
+            {setupMutation.isPending ? 'Hazırlanıyor...' : 'Kurulumu başlat'}
+          </button>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-4">
+        <div className="rounded-2xl border border-emerald-200 bg-emerald-50/80 px-4 py-3 text-sm text-emerald-800 space-y-1">
+          <p className="font-semibold">
+            Etkin{status.enabled_at ? ` · ${formatDateTime(status.enabled_at)}` : ''}
+          </p>
+          <p>Kalan kurtarma kodu: {status.recovery_codes_remaining}</p>
+          {status.required && <p>Yönetici hesaplarında iki adımlı doğrulama zorunludur.</p>}
+        </div>
+
+        {action ? (
+          <form className="space-y-4" onSubmit={action === 'disable' ? handleDisable : handleRegenerate}>
+            {action === 'disable' && (
+              <label className="flex flex-col gap-2 text-sm font-medium text-slate-700">
+                Mevcut şifre
+                <input
+                  type="password"
+                  autoComplete="current-password"
+                  value={password}
+                  onChange={(e) => {
+                    setPassword(e.target.value);
+                    if (formError) setFormError('');
+                  }}
+                  className={inputClassName}
+                  required
+                />
+              </label>
+            )}
+            {renderCodeInput()}
+            {renderFormError()}
+            <div className="flex flex-wrap gap-3">
+              <button
+                type="submit"
+                disabled={code.length !== 6 || disableMutation.isPending || regenerateMutation.isPending}
+                className={`rounded-2xl px-6 py-3 text-white font-semibold shadow-lg transition disabled:cursor-not-allowed disabled:opacity-60 ${
+                  action === 'disable'
+                    ? 'bg-red-600 shadow-red-600/30 hover:bg-red-700'
+                    : 'bg-blue-600 shadow-blue-600/30 hover:bg-blue-700'
+                }`}
+              >
+                {action === 'disable' ? 'Kapat' : 'Yeni kodlar oluştur'}
+              </button>
+              <button
+                type="button"
+                onClick={resetForm}
+                className="rounded-2xl px-6 py-3 text-sm font-medium text-slate-600 hover:bg-slate-100 transition"
+              >
+                Vazgeç
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="flex flex-wrap gap-3">
+            <button
+              type="button"
+              onClick={() => setAction('regenerate')}
+              className="inline-flex items-center gap-2 rounded-2xl border border-blue-600 px-5 py-2.5 text-sm font-semibold text-blue-700 transition hover:bg-blue-50"
+            >
+              <KeyRound className="w-4 h-4" />
+              Kurtarma kodlarını yenile
+            </button>
+            {!status.required && (
+              <button
+                type="button"
+                onClick={() => setAction('disable')}
+                className="rounded-2xl px-5 py-2.5 text-sm font-semibold text-red-600 transition hover:bg-red-50"
+              >
+                İki adımlı doğrulamayı kapat
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <section className="bg-white/90 backdrop-blur-xl rounded-2xl md:rounded-3xl shadow-2xl border border-white/40 p-5 md:p-8 space-y-6">
+      <div className="flex items-start gap-4">
+        <div className="p-3 rounded-2xl bg-indigo-100 text-indigo-700">
+          <ShieldCheck className="w-6 h-6" />
+        </div>
+        <div className="space-y-1">
+          <h2 className="text-xl font-semibold text-slate-900">İki Adımlı Doğrulama</h2>
+          <p className="text-sm text-slate-600">
+            Şifreniz ele geçirilse bile hesabınıza yalnızca telefonunuzdaki doğrulayıcı uygulamayla giriş yapılabilir.
+          </p>
+        </div>
+      </div>
+
+      {renderBody()}
+    </section>
+  );
+};
+
+export default TwoFactorSection;
@@ -0,0 +1,75 @@
+/**
+ * TwoFactorSetupDetails - Doğrulayıcı uygulama kurulum bilgileri
+ *
+ * Ayarlar sayfasındaki TwoFactorSection ve giriş sayfasındaki zorunlu kurulum
+ * adımında kullanılır. Backend'in döndürdüğü otpauth:// provisioning URI'si
+ * (QR kodunun içeriği) doğrulayıcı uygulamada açılacak bağlantı olarak, gizli
+ * anahtar da elle giriş için gruplanmış şekilde gösterilir.
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React from 'react';
+import { Copy, ExternalLink } from 'lucide-react';
+import useUiStore from '@/store/uiStore';
+
+const groupSecret = (secret = '') => secret.match(/.{1,4}/g)?.join(' ') || '';
+
+const TwoFactorSetupDetails = ({ secret, otpauthUri }) => {
+  const { showSuccess, showError } = useUiStore();
+
+  const copyToClipboard = async (value) => {
+    try {
+      await navigator.clipboard.writeText(value);
+      showSuccess('Panoya kopyalandı');
+    } catch {
+      showError('Kopyalanamadı, lütfen elle seçin');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <ol className="list-decimal pl-5 space-y-1 text-sm text-slate-600">
+        <li>Telefonunuza Google Authenticator, Microsoft Authenticator veya benzeri bir uygulama kurun.</li>
+        <li>Aşağıdaki bağlantıyı telefonda açın ya da anahtarı uygulamaya elle girin.</li>
+        <li>Uygulamanın gösterdiği 6 haneli kodu girerek kurulumu tamamlayın.</li>
+      </ol>
+
+      <div className="rounded-2xl border border-slate-200 bg-slate-50 p-4 space-y-3">
+        <p className="text-xs font-semibold uppercase tracking-wider text-slate-500">Kurulum anahtarı</p>
+        <div className="flex flex-wrap items-center gap-3">
+          <code className="font-mono text-base tracking-wider text-slate-900 break-all">{groupSecret(secret)}</code>
+          <button
+            type="button"
+            onClick={() => copyToClipboard(secret)}
+            className="inline-flex items-center gap-1 rounded-xl px-3 py-1.5 text-xs font-medium text-blue-700 hover:bg-blue-50 transition"
+          >
+            <Copy className="w-4 h-4" />
+            Kopyala
+          </button>
+        </div>
+        <div className="flex flex-wrap gap-3">
+          <a
+            href={otpauthUri}
+            className="inline-flex items-center gap-1 rounded-xl border border-blue-600 px-3 py-1.5 text-xs font-semibold text-blue-700 hover:bg-blue-50 transition"
+          >
+            <ExternalLink className="w-4 h-4" />
+            Doğrulayıcı uygulamada aç
+          </a>
+          <button
+            type="button"
+            onClick={() => copyToClipboard(otpauthUri)}
+            className="inline-flex items-center gap-1 rounded-xl px-3 py-1.5 text-xs font-medium text-slate-600 hover:bg-slate-100 transition"
+          >
+            <Copy className="w-4 h-4" />
+            Kurulum bağlantısını kopyala
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorSetupDetails;
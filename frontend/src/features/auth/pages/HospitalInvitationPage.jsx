@@ -0,0 +1,141 @@
+/**
+ * @file HospitalInvitationPage.jsx
+ * @description Hastane ekip daveti sayfası - Hesap sahibinin gönderdiği davet bağlantısı buraya gelir.
+ * Davet bilgileri token ile getirilir; davetli ad soyad ve şifre belirleyerek üye hesabını oluşturur.
+ * Hesap davet edilen e-posta adresiyle açılır; ayrıca admin onayı veya e-posta doğrulaması gerekmez.
+ */
+
+import React, { useMemo, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Users, AlertTriangle } from 'lucide-react';
+import { useHospitalInvitation, useAcceptHospitalInvitation } from '../api/useAuth';
+import { ROUTE_CONFIG } from '@config/routes.js';
+import { formatDateTime } from '@/utils/dateUtils';
+
+const HospitalInvitationPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = useMemo(() => searchParams.get('token') || '', [searchParams]);
+  const { data: invitation, isLoading, isError, error } = useHospitalInvitation(token);
+  const acceptMutation = useAcceptHospitalInvitation();
+
+  const [formData, setFormData] = useState({
+    full_name: '',
+    password: '',
+    confirmPassword: ''
+  });
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    acceptMutation.mutate({ token, ...formData, full_name: formData.full_name.trim() });
+  };
+
+  const invalid = !token || isError;
+  const errorMessage = error?.response?.data?.message || 'Davet bağlantısı geçersiz veya süresi dolmuş olabilir.';
+
+  return (
+    <div className="w-full min-h-screen flex items-center justify-center p-6 bg-gradient-to-br from-blue-50 via-indigo-50 to-blue-100">
+      <div className="max-w-md w-full bg-white/90 backdrop-blur-xl rounded-3xl shadow-2xl border border-white/40 p-8 space-y-5">
+        <div className="text-center space-y-3">
+          <div className="mx-auto w-16 h-16 rounded-2xl bg-blue-50 flex items-center justify-center">
+            {invalid ? (
+              <AlertTriangle className="w-8 h-8 text-red-600" />
+            ) : (
+              <Users className="w-8 h-8 text-blue-600" />
+            )}
+          </div>
+
+          {invalid ? (
+            <>
+              <h1 className="text-2xl font-bold text-slate-900">Davet kullanılamıyor</h1>
+              <p className="text-sm text-slate-600">
+                {token ? errorMessage : 'Davet bağlantısı eksik. Lütfen e-postanızdaki bağlantıyı kullanın.'}
+              </p>
+            </>
+          ) : isLoading ? (
+            <h1 className="text-2xl font-bold text-slate-900">Davet bilgileri yükleniyor...</h1>
+          ) : (
+            <>
+              <h1 className="text-2xl font-bold text-slate-900">{invitation?.institution_name} ekibine katılın</h1>
+              <p className="text-sm text-slate-600">
+                <span className="font-medium text-slate-800">{invitation?.email}</span> adresi{' '}
+                <span className="font-medium text-slate-800">{invitation?.role_label}</span> rolüyle davet edildi.
+              </p>
+              {invitation?.expires_at && (
+                <p className="text-xs text-slate-500">Son geçerlilik: {formatDateTime(invitation.expires_at)}</p>
+              )}
+            </>
+          )}
+        </div>
+
+        {!invalid && !isLoading && (
+          <form onSubmit={handleSubmit} className="space-y-3 text-left">
+            <label className="flex flex-col gap-1 text-sm text-slate-600">
+              Ad Soyad
+              <input
+                type="text"
+                name="full_name"
+                value={formData.full_name}
+                onChange={handleInputChange}
+                placeholder="Adınız ve soyadınız"
+                className="rounded-xl border border-slate-300 px-3 py-2 text-slate-900"
+                required
+              />
+            </label>
+            <label className="flex flex-col gap-1 text-sm text-slate-600">
+              Şifre
+              <input
+                type="password"
+                name="password"
+                value={formData.password}
+                onChange={handleInputChange}
+                placeholder="Şifrenizi belirleyin"
+                autoComplete="new-password"
+                className="rounded-xl border border-slate-300 px-3 py-2 text-slate-900"
+                required
+              />
+            </label>
+            <label className="flex flex-col gap-1 text-sm text-slate-600">
+              Şifre Tekrarı
+              <input
+                type="password"
+                name="confirmPassword"
+                value={formData.confirmPassword}
+                onChange={handleInputChange}
+                placeholder="Şifrenizi tekrar girin"
+                autoComplete="new-password"
+                className="rounded-xl border border-slate-300 px-3 py-2 text-slate-900"
+                required
+              />
+            </label>
+            <p className="text-xs text-slate-500">
+              Şifreniz en az 6 karakter olmalı ve büyük harf, küçük harf, rakam ve özel karakter içermelidir.
+            </p>
+            <button
+              type="submit"
+              disabled={acceptMutation.isPending}
+              className="w-full inline-flex items-center justify-center rounded-2xl bg-blue-600 px-6 py-3 text-white font-semibold shadow-lg shadow-blue-600/30 transition hover:bg-blue-700 disabled:cursor-not-allowed disabled:opacity-60"
+            >
+              {acceptMutation.isPending ? 'Hesap oluşturuluyor...' : 'Daveti Kabul Et'}
+            </button>
+          </form>
+        )}
+
+        <div className="text-center">
+          <Link
+            to={ROUTE_CONFIG.PUBLIC.LOGIN}
+            className="text-sm font-semibold text-blue-700 underline-offset-4 hover:underline"
+          >
+            Giriş sayfasına dön
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HospitalInvitationPage;
@@ -1,12 +1,14 @@
 /**
  * @file LoginPage.jsx
  * @description Giriş Sayfası - Kullanıcı kimlik doğrulama sayfası
+ * İki adımlı doğrulama gerekiyorsa şifre adımından sonra doğrulayıcı kodu (veya kurtarma kodu)
+ * istenir; admin hesabında henüz kurulum yoksa kurulum bu sayfada tamamlanır.
  */
 
 import React, { useMemo, useRef, useState, useEffect, useCallback } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
-import { FiEye, FiEyeOff, FiMail, FiLock, FiArrowLeft } from 'react-icons/fi';
-import { useLogin } from '../api/useAuth';
+import { FiEye, FiEyeOff, FiMail, FiLock, FiArrowLeft, FiShield } from 'react-icons/fi';
+import { useLogin, useLoginTwoFactor, useLoginTwoFactorSetup } from '../api/useAuth';
 import useAuthStore from '@/store/authStore';
 import useUiStore from '@/store/uiStore';
 import { ROUTE_CONFIG } from '@config/routes.js';
@@ -15,6 +17,8 @@ import { ButtonSpinner } from '@/components/ui/LoadingSpinner';
 import { ModalContainer } from '@/components/ui/ModalContainer';
 import { APP_CONFIG } from '@config/app.js';
 import logger from '@/utils/logger';
+import TwoFactorSetupDetails from '../components/TwoFactorSetupDetails';
+import RecoveryCodesList from '../components/RecoveryCodesList';
 
 const INITIAL_MODAL_STATE = {
   show: false,
@@ -28,6 +32,8 @@ const LoginPage = () => {
   const { isAuthenticated, user } = useAuthStore();
   const { showSuccess } = useUiStore();
   const loginMutation = useLogin();
+  const twoFactorMutation = useLoginTwoFactor();
+  const twoFactorSetupMutation = useLoginTwoFactorSetup();
   const hasPromptedStoreRef = useRef(false);
   const [storeModalOpen, setStoreModalOpen] = useState(false);
 
@@ -38,6 +44,12 @@ const LoginPage = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [errorModal, setErrorModal] = useState(INITIAL_MODAL_STATE);
   const [formError, setFormError] = useState('');
+  // İki adımlı doğrulama: { challengeToken, enrollmentRequired } - şifre adımı geçildiğinde dolar
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  // Girişte kurulum tamamlandığında kurtarma kodları gösterilene kadar oturum açılmaz
+  const [pendingLogin, setPendingLogin] = useState(null);
 
   const closeModal = useCallback(() => {
     setErrorModal(INITIAL_MODAL_STATE);
@@ -205,6 +217,19 @@ const LoginPage = () => {
 
     
     loginMutation.mutate(validatedData, {
+      onSuccess: (res) => {
+        if (!res?.data?.two_factor_required) return;
+
+        const { challengeToken, enrollment_required: enrollmentRequired } = res.data;
+        setTwoFactor({ challengeToken, enrollmentRequired });
+        setTwoFactorCode('');
+        setUseRecoveryCode(false);
+        if (enrollmentRequired) {
+          twoFactorSetupMutation.mutate(challengeToken, {
+            onError: (error) => setFormError(error.response?.data?.message || 'Kurulum başlatılamadı')
+          });
+        }
+      },
       onError: (error) => {
         // Admin onayı bekleyen kullanıcı için sadece form hatası göster (modal değil)
         const errorMessage = error.response?.data?.message || error.message || '';
@@ -237,6 +262,165 @@ const LoginPage = () => {
     }
   };
 
+  const resetTwoFactor = (message = '') => {
+    setTwoFactor(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setPendingLogin(null);
+    twoFactorSetupMutation.reset();
+    setFormError(message);
+  };
+
+  const handleTwoFactorSubmit = (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    const value = twoFactorCode.trim();
+    const payload = useRecoveryCode
+      ? { challengeToken: twoFactor.challengeToken, recoveryCode: value }
+      : { challengeToken: twoFactor.challengeToken, code: value };
+
+    twoFactorMutation.mutate(payload, {
+      onSuccess: (res) => {
+        if (res?.data?.recovery_codes) {
+          setPendingLogin(res.data);
+        }
+      },
+      onError: (error) => {
+        const message = error.response?.data?.message || 'Doğrulama başarısız';
+        if (error.response?.status === 401 && message.includes('süresi doldu')) {
+          resetTwoFactor(message);
+          return;
+        }
+        setFormError(message);
+      }
+    });
+  };
+
+  const handleFinishEnrollment = () => {
+    const { login } = useAuthStore.getState();
+    login(pendingLogin.user, pendingLogin.tokens);
+    setPendingLogin(null);
+    showSuccess('İki adımlı doğrulama etkinleştirildi. Yönlendiriliyorsunuz...');
+  };
+
+  const renderFormError = () => formError && (
+    <div className="bg-red-500/20 border border-red-500/30 rounded-xl p-4 backdrop-blur-sm">
+      <p className="text-sm text-gray-900">{formError}</p>
+    </div>
+  );
+
+  const renderTwoFactorStep = () => {
+    if (pendingLogin) {
+      return (
+        <div className="space-y-6">
+          <div>
+            <h2 className="text-lg font-semibold text-slate-900">Kurtarma kodlarınız</h2>
+            <p className="text-sm text-slate-600 mt-1">
+              İki adımlı doğrulama etkinleştirildi. Telefonunuza erişemediğinizde bu kodlarla giriş yapabilirsiniz.
+            </p>
+          </div>
+          <RecoveryCodesList codes={pendingLogin.recovery_codes} />
+          <button type="button" onClick={handleFinishEnrollment} className="w-full modern-btn-primary text-lg">
+            Kodları kaydettim, devam et
+          </button>
+        </div>
+      );
+    }
+
+    const setupData = twoFactorSetupMutation.data;
+    const isEnrollment = twoFactor.enrollmentRequired;
+
+    return (
+      <form onSubmit={handleTwoFactorSubmit} className="space-y-6">
+        <div className="flex items-start gap-3">
+          <FiShield className="h-6 w-6 text-blue-600 flex-shrink-0 mt-0.5" />
+          <div>
+            <h2 className="text-lg font-semibold text-slate-900">
+              {isEnrollment ? 'İki adımlı doğrulamayı kurun' : 'İki adımlı doğrulama'}
+            </h2>
+            <p className="text-sm text-slate-600 mt-1">
+              {isEnrollment
+                ? 'Yönetici hesaplarında iki adımlı doğrulama zorunludur. Devam etmek için doğrulayıcı uygulamanızı bağlayın.'
+                : useRecoveryCode
+                  ? 'Kaydettiğiniz kurtarma kodlarından birini girin. Her kod yalnızca bir kez kullanılabilir.'
+                  : 'Doğrulayıcı uygulamanızdaki 6 haneli kodu girin.'}
+            </p>
+          </div>
+        </div>
+
+        {isEnrollment && (
+          twoFactorSetupMutation.isPending
+            ? <p className="text-sm text-slate-500">Kurulum hazırlanıyor...</p>
+            : setupData && <TwoFactorSetupDetails secret={setupData.secret} otpauthUri={setupData.otpauth_uri} />
+        )}
+
+        <div>
+          <label className="modern-form-label">
+            {useRecoveryCode ? 'Kurtarma Kodu' : 'Doğrulama Kodu'}
+          </label>
+          <input
+            type="text"
+            name="twoFactorCode"
+            value={twoFactorCode}
+            onChange={(e) => {
+              setTwoFactorCode(useRecoveryCode ? e.target.value : e.target.value.replace(/\D/g, ''));
+              if (formError) setFormError('');
+            }}
+            placeholder={useRecoveryCode ? 'XXXXX-XXXXX' : '123456'}
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            autoComplete="one-time-code"
+            maxLength={useRecoveryCode ? 11 : 6}
+            className="modern-form-input font-mono tracking-widest"
+            disabled={twoFactorMutation.isPending}
+            autoFocus
+            required
+          />
+        </div>
+
+        {renderFormError()}
+
+        <button
+          type="submit"
+          disabled={twoFactorMutation.isPending || (isEnrollment && !setupData)}
+          className="w-full modern-btn-primary text-lg disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {twoFactorMutation.isPending ? (
+            <div className="flex items-center justify-center">
+              <ButtonSpinner />
+              Doğrulanıyor...
+            </div>
+          ) : (
+            isEnrollment ? 'Kurulumu Tamamla' : 'Doğrula'
+          )}
+        </button>
+
+        <div className="flex flex-wrap justify-between gap-3 text-sm">
+          {!isEnrollment && (
+            <button
+              type="button"
+              onClick={() => {
+                setUseRecoveryCode((prev) => !prev);
+                setTwoFactorCode('');
+                setFormError('');
+              }}
+              className="text-blue-500 hover:text-blue-700 font-medium"
+            >
+              {useRecoveryCode ? 'Doğrulama kodu kullan' : 'Kurtarma kodu kullan'}
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() => resetTwoFactor()}
+            className="modern-text-muted hover:text-blue-800 font-medium"
+          >
+            Farklı hesapla giriş yap
+          </button>
+        </div>
+      </form>
+    );
+  };
+
   return (
     <div className="relative w-full min-h-screen flex items-center justify-center overflow-hidden bg-gradient-to-br from-blue-50 via-white to-cyan-50/30" style={{ 
       userSelect: 'text', 
@@ -266,6 +450,7 @@ const LoginPage = () => {
 
         {/* Login Form */}
         <div className="modern-card p-8">
+          {twoFactor ? renderTwoFactorStep() : (
           <form onSubmit={handleSubmit} className="space-y-6">
             {/* Email */}
             <div>
@@ -389,6 +574,7 @@ const LoginPage = () => {
             </button>
 
           </form>
+          )}
 
           {/* Footer links */}
           <div className="mt-8 text-center space-y-4">
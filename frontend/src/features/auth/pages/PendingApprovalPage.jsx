@@ -30,7 +30,12 @@ const PendingApprovalPage = () => {
               <Mail className="h-5 w-5 text-blue-600 mr-3" />
               <div>
                 <h3 className="text-sm font-medium text-blue-900">E-posta Doğrulama</h3>
-                <p className="text-sm text-blue-700">E-posta adresiniz doğrulandı</p>
+                <p className="text-sm text-blue-700">
+                  E-postanıza gönderilen bağlantıyı açın.{' '}
+                  <Link to={ROUTE_CONFIG.PUBLIC.VERIFY_EMAIL} className="underline font-medium">
+                    Yeni bağlantı iste
+                  </Link>
+                </p>
               </div>
             </div>
           </div>
@@ -54,7 +59,7 @@ const PendingApprovalPage = () => {
               <div className="w-6 h-6 bg-green-100 rounded-full flex items-center justify-center mr-3">
                 <span className="text-green-600 text-sm font-bold">1</span>
               </div>
-              <span className="text-gray-700">Hesap oluşturuldu ve e-posta doğrulandı</span>
+              <span className="text-gray-700">Hesap oluşturuldu ve e-posta doğrulama bağlantısı gönderildi</span>
             </div>
             <div className="flex items-center">
               <div className="w-6 h-6 bg-yellow-100 rounded-full flex items-center justify-center mr-3">
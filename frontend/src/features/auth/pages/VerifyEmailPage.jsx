@@ -0,0 +1,101 @@
+/**
+ * @file VerifyEmailPage.jsx
+ * @description E-posta doğrulama sayfası - Kayıt sonrası gönderilen doğrulama bağlantısı buraya gelir.
+ * Sayfa açıldığında token ile doğrulama otomatik yapılır; oturum gerektirmez.
+ * Bağlantı geçersiz veya süresi dolmuşsa yeni bağlantı istenebilir.
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { MailCheck, CheckCircle2, AlertTriangle } from 'lucide-react';
+import { useVerifyEmail, useResendVerification } from '../api/useAuth';
+import { ROUTE_CONFIG } from '@config/routes.js';
+
+const VerifyEmailPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = useMemo(() => searchParams.get('token') || '', [searchParams]);
+  const verifyMutation = useVerifyEmail();
+  const resendMutation = useResendVerification();
+  const requestedRef = useRef(false);
+  const [email, setEmail] = useState('');
+
+  useEffect(() => {
+    // StrictMode'da effect iki kez çalışır; isteği bir kez gönder
+    if (!token || requestedRef.current) return;
+    requestedRef.current = true;
+    verifyMutation.mutate(token);
+  }, [token, verifyMutation]);
+
+  const alreadyVerified = verifyMutation.data?.data?.already_verified;
+  const errorMessage =
+    verifyMutation.error?.response?.data?.message ||
+    'Bağlantı geçersiz veya süresi dolmuş olabilir.';
+
+  let icon = <MailCheck className="w-8 h-8 text-blue-600" />;
+  let title = 'E-posta adresiniz doğrulanıyor...';
+  let description = 'Lütfen bekleyin.';
+
+  if (!token) {
+    // Bağlantısız açıldıysa (örn. onay bekleme sayfasından) yalnızca yeni bağlantı isteme formu gösterilir
+    title = 'Doğrulama bağlantısı iste';
+    description = 'Kayıt olduğunuz e-posta adresini girin, size yeni bir doğrulama bağlantısı gönderelim.';
+  } else if (verifyMutation.isSuccess) {
+    icon = <CheckCircle2 className="w-8 h-8 text-emerald-600" />;
+    title = alreadyVerified ? 'E-posta adresiniz zaten doğrulanmış' : 'E-posta adresiniz doğrulandı';
+    description = 'Hesabınız admin onayından sonra kullanıma açılır; onaylandığında e-posta ile bilgilendirileceksiniz.';
+  } else if (verifyMutation.isError) {
+    icon = <AlertTriangle className="w-8 h-8 text-red-600" />;
+    title = 'Doğrulama tamamlanamadı';
+    description = errorMessage;
+  }
+
+  const canResend = !token || verifyMutation.isError;
+
+  const handleResend = (e) => {
+    e.preventDefault();
+    resendMutation.mutate({ email: email.trim() });
+  };
+
+  return (
+    <div className="w-full min-h-screen flex items-center justify-center p-6 bg-gradient-to-br from-blue-50 via-indigo-50 to-blue-100">
+      <div className="max-w-md w-full bg-white/90 backdrop-blur-xl rounded-3xl shadow-2xl border border-white/40 p-8 text-center space-y-4">
+        <div className="mx-auto w-16 h-16 rounded-2xl bg-blue-50 flex items-center justify-center">
+          {icon}
+        </div>
+        <h1 className="text-2xl font-bold text-slate-900">{title}</h1>
+        <p className="text-sm text-slate-600">{description}</p>
+
+        {canResend && (
+          <form onSubmit={handleResend} className="space-y-3 text-left">
+            <label className="flex flex-col gap-1 text-sm text-slate-600">
+              E-posta adresiniz
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="ornek@eposta.com"
+                className="rounded-xl border border-slate-300 px-3 py-2 text-slate-900"
+              />
+            </label>
+            <button
+              type="submit"
+              disabled={!email.trim() || resendMutation.isPending || resendMutation.isSuccess}
+              className="w-full inline-flex items-center justify-center rounded-2xl border border-blue-600 px-6 py-3 text-blue-700 font-semibold transition hover:bg-blue-50 disabled:cursor-not-allowed disabled:opacity-60"
+            >
+              {resendMutation.isSuccess ? 'Bağlantı gönderildi' : 'Yeni doğrulama bağlantısı gönder'}
+            </button>
+          </form>
+        )}
+
+        <Link
+          to={ROUTE_CONFIG.PUBLIC.LOGIN}
+          className="inline-flex items-center justify-center rounded-2xl bg-blue-600 px-6 py-3 text-white font-semibold shadow-lg shadow-blue-600/30 transition hover:bg-blue-700 hover:text-white"
+        >
+          Giriş Yap
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
@@ -480,6 +480,42 @@ export const useApplyToJob = () => {
   });
 };
 
+// 🔹 Kaydedilen ilanlar - SEMI_REALTIME stratejisi
+export const useFavoriteJobs = (params = {}, options = {}) => {
+  const cleanParams = Object.fromEntries(
+    Object.entries(params).filter(([key, value]) => 
+      value !== '' && value !== null && value !== undefined
+    )
+  );
+
+  return useQuery({
+    queryKey: ['doctor', 'jobs', 'favorites', cleanParams],
+    queryFn: () => apiRequest.get(ENDPOINTS.DOCTOR.FAVORITE_JOBS, { params: cleanParams }),
+    select: (res) => res.data?.data,
+    ...listQueryConfig(options),
+  });
+};
+
+export const useToggleFavoriteJob = () => {
+  const qc = useQueryClient();
+  return useMutation({
+    mutationFn: ({ jobId, isFavorite }) => {
+      const endpoint = buildEndpoint(ENDPOINTS.DOCTOR.JOB_FAVORITE, { id: jobId });
+      // Zaten kayıtlıysa çıkar, değilse kaydet
+      return isFavorite ? apiRequest.delete(endpoint) : apiRequest.post(endpoint);
+    },
+    onSuccess: (_, { jobId, isFavorite }) => {
+      // ['doctor', 'jobs'] prefix'i kaydedilenler listesini de kapsar
+      qc.invalidateQueries({ queryKey: ['doctor', 'jobs'], exact: false });
+      qc.invalidateQueries({ queryKey: ['doctor', 'job', jobId] });
+      showToast.success(isFavorite ? toastMessages.job.unfavoriteSuccess : toastMessages.job.favoriteSuccess);
+    },
+    onError: (error) => {
+      showToast.error(error, { defaultMessage: toastMessages.job.favoriteError });
+    },
+  });
+};
+
 // 🔹 Başvurular - REALTIME stratejisi (durum değişiklikleri hemen görünsün)
 export const useMyApplications = (params = {}) => {
   // Boş parametreleri filtrele
@@ -701,6 +737,200 @@ export const useDeactivateDoctorAccount = () => {
   });
 };
 
+// ============================================================================
+// KİŞİSEL VERİ DIŞA AKTARMA (KVKK/GDPR)
+// ============================================================================
+
+/**
+ * Veri dışa aktarma taleplerini getir
+ * @description Hazırlanmakta olan talep varsa durum güncellenene kadar 15 saniyede bir yenilenir
+ */
+export const useDataExports = () => {
+  const { user } = useAuthStore();
+  const isDoctor = user?.role === 'doctor';
+
+  return useQuery({
+    queryKey: ['doctor', 'data-exports', user?.id],
+    queryFn: async () => {
+      const response = await apiRequest.get(ENDPOINTS.DOCTOR.DATA_EXPORT);
+      return response.data?.data?.exports || [];
+    },
+    enabled: !!user?.id && isDoctor,
+    refetchInterval: (query) => {
+      const exports = query.state.data || [];
+      return exports.some((item) => ['pending', 'processing'].includes(item.status)) ? 15000 : false;
+    },
+  });
+};
+
+/**
+ * Yeni veri dışa aktarma talebi oluştur
+ */
+export const useRequestDataExport = () => {
+  const qc = useQueryClient();
+  return useMutation({
+    mutationFn: () => apiRequest.post(ENDPOINTS.DOCTOR.DATA_EXPORT),
+    onSuccess: () => {
+      qc.invalidateQueries({ queryKey: ['doctor', 'data-exports'] });
+      showToast.success(toastMessages.account.dataExportRequested);
+    },
+    onError: (err) => {
+      showToast.error(err, { defaultMessage: toastMessages.account.dataExportError });
+    },
+  });
+};
+
+/**
+ * Hazır veri dışa aktarma ZIP dosyasını indirir
+ * Backend: GET /api/doctor/account/data-export/:id/download
+ * @param {number} exportId - Dışa aktarma talebi ID'si
+ */
+export const downloadDataExport = async (exportId) => {
+  try {
+    const response = await apiRequest.get(
+      buildEndpoint(ENDPOINTS.DOCTOR.DATA_EXPORT_DOWNLOAD, { id: exportId }),
+      { responseType: 'blob' }
+    );
+
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `medikariyer-verilerim-${exportId}.zip`;
+    document.body.appendChild(link);
+    link.click();
+
+    setTimeout(() => {
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    }, 100);
+  } catch (error) {
+    showToast.error(error, { defaultMessage: toastMessages.account.dataExportDownloadError });
+  }
+};
+
+/**
+ * Doktorun CV'sini PDF olarak indirir
+ * Backend: GET /api/doctor/profile/cv.pdf?template=&lang=
+ * @param {Object} options
+ * @param {'classic'|'compact'} [options.template='classic'] - CV şablonu
+ * @param {'tr'|'en'} [options.lang='tr'] - Etiket dili
+ */
+export const downloadDoctorCv = async ({ template = 'classic', lang = 'tr' } = {}) => {
+  try {
+    const response = await apiRequest.get(ENDPOINTS.DOCTOR.CV_PDF, {
+      params: { template, lang },
+      responseType: 'blob'
+    });
+
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `medikariyer-cv-${template}-${lang}.pdf`;
+    document.body.appendChild(link);
+    link.click();
+
+    setTimeout(() => {
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    }, 100);
+  } catch (error) {
+    showToast.error(error, { defaultMessage: toastMessages.account.cvDownloadError });
+  }
+};
+
+// ============================================================================
+// PROFİL GİZLİLİK AYARLARI
+// ============================================================================
+
+/**
+ * Profil gizlilik ayarlarını getir
+ * @description { profile_visibility, hide_phone, hide_email, blocked_hospitals }
+ */
+export const useDoctorPrivacySettings = () => {
+  const { user } = useAuthStore();
+  const isDoctor = user?.role === 'doctor';
+
+  return useQuery({
+    queryKey: ['doctor', 'privacy', user?.id],
+    queryFn: async () => {
+      const response = await apiRequest.get(ENDPOINTS.DOCTOR.PRIVACY);
+      return response.data?.data;
+    },
+    enabled: !!user?.id && isDoctor,
+  });
+};
+
+/**
+ * Görünürlük ve iletişim bilgisi gizleme ayarlarını güncelle
+ */
+export const useUpdateDoctorPrivacySettings = () => {
+  const qc = useQueryClient();
+  return useMutation({
+    mutationFn: (data) => apiRequest.put(ENDPOINTS.DOCTOR.PRIVACY, data),
+    onSuccess: () => {
+      qc.invalidateQueries({ queryKey: ['doctor', 'privacy'] });
+      showToast.success(toastMessages.account.privacyUpdateSuccess);
+    },
+    onError: (err) => {
+      showToast.error(err, { defaultMessage: toastMessages.account.privacyUpdateError });
+    },
+  });
+};
+
+/**
+ * Engellenecek hastaneleri kurum adına göre ara
+ * @param {string} search - Kurum adı
+ */
+export const usePrivacyHospitalSearch = (search) => {
+  const { user } = useAuthStore();
+  const trimmedSearch = (search || '').trim();
+
+  return useQuery({
+    queryKey: ['doctor', 'privacy', 'hospitals', trimmedSearch],
+    queryFn: async () => {
+      const response = await apiRequest.get(ENDPOINTS.DOCTOR.PRIVACY_HOSPITALS, {
+        params: { search: trimmedSearch }
+      });
+      return response.data?.data || [];
+    },
+    enabled: !!user?.id && user?.role === 'doctor' && trimmedSearch.length >= 2,
+  });
+};
+
+/**
+ * Hastaneyi engelle
+ */
+export const useBlockHospital = () => {
+  const qc = useQueryClient();
+  return useMutation({
+    mutationFn: (hospitalId) => apiRequest.post(ENDPOINTS.DOCTOR.PRIVACY_BLOCKED_HOSPITALS, { hospital_id: hospitalId }),
+    onSuccess: () => {
+      qc.invalidateQueries({ queryKey: ['doctor', 'privacy'] });
+      showToast.success(toastMessages.account.hospitalBlocked);
+    },
+    onError: (err) => {
+      showToast.error(err, { defaultMessage: toastMessages.account.hospitalBlockError });
+    },
+  });
+};
+
+/**
+ * Hastane engelini kaldır
+ */
+export const useUnblockHospital = () => {
+  const qc = useQueryClient();
+  return useMutation({
+    mutationFn: (hospitalId) => apiRequest.delete(buildEndpoint(ENDPOINTS.DOCTOR.PRIVACY_BLOCKED_HOSPITAL, { hospitalId })),
+    onSuccess: () => {
+      qc.invalidateQueries({ queryKey: ['doctor', 'privacy'] });
+      showToast.success(toastMessages.account.hospitalUnblocked);
+    },
+    onError: (err) => {
+      showToast.error(err, { defaultMessage: toastMessages.account.hospitalBlockError });
+    },
+  });
+};
+
 export default {
   // Profil hook'ları
   useDoctorProfile,
@@ -738,6 +968,8 @@ export default {
   useDoctorJobs,
   useDoctorJobDetail,
   useApplyToJob,
+  useFavoriteJobs,
+  useToggleFavoriteJob,
   
   // Başvuru hook'ları
   useMyApplications,
@@ -750,4 +982,13 @@ export default {
   usePhotoRequestStatus,
   usePhotoRequestHistory,
   useCancelPhotoRequest,
+
+  // Kişisel veri dışa aktarma
+  useDataExports,
+  useRequestDataExport,
+  useDoctorPrivacySettings,
+  useUpdateDoctorPrivacySettings,
+  usePrivacyHospitalSearch,
+  useBlockHospital,
+  useUnblockHospital,
 };
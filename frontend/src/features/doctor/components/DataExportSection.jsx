@@ -0,0 +1,119 @@
+/**
+ * DataExportSection - Verilerimi İndir
+ *
+ * Doktor Ayarlar sayfasında gösterilir. Doktor, platformda tutulan kişisel
+ * verilerinin (profil, eğitim, deneyim, sertifika, dil, başvurular, bildirimler,
+ * fotoğraf talepleri ve HTML profil özeti) ZIP olarak hazırlanmasını talep eder. ZIP arka
+ * planda hazırlanır; hazır olunca bildirim gelir ve dosya buradan indirilir.
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState } from 'react';
+import { Download, FileArchive } from 'lucide-react';
+import { useDataExports, useRequestDataExport, downloadDataExport } from '../api/useDoctor';
+import { formatDateTime } from '@/utils/dateUtils';
+
+const STATUS_LABELS = {
+  pending: 'Sırada',
+  processing: 'Hazırlanıyor',
+  ready: 'Hazır',
+  failed: 'Başarısız',
+  expired: 'Süresi doldu'
+};
+
+const STATUS_CLASSES = {
+  pending: 'bg-slate-100 text-slate-700',
+  processing: 'bg-blue-100 text-blue-700',
+  ready: 'bg-emerald-100 text-emerald-700',
+  failed: 'bg-red-100 text-red-700',
+  expired: 'bg-slate-100 text-slate-500'
+};
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const DataExportSection = () => {
+  const { data: exportRequests = [], isLoading } = useDataExports();
+  const requestExport = useRequestDataExport();
+  const [downloadingId, setDownloadingId] = useState(null);
+
+  const hasActiveRequest = exportRequests.some((item) => ['pending', 'processing'].includes(item.status));
+
+  const handleDownload = async (exportId) => {
+    setDownloadingId(exportId);
+    await downloadDataExport(exportId);
+    setDownloadingId(null);
+  };
+
+  return (
+    <section className="bg-white/90 backdrop-blur-xl rounded-2xl md:rounded-3xl shadow-2xl border border-white/40 p-5 md:p-8 space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4">
+        <div className="flex items-start gap-4">
+          <div className="p-3 rounded-2xl bg-violet-100 text-violet-700">
+            <FileArchive className="w-6 h-6" />
+          </div>
+          <div className="space-y-1">
+            <h2 className="text-xl font-semibold text-slate-900">Verilerimi İndir</h2>
+            <p className="text-sm text-slate-600">
+              Profiliniz, başvurularınız, bildirimleriniz ve profil özetiniz tek bir ZIP dosyasında hazırlanır.
+              Hazır olduğunda bildirim alırsınız; dosya 48 saat boyunca indirilebilir.
+            </p>
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={() => requestExport.mutate()}
+          disabled={hasActiveRequest || requestExport.isPending}
+          className="inline-flex items-center justify-center rounded-2xl bg-violet-600 px-5 py-2.5 text-sm font-semibold text-white shadow-lg shadow-violet-600/30 transition hover:bg-violet-700 disabled:cursor-not-allowed disabled:opacity-60"
+        >
+          {hasActiveRequest ? 'Hazırlanıyor...' : 'Dışa Aktarma Talep Et'}
+        </button>
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-slate-500">Yükleniyor...</p>
+      ) : exportRequests.length > 0 && (
+        <div className="space-y-3">
+          {exportRequests.map((item) => (
+            <div
+              key={item.id}
+              className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 rounded-2xl border border-slate-200 px-4 py-3"
+            >
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-slate-900 flex items-center gap-2">
+                  Talep: {formatDateTime(item.created_at)}
+                  <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${STATUS_CLASSES[item.status] || STATUS_CLASSES.pending}`}>
+                    {STATUS_LABELS[item.status] || item.status}
+                  </span>
+                </p>
+                <p className="text-xs text-slate-500">
+                  {item.status === 'ready' && `${formatFileSize(item.file_size)} · Son indirme tarihi: ${formatDateTime(item.expires_at)}`}
+                  {item.status === 'failed' && (item.error_message || 'Veriler hazırlanamadı. Lütfen yeniden talep edin.')}
+                </p>
+              </div>
+              {item.status === 'ready' && (
+                <button
+                  type="button"
+                  onClick={() => handleDownload(item.id)}
+                  disabled={downloadingId === item.id}
+                  className="inline-flex items-center gap-2 rounded-xl px-3 py-2 text-sm font-medium text-violet-700 hover:bg-violet-50 transition disabled:opacity-60"
+                >
+                  <Download className="w-4 h-4" />
+                  {downloadingId === item.id ? 'İndiriliyor...' : 'İndir'}
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default DataExportSection;
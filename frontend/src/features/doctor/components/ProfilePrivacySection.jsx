@@ -0,0 +1,225 @@
+/**
+ * ProfilePrivacySection - Profil Gizliliği
+ *
+ * Doktor Profil sayfasındaki "Gizlilik" sekmesinde gösterilir. Doktor, profilini
+ * hangi hastanelerin görebileceğini seçer, telefon / e-postasını başvuru yapmadığı
+ * hastanelerden gizler ve belirli hastaneleri engeller. Kurallar backend'de
+ * (doctorPrivacyService) uygulanır; başvuru yapılan hastaneler başvuru üzerinden
+ * profili ve iletişim bilgilerini görmeye devam eder.
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Ban, Eye, EyeOff, Search, ShieldCheck, Users } from 'lucide-react';
+import {
+  useDoctorPrivacySettings,
+  useUpdateDoctorPrivacySettings,
+  usePrivacyHospitalSearch,
+  useBlockHospital,
+  useUnblockHospital
+} from '../api/useDoctor';
+import { formatDate } from '@/utils/dateUtils';
+
+const VISIBILITY_OPTIONS = [
+  {
+    value: 'public',
+    label: 'Tüm hastaneler',
+    description: 'Onaylı tüm hastaneler sizi doktor listesinde görebilir ve profilinizi açabilir.',
+    icon: Eye
+  },
+  {
+    value: 'applied_only',
+    label: 'Yalnızca başvurduğum hastaneler',
+    description: 'Profiliniz yalnızca ilanına başvurduğunuz hastanelere görünür.',
+    icon: Users
+  },
+  {
+    value: 'hidden',
+    label: 'Gizli',
+    description: 'Doktor listelerinde görünmezsiniz. Başvurduğunuz hastaneler başvurunuz üzerinden profilinizi görebilir.',
+    icon: EyeOff
+  }
+];
+
+const ProfilePrivacySection = () => {
+  const { data: settings, isLoading } = useDoctorPrivacySettings();
+  const updateSettings = useUpdateDoctorPrivacySettings();
+  const blockHospital = useBlockHospital();
+  const unblockHospital = useUnblockHospital();
+
+  const [searchInput, setSearchInput] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const { data: hospitalResults = [], isFetching: isSearching } = usePrivacyHospitalSearch(debouncedSearch);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchInput), 400);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  if (isLoading || !settings) {
+    return <p className="text-sm text-gray-500">Yükleniyor...</p>;
+  }
+
+  const blockedHospitals = settings.blocked_hospitals || [];
+
+  const handleBlock = (hospitalId) => {
+    blockHospital.mutate(hospitalId, {
+      onSuccess: () => {
+        setSearchInput('');
+        setDebouncedSearch('');
+      }
+    });
+  };
+
+  return (
+    <div className="space-y-8 w-full">
+      {/* Görünürlük */}
+      <section className="space-y-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+            <ShieldCheck className="w-5 h-5 text-blue-600" />
+            Profil Görünürlüğü
+          </h3>
+          <p className="text-sm text-gray-600">Hastanelerin doktor aramasında profilinizi kimlerin görebileceğini seçin.</p>
+        </div>
+        <div className="grid gap-3 md:grid-cols-3">
+          {VISIBILITY_OPTIONS.map((option) => {
+            const Icon = option.icon;
+            const isSelected = settings.profile_visibility === option.value;
+            return (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => !isSelected && updateSettings.mutate({ profile_visibility: option.value })}
+                disabled={updateSettings.isPending}
+                className={`text-left rounded-2xl border p-4 transition-colors disabled:opacity-60 ${
+                  isSelected
+                    ? 'border-blue-600 bg-blue-50 ring-2 ring-blue-200'
+                    : 'border-gray-200 bg-white hover:border-blue-400'
+                }`}
+              >
+                <span className="flex items-center gap-2 font-medium text-gray-900">
+                  <Icon className={`w-4 h-4 ${isSelected ? 'text-blue-600' : 'text-gray-500'}`} />
+                  {option.label}
+                </span>
+                <span className="mt-1 block text-xs text-gray-600">{option.description}</span>
+              </button>
+            );
+          })}
+        </div>
+      </section>
+
+      {/* İletişim bilgisi gizleme */}
+      <section className="space-y-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">İletişim Bilgileri</h3>
+          <p className="text-sm text-gray-600">
+            Gizlenen bilgiler yalnızca başvuru yapmadığınız hastanelerden saklanır; başvurduğunuz hastaneler her zaman görür.
+          </p>
+        </div>
+        <div className="space-y-3">
+          {[
+            { key: 'hide_phone', label: 'Telefon numaramı gizle' },
+            { key: 'hide_email', label: 'E-posta adresimi gizle' }
+          ].map((field) => (
+            <label
+              key={field.key}
+              className="flex items-center justify-between gap-4 rounded-2xl border border-gray-200 px-4 py-3 cursor-pointer"
+            >
+              <span className="text-sm font-medium text-gray-800">{field.label}</span>
+              <input
+                type="checkbox"
+                checked={Boolean(settings[field.key])}
+                onChange={(e) => updateSettings.mutate({ [field.key]: e.target.checked })}
+                disabled={updateSettings.isPending}
+                className="h-5 w-5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+            </label>
+          ))}
+        </div>
+      </section>
+
+      {/* Engellenen hastaneler */}
+      <section className="space-y-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+            <Ban className="w-5 h-5 text-red-600" />
+            Engellenen Hastaneler
+          </h3>
+          <p className="text-sm text-gray-600">
+            Engellediğiniz hastaneler görünürlük ayarınızdan bağımsız olarak sizi doktor listesinde göremez.
+          </p>
+        </div>
+
+        <div className="relative">
+          <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Engellemek istediğiniz hastanenin adını yazın"
+            className="w-full rounded-2xl border border-gray-200 py-2.5 pl-9 pr-4 text-sm focus:border-blue-500 focus:ring-2 focus:ring-blue-200"
+          />
+        </div>
+
+        {debouncedSearch.trim().length >= 2 && (
+          <div className="rounded-2xl border border-gray-200 divide-y divide-gray-100">
+            {isSearching ? (
+              <p className="px-4 py-3 text-sm text-gray-500">Aranıyor...</p>
+            ) : hospitalResults.length === 0 ? (
+              <p className="px-4 py-3 text-sm text-gray-500">Hastane bulunamadı</p>
+            ) : hospitalResults.map((hospital) => (
+              <div key={hospital.hospital_id} className="flex items-center justify-between gap-3 px-4 py-3">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">{hospital.institution_name}</p>
+                  {hospital.city_name && <p className="text-xs text-gray-500">{hospital.city_name}</p>}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleBlock(hospital.hospital_id)}
+                  disabled={blockHospital.isPending}
+                  className="rounded-xl px-3 py-1.5 text-sm font-medium text-red-600 hover:bg-red-50 transition disabled:opacity-60"
+                >
+                  Engelle
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {blockedHospitals.length === 0 ? (
+          <p className="text-sm text-gray-500">Engellediğiniz hastane yok.</p>
+        ) : (
+          <div className="space-y-2">
+            {blockedHospitals.map((hospital) => (
+              <div
+                key={hospital.hospital_id}
+                className="flex items-center justify-between gap-3 rounded-2xl border border-gray-200 px-4 py-3"
+              >
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">{hospital.institution_name}</p>
+                  <p className="text-xs text-gray-500">
+                    {[hospital.city_name, `Engellenme: ${formatDate(hospital.blocked_at)}`].filter(Boolean).join(' · ')}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => unblockHospital.mutate(hospital.hospital_id)}
+                  disabled={unblockHospital.isPending}
+                  className="rounded-xl px-3 py-1.5 text-sm font-medium text-blue-700 hover:bg-blue-50 transition disabled:opacity-60"
+                >
+                  Engeli Kaldır
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default ProfilePrivacySection;
@@ -17,6 +17,7 @@ import { showToast } from '@/utils/toastUtils';
 import { toastMessages } from '@/config/toast';
 import { SkeletonLoader } from '@/components/ui/LoadingSpinner';
 import { formatDateTime, formatDate } from '@/utils/dateUtils';
+import ApplicationMessageThread from '@/features/messages/components/ApplicationMessageThread';
 
 const DoctorApplicationDetailPage = () => {
   const { applicationId } = useParams();
@@ -304,6 +305,11 @@ const DoctorApplicationDetailPage = () => {
               </div>
             )}
 
+            {/* Hastaneyle Yazışma */}
+            {application && (
+              <ApplicationMessageThread applicationId={application.id} />
+            )}
+
             {/* Butonlar */}
             <div className="sticky bottom-4 bg-white/95 backdrop-blur-lg border border-blue-100 rounded-2xl p-4 shadow-2xl">
               <div className="flex items-center gap-4">
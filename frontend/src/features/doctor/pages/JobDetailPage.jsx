@@ -17,6 +17,7 @@ import { toastMessages } from '@/config/toast';
 import { SkeletonLoader } from '@/components/ui/LoadingSpinner';
 import { ModalContainer } from '@/components/ui/ModalContainer';
 import { formatDate } from '@/utils/dateUtils';
+import { formatSalaryRange } from '@/utils/jobUtils';
 
 const DoctorJobDetailPage = () => {
   const { jobId } = useParams();
@@ -238,10 +239,30 @@ const DoctorJobDetailPage = () => {
                     <div className="text-gray-900 font-medium">{job?.min_experience_years} yıl</div>
                   </div>
                 )}
-                {job?.salary_range && (
+                {formatSalaryRange(job) && (
                   <div className="bg-gradient-to-br from-blue-50 to-indigo-50 rounded-xl p-4 border border-blue-100">
                     <div className="text-gray-600 text-sm mb-1">Maaş Aralığı</div>
-                    <div className="text-gray-900 font-medium">{job?.salary_range}</div>
+                    <div className="text-gray-900 font-medium">{formatSalaryRange(job)}</div>
+                  </div>
+                )}
+                {job?.monthly_shift_count !== null && job?.monthly_shift_count !== undefined && (
+                  <div className="bg-gradient-to-br from-blue-50 to-indigo-50 rounded-xl p-4 border border-blue-100">
+                    <div className="text-gray-600 text-sm mb-1">Aylık Nöbet</div>
+                    <div className="text-gray-900 font-medium">{job?.monthly_shift_count} nöbet</div>
+                  </div>
+                )}
+                {job?.working_hours && (
+                  <div className="bg-gradient-to-br from-blue-50 to-indigo-50 rounded-xl p-4 border border-blue-100">
+                    <div className="text-gray-600 text-sm mb-1">Çalışma Saatleri</div>
+                    <div className="text-gray-900 font-medium">{job?.working_hours}</div>
+                  </div>
+                )}
+                {(job?.provides_housing || job?.provides_transport) && (
+                  <div className="bg-gradient-to-br from-blue-50 to-indigo-50 rounded-xl p-4 border border-blue-100">
+                    <div className="text-gray-600 text-sm mb-1">Yan Haklar</div>
+                    <div className="text-gray-900 font-medium">
+                      {[job?.provides_housing && 'Lojman', job?.provides_transport && 'Servis'].filter(Boolean).join(', ')}
+                    </div>
                   </div>
                 )}
               </div>
@@ -9,6 +9,7 @@
  * - İş ilanı detay görüntüleme (sayfa olarak)
  * - Arama ve filtreleme
  * - Sayfalama
+ * - Kaydedilenler sekmesi (favori ilanlar, süresi dolanlar işaretli)
  * - Glassmorphism dark theme
  */
 
@@ -17,9 +18,10 @@ import { useSearchParams, useNavigate, useLocation } from 'react-router-dom';
 import { 
   Search, MapPin, Building, 
   Clock, X, Send,
-  Briefcase, DollarSign, CheckCircle, ArrowRight, FileText, Filter, XCircle as XIcon, Target
+  Briefcase, DollarSign, CheckCircle, ArrowRight, FileText, Filter, XCircle as XIcon, Target,
+  Bookmark, AlertCircle
 } from 'lucide-react';
-import { useDoctorJobs } from '../api/useDoctor.js';
+import { useDoctorJobs, useFavoriteJobs, useToggleFavoriteJob } from '../api/useDoctor.js';
 import { showToast } from '@/utils/toastUtils';
 import { SkeletonLoader } from '@/components/ui/LoadingSpinner';
 import { useLookup } from '@/hooks/useLookup';
@@ -43,6 +45,21 @@ const DoctorJobsPage = () => {
   const cursorPositionRef = useRef(null); // Cursor pozisyonunu korumak için
   const scrollPositionRef = useRef(null); // Scroll pozisyonunu korumak için
   const [currentPage, setCurrentPage] = useState(() => parseInt(searchParams.get('page') || '1', 10));
+  const [savedPage, setSavedPage] = useState(1);
+
+  // Aktif sekme URL'de tutulur (?tab=saved) - detaydan geri gelindiğinde korunur
+  const activeTab = searchParams.get('tab') === 'saved' ? 'saved' : 'all';
+  const handleTabChange = useCallback((tab) => {
+    setSearchParams(prev => {
+      const newParams = new URLSearchParams(prev);
+      if (tab === 'saved') {
+        newParams.set('tab', 'saved');
+      } else {
+        newParams.delete('tab');
+      }
+      return newParams;
+    });
+  }, [setSearchParams]);
 
   // Lookup Data Hook
   const { 
@@ -354,6 +371,19 @@ const DoctorJobsPage = () => {
   const rawPagination = jobsData?.pagination || {};
   const pagination = normalizePagination(rawPagination);
 
+  // Kaydedilen ilanlar (sadece sekme açıkken çekilir)
+  const { data: favoritesData, isLoading: favoritesLoading } = useFavoriteJobs(
+    { page: savedPage, limit: 12 },
+    { enabled: activeTab === 'saved' }
+  );
+  const favoriteJobs = favoritesData?.jobs || [];
+  const favoritesPagination = normalizePagination(favoritesData?.pagination || {});
+
+  const toggleFavoriteMutation = useToggleFavoriteJob();
+  const handleToggleFavorite = useCallback((job) => {
+    toggleFavoriteMutation.mutate({ jobId: job.id, isFavorite: !!job.is_favorite });
+  }, [toggleFavoriteMutation.mutate]);
+
   // Sayfa numarasını ve scroll pozisyonunu geri yükle (sadece sayfa ilk yüklendiğinde veya geri gelindiğinde)
   const hasRestoredPageRef = useRef(false);
   useEffect(() => {
@@ -449,6 +479,11 @@ const DoctorJobsPage = () => {
 
 
   const handleJobClick = useCallback((job) => {
+    // Süresi dolan (pasif) ilanların detayı görüntülenemez
+    if (job.is_expired) {
+      showToast.info('Bu ilanın süresi dolmuş, detayları artık görüntülenemiyor.');
+      return;
+    }
     // Scroll pozisyonunu ve sayfa numarasını kaydet
     const scrollY = window.scrollY || window.pageYOffset;
     sessionStorage.setItem('jobsPageScrollPosition', scrollY.toString());
@@ -507,6 +542,50 @@ const DoctorJobsPage = () => {
             </div>
           </div>
 
+        {/* Sekmeler */}
+        <div className="flex items-center gap-2 mb-6">
+          <button
+            type="button"
+            onClick={() => handleTabChange('all')}
+            className={`flex items-center gap-2 px-5 py-2.5 rounded-xl text-sm font-medium transition-all ${activeTab === 'all' ? 'bg-gradient-to-r from-[var(--primary-color)] to-[var(--primary-dark)] text-white shadow-md' : 'bg-white text-gray-600 border border-gray-200 hover:border-[var(--primary-color)] hover:text-[var(--primary-color)]'}`}
+          >
+            <Briefcase className="w-4 h-4" />
+            Tüm İlanlar
+          </button>
+          <button
+            type="button"
+            onClick={() => handleTabChange('saved')}
+            className={`flex items-center gap-2 px-5 py-2.5 rounded-xl text-sm font-medium transition-all ${activeTab === 'saved' ? 'bg-gradient-to-r from-[var(--primary-color)] to-[var(--primary-dark)] text-white shadow-md' : 'bg-white text-gray-600 border border-gray-200 hover:border-[var(--primary-color)] hover:text-[var(--primary-color)]'}`}
+          >
+            <Bookmark className="w-4 h-4" />
+            Kaydedilenler
+          </button>
+        </div>
+
+        {activeTab === 'saved' ? (
+          favoritesLoading ? (
+            <SkeletonLoader count={6} />
+          ) : favoriteJobs.length === 0 ? (
+            <div className="text-center py-12">
+              <div className="w-20 h-20 bg-blue-100 rounded-full flex items-center justify-center mx-auto mb-6">
+                <Bookmark className="w-10 h-10 text-blue-600" />
+              </div>
+              <h3 className="text-xl font-semibold text-gray-900 mb-2">Kaydedilen İlan Yok</h3>
+              <p className="text-gray-500">İlan kartlarındaki kaydet simgesiyle ilanları buraya ekleyebilirsiniz.</p>
+            </div>
+          ) : (
+            <JobsList
+              jobs={favoriteJobs}
+              pagination={favoritesPagination}
+              onJobClick={handleJobClick}
+              onToggleFavorite={handleToggleFavorite}
+              currentPage={savedPage}
+              onPageChange={setSavedPage}
+              onClearFilters={clearFilters}
+            />
+          )
+        ) : (
+        <>
         {/* Filtre Paneli */}
         <div className="bg-white rounded-2xl border border-blue-100 shadow-lg p-6 mb-6">
           <div className="flex items-center justify-between mb-4">
@@ -656,7 +735,7 @@ const DoctorJobsPage = () => {
                     return false;
                   }
                 }}
-                placeholder="İlan başlığı veya hastane adı ara..."
+                placeholder="İlan, hastane, şehir veya branş ara..."
                 className="w-full pl-10 pr-4 py-2 bg-white border border-gray-300 rounded-xl text-gray-900 placeholder-gray-500 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
               />
             </div>
@@ -738,10 +817,13 @@ const DoctorJobsPage = () => {
             jobs={jobs}
             pagination={pagination}
             onJobClick={handleJobClick}
+            onToggleFavorite={handleToggleFavorite}
             currentPage={currentPage}
             onPageChange={setCurrentPage}
             onClearFilters={clearFilters}
           />
+        )}
+        </>
         )}
 
                 </div>
@@ -750,7 +832,7 @@ const DoctorJobsPage = () => {
 };
 
 // İş İlanları Listesi Component (Memoized - Sadece jobs/pagination değiştiğinde render)
-const JobsList = memo(({ jobs, pagination, onJobClick, currentPage, onPageChange, onClearFilters }) => {
+const JobsList = memo(({ jobs, pagination, onJobClick, onToggleFavorite, currentPage, onPageChange, onClearFilters }) => {
   if (!Array.isArray(jobs) || jobs.length === 0) {
     return (
       <div className="text-center py-12">
@@ -773,7 +855,7 @@ const JobsList = memo(({ jobs, pagination, onJobClick, currentPage, onPageChange
             <>
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
         {jobs.map((job) => (
-          <JobCard key={job.id} job={job} onClick={onJobClick} />
+          <JobCard key={job.id} job={job} onClick={onJobClick} onToggleFavorite={onToggleFavorite} />
                   ))}
               </div>
       {pagination.totalPages > 1 && (
@@ -788,9 +870,11 @@ const JobsList = memo(({ jobs, pagination, onJobClick, currentPage, onPageChange
     </>
   );
 }, (prevProps, nextProps) => {
-  // Custom comparison: Sadece jobs array içeriği veya pagination değiştiğinde render et
+  // Custom comparison: Sadece jobs array içeriği (favori durumu dahil) veya pagination değiştiğinde render et
   const jobsSame = prevProps.jobs?.length === nextProps.jobs?.length &&
-    prevProps.jobs?.every((job, i) => job?.id === nextProps.jobs?.[i]?.id);
+    prevProps.jobs?.every((job, i) =>
+      job?.id === nextProps.jobs?.[i]?.id && job?.is_favorite === nextProps.jobs?.[i]?.is_favorite
+    );
   const paginationSame = 
     prevProps.pagination?.totalPages === nextProps.pagination?.totalPages &&
     prevProps.pagination?.page === nextProps.pagination?.page;
@@ -849,20 +933,45 @@ const Pagination = memo(({ currentPage, totalPages, onPageChange }) => {
 Pagination.displayName = 'Pagination';
 
 // İş İlanı Kartı Component (Memoized)
-const JobCard = memo(({ job, onClick }) => {
+const JobCard = memo(({ job, onClick, onToggleFavorite }) => {
   const handleClick = () => {
     onClick(job);
   };
+
+  const handleFavoriteClick = (e) => {
+    // Kart tıklamasını (detaya gitme) tetikleme
+    e.stopPropagation();
+    onToggleFavorite?.(job);
+  };
   
   return (
     <div 
       onClick={handleClick}
-      className="bg-white rounded-2xl border border-blue-100 p-6 shadow-md hover:shadow-lg transition-all duration-300 cursor-pointer group min-h-[200px] flex flex-col"
+      className={`bg-white rounded-2xl border border-blue-100 p-6 shadow-md hover:shadow-lg transition-all duration-300 cursor-pointer group min-h-[200px] flex flex-col ${job.is_expired ? 'opacity-70' : ''}`}
     >
-      {/* Başlık */}
-      <h3 className="text-lg font-semibold text-gray-900 mb-2 group-hover:text-blue-600 transition-colors line-clamp-2">
-            {job.title}
-          </h3>
+      {/* Başlık + Kaydet */}
+      <div className="flex items-start justify-between gap-3 mb-2">
+        <h3 className="text-lg font-semibold text-gray-900 group-hover:text-blue-600 transition-colors line-clamp-2">
+          {job.title}
+        </h3>
+        {onToggleFavorite && (
+          <button
+            type="button"
+            onClick={handleFavoriteClick}
+            title={job.is_favorite ? 'Kaydedilenlerden çıkar' : 'İlanı kaydet'}
+            className="p-1.5 rounded-lg text-blue-600 hover:bg-blue-50 transition-colors flex-shrink-0"
+          >
+            <Bookmark className={`w-5 h-5 ${job.is_favorite ? 'fill-current' : ''}`} />
+          </button>
+        )}
+      </div>
+
+      {job.is_expired && (
+        <div className="inline-flex items-center gap-1.5 self-start px-2.5 py-1 mb-3 bg-amber-50 border border-amber-200 rounded-full text-amber-700 text-xs font-medium">
+          <AlertCircle className="w-3.5 h-3.5" />
+          Süresi Doldu
+        </div>
+      )}
 
       {/* Uzmanlık / Yan Dal */}
       <div className="space-y-1.5 mb-4">
@@ -10,6 +10,8 @@
  * - Deneyim bilgileri (CRUD)
  * - Sertifika bilgileri (CRUD)
  * - Dil bilgileri (CRUD)
+ * - Gizlilik (profil görünürlüğü, iletişim bilgisi gizleme, hastane engelleme)
+ * - CV PDF indirme (klasik / kompakt şablon, Türkçe / İngilizce)
  * - Profil tamamlanma durumu
  */
 
@@ -18,7 +20,7 @@ import {
   User, GraduationCap, Briefcase, Award, Globe,
   Plus, Edit, Trash2, Save, X, CheckCircle,
   Phone, Mail, Calendar, MapPin, Camera, Upload,
-  Clock, XCircle, AlertCircle, ArrowRight
+  Clock, XCircle, AlertCircle, ArrowRight, ShieldCheck, Download
 } from 'lucide-react';
 import { 
   doctorPersonalInfoSchema,
@@ -49,8 +51,10 @@ import {
   useDoctorProfileCompletion,
   useRequestPhotoChange,
   usePhotoRequestStatus,
-  useCancelPhotoRequest
+  useCancelPhotoRequest,
+  downloadDoctorCv
 } from '../api/useDoctor.js';
+import ProfilePrivacySection from '../components/ProfilePrivacySection';
 import { useLookup } from '../../../hooks/useLookup';
 import { showToast } from '@/utils/toastUtils';
 import { toastMessages } from '@/config/toast';
@@ -59,8 +63,20 @@ import { ModalContainer } from '@/components/ui/ModalContainer';
 import { useNavigate } from 'react-router-dom';
 import { formatDate as formatDateUtil, formatMonthYear } from '@/utils/dateUtils';
 
+const CV_TEMPLATE_OPTIONS = [
+  { value: 'classic', label: 'Klasik' },
+  { value: 'compact', label: 'Kompakt' }
+];
+
+const CV_LANGUAGE_OPTIONS = [
+  { value: 'tr', label: 'Türkçe' },
+  { value: 'en', label: 'English' }
+];
+
 const DoctorProfile = () => {
   const [activeTab, setActiveTab] = useState('personal');
+  const [cvOptions, setCvOptions] = useState({ template: 'classic', lang: 'tr' });
+  const [isCvDownloading, setIsCvDownloading] = useState(false);
   const [editingItem, setEditingItem] = useState(null);
   const [showForm, setShowForm] = useState(false);
   const [formData, setFormData] = useState({});
@@ -131,6 +147,7 @@ const DoctorProfile = () => {
     { id: 'certificates', label: 'Sertifika ve Kurslar', icon: Award },
     { id: 'experience', label: 'Mesleki Deneyimleri', icon: Briefcase },
     { id: 'languages', label: 'Yabancı Dil', icon: Globe },
+    { id: 'privacy', label: 'Gizlilik', icon: ShieldCheck },
   ];
 
   const handlePersonalInfoUpdate = async (data) => {
@@ -143,6 +160,16 @@ const DoctorProfile = () => {
     }
   };
 
+  const handleCvDownload = async () => {
+    setIsCvDownloading(true);
+    try {
+      // Hata toast'ı downloadDoctorCv içinde gösteriliyor
+      await downloadDoctorCv(cvOptions);
+    } finally {
+      setIsCvDownloading(false);
+    }
+  };
+
   const handleAddItem = (type) => {
     setEditingItem(null);
     setFormData({ type });
@@ -440,6 +467,39 @@ const DoctorProfile = () => {
                 <p className="text-base text-gray-700 max-w-2xl leading-relaxed">
                     Profesyonel bilgilerinizi güncelleyin ve kariyerinizi ileriye taşıyın.
                   </p>
+
+                  {/* CV PDF İndirme */}
+                  <div className="mt-4 flex flex-wrap items-center gap-2">
+                    <select
+                      value={cvOptions.template}
+                      onChange={(e) => setCvOptions((prev) => ({ ...prev, template: e.target.value }))}
+                      className="rounded-xl border border-cyan-200 bg-white px-3 py-2 text-sm text-gray-700 focus:border-blue-500 focus:ring-2 focus:ring-blue-200"
+                      aria-label="CV şablonu"
+                    >
+                      {CV_TEMPLATE_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={cvOptions.lang}
+                      onChange={(e) => setCvOptions((prev) => ({ ...prev, lang: e.target.value }))}
+                      className="rounded-xl border border-cyan-200 bg-white px-3 py-2 text-sm text-gray-700 focus:border-blue-500 focus:ring-2 focus:ring-blue-200"
+                      aria-label="CV dili"
+                    >
+                      {CV_LANGUAGE_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={handleCvDownload}
+                      disabled={isCvDownloading}
+                      className="inline-flex items-center gap-2 rounded-xl bg-gradient-to-r from-blue-600 to-blue-700 px-4 py-2 text-sm font-medium text-white shadow-md transition hover:from-blue-700 hover:to-blue-800 disabled:opacity-60"
+                    >
+                      <Download className="w-4 h-4" />
+                      {isCvDownloading ? 'Hazırlanıyor...' : 'CV İndir (PDF)'}
+                    </button>
+                  </div>
                 </div>
                 
               {/* Profil Tamamlanma Kartı */}
@@ -591,6 +651,11 @@ const DoctorProfile = () => {
                 onDelete={(id) => handleDeleteItem(id, 'language')}
               />
             </div>
+
+            {/* Gizlilik Tab */}
+            <div className={`w-full ${activeTab === 'privacy' ? 'block animate-fadeIn' : 'hidden'}`}>
+              <ProfilePrivacySection />
+            </div>
           </div>
           </div>
 
@@ -8,6 +8,9 @@ import useAuthStore from '@/store/authStore';
 import { useNavigate } from 'react-router-dom';
 import { ROUTE_CONFIG } from '@config/routes.js';
 import { ModalContainer } from '@/components/ui/ModalContainer';
+import NotificationPreferencesSection from '@/features/notifications/components/NotificationPreferencesSection';
+import ActiveSessionsSection from '@/features/auth/components/ActiveSessionsSection';
+import DataExportSection from '../components/DataExportSection';
 
 const SettingsPage = () => {
   const changePasswordMutation = useChangePassword();
@@ -80,7 +83,7 @@ const SettingsPage = () => {
         navigate(ROUTE_CONFIG.PUBLIC.LOGIN, {
           replace: true,
           state: {
-            message: 'Hesabınız silindi. Yeniden açmak için destek ekibimizle iletişime geçebilirsiniz.'
+            message
           }
         });
       },
@@ -197,7 +200,8 @@ const SettingsPage = () => {
               <div className="space-y-1">
                 <h2 className="text-xl font-semibold text-slate-900">Hesabımı Sil</h2>
                 <p className="text-sm text-slate-600">
-                  Hesabınızı sildiğinizde giriş yapamazsınız. Tekrar açmak için destek ekibimizle iletişime geçmeniz gerekir.
+                  Hesabınızı sildiğinizde oturumlarınız kapanır ve hesabınız pasifleşir. Bekleme süresi içinde tekrar giriş yaparsanız hesabınız geri açılır.
+                  Silmeden önce aşağıdaki &quot;Verilerimi İndir&quot; bölümünden verilerinizin bir kopyasını alabilirsiniz.
                 </p>
               </div>
             </div>
@@ -205,7 +209,7 @@ const SettingsPage = () => {
             <div className="rounded-2xl border border-red-200 bg-red-50/80 px-4 py-3 flex items-start gap-3 text-sm text-red-700">
               <AlertTriangle className="w-5 h-5 flex-shrink-0 mt-0.5" />
               <p>
-                Bu işlem geri alınamaz. Hesabınızı yeniden açmak için destek ekibinin müdahalesi gerekir.
+                Bekleme süresi dolduğunda kişisel verileriniz kalıcı olarak silinir ve hesabınız geri açılamaz. Başvuru kayıtları kimliğiniz olmadan istatistik amacıyla saklanır.
               </p>
             </div>
 
@@ -219,6 +223,18 @@ const SettingsPage = () => {
             </button>
           </section>
         </div>
+
+        <div className="mt-6">
+          <NotificationPreferencesSection />
+        </div>
+
+        <div className="mt-6">
+          <ActiveSessionsSection />
+        </div>
+
+        <div className="mt-6">
+          <DataExportSection />
+        </div>
       </div>
 
       {confirmModalOpen && (
@@ -231,7 +247,7 @@ const SettingsPage = () => {
         >
           <div className="space-y-4">
             <p className="text-sm text-slate-600">
-              Hesabınızı silmek üzeresiniz. Bu işlemden sonra giriş yapamazsınız. Devam etmek istiyor musunuz?
+              Hesabınızı silmek üzeresiniz. Bekleme süresi içinde giriş yapmazsanız kişisel verileriniz kalıcı olarak silinecek. Devam etmek istiyor musunuz?
             </p>
             <div className="flex justify-end gap-3">
               <button
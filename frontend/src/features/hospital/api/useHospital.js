@@ -12,8 +12,10 @@
  * - Profil yönetimi hooks (hospitalService.getProfile, updateProfile, getProfileCompletion)
  * - İş ilanı yönetimi hooks (hospitalService.getJobs, createJob, updateJob, deleteJob)
  * - Başvuru yönetimi hooks (hospitalService.getApplications, getAllApplications, updateApplicationStatus)
+ * - Başvuru süreci hooks (kanban panosu, toplu taşıma, aşamalar, dahili notlar, puan/etiket, geçmiş)
  * - Departman yönetimi hooks (hospitalService.getDepartments, addDepartment, updateDepartment, deleteDepartment)
  * - İletişim bilgisi yönetimi hooks (hospitalService.getContacts, addContact, updateContact, deleteContact)
+ * - Ekip yönetimi hooks (hospitalService.getTeam, inviteTeamMember, updateTeamMemberRole, removeTeamMember)
  * - Doktor profil görüntüleme hooks (hospitalService.getDoctorProfileDetail)
  * 
  * @author MediKariyer Development Team
@@ -33,7 +35,8 @@ import {
   dashboardQueryConfig, 
   listQueryConfig,
   detailQueryConfig,
-  liveQueryConfig
+  liveQueryConfig,
+  lookupQueryConfig
 } from '@/config/queryConfig.js';
 
 // ============================================================================
@@ -261,6 +264,46 @@ export const useResubmitHospitalJob = ({ enableToast = true } = {}) => {
   });
 };
 
+/**
+ * Onaylı iş ilanının yayın süresini uzatır (renew)
+ * Backend: POST /api/hospital/jobs/:jobId/renew
+ * hospitalService.renewJob() ile uyumlu - ilan onay kuyruğuna dönmez
+ */
+export const useRenewHospitalJob = ({ enableToast = true } = {}) => {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ jobId, duration_days }) => {
+      const endpoint = buildEndpoint(ENDPOINTS.HOSPITAL.JOB_RENEW, { id: jobId });
+      return apiRequest.post(endpoint, duration_days ? { duration_days } : {});
+    },
+    onSuccess: (response, variables) => {
+      queryClient.setQueryData(['hospital', 'job', variables.jobId], response);
+      queryClient.invalidateQueries(['hospital', 'jobs']);
+      if (enableToast) {
+        showToast.success(toastMessages.job.renewSuccess);
+      }
+    },
+    onError: (err) => {
+      if (enableToast) {
+        showToast.error(err, { defaultMessage: toastMessages.job.renewError });
+      }
+    },
+  });
+};
+
+/**
+ * İlan yayın süresi seçeneklerini getirir (admin tanımlı alt/üst sınır)
+ * Backend: GET /api/hospital/jobs/lifetime-options
+ */
+export const useHospitalJobLifetimeOptions = () => {
+  return useQuery({
+    queryKey: ['hospital', 'jobs', 'lifetime-options'],
+    queryFn: () => apiRequest.get(ENDPOINTS.HOSPITAL.JOB_LIFETIME_OPTIONS),
+    select: (res) => res.data?.data?.options,
+    ...lookupQueryConfig(), // STATIC: Admin ayarı nadiren değişir
+  });
+};
+
 // ============================================================================
 // BAŞVURU YÖNETİMİ HOOKS - hospitalService başvuru fonksiyonları ile uyumlu
 // ============================================================================
@@ -448,6 +491,344 @@ export const useUpdateApplicationStatus = ({ enableToast = true } = {}) => {
   });
 };
 
+// ============================================================================
+// BAŞVURU SÜRECİ (PIPELINE) HOOKS - hospitalService pipeline fonksiyonları ile uyumlu
+// ============================================================================
+
+/**
+ * Kanban panosunu getirir (aşamalar + başvurular)
+ * Backend: GET /api/hospital/applications/pipeline
+ * hospitalService.getPipelineBoard() ile uyumlu
+ */
+export const useHospitalPipelineBoard = (filters = {}, { enabled = true } = {}) => {
+  const { user } = useAuthStore();
+  const userId = user?.id;
+
+  const cleanParams = Object.fromEntries(
+    Object.entries(filters).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+  );
+
+  return useQuery({
+    queryKey: ['hospital', 'pipeline', userId, cleanParams],
+    queryFn: () => apiRequest.get(`${ENDPOINTS.HOSPITAL.APPLICATION_PIPELINE}${buildQueryString(cleanParams)}`),
+    select: (res) => res.data?.data,
+    ...listQueryConfig({ enabled: enabled && !!userId, keepPreviousData: true }),
+  });
+};
+
+/**
+ * Başvuruları toplu olarak bir aşamaya taşır
+ * Backend: POST /api/hospital/applications/bulk-move
+ * Kanban sürükle-bırak ve toplu işlem çubuğu aynı hook'u kullanır
+ */
+export const useMoveApplications = () => {
+  const queryClient = useQueryClient();
+  const { user } = useAuthStore();
+  const userId = user?.id;
+
+  return useMutation({
+    mutationFn: ({ application_ids, stage_id, note }) =>
+      apiRequest.post(ENDPOINTS.HOSPITAL.APPLICATION_BULK_MOVE, { application_ids, stage_id, note }),
+    // OPTİMİSTİC UPDATE: Kartlar hedef sütuna anında geçer
+    onMutate: async ({ application_ids, stage_id }) => {
+      await queryClient.cancelQueries({ queryKey: ['hospital', 'pipeline', userId] });
+      const previousBoards = queryClient.getQueriesData({ queryKey: ['hospital', 'pipeline', userId] });
+
+      queryClient.setQueriesData({ queryKey: ['hospital', 'pipeline', userId] }, (old) => {
+        if (!old?.data?.data?.applications) return old;
+        const targetStage = old.data.data.stages.find((stage) => stage.id === stage_id);
+        return {
+          ...old,
+          data: {
+            ...old.data,
+            data: {
+              ...old.data.data,
+              applications: old.data.data.applications.map((app) =>
+                application_ids.includes(app.id) && app.status_id !== 5
+                  ? { ...app, stage_id, status_id: targetStage?.status_id ?? app.status_id }
+                  : app
+              ),
+            },
+          },
+        };
+      });
+
+      return { previousBoards };
+    },
+    onSuccess: (res) => {
+      const { moved = [], skipped = [] } = res.data?.data || {};
+      if (skipped.length > 0) {
+        showToast.warning(res.data?.message || `${skipped.length} başvuru taşınamadı`);
+      } else if (moved.length > 1) {
+        showToast.success(res.data?.message);
+      }
+    },
+    onError: (err, variables, context) => {
+      context?.previousBoards?.forEach(([key, data]) => queryClient.setQueryData(key, data));
+      showToast.error(err, { defaultMessage: toastMessages.application.bulkMoveError });
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'pipeline', userId] });
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'applications', userId] });
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'application'] });
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'application-history'] });
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'dashboard'] });
+    },
+  });
+};
+
+/**
+ * Pipeline aşamalarında ekleme / güncelleme / silme / sıralama yapar
+ * Backend: POST/PATCH/DELETE /api/hospital/pipeline-stages, PUT /api/hospital/pipeline-stages/order
+ * @param {'create'|'update'|'delete'|'reorder'} action
+ */
+export const usePipelineStageMutation = (action) => {
+  const queryClient = useQueryClient();
+  const { user } = useAuthStore();
+  const userId = user?.id;
+
+  return useMutation({
+    mutationFn: ({ stageId, ...data } = {}) => {
+      switch (action) {
+        case 'create':
+          return apiRequest.post(ENDPOINTS.HOSPITAL.PIPELINE_STAGES, data);
+        case 'update':
+          return apiRequest.patch(buildEndpoint(ENDPOINTS.HOSPITAL.PIPELINE_STAGE_DETAIL, { id: stageId }), data);
+        case 'delete':
+          return apiRequest.delete(buildEndpoint(ENDPOINTS.HOSPITAL.PIPELINE_STAGE_DETAIL, { id: stageId }));
+        case 'reorder':
+          return apiRequest.put(ENDPOINTS.HOSPITAL.PIPELINE_STAGES_ORDER, data);
+        default:
+          throw new Error(`Bilinmeyen aşama işlemi: ${action}`);
+      }
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'pipeline', userId] });
+    },
+    onError: (err) => {
+      showToast.error(err, { defaultMessage: toastMessages.application.stageSaveError });
+    },
+  });
+};
+
+/**
+ * Başvurunun durum geçmişini getirir
+ * Backend: GET /api/hospital/applications/:applicationId/history
+ */
+export const useApplicationHistory = (applicationId) => {
+  const { user } = useAuthStore();
+  const userId = user?.id;
+
+  return useQuery({
+    queryKey: ['hospital', 'application-history', userId, applicationId],
+    queryFn: () => apiRequest.get(buildEndpoint(ENDPOINTS.HOSPITAL.APPLICATION_HISTORY, { id: applicationId })),
+    select: (res) => res.data?.data?.history || [],
+    ...detailQueryConfig({ enabled: !!applicationId && !!userId }),
+  });
+};
+
+/**
+ * Başvurunun dahili notlarını getirir
+ * Backend: GET /api/hospital/applications/:applicationId/notes
+ */
+export const useApplicationNotes = (applicationId) => {
+  const { user } = useAuthStore();
+  const userId = user?.id;
+
+  return useQuery({
+    queryKey: ['hospital', 'application-notes', userId, applicationId],
+    queryFn: () => apiRequest.get(buildEndpoint(ENDPOINTS.HOSPITAL.APPLICATION_NOTES, { id: applicationId })),
+    select: (res) => res.data?.data?.notes || [],
+    ...detailQueryConfig({ enabled: !!applicationId && !!userId }),
+  });
+};
+
+/**
+ * Başvuruya dahili not ekler
+ * Backend: POST /api/hospital/applications/:applicationId/notes
+ */
+export const useAddApplicationNote = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ applicationId, note }) =>
+      apiRequest.post(buildEndpoint(ENDPOINTS.HOSPITAL.APPLICATION_NOTES, { id: applicationId }), { note }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'application-notes'] });
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'pipeline'] });
+      showToast.success(toastMessages.application.internalNoteAddSuccess);
+    },
+    onError: (err) => {
+      showToast.error(err, { defaultMessage: toastMessages.application.internalNoteAddError });
+    },
+  });
+};
+
+/**
+ * Dahili notu siler
+ * Backend: DELETE /api/hospital/applications/:applicationId/notes/:noteId
+ */
+export const useDeleteApplicationNote = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ applicationId, noteId }) =>
+      apiRequest.delete(buildEndpoint(ENDPOINTS.HOSPITAL.APPLICATION_NOTE_DETAIL, { id: applicationId, noteId })),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'application-notes'] });
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'pipeline'] });
+      showToast.success(toastMessages.application.internalNoteDeleteSuccess);
+    },
+    onError: (err) => {
+      showToast.error(err, { defaultMessage: toastMessages.application.internalNoteDeleteError });
+    },
+  });
+};
+
+/**
+ * Başvurunun yıldız puanını ve etiketlerini günceller
+ * Backend: PATCH /api/hospital/applications/:applicationId/evaluation
+ */
+export const useUpdateApplicationEvaluation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ applicationId, ...data }) =>
+      apiRequest.patch(buildEndpoint(ENDPOINTS.HOSPITAL.APPLICATION_EVALUATION, { id: applicationId }), data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'application'] });
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'applications'] });
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'pipeline'] });
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'application-tags'] });
+    },
+    onError: (err) => {
+      showToast.error(err, { defaultMessage: toastMessages.application.evaluationError });
+    },
+  });
+};
+
+/**
+ * Hastanenin kullandığı etiketleri getirir (öneri listesi için)
+ * Backend: GET /api/hospital/applications/tags
+ */
+export const useHospitalApplicationTags = () => {
+  const { user } = useAuthStore();
+  const userId = user?.id;
+
+  return useQuery({
+    queryKey: ['hospital', 'application-tags', userId],
+    queryFn: () => apiRequest.get(ENDPOINTS.HOSPITAL.APPLICATION_TAGS),
+    select: (res) => res.data?.data?.tags || [],
+    ...lookupQueryConfig({ enabled: !!userId }),
+  });
+};
+
+// ============================================================================
+// MÜLAKAT HOOKS - hospitalService mülakat fonksiyonları (interviewService) ile uyumlu
+// ============================================================================
+
+/**
+ * Başvurunun mülakatlarını getirir (en yeni önce)
+ * Backend: GET /api/hospital/applications/:applicationId/interviews
+ */
+export const useApplicationInterviews = (applicationId) => {
+  const { user } = useAuthStore();
+  const userId = user?.id;
+
+  return useQuery({
+    queryKey: ['hospital', 'application-interviews', userId, applicationId],
+    queryFn: () => apiRequest.get(buildEndpoint(ENDPOINTS.HOSPITAL.APPLICATION_INTERVIEWS, { id: applicationId })),
+    select: (res) => res.data?.data?.interviews || [],
+    ...detailQueryConfig({ enabled: !!applicationId && !!userId }),
+  });
+};
+
+/**
+ * Hastane dashboard'u için yaklaşan mülakatları getirir
+ * Backend: GET /api/hospital/interviews/upcoming
+ */
+export const useHospitalUpcomingInterviews = (limit = 5) => {
+  const { user } = useAuthStore();
+  const userId = user?.id;
+
+  return useQuery({
+    queryKey: ['hospital', 'interviews-upcoming', userId, limit],
+    queryFn: () => apiRequest.get(ENDPOINTS.HOSPITAL.INTERVIEWS_UPCOMING, { params: { limit } }),
+    select: (res) => res.data?.data?.interviews || [],
+    ...listQueryConfig({ enabled: !!userId }),
+  });
+};
+
+/**
+ * Başvuru için mülakat önerir
+ * Backend: POST /api/hospital/applications/:applicationId/interviews
+ */
+export const useProposeInterview = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ applicationId, ...data }) =>
+      apiRequest.post(buildEndpoint(ENDPOINTS.HOSPITAL.APPLICATION_INTERVIEWS, { id: applicationId }), data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'application-interviews'] });
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'interviews-upcoming'] });
+      showToast.success(toastMessages.application.interviewProposeSuccess);
+    },
+    onError: (err) => {
+      showToast.error(err, { defaultMessage: toastMessages.application.interviewProposeError });
+    },
+  });
+};
+
+/**
+ * Mülakatı iptal eder
+ * Backend: POST /api/hospital/interviews/:interviewId/cancel
+ */
+export const useCancelInterview = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ interviewId, reason }) =>
+      apiRequest.post(buildEndpoint(ENDPOINTS.HOSPITAL.INTERVIEW_CANCEL, { id: interviewId }), { reason }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'application-interviews'] });
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'interviews-upcoming'] });
+      showToast.success(toastMessages.application.interviewCancelSuccess);
+    },
+    onError: (err) => {
+      showToast.error(err, { defaultMessage: toastMessages.application.interviewCancelError });
+    },
+  });
+};
+
+/**
+ * Kesinleşmiş mülakatı .ics dosyası olarak indirir
+ * Backend: GET /api/hospital/interviews/:interviewId/calendar
+ * @param {number} interviewId - Mülakat ID'si
+ */
+export const downloadInterviewCalendar = async (interviewId) => {
+  try {
+    const response = await apiRequest.get(
+      buildEndpoint(ENDPOINTS.HOSPITAL.INTERVIEW_CALENDAR, { id: interviewId }),
+      { responseType: 'blob' }
+    );
+
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `mulakat-${interviewId}.ics`;
+    document.body.appendChild(link);
+    link.click();
+
+    setTimeout(() => {
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    }, 100);
+  } catch (error) {
+    showToast.error(error, { defaultMessage: toastMessages.application.interviewCalendarError });
+  }
+};
+
 // ============================================================================
 // DEPARTMAN YÖNETİMİ HOOKS - hospitalService departman fonksiyonları ile uyumlu
 // ============================================================================
@@ -612,6 +993,105 @@ export const useDeleteHospitalContact = () => {
   });
 };
 
+// ============================================================================
+// EKİP YÖNETİMİ HOOKS - hospitalService ekip fonksiyonları (hospitalMemberService) ile uyumlu
+// ============================================================================
+
+/**
+ * Hastane ekibini, bekleyen davetleri ve atanabilir rolleri getirir
+ * Backend: GET /api/hospital/team
+ */
+export const useHospitalTeam = () => {
+  const { user } = useAuthStore();
+  const userId = user?.id;
+
+  return useQuery({
+    queryKey: ['hospital', 'team', userId],
+    queryFn: () => apiRequest.get(ENDPOINTS.HOSPITAL.TEAM),
+    select: (res) => res.data?.data || { members: [], invitations: [], roles: [] },
+    ...listQueryConfig({ enabled: !!userId }),
+  });
+};
+
+/**
+ * Ekibe e-posta ile üye davet eder (yalnızca hesap sahibi)
+ * Backend: POST /api/hospital/team/invitations
+ */
+export const useInviteTeamMember = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (data) => apiRequest.post(ENDPOINTS.HOSPITAL.TEAM_INVITATIONS, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'team'] });
+      showToast.success(toastMessages.team.inviteSuccess);
+    },
+    onError: (err) => {
+      showToast.error(err, { defaultMessage: toastMessages.team.inviteError });
+    },
+  });
+};
+
+/**
+ * Bekleyen daveti iptal eder (yalnızca hesap sahibi)
+ * Backend: DELETE /api/hospital/team/invitations/:invitationId
+ */
+export const useRevokeTeamInvitation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (invitationId) =>
+      apiRequest.delete(buildEndpoint(ENDPOINTS.HOSPITAL.TEAM_INVITATION_DETAIL, { id: invitationId })),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'team'] });
+      showToast.success(toastMessages.team.revokeInvitationSuccess);
+    },
+    onError: (err) => {
+      showToast.error(err, { defaultMessage: toastMessages.team.revokeInvitationError });
+    },
+  });
+};
+
+/**
+ * Ekip üyesinin rolünü değiştirir (yalnızca hesap sahibi)
+ * Backend: PATCH /api/hospital/team/members/:memberId
+ */
+export const useUpdateTeamMemberRole = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ memberId, role }) =>
+      apiRequest.patch(buildEndpoint(ENDPOINTS.HOSPITAL.TEAM_MEMBER_DETAIL, { id: memberId }), { role }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'team'] });
+      showToast.success(toastMessages.team.roleUpdateSuccess);
+    },
+    onError: (err) => {
+      showToast.error(err, { defaultMessage: toastMessages.team.roleUpdateError });
+    },
+  });
+};
+
+/**
+ * Üyeyi ekipten çıkarır; üyenin hesabı pasifleştirilir (yalnızca hesap sahibi)
+ * Backend: DELETE /api/hospital/team/members/:memberId
+ */
+export const useRemoveTeamMember = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (memberId) =>
+      apiRequest.delete(buildEndpoint(ENDPOINTS.HOSPITAL.TEAM_MEMBER_DETAIL, { id: memberId })),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'team'] });
+      showToast.success(toastMessages.team.removeSuccess);
+    },
+    onError: (err) => {
+      showToast.error(err, { defaultMessage: toastMessages.team.removeError });
+    },
+  });
+};
+
 export const useDeactivateHospitalAccount = () => {
   return useMutation({
     mutationFn: () => apiRequest.post(ENDPOINTS.HOSPITAL.ACCOUNT_DEACTIVATE),
@@ -723,6 +1203,157 @@ export const downloadApplicationPDF = async (applicationId) => {
   }
 };
 
+// ============================================================================
+// PDF PAYLAŞIM BAĞLANTILARI
+// ============================================================================
+
+/**
+ * İlan veya başvuru PDF'inin paylaşım bağlantılarını getirir
+ * Backend: GET /api/pdf/share-links?resource_type=&resource_id=
+ * @param {'job'|'application'} resourceType
+ * @param {number} resourceId
+ */
+export const usePdfShareLinks = (resourceType, resourceId) => {
+  const { user } = useAuthStore();
+  const userId = user?.id;
+
+  return useQuery({
+    queryKey: ['hospital', 'pdf-share-links', userId, resourceType, resourceId],
+    queryFn: () => apiRequest.get(ENDPOINTS.HOSPITAL.PDF_SHARE_LINKS, {
+      params: { resource_type: resourceType, resource_id: resourceId }
+    }),
+    select: (res) => res.data?.data || [],
+    ...detailQueryConfig({ enabled: !!resourceType && !!resourceId && !!userId }),
+  });
+};
+
+/**
+ * Süreli, imzalı paylaşım bağlantısı oluşturur
+ * Backend: POST /api/pdf/share-links
+ */
+export const useCreatePdfShareLink = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (payload) => apiRequest.post(ENDPOINTS.HOSPITAL.PDF_SHARE_LINKS, payload),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'pdf-share-links'] });
+    },
+    onError: (err) => {
+      showToast.error(err, { defaultMessage: toastMessages.application.shareLinkCreateError });
+    },
+  });
+};
+
+/**
+ * Paylaşım bağlantısını iptal eder
+ * Backend: DELETE /api/pdf/share-links/:id
+ */
+export const useRevokePdfShareLink = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (linkId) => apiRequest.delete(buildEndpoint(ENDPOINTS.HOSPITAL.PDF_SHARE_LINK, { id: linkId })),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'pdf-share-links'] });
+      showToast.success(toastMessages.application.shareLinkRevokeSuccess);
+    },
+    onError: (err) => {
+      showToast.error(err, { defaultMessage: toastMessages.application.shareLinkRevokeError });
+    },
+  });
+};
+
+/**
+ * Paylaşım bağlantısının erişim kayıtlarını getirir (yalnızca açıldığında)
+ * Backend: GET /api/pdf/share-links/:id/accesses
+ * @param {number|null} linkId
+ */
+export const usePdfShareLinkAccesses = (linkId) => {
+  return useQuery({
+    queryKey: ['hospital', 'pdf-share-link-accesses', linkId],
+    queryFn: () => apiRequest.get(buildEndpoint(ENDPOINTS.HOSPITAL.PDF_SHARE_LINK_ACCESSES, { id: linkId })),
+    select: (res) => res.data?.data || [],
+    ...detailQueryConfig({ enabled: !!linkId }),
+  });
+};
+
+// ============================================================================
+// TOPLU BAŞVURU PAKETİ
+// ============================================================================
+
+/**
+ * İlanın başvuru paketi taleplerini getirir
+ * @description Hazırlanmakta olan paket varsa durum güncellenene kadar 15 saniyede bir yenilenir
+ * Backend: GET /api/hospital/jobs/:jobId/applications/exports
+ * @param {number} jobId
+ */
+export const useApplicationExports = (jobId) => {
+  const { user } = useAuthStore();
+  const userId = user?.id;
+
+  return useQuery({
+    queryKey: ['hospital', 'application-exports', userId, jobId],
+    queryFn: () => apiRequest.get(buildEndpoint(ENDPOINTS.HOSPITAL.JOB_APPLICATION_EXPORTS, { id: jobId })),
+    select: (res) => res.data?.data?.exports || [],
+    ...detailQueryConfig({ enabled: !!jobId && !!userId }),
+    refetchInterval: (query) => {
+      const exports = query.state.data?.data?.data?.exports || [];
+      return exports.some((item) => ['pending', 'processing'].includes(item.status)) ? 15000 : false;
+    },
+  });
+};
+
+/**
+ * Başvuru paketi talebi oluşturur (başvuru listesiyle aynı filtreler)
+ * Backend: POST /api/hospital/jobs/:jobId/applications/export
+ */
+export const useRequestApplicationExport = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ jobId, status }) => apiRequest.post(
+      buildEndpoint(ENDPOINTS.HOSPITAL.JOB_APPLICATIONS_EXPORT, { id: jobId }),
+      status ? { status } : {}
+    ),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['hospital', 'application-exports'] });
+      showToast.success(toastMessages.application.exportRequested);
+    },
+    onError: (err) => {
+      showToast.error(err, { defaultMessage: toastMessages.application.exportError });
+    },
+  });
+};
+
+/**
+ * Hazır başvuru paketini (ZIP) indirir
+ * Backend: GET /api/hospital/application-exports/:exportId/download
+ * @param {number} exportId
+ */
+export const downloadApplicationExport = async (exportId) => {
+  try {
+    const response = await apiRequest.get(
+      buildEndpoint(ENDPOINTS.HOSPITAL.APPLICATION_EXPORT_DOWNLOAD, { id: exportId }),
+      { responseType: 'blob' }
+    );
+
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `basvuru-paketi-${exportId}.zip`;
+    document.body.appendChild(link);
+    link.click();
+
+    setTimeout(() => {
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    }, 100);
+  } catch (error) {
+    showToast.error(error, { defaultMessage: toastMessages.application.exportDownloadError });
+  }
+};
+
 // ============================================================================
 // HELPER FUNCTIONS - Profil tamamlanma ve validasyon fonksiyonları
 // ============================================================================
@@ -786,6 +1417,8 @@ const useHospital = {
   useUpdateHospitalJob,
   useUpdateHospitalJobStatus,
   useResubmitHospitalJob,
+  useRenewHospitalJob,
+  useHospitalJobLifetimeOptions,
   
   // Applications
   useHospitalApplications,
@@ -805,12 +1438,20 @@ const useHospital = {
   useDeleteHospitalContact,
   useDeactivateHospitalAccount,
   
+  // Team
+  useHospitalTeam,
+  useInviteTeamMember,
+  useRevokeTeamInvitation,
+  useUpdateTeamMemberRole,
+  useRemoveTeamMember,
+  
   // Doctor Profiles
   useHospitalDoctorProfileDetail,
   
   // PDF Downloads
   downloadJobPDF,
   downloadApplicationPDF,
+  downloadApplicationExport,
 };
 
 export default useHospital;
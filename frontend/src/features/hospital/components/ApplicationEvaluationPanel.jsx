@@ -0,0 +1,288 @@
+/**
+ * ApplicationEvaluationPanel - Başvuru Değerlendirme Paneli
+ *
+ * Başvuru detay sayfasında hastanenin dahili değerlendirme araçlarını gösterir.
+ * Doktor bu bilgileri görmez; doktorun gördüğü not "Hastane Notu" alanıdır.
+ *
+ * Özellikler:
+ * - 1-5 yıldız puanı
+ * - Etiketler (hastanenin daha önce kullandığı etiketler öneri olarak sunulur)
+ * - Zaman damgalı dahili notlar (yalnızca yazan kişi silebilir)
+ * - Durum / aşama geçmişi (kim, neyi, ne zaman değiştirdi)
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState } from 'react';
+import { Star, Tag, X, MessageSquare, History, Trash2, Send } from 'lucide-react';
+import {
+  useUpdateApplicationEvaluation,
+  useHospitalApplicationTags,
+  useApplicationNotes,
+  useAddApplicationNote,
+  useDeleteApplicationNote,
+  useApplicationHistory
+} from '../api/useHospital';
+import useAuthStore from '@/store/authStore';
+import { formatDateTime } from '@/utils/dateUtils';
+
+/** Başvuru başına en fazla etiket (backend MAX_TAGS ile aynı) */
+const MAX_TAGS = 10;
+
+/** Geçmiş kayıtlarında değişikliği yapan rolün etiketi */
+const ROLE_LABELS = {
+  hospital: 'Hastane',
+  doctor: 'Doktor',
+  admin: 'Yönetici'
+};
+
+const ApplicationEvaluationPanel = ({ application }) => {
+  const applicationId = application?.id;
+  const { user } = useAuthStore();
+
+  const [tagInput, setTagInput] = useState('');
+  const [noteInput, setNoteInput] = useState('');
+
+  const evaluationMutation = useUpdateApplicationEvaluation();
+  const { data: tagSuggestions = [] } = useHospitalApplicationTags();
+  const { data: notes = [], isLoading: notesLoading } = useApplicationNotes(applicationId);
+  const { data: history = [], isLoading: historyLoading } = useApplicationHistory(applicationId);
+  const addNoteMutation = useAddApplicationNote();
+  const deleteNoteMutation = useDeleteApplicationNote();
+
+  const rating = application?.rating || 0;
+  const tags = application?.tags || [];
+
+  const handleRating = (value) => {
+    // Aynı yıldıza tekrar tıklamak puanı kaldırır
+    evaluationMutation.mutate({ applicationId, rating: value === rating ? null : value });
+  };
+
+  const handleAddTag = (rawTag) => {
+    const tag = rawTag.trim();
+    if (!tag || tags.some((t) => t.toLocaleLowerCase('tr-TR') === tag.toLocaleLowerCase('tr-TR'))) {
+      setTagInput('');
+      return;
+    }
+    if (tags.length >= MAX_TAGS) return;
+    evaluationMutation.mutate(
+      { applicationId, tags: [...tags, tag] },
+      { onSuccess: () => setTagInput('') }
+    );
+  };
+
+  const handleRemoveTag = (tag) => {
+    evaluationMutation.mutate({ applicationId, tags: tags.filter((t) => t !== tag) });
+  };
+
+  const handleAddNote = async () => {
+    const note = noteInput.trim();
+    if (!note) return;
+    try {
+      await addNoteMutation.mutateAsync({ applicationId, note });
+      setNoteInput('');
+    } catch {
+      // Hata toast'u hook içinde gösterilir
+    }
+  };
+
+  const handleDeleteNote = (noteId) => {
+    if (!window.confirm('Bu notu silmek istediğinize emin misiniz?')) return;
+    deleteNoteMutation.mutate({ applicationId, noteId });
+  };
+
+  const availableSuggestions = tagSuggestions
+    .filter((tag) => !tags.includes(tag))
+    .filter((tag) => !tagInput || tag.toLocaleLowerCase('tr-TR').includes(tagInput.toLocaleLowerCase('tr-TR')))
+    .slice(0, 8);
+
+  if (!applicationId) return null;
+
+  return (
+    <div className="bg-white rounded-2xl border border-blue-100 shadow-md p-6 w-full max-w-full overflow-hidden space-y-6">
+      <div>
+        <h2 className="text-xl font-bold text-gray-900 mb-1 flex items-center gap-2">
+          <Star className="w-5 h-5 text-amber-500" />
+          Değerlendirme
+        </h2>
+        <p className="text-xs text-gray-500">Bu bölüm yalnızca hastane tarafından görülür.</p>
+      </div>
+
+      {/* Yıldız Puanı */}
+      <div>
+        <span className="block text-sm font-semibold text-gray-700 mb-2">Puan</span>
+        <div className="flex items-center gap-1">
+          {[1, 2, 3, 4, 5].map((value) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => handleRating(value)}
+              disabled={evaluationMutation.isPending}
+              className="p-1 rounded hover:bg-amber-50 disabled:opacity-50"
+              aria-label={`${value} yıldız`}
+            >
+              <Star
+                className={`w-6 h-6 ${value <= rating ? 'text-amber-400 fill-amber-400' : 'text-gray-300'}`}
+              />
+            </button>
+          ))}
+          {rating > 0 && <span className="ml-2 text-xs text-gray-500">{rating}/5</span>}
+        </div>
+      </div>
+
+      {/* Etiketler */}
+      <div>
+        <span className="block text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
+          <Tag className="w-4 h-4 text-indigo-600" />
+          Etiketler
+          <span className="text-xs text-gray-500 ml-auto">{tags.length}/{MAX_TAGS}</span>
+        </span>
+        {tags.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-3">
+            {tags.map((tag) => (
+              <span
+                key={tag}
+                className="inline-flex items-center gap-1 px-2.5 py-1 rounded-full bg-indigo-50 text-indigo-700 text-xs font-medium border border-indigo-100"
+              >
+                {tag}
+                <button
+                  type="button"
+                  onClick={() => handleRemoveTag(tag)}
+                  disabled={evaluationMutation.isPending}
+                  className="hover:text-indigo-900"
+                  aria-label={`${tag} etiketini kaldır`}
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+        {tags.length < MAX_TAGS && (
+          <>
+            <input
+              type="text"
+              value={tagInput}
+              onChange={(e) => setTagInput(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  handleAddTag(tagInput);
+                }
+              }}
+              maxLength={50}
+              placeholder="Etiket yazıp Enter'a basın..."
+              className="w-full px-3 py-2 bg-white border border-gray-300 rounded-lg text-gray-900 placeholder-gray-400 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            />
+            {availableSuggestions.length > 0 && (
+              <div className="flex flex-wrap gap-1.5 mt-2">
+                {availableSuggestions.map((tag) => (
+                  <button
+                    key={tag}
+                    type="button"
+                    onClick={() => handleAddTag(tag)}
+                    className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-600 text-xs hover:bg-indigo-50 hover:text-indigo-700"
+                  >
+                    + {tag}
+                  </button>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {/* Dahili Notlar */}
+      <div>
+        <span className="block text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
+          <MessageSquare className="w-4 h-4 text-blue-600" />
+          Dahili Notlar
+        </span>
+        <div className="flex gap-2 mb-3">
+          <textarea
+            value={noteInput}
+            onChange={(e) => setNoteInput(e.target.value)}
+            rows={2}
+            maxLength={2000}
+            placeholder="Ekibiniz için not ekleyin..."
+            className="flex-1 px-3 py-2 bg-white border border-gray-300 rounded-lg text-gray-900 placeholder-gray-400 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none"
+          />
+          <button
+            type="button"
+            onClick={handleAddNote}
+            disabled={!noteInput.trim() || addNoteMutation.isPending}
+            className="self-end px-3 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            aria-label="Notu ekle"
+          >
+            <Send className="w-4 h-4" />
+          </button>
+        </div>
+        {notesLoading ? (
+          <p className="text-xs text-gray-500">Notlar yükleniyor...</p>
+        ) : notes.length === 0 ? (
+          <p className="text-xs text-gray-500">Henüz dahili not yok.</p>
+        ) : (
+          <ul className="space-y-2 max-h-72 overflow-y-auto">
+            {notes.map((note) => (
+              <li key={note.id} className="bg-blue-50 border border-blue-100 rounded-lg p-3">
+                <p className="text-sm text-gray-800 whitespace-pre-wrap break-words">{note.note}</p>
+                <div className="flex items-center justify-between mt-2 text-xs text-gray-500">
+                  <span className="truncate">{note.author_name || note.author_email} · {formatDateTime(note.created_at)}</span>
+                  {note.author_user_id === user?.id && (
+                    <button
+                      type="button"
+                      onClick={() => handleDeleteNote(note.id)}
+                      disabled={deleteNoteMutation.isPending}
+                      className="text-red-500 hover:text-red-700 flex-shrink-0 ml-2"
+                      aria-label="Notu sil"
+                    >
+                      <Trash2 className="w-3.5 h-3.5" />
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Durum Geçmişi */}
+      <div>
+        <span className="block text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
+          <History className="w-4 h-4 text-purple-600" />
+          Durum Geçmişi
+        </span>
+        {historyLoading ? (
+          <p className="text-xs text-gray-500">Geçmiş yükleniyor...</p>
+        ) : history.length === 0 ? (
+          <p className="text-xs text-gray-500">Henüz durum değişikliği yok.</p>
+        ) : (
+          <ol className="relative border-l border-purple-200 ml-2 space-y-4">
+            {history.map((entry) => (
+              <li key={entry.id} className="ml-4">
+                <span className="absolute -left-1.5 w-3 h-3 rounded-full bg-purple-400 border-2 border-white" />
+                <p className="text-sm text-gray-900">
+                  {entry.from_stage || entry.from_status || '—'}
+                  {' → '}
+                  <span className="font-semibold">{entry.to_stage || entry.to_status}</span>
+                </p>
+                <p className="text-xs text-gray-500">
+                  {formatDateTime(entry.created_at)}
+                  {entry.changed_by_role && ` · ${ROLE_LABELS[entry.changed_by_role] || entry.changed_by_role}`}
+                  {(entry.changed_by_name || entry.changed_by_email) && ` (${entry.changed_by_name || entry.changed_by_email})`}
+                </p>
+                {entry.note && (
+                  <p className="text-xs text-gray-700 mt-1 whitespace-pre-wrap">{entry.note}</p>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ApplicationEvaluationPanel;
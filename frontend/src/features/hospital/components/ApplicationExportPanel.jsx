@@ -0,0 +1,144 @@
+/**
+ * ApplicationExportPanel - Toplu Başvuru Paketi
+ *
+ * Hastane İlan Detayı sayfasında gösterilir. İlana gelen başvurular (isteğe bağlı
+ * durum filtresiyle) başvuru başına PDF ve ozet.csv içeren tek bir ZIP olarak
+ * arka planda hazırlanır; hazır olunca bildirim gelir ve paket buradan indirilir.
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState } from 'react';
+import { Download, FileArchive } from 'lucide-react';
+import {
+  useApplicationExports,
+  useRequestApplicationExport,
+  downloadApplicationExport
+} from '../api/useHospital';
+import { useApplicationStatuses } from '@/hooks/useLookup';
+import { formatDateTime } from '@/utils/dateUtils';
+
+const STATUS_LABELS = {
+  pending: 'Sırada',
+  processing: 'Hazırlanıyor',
+  ready: 'Hazır',
+  failed: 'Başarısız',
+  expired: 'Süresi doldu'
+};
+
+const STATUS_CLASSES = {
+  pending: 'bg-slate-100 text-slate-700',
+  processing: 'bg-blue-100 text-blue-700',
+  ready: 'bg-emerald-100 text-emerald-700',
+  failed: 'bg-red-100 text-red-700',
+  expired: 'bg-slate-100 text-slate-500'
+};
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const ApplicationExportPanel = ({ jobId, applicationCount = 0 }) => {
+  const [status, setStatus] = useState('');
+  const [downloadingId, setDownloadingId] = useState(null);
+  const { data: exportRequests = [], isLoading } = useApplicationExports(jobId);
+  const { data: statusOptions = [] } = useApplicationStatuses();
+  const requestExport = useRequestApplicationExport();
+
+  const getStatusLabel = (statusId) =>
+    statusOptions.find((option) => String(option.value) === String(statusId))?.label || statusId;
+
+  const handleDownload = async (exportId) => {
+    setDownloadingId(exportId);
+    await downloadApplicationExport(exportId);
+    setDownloadingId(null);
+  };
+
+  return (
+    <div className="bg-white rounded-2xl border border-blue-100 shadow-md p-6 space-y-4">
+      <div className="flex items-start gap-3">
+        <div className="p-2.5 rounded-xl bg-blue-50 text-blue-600">
+          <FileArchive className="w-5 h-5" />
+        </div>
+        <div>
+          <h2 className="text-lg font-bold text-gray-900">Başvuru Paketi</h2>
+          <p className="text-sm text-gray-600">
+            Başvurular, her biri için PDF ve Excel ile açılabilen özet tablo (ozet.csv) içeren tek bir ZIP dosyasında
+            hazırlanır. Hazır olduğunda bildirim alırsınız; paket 48 saat boyunca indirilebilir.
+          </p>
+        </div>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-2">
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="flex-1 rounded-xl border border-gray-200 px-3 py-2 text-sm focus:border-blue-500 focus:ring-2 focus:ring-blue-200"
+          aria-label="Başvuru durumu"
+        >
+          <option value="">Tüm başvurular ({applicationCount})</option>
+          {statusOptions.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={() => requestExport.mutate({ jobId, status })}
+          disabled={requestExport.isPending || applicationCount === 0}
+          className="inline-flex items-center justify-center gap-2 px-4 py-2 rounded-xl bg-blue-600 text-white text-sm font-semibold hover:bg-blue-700 disabled:cursor-not-allowed disabled:opacity-60"
+        >
+          <FileArchive className="w-4 h-4" />
+          {requestExport.isPending ? 'Gönderiliyor...' : 'Paketi Hazırla'}
+        </button>
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Yükleniyor...</p>
+      ) : exportRequests.length > 0 && (
+        <div className="space-y-2">
+          {exportRequests.map((item) => (
+            <div
+              key={item.id}
+              className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 rounded-xl border border-gray-200 px-4 py-3"
+            >
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900 flex flex-wrap items-center gap-2">
+                  {formatDateTime(item.created_at)}
+                  <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${STATUS_CLASSES[item.status] || STATUS_CLASSES.pending}`}>
+                    {STATUS_LABELS[item.status] || item.status}
+                  </span>
+                </p>
+                <p className="text-xs text-gray-500">
+                  {[
+                    item.filters?.status ? `Durum: ${getStatusLabel(item.filters.status)}` : 'Tüm başvurular',
+                    item.application_count != null && `${item.application_count} başvuru`,
+                    item.requested_by_name,
+                    item.status === 'ready' && `${formatFileSize(item.file_size)} · Son indirme: ${formatDateTime(item.expires_at)}`,
+                    item.status === 'failed' && (item.error_message || 'Paket hazırlanamadı. Lütfen yeniden deneyin.')
+                  ].filter(Boolean).join(' · ')}
+                </p>
+              </div>
+              {item.status === 'ready' && (
+                <button
+                  type="button"
+                  onClick={() => handleDownload(item.id)}
+                  disabled={downloadingId === item.id}
+                  className="inline-flex items-center gap-2 rounded-xl px-3 py-2 text-sm font-medium text-blue-700 hover:bg-blue-50 transition disabled:opacity-60"
+                >
+                  <Download className="w-4 h-4" />
+                  {downloadingId === item.id ? 'İndiriliyor...' : 'İndir'}
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApplicationExportPanel;
@@ -0,0 +1,357 @@
+/**
+ * ApplicationInterviewPanel - Başvuru Mülakat Paneli
+ *
+ * Başvuru detay sayfasında mülakat planlamasını yönetir.
+ * Backend hospitalService mülakat fonksiyonları (interviewService) ile entegre.
+ *
+ * Özellikler:
+ * - "İnceleniyor" durumundaki başvurular için 1-5 zaman dilimi önerme
+ * - Yüz yüze (adres) veya görüntülü (bağlantı) görüşme
+ * - Doktorun seçtiği zamanın gösterimi ve .ics indirme
+ * - Aktif mülakatı iptal etme (sebep doktora iletilir)
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState } from 'react';
+import {
+  CalendarClock, Plus, X, Video, MapPin, Download, CheckCircle, Hourglass, Ban
+} from 'lucide-react';
+import {
+  useApplicationInterviews,
+  useProposeInterview,
+  useCancelInterview,
+  downloadInterviewCalendar
+} from '../api/useHospital';
+import { showToast } from '@/utils/toastUtils';
+import { formatDateTime } from '@/utils/dateUtils';
+
+/** Mülakat önerilebilecek başvuru durumu (İnceleniyor) */
+const REVIEWING_STATUS_ID = 2;
+
+/** Önerilebilecek en fazla zaman dilimi (backend ile aynı) */
+const MAX_SLOTS = 5;
+
+/** Mülakat durum etiketleri */
+const INTERVIEW_STATUS = {
+  proposed: { label: 'Doktorun yanıtı bekleniyor', icon: Hourglass, className: 'bg-amber-50 text-amber-700 border-amber-200' },
+  scheduled: { label: 'Planlandı', icon: CheckCircle, className: 'bg-green-50 text-green-700 border-green-200' },
+  cancelled: { label: 'İptal edildi', icon: Ban, className: 'bg-gray-50 text-gray-600 border-gray-200' }
+};
+
+const EMPTY_FORM = {
+  mode: 'in_person',
+  location: '',
+  meeting_url: '',
+  duration_minutes: 30,
+  notes: '',
+  slots: ['']
+};
+
+const ApplicationInterviewPanel = ({ application }) => {
+  const applicationId = application?.id;
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const { data: interviews = [], isLoading } = useApplicationInterviews(applicationId);
+  const proposeMutation = useProposeInterview();
+  const cancelMutation = useCancelInterview();
+
+  const activeInterview = interviews.find((interview) => interview.status !== 'cancelled');
+  const pastInterviews = interviews.filter((interview) => interview.status === 'cancelled');
+  const canPropose = application?.status_id === REVIEWING_STATUS_ID && !activeInterview;
+
+  const updateForm = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const updateSlot = (index, value) => {
+    setForm((prev) => ({
+      ...prev,
+      slots: prev.slots.map((slot, i) => (i === index ? value : slot))
+    }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    const slots = form.slots.filter(Boolean);
+    if (slots.length === 0) {
+      showToast.warning('En az bir zaman önerin');
+      return;
+    }
+    if (slots.some((slot) => new Date(slot) <= new Date())) {
+      showToast.warning('Önerilen zamanlar ileri bir tarih olmalıdır');
+      return;
+    }
+
+    try {
+      await proposeMutation.mutateAsync({
+        applicationId,
+        mode: form.mode,
+        location: form.mode === 'in_person' ? form.location || null : undefined,
+        meeting_url: form.mode === 'video' ? form.meeting_url : undefined,
+        duration_minutes: Number(form.duration_minutes),
+        notes: form.notes || null,
+        // datetime-local tarayıcının yerel saatidir; backend'e UTC gönderilir
+        slots: slots.map((slot) => new Date(slot).toISOString())
+      });
+      setForm(EMPTY_FORM);
+      setIsFormOpen(false);
+    } catch {
+      // Hata toast'u hook içinde gösterilir
+    }
+  };
+
+  const handleCancel = (interviewId) => {
+    const reason = window.prompt('Mülakatı iptal etmek istediğinize emin misiniz? İsterseniz doktora iletilecek bir sebep yazın:');
+    if (reason === null) return;
+    cancelMutation.mutate({ interviewId, reason: reason.trim() || null });
+  };
+
+  if (!applicationId) return null;
+
+  const renderInterview = (interview) => {
+    const status = INTERVIEW_STATUS[interview.status] || INTERVIEW_STATUS.proposed;
+    const StatusIcon = status.icon;
+
+    return (
+      <div key={interview.id} className="rounded-xl border border-blue-100 p-4 space-y-3">
+        <div className="flex items-center justify-between gap-2">
+          <span className={`inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full border text-xs font-medium ${status.className}`}>
+            <StatusIcon className="w-3.5 h-3.5" />
+            {status.label}
+          </span>
+          <span className="text-xs text-gray-500">{interview.duration_minutes} dk</span>
+        </div>
+
+        <div className="text-sm text-gray-700 flex items-start gap-2">
+          {interview.mode === 'video' ? (
+            <>
+              <Video className="w-4 h-4 text-blue-600 mt-0.5 flex-shrink-0" />
+              <a href={interview.meeting_url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline break-all">
+                {interview.meeting_url}
+              </a>
+            </>
+          ) : (
+            <>
+              <MapPin className="w-4 h-4 text-blue-600 mt-0.5 flex-shrink-0" />
+              <span>{interview.location || 'Hastane adresi'}</span>
+            </>
+          )}
+        </div>
+
+        <ul className="space-y-1">
+          {interview.slots.map((slot) => {
+            const isSelected = slot.id === interview.selected_slot_id;
+            return (
+              <li
+                key={slot.id}
+                className={`text-sm px-3 py-1.5 rounded-lg ${
+                  isSelected ? 'bg-green-100 text-green-800 font-semibold' : 'bg-gray-50 text-gray-700'
+                } ${interview.status === 'scheduled' && !isSelected ? 'line-through opacity-60' : ''}`}
+              >
+                {formatDateTime(slot.starts_at)}
+              </li>
+            );
+          })}
+        </ul>
+
+        {interview.notes && (
+          <p className="text-xs text-gray-600 whitespace-pre-wrap">{interview.notes}</p>
+        )}
+        {interview.status === 'cancelled' && interview.cancel_reason && (
+          <p className="text-xs text-gray-500">İptal sebebi: {interview.cancel_reason}</p>
+        )}
+
+        {interview.status !== 'cancelled' && (
+          <div className="flex flex-wrap gap-2 pt-1">
+            {interview.status === 'scheduled' && (
+              <button
+                type="button"
+                onClick={() => downloadInterviewCalendar(interview.id)}
+                className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-blue-600 text-white text-xs font-medium hover:bg-blue-700"
+              >
+                <Download className="w-3.5 h-3.5" />
+                Takvime Ekle (.ics)
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => handleCancel(interview.id)}
+              disabled={cancelMutation.isPending}
+              className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg border border-red-200 text-red-600 text-xs font-medium hover:bg-red-50 disabled:opacity-50"
+            >
+              <X className="w-3.5 h-3.5" />
+              İptal Et
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-2xl border border-blue-100 shadow-md p-6 w-full max-w-full overflow-hidden space-y-4">
+      <div className="flex items-center justify-between gap-2">
+        <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+          <CalendarClock className="w-5 h-5 text-blue-600" />
+          Mülakat
+        </h2>
+        {canPropose && !isFormOpen && (
+          <button
+            type="button"
+            onClick={() => setIsFormOpen(true)}
+            className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-blue-600 text-white text-sm font-medium hover:bg-blue-700"
+          >
+            <Plus className="w-4 h-4" />
+            Planla
+          </button>
+        )}
+      </div>
+
+      {isLoading ? (
+        <p className="text-xs text-gray-500">Mülakatlar yükleniyor...</p>
+      ) : (
+        <>
+          {activeInterview && renderInterview(activeInterview)}
+
+          {!activeInterview && !isFormOpen && (
+            <p className="text-xs text-gray-500">
+              {application.status_id === REVIEWING_STATUS_ID
+                ? 'Henüz mülakat planlanmadı. Zaman önerdiğinizde doktor mobil uygulamadan birini seçebilir.'
+                : 'Mülakat yalnızca "İnceleniyor" durumundaki başvurular için planlanabilir.'}
+            </p>
+          )}
+
+          {isFormOpen && (
+            <form onSubmit={handleSubmit} className="space-y-3 rounded-xl border border-blue-100 p-4 bg-blue-50/40">
+              <div className="grid grid-cols-2 gap-2">
+                {[
+                  { value: 'in_person', label: 'Yüz yüze', icon: MapPin },
+                  { value: 'video', label: 'Görüntülü', icon: Video }
+                ].map(({ value, label, icon: Icon }) => (
+                  <button
+                    key={value}
+                    type="button"
+                    onClick={() => updateForm('mode', value)}
+                    className={`inline-flex items-center justify-center gap-1.5 px-3 py-2 rounded-lg border text-sm font-medium ${
+                      form.mode === value ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-blue-50'
+                    }`}
+                  >
+                    <Icon className="w-4 h-4" />
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              {form.mode === 'video' ? (
+                <input
+                  type="url"
+                  required
+                  value={form.meeting_url}
+                  onChange={(e) => updateForm('meeting_url', e.target.value)}
+                  placeholder="https://..."
+                  maxLength={500}
+                  className="w-full px-3 py-2 bg-white border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              ) : (
+                <input
+                  type="text"
+                  value={form.location}
+                  onChange={(e) => updateForm('location', e.target.value)}
+                  placeholder="Adres / oda (boş bırakılırsa hastane adresi)"
+                  maxLength={500}
+                  className="w-full px-3 py-2 bg-white border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              )}
+
+              <label className="flex items-center justify-between gap-2 text-sm text-gray-700">
+                Süre
+                <select
+                  value={form.duration_minutes}
+                  onChange={(e) => updateForm('duration_minutes', e.target.value)}
+                  className="px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-sm"
+                >
+                  {[15, 30, 45, 60, 90, 120].map((minutes) => (
+                    <option key={minutes} value={minutes}>{minutes} dakika</option>
+                  ))}
+                </select>
+              </label>
+
+              <div className="space-y-2">
+                <span className="block text-sm font-semibold text-gray-700">Önerilen zamanlar</span>
+                {form.slots.map((slot, index) => (
+                  <div key={index} className="flex gap-2">
+                    <input
+                      type="datetime-local"
+                      value={slot}
+                      onChange={(e) => updateSlot(index, e.target.value)}
+                      className="flex-1 px-3 py-2 bg-white border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    {form.slots.length > 1 && (
+                      <button
+                        type="button"
+                        onClick={() => updateForm('slots', form.slots.filter((_, i) => i !== index))}
+                        className="px-2 text-gray-400 hover:text-red-600"
+                        aria-label="Zamanı kaldır"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                ))}
+                {form.slots.length < MAX_SLOTS && (
+                  <button
+                    type="button"
+                    onClick={() => updateForm('slots', [...form.slots, ''])}
+                    className="text-xs font-medium text-blue-600 hover:text-blue-800"
+                  >
+                    + Zaman ekle
+                  </button>
+                )}
+              </div>
+
+              <textarea
+                value={form.notes}
+                onChange={(e) => updateForm('notes', e.target.value)}
+                rows={2}
+                maxLength={1000}
+                placeholder="Doktora iletilecek not (opsiyonel)"
+                className="w-full px-3 py-2 bg-white border border-gray-300 rounded-lg text-sm resize-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => { setIsFormOpen(false); setForm(EMPTY_FORM); }}
+                  className="flex-1 px-3 py-2 rounded-lg border border-gray-300 text-sm text-gray-700 hover:bg-gray-50"
+                >
+                  Vazgeç
+                </button>
+                <button
+                  type="submit"
+                  disabled={proposeMutation.isPending}
+                  className="flex-1 px-3 py-2 rounded-lg bg-blue-600 text-white text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {proposeMutation.isPending ? 'Gönderiliyor...' : 'Davet Gönder'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          {pastInterviews.length > 0 && (
+            <details className="text-sm">
+              <summary className="cursor-pointer text-xs font-medium text-gray-500">
+                İptal edilen mülakatlar ({pastInterviews.length})
+              </summary>
+              <div className="mt-2 space-y-2">{pastInterviews.map(renderInterview)}</div>
+            </details>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ApplicationInterviewPanel;
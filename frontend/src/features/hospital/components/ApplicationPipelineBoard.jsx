@@ -0,0 +1,549 @@
+/**
+ * ApplicationPipelineBoard - Başvuru Kanban Panosu
+ *
+ * Hastanenin başvurularını kendi tanımladığı aşamalar üzerinde gösterir.
+ * Backend hospitalService.getPipelineBoard / moveApplications ile entegre.
+ *
+ * Özellikler:
+ * - Aşama başına sütun (sürükle-bırak ile taşıma)
+ * - Çoklu seçim ve toplu taşıma (doktor başına tek bildirim backend'de)
+ * - Yıldız puanı, etiketler ve dahili not sayısı kart üzerinde
+ * - Aşama yönetimi (ekle, yeniden adlandır, sırala, sil)
+ * - Geri çekilen başvurular ayrı, taşınamaz sütunda
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState, useMemo, useCallback, memo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Star, MessageSquare, Settings, X, Plus, Trash2, ArrowUp, ArrowDown,
+  ArrowRight, AlertCircle, RefreshCw, CheckSquare
+} from 'lucide-react';
+import {
+  useHospitalPipelineBoard,
+  useMoveApplications,
+  usePipelineStageMutation
+} from '../api/useHospital';
+import { ModalContainer } from '@/components/ui/ModalContainer';
+import { SkeletonLoader } from '@/components/ui/LoadingSpinner';
+import { showToast } from '@/utils/toastUtils';
+import { toastMessages } from '@/config/toast';
+import { formatDateShort } from '@/utils/dateUtils';
+
+/**
+ * Aşama renk anahtarı → Tailwind sınıfları
+ * Backend hospitalSchemas PIPELINE_STAGE_COLORS ile aynı anahtarlar
+ */
+const STAGE_COLORS = {
+  blue: { header: 'bg-blue-100 text-blue-800 border-blue-200', dot: 'bg-blue-500' },
+  amber: { header: 'bg-amber-100 text-amber-800 border-amber-200', dot: 'bg-amber-500' },
+  green: { header: 'bg-green-100 text-green-800 border-green-200', dot: 'bg-green-500' },
+  red: { header: 'bg-red-100 text-red-800 border-red-200', dot: 'bg-red-500' },
+  purple: { header: 'bg-purple-100 text-purple-800 border-purple-200', dot: 'bg-purple-500' },
+  cyan: { header: 'bg-cyan-100 text-cyan-800 border-cyan-200', dot: 'bg-cyan-500' },
+  gray: { header: 'bg-gray-100 text-gray-800 border-gray-200', dot: 'bg-gray-500' }
+};
+
+/**
+ * Aşamanın bağlanabileceği temel durumlar (doktorun gördüğü durum)
+ */
+const BASE_STATUSES = [
+  { id: 1, label: 'Başvuruldu' },
+  { id: 2, label: 'İnceleniyor' },
+  { id: 3, label: 'Kabul Edildi' },
+  { id: 4, label: 'Reddedildi' }
+];
+
+const getStageColor = (color) => STAGE_COLORS[color] || STAGE_COLORS.gray;
+
+const ApplicationPipelineBoard = ({ filters }) => {
+  const navigate = useNavigate();
+  const { data: board, isLoading, error, refetch } = useHospitalPipelineBoard(filters);
+  const moveMutation = useMoveApplications();
+
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkStageId, setBulkStageId] = useState('');
+  const [bulkNote, setBulkNote] = useState('');
+  const [dragOverStageId, setDragOverStageId] = useState(null);
+  const [isStageModalOpen, setIsStageModalOpen] = useState(false);
+
+  const stages = board?.stages || [];
+  const applications = board?.applications || [];
+
+  // Başvuruları aşamalara göre grupla
+  const { columns, withdrawn } = useMemo(() => {
+    const grouped = Object.fromEntries(stages.map((stage) => [stage.id, []]));
+    const withdrawnApps = [];
+    applications.forEach((app) => {
+      if (app.stage_id && grouped[app.stage_id]) {
+        grouped[app.stage_id].push(app);
+      } else if (app.status_id === 5) {
+        withdrawnApps.push(app);
+      }
+    });
+    return { columns: grouped, withdrawn: withdrawnApps };
+  }, [stages, applications]);
+
+  const toggleSelect = useCallback((applicationId) => {
+    setSelectedIds((prev) =>
+      prev.includes(applicationId) ? prev.filter((id) => id !== applicationId) : [...prev, applicationId]
+    );
+  }, []);
+
+  const toggleSelectColumn = (stageId) => {
+    const columnIds = (columns[stageId] || []).map((app) => app.id);
+    const allSelected = columnIds.length > 0 && columnIds.every((id) => selectedIds.includes(id));
+    setSelectedIds((prev) =>
+      allSelected ? prev.filter((id) => !columnIds.includes(id)) : [...new Set([...prev, ...columnIds])]
+    );
+  };
+
+  const moveTo = async (applicationIds, stageId, note) => {
+    if (!applicationIds.length || !stageId) return;
+    try {
+      await moveMutation.mutateAsync({ application_ids: applicationIds, stage_id: stageId, note: note || null });
+      setSelectedIds((prev) => prev.filter((id) => !applicationIds.includes(id)));
+    } catch (err) {
+      // Toast hook içinde gösteriliyor
+    }
+  };
+
+  const handleBulkMove = async () => {
+    await moveTo(selectedIds, parseInt(bulkStageId, 10), bulkNote.trim());
+    setBulkStageId('');
+    setBulkNote('');
+  };
+
+  // Sürükle-bırak: seçili bir kart sürüklenirse tüm seçim taşınır
+  const handleDragStart = (event, applicationId) => {
+    const ids = selectedIds.includes(applicationId) ? selectedIds : [applicationId];
+    event.dataTransfer.setData('application/json', JSON.stringify(ids));
+    event.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDrop = (event, stageId) => {
+    event.preventDefault();
+    setDragOverStageId(null);
+    try {
+      const ids = JSON.parse(event.dataTransfer.getData('application/json') || '[]');
+      moveTo(ids, stageId);
+    } catch (err) {
+      console.error('Pipeline drop parse error:', err);
+    }
+  };
+
+  if (isLoading && !board) {
+    return (
+      <div className="flex gap-4 overflow-x-auto pb-4">
+        {[...Array(4)].map((_, i) => (
+          <SkeletonLoader key={i} className="h-96 min-w-[280px] bg-white/60 rounded-2xl" />
+        ))}
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-white rounded-2xl border border-red-100 shadow-lg p-8 text-center">
+        <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-3" />
+        <p className="text-gray-800 mb-4">{error.message || 'Pano yüklenemedi'}</p>
+        <button
+          type="button"
+          onClick={() => refetch()}
+          className="bg-gradient-to-r from-blue-500 to-indigo-600 text-white px-5 py-2.5 rounded-xl inline-flex items-center gap-2"
+        >
+          <RefreshCw className="w-4 h-4" />
+          Yeniden Dene
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {/* Üst çubuk */}
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className="text-gray-700 font-medium">
+          {applications.length} başvuru
+          {board?.truncated && (
+            <span className="text-xs text-amber-700 ml-2">
+              (en yeni {applications.length} başvuru gösteriliyor, ilan filtresiyle daraltabilirsiniz)
+            </span>
+          )}
+        </p>
+        <button
+          type="button"
+          onClick={() => setIsStageModalOpen(true)}
+          className="px-4 py-2 bg-white border border-gray-300 rounded-xl text-sm text-gray-800 hover:border-blue-400 inline-flex items-center gap-2"
+        >
+          <Settings className="w-4 h-4" />
+          Aşamaları Düzenle
+        </button>
+      </div>
+
+      {/* Toplu işlem çubuğu */}
+      {selectedIds.length > 0 && (
+        <div className="sticky top-2 z-30 bg-white border border-blue-200 shadow-lg rounded-2xl p-4 flex flex-col md:flex-row md:items-center gap-3">
+          <div className="flex items-center gap-2 text-sm font-semibold text-blue-800">
+            <CheckSquare className="w-5 h-5" />
+            {selectedIds.length} başvuru seçili
+          </div>
+          <select
+            value={bulkStageId}
+            onChange={(e) => setBulkStageId(e.target.value)}
+            className="px-3 py-2 bg-white border border-gray-300 rounded-xl text-sm text-gray-900 focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">Hedef aşama seçin</option>
+            {stages.map((stage) => (
+              <option key={stage.id} value={stage.id}>{stage.name}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={bulkNote}
+            maxLength={1000}
+            onChange={(e) => setBulkNote(e.target.value)}
+            placeholder="Geçmişe not (opsiyonel, doktor görmez)"
+            className="flex-1 px-3 py-2 bg-white border border-gray-300 rounded-xl text-sm text-gray-900 placeholder-gray-400 focus:ring-2 focus:ring-blue-500"
+          />
+          <div className="flex gap-2">
+            <button
+              type="button"
+              disabled={!bulkStageId || moveMutation.isPending}
+              onClick={handleBulkMove}
+              className="px-4 py-2 bg-gradient-to-r from-blue-500 to-indigo-600 text-white rounded-xl text-sm font-medium inline-flex items-center gap-2 disabled:opacity-50"
+            >
+              <ArrowRight className="w-4 h-4" />
+              Taşı
+            </button>
+            <button
+              type="button"
+              onClick={() => setSelectedIds([])}
+              className="px-3 py-2 bg-gray-100 text-gray-700 rounded-xl text-sm hover:bg-gray-200"
+            >
+              Seçimi Temizle
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Sütunlar */}
+      <div className="flex gap-4 overflow-x-auto pb-4">
+        {stages.map((stage) => {
+          const color = getStageColor(stage.color);
+          const columnApps = columns[stage.id] || [];
+          return (
+            <div
+              key={stage.id}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setDragOverStageId(stage.id);
+              }}
+              onDragLeave={() => setDragOverStageId((prev) => (prev === stage.id ? null : prev))}
+              onDrop={(e) => handleDrop(e, stage.id)}
+              className={`min-w-[280px] w-[280px] flex-shrink-0 bg-white/70 rounded-2xl border transition-colors ${
+                dragOverStageId === stage.id ? 'border-blue-400 bg-blue-50/70' : 'border-blue-100'
+              }`}
+            >
+              <div className={`flex items-center justify-between px-4 py-3 rounded-t-2xl border-b ${color.header}`}>
+                <div className="flex items-center gap-2 min-w-0">
+                  <span className={`w-2.5 h-2.5 rounded-full ${color.dot}`} />
+                  <span className="font-semibold text-sm truncate">{stage.name}</span>
+                  <span className="text-xs font-medium opacity-75">{columnApps.length}</span>
+                </div>
+                {columnApps.length > 0 && (
+                  <button
+                    type="button"
+                    onClick={() => toggleSelectColumn(stage.id)}
+                    className="text-xs underline opacity-75 hover:opacity-100"
+                  >
+                    Tümü
+                  </button>
+                )}
+              </div>
+              <div className="p-3 space-y-3 max-h-[70vh] overflow-y-auto">
+                {columnApps.map((application) => (
+                  <PipelineCard
+                    key={application.id}
+                    application={application}
+                    selected={selectedIds.includes(application.id)}
+                    onToggle={toggleSelect}
+                    onDragStart={handleDragStart}
+                    onOpen={(id) => navigate(`/hospital/applications/${id}`)}
+                  />
+                ))}
+                {columnApps.length === 0 && (
+                  <p className="text-xs text-gray-500 text-center py-6">Başvuru yok</p>
+                )}
+              </div>
+            </div>
+          );
+        })}
+
+        {withdrawn.length > 0 && (
+          <div className="min-w-[280px] w-[280px] flex-shrink-0 bg-gray-50 rounded-2xl border border-gray-200">
+            <div className="flex items-center gap-2 px-4 py-3 rounded-t-2xl border-b bg-gray-100 text-gray-700">
+              <span className="font-semibold text-sm">Geri Çekildi</span>
+              <span className="text-xs font-medium opacity-75">{withdrawn.length}</span>
+            </div>
+            <div className="p-3 space-y-3 max-h-[70vh] overflow-y-auto opacity-75">
+              {withdrawn.map((application) => (
+                <PipelineCard
+                  key={application.id}
+                  application={application}
+                  disabled
+                  onOpen={(id) => navigate(`/hospital/applications/${id}`)}
+                />
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {isStageModalOpen && (
+        <StageManagerModal stages={stages} onClose={() => setIsStageModalOpen(false)} />
+      )}
+    </div>
+  );
+};
+
+// ============================================================================
+// KART
+// ============================================================================
+
+const PipelineCardComponent = ({ application, selected = false, disabled = false, onToggle, onDragStart, onOpen }) => {
+  const doctorName = application.first_name
+    ? `${application.title ? `${application.title} ` : ''}${application.first_name} ${application.last_name || ''}`.trim()
+    : 'Pasif kullanıcı';
+
+  return (
+    <div
+      draggable={!disabled}
+      onDragStart={disabled ? undefined : (e) => onDragStart(e, application.id)}
+      onClick={() => onOpen(application.id)}
+      className={`bg-white rounded-xl border p-3 shadow-sm cursor-pointer hover:shadow-md transition-all ${
+        selected ? 'border-blue-500 ring-2 ring-blue-200' : 'border-gray-200'
+      }`}
+    >
+      <div className="flex items-start gap-2">
+        {!disabled && (
+          <input
+            type="checkbox"
+            checked={selected}
+            onClick={(e) => e.stopPropagation()}
+            onChange={() => onToggle(application.id)}
+            className="mt-1 w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500 flex-shrink-0"
+          />
+        )}
+        <div className="min-w-0 flex-1">
+          <p className="text-sm font-semibold text-gray-900 truncate">{doctorName}</p>
+          <p className="text-xs text-gray-600 truncate">{application.job_title}</p>
+        </div>
+      </div>
+
+      {application.tags?.length > 0 && (
+        <div className="flex flex-wrap gap-1 mt-2">
+          {application.tags.map((tag) => (
+            <span key={tag} className="px-2 py-0.5 bg-indigo-50 text-indigo-700 border border-indigo-100 rounded-full text-[11px]">
+              {tag}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mt-2 text-xs text-gray-500">
+        <div className="flex items-center gap-0.5">
+          {[1, 2, 3, 4, 5].map((value) => (
+            <Star
+              key={value}
+              className={`w-3.5 h-3.5 ${application.rating >= value ? 'text-amber-400 fill-amber-400' : 'text-gray-300'}`}
+            />
+          ))}
+        </div>
+        <div className="flex items-center gap-3">
+          {application.note_count > 0 && (
+            <span className="inline-flex items-center gap-1">
+              <MessageSquare className="w-3.5 h-3.5" />
+              {application.note_count}
+            </span>
+          )}
+          <span>{formatDateShort(application.applied_at)}</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const PipelineCard = memo(PipelineCardComponent);
+
+// ============================================================================
+// AŞAMA YÖNETİMİ MODALI
+// ============================================================================
+
+const StageManagerModal = ({ stages, onClose }) => {
+  const createStage = usePipelineStageMutation('create');
+  const updateStage = usePipelineStageMutation('update');
+  const deleteStage = usePipelineStageMutation('delete');
+  const reorderStages = usePipelineStageMutation('reorder');
+
+  const [names, setNames] = useState(() => Object.fromEntries(stages.map((stage) => [stage.id, stage.name])));
+  const [newStage, setNewStage] = useState({ name: '', status_id: '2', color: 'purple' });
+
+  const isBusy = createStage.isPending || updateStage.isPending || deleteStage.isPending || reorderStages.isPending;
+
+  const handleRename = async (stage) => {
+    const name = (names[stage.id] || '').trim();
+    if (!name || name === stage.name) return;
+    try {
+      await updateStage.mutateAsync({ stageId: stage.id, name });
+      showToast.success(toastMessages.application.stageSaveSuccess);
+    } catch (err) {
+      // Toast hook içinde gösteriliyor
+    }
+  };
+
+  const handleColor = (stage, color) => updateStage.mutate({ stageId: stage.id, color });
+
+  const handleMove = (index, direction) => {
+    const ids = stages.map((stage) => stage.id);
+    const target = index + direction;
+    if (target < 0 || target >= ids.length) return;
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    reorderStages.mutate({ stage_ids: ids });
+  };
+
+  const handleDelete = (stage) => {
+    if (!window.confirm(`"${stage.name}" aşaması silinsin mi? İçindeki başvurular aynı durumdaki ilk aşamaya taşınır.`)) return;
+    deleteStage.mutate({ stageId: stage.id });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (newStage.name.trim().length < 2) return;
+    try {
+      await createStage.mutateAsync({
+        name: newStage.name.trim(),
+        status_id: parseInt(newStage.status_id, 10),
+        color: newStage.color
+      });
+      setNewStage((prev) => ({ ...prev, name: '' }));
+      showToast.success(toastMessages.application.stageSaveSuccess);
+    } catch (err) {
+      // Toast hook içinde gösteriliyor
+    }
+  };
+
+  return (
+    <ModalContainer
+      isOpen
+      onClose={onClose}
+      title="Başvuru Aşamaları"
+      size="medium"
+      maxHeight="85vh"
+      backdropClassName="bg-black/40 backdrop-blur-sm"
+    >
+      <div className="space-y-5">
+        <p className="text-sm text-gray-600">
+          Her aşama bir başvuru durumuna bağlıdır; doktor yalnızca bu durumu görür.
+          Bir durumun son aşaması silinemez.
+        </p>
+
+        <ul className="space-y-2">
+          {stages.map((stage, index) => (
+            <li key={stage.id} className="flex flex-wrap items-center gap-2 bg-gray-50 border border-gray-200 rounded-xl p-3">
+              <div className="flex flex-col">
+                <button type="button" disabled={isBusy || index === 0} onClick={() => handleMove(index, -1)} className="text-gray-500 disabled:opacity-30">
+                  <ArrowUp className="w-4 h-4" />
+                </button>
+                <button type="button" disabled={isBusy || index === stages.length - 1} onClick={() => handleMove(index, 1)} className="text-gray-500 disabled:opacity-30">
+                  <ArrowDown className="w-4 h-4" />
+                </button>
+              </div>
+              <input
+                type="text"
+                value={names[stage.id] ?? stage.name}
+                maxLength={100}
+                onChange={(e) => setNames((prev) => ({ ...prev, [stage.id]: e.target.value }))}
+                onBlur={() => handleRename(stage)}
+                className="flex-1 min-w-[140px] px-3 py-2 bg-white border border-gray-300 rounded-lg text-sm text-gray-900 focus:ring-2 focus:ring-blue-500"
+              />
+              <span className="text-xs text-gray-500">
+                {BASE_STATUSES.find((status) => status.id === stage.status_id)?.label}
+              </span>
+              <select
+                value={stage.color || 'gray'}
+                disabled={isBusy}
+                onChange={(e) => handleColor(stage, e.target.value)}
+                className="px-2 py-2 bg-white border border-gray-300 rounded-lg text-xs text-gray-900"
+              >
+                {Object.keys(STAGE_COLORS).map((color) => (
+                  <option key={color} value={color}>{color}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                disabled={isBusy}
+                onClick={() => handleDelete(stage)}
+                className="p-2 text-red-600 hover:bg-red-50 rounded-lg disabled:opacity-50"
+                aria-label="Aşamayı sil"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <form onSubmit={handleCreate} className="border-t border-gray-200 pt-4 space-y-3">
+          <p className="text-sm font-semibold text-gray-800">Yeni Aşama</p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+            <input
+              type="text"
+              value={newStage.name}
+              maxLength={100}
+              onChange={(e) => setNewStage((prev) => ({ ...prev, name: e.target.value }))}
+              placeholder="Örn: Telefon Görüşmesi"
+              className="px-3 py-2 bg-white border border-gray-300 rounded-lg text-sm text-gray-900 placeholder-gray-400 focus:ring-2 focus:ring-blue-500"
+            />
+            <select
+              value={newStage.status_id}
+              onChange={(e) => setNewStage((prev) => ({ ...prev, status_id: e.target.value }))}
+              className="px-3 py-2 bg-white border border-gray-300 rounded-lg text-sm text-gray-900"
+            >
+              {BASE_STATUSES.map((status) => (
+                <option key={status.id} value={status.id}>Durum: {status.label}</option>
+              ))}
+            </select>
+            <select
+              value={newStage.color}
+              onChange={(e) => setNewStage((prev) => ({ ...prev, color: e.target.value }))}
+              className="px-3 py-2 bg-white border border-gray-300 rounded-lg text-sm text-gray-900"
+            >
+              {Object.keys(STAGE_COLORS).map((color) => (
+                <option key={color} value={color}>{color}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-100 text-gray-700 rounded-xl text-sm inline-flex items-center gap-1">
+              <X className="w-4 h-4" />
+              Kapat
+            </button>
+            <button
+              type="submit"
+              disabled={isBusy || newStage.name.trim().length < 2}
+              className="px-4 py-2 bg-gradient-to-r from-blue-500 to-indigo-600 text-white rounded-xl text-sm font-medium inline-flex items-center gap-1 disabled:opacity-50"
+            >
+              <Plus className="w-4 h-4" />
+              Aşama Ekle
+            </button>
+          </div>
+        </form>
+      </div>
+    </ModalContainer>
+  );
+};
+
+export default ApplicationPipelineBoard;
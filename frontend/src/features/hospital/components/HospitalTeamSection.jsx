@@ -0,0 +1,236 @@
+/**
+ * HospitalTeamSection - Hastane ekip yönetimi
+ *
+ * Hastane Ayarları sayfasında tüm ekip üyelerine gösterilir. Ekip üyelerini
+ * ve bekleyen davetleri listeler. Davet gönderme, davet iptali, rol değiştirme
+ * ve üyeyi ekipten çıkarma yalnızca hesap sahibine (owner) açıktır; diğer
+ * üyeler listeyi salt okunur görür.
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState } from 'react';
+import { Users, Mail, Trash2, X } from 'lucide-react';
+import {
+  useHospitalTeam,
+  useInviteTeamMember,
+  useRevokeTeamInvitation,
+  useUpdateTeamMemberRole,
+  useRemoveTeamMember
+} from '../api/useHospital';
+import useAuthStore from '@/store/authStore';
+import { formatDateTime } from '@/utils/dateUtils';
+import { ModalContainer } from '@/components/ui/ModalContainer';
+
+const ROLE_LABELS = {
+  owner: 'Hesap Sahibi',
+  recruiter: 'İşe Alım Sorumlusu',
+  viewer: 'Görüntüleyici'
+};
+
+const HospitalTeamSection = () => {
+  const user = useAuthStore((state) => state.user);
+  const isOwner = user?.hospital_role === 'owner';
+
+  const { data, isLoading } = useHospitalTeam();
+  const inviteMember = useInviteTeamMember();
+  const revokeInvitation = useRevokeTeamInvitation();
+  const updateMemberRole = useUpdateTeamMemberRole();
+  const removeMember = useRemoveTeamMember();
+
+  const [inviteForm, setInviteForm] = useState({ email: '', role: 'recruiter' });
+  const [memberToRemove, setMemberToRemove] = useState(null);
+
+  const members = data?.members || [];
+  const invitations = data?.invitations || [];
+  const roles = data?.roles || [];
+  const seatsUsed = members.length + invitations.length;
+  const seatLimitReached = data?.max_members ? seatsUsed >= data.max_members : false;
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    inviteMember.mutate(
+      { email: inviteForm.email.trim(), role: inviteForm.role },
+      { onSuccess: () => setInviteForm((prev) => ({ ...prev, email: '' })) }
+    );
+  };
+
+  const confirmRemoveMember = () => {
+    removeMember.mutate(memberToRemove.id, {
+      onSettled: () => setMemberToRemove(null)
+    });
+  };
+
+  return (
+    <section className="bg-white/90 backdrop-blur-xl rounded-2xl md:rounded-3xl shadow-2xl border border-white/40 p-5 md:p-8 space-y-6">
+      <div className="flex items-start gap-4">
+        <div className="p-3 rounded-2xl bg-indigo-100 text-indigo-700">
+          <Users className="w-6 h-6" />
+        </div>
+        <div className="space-y-1">
+          <h2 className="text-xl font-semibold text-slate-900">Ekip</h2>
+          <p className="text-sm text-slate-600">
+            İşe alım sorumluları ilan ve başvuru işlemlerini yapabilir; görüntüleyiciler yalnızca inceleyebilir.
+            {!isOwner && ' Ekibi yalnızca hesap sahibi yönetebilir.'}
+          </p>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-slate-500">Yükleniyor...</p>
+      ) : (
+        <>
+          <div className="space-y-3">
+            {members.map((member) => (
+              <div
+                key={member.id}
+                className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 rounded-2xl border border-slate-200 px-4 py-3"
+              >
+                <div className="min-w-0">
+                  <p className="font-medium text-slate-900 break-all">
+                    {member.full_name || member.email}
+                    {member.is_self && <span className="ml-2 text-xs text-slate-500">(siz)</span>}
+                    {!member.is_active && <span className="ml-2 text-xs text-red-600">Pasif</span>}
+                  </p>
+                  <p className="text-xs text-slate-500 break-all">
+                    {member.full_name ? `${member.email} · ` : ''}
+                    Son giriş: {member.last_login ? formatDateTime(member.last_login) : '-'}
+                  </p>
+                </div>
+
+                {isOwner && member.role !== 'owner' ? (
+                  <div className="flex items-center gap-2">
+                    <select
+                      value={member.role}
+                      onChange={(e) => updateMemberRole.mutate({ memberId: member.id, role: e.target.value })}
+                      disabled={updateMemberRole.isPending}
+                      className="rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-900 focus:border-blue-500 focus:ring-2 focus:ring-blue-500/40 disabled:opacity-60"
+                    >
+                      {roles.map((role) => (
+                        <option key={role.key} value={role.key}>{role.label}</option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={() => setMemberToRemove(member)}
+                      className="p-2 rounded-xl text-red-600 hover:bg-red-50 transition"
+                      title="Ekipten çıkar"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ) : (
+                  <span className="text-sm font-medium text-slate-600">{ROLE_LABELS[member.role] || member.role}</span>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {invitations.length > 0 && (
+            <div className="space-y-3">
+              <h3 className="text-sm font-semibold text-slate-700">Bekleyen Davetler</h3>
+              {invitations.map((invitation) => (
+                <div
+                  key={invitation.id}
+                  className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 rounded-2xl border border-dashed border-slate-300 px-4 py-3"
+                >
+                  <div className="min-w-0">
+                    <p className="font-medium text-slate-900 break-all flex items-center gap-2">
+                      <Mail className="w-4 h-4 text-slate-400 flex-shrink-0" />
+                      {invitation.email}
+                    </p>
+                    <p className="text-xs text-slate-500">
+                      {ROLE_LABELS[invitation.role] || invitation.role} · Son geçerlilik: {formatDateTime(invitation.expires_at)}
+                    </p>
+                  </div>
+                  {isOwner && (
+                    <button
+                      type="button"
+                      onClick={() => revokeInvitation.mutate(invitation.id)}
+                      disabled={revokeInvitation.isPending}
+                      className="inline-flex items-center gap-1 rounded-xl px-3 py-2 text-sm font-medium text-slate-600 hover:bg-slate-100 transition disabled:opacity-60"
+                    >
+                      <X className="w-4 h-4" />
+                      İptal Et
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {isOwner && (
+            <form onSubmit={handleInvite} className="flex flex-col sm:flex-row gap-3">
+              <input
+                type="email"
+                value={inviteForm.email}
+                onChange={(e) => setInviteForm((prev) => ({ ...prev, email: e.target.value }))}
+                placeholder="ornek@kurum.com"
+                className="flex-1 rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-900 focus:border-blue-500 focus:ring-2 focus:ring-blue-500/40"
+                required
+              />
+              <select
+                value={inviteForm.role}
+                onChange={(e) => setInviteForm((prev) => ({ ...prev, role: e.target.value }))}
+                className="rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-900 focus:border-blue-500 focus:ring-2 focus:ring-blue-500/40"
+              >
+                {roles.map((role) => (
+                  <option key={role.key} value={role.key}>{role.label}</option>
+                ))}
+              </select>
+              <button
+                type="submit"
+                disabled={!inviteForm.email.trim() || inviteMember.isPending || seatLimitReached}
+                className="inline-flex items-center justify-center rounded-xl bg-blue-600 px-4 py-2 text-sm font-semibold text-white transition hover:bg-blue-700 disabled:cursor-not-allowed disabled:opacity-60"
+              >
+                {inviteMember.isPending ? 'Gönderiliyor...' : 'Davet Gönder'}
+              </button>
+            </form>
+          )}
+          {isOwner && seatLimitReached && (
+            <p className="text-xs text-amber-700">
+              Ekip üye sınırına ({data.max_members}) ulaşıldı. Yeni davet için bir üyeyi çıkarın veya bekleyen bir daveti iptal edin.
+            </p>
+          )}
+        </>
+      )}
+
+      {memberToRemove && (
+        <ModalContainer
+          isOpen={!!memberToRemove}
+          onClose={() => setMemberToRemove(null)}
+          title="Üyeyi Ekipten Çıkar"
+          align="center"
+          size="small"
+        >
+          <div className="space-y-4">
+            <p className="text-sm text-slate-600">
+              {memberToRemove.full_name || memberToRemove.email} ekipten çıkarılacak ve hesabı pasifleştirilecek. Devam etmek istiyor musunuz?
+            </p>
+            <div className="flex justify-end gap-3">
+              <button
+                type="button"
+                onClick={() => setMemberToRemove(null)}
+                className="rounded-xl px-4 py-2 text-sm font-medium text-slate-600 hover:bg-slate-100 transition"
+              >
+                Vazgeç
+              </button>
+              <button
+                type="button"
+                onClick={confirmRemoveMember}
+                disabled={removeMember.isPending}
+                className="rounded-xl px-4 py-2 text-sm font-medium text-white bg-red-600 hover:bg-red-700 transition disabled:opacity-60"
+              >
+                Ekipten Çıkar
+              </button>
+            </div>
+          </div>
+        </ModalContainer>
+      )}
+    </section>
+  );
+};
+
+export default HospitalTeamSection;
@@ -0,0 +1,231 @@
+/**
+ * PdfShareLinksPanel - PDF Paylaşım Bağlantıları
+ *
+ * İlan veya başvuru PDF'ini hesabı olmayan birine (örn. bölüm şefi) iletmek için
+ * süreli, imzalı bağlantı oluşturur. Backend pdfShareService ile entegre.
+ *
+ * Özellikler:
+ * - Geçerlilik süresi ve isteğe bağlı not (kime gönderildiği) ile bağlantı oluşturma
+ * - Bağlantıyı kopyalama ve iptal etme (görüntüleyici rolü yalnızca listeyi görür)
+ * - Her bağlantının açılma sayısı ve erişim kayıtları (zaman, IP, tarayıcı)
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useState } from 'react';
+import { Share2, Copy, Ban, Eye, ChevronDown, ChevronUp, Link2 } from 'lucide-react';
+import {
+  usePdfShareLinks,
+  useCreatePdfShareLink,
+  useRevokePdfShareLink,
+  usePdfShareLinkAccesses
+} from '../api/useHospital';
+import useAuthStore from '@/store/authStore';
+import { showToast } from '@/utils/toastUtils';
+import { toastMessages } from '@/config/toast';
+import { formatDateTime } from '@/utils/dateUtils';
+
+/** Geçerlilik süresi seçenekleri (saat) - backend PDF_SHARE sınırları: 1 saat - 14 gün */
+const EXPIRY_OPTIONS = [
+  { value: 24, label: '1 gün' },
+  { value: 72, label: '3 gün' },
+  { value: 168, label: '7 gün' },
+  { value: 336, label: '14 gün' }
+];
+
+const copyToClipboard = async (text, successMessage = toastMessages.application.shareLinkCopied) => {
+  try {
+    await navigator.clipboard.writeText(text);
+    showToast.success(successMessage);
+  } catch {
+    window.prompt('Bağlantıyı kopyalayın:', text);
+  }
+};
+
+const getLinkStatus = (link) => {
+  if (link.revoked_at) return { label: 'İptal edildi', className: 'bg-gray-50 text-gray-600 border-gray-200' };
+  if (!link.is_active) return { label: 'Süresi doldu', className: 'bg-amber-50 text-amber-700 border-amber-200' };
+  return { label: 'Aktif', className: 'bg-green-50 text-green-700 border-green-200' };
+};
+
+const ShareLinkAccesses = ({ linkId }) => {
+  const { data: accesses = [], isLoading } = usePdfShareLinkAccesses(linkId);
+
+  if (isLoading) {
+    return <p className="text-xs text-gray-500">Yükleniyor...</p>;
+  }
+  if (accesses.length === 0) {
+    return <p className="text-xs text-gray-500">Bağlantı henüz açılmadı.</p>;
+  }
+
+  return (
+    <ul className="space-y-1">
+      {accesses.map((access) => (
+        <li key={access.id} className="text-xs text-gray-600 bg-gray-50 rounded-lg px-3 py-1.5">
+          <span className="font-medium text-gray-800">{formatDateTime(access.accessed_at)}</span>
+          {access.ip_address && <span> · {access.ip_address}</span>}
+          {access.user_agent && <span className="block truncate text-gray-500">{access.user_agent}</span>}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const PdfShareLinksPanel = ({ resourceType, resourceId }) => {
+  const canManage = useAuthStore((state) => state.user?.hospital_role !== 'viewer');
+  const [expiresInHours, setExpiresInHours] = useState(72);
+  const [note, setNote] = useState('');
+  const [openAccessLinkId, setOpenAccessLinkId] = useState(null);
+
+  const { data: links = [], isLoading } = usePdfShareLinks(resourceType, resourceId);
+  const createMutation = useCreatePdfShareLink();
+  const revokeMutation = useRevokePdfShareLink();
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    try {
+      const response = await createMutation.mutateAsync({
+        resource_type: resourceType,
+        resource_id: resourceId,
+        expires_in_hours: expiresInHours,
+        note: note.trim() || null
+      });
+      setNote('');
+      const url = response.data?.data?.url;
+      if (url) {
+        await copyToClipboard(url, toastMessages.application.shareLinkCreateSuccess);
+      }
+    } catch {
+      // Hata toast'u hook içinde gösterilir
+    }
+  };
+
+  const handleRevoke = (linkId) => {
+    if (!window.confirm('Bağlantı iptal edilecek ve artık açılamayacak. Devam edilsin mi?')) return;
+    revokeMutation.mutate(linkId);
+  };
+
+  if (!resourceId) return null;
+
+  return (
+    <div className="bg-white rounded-2xl border border-blue-100 shadow-md p-6 w-full max-w-full overflow-hidden space-y-4">
+      <div>
+        <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+          <Share2 className="w-5 h-5 text-blue-600" />
+          PDF Paylaş
+        </h2>
+        <p className="text-xs text-gray-500 mt-1">
+          Hesabı olmayan birine süreli bağlantı gönderin. Bağlantının her açılışı kaydedilir.
+        </p>
+      </div>
+
+      {canManage && (
+        <form onSubmit={handleCreate} className="space-y-2">
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            maxLength={255}
+            placeholder="Not (örn. Kardiyoloji bölüm şefi)"
+            className="w-full rounded-xl border border-gray-200 px-3 py-2 text-sm focus:border-blue-500 focus:ring-2 focus:ring-blue-200"
+          />
+          <div className="flex gap-2">
+            <select
+              value={expiresInHours}
+              onChange={(e) => setExpiresInHours(Number(e.target.value))}
+              className="flex-1 rounded-xl border border-gray-200 px-3 py-2 text-sm focus:border-blue-500 focus:ring-2 focus:ring-blue-200"
+              aria-label="Geçerlilik süresi"
+            >
+              {EXPIRY_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label} geçerli</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={createMutation.isPending}
+              className="inline-flex items-center gap-1.5 px-4 py-2 rounded-xl bg-blue-600 text-white text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+            >
+              <Link2 className="w-4 h-4" />
+              Bağlantı Oluştur
+            </button>
+          </div>
+        </form>
+      )}
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Yükleniyor...</p>
+      ) : links.length === 0 ? (
+        <p className="text-sm text-gray-500">Henüz paylaşım bağlantısı yok.</p>
+      ) : (
+        <div className="space-y-3">
+          {links.map((link) => {
+            const status = getLinkStatus(link);
+            const isAccessOpen = openAccessLinkId === link.id;
+            return (
+              <div key={link.id} className="rounded-xl border border-blue-100 p-3 space-y-2">
+                <div className="flex items-center justify-between gap-2">
+                  <span className={`inline-flex items-center px-2.5 py-1 rounded-full border text-xs font-medium ${status.className}`}>
+                    {status.label}
+                  </span>
+                  <span className="text-xs text-gray-500 inline-flex items-center gap-1">
+                    <Eye className="w-3.5 h-3.5" />
+                    {link.access_count} kez açıldı
+                  </span>
+                </div>
+
+                {link.note && <p className="text-sm font-medium text-gray-800 break-words">{link.note}</p>}
+                <p className="text-xs text-gray-500">
+                  {[
+                    link.created_by_name,
+                    `Oluşturma: ${formatDateTime(link.created_at)}`,
+                    `${link.revoked_at ? 'İptal' : 'Bitiş'}: ${formatDateTime(link.revoked_at || link.expires_at)}`
+                  ].filter(Boolean).join(' · ')}
+                </p>
+
+                <div className="flex flex-wrap gap-2">
+                  {link.url && (
+                    <button
+                      type="button"
+                      onClick={() => copyToClipboard(link.url)}
+                      className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-blue-50 text-blue-700 text-xs font-medium hover:bg-blue-100"
+                    >
+                      <Copy className="w-3.5 h-3.5" />
+                      Kopyala
+                    </button>
+                  )}
+                  {canManage && link.is_active && (
+                    <button
+                      type="button"
+                      onClick={() => handleRevoke(link.id)}
+                      disabled={revokeMutation.isPending}
+                      className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg border border-red-200 text-red-600 text-xs font-medium hover:bg-red-50 disabled:opacity-50"
+                    >
+                      <Ban className="w-3.5 h-3.5" />
+                      İptal Et
+                    </button>
+                  )}
+                  {link.access_count > 0 && (
+                    <button
+                      type="button"
+                      onClick={() => setOpenAccessLinkId(isAccessOpen ? null : link.id)}
+                      className="inline-flex items-center gap-1 px-3 py-1.5 rounded-lg text-gray-600 text-xs font-medium hover:bg-gray-50"
+                    >
+                      {isAccessOpen ? <ChevronUp className="w-3.5 h-3.5" /> : <ChevronDown className="w-3.5 h-3.5" />}
+                      Erişimler
+                    </button>
+                  )}
+                </div>
+
+                {isAccessOpen && <ShareLinkAccesses linkId={link.id} />}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PdfShareLinksPanel;
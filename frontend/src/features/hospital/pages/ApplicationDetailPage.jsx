@@ -10,6 +10,8 @@
  * - Doktor ön yazısı görüntüleme
  * - Başvuru durumu yönetimi (dropdown ile)
  * - Hastane notu ekleme/güncelleme
+ * - Dahili değerlendirme (puan, etiketler, dahili notlar, durum geçmişi)
+ * - Mülakat planlama (zaman önerisi, iptal, .ics indirme)
  * - Geri çekilen başvurularda durum güncelleme kısıtlaması
  * - URL parametreleri ve scroll pozisyonu korunması
  * - Modern glassmorphism dark theme
@@ -42,6 +44,10 @@ import { showToast } from '@/utils/toastUtils';
 import { toastMessages } from '@/config/toast';
 import { SkeletonLoader } from '@/components/ui/LoadingSpinner';
 import { StatusBadge } from './ApplicationsPage';
+import ApplicationEvaluationPanel from '../components/ApplicationEvaluationPanel';
+import ApplicationInterviewPanel from '../components/ApplicationInterviewPanel';
+import PdfShareLinksPanel from '../components/PdfShareLinksPanel';
+import ApplicationMessageThread from '@/features/messages/components/ApplicationMessageThread';
 import { GraduationCap, Award, Languages } from 'lucide-react';
 import { formatDateTime, formatDate, formatDateShort, formatMonthYear } from '@/utils/dateUtils';
 import jsPDF from 'jspdf';
@@ -563,6 +569,18 @@ const HospitalApplicationDetailPage = () => {
                 </div>
               )}
             </div>
+
+            {/* Mülakat */}
+            <ApplicationInterviewPanel application={application} />
+
+            {/* Doktorla Yazışma */}
+            <ApplicationMessageThread applicationId={application.id} />
+
+            {/* Dahili Değerlendirme */}
+            <ApplicationEvaluationPanel application={application} />
+
+            {/* PDF Paylaşım Bağlantıları */}
+            <PdfShareLinksPanel resourceType="application" resourceId={application.id} />
           </div>
         </div>
       </div>
@@ -760,11 +778,11 @@ const DoctorProfilePopover = ({ doctorId, doctorData, isLoading, anchorElement,
               </div>
               <div>
                 <span className={`text-sm ${isInline ? 'text-gray-600' : 'text-gray-400'}`}>Telefon</span>
-                <p className={isInline ? 'text-gray-900' : 'text-white'}>{profile.phone || 'Belirtilmemiş'}</p>
+                <p className={isInline ? 'text-gray-900' : 'text-white'}>{profile.phone || (profile.phone_hidden ? 'Doktor tarafından gizlendi' : 'Belirtilmemiş')}</p>
               </div>
               <div>
                 <span className={`text-sm ${isInline ? 'text-gray-600' : 'text-gray-400'}`}>E-posta</span>
-                <p className={isInline ? 'text-gray-900' : 'text-white'}>{profile.email || 'Belirtilmemiş'}</p>
+                <p className={isInline ? 'text-gray-900' : 'text-white'}>{profile.email || (profile.email_hidden ? 'Doktor tarafından gizlendi' : 'Belirtilmemiş')}</p>
               </div>
               {profile.dob && (
                 <div>
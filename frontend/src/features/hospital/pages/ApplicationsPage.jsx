@@ -6,6 +6,7 @@
  * 
  * Özellikler:
  * - Başvuru listesi ve filtreleme
+ * - Kanban görünümü (özel aşamalar, sürükle-bırak, toplu taşıma)
  * - Başvuru durumu yönetimi (dropdown ile)
  * - Doktor profil görüntüleme (modal ile)
  * - Modern glassmorphism dark theme
@@ -31,7 +32,7 @@ import {
   CheckCircle, X, Clock, Eye, AlertCircle, ArrowRight, 
   RefreshCw, Phone, Mail, Briefcase, Target, Building,
   ExternalLink, Settings,
-  ArrowLeft, ChevronDown, ChevronUp
+  ArrowLeft, ChevronDown, ChevronUp, List, LayoutGrid
 } from 'lucide-react';
 import { useFloating, autoUpdate, offset, flip, shift, useDismiss, useInteractions, FloatingPortal, size } from '@floating-ui/react';
 import { useHospitalApplications, useUpdateApplicationStatus, useHospitalJobs } from '../api/useHospital';
@@ -40,6 +41,7 @@ import { SkeletonLoader } from '@/components/ui/LoadingSpinner';
 import { showToast } from '@/utils/toastUtils';
 import { formatDate, formatDateShort } from '@/utils/dateUtils';
 import { normalizePagination } from '@/utils/paginationUtils';
+import ApplicationPipelineBoard from '../components/ApplicationPipelineBoard';
 
 const HospitalApplications = () => {
   const navigate = useNavigate();
@@ -259,6 +261,27 @@ const HospitalApplications = () => {
   const urlSearch = searchParams.get('search') || '';
   const urlPage = parseInt(searchParams.get('page') || '1', 10);
   const urlJobIds = searchParams.get('jobIds');
+  const viewMode = searchParams.get('view') === 'board' ? 'board' : 'list';
+
+  const handleViewChange = (mode) => {
+    setSearchParams(prev => {
+      const newParams = new URLSearchParams(prev);
+      if (mode === 'board') {
+        newParams.set('view', 'board');
+        // Panoda durumlar sütun olarak gösterilir, sayfalama yoktur
+        newParams.delete('status');
+        newParams.delete('page');
+      } else {
+        newParams.delete('view');
+      }
+      return newParams;
+    });
+  };
+
+  const boardFilters = useMemo(() => ({
+    jobIds: urlJobIds || undefined,
+    search: urlSearch && urlSearch.length >= 2 ? urlSearch : undefined
+  }), [urlJobIds, urlSearch]);
 
   // URL'den gelen değerleri state'e senkronize et - OPTİMİZE: Tek useEffect ile birleştirildi
   useEffect(() => {
@@ -559,8 +582,8 @@ const HospitalApplications = () => {
           >
             {/* Üst satır: Tüm Durumlar ve İlanlarım */}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
-              {/* Status Filter */}
-              <div>
+              {/* Status Filter (panoda gizli) */}
+              <div className={viewMode === 'board' ? 'hidden' : ''}>
                 <select
                   value={statusFilter}
                   onChange={(e) => handleFilterChange('status', e.target.value)}
@@ -770,6 +793,36 @@ const HospitalApplications = () => {
             )}
           </form>
 
+          {/* Görünüm seçimi */}
+          <div className="flex justify-end">
+            <div className="inline-flex bg-white border border-blue-100 rounded-xl p-1 shadow-sm">
+              <button
+                type="button"
+                onClick={() => handleViewChange('list')}
+                className={`px-4 py-2 rounded-lg text-sm font-medium inline-flex items-center gap-2 transition-colors ${
+                  viewMode === 'list' ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-blue-50'
+                }`}
+              >
+                <List className="w-4 h-4" />
+                Liste
+              </button>
+              <button
+                type="button"
+                onClick={() => handleViewChange('board')}
+                className={`px-4 py-2 rounded-lg text-sm font-medium inline-flex items-center gap-2 transition-colors ${
+                  viewMode === 'board' ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-blue-50'
+                }`}
+              >
+                <LayoutGrid className="w-4 h-4" />
+                Pano
+              </button>
+            </div>
+          </div>
+
+          {viewMode === 'board' ? (
+            <ApplicationPipelineBoard filters={boardFilters} />
+          ) : (
+          <>
           {/* Results Summary */}
           <div className="flex items-center justify-between">
             <p className="text-gray-700 font-medium">
@@ -822,6 +875,8 @@ const HospitalApplications = () => {
               />
             </div>
           )}
+          </>
+          )}
         </div>
       </div>
   );
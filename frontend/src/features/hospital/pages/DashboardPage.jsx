@@ -7,6 +7,7 @@
  * Özellikler:
  * - Dashboard istatistikleri (profil tamamlanma, iş ilanları, başvurular)
  * - Son başvurular listesi
+ * - Yaklaşan mülakatlar
  * - Hızlı işlem butonları
  * - Modern glassmorphism dark theme
  * - Responsive tasarım
@@ -22,11 +23,11 @@
 import React, { useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import { 
-  ArrowRight, Briefcase, Activity, Target, RefreshCw, User
+  ArrowRight, Briefcase, Activity, Target, RefreshCw, User, CalendarClock, Video, MapPin
 } from 'lucide-react';
-import { useHospitalDashboard, useHospitalProfile } from '../api/useHospital';
+import { useHospitalDashboard, useHospitalProfile, useHospitalUpcomingInterviews } from '../api/useHospital';
 import { SkeletonLoader } from '@/components/ui/LoadingSpinner';
-import { formatDate } from '@/utils/dateUtils';
+import { formatDate, formatDateTime } from '@/utils/dateUtils';
 
 const HospitalDashboard = () => {
   // API hook'ları - dashboard ve profil verisi
@@ -42,6 +43,8 @@ const HospitalDashboard = () => {
     isLoading: profileLoading 
   } = useHospitalProfile();
 
+  const { data: upcomingInterviews = [] } = useHospitalUpcomingInterviews(5);
+
   const normalizedDashboard = useMemo(() => {
     return dashboardData?.data || dashboardData;
   }, [dashboardData]);
@@ -276,6 +279,51 @@ const HospitalDashboard = () => {
               </div>
             </div>
           </div>
+
+          {/* Yaklaşan Mülakatlar */}
+          <div className="rounded-2xl border border-blue-200 bg-white shadow-lg p-8">
+            <div className="border-b border-blue-100 pb-6">
+              <h2 className="flex items-center gap-3 text-2xl font-bold text-gray-900">
+                <CalendarClock className="h-6 w-6 text-blue-600" />
+                Yaklaşan Mülakatlar
+              </h2>
+            </div>
+            <div className="pt-6">
+              {upcomingInterviews.length > 0 ? (
+                <div className="space-y-3">
+                  {upcomingInterviews.map((interview) => (
+                    <Link
+                      key={interview.id}
+                      to={`/hospital/applications/${interview.application_id}`}
+                      className="flex flex-col gap-2 rounded-2xl border border-blue-100 bg-gradient-to-br from-blue-50 to-indigo-50 p-5 hover:shadow-md transition-shadow sm:flex-row sm:items-center sm:justify-between"
+                    >
+                      <div>
+                        <h3 className="text-lg font-semibold text-gray-900">{interview.doctor_name || 'Doktor'}</h3>
+                        <p className="text-sm text-gray-600">{interview.job_title}</p>
+                      </div>
+                      <div className="flex flex-wrap items-center gap-3 text-sm">
+                        <span className="inline-flex items-center gap-1 text-gray-600">
+                          {interview.mode === 'video' ? <Video className="h-4 w-4" /> : <MapPin className="h-4 w-4" />}
+                          {interview.mode === 'video' ? 'Görüntülü' : 'Yüz yüze'}
+                        </span>
+                        {interview.status === 'scheduled' ? (
+                          <span className="rounded-full border border-emerald-200 bg-emerald-100 px-3 py-1 text-xs font-medium text-emerald-800">
+                            {formatDateTime(interview.starts_at)}
+                          </span>
+                        ) : (
+                          <span className="rounded-full border border-amber-200 bg-amber-100 px-3 py-1 text-xs font-medium text-amber-800">
+                            Yanıt bekleniyor
+                          </span>
+                        )}
+                      </div>
+                    </Link>
+                  ))}
+                </div>
+              ) : (
+                <p className="py-6 text-center text-gray-600">Yaklaşan mülakat bulunmuyor</p>
+              )}
+            </div>
+          </div>
         </div>
       </div>
   );
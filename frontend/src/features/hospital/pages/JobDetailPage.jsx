@@ -25,8 +25,9 @@ import {
   Target, AlertCircle, ArrowLeft, Building, CheckCircle, Clock, Settings,
   Hourglass, RefreshCw, XCircle, FileText, History, PauseCircle, Download
 } from 'lucide-react';
-import { useHospitalJobById, useUpdateHospitalJobStatus, useResubmitHospitalJob, downloadJobPDF } from '../api/useHospital';
+import { useHospitalJobById, useUpdateHospitalJobStatus, useResubmitHospitalJob, useRenewHospitalJob, downloadJobPDF } from '../api/useHospital';
 import TransitionWrapper from '../../../components/ui/TransitionWrapper';
+import ApplicationExportPanel from '../components/ApplicationExportPanel';
 import { SkeletonLoader } from '@/components/ui/LoadingSpinner';
 // ConfirmationModal global; local import gerekmez
 import { showToast } from '@/utils/toastUtils';
@@ -103,6 +104,7 @@ const JobDetailPage = () => {
 
   const updateStatusMutation = useUpdateHospitalJobStatus({ enableToast: false });
   const resubmitJobMutation = useResubmitHospitalJob({ enableToast: false });
+  const renewJobMutation = useRenewHospitalJob({ enableToast: false });
 
   // UI Store kaldırıldı: onaylar showToast.confirm ile yönetilecek
 
@@ -292,6 +294,7 @@ const allRevisionEntries = useMemo(() => {
   const [resubmitModal, setResubmitModal] = useState({
     isOpen: false,
   });
+  const [renewModalOpen, setRenewModalOpen] = useState(false);
 
   const openStatusModal = (statusId) => {
     captureDetailScroll();
@@ -357,6 +360,34 @@ const allRevisionEntries = useMemo(() => {
     }
   };
 
+  // Süresi dolduğu için pasife alınan ilan "İlanı Yenile" ile tekrar yayına alınır
+  const isExpiredJob = job?.status_id === 4 && (!job?.expires_at || new Date(job.expires_at) <= new Date());
+
+  const openRenewModal = () => {
+    captureDetailScroll();
+    setRenewModalOpen(true);
+  };
+
+  const closeRenewModal = () => {
+    setRenewModalOpen(false);
+    restoreDetailScroll();
+  };
+
+  // Onaylı ilanın süresini uzatır - ilan onay kuyruğuna geri gönderilmez
+  const handleRenewJob = async () => {
+    try {
+      await renewJobMutation.mutateAsync({ jobId });
+      showToast.success(toastMessages.job.renewSuccess);
+      closeRenewModal();
+      await refetchJob();
+      restoreDetailScroll();
+    } catch (error) {
+      console.error('Renew error:', error);
+      showToast.error(error, { defaultMessage: toastMessages.job.renewError });
+      restoreDetailScroll();
+    }
+  };
+
   // Export iş ilanı fonksiyonu - Backend'den PDF indir
   const handleExportJob = async () => {
     if (!job || !jobId) {
@@ -535,6 +566,12 @@ const allRevisionEntries = useMemo(() => {
                       Onaylandı: {formatDate(job.approved_at)}
                     </span>
                   )}
+                  {job.status_id === 3 && job.expires_at && (
+                    <span className="text-gray-700 font-medium flex items-center gap-2">
+                      <Hourglass className="w-4 h-4 text-orange-500" />
+                      Yayın bitişi: {formatDate(job.expires_at)}
+                    </span>
+                  )}
                 </div>
               </div>
             </div>
@@ -626,6 +663,16 @@ const allRevisionEntries = useMemo(() => {
                 <p className="text-gray-900 font-semibold text-lg">
                   {formatMonthYear(job.created_at)}
                 </p>
+                {(job.created_by_name || job.created_by_email) && (
+                  <p className="text-xs text-gray-600 mt-1">
+                    Oluşturan: {job.created_by_name || job.created_by_email}
+                  </p>
+                )}
+                {(job.updated_by_name || job.updated_by_email) && (
+                  <p className="text-xs text-gray-600">
+                    Son değiştiren: {job.updated_by_name || job.updated_by_email}
+                  </p>
+                )}
               </div>
             </div>
 
@@ -660,13 +707,32 @@ const allRevisionEntries = useMemo(() => {
                   {/* Durum Değiştirme Butonları */}
                   <div className="flex items-center gap-4">
                     {job?.status_id === 3 ? (
+                      <>
+                        <button
+                          onClick={() => openStatusModal(4)}
+                          disabled={updateStatusMutation.isPending}
+                          className="bg-orange-100 text-orange-700 border border-orange-200 px-6 py-3 rounded-xl hover:bg-orange-200 transition-all duration-300 inline-flex items-center gap-2 font-semibold disabled:opacity-50 disabled:cursor-not-allowed shadow-sm"
+                        >
+                          <Clock className="w-5 h-5" />
+                          Pasif Yap
+                        </button>
+                        <button
+                          onClick={openRenewModal}
+                          disabled={renewJobMutation.isPending}
+                          className="bg-blue-100 text-blue-700 border border-blue-200 px-6 py-3 rounded-xl hover:bg-blue-200 transition-all duration-300 inline-flex items-center gap-2 font-semibold disabled:opacity-50 disabled:cursor-not-allowed shadow-sm"
+                        >
+                          <RefreshCw className={`w-5 h-5 ${renewJobMutation.isPending ? 'animate-spin' : ''}`} />
+                          Süreyi Uzat
+                        </button>
+                      </>
+                    ) : isExpiredJob ? (
                       <button
-                        onClick={() => openStatusModal(4)}
-                        disabled={updateStatusMutation.isPending}
-                        className="bg-orange-100 text-orange-700 border border-orange-200 px-6 py-3 rounded-xl hover:bg-orange-200 transition-all duration-300 inline-flex items-center gap-2 font-semibold disabled:opacity-50 disabled:cursor-not-allowed shadow-sm"
+                        onClick={openRenewModal}
+                        disabled={renewJobMutation.isPending}
+                        className="bg-blue-100 text-blue-700 border border-blue-200 px-6 py-3 rounded-xl hover:bg-blue-200 transition-all duration-300 inline-flex items-center gap-2 font-semibold disabled:opacity-50 disabled:cursor-not-allowed shadow-sm"
                       >
-                        <Clock className="w-5 h-5" />
-                        Pasif Yap
+                        <RefreshCw className={`w-5 h-5 ${renewJobMutation.isPending ? 'animate-spin' : ''}`} />
+                        İlanı Yenile
                       </button>
                     ) : job?.status_id === 4 ? (
                       <button
@@ -694,6 +760,8 @@ const allRevisionEntries = useMemo(() => {
                           <li>• <strong>Onaylandı:</strong> Doktorlar bu ilanı görebilir ve başvuru yapabilir</li>
                           <li>• <strong>Pasif:</strong> Doktorlar bu ilanı göremez ve başvuru yapamaz</li>
                           <li>• <strong>Not:</strong> Durum değişikliği sadece Onaylandı ve Pasif durumları arasında yapılabilir</li>
+                          <li>• <strong>Süreyi Uzat:</strong> Yayındaki ilan yeniden onaya gönderilmeden uzatılır</li>
+                          <li>• <strong>İlanı Yenile:</strong> Süresi dolan ilan yeniden onaya gönderilmeden tekrar yayına alınır</li>
                         </ul>
                       </div>
                     </div>
@@ -720,6 +788,9 @@ const allRevisionEntries = useMemo(() => {
               </button>
             </div>
           </div>
+
+          {/* Toplu Başvuru Paketi */}
+          <ApplicationExportPanel jobId={jobId} applicationCount={job.application_count || 0} />
         </div>
       </TransitionWrapper>
 
@@ -833,6 +904,54 @@ const allRevisionEntries = useMemo(() => {
         </ModalContainer>
       )}
 
+      {renewModalOpen && (
+        <ModalContainer
+          isOpen={renewModalOpen}
+          onClose={closeRenewModal}
+          title={isExpiredJob ? 'İlanı Yenile' : 'İlan Süresini Uzat'}
+          size="small"
+          maxHeight="80vh"
+          backdropClassName="bg-black/40 backdrop-blur-sm"
+        >
+          <div className="space-y-6">
+            <section className="bg-gradient-to-br from-blue-50 to-indigo-50 border border-blue-200 rounded-2xl p-5 shadow-sm">
+              <div className="flex items-start gap-3">
+                <div className="w-12 h-12 rounded-full bg-white/70 border border-blue-200 flex items-center justify-center">
+                  <Hourglass className="w-6 h-6 text-blue-600" />
+                </div>
+                <div className="flex-1">
+                  <p className="text-base font-semibold text-gray-900 mb-2">
+                    {isExpiredJob
+                      ? `"${job?.title}" ilanı yeniden yayına alınacak`
+                      : `"${job?.title}" ilanının yayın süresi uzatılacak`}
+                  </p>
+                  <p className="text-sm text-gray-700 leading-relaxed">
+                    {isExpiredJob
+                      ? `İlan bugünden itibaren ${job?.duration_days ? `${job.duration_days} gün ` : ''}yayında kalır, tekrar admin onayına gönderilmez.`
+                      : `${job?.duration_days ? `Bitiş tarihi ${job.duration_days} gün ileri alınır. ` : ''}İlan yayında kalmaya devam eder, tekrar admin onayına gönderilmez.`}
+                  </p>
+                </div>
+              </div>
+            </section>
+            <div className="flex justify-end gap-3">
+              <button
+                onClick={closeRenewModal}
+                className="px-5 py-2 rounded-xl bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors font-semibold"
+              >
+                Vazgeç
+              </button>
+              <button
+                onClick={handleRenewJob}
+                disabled={renewJobMutation.isPending}
+                className="px-5 py-2 rounded-xl bg-gradient-to-r from-blue-500 to-indigo-600 text-white font-bold shadow-lg hover:shadow-xl hover:from-blue-600 hover:to-indigo-700 transition-all disabled:opacity-50"
+              >
+                {renewJobMutation.isPending ? 'Uzatılıyor...' : (isExpiredJob ? 'İlanı Yenile' : 'Süreyi Uzat')}
+              </button>
+            </div>
+          </div>
+        </ModalContainer>
+      )}
+
       {/* ConfirmationModal global olarak App.jsx içinde render ediliyor */}
     </div>
   );
@@ -22,7 +22,7 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { 
   ArrowLeft, Save, Briefcase, MapPin, Users, Clock, 
-  FileText, Target, Building, AlertCircle
+  FileText, Target, Building, AlertCircle, Wallet
 } from 'lucide-react';
 import { useHospitalJobById, useUpdateHospitalJob } from '../api/useHospital';
 import { useLookup } from '@/hooks/useLookup';
@@ -61,6 +61,13 @@ const JobEditPage = () => {
     city_id: '',
     employment_type: '',
     min_experience_years: '',
+    salary_min: '',
+    salary_max: '',
+    salary_currency: 'TRY',
+    monthly_shift_count: '',
+    working_hours: '',
+    provides_housing: false,
+    provides_transport: false,
     description: ''
   });
 
@@ -78,6 +85,13 @@ const JobEditPage = () => {
         city_id: job.city_id?.toString() || '',
         employment_type: job.employment_type || '',
         min_experience_years: job.min_experience_years?.toString() || '',
+        salary_min: job.salary_min?.toString() || '',
+        salary_max: job.salary_max?.toString() || '',
+        salary_currency: job.salary_currency || 'TRY',
+        monthly_shift_count: job.monthly_shift_count?.toString() || '',
+        working_hours: job.working_hours || '',
+        provides_housing: Boolean(job.provides_housing),
+        provides_transport: Boolean(job.provides_transport),
         description: job.description || ''
       });
       setIsInitialized(true);
@@ -121,6 +135,13 @@ const JobEditPage = () => {
         city_id: parseInt(formData.city_id),
         employment_type: formData.employment_type,
         min_experience_years: formData.min_experience_years ? parseInt(formData.min_experience_years) : null,
+        salary_min: formData.salary_min !== '' ? parseFloat(formData.salary_min) : null,
+        salary_max: formData.salary_max !== '' ? parseFloat(formData.salary_max) : null,
+        salary_currency: formData.salary_currency,
+        monthly_shift_count: formData.monthly_shift_count !== '' ? parseInt(formData.monthly_shift_count) : null,
+        working_hours: formData.working_hours.trim() || null,
+        provides_housing: formData.provides_housing,
+        provides_transport: formData.provides_transport,
         description: formData.description
       };
 
@@ -373,6 +394,117 @@ const JobEditPage = () => {
               </div>
             </div>
 
+            {/* Ücret ve Yan Haklar */}
+            <div className="bg-white rounded-3xl border border-blue-100 shadow-lg p-8">
+              <div className="flex items-center gap-3 mb-6">
+                <div className="w-12 h-12 bg-gradient-to-br from-emerald-500 to-teal-500 rounded-xl flex items-center justify-center">
+                  <Wallet className="w-6 h-6 text-white" />
+                </div>
+                <h2 className="text-2xl font-bold text-gray-900">Ücret ve Yan Haklar</h2>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                {/* Salary Min */}
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">
+                    Minimum Aylık Ücret - Opsiyonel
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={formData.salary_min}
+                    onChange={(e) => handleInputChange('salary_min', e.target.value)}
+                    className="w-full px-4 py-3 bg-white border border-gray-300 rounded-xl text-gray-900 placeholder-gray-400 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-300"
+                    placeholder="Örn: 80000"
+                  />
+                </div>
+
+                {/* Salary Max */}
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">
+                    Maksimum Aylık Ücret - Opsiyonel
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={formData.salary_max}
+                    onChange={(e) => handleInputChange('salary_max', e.target.value)}
+                    className="w-full px-4 py-3 bg-white border border-gray-300 rounded-xl text-gray-900 placeholder-gray-400 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-300"
+                    placeholder="Örn: 120000"
+                  />
+                </div>
+
+                {/* Salary Currency */}
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">
+                    Para Birimi
+                  </label>
+                  <select
+                    value={formData.salary_currency}
+                    onChange={(e) => handleInputChange('salary_currency', e.target.value)}
+                    className="w-full px-4 py-3 bg-white border border-gray-300 rounded-xl text-gray-900 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-300"
+                  >
+                    <option value="TRY">TRY</option>
+                    <option value="USD">USD</option>
+                    <option value="EUR">EUR</option>
+                  </select>
+                </div>
+
+                {/* Monthly Shift Count */}
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">
+                    Aylık Nöbet Sayısı - Opsiyonel
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="31"
+                    value={formData.monthly_shift_count}
+                    onChange={(e) => handleInputChange('monthly_shift_count', e.target.value)}
+                    className="w-full px-4 py-3 bg-white border border-gray-300 rounded-xl text-gray-900 placeholder-gray-400 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-300"
+                    placeholder="Örn: 6"
+                  />
+                </div>
+
+                {/* Working Hours */}
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">
+                    Çalışma Saatleri - Opsiyonel
+                  </label>
+                  <input
+                    type="text"
+                    maxLength={255}
+                    value={formData.working_hours}
+                    onChange={(e) => handleInputChange('working_hours', e.target.value)}
+                    className="w-full px-4 py-3 bg-white border border-gray-300 rounded-xl text-gray-900 placeholder-gray-400 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-300"
+                    placeholder="Örn: Hafta içi 08:00-17:00"
+                  />
+                </div>
+              </div>
+
+              {/* Benefits */}
+              <div className="flex flex-wrap gap-6 mt-6">
+                <label className="flex items-center gap-2 text-sm font-medium text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={formData.provides_housing}
+                    onChange={(e) => handleInputChange('provides_housing', e.target.checked)}
+                    className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                  />
+                  Lojman / konaklama sağlanıyor
+                </label>
+                <label className="flex items-center gap-2 text-sm font-medium text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={formData.provides_transport}
+                    onChange={(e) => handleInputChange('provides_transport', e.target.checked)}
+                    className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                  />
+                  Servis / ulaşım desteği sağlanıyor
+                </label>
+              </div>
+            </div>
+
             {/* Job Description */}
             <div className="bg-white rounded-3xl border border-blue-100 p-8 shadow-lg">
               <div className="flex items-center gap-3 mb-6">
@@ -8,11 +8,16 @@ import useAuthStore from '@/store/authStore';
 import { useNavigate } from 'react-router-dom';
 import { ROUTE_CONFIG } from '@config/routes.js';
 import { ModalContainer } from '@/components/ui/ModalContainer';
+import NotificationPreferencesSection from '@/features/notifications/components/NotificationPreferencesSection';
+import ActiveSessionsSection from '@/features/auth/components/ActiveSessionsSection';
+import TwoFactorSection from '@/features/auth/components/TwoFactorSection';
+import HospitalTeamSection from '../components/HospitalTeamSection';
 
 const HospitalSettingsPage = () => {
   const changePasswordMutation = useChangePassword();
   const deactivateAccountMutation = useDeactivateHospitalAccount();
   const logout = useAuthStore((state) => state.logout);
+  const isOwner = useAuthStore((state) => state.user?.hospital_role === 'owner');
   const navigate = useNavigate();
 
   const [formData, setFormData] = useState({
@@ -80,7 +85,7 @@ const HospitalSettingsPage = () => {
         navigate(ROUTE_CONFIG.PUBLIC.LOGIN, {
           replace: true,
           state: {
-            message: 'Hesabınız silindi. Yeniden açmak için destek ekibimizle iletişime geçebilirsiniz.'
+            message
           }
         });
       },
@@ -189,35 +194,54 @@ const HospitalSettingsPage = () => {
             </form>
           </section>
 
-          <section className="bg-white/90 backdrop-blur-xl rounded-3xl shadow-2xl border border-red-200/60 p-8 space-y-6">
-            <div className="flex items-start gap-4">
-              <div className="p-3 rounded-2xl bg-red-100 text-red-600">
-                <ShieldOff className="w-6 h-6" />
+          {/* Kurum hesabını yalnızca hesap sahibi kapatabilir (backend: requireHospitalRole('owner')) */}
+          {isOwner && (
+            <section className="bg-white/90 backdrop-blur-xl rounded-3xl shadow-2xl border border-red-200/60 p-8 space-y-6">
+              <div className="flex items-start gap-4">
+                <div className="p-3 rounded-2xl bg-red-100 text-red-600">
+                  <ShieldOff className="w-6 h-6" />
+                </div>
+                <div className="space-y-1">
+                  <h2 className="text-xl font-semibold text-slate-900">Hesabımı Sil</h2>
+                  <p className="text-sm text-slate-600">
+                    Hesabınızı sildiğinizde oturumlarınız kapanır ve hesabınız pasifleşir. Bekleme süresi içinde tekrar giriş yaparsanız hesabınız geri açılır.
+                  </p>
+                </div>
               </div>
-              <div className="space-y-1">
-                <h2 className="text-xl font-semibold text-slate-900">Hesabımı Sil</h2>
-                <p className="text-sm text-slate-600">
-                  Hesabınızı sildiğinizde giriş yapamazsınız. Tekrar açmak için destek ekibimizle iletişime geçmeniz gerekir.
+
+              <div className="rounded-2xl border border-red-200 bg-red-50/80 px-4 py-3 flex items-start gap-3 text-sm text-red-700">
+                <AlertTriangle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+                <p>
+                  Bekleme süresi dolduğunda kişisel verileriniz kalıcı olarak silinir ve hesabınız geri açılamaz. Başvuru kayıtları kimliğiniz olmadan istatistik amacıyla saklanır.
                 </p>
               </div>
-            </div>
 
-            <div className="rounded-2xl border border-red-200 bg-red-50/80 px-4 py-3 flex items-start gap-3 text-sm text-red-700">
-              <AlertTriangle className="w-5 h-5 flex-shrink-0 mt-0.5" />
-              <p>
-                Bu işlem geri alınamaz. Hesabınızı yeniden açmak için destek ekibinin müdahalesi gerekir.
-              </p>
-            </div>
+              <button
+                type="button"
+                onClick={handleDeactivateAccount}
+                disabled={deactivateAccountMutation.isLoading}
+                className="inline-flex items-center justify-center gap-2 rounded-2xl bg-red-600 px-6 py-3 text-white font-semibold shadow-lg shadow-red-600/30 transition hover:bg-red-700 disabled:cursor-not-allowed disabled:opacity-70"
+              >
+                {deactivateAccountMutation.isLoading ? 'İşlem yapılıyor...' : 'Hesabımı Sil'}
+              </button>
+            </section>
+          )}
+        </div>
 
-            <button
-              type="button"
-              onClick={handleDeactivateAccount}
-              disabled={deactivateAccountMutation.isLoading}
-              className="inline-flex items-center justify-center gap-2 rounded-2xl bg-red-600 px-6 py-3 text-white font-semibold shadow-lg shadow-red-600/30 transition hover:bg-red-700 disabled:cursor-not-allowed disabled:opacity-70"
-            >
-              {deactivateAccountMutation.isLoading ? 'İşlem yapılıyor...' : 'Hesabımı Sil'}
-            </button>
-          </section>
+        <div className="mt-6">
+          <HospitalTeamSection />
+        </div>
+
+        <div className="mt-6">
+          <NotificationPreferencesSection />
+        </div>
+
+        <div className="mt-6">
+          <TwoFactorSection />
+        </div>
+
+        <div className="mt-6">
+          <ActiveSessionsSection />
         </div>
       </div>
 
@@ -231,7 +255,7 @@ const HospitalSettingsPage = () => {
         >
           <div className="space-y-4">
             <p className="text-sm text-slate-600">
-              Hesabınızı silmek üzeresiniz. Bu işlemden sonra giriş yapamazsınız. Devam etmek istiyor musunuz?
+              Hesabınızı silmek üzeresiniz. Bekleme süresi içinde giriş yapmazsanız kişisel verileriniz kalıcı olarak silinecek. Devam etmek istiyor musunuz?
             </p>
             <div className="flex justify-end gap-3">
               <button
@@ -0,0 +1,124 @@
+/**
+ * Application Messages Hooks - React Query ile entegre
+ * Hastane ile doktor arasındaki başvuru yazışması için hook'lar
+ * Backend applicationMessageService.js ile uyumlu
+ *
+ * Cache Stratejisi:
+ * - REALTIME: Yazışma ve okunmamış özeti → SSE olaylarıyla invalidate ediliyor
+ *   (useNotificationStream: application_message / application_message_read)
+ *
+ * Rol bazlı endpoint'ler:
+ * - doctor: /doctor/applications/:id/messages
+ * - hospital: /hospital/applications/:id/messages
+ * - admin: /admin/applications/:id/messages (salt okunur, moderasyon)
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiRequest } from '@/services/http/client';
+import { ENDPOINTS, buildEndpoint } from '@config/api.js';
+import { showToast } from '@/utils/toastUtils';
+import { toastMessages } from '@/config/toast';
+import useAuthStore from '@/store/authStore';
+import { notificationQueryConfig } from '@/config/queryConfig.js';
+
+/** Rol → yazışma endpoint'i */
+const THREAD_ENDPOINTS = {
+  doctor: ENDPOINTS.DOCTOR.APPLICATION_MESSAGES,
+  hospital: ENDPOINTS.HOSPITAL.APPLICATION_MESSAGES,
+  admin: ENDPOINTS.ADMIN.APPLICATION_MESSAGES,
+};
+
+/**
+ * Yazışma query key'i (SSE handler da aynı anahtarı kullanır)
+ * @param {number} userId - Aktif kullanıcı ID'si
+ * @param {number|string} applicationId - Başvuru ID'si
+ */
+export const applicationMessagesKey = (userId, applicationId) => [
+  'application-messages',
+  userId,
+  String(applicationId),
+];
+
+/**
+ * Okunmamış mesaj özeti query key'i
+ * @param {number} userId - Aktif kullanıcı ID'si
+ */
+export const unreadMessagesKey = (userId) => ['notifications', 'messages-unread', userId];
+
+/**
+ * Başvuru yazışmasını getirir
+ * Doktor / hastane için karşı tarafın mesajları backend'de okundu işaretlenir;
+ * bu yüzden başarılı yüklemeden sonra okunmamış özeti yenilenir.
+ * @param {number|string} applicationId - Başvuru ID'si
+ */
+export const useApplicationMessages = (applicationId) => {
+  const queryClient = useQueryClient();
+  const user = useAuthStore((state) => state.user);
+  const userId = user?.id || null;
+  const endpoint = THREAD_ENDPOINTS[user?.role];
+
+  return useQuery({
+    queryKey: applicationMessagesKey(userId, applicationId),
+    queryFn: async () => {
+      const res = await apiRequest.get(buildEndpoint(endpoint, { id: applicationId }));
+      if (user?.role !== 'admin') {
+        queryClient.invalidateQueries({ queryKey: unreadMessagesKey(userId) });
+      }
+      return res;
+    },
+    select: (res) => ({
+      thread: res.data?.data?.thread || null,
+      messages: res.data?.data?.messages || [],
+    }),
+    ...notificationQueryConfig({ enabled: !!applicationId && !!userId && !!endpoint }),
+  });
+};
+
+/**
+ * Başvuru yazışmasına mesaj gönderir (doktor / hastane)
+ * @param {number|string} applicationId - Başvuru ID'si
+ */
+export const useSendApplicationMessage = (applicationId) => {
+  const queryClient = useQueryClient();
+  const user = useAuthStore((state) => state.user);
+  const userId = user?.id || null;
+
+  return useMutation({
+    mutationFn: (body) =>
+      apiRequest.post(buildEndpoint(THREAD_ENDPOINTS[user?.role], { id: applicationId }), { body }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: applicationMessagesKey(userId, applicationId) });
+    },
+    onError: (err) => {
+      showToast.error(err, { defaultMessage: toastMessages.application.messageSendError });
+    },
+  });
+};
+
+/**
+ * Okunmamış başvuru mesajlarının özeti (bildirim zili)
+ * Admin yazışmalara katılmadığı için sorgu yapılmaz.
+ * @returns {{count: number, threads: Array}} select ile normalize edilmiş özet
+ */
+export const useUnreadMessageSummary = () => {
+  const user = useAuthStore((state) => state.user);
+  const userId = user?.id || null;
+  const isParticipant = user?.role === 'doctor' || user?.role === 'hospital';
+
+  return useQuery({
+    queryKey: unreadMessagesKey(userId),
+    queryFn: () => apiRequest.get(ENDPOINTS.NOTIFICATIONS.MESSAGES_UNREAD),
+    select: (res) => ({
+      count: res.data?.data?.count ?? 0,
+      threads: res.data?.data?.threads || [],
+    }),
+    ...notificationQueryConfig({
+      enabled: !!userId && isParticipant,
+      refetchInterval: false, // SSE ile real-time güncelleniyor
+    }),
+  });
+};
@@ -0,0 +1,179 @@
+/**
+ * ApplicationMessageThread - Başvuru Yazışması
+ *
+ * Hastane ile başvuran doktor arasındaki başvuru bazlı yazışmayı gösterir.
+ * Doktor ve hastane başvuru detay sayfalarında, admin ise moderasyon için
+ * (salt okunur) başvuru detay sayfasında kullanır.
+ *
+ * Özellikler:
+ * - Mesaj balonları (kendi mesajları sağda)
+ * - Okundu bilgisi (gönderilen mesajlar için "Okundu" / "İletildi")
+ * - SSE ile anlık yeni mesaj ve okundu güncellemesi (useNotificationStream)
+ * - Reddedilen / geri çekilen başvurularda yanıt alanı kapalı
+ * - Ctrl/Cmd + Enter ile gönderme
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { MessageSquare, Send, Check, CheckCheck, Lock } from 'lucide-react';
+import useAuthStore from '@/store/authStore';
+import { formatDateTime } from '@/utils/dateUtils';
+import { useApplicationMessages, useSendApplicationMessage } from '../api/useApplicationMessages';
+
+/** Mesaj uzunluk sınırı (backend ile aynı) */
+const MAX_MESSAGE_LENGTH = 2000;
+
+/** Admin görünümünde gönderen rol etiketleri */
+const SENDER_LABELS = {
+  doctor: 'Doktor',
+  hospital: 'Hastane',
+};
+
+const ApplicationMessageThread = ({ applicationId }) => {
+  const user = useAuthStore((state) => state.user);
+  const isAdmin = user?.role === 'admin';
+  const [draft, setDraft] = useState('');
+  const listRef = useRef(null);
+
+  const { data, isLoading } = useApplicationMessages(applicationId);
+  const sendMutation = useSendApplicationMessage(applicationId);
+
+  const thread = data?.thread;
+  const messages = data?.messages || [];
+  const canReply = !isAdmin && thread?.can_reply;
+
+  // Yeni mesaj geldiğinde en alta kaydır
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [messages.length]);
+
+  const handleSubmit = async (event) => {
+    event?.preventDefault();
+    const body = draft.trim();
+    if (!body || sendMutation.isPending) return;
+
+    try {
+      await sendMutation.mutateAsync(body);
+      setDraft('');
+    } catch {
+      // Hata toast'u hook içinde gösterilir
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+      handleSubmit(event);
+    }
+  };
+
+  if (!applicationId) return null;
+
+  const subtitle = isAdmin
+    ? thread && `${thread.doctor_name} · ${thread.hospital_name}`
+    : thread?.counterpart_name;
+
+  return (
+    <div className="bg-white rounded-2xl border border-blue-100 shadow-md p-6 w-full max-w-full overflow-hidden space-y-4">
+      <div className="flex items-center justify-between gap-2">
+        <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+          <MessageSquare className="w-5 h-5 text-blue-600" />
+          Mesajlar
+        </h2>
+        {subtitle && <span className="text-sm text-gray-500 truncate">{subtitle}</span>}
+      </div>
+
+      <div ref={listRef} className="max-h-96 overflow-y-auto space-y-3 pr-1">
+        {isLoading ? (
+          <p className="text-sm text-gray-500">Yükleniyor...</p>
+        ) : messages.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-6">
+            {isAdmin ? 'Bu başvuruda yazışma yok.' : 'Henüz mesaj yok. İlk mesajı siz gönderebilirsiniz.'}
+          </p>
+        ) : (
+          messages.map((message) => {
+            const isMine = !isAdmin && message.is_mine;
+            const alignRight = isAdmin ? message.sender_role === 'hospital' : isMine;
+
+            return (
+              <div key={message.id} className={`flex ${alignRight ? 'justify-end' : 'justify-start'}`}>
+                <div
+                  className={`max-w-[80%] rounded-2xl px-4 py-2.5 ${
+                    alignRight ? 'bg-blue-600 text-white rounded-br-sm' : 'bg-gray-100 text-gray-900 rounded-bl-sm'
+                  }`}
+                >
+                  {isAdmin && (
+                    <p className={`text-xs font-semibold mb-0.5 ${alignRight ? 'text-blue-100' : 'text-gray-600'}`}>
+                      {message.sender_name} ({SENDER_LABELS[message.sender_role]})
+                    </p>
+                  )}
+                  <p className="text-sm whitespace-pre-wrap break-words">{message.body}</p>
+                  <div
+                    className={`flex items-center justify-end gap-1 mt-1 text-[11px] ${
+                      alignRight ? 'text-blue-100' : 'text-gray-500'
+                    }`}
+                  >
+                    <span>{formatDateTime(message.created_at)}</span>
+                    {(isMine || isAdmin) && (
+                      message.read_at ? (
+                        <span className="inline-flex items-center gap-0.5" title={`Okundu: ${formatDateTime(message.read_at)}`}>
+                          <CheckCheck className="w-3.5 h-3.5" />
+                          Okundu
+                        </span>
+                      ) : (
+                        <span className="inline-flex items-center gap-0.5">
+                          <Check className="w-3.5 h-3.5" />
+                          İletildi
+                        </span>
+                      )
+                    )}
+                  </div>
+                </div>
+              </div>
+            );
+          })
+        )}
+      </div>
+
+      {!isAdmin && thread && (
+        canReply ? (
+          <form onSubmit={handleSubmit} className="space-y-2">
+            <textarea
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              onKeyDown={handleKeyDown}
+              maxLength={MAX_MESSAGE_LENGTH}
+              rows={3}
+              placeholder="Mesajınızı yazın..."
+              className="w-full rounded-xl border border-gray-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <div className="flex items-center justify-between">
+              <span className="text-xs text-gray-400">
+                {draft.length}/{MAX_MESSAGE_LENGTH}
+              </span>
+              <button
+                type="submit"
+                disabled={!draft.trim() || sendMutation.isPending}
+                className="inline-flex items-center gap-1.5 px-4 py-2 rounded-lg bg-blue-600 text-white text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+              >
+                <Send className="w-4 h-4" />
+                {sendMutation.isPending ? 'Gönderiliyor...' : 'Gönder'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <p className="text-xs text-gray-500 flex items-center gap-1.5">
+            <Lock className="w-3.5 h-3.5" />
+            Reddedilen veya geri çekilen başvurularda yeni mesaj gönderilemez.
+          </p>
+        )
+      )}
+    </div>
+  );
+};
+
+export default ApplicationMessageThread;
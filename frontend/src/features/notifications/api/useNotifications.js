@@ -17,6 +17,9 @@ import { apiRequest } from '@/services/http/client';
 import { ENDPOINTS, API_BASE_URL } from '@config/api.js';
 import useAuthStore from '@/store/authStore';
 import { notificationQueryConfig } from '@/config/queryConfig.js';
+import { showToast } from '@/utils/toastUtils';
+import { toastMessages } from '@/config/toast';
+import { applicationMessagesKey, unreadMessagesKey } from '@/features/messages/api/useApplicationMessages';
 
 // Bildirimler listesi
 export const useNotifications = (filters = {}, options = {}) => {
@@ -197,6 +200,16 @@ export const useNotificationStream = () => {
           return;
         }
         
+        // Başvuru mesajı: açık yazışmayı ve okunmamış mesaj özetini yenile
+        // (mesajlar bildirim listesine eklenmez)
+        if (data.type === 'application_message' || data.type === 'application_message_read') {
+          queryClient.invalidateQueries({ queryKey: applicationMessagesKey(user.id, data.application_id) });
+          if (data.type === 'application_message') {
+            queryClient.invalidateQueries({ queryKey: unreadMessagesKey(user.id) });
+          }
+          return;
+        }
+        
         // Normal bildirim
         const notification = data;
         console.log('[SSE] 📨 Yeni bildirim alındı:', notification);
@@ -402,27 +415,39 @@ export const useDeleteNotification = () => {
   });
 };
 
-// Bildirim ayarları getirme
+// Bildirim tercihleri getirme (kategori × kanal, sessiz saatler)
 export const useNotificationSettings = () => {
+  const userId = useAuthStore((state) => state.user?.id || null);
+
   return useQuery({
-    queryKey: ['notifications', 'settings'],
+    queryKey: ['notifications', 'settings', userId],
     queryFn: () => apiRequest.get(ENDPOINTS.NOTIFICATIONS.SETTINGS),
-    ...notificationQueryConfig(), // REALTIME: Ayarlar hemen güncel olmalı
+    select: (res) => res.data?.data || null,
+    ...notificationQueryConfig({ enabled: !!userId }), // REALTIME: Ayarlar hemen güncel olmalı
   });
 };
 
-// Bildirim ayarları güncelleme
+// Bildirim tercihleri güncelleme ({ categories?: [...], quiet_hours?: {...} })
 export const useUpdateNotificationSettings = () => {
   const queryClient = useQueryClient();
+  const userId = useAuthStore((state) => state.user?.id || null);
 
   return useMutation({
     mutationFn: (settings) => apiRequest.put(ENDPOINTS.NOTIFICATIONS.SETTINGS, settings),
-    onSuccess: (data) => {
+    onSuccess: (res) => {
       // Ayarları cache'e kaydet
-      queryClient.setQueryData(['notifications', 'settings'], data);
+      queryClient.setQueryData(['notifications', 'settings', userId], res);
+      showToast.success(toastMessages.notification.settingsSuccess);
     },
     onError: (error) => {
-      console.error('Update notification settings error:', error);
+      showToast.error(error, { defaultMessage: toastMessages.notification.settingsError });
     }
   });
 };
+
+// E-postadaki bağlantı ile abonelikten çıkma (oturum gerektirmez)
+export const useEmailUnsubscribe = () => {
+  return useMutation({
+    mutationFn: (token) => apiRequest.post(ENDPOINTS.NOTIFICATIONS.EMAIL_UNSUBSCRIBE, { token }),
+  });
+};
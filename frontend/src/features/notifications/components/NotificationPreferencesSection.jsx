@@ -0,0 +1,183 @@
+/**
+ * NotificationPreferencesSection - Bildirim Tercihleri
+ *
+ * Doktor ve hastane Ayarlar sayfalarında kullanılır. Rolüne uygun bildirim
+ * kategorileri backend'den gelir; her kategori için uygulama içi, push ve
+ * e-posta kanalları ayrı ayrı açılıp kapatılabilir. Sessiz saatlerde
+ * (Türkiye saati) push bildirimleri ertelenir ve bitişte gönderilir.
+ *
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import React, { useEffect, useState } from 'react';
+import { BellRing, Moon } from 'lucide-react';
+import { useNotificationSettings, useUpdateNotificationSettings } from '../api/useNotifications';
+
+const CHANNELS = [
+  { key: 'inapp', label: 'Uygulama içi' },
+  { key: 'push', label: 'Push' },
+  { key: 'email', label: 'E-posta' },
+];
+
+const DEFAULT_QUIET_HOURS = { enabled: false, start: '22:00', end: '08:00' };
+
+const Toggle = ({ checked, label, onChange, disabled }) => (
+  <button
+    type="button"
+    role="switch"
+    aria-checked={checked}
+    aria-label={label}
+    onClick={onChange}
+    disabled={disabled}
+    className={`relative inline-flex h-6 w-11 flex-shrink-0 items-center rounded-full transition disabled:opacity-60 ${
+      checked ? 'bg-blue-600' : 'bg-slate-300'
+    }`}
+  >
+    <span
+      className={`inline-block h-5 w-5 transform rounded-full bg-white shadow transition ${
+        checked ? 'translate-x-5' : 'translate-x-0.5'
+      }`}
+    />
+  </button>
+);
+
+const NotificationPreferencesSection = () => {
+  const { data: settings, isLoading } = useNotificationSettings();
+  const updateMutation = useUpdateNotificationSettings();
+  const [quietHours, setQuietHours] = useState(DEFAULT_QUIET_HOURS);
+
+  const saved = settings?.quiet_hours;
+
+  useEffect(() => {
+    if (saved) {
+      setQuietHours({ enabled: saved.enabled, start: saved.start, end: saved.end });
+    }
+  }, [saved]);
+
+  const categories = settings?.categories || [];
+  const quietHoursChanged =
+    !!saved &&
+    (saved.enabled !== quietHours.enabled || saved.start !== quietHours.start || saved.end !== quietHours.end);
+
+  const handleChannelToggle = (category, channel) => {
+    updateMutation.mutate({
+      categories: [{ category: category.category, [channel]: !category[channel] }],
+    });
+  };
+
+  const handleQuietHoursSave = () => {
+    updateMutation.mutate({ quiet_hours: quietHours });
+  };
+
+  return (
+    <section className="bg-white/90 backdrop-blur-xl rounded-2xl md:rounded-3xl shadow-2xl border border-white/40 p-5 md:p-8 space-y-6">
+      <div className="flex items-start gap-4">
+        <div className="p-3 rounded-2xl bg-indigo-100 text-indigo-700">
+          <BellRing className="w-6 h-6" />
+        </div>
+        <div className="space-y-1">
+          <h2 className="text-xl font-semibold text-slate-900">Bildirim Tercihleri</h2>
+          <p className="text-sm text-slate-600">
+            Her bildirim türünü hangi kanaldan almak istediğinizi seçin. Push bildirimleri mobil uygulamaya gönderilir.
+          </p>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-slate-500">Yükleniyor...</p>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full min-w-[520px] text-left">
+              <thead>
+                <tr className="text-xs uppercase tracking-wide text-slate-500">
+                  <th className="py-2 pr-4 font-medium">Bildirim türü</th>
+                  {CHANNELS.map((channel) => (
+                    <th key={channel.key} className="py-2 px-2 font-medium text-center">
+                      {channel.label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-200">
+                {categories.map((category) => (
+                  <tr key={category.category}>
+                    <td className="py-3 pr-4">
+                      <p className="font-medium text-slate-900">{category.label}</p>
+                      <p className="text-sm text-slate-500">{category.description}</p>
+                    </td>
+                    {CHANNELS.map((channel) => (
+                      <td key={channel.key} className="py-3 px-2 text-center">
+                        <Toggle
+                          checked={category[channel.key]}
+                          label={`${category.label} - ${channel.label}`}
+                          onChange={() => handleChannelToggle(category, channel.key)}
+                          disabled={updateMutation.isPending}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="rounded-2xl border border-slate-200 bg-white/70 px-4 py-4 space-y-4">
+            <div className="flex items-center justify-between gap-4">
+              <div className="flex items-start gap-3">
+                <Moon className="w-5 h-5 text-indigo-600 mt-0.5" />
+                <div>
+                  <p className="font-medium text-slate-900">Sessiz saatler</p>
+                  <p className="text-sm text-slate-500">
+                    Bu saatler arasında push bildirimleri gönderilmez, sessiz saatler bitince iletilir (Türkiye saati).
+                  </p>
+                </div>
+              </div>
+              <Toggle
+                checked={quietHours.enabled}
+                label="Sessiz saatler"
+                onChange={() => setQuietHours((prev) => ({ ...prev, enabled: !prev.enabled }))}
+                disabled={updateMutation.isPending}
+              />
+            </div>
+
+            <div className="flex flex-wrap items-end gap-4">
+              <label className="flex flex-col gap-1 text-sm text-slate-600">
+                Başlangıç
+                <input
+                  type="time"
+                  value={quietHours.start}
+                  onChange={(e) => setQuietHours((prev) => ({ ...prev, start: e.target.value }))}
+                  disabled={!quietHours.enabled}
+                  className="rounded-xl border border-slate-300 px-3 py-2 text-slate-900 disabled:bg-slate-100"
+                />
+              </label>
+              <label className="flex flex-col gap-1 text-sm text-slate-600">
+                Bitiş
+                <input
+                  type="time"
+                  value={quietHours.end}
+                  onChange={(e) => setQuietHours((prev) => ({ ...prev, end: e.target.value }))}
+                  disabled={!quietHours.enabled}
+                  className="rounded-xl border border-slate-300 px-3 py-2 text-slate-900 disabled:bg-slate-100"
+                />
+              </label>
+              <button
+                type="button"
+                onClick={handleQuietHoursSave}
+                disabled={!quietHoursChanged || !quietHours.start || !quietHours.end || updateMutation.isPending}
+                className="inline-flex items-center justify-center rounded-2xl bg-blue-600 px-5 py-2.5 text-white font-semibold shadow-lg shadow-blue-600/30 transition hover:bg-blue-700 disabled:cursor-not-allowed disabled:opacity-60"
+              >
+                Kaydet
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default NotificationPreferencesSection;
@@ -0,0 +1,71 @@
+/**
+ * @file EmailUnsubscribePage.jsx
+ * @description E-posta aboneliğinden çıkma sayfası - Bildirim e-postalarındaki bağlantı buraya gelir.
+ * Sayfa açıldığında token ile işlem otomatik yapılır (tek tık); oturum gerektirmez.
+ */
+
+import React, { useEffect, useMemo, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { MailX, CheckCircle2, AlertTriangle } from 'lucide-react';
+import { useEmailUnsubscribe } from '../api/useNotifications';
+import { ROUTE_CONFIG } from '@config/routes.js';
+
+const EmailUnsubscribePage = () => {
+  const [searchParams] = useSearchParams();
+  const token = useMemo(() => searchParams.get('token') || '', [searchParams]);
+  const unsubscribeMutation = useEmailUnsubscribe();
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    // StrictMode'da effect iki kez çalışır; isteği bir kez gönder
+    if (!token || requestedRef.current) return;
+    requestedRef.current = true;
+    unsubscribeMutation.mutate(token);
+  }, [token, unsubscribeMutation]);
+
+  const label = unsubscribeMutation.data?.data?.data?.label;
+  const errorMessage =
+    unsubscribeMutation.error?.response?.data?.message ||
+    'Bağlantı geçersiz veya süresi dolmuş olabilir.';
+
+  let icon = <MailX className="w-8 h-8 text-blue-600" />;
+  let title = 'Aboneliğiniz iptal ediliyor...';
+  let description = 'Lütfen bekleyin.';
+
+  if (!token) {
+    icon = <AlertTriangle className="w-8 h-8 text-amber-600" />;
+    title = 'Geçersiz bağlantı';
+    description = 'Abonelikten çıkma bağlantısı eksik. Lütfen e-postadaki bağlantıyı tekrar açın.';
+  } else if (unsubscribeMutation.isSuccess) {
+    icon = <CheckCircle2 className="w-8 h-8 text-emerald-600" />;
+    title = 'Abonelikten çıkarıldınız';
+    description = `Artık "${label || 'bu tür'}" e-postalarını almayacaksınız. Uygulama içi bildirimleriniz devam eder.`;
+  } else if (unsubscribeMutation.isError) {
+    icon = <AlertTriangle className="w-8 h-8 text-red-600" />;
+    title = 'İşlem tamamlanamadı';
+    description = errorMessage;
+  }
+
+  return (
+    <div className="w-full min-h-screen flex items-center justify-center p-6 bg-gradient-to-br from-blue-50 via-indigo-50 to-blue-100">
+      <div className="max-w-md w-full bg-white/90 backdrop-blur-xl rounded-3xl shadow-2xl border border-white/40 p-8 text-center space-y-4">
+        <div className="mx-auto w-16 h-16 rounded-2xl bg-blue-50 flex items-center justify-center">
+          {icon}
+        </div>
+        <h1 className="text-2xl font-bold text-slate-900">{title}</h1>
+        <p className="text-sm text-slate-600">{description}</p>
+        <p className="text-xs text-slate-500">
+          E-posta tercihlerinizi istediğiniz zaman Ayarlar sayfasından yeniden açabilirsiniz.
+        </p>
+        <Link
+          to={ROUTE_CONFIG.PUBLIC.LOGIN}
+          className="inline-flex items-center justify-center rounded-2xl bg-blue-600 px-6 py-3 text-white font-semibold shadow-lg shadow-blue-600/30 transition hover:bg-blue-700 hover:text-white"
+        >
+          Giriş Yap
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default EmailUnsubscribePage;
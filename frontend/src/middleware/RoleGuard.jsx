@@ -45,6 +45,11 @@
  * <RoleGuard allowedRoles={['doctor', 'hospital']}>
  *   <SharedPage />
  * </RoleGuard>
+ * 
+ * // Admin alt rolü izni (izni olmayan admin dashboard'a yönlendirilir)
+ * <RoleGuard allowedRoles={['admin']} permission={APP_CONFIG.ADMIN_PERMISSIONS.LOGS_READ}>
+ *   <AdminLogsPage />
+ * </RoleGuard>
  * ```
  * 
  * Guard Sıralaması:
@@ -65,6 +70,7 @@
 import React from 'react';
 import { Navigate } from 'react-router-dom';
 import useAuthStore from '@/store/authStore';
+import { hasPermission } from '@/utils/permissions';
 
 /**
  * ============================================================================
@@ -79,12 +85,13 @@ import useAuthStore from '@/store/authStore';
  * @param {Array<string>|string} allowedRoles - İzin verilen roller listesi veya tek rol
  *                                             Boş array ise sadece authenticate kontrolü yapılır
  *                                             Örnek: ['doctor'], ['doctor', 'hospital'], 'admin'
+ * @param {string} [permission] - Admin için gerekli izin (Backend roleGuard.requirePermission ile aynı)
  * 
  * Dönüş:
  * @returns {React.ReactNode} Yetkili kullanıcılar için children, 
  *                            yetkisiz kullanıcılar için Navigate (ana sayfaya)
  */
-const RoleGuard = ({ children, allowedRoles = [] }) => {
+const RoleGuard = ({ children, allowedRoles = [], permission }) => {
   /**
    * ============================================================================
    * STATE VE HOOKS
@@ -136,6 +143,9 @@ const RoleGuard = ({ children, allowedRoles = [] }) => {
    * - Admin her yere erişebilir, özel kontrol yapılmaz
    */
   if (user.role === 'admin') {
+    if (!hasPermission(user, permission)) {
+      return <Navigate to="/admin" replace />;
+    }
     return children;
   }
 
@@ -108,6 +108,13 @@ import ErrorBoundary from '@/middleware/ErrorBoundary';
 import AuthGuard, { GuestGuard } from '@/middleware/AuthGuard';
 import RoleGuard from '@/middleware/RoleGuard';
 import ApprovalGuard from '@/middleware/ApprovalGuard';
+import { APP_CONFIG } from '@/config/app';
+
+/**
+ * Admin alt rol izinleri - admin route'larında RoleGuard permission prop'u için
+ * Backend adminRoutes.js'deki requirePermission eşlemesi ile aynı
+ */
+const { ADMIN_PERMISSIONS } = APP_CONFIG;
 
 /**
  * ============================================================================
@@ -122,6 +129,7 @@ import NotFound from '@/features/public/pages/NotFound';
 import PrivacyPolicyPage from '@/features/public/pages/PrivacyPolicyPage';
 import TermsOfServicePage from '@/features/public/pages/TermsOfServicePage';
 import HelpCenterPage from '@/features/public/pages/HelpCenterPage';
+import EmailUnsubscribePage from '@/features/notifications/pages/EmailUnsubscribePage';
 
 
 /**
@@ -138,6 +146,8 @@ import RegisterPage from '@/features/auth/pages/RegisterPage';
 import PendingApprovalPage from '@/features/auth/pages/PendingApprovalPage';
 import ForgotPasswordPage from '@/features/auth/pages/ForgotPasswordPage';
 import ResetPasswordPage from '@/features/auth/pages/ResetPasswordPage';
+import VerifyEmailPage from '@/features/auth/pages/VerifyEmailPage';
+import HospitalInvitationPage from '@/features/auth/pages/HospitalInvitationPage';
 
 /**
  * ============================================================================
@@ -163,6 +173,7 @@ const PhotoApprovalsPage = lazy(() => import('@/features/admin/pages/PhotoApprov
 const AdminLogsPage = lazy(() => import('@/features/admin/pages/LogsPage'));
 const AdminLogDetailPage = lazy(() => import('@/features/admin/pages/LogDetailPage'));
 const AdminCongressManagementPage = lazy(() => import('@/features/admin/pages/CongressManagementPage'));
+const AdminSettingsPage = lazy(() => import('@/features/admin/pages/SettingsPage'));
 
 /**
  * ============================================================================
@@ -290,6 +301,22 @@ const AppRoutes = () => {
           {/* Yardım Merkezi - /help-center */}
           <Route path="help-center" element={<HelpCenterPage />} />
 
+          {/* E-posta aboneliğinden çıkma - /email-unsubscribe?token=... (bildirim e-postalarındaki bağlantı) */}
+          <Route path="email-unsubscribe" element={<EmailUnsubscribePage />} />
+
+          {/* E-posta doğrulama - /verify-email?token=... (kayıt sonrası gönderilen bağlantı, oturumlu kullanıcılar da açabilir) */}
+          <Route path="verify-email" element={<VerifyEmailPage />} />
+
+          {/* Hastane ekip daveti - /hospital-invitation?token=... (davetli üye hesabını oluşturur) */}
+          <Route
+            path="hospital-invitation"
+            element={
+              <GuestGuard>
+                <HospitalInvitationPage />
+              </GuestGuard>
+            }
+          />
+
           {/* 
             ====================================================================
             AUTH ROUTES - Kimlik doğrulama sayfaları (misafir kullanıcılar için)
@@ -849,7 +876,7 @@ const AppRoutes = () => {
             element={
               <ErrorBoundary>
                 <AuthGuard>
-                  <RoleGuard allowedRoles={['admin']}>
+                  <RoleGuard allowedRoles={['admin']} permission={ADMIN_PERMISSIONS.USERS_MANAGE}>
                     <AdminUsersPage />
                   </RoleGuard>
                 </AuthGuard>
@@ -866,7 +893,7 @@ const AppRoutes = () => {
             element={
               <ErrorBoundary>
                 <AuthGuard>
-                  <RoleGuard allowedRoles={['admin']}>
+                  <RoleGuard allowedRoles={['admin']} permission={ADMIN_PERMISSIONS.USERS_MANAGE}>
                     <AdminHospitalsPage />
                   </RoleGuard>
                 </AuthGuard>
@@ -884,7 +911,7 @@ const AppRoutes = () => {
             element={
               <ErrorBoundary>
                 <AuthGuard>
-                  <RoleGuard allowedRoles={['admin']}>
+                  <RoleGuard allowedRoles={['admin']} permission={ADMIN_PERMISSIONS.USERS_MANAGE}>
                     <AdminUserDetailPage />
                   </RoleGuard>
                 </AuthGuard>
@@ -901,7 +928,7 @@ const AppRoutes = () => {
             element={
               <ErrorBoundary>
                 <AuthGuard>
-                  <RoleGuard allowedRoles={['admin']}>
+                  <RoleGuard allowedRoles={['admin']} permission={ADMIN_PERMISSIONS.JOBS_MODERATE}>
                     <AdminJobsPage />
                   </RoleGuard>
                 </AuthGuard>
@@ -919,7 +946,7 @@ const AppRoutes = () => {
             element={
               <ErrorBoundary>
                 <AuthGuard>
-                  <RoleGuard allowedRoles={['admin']}>
+                  <RoleGuard allowedRoles={['admin']} permission={ADMIN_PERMISSIONS.JOBS_MODERATE}>
                     <AdminJobDetailPage />
                   </RoleGuard>
                 </AuthGuard>
@@ -936,7 +963,7 @@ const AppRoutes = () => {
             element={
               <ErrorBoundary>
                 <AuthGuard>
-                  <RoleGuard allowedRoles={['admin']}>
+                  <RoleGuard allowedRoles={['admin']} permission={ADMIN_PERMISSIONS.APPLICATIONS_MANAGE}>
                     <AdminApplicationsPage />
                   </RoleGuard>
                 </AuthGuard>
@@ -954,7 +981,7 @@ const AppRoutes = () => {
             element={
               <ErrorBoundary>
                 <AuthGuard>
-                  <RoleGuard allowedRoles={['admin']}>
+                  <RoleGuard allowedRoles={['admin']} permission={ADMIN_PERMISSIONS.APPLICATIONS_MANAGE}>
                     <AdminApplicationDetailPage />
                   </RoleGuard>
                 </AuthGuard>
@@ -971,7 +998,7 @@ const AppRoutes = () => {
             element={
               <ErrorBoundary>
                 <AuthGuard>
-                  <RoleGuard allowedRoles={['admin']}>
+                  <RoleGuard allowedRoles={['admin']} permission={ADMIN_PERMISSIONS.NOTIFICATIONS_BROADCAST}>
                     <AdminNotificationsPage />
                   </RoleGuard>
                 </AuthGuard>
@@ -988,7 +1015,7 @@ const AppRoutes = () => {
             element={
               <ErrorBoundary>
                 <AuthGuard>
-                  <RoleGuard allowedRoles={['admin']}>
+                  <RoleGuard allowedRoles={['admin']} permission={ADMIN_PERMISSIONS.NOTIFICATIONS_BROADCAST}>
                     <NotificationSendPage />
                   </RoleGuard>
                 </AuthGuard>
@@ -1005,7 +1032,7 @@ const AppRoutes = () => {
             element={
               <ErrorBoundary>
                 <AuthGuard>
-                  <RoleGuard allowedRoles={['admin']}>
+                  <RoleGuard allowedRoles={['admin']} permission={ADMIN_PERMISSIONS.CONTACT_MANAGE}>
                     <AdminContactMessagesPage />
                   </RoleGuard>
                 </AuthGuard>
@@ -1022,7 +1049,7 @@ const AppRoutes = () => {
             element={
               <ErrorBoundary>
                 <AuthGuard>
-                  <RoleGuard allowedRoles={['admin']}>
+                  <RoleGuard allowedRoles={['admin']} permission={ADMIN_PERMISSIONS.PHOTOS_REVIEW}>
                     <PhotoApprovalsPage />
                   </RoleGuard>
                 </AuthGuard>
@@ -1039,7 +1066,7 @@ const AppRoutes = () => {
             element={
               <ErrorBoundary>
                 <AuthGuard>
-                  <RoleGuard allowedRoles={['admin']}>
+                  <RoleGuard allowedRoles={['admin']} permission={ADMIN_PERMISSIONS.LOGS_READ}>
                     <AdminLogsPage />
                   </RoleGuard>
                 </AuthGuard>
@@ -1057,7 +1084,7 @@ const AppRoutes = () => {
             element={
               <ErrorBoundary>
                 <AuthGuard>
-                  <RoleGuard allowedRoles={['admin']}>
+                  <RoleGuard allowedRoles={['admin']} permission={ADMIN_PERMISSIONS.LOGS_READ}>
                     <AdminLogDetailPage />
                   </RoleGuard>
                 </AuthGuard>
@@ -1074,7 +1101,7 @@ const AppRoutes = () => {
             element={
               <ErrorBoundary>
                 <AuthGuard>
-                  <RoleGuard allowedRoles={['admin']}>
+                  <RoleGuard allowedRoles={['admin']} permission={ADMIN_PERMISSIONS.CONGRESS_MANAGE}>
                     <AdminCongressManagementPage />
                   </RoleGuard>
                 </AuthGuard>
@@ -1082,6 +1109,23 @@ const AppRoutes = () => {
             }
           />
 
+          {/* 
+            Admin Hesap Güvenliği Sayfası - /admin/settings
+            İki adımlı doğrulama (zorunlu) ve aktif oturumlar
+          */}
+          <Route
+            path="admin/settings"
+            element={
+              <ErrorBoundary>
+                <AuthGuard>
+                  <RoleGuard allowedRoles={['admin']}>
+                    <AdminSettingsPage />
+                  </RoleGuard>
+                </AuthGuard>
+              </ErrorBoundary>
+            }
+          />
+
           {/* 
             ====================================================================
             ERROR ROUTES - Hata sayfaları
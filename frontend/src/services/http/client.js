@@ -301,6 +301,11 @@ apiClient.interceptors.request.use(
   }
 );
 
+/**
+ * Devam eden token yenileme isteği (aynı anda yalnızca bir tane)
+ */
+let refreshPromise = null;
+
 // ============================================================================
 // RESPONSE INTERCEPTOR - Yanıt sonrası işlemler
 // ============================================================================
@@ -469,26 +474,35 @@ apiClient.interceptors.response.use(
            * Yeni access token ve refresh token alınır
            */
           logger.info('Attempting token refresh');
-          const refreshResponse = await axios.post(`${BASE_URL}/auth/refresh`, {
-            refreshToken
-          });
           
           /**
-           * Yeni token'ları alma
-           * Response'dan accessToken ve refreshToken çıkarılır
-           */
-          const { accessToken, refreshToken: newRefreshToken } = refreshResponse.data.data;
-          
-          /**
-           * Auth store'u güncelleme
+           * Tek yenileme isteği
            * 
-           * Yeni token'lar auth store'a kaydedilir
-           * LocalStorage'a da otomatik olarak persist edilir (Zustand persist middleware)
+           * Backend her yenilemede yeni refresh token verir ve eskisini iptal eder;
+           * iptal edilmiş token tekrar gelirse oturumun tamamı kapatılır.
+           * Aynı anda 401 alan istekler bu yüzden aynı yenileme isteğini bekler.
            */
-          useAuthStore.getState().updateTokens({
-            accessToken,
-            refreshToken: newRefreshToken
-          });
+          if (!refreshPromise) {
+            refreshPromise = axios
+              .post(`${BASE_URL}/auth/refresh`, { refreshToken })
+              .then((refreshResponse) => {
+                /**
+                 * Yeni token'ları auth store'a kaydet
+                 * LocalStorage'a da otomatik olarak persist edilir (Zustand persist middleware)
+                 */
+                const { accessToken, refreshToken: newRefreshToken } = refreshResponse.data.data;
+                useAuthStore.getState().updateTokens({
+                  accessToken,
+                  refreshToken: newRefreshToken
+                });
+                return accessToken;
+              })
+              .finally(() => {
+                refreshPromise = null;
+              });
+          }
+          
+          const accessToken = await refreshPromise;
           
           logger.info('Token refresh successful');
           
@@ -23,6 +23,7 @@
  * - isAuthenticated: Authentication durumu
  * - isLoading: Loading durumu
  * - lastLoginAt: Son giriş zamanı
+ * - impersonation: Kullanıcı olarak görüntüleme bilgisi (admin oturumu saklanır)
  * 
  * Actions:
  * - fetchUser: Backend'den kullanıcı bilgilerini getirir
@@ -32,6 +33,7 @@
  * - updateUser: Kullanıcı bilgilerini günceller
  * - updateTokens: Token'ları günceller
  * - setLoading: Loading durumunu ayarlar
+ * - startImpersonation / stopImpersonation: Kullanıcı olarak görüntülemeyi başlatır/bitirir
  * 
  * Getters:
  * - getUser: Kullanıcı bilgisini döndürür
@@ -126,6 +128,18 @@ import logger from '../utils/logger';
 // Ama circular dependency olmaması için lazy import yapılacak
 let queryClientInstance = null;
 
+/**
+ * React Query cache'ini temizler
+ * Kullanıcı olarak görüntüleme başlarken/biterken önceki kullanıcının verileri görünmesin
+ */
+const clearQueryCache = () => {
+  try {
+    (queryClientInstance || window.__REACT_QUERY_CLIENT__)?.clear();
+  } catch (_) {
+    logger.warn('Failed to clear React Query cache');
+  }
+};
+
 // ============================================================================
 // AUTH STORE - Kimlik doğrulama state yönetimi
 // ============================================================================
@@ -215,6 +229,17 @@ const useAuthStore = create(
        */
       lastLoginAt: null,
 
+      /**
+       * Kullanıcı olarak görüntüleme bilgisi
+       * 
+       * Admin bir doktor veya hastane hesabını görüntülerken token ve user görüntülenen
+       * kullanıcıya aittir; admin oturumu adminSession'da saklanır ve görüntüleme
+       * bitince geri yüklenir. Görüntüleme token'ı yenilenemez (refreshToken null).
+       * 
+       * @type {Object|null} { adminSession: { user, token, refreshToken }, targetUserId, readOnly, expiresAt }
+       */
+      impersonation: null,
+
       // ======================================================================
       // ACTIONS - State değiştiren fonksiyonlar
       // ======================================================================
@@ -540,6 +565,14 @@ const useAuthStore = create(
          */
         const currentState = get();
         if (!currentState.isAuthenticated) return;
+
+        /**
+         * Kullanıcı olarak görüntüleme sırasında çıkış admin oturumuna döner
+         */
+        if (currentState.impersonation) {
+          get().stopImpersonation();
+          return;
+        }
         
         /**
          * ⚠️ CRITICAL: Kullanıcıya özel tüm localStorage cache'lerini temizle
@@ -600,6 +633,12 @@ const useAuthStore = create(
        * Kullanım: Token expire olduğunda state'i temizlemek için
        */
       clearAuthState: () => {
+        // Görüntüleme token'ı geçersizleşirse admin oturumuna dön
+        if (get().impersonation) {
+          get().stopImpersonation();
+          return;
+        }
+
         /**
          * Auth state'ini temizle
          * 
@@ -665,6 +704,59 @@ const useAuthStore = create(
         });
       },
 
+      /**
+       * Kullanıcı olarak görüntülemeyi başlatır
+       * 
+       * Admin oturumu saklanır, görüntülenen kullanıcının kısa ömürlü token'ı aktif edilir.
+       * Backend: POST /admin/users/:id/impersonate yanıtı ile çağrılır.
+       * 
+       * @param {Object} data - { accessToken, user, read_only, expires_at }
+       */
+      startImpersonation: ({ accessToken, user, read_only, expires_at }) => {
+        const { user: adminUser, token, refreshToken, impersonation } = get();
+        if (impersonation) return;
+
+        logger.info('Impersonation started', { targetUserId: user?.id, readOnly: read_only });
+        clearQueryCache();
+
+        set({
+          impersonation: {
+            adminSession: { user: adminUser, token, refreshToken },
+            targetUserId: user.id,
+            readOnly: read_only !== false,
+            expiresAt: expires_at
+          },
+          user,
+          token: accessToken,
+          refreshToken: null,
+          isAuthenticated: true
+        });
+      },
+
+      /**
+       * Kullanıcı olarak görüntülemeyi bitirir ve admin oturumunu geri yükler
+       * 
+       * @returns {number|null} Görüntülenen kullanıcının ID'si (admin detay sayfasına dönmek için)
+       */
+      stopImpersonation: () => {
+        const { impersonation } = get();
+        if (!impersonation) return null;
+
+        logger.info('Impersonation ended', { targetUserId: impersonation.targetUserId });
+        clearQueryCache();
+
+        const { adminSession } = impersonation;
+        set({
+          impersonation: null,
+          user: adminSession.user,
+          token: adminSession.token,
+          refreshToken: adminSession.refreshToken,
+          isAuthenticated: !!(adminSession.user && adminSession.token)
+        });
+
+        return impersonation.targetUserId;
+      },
+
       /**
        * Loading durumunu ayarlar
        * 
@@ -1099,7 +1191,8 @@ const useAuthStore = create(
           refreshToken: null,
           isAuthenticated: false,
           isLoading: false,
-          lastLoginAt: null
+          lastLoginAt: null,
+          impersonation: null
         });
       },
 
@@ -1224,7 +1317,9 @@ const useAuthStore = create(
            * Bu değer persist edilir ama her zaman hesaplanır
            */
           isAuthenticated: !!(state.user && state.user.id && state.token),
-          lastLoginAt: state.lastLoginAt
+          lastLoginAt: state.lastLoginAt,
+          // Sayfa yenilense de görüntüleme sonunda admin oturumuna dönülebilmeli
+          impersonation: state.impersonation
         };
       },
       /**
@@ -93,3 +93,29 @@ export const getTurkishStatusName = (status) => {
   return statusMap[status] || status;
 };
 
+
+/**
+ * İlanın ücret aralığını okunabilir metne çevirir
+ * @description salary_min / salary_max / salary_currency alanlarını kullanır,
+ * yapılandırılmış alanlar boşsa eski serbest metin salary_range değerine düşer
+ * @param {Object} job - İş ilanı
+ * @returns {string|null} Ör. "80.000 - 120.000 TRY", "80.000+ TRY" veya null
+ */
+export const formatSalaryRange = (job) => {
+  if (!job) return null;
+
+  const format = (value) => Number(value).toLocaleString('tr-TR', { maximumFractionDigits: 0 });
+  const hasMin = job.salary_min !== null && job.salary_min !== undefined;
+  const hasMax = job.salary_max !== null && job.salary_max !== undefined;
+  const currency = job.salary_currency || 'TRY';
+
+  if (hasMin && hasMax) {
+    return Number(job.salary_min) === Number(job.salary_max)
+      ? `${format(job.salary_min)} ${currency}`
+      : `${format(job.salary_min)} - ${format(job.salary_max)} ${currency}`;
+  }
+  if (hasMin) return `${format(job.salary_min)}+ ${currency}`;
+  if (hasMax) return `En fazla ${format(job.salary_max)} ${currency}`;
+
+  return job.salary_range || null;
+};
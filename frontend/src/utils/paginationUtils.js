@@ -24,7 +24,10 @@ export function normalizePagination(rawPagination = {}) {
     
     // Sonraki/önceki sayfa kontrolü
     hasNext: rawPagination.has_next || rawPagination.hasNext || false,
-    hasPrev: rawPagination.has_prev || rawPagination.hasPrev || false
+    hasPrev: rawPagination.has_prev || rawPagination.hasPrev || false,
+
+    // İlan aramasında sonuçlar en alakalı ilanlarla sınırlandı mı
+    truncated: rawPagination.truncated || false
   };
   
   // Backward compatibility için eski field adlarını da ekle
@@ -0,0 +1,30 @@
+/**
+ * @file permissions.js
+ * @description Admin izin yardımcıları
+ * 
+ * Admin alt rolünün izinleri backend tarafından login ve /auth/me yanıtında
+ * user.permissions olarak döner. Bu yardımcılar menü öğelerini ve admin
+ * route'larını gizlemek için kullanılır; asıl yetki kontrolü backend
+ * roleGuard.requirePermission'dadır.
+ * 
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+/**
+ * Kullanıcının belirtilen izne sahip olup olmadığını kontrol eder
+ * @param {Object|null} user - Auth store'daki kullanıcı
+ * @param {string} [permission] - İzin (APP_CONFIG.ADMIN_PERMISSIONS); boşsa izin gerekmez
+ * @returns {boolean}
+ * 
+ * @example
+ * if (hasPermission(user, APP_CONFIG.ADMIN_PERMISSIONS.LOGS_READ)) {
+ *   // Sistem logları menüsünü göster
+ * }
+ */
+export const hasPermission = (user, permission) => {
+  if (!permission) return true;
+  if (!user || user.role !== 'admin') return false;
+  return Array.isArray(user.permissions) && user.permissions.includes(permission);
+};
@@ -192,6 +192,7 @@ const isPublicEndpoint = (url?: string): boolean => {
     '/auth/refresh',
     '/auth/forgot-password',
     '/auth/reset-password',
+    '/auth/resend-verification',
     '/lookup/',
     '/upload/register-photo',
   ];
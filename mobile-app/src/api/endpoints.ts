@@ -33,6 +33,9 @@ export const endpoints = {
     changePassword: '/auth/change-password', // Şifre değiştir
     forgotPassword: '/auth/forgot-password', // Şifre sıfırlama talebi
     resetPassword: '/auth/reset-password', // Şifre sıfırlama
+    resendVerification: '/auth/resend-verification', // E-posta doğrulama bağlantısını yeniden gönder
+    sessions: '/auth/sessions', // Aktif oturumlar
+    session: (id: number) => `/auth/sessions/${id}`, // Tek oturum (sonlandırma)
     markOnboardingCompleted: '/auth/mark-onboarding-completed', // Onboarding tamamlandı
   },
   // Doktor Profil Endpoint'leri
@@ -57,8 +60,17 @@ export const endpoints = {
     photoStatus: '/doctor/profile/photo/status', // Fotoğraf onay durumu
     photoHistory: '/doctor/profile/photo/history', // Fotoğraf geçmişi
     photoRequest: '/doctor/profile/photo/request', // Fotoğraf değişiklik talebi
+    // CV PDF (Mobile Backend)
+    cvPdf: '/doctor/profile/cv.pdf', // CV PDF (?template=classic|compact&lang=tr|en)
     // Hesap Yönetimi (Mobile Backend)
     deactivateAccount: '/doctor/account/deactivate', // Hesabı pasifleştir
+    dataExport: '/doctor/account/data-export', // Kişisel veri dışa aktarma
+    dataExportDownloadLink: (id: number) => `/doctor/account/data-export/${id}/download-link`, // Kısa süreli indirme bağlantısı
+    // Profil Gizliliği (Mobile Backend)
+    privacy: '/doctor/privacy', // Görünürlük ve iletişim bilgisi gizleme
+    privacyHospitals: '/doctor/privacy/hospitals', // Engellenecek hastane arama
+    blockedHospitals: '/doctor/privacy/blocked-hospitals', // Hastane engelle
+    blockedHospital: (hospitalId: number) => `/doctor/privacy/blocked-hospitals/${hospitalId}`, // Engeli kaldır
   },
   // Referans Veri Endpoint'leri
   lookup: {
@@ -75,6 +87,8 @@ export const endpoints = {
   jobs: {
     list: '/jobs', // İlan listesi
     detail: (id: number) => `/jobs/${id}`, // İlan detayı
+    favorites: '/jobs/favorites', // Kaydedilen ilanlar
+    favorite: (id: number) => `/jobs/${id}/favorite`, // İlanı kaydet (POST) / çıkar (DELETE)
   },
   // Başvuru Endpoint'leri
   applications: {
@@ -82,6 +96,9 @@ export const endpoints = {
     detail: (id: number) => `/applications/${id}`, // Başvuru detayı
     create: '/applications', // Başvuru oluştur
     withdraw: (id: number) => `/applications/${id}/withdraw`, // Başvuruyu geri çek
+    acceptInterview: (id: number) => `/applications/${id}/interview/accept`, // Mülakat zamanını kabul et
+    messages: (id: number) => `/applications/${id}/messages`, // Hastaneyle yazışma (GET/POST)
+    unreadMessages: '/applications/messages/unread', // Okunmamış mesaj özeti (tab rozeti)
   },
   // Bildirim Endpoint'leri
   notifications: {
@@ -92,6 +109,7 @@ export const endpoints = {
     delete: (id: number) => `/notifications/${id}`, // Bildirimi sil
     deleteMany: '/notifications/delete-many', // Çoklu silme
     unreadCount: '/notifications/unread-count', // Okunmamış sayısı
+    settings: '/notifications/settings', // Bildirim tercihleri ve sessiz saatler (GET/PUT)
   },
   // Cihaz Token Endpoint'i (Push Notification için)
   deviceToken: '/device-token',
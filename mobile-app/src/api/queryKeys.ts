@@ -57,11 +57,24 @@ export interface NotificationFilters {
  * - queryKeys.jobs.detail(5) -> ['jobs', 'detail', 5]
  */
 export const queryKeys = {
+  // Kimlik doğrulama
+  auth: {
+    all: ['auth'] as const, // Tüm auth query'leri
+    sessions: () => [...queryKeys.auth.all, 'sessions'] as const, // Aktif oturumlar
+  },
+
+  // Hesap yönetimi
+  account: {
+    all: ['account'] as const, // Tüm hesap query'leri
+    dataExports: () => [...queryKeys.account.all, 'dataExports'] as const, // Veri dışa aktarma talepleri
+  },
+
   // İş İlanları
   jobs: {
     all: ['jobs'] as const, // Tüm job query'leri
     list: (filters?: JobListParams) => [...queryKeys.jobs.all, 'list', filters] as const, // İlan listesi
     detail: (id: number) => [...queryKeys.jobs.all, 'detail', id] as const, // İlan detayı
+    favorites: () => [...queryKeys.jobs.all, 'favorites'] as const, // Kaydedilen ilanlar
   },
 
   // Profil
@@ -73,6 +86,8 @@ export const queryKeys = {
     experiences: () => [...queryKeys.profile.all, 'experiences'] as const, // Deneyimler
     certificates: () => [...queryKeys.profile.all, 'certificates'] as const, // Sertifikalar
     languages: () => [...queryKeys.profile.all, 'languages'] as const, // Diller
+    privacy: () => [...queryKeys.profile.all, 'privacy'] as const, // Gizlilik ayarları
+    privacyHospitals: (search: string) => [...queryKeys.profile.all, 'privacy', 'hospitals', search] as const, // Engellenecek hastane arama
   },
 
   // Başvurular
@@ -80,6 +95,8 @@ export const queryKeys = {
     all: ['applications'] as const, // Tüm başvuru query'leri
     list: (filters?: ApplicationFilters) => [...queryKeys.applications.all, 'list', filters] as const, // Başvuru listesi
     detail: (id: number) => [...queryKeys.applications.all, 'detail', id] as const, // Başvuru detayı
+    messages: (id: number) => [...queryKeys.applications.all, 'messages', id] as const, // Başvuru yazışması
+    unreadMessages: () => [...queryKeys.applications.all, 'unreadMessages'] as const, // Okunmamış mesaj özeti
   },
 
   // Bildirimler
@@ -87,6 +104,7 @@ export const queryKeys = {
     all: ['notifications'] as const, // Tüm bildirim query'leri
     list: (filters?: NotificationFilters) => [...queryKeys.notifications.all, 'list', filters] as const, // Bildirim listesi
     unreadCount: () => [...queryKeys.notifications.all, 'unreadCount'] as const, // Okunmamış sayısı
+    settings: () => [...queryKeys.notifications.all, 'settings'] as const, // Bildirim tercihleri
   },
 
   // Lookup (statik veri)
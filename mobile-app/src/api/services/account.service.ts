@@ -4,14 +4,15 @@
  * 
  * Ana İşlevler:
  * - Hesap pasifleştirme (deactivate account)
+ * - Kişisel veri dışa aktarma talebi (data export)
  * 
  * Endpoint'ler: /api/mobile/doctor/account/*
  * 
- * ⚠️ ÖNEMLİ: Hesap pasifleştirme işlemi geri alınamaz!
+ * ⚠️ ÖNEMLİ: Hesap pasifleştirme sonrası bekleme süresi başlar
  * - Kullanıcı artık giriş yapamaz
  * - Tüm oturumlar sonlandırılır
- * - Profil ve veriler saklanır (GDPR uyumlu)
- * - Yeniden aktifleştirme için admin desteği gerekir
+ * - Bekleme süresi içinde giriş yapılırsa hesap geri açılır
+ * - Süre dolunca kişisel veriler kalıcı olarak silinir (KVKK)
  * 
  * @author MediKariyer Development Team
  * @version 1.0.0
@@ -22,6 +23,33 @@ import { apiClient } from '../client';
 import { endpoints } from '../endpoints';
 import { ApiResponse } from '@/types/api';
 
+// ============================================================================
+// TİPLER
+// ============================================================================
+
+/**
+ * Kişisel veri dışa aktarma talebi
+ * ZIP hazır olduğunda bildirim gelir; indirme bağlantısı createDataExportDownloadLink ile alınır.
+ */
+export interface DataExportRequest {
+  id: number;
+  status: 'pending' | 'processing' | 'ready' | 'failed' | 'expired';
+  file_size: number | null;
+  expires_at: string | null;
+  download_count: number;
+  error_message: string | null;
+  created_at: string;
+  completed_at: string | null;
+}
+
+/**
+ * Kısa süreli veri dışa aktarma indirme bağlantısı
+ */
+export interface DataExportDownloadLink {
+  url: string;
+  expires_at: string;
+}
+
 // ============================================================================
 // ACCOUNT SERVİSİ
 // ============================================================================
@@ -30,24 +58,62 @@ export const accountService = {
   /**
    * Hesabı pasifleştirir (kapatır)
    * 
-   * ⚠️ DİKKAT: Bu işlem geri alınamaz!
-   * - Kullanıcının is_active değeri false yapılır
+   * ⚠️ DİKKAT: Bekleme süresi sonunda kişisel veriler kalıcı olarak silinir!
+   * - Kullanıcının is_active değeri false yapılır, silme tarihi planlanır
    * - Tüm refresh token'lar geçersiz kılınır
-   * - Kullanıcı artık giriş yapamaz
-   * - Profil ve veriler saklanır (silinmez)
+   * - Bekleme süresi içinde giriş yapılırsa hesap geri açılır
    * 
-   * @returns {Promise<void>}
+   * @returns {Promise<string | undefined>} Silme tarihini içeren bilgilendirme mesajı
    * @throws API hatası veya auth hatası
    * 
    * @example
    * try {
-   *   await accountService.deactivateAccount();
-   *   // Başarılı - kullanıcıyı logout ekranına yönlendir
+   *   const message = await accountService.deactivateAccount();
+   *   // Başarılı - mesajı göster, kullanıcıyı logout ekranına yönlendir
    * } catch (error) {
    *   // Hata durumunda kullanıcıya bilgi ver
    * }
    */
-  async deactivateAccount(): Promise<void> {
-    await apiClient.post<ApiResponse<null>>(endpoints.doctor.deactivateAccount);
+  async deactivateAccount(): Promise<string | undefined> {
+    const response = await apiClient.post<ApiResponse<{ deletion_scheduled_at: string }>>(
+      endpoints.doctor.deactivateAccount,
+    );
+    return response.data.message;
+  },
+
+  /**
+   * Kişisel veri dışa aktarma talebi oluşturur
+   * ZIP arka planda hazırlanır; hazır olunca "Verileriniz İndirmeye Hazır" bildirimi gelir.
+   *
+   * @returns {Promise<DataExportRequest>} Oluşturulan talep
+   * @throws Devam eden talep varsa 409, bekleme süresi dolmadıysa 429
+   */
+  async requestDataExport(): Promise<DataExportRequest> {
+    const response = await apiClient.post<ApiResponse<DataExportRequest>>(endpoints.doctor.dataExport);
+    return response.data.data;
+  },
+
+  /**
+   * Son veri dışa aktarma taleplerini getirir (en yeni ilk sırada)
+   * @returns {Promise<DataExportRequest[]>} Talep listesi
+   */
+  async getDataExports(): Promise<DataExportRequest[]> {
+    const response = await apiClient.get<ApiResponse<DataExportRequest[]>>(endpoints.doctor.dataExport);
+    return response.data.data ?? [];
+  },
+
+  /**
+   * Hazır dışa aktarma için kısa süreli (10 dakika) indirme bağlantısı alır
+   * Bağlantı tarayıcıda açılır; bildirimlerde bağlantı gönderilmez.
+   *
+   * @param {number} exportId - Dışa aktarma talebi ID'si
+   * @returns {Promise<DataExportDownloadLink>} İndirme bağlantısı
+   * @throws Dosyanın süresi dolduysa 410
+   */
+  async createDataExportDownloadLink(exportId: number): Promise<DataExportDownloadLink> {
+    const response = await apiClient.post<ApiResponse<DataExportDownloadLink>>(
+      endpoints.doctor.dataExportDownloadLink(exportId)
+    );
+    return response.data.data;
   },
 };
@@ -6,6 +6,8 @@
  * - List applications (başvuru listesi - pagination, status filter)
  * - Get application detail (başvuru detayı)
  * - Withdraw application (başvuru geri çekme)
+ * - Accept interview slot (önerilen mülakat zamanını kabul etme)
+ * - Application messages (hastaneyle yazışma, okunmamış mesaj özeti)
  * 
  * Endpoint'ler: /api/mobile/applications/*
  * 
@@ -20,6 +22,10 @@ import { ApiResponse, PaginationMeta } from '@/types/api';
 import {
   ApplicationDetail,
   ApplicationListItem,
+  ApplicationMessage,
+  ApplicationMessageThread,
+  Interview,
+  UnreadMessageSummary,
 } from '@/types/application';
 import { validatePaginatedResponse, validateSingleItemResponse } from '@/utils/apiValidator';
 
@@ -88,6 +94,61 @@ export const applicationService = {
       {},
     );
   },
+
+  /**
+   * Hastanenin önerdiği mülakat zamanlarından birini kabul eder
+   * @param {number} applicationId - Başvuru ID'si
+   * @param {number} slotId - Seçilen zaman dilimi ID'si
+   * @returns {Promise<Interview>} Güncel mülakat
+   */
+  async acceptInterviewSlot(applicationId: number, slotId: number): Promise<Interview> {
+    const response = await apiClient.post<ApiResponse<Interview>>(
+      endpoints.applications.acceptInterview(applicationId),
+      { slot_id: slotId },
+    );
+
+    return validateSingleItemResponse<Interview>(response.data, endpoints.applications.acceptInterview(applicationId));
+  },
+
+  /**
+   * Başvuru yazışmasını getirir (hastanenin mesajları okundu işaretlenir)
+   * @param {number} applicationId - Başvuru ID'si
+   * @returns {Promise<ApplicationMessageThread>} Yazışma bilgisi ve mesajlar
+   */
+  async getMessages(applicationId: number): Promise<ApplicationMessageThread> {
+    const response = await apiClient.get<ApiResponse<ApplicationMessageThread>>(
+      endpoints.applications.messages(applicationId),
+    );
+
+    return validateSingleItemResponse<ApplicationMessageThread>(response.data, endpoints.applications.messages(applicationId));
+  },
+
+  /**
+   * Hastaneye mesaj gönderir
+   * @param {number} applicationId - Başvuru ID'si
+   * @param {string} body - Mesaj metni
+   * @returns {Promise<ApplicationMessage>} Gönderilen mesaj
+   */
+  async sendMessage(applicationId: number, body: string): Promise<ApplicationMessage> {
+    const response = await apiClient.post<ApiResponse<ApplicationMessage>>(
+      endpoints.applications.messages(applicationId),
+      { body },
+    );
+
+    return validateSingleItemResponse<ApplicationMessage>(response.data, endpoints.applications.messages(applicationId));
+  },
+
+  /**
+   * Okunmamış mesaj özetini getirir (tab rozeti)
+   * @returns {Promise<UnreadMessageSummary>} Toplam sayı ve yazışmalar
+   */
+  async getUnreadMessages(): Promise<UnreadMessageSummary> {
+    const response = await apiClient.get<ApiResponse<UnreadMessageSummary>>(
+      endpoints.applications.unreadMessages,
+    );
+
+    return validateSingleItemResponse<UnreadMessageSummary>(response.data, endpoints.applications.unreadMessages);
+  },
 };
 
 
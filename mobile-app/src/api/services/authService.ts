@@ -9,6 +9,7 @@
  * - Logout (çıkış)
  * - Get me (kullanıcı bilgisi)
  * - Change password (şifre değiştirme)
+ * - Sessions (aktif oturumlar, oturum sonlandırma)
  * 
  * Endpoint'ler: /api/mobile/auth/*
  * 
@@ -27,6 +28,7 @@ import type {
   LoginPayload,
   DoctorRegistrationPayload,
   DoctorRegistrationResponse,
+  AuthSession,
 } from '@/types/auth';
 
 /**
@@ -158,6 +160,24 @@ export const authService = {
     return response.data.data.user;
   },
 
+  /**
+   * Aktif oturumları getir (mevcut oturum is_current ile işaretli)
+   * @returns Oturum listesi
+   */
+  async getSessions(): Promise<AuthSession[]> {
+    const response = await apiClient.get<ApiResponse<{ sessions: AuthSession[] }>>(endpoints.auth.sessions);
+    return response.data.data?.sessions ?? [];
+  },
+
+  /**
+   * Oturum sonlandır
+   * @param sessionId - Oturum ID'si
+   * @throws Mevcut oturum (400) veya bulunamayan oturum (404)
+   */
+  async revokeSession(sessionId: number): Promise<void> {
+    await apiClient.delete<ApiResponse<{ success: boolean }>>(endpoints.auth.session(sessionId));
+  },
+
   /**
    * Authenticated kullanıcı için şifre değiştir
    * @param payload - Şifre değiştirme bilgileri (currentPassword, newPassword, confirmPassword)
@@ -204,6 +224,23 @@ export const authService = {
     };
   },
 
+  /**
+   * E-posta doğrulama bağlantısını yeniden gönderir
+   * Bağlantı web'deki /verify-email sayfasına gider; hesap varlığı açığa çıkmaz
+   * @param email - Kullanıcı email adresi
+   * @returns Başarı durumu ve mesaj
+   */
+  async resendVerification(email: string): Promise<{ success: boolean; message: string }> {
+    const response = await apiClient.post<ApiResponse<{ success: boolean }>>(
+      endpoints.auth.resendVerification,
+      { email },
+    );
+    return {
+      success: response.data.success,
+      message: response.data.message || 'Doğrulama bağlantısı e-posta adresinize gönderildi.',
+    };
+  },
+
   /**
    * Token ile şifre sıfırla - email'den gelen token ile şifre değiştirir
    * @param token - Email'den gelen sıfırlama token'ı
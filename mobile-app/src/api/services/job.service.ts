@@ -6,6 +6,7 @@
  * - List jobs (iş ilanı listesi - pagination, filters)
  * - Get job detail (iş ilanı detayı)
  * - Apply to job (iş ilanına başvuru)
+ * - Saved jobs (kaydedilen ilanlar - listeleme, kaydetme, çıkarma)
  * 
  * Endpoint'ler: /api/mobile/jobs/*
  * 
@@ -31,6 +32,10 @@ export interface JobListParams {
   hospital_id?: number;
   employment_type?: string;
   min_experience_years?: number;
+  min_salary?: number;  // salary_currency ile aynı para birimindeki ilanlarla karşılaştırılır
+  salary_currency?: 'TRY' | 'USD' | 'EUR';
+  provides_housing?: boolean;
+  provides_transport?: boolean;
 }
 
 export interface ApplyJobPayload {
@@ -80,5 +85,38 @@ export const jobService = {
       cover_letter: payload.coverLetter?.trim() || undefined,
     });
   },
+
+  /**
+   * Kaydedilen ilanları getirir (süresi dolanlar is_expired ile işaretli gelir)
+   * @param {Pick<JobListParams, 'page' | 'limit'>} params - Pagination parametreleri
+   * @returns {Promise<JobsResponse>} Kaydedilen ilan listesi ve pagination bilgisi
+   */
+  async listFavoriteJobs(params: Pick<JobListParams, 'page' | 'limit'> = {}): Promise<JobsResponse> {
+    const response = await apiClient.get<
+      ApiResponse<JobListItem[]> & { pagination?: PaginationMeta }
+    >(endpoints.jobs.favorites, {
+      params,
+    });
+
+    return validatePaginatedResponse<JobListItem>(response.data, endpoints.jobs.favorites);
+  },
+
+  /**
+   * İlanı kaydedilenlere ekler
+   * @param {number} id - İş ilanı ID'si
+   * @returns {Promise<void>}
+   */
+  async addFavorite(id: number): Promise<void> {
+    await apiClient.post<ApiResponse<null>>(endpoints.jobs.favorite(id));
+  },
+
+  /**
+   * İlanı kaydedilenlerden çıkarır
+   * @param {number} id - İş ilanı ID'si
+   * @returns {Promise<void>}
+   */
+  async removeFavorite(id: number): Promise<void> {
+    await apiClient.delete<ApiResponse<null>>(endpoints.jobs.favorite(id));
+  },
 };
 
@@ -7,6 +7,7 @@
  * - Mark as read (okundu işaretle)
  * - Get unread count (okunmamış sayısı)
  * - Register device token (push notification için)
+ * - Notification settings (kategori × kanal tercihleri, sessiz saatler)
  * 
  * Endpoint'ler: /api/mobile/notifications/*
  * 
@@ -21,7 +22,9 @@ import { ApiResponse, PaginationMeta } from '@/types/api';
 import type {
   NotificationItem,
   NotificationsResponse,
+  NotificationSettings,
   RegisterDeviceTokenPayload,
+  UpdateNotificationSettingsPayload,
 } from '@/types/notification';
 import { validateSingleItemResponse, validateApiResponse, validateResponseData } from '@/utils/apiValidator';
 
@@ -177,5 +180,31 @@ export const notificationService = {
       endpoints.notifications.clearRead
     );
   },
+
+  /**
+   * Bildirim tercihlerini getirir
+   * @returns {Promise<NotificationSettings>} Kategori tercihleri ve sessiz saatler
+   */
+  async getSettings(): Promise<NotificationSettings> {
+    const response = await apiClient.get<ApiResponse<NotificationSettings>>(
+      endpoints.notifications.settings,
+    );
+
+    return validateSingleItemResponse<NotificationSettings>(response.data, endpoints.notifications.settings);
+  },
+
+  /**
+   * Bildirim tercihlerini günceller
+   * @param {UpdateNotificationSettingsPayload} payload - Değişen kategoriler ve / veya sessiz saatler
+   * @returns {Promise<NotificationSettings>} Güncel tercihler
+   */
+  async updateSettings(payload: UpdateNotificationSettingsPayload): Promise<NotificationSettings> {
+    const response = await apiClient.put<ApiResponse<NotificationSettings>>(
+      endpoints.notifications.settings,
+      payload,
+    );
+
+    return validateSingleItemResponse<NotificationSettings>(response.data, endpoints.notifications.settings);
+  },
 };
 
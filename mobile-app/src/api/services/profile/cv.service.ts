@@ -0,0 +1,53 @@
+/**
+ * @file cv.service.ts
+ * @description CV Service - Doktor CV'sinin PDF olarak indirilmesi
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ * 
+ * **NOT:** PDF backend'de (pdfService) üretilir; web Profil sayfasındaki
+ * "CV İndir" ile aynı şablonları kullanır.
+ * 
+ * **Endpoint'ler:**
+ * - GET /api/mobile/doctor/profile/cv.pdf?template=&lang= - CV PDF
+ */
+
+import * as FileSystem from 'expo-file-system/legacy';
+import { endpoints } from '@/api/endpoints';
+import { env } from '@/config/env';
+import { tokenManager } from '@/utils/tokenManager';
+import type { CvDownloadOptions } from '@/types/profile';
+
+// ============================================================================
+// CV SERVICE
+// ============================================================================
+
+export const cvService = {
+  /**
+   * CV PDF'ini cihazın önbellek klasörüne indirir
+   * 
+   * apiClient yerine FileSystem.downloadAsync kullanılır; PDF base64'e
+   * çevrilmeden doğrudan dosyaya yazılır.
+   * 
+   * @param options - Şablon ve etiket dili
+   * @returns İndirilen dosyanın yerel URI'si
+   * 
+   * **Endpoint:** GET /api/mobile/doctor/profile/cv.pdf
+   */
+  async downloadCv({ template, lang }: CvDownloadOptions): Promise<string> {
+    const token = await tokenManager.getAccessToken();
+    const url = `${env.API_BASE_URL}${endpoints.doctor.cvPdf}?template=${template}&lang=${lang}`;
+    const fileUri = `${FileSystem.cacheDirectory}medikariyer-cv-${template}-${lang}.pdf`;
+
+    const result = await FileSystem.downloadAsync(url, fileUri, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+
+    if (result.status !== 200) {
+      await FileSystem.deleteAsync(result.uri, { idempotent: true });
+      throw new Error(`CV indirilemedi (HTTP ${result.status})`);
+    }
+
+    return result.uri;
+  },
+};
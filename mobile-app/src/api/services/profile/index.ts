@@ -22,6 +22,8 @@ export { experienceService } from './experience.service';
 export { certificateService } from './certificate.service';
 export { languageService } from './language.service';
 export { photoService } from './photo.service';
+export { privacyService } from './privacy.service';
+export { cvService } from './cv.service';
 
 // ============================================================================
 // IMPORTS FOR COMBINED SERVICE
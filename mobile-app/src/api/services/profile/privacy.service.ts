@@ -0,0 +1,98 @@
+/**
+ * @file privacy.service.ts
+ * @description Privacy Service - Profil görünürlüğü ve hastane engelleme
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * @since 2024
+ * 
+ * **NOT:** Kurallar backend'de (doctorPrivacyService) uygulanır; web Profil
+ * sayfasındaki "Gizlilik" sekmesiyle aynı ayarlardır.
+ * 
+ * **Endpoint'ler:**
+ * - GET/PUT /api/mobile/doctor/privacy - Görünürlük ve iletişim bilgisi gizleme
+ * - GET /api/mobile/doctor/privacy/hospitals?search= - Engellenecek hastane arama
+ * - POST /api/mobile/doctor/privacy/blocked-hospitals - Hastane engelle
+ * - DELETE /api/mobile/doctor/privacy/blocked-hospitals/:hospitalId - Engeli kaldır
+ */
+
+import { apiClient } from '@/api/client';
+import { endpoints } from '@/api/endpoints';
+import { ApiResponse } from '@/types/api';
+import type {
+  BlockedHospital,
+  PrivacyHospital,
+  ProfilePrivacySettings,
+  UpdatePrivacySettingsPayload,
+} from '@/types/profile';
+
+// ============================================================================
+// PRIVACY SERVICE
+// ============================================================================
+
+export const privacyService = {
+  /**
+   * Gizlilik ayarlarını getirir
+   * 
+   * **Endpoint:** GET /api/mobile/doctor/privacy
+   */
+  async getSettings(): Promise<ProfilePrivacySettings> {
+    const response = await apiClient.get<ApiResponse<ProfilePrivacySettings>>(endpoints.doctor.privacy);
+    return response.data.data;
+  },
+
+  /**
+   * Görünürlük / iletişim bilgisi gizleme ayarlarını günceller
+   * 
+   * @param payload - Değişen alanlar
+   * @returns Güncel gizlilik ayarları
+   * 
+   * **Endpoint:** PUT /api/mobile/doctor/privacy
+   */
+  async updateSettings(payload: UpdatePrivacySettingsPayload): Promise<ProfilePrivacySettings> {
+    const response = await apiClient.put<ApiResponse<ProfilePrivacySettings>>(
+      endpoints.doctor.privacy,
+      payload,
+    );
+    return response.data.data;
+  },
+
+  /**
+   * Engellenecek hastaneleri kurum adına göre arar (zaten engellenenler hariç)
+   * 
+   * **Endpoint:** GET /api/mobile/doctor/privacy/hospitals
+   */
+  async searchHospitals(search: string): Promise<PrivacyHospital[]> {
+    const response = await apiClient.get<ApiResponse<PrivacyHospital[]>>(endpoints.doctor.privacyHospitals, {
+      params: { search },
+    });
+    return response.data.data ?? [];
+  },
+
+  /**
+   * Hastaneyi engeller
+   * 
+   * @returns Güncel engellenen hastaneler
+   * 
+   * **Endpoint:** POST /api/mobile/doctor/privacy/blocked-hospitals
+   */
+  async blockHospital(hospitalId: number): Promise<BlockedHospital[]> {
+    const response = await apiClient.post<ApiResponse<BlockedHospital[]>>(endpoints.doctor.blockedHospitals, {
+      hospital_id: hospitalId,
+    });
+    return response.data.data ?? [];
+  },
+
+  /**
+   * Hastane engelini kaldırır
+   * 
+   * @returns Güncel engellenen hastaneler
+   * 
+   * **Endpoint:** DELETE /api/mobile/doctor/privacy/blocked-hospitals/:hospitalId
+   */
+  async unblockHospital(hospitalId: number): Promise<BlockedHospital[]> {
+    const response = await apiClient.delete<ApiResponse<BlockedHospital[]>>(
+      endpoints.doctor.blockedHospital(hospitalId),
+    );
+    return response.data.data ?? [];
+  },
+};
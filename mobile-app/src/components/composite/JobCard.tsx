@@ -34,10 +34,12 @@ import type { JobListItem } from '@/types/job';
  * @interface JobCardProps
  * @property {JobListItem} job - İş ilanı verisi
  * @property {Function} onPress - Kart tıklama callback'i (detay sayfasına gider)
+ * @property {Function} [onToggleFavorite] - Kaydet butonu callback'i (verilmezse buton gösterilmez)
  */
 interface JobCardProps {
   job: JobListItem;
   onPress: () => void;
+  onToggleFavorite?: () => void;
 }
 
 /**
@@ -48,6 +50,7 @@ interface JobCardProps {
  * - İş başlığı ve hastane adı
  * - YENİ badge'i (3 gün içinde eklenen ilanlar için)
  * - Ana dal ve yan dal chip'leri
+ * - Kaydet (favori) butonu ve SÜRESİ DOLDU badge'i
  * - Detay butonu (smooth animasyon ile)
  * 
  * **Logo İşleme Mantığı:**
@@ -66,7 +69,7 @@ interface JobCardProps {
  * @param props - JobCard prop'ları
  * @returns İş ilanı kartı bileşeni
  */
-export const JobCard: React.FC<JobCardProps> = ({ job, onPress }) => {
+export const JobCard: React.FC<JobCardProps> = ({ job, onPress, onToggleFavorite }) => {
   /**
    * Hastane logosu URL'ini işle
    * getFullImageUrl utility'si tüm formatları handle eder:
@@ -124,11 +127,17 @@ export const JobCard: React.FC<JobCardProps> = ({ job, onPress }) => {
                 {job.title}
               </Typography>
               {/* Son 3 gün içinde eklenen ilanlar için YENİ badge'i */}
-              {job.created_at && isWithinDays(job.created_at, 3) && (
+              {!job.is_expired && job.created_at && isWithinDays(job.created_at, 3) && (
                 <Badge variant="success" size="sm">
                   YENİ
                 </Badge>
               )}
+              {/* Kaydedilenler listesinde pasife alınmış ilanlar */}
+              {job.is_expired && (
+                <Badge variant="warning" size="sm">
+                  SÜRESİ DOLDU
+                </Badge>
+              )}
             </View>
             
             {/* Hastane adı */}
@@ -139,6 +148,21 @@ export const JobCard: React.FC<JobCardProps> = ({ job, onPress }) => {
               </Typography>
             </View>
           </View>
+
+          {/* Kaydet butonu */}
+          {onToggleFavorite && (
+            <TouchableOpacity
+              onPress={onToggleFavorite}
+              hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+              accessibilityLabel={job.is_favorite ? 'Kaydedilenlerden çıkar' : 'İlanı kaydet'}
+            >
+              <Ionicons
+                name={job.is_favorite ? 'bookmark' : 'bookmark-outline'}
+                size={22}
+                color={colors.primary[600]}
+              />
+            </TouchableOpacity>
+          )}
         </View>
 
         <Divider spacing="sm" />
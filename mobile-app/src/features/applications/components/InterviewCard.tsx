@@ -0,0 +1,279 @@
+/**
+ * @file InterviewCard.tsx
+ * @description Başvuru detayındaki mülakat kartı
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ *
+ * **ÖZELLİKLER:**
+ * - Hastanenin önerdiği zamanlardan birini seçme (status: proposed)
+ * - Kesinleşen mülakatın zamanı, yeri / bağlantısı (status: scheduled)
+ * - Takvime ekleme (.ics bağlantısı cihazın takvim uygulamasında açılır)
+ * - İptal edilen mülakat bilgisi (status: cancelled)
+ */
+
+import React, { useState } from 'react';
+import { StyleSheet, View, TouchableOpacity, Linking, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { colors, spacing } from '@/theme';
+import { Typography } from '@/components/ui/Typography';
+import { Button } from '@/components/ui/Button';
+import { Card } from '@/components/ui/Card';
+import { Badge } from '@/components/ui/Badge';
+import { env } from '@/config/env';
+import { formatDateWithDay, formatTime, isPast } from '@/utils/date';
+import type { Interview } from '@/types/application';
+import { useAcceptInterviewSlot } from '../hooks/useAcceptInterviewSlot';
+
+interface InterviewCardProps {
+  applicationId: number;
+  interview: Interview;
+}
+
+const STATUS_BADGE: Record<Interview['status'], { label: string; variant: 'warning' | 'success' | 'neutral' }> = {
+  proposed: { label: 'Yanıtınız bekleniyor', variant: 'warning' },
+  scheduled: { label: 'Planlandı', variant: 'success' },
+  cancelled: { label: 'İptal edildi', variant: 'neutral' },
+};
+
+const formatSlot = (value: string) => `${formatDateWithDay(value)} · ${formatTime(value)}`;
+
+export const InterviewCard: React.FC<InterviewCardProps> = ({ applicationId, interview }) => {
+  const [selectedSlotId, setSelectedSlotId] = useState<number | null>(null);
+  const acceptMutation = useAcceptInterviewSlot();
+
+  const badge = STATUS_BADGE[interview.status];
+  const availableSlots = interview.slots.filter((slot) => !isPast(slot.starts_at));
+
+  const openUrl = (url: string) => {
+    Linking.openURL(url).catch(() => {
+      Alert.alert('Bağlantı açılamadı', url);
+    });
+  };
+
+  const handleAccept = () => {
+    const slot = interview.slots.find((item) => item.id === selectedSlotId);
+    if (!slot) return;
+
+    Alert.alert(
+      'Mülakat Zamanını Onayla',
+      `${formatSlot(slot.starts_at)} tarihindeki mülakatı onaylıyor musunuz?`,
+      [
+        { text: 'Vazgeç', style: 'cancel' },
+        {
+          text: 'Onayla',
+          onPress: () => acceptMutation.mutate({ applicationId, slotId: slot.id }),
+        },
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.section}>
+      <View style={styles.sectionHeader}>
+        <View style={styles.sectionIconContainer}>
+          <Ionicons name="calendar-outline" size={18} color={colors.primary[600]} />
+        </View>
+        <Typography variant="h3" style={styles.sectionTitle}>
+          Mülakat
+        </Typography>
+        <Badge variant={badge.variant} size="sm">
+          {badge.label}
+        </Badge>
+      </View>
+
+      <Card variant="outlined" padding="lg">
+        {/* Yer / bağlantı */}
+        <View style={styles.row}>
+          <Ionicons
+            name={interview.mode === 'video' ? 'videocam-outline' : 'location-outline'}
+            size={18}
+            color={colors.text.secondary}
+          />
+          {interview.mode === 'video' && interview.meeting_url ? (
+            <TouchableOpacity style={styles.rowContent} onPress={() => openUrl(interview.meeting_url as string)}>
+              <Typography variant="body" style={styles.link} numberOfLines={2}>
+                Görüntülü görüşme bağlantısı
+              </Typography>
+            </TouchableOpacity>
+          ) : (
+            <Typography variant="body" style={styles.rowContent}>
+              {interview.location || 'Hastane adresi'}
+            </Typography>
+          )}
+        </View>
+        <View style={styles.row}>
+          <Ionicons name="time-outline" size={18} color={colors.text.secondary} />
+          <Typography variant="body" style={styles.rowContent}>
+            {interview.duration_minutes} dakika
+          </Typography>
+        </View>
+
+        {interview.notes && (
+          <Typography variant="body" style={styles.notes}>
+            {interview.notes}
+          </Typography>
+        )}
+
+        {/* Zaman seçimi */}
+        {interview.status === 'proposed' && (
+          <View style={styles.slots}>
+            <Typography variant="caption" style={styles.slotsLabel}>
+              Size uygun zamanı seçin
+            </Typography>
+            {availableSlots.length === 0 ? (
+              <Typography variant="body" style={styles.mutedText}>
+                Önerilen zamanların tümü geçmiş. Hastaneyle iletişime geçebilirsiniz.
+              </Typography>
+            ) : (
+              availableSlots.map((slot) => {
+                const isSelected = slot.id === selectedSlotId;
+                return (
+                  <TouchableOpacity
+                    key={slot.id}
+                    style={[styles.slot, isSelected && styles.slotSelected]}
+                    onPress={() => setSelectedSlotId(slot.id)}
+                    accessibilityRole="radio"
+                    accessibilityState={{ selected: isSelected }}
+                  >
+                    <Ionicons
+                      name={isSelected ? 'radio-button-on' : 'radio-button-off'}
+                      size={18}
+                      color={isSelected ? colors.primary[600] : colors.text.tertiary}
+                    />
+                    <Typography variant="body" style={isSelected ? { ...styles.slotText, ...styles.slotTextSelected } : styles.slotText}>
+                      {formatSlot(slot.starts_at)}
+                    </Typography>
+                  </TouchableOpacity>
+                );
+              })
+            )}
+            {availableSlots.length > 0 && (
+              <Button
+                label="Zamanı Onayla"
+                variant="primary"
+                size="md"
+                onPress={handleAccept}
+                disabled={!selectedSlotId || acceptMutation.isPending}
+                loading={acceptMutation.isPending}
+                fullWidth
+                style={styles.actionButton}
+              />
+            )}
+          </View>
+        )}
+
+        {/* Kesinleşmiş mülakat */}
+        {interview.status === 'scheduled' && interview.starts_at && (
+          <View style={styles.slots}>
+            <View style={[styles.slot, styles.slotSelected]}>
+              <Ionicons name="checkmark-circle" size={18} color={colors.success[600]} />
+              <Typography variant="body" style={{ ...styles.slotText, ...styles.slotTextSelected }}>
+                {formatSlot(interview.starts_at)}
+              </Typography>
+            </View>
+            {interview.calendar_path && (
+              <Button
+                label="Takvime Ekle"
+                variant="outline"
+                size="md"
+                onPress={() => openUrl(`${env.PRIMARY_API_BASE_URL}${interview.calendar_path}`)}
+                icon={<Ionicons name="calendar" size={18} color={colors.primary[600]} />}
+                fullWidth
+                style={styles.actionButton}
+              />
+            )}
+          </View>
+        )}
+
+        {interview.status === 'cancelled' && (
+          <Typography variant="body" style={styles.mutedText}>
+            Hastane bu mülakatı iptal etti.
+            {interview.cancel_reason ? ` Sebep: ${interview.cancel_reason}` : ''}
+          </Typography>
+        )}
+      </Card>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  section: {
+    marginTop: spacing.xl,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    marginBottom: spacing.md,
+  },
+  sectionIconContainer: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: colors.primary[50],
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  sectionTitle: {
+    flex: 1,
+    fontSize: 17,
+    fontWeight: '700',
+    color: colors.text.primary,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    marginBottom: spacing.sm,
+  },
+  rowContent: {
+    flex: 1,
+    color: colors.text.primary,
+  },
+  link: {
+    color: colors.primary[600],
+    textDecorationLine: 'underline',
+  },
+  notes: {
+    marginTop: spacing.xs,
+    color: colors.text.secondary,
+    fontSize: 14,
+  },
+  slots: {
+    marginTop: spacing.md,
+    gap: spacing.sm,
+  },
+  slotsLabel: {
+    color: colors.text.secondary,
+    fontWeight: '600',
+  },
+  slot: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.md,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border.light,
+  },
+  slotSelected: {
+    borderColor: colors.primary[300],
+    backgroundColor: colors.primary[50],
+  },
+  slotText: {
+    flex: 1,
+    color: colors.text.primary,
+  },
+  slotTextSelected: {
+    fontWeight: '600',
+  },
+  mutedText: {
+    marginTop: spacing.sm,
+    color: colors.text.secondary,
+    fontSize: 14,
+  },
+  actionButton: {
+    marginTop: spacing.sm,
+  },
+});
@@ -0,0 +1,57 @@
+/**
+ * @file useAcceptInterviewSlot.ts
+ * @description Mülakat zamanı kabul etme hook'u
+ * 
+ * Hastanenin önerdiği zaman dilimlerinden birini seçer. Başarılı işlemde
+ * başvuru detayı yenilenir; hastaneye backend tarafından bildirim gönderilir.
+ * 
+ * **Kullanım:**
+ * ```tsx
+ * const acceptSlot = useAcceptInterviewSlot();
+ * 
+ * acceptSlot.mutate({ applicationId: 123, slotId: 45 });
+ * ```
+ * 
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ */
+
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { applicationService } from '@/api/services/application.service';
+import { useAlertHelpers } from '@/utils/alertHelpers';
+import { handleApiError } from '@/utils/errorHandler';
+import { queryKeys } from '@/api/queryKeys';
+
+/**
+ * Mülakat zamanı kabul parametreleri
+ * 
+ * @interface AcceptInterviewSlotParams
+ * @property {number} applicationId - Başvuru ID'si
+ * @property {number} slotId - Seçilen zaman dilimi ID'si
+ */
+interface AcceptInterviewSlotParams {
+  applicationId: number;
+  slotId: number;
+}
+
+export const useAcceptInterviewSlot = () => {
+  const queryClient = useQueryClient();
+  const alert = useAlertHelpers();
+
+  return useMutation({
+    mutationFn: ({ applicationId, slotId }: AcceptInterviewSlotParams) =>
+      applicationService.acceptInterviewSlot(applicationId, slotId),
+
+    onSuccess: (_data, { applicationId }) => {
+      alert.success('Mülakat zamanı onaylandı. Hastaneye bildirim gönderildi.');
+      queryClient.invalidateQueries({ queryKey: queryKeys.applications.detail(applicationId) });
+    },
+
+    onError: (error: Error, { applicationId }) => {
+      const errorMessage = handleApiError(error, '/applications/interview/accept');
+      alert.error(errorMessage);
+      // Davet iptal edilmiş veya zaman geçmiş olabilir; güncel durumu göster
+      queryClient.invalidateQueries({ queryKey: queryKeys.applications.detail(applicationId) });
+    },
+  });
+};
@@ -0,0 +1,81 @@
+/**
+ * @file useApplicationMessages.ts
+ * @description Başvuru yazışması hook'ları - Hastaneyle mesajlaşma
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ *
+ * **HOOK'LAR:**
+ * - useApplicationMessages: Yazışmayı getirir (hastanenin mesajları okundu işaretlenir)
+ * - useSendApplicationMessage: Hastaneye mesaj gönderir
+ * - useUnreadMessageCount: Okunmamış mesaj sayısı (Başvurular tab rozeti)
+ *
+ * **CACHE:**
+ * - ['applications', 'messages', id] - Stale time: 0
+ * - ['applications', 'unreadMessages'] - Push bildirimi (message_received) ile yenilenir
+ *
+ * **KULLANIM ÖRNEĞİ:**
+ * ```typescript
+ * const { data } = useApplicationMessages(applicationId);
+ * const sendMessage = useSendApplicationMessage(applicationId);
+ * sendMessage.mutate('Merhaba');
+ * ```
+ */
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { applicationService } from '@/api/services/application.service';
+import { queryKeys } from '@/api/queryKeys';
+import { useAlertHelpers } from '@/utils/alertHelpers';
+import { handleApiError } from '@/utils/errorHandler';
+
+export const useApplicationMessages = (applicationId: number) => {
+  const queryClient = useQueryClient();
+
+  return useQuery({
+    queryKey: queryKeys.applications.messages(applicationId),
+    queryFn: async () => {
+      const data = await applicationService.getMessages(applicationId);
+      // Yazışma açıldığında hastanenin mesajları okundu sayılır; rozet güncellensin
+      queryClient.invalidateQueries({ queryKey: queryKeys.applications.unreadMessages() });
+      return data;
+    },
+    enabled: Boolean(applicationId),
+    staleTime: 0, // Her zaman fresh (yeni mesaj gelebilir)
+    refetchOnMount: true,
+    refetchOnWindowFocus: true,
+    refetchOnReconnect: true,
+  });
+};
+
+export const useSendApplicationMessage = (applicationId: number) => {
+  const queryClient = useQueryClient();
+  const alert = useAlertHelpers();
+
+  return useMutation({
+    mutationFn: (body: string) => applicationService.sendMessage(applicationId, body),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.applications.messages(applicationId) });
+    },
+
+    onError: (error: Error) => {
+      const errorMessage = handleApiError(error, '/applications/messages');
+      alert.error(errorMessage);
+    },
+  });
+};
+
+export const useUnreadMessageCount = (enabled: boolean = true) => {
+  const query = useQuery({
+    queryKey: queryKeys.applications.unreadMessages(),
+    queryFn: () => applicationService.getUnreadMessages(),
+    enabled,
+    staleTime: 1000 * 60, // 1 dakika (push bildirimi anında günceller)
+    refetchOnMount: true,
+    refetchOnWindowFocus: false,
+    refetchOnReconnect: true,
+  });
+
+  return {
+    ...query,
+    unreadCount: query.data?.count ?? 0,
+  };
+};
@@ -10,6 +10,8 @@
  * - İş tanımı
  * - Ön yazı (cover letter)
  * - Hastane notu (varsa)
+ * - Mülakat daveti (zaman seçimi, takvime ekleme)
+ * - Hastaneyle mesajlaşma (okunmamış mesaj sayısı ile)
  * - Başvuru geri çekme (sadece "Başvuruldu" durumunda)
  * 
  * **KULLANIM:**
@@ -39,6 +41,8 @@ import { Screen } from '@/components/layout/Screen';
 // GradientHeader import removed - using LinearGradient directly
 import { useApplicationDetail } from '../hooks/useApplicationDetail';
 import { useWithdrawApplication } from '../hooks/useWithdrawApplication';
+import { useUnreadMessageCount } from '../hooks/useApplicationMessages';
+import { InterviewCard } from '../components/InterviewCard';
 import { Ionicons } from '@expo/vector-icons';
 import { formatDate } from '@/utils/date';
 import type { ApplicationsStackParamList } from '@/navigation/types';
@@ -63,6 +67,9 @@ export const ApplicationDetailScreen = () => {
     applicationId !== null
   );
   const withdrawMutation = useWithdrawApplication();
+  const { data: unreadMessages } = useUnreadMessageCount(applicationId !== null);
+  const unreadInThread =
+    unreadMessages?.threads.find((thread) => thread.application_id === applicationId)?.unread_count ?? 0;
 
   const handleWithdraw = () => {
     if (applicationId) {
@@ -320,6 +327,41 @@ export const ApplicationDetailScreen = () => {
             </View>
           </Card>
 
+          {/* Mülakat (varsa) */}
+          {data.interview && (
+            <InterviewCard applicationId={data.id} interview={data.interview} />
+          )}
+
+          {/* Mesajlar */}
+          <TouchableOpacity
+            activeOpacity={0.8}
+            onPress={() => navigation.navigate('ApplicationMessages', { applicationId: data.id })}
+          >
+            <Card variant="elevated" padding="lg" style={styles.infoCard}>
+              <View style={styles.messagesRow}>
+                <View style={styles.cardIconContainer}>
+                  <Ionicons name="chatbubbles" size={20} color={colors.primary[600]} />
+                </View>
+                <View style={styles.messagesTextContainer}>
+                  <Typography variant="h3" style={styles.cardTitle}>
+                    Hastaneye Mesaj
+                  </Typography>
+                  <Typography variant="caption" style={styles.messagesSubtitle}>
+                    {unreadInThread > 0
+                      ? `${unreadInThread} okunmamış mesaj`
+                      : 'Başvurunuzla ilgili hastaneyle yazışın'}
+                  </Typography>
+                </View>
+                {unreadInThread > 0 && (
+                  <Badge variant="error" size="sm">
+                    {unreadInThread}
+                  </Badge>
+                )}
+                <Ionicons name="chevron-forward" size={20} color={colors.text.tertiary} />
+              </View>
+            </Card>
+          </TouchableOpacity>
+
           {/* İş İlanı Bilgileri */}
           <Card variant="elevated" padding="lg" style={styles.infoCard}>
             <View style={styles.cardHeader}>
@@ -622,6 +664,18 @@ const styles = StyleSheet.create({
     color: colors.text.primary,
     fontSize: 16,
   },
+  messagesRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+  },
+  messagesTextContainer: {
+    flex: 1,
+    gap: 2,
+  },
+  messagesSubtitle: {
+    color: colors.text.secondary,
+  },
   cardDivider: {
     height: 1,
     backgroundColor: colors.border.light,
@@ -0,0 +1,341 @@
+/**
+ * @file ApplicationMessagesScreen.tsx
+ * @description Başvuru yazışma ekranı - Hastaneyle mesajlaşma
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ *
+ * **ÖZELLİKLER:**
+ * - Mesaj balonları (doktorun mesajları sağda)
+ * - Okundu bilgisi (gönderilen mesajlar için "Okundu" / "İletildi")
+ * - Yeni mesaj push bildirimi (message_received) ile liste yenilenir
+ * - Reddedilen / geri çekilen başvurularda yanıt alanı kapalı
+ *
+ * **KULLANIM:**
+ * ApplicationDetailScreen'deki "Mesajlar" butonu veya mesaj bildirimi ile açılır
+ */
+
+import React, { useRef, useState } from 'react';
+import {
+  StyleSheet,
+  View,
+  FlatList,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { useRoute, useNavigation } from '@react-navigation/native';
+import { NativeStackNavigationProp } from '@react-navigation/native-stack';
+import { Ionicons } from '@expo/vector-icons';
+import { colors, spacing } from '@/theme';
+import { Typography } from '@/components/ui/Typography';
+import { Screen } from '@/components/layout/Screen';
+import { formatDateTimeShort } from '@/utils/date';
+import type { ApplicationMessage } from '@/types/application';
+import type { ApplicationsStackParamList } from '@/navigation/types';
+import { useApplicationMessages, useSendApplicationMessage } from '../hooks/useApplicationMessages';
+
+type ApplicationMessagesScreenNavigationProp = NativeStackNavigationProp<
+  ApplicationsStackParamList,
+  'ApplicationMessages'
+>;
+
+type RouteParams = {
+  applicationId: number;
+};
+
+/** Mesaj uzunluk sınırı (backend ile aynı) */
+const MAX_MESSAGE_LENGTH = 2000;
+
+export const ApplicationMessagesScreen = () => {
+  const navigation = useNavigation<ApplicationMessagesScreenNavigationProp>();
+  const route = useRoute();
+  const { applicationId } = route.params as RouteParams;
+  const [draft, setDraft] = useState('');
+  const listRef = useRef<FlatList<ApplicationMessage>>(null);
+
+  const { data, isLoading, refetch, isRefetching } = useApplicationMessages(applicationId);
+  const sendMutation = useSendApplicationMessage(applicationId);
+
+  const messages = data?.messages ?? [];
+  const canReply = data?.thread.can_reply ?? false;
+  const canSend = draft.trim().length > 0 && !sendMutation.isPending;
+
+  const handleSend = () => {
+    const body = draft.trim();
+    if (!body) return;
+
+    sendMutation.mutate(body, {
+      onSuccess: () => setDraft(''),
+    });
+  };
+
+  const renderMessage = ({ item }: { item: ApplicationMessage }) => (
+    <View style={[styles.messageRow, item.is_mine ? styles.messageRowMine : styles.messageRowTheirs]}>
+      <View style={[styles.bubble, item.is_mine ? styles.bubbleMine : styles.bubbleTheirs]}>
+        <Typography variant="body" style={item.is_mine ? styles.bodyMine : styles.bodyTheirs}>
+          {item.body}
+        </Typography>
+        <View style={styles.meta}>
+          <Typography variant="caption" style={item.is_mine ? styles.metaTextMine : styles.metaTextTheirs}>
+            {formatDateTimeShort(item.created_at)}
+          </Typography>
+          {item.is_mine && (
+            <Ionicons
+              name={item.read_at ? 'checkmark-done' : 'checkmark'}
+              size={14}
+              color="rgba(255,255,255,0.85)"
+              accessibilityLabel={item.read_at ? 'Okundu' : 'İletildi'}
+            />
+          )}
+        </View>
+      </View>
+    </View>
+  );
+
+  return (
+    <Screen scrollable={false}>
+      {/* Header - Gradient */}
+      <LinearGradient
+        colors={['#1E40AF', '#3B82F6']}
+        start={{ x: 0, y: 0 }}
+        end={{ x: 1, y: 1 }}
+        style={styles.gradientHeader}
+      >
+        <View style={styles.headerRow}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => navigation.goBack()}
+            activeOpacity={0.7}
+          >
+            <Ionicons name="chevron-back" size={22} color="#ffffff" />
+          </TouchableOpacity>
+          <View style={styles.headerTitleContainer}>
+            <Typography variant="h3" style={styles.headerTitle} numberOfLines={1}>
+              {data?.thread.counterpart_name || 'Mesajlar'}
+            </Typography>
+            <Typography variant="caption" style={styles.headerSubtitle} numberOfLines={1}>
+              {data?.thread.job_title || 'Yükleniyor...'}
+            </Typography>
+          </View>
+        </View>
+      </LinearGradient>
+
+      <KeyboardAvoidingView
+        style={styles.flex}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        {isLoading ? (
+          <View style={styles.loader}>
+            <ActivityIndicator size="large" color={colors.primary[600]} />
+          </View>
+        ) : (
+          <FlatList
+            ref={listRef}
+            data={messages}
+            keyExtractor={(item) => String(item.id)}
+            renderItem={renderMessage}
+            contentContainerStyle={messages.length === 0 ? styles.emptyContent : styles.listContent}
+            onContentSizeChange={() => listRef.current?.scrollToEnd({ animated: false })}
+            refreshing={isRefetching}
+            onRefresh={refetch}
+            ListEmptyComponent={
+              <View style={styles.empty}>
+                <Ionicons name="chatbubbles-outline" size={40} color={colors.text.tertiary} />
+                <Typography variant="body" style={styles.emptyText}>
+                  Henüz mesaj yok. Hastaneye ilk mesajı siz gönderebilirsiniz.
+                </Typography>
+              </View>
+            }
+          />
+        )}
+
+        {data && (canReply ? (
+          <View style={styles.composer}>
+            <TextInput
+              style={styles.input}
+              value={draft}
+              onChangeText={setDraft}
+              placeholder="Mesajınızı yazın..."
+              placeholderTextColor={colors.text.tertiary}
+              maxLength={MAX_MESSAGE_LENGTH}
+              multiline
+            />
+            <TouchableOpacity
+              style={[styles.sendButton, !canSend && styles.sendButtonDisabled]}
+              onPress={handleSend}
+              disabled={!canSend}
+              accessibilityLabel="Gönder"
+            >
+              {sendMutation.isPending ? (
+                <ActivityIndicator size="small" color="#ffffff" />
+              ) : (
+                <Ionicons name="send" size={18} color="#ffffff" />
+              )}
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <View style={styles.closedNotice}>
+            <Ionicons name="lock-closed-outline" size={16} color={colors.text.secondary} />
+            <Typography variant="caption" style={styles.closedNoticeText}>
+              Reddedilen veya geri çekilen başvurularda yeni mesaj gönderilemez.
+            </Typography>
+          </View>
+        ))}
+      </KeyboardAvoidingView>
+    </Screen>
+  );
+};
+
+const styles = StyleSheet.create({
+  flex: {
+    flex: 1,
+  },
+  // Gradient Header Styles (ApplicationDetailScreen ile aynı)
+  gradientHeader: {
+    paddingVertical: spacing.lg,
+    paddingHorizontal: spacing.md,
+    borderBottomLeftRadius: 16,
+    borderBottomRightRadius: 16,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.md,
+  },
+  backButton: {
+    width: 38,
+    height: 38,
+    borderRadius: 12,
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  headerTitleContainer: {
+    flex: 1,
+    gap: 2,
+  },
+  headerTitle: {
+    color: '#ffffff',
+    fontWeight: '700',
+    fontSize: 17,
+  },
+  headerSubtitle: {
+    color: 'rgba(255,255,255,0.8)',
+    fontSize: 13,
+  },
+  loader: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  listContent: {
+    padding: spacing.lg,
+    gap: spacing.sm,
+  },
+  emptyContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: spacing.lg,
+  },
+  empty: {
+    alignItems: 'center',
+    gap: spacing.md,
+  },
+  emptyText: {
+    color: colors.text.secondary,
+    textAlign: 'center',
+  },
+  messageRow: {
+    flexDirection: 'row',
+  },
+  messageRowMine: {
+    justifyContent: 'flex-end',
+  },
+  messageRowTheirs: {
+    justifyContent: 'flex-start',
+  },
+  bubble: {
+    maxWidth: '80%',
+    borderRadius: 16,
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.md,
+  },
+  bubbleMine: {
+    backgroundColor: colors.primary[600],
+    borderBottomRightRadius: 4,
+  },
+  bubbleTheirs: {
+    backgroundColor: colors.neutral[100],
+    borderBottomLeftRadius: 4,
+  },
+  bodyMine: {
+    color: '#ffffff',
+  },
+  bodyTheirs: {
+    color: colors.text.primary,
+  },
+  meta: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    gap: 4,
+    marginTop: 4,
+  },
+  metaTextMine: {
+    color: 'rgba(255,255,255,0.85)',
+    fontSize: 11,
+  },
+  metaTextTheirs: {
+    color: colors.text.secondary,
+    fontSize: 11,
+  },
+  composer: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    gap: spacing.sm,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    borderTopWidth: 1,
+    borderTopColor: colors.border.light,
+    backgroundColor: colors.background.primary,
+  },
+  input: {
+    flex: 1,
+    maxHeight: 120,
+    minHeight: 42,
+    borderWidth: 1,
+    borderColor: colors.border.light,
+    borderRadius: 20,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    fontSize: 15,
+    color: colors.text.primary,
+    backgroundColor: '#ffffff',
+  },
+  sendButton: {
+    width: 42,
+    height: 42,
+    borderRadius: 21,
+    backgroundColor: colors.primary[600],
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  sendButtonDisabled: {
+    opacity: 0.5,
+  },
+  closedNotice: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    padding: spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: colors.border.light,
+  },
+  closedNoticeText: {
+    flex: 1,
+    color: colors.text.secondary,
+  },
+});
@@ -0,0 +1,42 @@
+/**
+ * @file useResendVerification.ts
+ * @description E-posta doğrulama bağlantısını yeniden gönderme hook'u
+ * 
+ * Kayıt sonrası gönderilen doğrulama bağlantısı kaybolduysa veya süresi
+ * dolduysa kullanıcı yeni bağlantı isteyebilir. Bağlantı web'deki
+ * /verify-email sayfasını açar.
+ * 
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ */
+
+import { useMutation } from '@tanstack/react-query';
+import { authService } from '@/api/services/authService';
+
+/**
+ * Resend verification callback tipleri
+ */
+interface UseResendVerificationCallbacks {
+  onSuccess?: (data: { success: boolean; message: string }) => void | Promise<void>;
+  onError?: (error: Error) => void;
+}
+
+/**
+ * Doğrulama bağlantısını yeniden gönderme hook'u
+ * 
+ * Backend hesap varlığını açığa çıkarmamak için her zaman başarılı döner.
+ * 
+ * @param callbacks - Başarı ve hata callback'leri
+ * @returns React Query mutation objesi
+ */
+export const useResendVerification = (callbacks?: UseResendVerificationCallbacks) => {
+  return useMutation({
+    mutationFn: (email: string) => authService.resendVerification(email),
+    onSuccess: async (data) => {
+      await callbacks?.onSuccess?.(data);
+    },
+    onError: (error) => {
+      callbacks?.onError?.(error);
+    },
+  });
+};
@@ -9,6 +9,7 @@
  * - Manuel "Durumu Kontrol Et" butonu ile anında kontrol imkanı
  * - RootNavigator otomatik olarak onaylı kullanıcıları App stack'e yönlendirir
  * - 403 hataları sessizce işlenir (beklenen durum)
+ * - E-posta biliniyorsa doğrulama bağlantısı yeniden gönderilebilir
  * 
  * **KULLANIM SENARYOLARI:**
  * 1. Yeni kayıt sonrası: Kullanıcı authenticated değil, sadece bilgilendirme
@@ -25,11 +26,14 @@ import React, { useEffect, useRef, useState, useCallback } from 'react';
 import { View, StyleSheet, ScrollView, KeyboardAvoidingView, Platform } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
-import { useNavigation } from '@react-navigation/native';
+import { useNavigation, useRoute, RouteProp } from '@react-navigation/native';
 import { NativeStackNavigationProp } from '@react-navigation/native-stack';
 import { Typography } from '@/components/ui/Typography';
 import { Button } from '@/components/ui/Button';
 import { useLogout } from '../hooks/useLogout';
+import { useResendVerification } from '../hooks/useResendVerification';
+import { useAlertHelpers } from '@/utils/alertHelpers';
+import { handleApiError } from '@/utils/errorHandler';
 import { useAuthStore } from '@/store/authStore';
 import { authService } from '@/api/services/authService';
 import { navigationRef } from '@/navigation/navigationRef';
@@ -55,8 +59,10 @@ const POLLING_INTERVAL_MS = 30 * 1000;
 export const PendingApprovalScreen = () => {
   // Navigation ve hooks
   const navigation = useNavigation<NativeStackNavigationProp<AuthStackParamList>>();
+  const route = useRoute<RouteProp<AuthStackParamList, 'PendingApproval'>>();
   const logoutMutation = useLogout();
   const { t } = useTranslation();
+  const alert = useAlertHelpers();
   
   // Auth store state'leri
   const authStatus = useAuthStore((state) => state.authStatus);
@@ -86,6 +92,28 @@ export const PendingApprovalScreen = () => {
    */
   const isAfterRegistration = authStatus !== 'authenticated';
 
+  /**
+   * Doğrulama bağlantısı gönderilecek e-posta
+   * - Kayıt sonrası: RegisterScreen route parametresi
+   * - Giriş denemesi: store'daki kullanıcı
+   */
+  const verificationEmail = route.params?.email ?? user?.email;
+
+  const resendVerificationMutation = useResendVerification({
+    onSuccess: () => {
+      alert.success(t('auth.pendingApproval.resendVerificationSuccess'));
+    },
+    onError: (error) => {
+      handleApiError(error, '/auth/resend-verification', (msg) => alert.error(msg));
+    },
+  });
+
+  const handleResendVerification = useCallback(() => {
+    if (verificationEmail) {
+      resendVerificationMutation.mutate(verificationEmail);
+    }
+  }, [verificationEmail, resendVerificationMutation]);
+
   /**
    * Onay durumunu kontrol et (manuel veya otomatik polling ile)
    * 
@@ -327,6 +355,13 @@ export const PendingApprovalScreen = () => {
               </Typography>
             </View>
 
+            <View style={styles.infoRow}>
+              <Ionicons name="mail-unread-outline" size={24} color="#8B5CF6" />
+              <Typography variant="body" style={styles.infoText}>
+                {t('auth.pendingApproval.verifyEmail')}
+              </Typography>
+            </View>
+
             <View style={styles.infoRow}>
               <Ionicons name="time-outline" size={24} color="#F59E0B" />
               <Typography variant="body" style={styles.infoText}>
@@ -374,6 +409,20 @@ export const PendingApprovalScreen = () => {
             </View>
           )}
 
+          {/* Doğrulama bağlantısını yeniden gönder - e-posta biliniyorsa */}
+          {verificationEmail && (
+            <Button
+              variant="ghost"
+              onPress={handleResendVerification}
+              loading={resendVerificationMutation.isPending}
+              disabled={resendVerificationMutation.isSuccess}
+              size="lg"
+              style={styles.resendButton}
+            >
+              {t('auth.pendingApproval.resendVerification')}
+            </Button>
+          )}
+
           <Button
             variant="primary"
             onPress={handleGoToLogin}
@@ -483,6 +532,9 @@ const styles = StyleSheet.create({
     fontSize: 11,
     textAlign: 'center',
   },
+  resendButton: {
+    marginBottom: 16,
+  },
   loginButton: {
     marginBottom: 32,
   },
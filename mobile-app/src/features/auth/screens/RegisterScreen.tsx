@@ -274,13 +274,14 @@ export const RegisterScreen = () => {
   });
 
   const registerMutation = useRegister({
-    onSuccess: () => {
+    onSuccess: (data) => {
       setServerError(null);
       setEmailError(null);
       // Navigate to pending approval screen - only shown after new doctor registration
       // User is NOT authenticated after registration (no tokens returned)
       // Use replace to prevent going back to register screen
-      navigation.replace('PendingApproval');
+      // E-posta, doğrulama bağlantısını yeniden gönderebilmek için aktarılır
+      navigation.replace('PendingApproval', { email: data?.user?.email });
     },
     onError: (err) => {
       const errorMessage = handleApiError(
@@ -0,0 +1,45 @@
+/**
+ * @file useFavoriteJobs.ts
+ * @description Kaydedilen (favori) iş ilanları listesi hook'u
+ * 
+ * Süresi dolup pasife alınan ilanlar listeden düşmez,
+ * backend tarafından is_expired: true ile işaretlenir.
+ * 
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ */
+
+import { useInfiniteQuery } from '@tanstack/react-query';
+import { jobService } from '@/api/services/job.service';
+import { PAGINATION } from '@/config/constants';
+import { queryKeys } from '@/api/queryKeys';
+
+/**
+ * Kaydedilen ilanlar hook'u (infinite scroll destekli)
+ * 
+ * **Cache Stratejisi:**
+ * - staleTime: 1 dakika (kaydetme/çıkarma sonrası invalidate edilir)
+ * - refetchOnWindowFocus: false (mobilde gereksiz)
+ * 
+ * @param enabled - Query'nin aktif olup olmadığı (sekme açıkken true)
+ * @returns Kaydedilen ilanlar ve pagination durumu
+ */
+export const useFavoriteJobs = (enabled: boolean = true) => {
+  return useInfiniteQuery({
+    queryKey: queryKeys.jobs.favorites(),
+    queryFn: ({ pageParam = 1 }) =>
+      jobService.listFavoriteJobs({
+        page: pageParam,
+        limit: PAGINATION.JOBS_PAGE_SIZE,
+      }),
+    getNextPageParam: (lastPage) =>
+      lastPage.pagination?.has_next
+        ? lastPage.pagination.current_page + 1
+        : undefined,
+    initialPageParam: 1,
+    enabled,
+    staleTime: 1000 * 60, // 1 dakika
+    gcTime: 1000 * 60 * 10, // 10 dakika
+    refetchOnWindowFocus: false,
+  });
+};
@@ -0,0 +1,101 @@
+/**
+ * @file useToggleFavorite.ts
+ * @description İlanı kaydetme / kaydedilenlerden çıkarma hook'u
+ * 
+ * Optimistic update ile ilan listesindeki ve detaydaki is_favorite
+ * alanı hemen güncellenir, hata durumunda rollback yapılır.
+ * 
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ */
+
+import { useMutation, useQueryClient, InfiniteData } from '@tanstack/react-query';
+import { jobService } from '@/api/services/job.service';
+import { useAlertHelpers } from '@/utils/alertHelpers';
+import { handleApiError } from '@/utils/errorHandler';
+import { queryKeys } from '@/api/queryKeys';
+import type { JobDetail, JobsResponse } from '@/types/job';
+
+/**
+ * Favori değiştirme parametreleri
+ * 
+ * @interface ToggleFavoriteParams
+ * @property {number} jobId - İş ilanı ID'si
+ * @property {boolean} isFavorite - İlanın mevcut favori durumu (true ise çıkarılır)
+ */
+interface ToggleFavoriteParams {
+  jobId: number;
+  isFavorite: boolean;
+}
+
+/**
+ * İlan kaydetme / çıkarma hook'u
+ * 
+ * **Kullanım:**
+ * ```tsx
+ * const toggleFavorite = useToggleFavorite();
+ * 
+ * toggleFavorite.mutate({ jobId: job.id, isFavorite: job.is_favorite });
+ * ```
+ * 
+ * @returns Mutation hook
+ */
+export const useToggleFavorite = () => {
+  const queryClient = useQueryClient();
+  const alert = useAlertHelpers();
+
+  return useMutation({
+    mutationFn: ({ jobId, isFavorite }: ToggleFavoriteParams) =>
+      isFavorite ? jobService.removeFavorite(jobId) : jobService.addFavorite(jobId),
+
+    onMutate: async ({ jobId, isFavorite }: ToggleFavoriteParams) => {
+      await queryClient.cancelQueries({ queryKey: queryKeys.jobs.all });
+
+      const previousLists = queryClient.getQueriesData<InfiniteData<JobsResponse>>({
+        queryKey: [...queryKeys.jobs.all, 'list'],
+      });
+      const previousDetail = queryClient.getQueryData<JobDetail>(queryKeys.jobs.detail(jobId));
+
+      // İlan listelerindeki is_favorite alanını hemen güncelle
+      queryClient.setQueriesData<InfiniteData<JobsResponse>>(
+        { queryKey: [...queryKeys.jobs.all, 'list'] },
+        (oldData) => {
+          if (!oldData || !Array.isArray(oldData.pages)) {
+            return oldData;
+          }
+          return {
+            ...oldData,
+            pages: oldData.pages.map((page) => ({
+              ...page,
+              data: (page?.data ?? []).map((job) =>
+                job.id === jobId ? { ...job, is_favorite: !isFavorite } : job
+              ),
+            })),
+          };
+        }
+      );
+
+      queryClient.setQueryData<JobDetail>(queryKeys.jobs.detail(jobId), (oldData) =>
+        oldData ? { ...oldData, is_favorite: !isFavorite } : oldData
+      );
+
+      return { previousLists, previousDetail };
+    },
+
+    onError: (error: Error, { jobId }, context) => {
+      context?.previousLists?.forEach(([queryKey, data]) => {
+        queryClient.setQueryData(queryKey, data);
+      });
+      if (context?.previousDetail) {
+        queryClient.setQueryData(queryKeys.jobs.detail(jobId), context.previousDetail);
+      }
+
+      const errorMessage = handleApiError(error, '/jobs/favorite');
+      alert.error(errorMessage);
+    },
+
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.jobs.favorites() });
+    },
+  });
+};
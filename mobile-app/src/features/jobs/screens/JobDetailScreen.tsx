@@ -270,6 +270,68 @@ export const JobDetailScreen = ({ route, navigation }: Props) => {
                   </Typography>
                 </View>
               )}
+              {job.salary_range && (
+                <View style={styles.jobInfoItem}>
+                  <View style={styles.jobInfoIconRow}>
+                    <View style={[styles.jobInfoIcon, { backgroundColor: '#DCFCE7' }]}>
+                      <Ionicons name="cash" size={16} color="#22C55E" />
+                    </View>
+                    <Typography variant="caption" style={styles.jobInfoLabel}>
+                      Aylık Ücret
+                    </Typography>
+                  </View>
+                  <Typography variant="body" style={styles.jobInfoValue}>
+                    {job.salary_range}
+                  </Typography>
+                </View>
+              )}
+              {job.monthly_shift_count !== null && job.monthly_shift_count !== undefined && (
+                <View style={styles.jobInfoItem}>
+                  <View style={styles.jobInfoIconRow}>
+                    <View style={[styles.jobInfoIcon, { backgroundColor: '#EDE9FE' }]}>
+                      <Ionicons name="moon" size={16} color="#8B5CF6" />
+                    </View>
+                    <Typography variant="caption" style={styles.jobInfoLabel}>
+                      Aylık Nöbet
+                    </Typography>
+                  </View>
+                  <Typography variant="body" style={styles.jobInfoValue}>
+                    {job.monthly_shift_count} nöbet
+                  </Typography>
+                </View>
+              )}
+              {job.working_hours && (
+                <View style={styles.jobInfoItem}>
+                  <View style={styles.jobInfoIconRow}>
+                    <View style={[styles.jobInfoIcon, { backgroundColor: '#FEF3C7' }]}>
+                      <Ionicons name="alarm" size={16} color="#F59E0B" />
+                    </View>
+                    <Typography variant="caption" style={styles.jobInfoLabel}>
+                      Çalışma Saatleri
+                    </Typography>
+                  </View>
+                  <Typography variant="body" style={styles.jobInfoValue}>
+                    {job.working_hours}
+                  </Typography>
+                </View>
+              )}
+              {(job.provides_housing || job.provides_transport) && (
+                <View style={styles.jobInfoItem}>
+                  <View style={styles.jobInfoIconRow}>
+                    <View style={[styles.jobInfoIcon, { backgroundColor: '#E0F2FE' }]}>
+                      <Ionicons name="home" size={16} color="#0EA5E9" />
+                    </View>
+                    <Typography variant="caption" style={styles.jobInfoLabel}>
+                      Yan Haklar
+                    </Typography>
+                  </View>
+                  <Typography variant="body" style={styles.jobInfoValue}>
+                    {[job.provides_housing && 'Lojman', job.provides_transport && 'Servis']
+                      .filter(Boolean)
+                      .join(', ')}
+                  </Typography>
+                </View>
+              )}
               {job.created_at && (
                 <View style={styles.jobInfoItem}>
                   <View style={styles.jobInfoIconRow}>
@@ -10,6 +10,7 @@
  * - Sonsuz scroll (pagination)
  * - Pull-to-refresh
  * - Client-side ve server-side filtreleme
+ * - Kaydedilenler sekmesi (favori ilanlar, süresi dolanlar işaretli)
  * 
  * **AKIŞ:**
  * 1. İlanlar backend'den sayfalı olarak çekilir
@@ -32,7 +33,7 @@
  * - Skeleton loading ile kullanıcı deneyimi
  */
 
-import React, { useCallback, useMemo } from 'react';
+import React, { useCallback, useMemo, useState } from 'react';
 import {
   View,
   StyleSheet,
@@ -45,6 +46,9 @@ import { useNavigation } from '@react-navigation/native';
 import type { JobsStackNavigationProp } from '@/navigation/types';
 import { useFilter } from '@/hooks/useFilter';
 import { useJobs } from '../hooks/useJobs';
+import { useFavoriteJobs } from '../hooks/useFavoriteJobs';
+import { useToggleFavorite } from '../hooks/useToggleFavorite';
+import { useAlertHelpers } from '@/utils/alertHelpers';
 import { colors, spacing } from '@/theme';
 import { PAGINATION } from '@/config/constants';
 import { Typography } from '@/components/ui/Typography';
@@ -52,6 +56,7 @@ import { SearchBar } from '@/components/ui/SearchBar';
 import { IconButton } from '@/components/ui/IconButton';
 import { SkeletonCard } from '@/components/ui/Skeleton';
 import { Chip } from '@/components/ui/Chip';
+import { Tabs } from '@/components/ui/Tabs';
 import { JobCard } from '@/components/composite/JobCard';
 import { JobFilterSheet, JobFilters } from '@/components/composite/JobFilterSheet';
 import { GradientHeader } from '@/components/composite/GradientHeader';
@@ -61,6 +66,12 @@ import type { JobListItem } from '@/types/job';
 
 export const JobsScreen = () => {
   const navigation = useNavigation<JobsStackNavigationProp>();
+  const alert = useAlertHelpers();
+  const toggleFavorite = useToggleFavorite();
+
+  // Sekme: tüm ilanlar / kaydedilenler
+  const [activeTab, setActiveTab] = useState<'all' | 'saved'>('all');
+  const isSavedTab = activeTab === 'saved';
   
   // Filter hook - ortak filtreleme mantığı
   const filter = useFilter<JobFilters>({}, { minLength: 2 });
@@ -79,6 +90,9 @@ export const JobsScreen = () => {
   }), [filter.shouldFetch, filter.debouncedQuery, filter.filters.specialtyIds, filter.filters.cityIds, filter.filters.employmentType]);
 
   // Query with filters - useJobs hook'u kullanılıyor
+  // Sadece aktif sekmenin query'si çalışır
+  const jobsQuery = useJobs(queryParams, !isSavedTab);
+  const favoritesQuery = useFavoriteJobs(isSavedTab);
   const {
     data,
     isLoading,
@@ -88,7 +102,7 @@ export const JobsScreen = () => {
     isFetchingNextPage,
     refetch,
     isRefetching,
-  } = useJobs(queryParams);
+  } = isSavedTab ? favoritesQuery : jobsQuery;
 
   // Get total count from pagination
   const totalCount = useMemo(() => {
@@ -137,11 +151,19 @@ export const JobsScreen = () => {
       <JobCard
         job={item}
         onPress={() => {
+          // Süresi dolan (pasif) ilanların detayı görüntülenemez
+          if (item.is_expired) {
+            alert.info('Bu ilanın süresi dolmuş, detayları artık görüntülenemiyor.');
+            return;
+          }
           navigation.navigate('JobDetail', { id: item.id });
         }}
+        onToggleFavorite={() => {
+          toggleFavorite.mutate({ jobId: item.id, isFavorite: Boolean(item.is_favorite) });
+        }}
       />
     ),
-    [navigation]
+    [navigation, alert, toggleFavorite.mutate]
   );
 
   // Filter handlers
@@ -169,11 +191,22 @@ export const JobsScreen = () => {
           iconColorPreset="blue"
         />
 
+        <Tabs
+          tabs={[
+            { key: 'all', label: 'Tüm İlanlar' },
+            { key: 'saved', label: 'Kaydedilenler' },
+          ]}
+          activeTab={activeTab}
+          onTabChange={(key) => setActiveTab(key as 'all' | 'saved')}
+          variant="default"
+        />
+
+        {!isSavedTab && (
         <View style={styles.searchContainer}>
           <SearchBar
             value={filter.searchQuery}
             onChangeText={filter.handleSearchChange}
-            placeholder="İlan başlığı veya hastane ara..."
+            placeholder="İlan, hastane, şehir veya branş ara..."
             onClear={filter.handleSearchClear}
             style={styles.searchBar}
             isSearching={filter.isSearching}
@@ -210,8 +243,9 @@ export const JobsScreen = () => {
             )}
           </View>
         </View>
+        )}
 
-        {filter.hasActiveFilters && (
+        {!isSavedTab && filter.hasActiveFilters && (
           <View style={styles.activeFiltersContainer}>
             {filter.filters.specialtyIds && filter.filters.specialtyIds.length > 0 && (
               <Chip
@@ -273,17 +307,19 @@ export const JobsScreen = () => {
           ListEmptyComponent={
             <View style={styles.emptyState}>
               <View style={styles.emptyIcon}>
-                <Ionicons name="briefcase-outline" size={64} color={colors.neutral[300]} />
+                <Ionicons name={isSavedTab ? 'bookmark-outline' : 'briefcase-outline'} size={64} color={colors.neutral[300]} />
               </View>
               <Typography variant="h3" style={styles.emptyTitle}>
-                İlan Bulunamadı
+                {isSavedTab ? 'Kaydedilen İlan Yok' : 'İlan Bulunamadı'}
               </Typography>
               <Typography variant="body" style={styles.emptyText}>
-                {filter.hasActiveFilters
+                {isSavedTab
+                  ? 'İlan kartlarındaki kaydet simgesiyle ilanları buraya ekleyebilirsiniz'
+                  : filter.hasActiveFilters
                   ? 'Arama kriterlerinizi değiştirerek tekrar deneyin'
                   : 'Henüz ilan bulunmuyor'}
               </Typography>
-              {filter.hasActiveFilters && (
+              {!isSavedTab && filter.hasActiveFilters && (
                 <TouchableOpacity
                   style={styles.emptyButton}
                   onPress={filter.resetFilters}
@@ -9,6 +9,8 @@
  * - useMarkAllAsRead: Tüm bildirimleri okundu işaretle
  * - useDeleteNotification: Tek bildirim silme
  * - useDeleteNotifications: Çoklu bildirim silme
+ * - useNotificationSettings: Bildirim tercihleri ve sessiz saatler
+ * - useUpdateNotificationSettings: Bildirim tercihlerini güncelle
  * 
  * @author MediKariyer Development Team
  * @version 2.0.0
@@ -25,6 +27,7 @@ import { queryKeys } from '@/api/queryKeys';
 import apiClient from '@/api/client';
 import { endpoints } from '@/api/endpoints';
 import { ApiResponse } from '@/types/api';
+import type { NotificationSettings, UpdateNotificationSettingsPayload } from '@/types/notification';
 
 const RETRY_DELAY = (attempt: number) => Math.min(1000 * 2 ** attempt, 8000);
 
@@ -606,4 +609,37 @@ export const useClearReadNotifications = () => {
       alert.error('Okunmuş bildirimler temizlenemedi. Lütfen tekrar deneyin.');
     },
   });
-};
\ No newline at end of file
+};
+/**
+ * Bildirim tercihleri hook'u (kategori × kanal, sessiz saatler)
+ * @returns Tercihler ve query durumu
+ */
+export const useNotificationSettings = () => {
+  return useQuery({
+    queryKey: queryKeys.notifications.settings(),
+    queryFn: () => notificationService.getSettings(),
+    staleTime: 1000 * 60 * 5,
+    retry: 2,
+    retryDelay: RETRY_DELAY,
+  });
+};
+
+/**
+ * Bildirim tercihlerini güncelleme hook'u
+ * Sunucunun döndürdüğü güncel tercihler cache'e yazılır (toggle anında yansır).
+ * @returns Mutation fonksiyonu
+ */
+export const useUpdateNotificationSettings = () => {
+  const queryClient = useQueryClient();
+  const { showToast } = useToast();
+
+  return useMutation({
+    mutationFn: (payload: UpdateNotificationSettingsPayload) => notificationService.updateSettings(payload),
+    onSuccess: (settings: NotificationSettings) => {
+      queryClient.setQueryData(queryKeys.notifications.settings(), settings);
+    },
+    onError: () => {
+      showToast('Bildirim tercihleri kaydedilemedi', 'error');
+    },
+  });
+};
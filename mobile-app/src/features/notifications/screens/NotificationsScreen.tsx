@@ -143,6 +143,12 @@ export const NotificationsScreen = () => {
     const notificationData = notification.data || {};
     
     try {
+      // Veri dışa aktarma hazır - indirme, bağlantı oturumla alınarak Hesabı Sil ekranından yapılır
+      if (notificationData.action === 'data_export_ready') {
+        navigation.navigate('SettingsTab', { screen: 'DeleteAccount' } as any);
+        return;
+      }
+
       switch (notificationType) {
         case 'application':
         case 'application_status':
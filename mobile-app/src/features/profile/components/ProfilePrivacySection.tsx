@@ -0,0 +1,304 @@
+/**
+ * @file ProfilePrivacySection.tsx
+ * @description Profil düzenleme ekranındaki "Gizlilik" bölümü
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ *
+ * **ÖZELLİKLER:**
+ * - Profil görünürlüğü (tüm hastaneler / başvurulan hastaneler / gizli)
+ * - Telefon ve e-postayı başvuru yapılmamış hastanelerden gizleme
+ * - Hastane engelleme listesi (arama ile ekleme, engel kaldırma)
+ * - Değişiklikler "Değişiklikleri Kaydet" butonundan bağımsız, anında kaydedilir
+ */
+
+import React, { useEffect, useState } from 'react';
+import { View, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Typography } from '@/components/ui/Typography';
+import { Card } from '@/components/ui/Card';
+import { Input } from '@/components/ui/Input';
+import { Switch } from '@/components/ui/Switch';
+import { colors, spacing } from '@/theme';
+import { THEME_TOKENS } from '@/theme/config';
+import { formatDate } from '@/utils/date';
+import {
+  useProfilePrivacy,
+  useUpdateProfilePrivacy,
+  usePrivacyHospitalSearch,
+  useBlockedHospitals,
+} from '../hooks/useProfilePrivacy';
+import type { ProfileVisibility } from '@/types/profile';
+
+const VISIBILITY_OPTIONS: Array<{
+  value: ProfileVisibility;
+  label: string;
+  description: string;
+  icon: keyof typeof Ionicons.glyphMap;
+}> = [
+  {
+    value: 'public',
+    label: 'Tüm hastaneler',
+    description: 'Onaylı tüm hastaneler sizi doktor listesinde görebilir.',
+    icon: 'eye-outline',
+  },
+  {
+    value: 'applied_only',
+    label: 'Yalnızca başvurduğum hastaneler',
+    description: 'Profiliniz yalnızca ilanına başvurduğunuz hastanelere görünür.',
+    icon: 'people-outline',
+  },
+  {
+    value: 'hidden',
+    label: 'Gizli',
+    description: 'Doktor listelerinde görünmezsiniz. Başvurduğunuz hastaneler başvurunuz üzerinden görebilir.',
+    icon: 'eye-off-outline',
+  },
+];
+
+const CONTACT_FIELDS: Array<{ key: 'hide_phone' | 'hide_email'; label: string }> = [
+  { key: 'hide_phone', label: 'Telefon numaramı gizle' },
+  { key: 'hide_email', label: 'E-posta adresimi gizle' },
+];
+
+export const ProfilePrivacySection = () => {
+  const { data: settings, isLoading } = useProfilePrivacy();
+  const updateMutation = useUpdateProfilePrivacy();
+  const { block, unblock } = useBlockedHospitals();
+
+  const [searchInput, setSearchInput] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const { data: hospitalResults = [], isFetching: isSearching } = usePrivacyHospitalSearch(debouncedSearch);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchInput), 400);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const handleBlock = (hospitalId: number) => {
+    block.mutate(hospitalId, {
+      onSuccess: () => {
+        setSearchInput('');
+        setDebouncedSearch('');
+      },
+    });
+  };
+
+  return (
+    <View style={styles.section}>
+      <View style={styles.sectionHeader}>
+        <View style={styles.sectionIconContainer}>
+          <Ionicons name="shield-checkmark" size={20} color={THEME_TOKENS.PRIMARY} />
+        </View>
+        <Typography variant="h3" style={styles.sectionTitle}>
+          Gizlilik
+        </Typography>
+      </View>
+
+      {isLoading || !settings ? (
+        <Card variant="outlined" padding="lg">
+          <ActivityIndicator color={THEME_TOKENS.PRIMARY} />
+        </Card>
+      ) : (
+        <>
+          <Card variant="outlined" padding="lg" style={styles.card}>
+            <Typography variant="caption" style={styles.inputLabel}>
+              Profilimi kimler görebilir?
+            </Typography>
+            {VISIBILITY_OPTIONS.map((option) => {
+              const isSelected = settings.profile_visibility === option.value;
+              return (
+                <TouchableOpacity
+                  key={option.value}
+                  style={[styles.option, isSelected && styles.optionSelected]}
+                  onPress={() => !isSelected && updateMutation.mutate({ profile_visibility: option.value })}
+                  disabled={updateMutation.isPending}
+                >
+                  <Ionicons
+                    name={option.icon}
+                    size={20}
+                    color={isSelected ? THEME_TOKENS.PRIMARY : colors.text.tertiary}
+                  />
+                  <View style={styles.optionText}>
+                    <Typography variant="bodySemibold">{option.label}</Typography>
+                    <Typography variant="caption" style={styles.mutedText}>
+                      {option.description}
+                    </Typography>
+                  </View>
+                  {isSelected && <Ionicons name="checkmark-circle" size={20} color={THEME_TOKENS.PRIMARY} />}
+                </TouchableOpacity>
+              );
+            })}
+          </Card>
+
+          <Card variant="outlined" padding="lg" style={styles.card}>
+            <Typography variant="caption" style={styles.mutedText}>
+              Gizlenen bilgiler yalnızca başvuru yapmadığınız hastanelerden saklanır.
+            </Typography>
+            {CONTACT_FIELDS.map((field) => (
+              <View key={field.key} style={styles.switchRow}>
+                <Typography variant="body">{field.label}</Typography>
+                <Switch
+                  value={Boolean(settings[field.key])}
+                  onValueChange={(value) => updateMutation.mutate({ [field.key]: value })}
+                  disabled={updateMutation.isPending}
+                />
+              </View>
+            ))}
+          </Card>
+
+          <Card variant="outlined" padding="lg">
+            <Typography variant="caption" style={styles.inputLabel}>
+              Engellenen Hastaneler
+            </Typography>
+            <Typography variant="caption" style={styles.mutedText}>
+              Engellediğiniz hastaneler sizi doktor listesinde göremez.
+            </Typography>
+
+            <Input
+              placeholder="Hastane adı ile arayın"
+              value={searchInput}
+              onChangeText={setSearchInput}
+              containerStyle={styles.searchInput}
+            />
+
+            {debouncedSearch.trim().length >= 2 && (
+              <View style={styles.results}>
+                {isSearching ? (
+                  <ActivityIndicator color={THEME_TOKENS.PRIMARY} />
+                ) : hospitalResults.length === 0 ? (
+                  <Typography variant="caption" style={styles.mutedText}>
+                    Hastane bulunamadı
+                  </Typography>
+                ) : (
+                  hospitalResults.map((hospital) => (
+                    <View key={hospital.hospital_id} style={styles.hospitalRow}>
+                      <View style={styles.optionText}>
+                        <Typography variant="body" numberOfLines={1}>
+                          {hospital.institution_name}
+                        </Typography>
+                        {hospital.city_name && (
+                          <Typography variant="caption" style={styles.mutedText}>
+                            {hospital.city_name}
+                          </Typography>
+                        )}
+                      </View>
+                      <TouchableOpacity onPress={() => handleBlock(hospital.hospital_id)} disabled={block.isPending}>
+                        <Typography variant="bodySemibold" style={styles.blockText}>
+                          Engelle
+                        </Typography>
+                      </TouchableOpacity>
+                    </View>
+                  ))
+                )}
+              </View>
+            )}
+
+            {settings.blocked_hospitals.length === 0 ? (
+              <Typography variant="caption" style={styles.mutedText}>
+                Engellediğiniz hastane yok.
+              </Typography>
+            ) : (
+              settings.blocked_hospitals.map((hospital) => (
+                <View key={hospital.hospital_id} style={styles.hospitalRow}>
+                  <View style={styles.optionText}>
+                    <Typography variant="body" numberOfLines={1}>
+                      {hospital.institution_name}
+                    </Typography>
+                    <Typography variant="caption" style={styles.mutedText}>
+                      {[hospital.city_name, `Engellenme: ${formatDate(hospital.blocked_at)}`].filter(Boolean).join(' · ')}
+                    </Typography>
+                  </View>
+                  <TouchableOpacity onPress={() => unblock.mutate(hospital.hospital_id)} disabled={unblock.isPending}>
+                    <Typography variant="bodySemibold" style={styles.unblockText}>
+                      Engeli Kaldır
+                    </Typography>
+                  </TouchableOpacity>
+                </View>
+              ))
+            )}
+          </Card>
+        </>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  section: {
+    marginBottom: spacing.xl,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    marginBottom: spacing.md,
+  },
+  sectionIconContainer: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: colors.primary[50],
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text.primary,
+  },
+  card: {
+    marginBottom: spacing.md,
+  },
+  inputLabel: {
+    color: colors.text.secondary,
+    fontSize: 12,
+    marginBottom: spacing.xs,
+    fontWeight: '500',
+  },
+  mutedText: {
+    color: colors.text.tertiary,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.md,
+    padding: spacing.md,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.neutral[200],
+    marginTop: spacing.sm,
+  },
+  optionSelected: {
+    borderColor: THEME_TOKENS.PRIMARY,
+    backgroundColor: colors.primary[50],
+  },
+  optionText: {
+    flex: 1,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: spacing.md,
+  },
+  searchInput: {
+    marginTop: spacing.md,
+  },
+  results: {
+    marginBottom: spacing.md,
+  },
+  hospitalRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.md,
+    paddingVertical: spacing.sm,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: colors.neutral[200],
+  },
+  blockText: {
+    color: colors.error[600],
+  },
+  unblockText: {
+    color: THEME_TOKENS.PRIMARY,
+  },
+});
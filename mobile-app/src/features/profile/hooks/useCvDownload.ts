@@ -0,0 +1,91 @@
+/**
+ * @file useCvDownload.ts
+ * @description CV PDF indirme / paylaşma hook'u
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * 
+ * **AKIŞ:**
+ * 1. Kullanıcı şablonu (Klasik / Kompakt) ve dili (Türkçe / English) seçer
+ * 2. PDF önbellek klasörüne indirilir
+ * 3. iOS: Paylaşım menüsü açılır (Dosyalara Kaydet, Mail, WhatsApp vb.)
+ *    Android: Kullanıcının seçtiği klasöre kaydedilir (Storage Access Framework)
+ */
+
+import { useCallback, useState } from 'react';
+import { Alert, Platform, Share } from 'react-native';
+import * as FileSystem from 'expo-file-system/legacy';
+import { cvService } from '@/api/services/profile/cv.service';
+import { useToast } from '@/providers/ToastProvider';
+import type { CvLanguage, CvTemplate } from '@/types/profile';
+
+/**
+ * Android'de PDF'i kullanıcının seçtiği klasöre kopyalar
+ * @returns Kaydedildiyse true, kullanıcı klasör seçmediyse false
+ */
+const saveToAndroidStorage = async (fileUri: string, fileName: string): Promise<boolean> => {
+  const { StorageAccessFramework } = FileSystem;
+  const permissions = await StorageAccessFramework.requestDirectoryPermissionsAsync();
+  if (!permissions.granted) return false;
+
+  const base64 = await FileSystem.readAsStringAsync(fileUri, { encoding: FileSystem.EncodingType.Base64 });
+  const targetUri = await StorageAccessFramework.createFileAsync(
+    permissions.directoryUri,
+    fileName.replace(/\.pdf$/, ''),
+    'application/pdf',
+  );
+  await FileSystem.writeAsStringAsync(targetUri, base64, { encoding: FileSystem.EncodingType.Base64 });
+  return true;
+};
+
+export const useCvDownload = () => {
+  const { showToast } = useToast();
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const download = useCallback(
+    async (template: CvTemplate, lang: CvLanguage) => {
+      setIsDownloading(true);
+      try {
+        const fileUri = await cvService.downloadCv({ template, lang });
+
+        if (Platform.OS === 'ios') {
+          await Share.share({ url: fileUri });
+        } else {
+          const fileName = fileUri.split('/').pop() ?? 'medikariyer-cv.pdf';
+          const saved = await saveToAndroidStorage(fileUri, fileName);
+          if (saved) showToast('CV kaydedildi', 'success');
+        }
+      } catch (error) {
+        if (__DEV__) {
+          console.error('CV download error:', error);
+        }
+        showToast('CV PDF oluşturulamadı', 'error');
+      } finally {
+        setIsDownloading(false);
+      }
+    },
+    [showToast],
+  );
+
+  /**
+   * Şablon ve dil seçimini sırayla sorar, ardından indirir
+   */
+  const openCvOptions = useCallback(() => {
+    if (isDownloading) return;
+
+    const chooseLanguage = (template: CvTemplate) => {
+      Alert.alert('CV Dili', 'Başlıklar hangi dilde olsun?', [
+        { text: 'Vazgeç', style: 'cancel' },
+        { text: 'English', onPress: () => download(template, 'en') },
+        { text: 'Türkçe', onPress: () => download(template, 'tr') },
+      ]);
+    };
+
+    Alert.alert('CV İndir', 'Bir şablon seçin', [
+      { text: 'Vazgeç', style: 'cancel' },
+      { text: 'Kompakt', onPress: () => chooseLanguage('compact') },
+      { text: 'Klasik', onPress: () => chooseLanguage('classic') },
+    ]);
+  }, [download, isDownloading]);
+
+  return { openCvOptions, isDownloading };
+};
@@ -0,0 +1,111 @@
+/**
+ * @file useProfilePrivacy.ts
+ * @description Profil gizlilik ayarları hook'ları
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ * 
+ * **AMAÇ:**
+ * Profil görünürlüğü, telefon / e-posta gizleme ve hastane engelleme listesini yönetir.
+ * Değişiklikler anında kaydedilir; sunucunun döndürdüğü güncel ayarlar cache'e yazılır.
+ * 
+ * **CACHE:** queryKeys.profile.privacy()
+ */
+
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { privacyService } from '@/api/services/profile/privacy.service';
+import { queryKeys } from '@/api/queryKeys';
+import { useToast } from '@/providers/ToastProvider';
+import type {
+  BlockedHospital,
+  ProfilePrivacySettings,
+  UpdatePrivacySettingsPayload,
+} from '@/types/profile';
+
+/** Hastane aramasının başlaması için gereken en az karakter */
+const MIN_HOSPITAL_SEARCH_LENGTH = 2;
+
+/**
+ * Gizlilik ayarlarını çeken hook
+ */
+export const useProfilePrivacy = () => {
+  return useQuery({
+    queryKey: queryKeys.profile.privacy(),
+    queryFn: () => privacyService.getSettings(),
+    staleTime: 1000 * 60 * 5,
+    retry: 2,
+  });
+};
+
+/**
+ * Görünürlük / iletişim bilgisi gizleme ayarlarını güncelleme hook'u
+ */
+export const useUpdateProfilePrivacy = () => {
+  const queryClient = useQueryClient();
+  const { showToast } = useToast();
+
+  return useMutation({
+    mutationFn: (payload: UpdatePrivacySettingsPayload) => privacyService.updateSettings(payload),
+    onSuccess: (settings: ProfilePrivacySettings) => {
+      queryClient.setQueryData(queryKeys.profile.privacy(), settings);
+    },
+    onError: () => {
+      showToast('Gizlilik ayarları kaydedilemedi', 'error');
+    },
+  });
+};
+
+/**
+ * Engellenecek hastaneleri arayan hook
+ * @param search - Kurum adı (en az 2 karakter)
+ */
+export const usePrivacyHospitalSearch = (search: string) => {
+  const trimmedSearch = search.trim();
+
+  return useQuery({
+    queryKey: queryKeys.profile.privacyHospitals(trimmedSearch),
+    queryFn: () => privacyService.searchHospitals(trimmedSearch),
+    enabled: trimmedSearch.length >= MIN_HOSPITAL_SEARCH_LENGTH,
+    staleTime: 1000 * 30,
+  });
+};
+
+/**
+ * Hastane engelleme / engel kaldırma hook'u
+ * Dönen güncel liste gizlilik ayarları cache'ine yazılır.
+ */
+export const useBlockedHospitals = () => {
+  const queryClient = useQueryClient();
+  const { showToast } = useToast();
+
+  const writeBlockedHospitals = (blockedHospitals: BlockedHospital[]) => {
+    queryClient.setQueryData<ProfilePrivacySettings>(queryKeys.profile.privacy(), (current) =>
+      current ? { ...current, blocked_hospitals: blockedHospitals } : current
+    );
+    // Arama sonuçları engellenenleri hariç tuttuğu için yenilenir
+    queryClient.invalidateQueries({ queryKey: [...queryKeys.profile.privacy(), 'hospitals'] });
+  };
+
+  const block = useMutation({
+    mutationFn: (hospitalId: number) => privacyService.blockHospital(hospitalId),
+    onSuccess: (blockedHospitals) => {
+      writeBlockedHospitals(blockedHospitals);
+      showToast('Hastane engellendi', 'success');
+    },
+    onError: () => {
+      showToast('Hastane engellenemedi', 'error');
+    },
+  });
+
+  const unblock = useMutation({
+    mutationFn: (hospitalId: number) => privacyService.unblockHospital(hospitalId),
+    onSuccess: (blockedHospitals) => {
+      writeBlockedHospitals(blockedHospitals);
+      showToast('Hastane engeli kaldırıldı', 'success');
+    },
+    onError: () => {
+      showToast('Engel kaldırılamadı', 'error');
+    },
+  });
+
+  return { block, unblock };
+};
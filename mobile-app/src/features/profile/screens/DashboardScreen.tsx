@@ -11,6 +11,7 @@
  * - Son başvurular (son 3 başvuru)
  * - Hızlı erişim kartları (özgeçmiş, fotoğraf, ayarlar)
  * - Profil detayları (eğitim, deneyim, sertifikalar, diller)
+ * - CV PDF indirme / paylaşma (klasik / kompakt, Türkçe / English)
  * 
  * **AKIŞ:**
  * 1. Profil bilgileri ve tamamlanma oranı çekilir
@@ -65,6 +66,7 @@ import { RecentApplicationItem } from '@/components/ui/RecentApplicationItem';
 import { Skeleton } from '@/components/ui/Skeleton';
 import { SideMenu } from '@/components/composite/SideMenu';
 import { useProfileCore, useProfileCompletion } from '../hooks/useProfileCore';
+import { useCvDownload } from '../hooks/useCvDownload';
 import { useJobs } from '@/features/jobs/hooks/useJobs';
 import { useApplications } from '@/features/applications/hooks/useApplications';
 import { useUnreadCount } from '@/features/notifications/hooks/useNotifications';
@@ -128,6 +130,9 @@ export const DashboardScreen = () => {
   // Core profil bilgileri (sadece ad, soyad, fotoğraf, unvan, uzmanlık)
   const { data: profile, refetch: refetchProfile, isRefetching: isRefetchingProfile } = useProfileCore();
   
+  // CV PDF indirme / paylaşma
+  const { openCvOptions, isDownloading: isCvDownloading } = useCvDownload();
+  
   // Profil tamamlanma oranı (backend'den gelen completion_percent)
   const { data: completionData, refetch: refetchCompletion, isRefetching: isRefetchingCompletion } = useProfileCompletion();
   
@@ -386,6 +391,16 @@ export const DashboardScreen = () => {
               style={{ flex: 1 }}
             />
           </View>
+
+          <View style={styles.cardsRow}>
+            <DashboardCard
+              title={isCvDownloading ? 'CV Hazırlanıyor...' : 'CV İndir (PDF)'}
+              icon={<Ionicons name="document-text" size={28} color="#E53935" />}
+              onPress={openCvOptions}
+              variant="default"
+              style={{ flex: 1 }}
+            />
+          </View>
         </View>
 
         {/* Featured Jobs Section */}
@@ -45,6 +45,7 @@ import { colors, spacing } from '@/theme';
 import { THEME_TOKENS } from '@/theme/config';
 import { useProfileCore } from '../hooks/useProfileCore';
 import { useUpdatePersonalInfo } from '../hooks/useUpdatePersonalInfo';
+import { ProfilePrivacySection } from '../components/ProfilePrivacySection';
 import { useAndroidBackHandler } from '@/hooks/useAndroidBackHandler';
 import { useAuthStore } from '@/store/authStore';
 import { getFullImageUrl } from '@/utils/imageUrl';
@@ -492,6 +493,9 @@ export const ProfileEditScreen = ({ navigation }: Props) => {
             </Card>
           </View>
 
+          {/* Privacy Section - ayarlar anında kaydedilir */}
+          <ProfilePrivacySection />
+
           {/* Info Note */}
           {hasChanges && (
             <Card variant="outlined" padding="md" style={styles.infoCard}>
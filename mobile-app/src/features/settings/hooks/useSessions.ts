@@ -0,0 +1,44 @@
+/**
+ * @file useSessions.ts
+ * @description Aktif oturumlar hook'ları
+ * 
+ * Hesaba giriş yapılmış cihazları listeler ve tek bir oturumun
+ * sonlandırılmasını sağlar. Bu cihazdaki oturum (is_current) backend
+ * tarafından da reddedilir; bu cihazdan çıkış için logout kullanılır.
+ * Alert/Toast gösterimi çağıran component'e bırakılmıştır.
+ * 
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ */
+
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { authService } from '@/api/services/authService';
+import { queryKeys } from '@/api/queryKeys';
+
+/**
+ * Aktif oturumları getiren hook
+ * @returns Oturum listesi query'si
+ */
+export const useSessions = () => {
+  return useQuery({
+    queryKey: queryKeys.auth.sessions(),
+    queryFn: () => authService.getSessions(),
+    staleTime: 1000 * 60,
+  });
+};
+
+/**
+ * Oturum sonlandırma hook'u
+ * Başarılı olursa oturum listesi yenilenir.
+ * @returns Mutation hook
+ */
+export const useRevokeSession = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (sessionId: number) => authService.revokeSession(sessionId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.auth.sessions() });
+    },
+  });
+};
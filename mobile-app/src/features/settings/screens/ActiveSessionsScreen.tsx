@@ -0,0 +1,207 @@
+/**
+ * @file ActiveSessionsScreen.tsx
+ * @description Aktif oturumlar ekranı - Hesaba giriş yapılmış cihazlar
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ *
+ * **ÖZELLİKLER:**
+ * - Cihaz, platform, IP, giriş ve son kullanım zamanı
+ * - Tek bir oturumu sonlandırma (onay dialogu ile)
+ * - Bu cihazdaki oturum işaretlenir ve sonlandırılamaz (web Ayarlar sayfasıyla aynı liste)
+ */
+import React from 'react';
+import { View, StyleSheet, ScrollView, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Typography } from '@/components/ui/Typography';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { BackButton } from '@/components/ui/BackButton';
+import { Screen } from '@/components/layout/Screen';
+import { lightColors, spacing } from '@/theme';
+import { useAlertHelpers } from '@/utils/alertHelpers';
+import { handleApiError } from '@/utils/errorHandler';
+import { formatDateTime } from '@/utils/date';
+import { useSessions, useRevokeSession } from '../hooks/useSessions';
+import type { AuthSession } from '@/types/auth';
+
+const MOBILE_PLATFORMS = ['iOS', 'Android'];
+
+export const ActiveSessionsScreen = () => {
+  const alert = useAlertHelpers();
+  const { data: sessions = [], isLoading } = useSessions();
+  const revokeMutation = useRevokeSession();
+
+  const handleRevoke = (session: AuthSession) => {
+    alert.confirmDestructive(
+      'Oturumu Sonlandır',
+      `${session.device} (${session.platform}) oturumu sonlandırılsın mı? Bu cihazda yeniden giriş yapılması gerekecek.`,
+      () =>
+        revokeMutation.mutate(session.id, {
+          onSuccess: () => alert.success('Oturum sonlandırıldı'),
+          onError: (error) =>
+            handleApiError(error, '/auth/sessions', (msg) => alert.error(msg)),
+        }),
+      undefined,
+      'Sonlandır'
+    );
+  };
+
+  return (
+    <Screen scrollable={false}>
+      <ScrollView
+        style={styles.container}
+        contentContainerStyle={styles.content}
+        showsVerticalScrollIndicator={false}
+      >
+        {/* Back Button */}
+        <View style={styles.backButtonContainer}>
+          <BackButton />
+        </View>
+
+        {/* Header */}
+        <View style={styles.header}>
+          <View style={styles.headerIcon}>
+            <Ionicons name="phone-portrait" size={32} color={lightColors.primary[600]} />
+          </View>
+          <Typography variant="h2" style={styles.headerTitle}>
+            Aktif Oturumlar
+          </Typography>
+          <Typography variant="body" style={styles.headerSubtitle}>
+            Tanımadığınız bir oturumu sonlandırın ve şifrenizi değiştirin
+          </Typography>
+        </View>
+
+        {isLoading ? (
+          <View style={styles.loading}>
+            <ActivityIndicator size="large" color={lightColors.primary[600]} />
+          </View>
+        ) : sessions.length === 0 ? (
+          <Typography variant="body" style={styles.emptyText}>
+            Aktif oturum bulunamadı
+          </Typography>
+        ) : (
+          sessions.map((session) => (
+            <Card key={session.id} variant="outlined" padding="lg" style={styles.sessionCard}>
+              <View style={styles.sessionTitleRow}>
+                <Ionicons
+                  name={MOBILE_PLATFORMS.includes(session.platform) ? 'phone-portrait-outline' : 'desktop-outline'}
+                  size={20}
+                  color={lightColors.neutral[500]}
+                />
+                <Typography variant="h3" style={styles.sessionTitle}>
+                  {session.device} · {session.platform}
+                </Typography>
+                {session.is_current && (
+                  <View style={styles.currentBadge}>
+                    <Typography variant="caption" style={styles.currentBadgeText}>
+                      Bu cihaz
+                    </Typography>
+                  </View>
+                )}
+              </View>
+              <Typography variant="caption" style={styles.sessionMeta}>
+                IP: {session.ip || '-'}
+              </Typography>
+              <Typography variant="caption" style={styles.sessionMeta}>
+                Giriş: {formatDateTime(session.created_at)}
+              </Typography>
+              <Typography variant="caption" style={styles.sessionMeta}>
+                Son kullanım: {formatDateTime(session.last_used_at)}
+              </Typography>
+              {!session.is_current && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onPress={() => handleRevoke(session)}
+                  loading={revokeMutation.isPending && revokeMutation.variables === session.id}
+                  disabled={revokeMutation.isPending}
+                  style={styles.revokeButton}
+                >
+                  Oturumu Sonlandır
+                </Button>
+              )}
+            </Card>
+          ))
+        )}
+      </ScrollView>
+    </Screen>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: spacing.lg,
+    paddingBottom: spacing['4xl'],
+  },
+  backButtonContainer: {
+    marginBottom: spacing.lg,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: spacing['2xl'],
+  },
+  headerIcon: {
+    width: 72,
+    height: 72,
+    borderRadius: 36,
+    backgroundColor: lightColors.primary[50],
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: spacing.lg,
+  },
+  headerTitle: {
+    fontSize: 26,
+    fontWeight: '700',
+    color: lightColors.text.primary,
+    marginBottom: spacing.sm,
+    textAlign: 'center',
+  },
+  headerSubtitle: {
+    color: lightColors.text.secondary,
+    textAlign: 'center',
+    fontSize: 15,
+  },
+  loading: {
+    paddingVertical: spacing['4xl'],
+    alignItems: 'center',
+  },
+  emptyText: {
+    color: lightColors.text.secondary,
+    textAlign: 'center',
+  },
+  sessionCard: {
+    marginBottom: spacing.lg,
+  },
+  sessionTitleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    marginBottom: spacing.sm,
+  },
+  sessionTitle: {
+    flexShrink: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    color: lightColors.text.primary,
+  },
+  currentBadge: {
+    backgroundColor: lightColors.success[100],
+    borderRadius: 999,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: 2,
+  },
+  currentBadgeText: {
+    color: lightColors.success[700],
+    fontWeight: '600',
+  },
+  sessionMeta: {
+    color: lightColors.text.secondary,
+    marginTop: spacing.xs,
+  },
+  revokeButton: {
+    marginTop: spacing.md,
+  },
+});
@@ -11,6 +11,7 @@ import {
   ScrollView,
   StyleSheet,
   Alert,
+  Linking,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { Typography } from '@/components/ui/Typography';
@@ -21,27 +22,70 @@ import { BackButton } from '@/components/ui/BackButton';
 import { Screen } from '@/components/layout/Screen';
 import { lightColors, spacing } from '@/theme';
 import { useToast } from '@/providers/ToastProvider';
-import { useMutation } from '@tanstack/react-query';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import { useLogout } from '@/features/auth/hooks/useLogout';
 import { accountService } from '@/api/services/account.service';
+import { queryKeys } from '@/api/queryKeys';
 import type { NativeStackScreenProps } from '@react-navigation/native-stack';
 import type { SettingsStackParamList } from '@/navigation/types';
 
 type Props = NativeStackScreenProps<SettingsStackParamList, 'DeleteAccount'>;
 
+const DATA_EXPORT_STATUS_LABELS: Record<string, string> = {
+  pending: 'Sırada',
+  processing: 'Hazırlanıyor',
+  ready: 'Hazır - indirebilirsiniz',
+  failed: 'Hazırlanamadı, lütfen yeniden deneyin',
+  expired: 'İndirme süresi doldu',
+};
+
 export const DeleteAccountScreen = (_props: Props) => {
   const { showToast } = useToast();
   const logoutMutation = useLogout();
   
+  const queryClient = useQueryClient();
+  
   const [understood, setUnderstood] = useState(false);
 
+  const { data: dataExports = [] } = useQuery({
+    queryKey: queryKeys.account.dataExports(),
+    queryFn: () => accountService.getDataExports(),
+  });
+  const latestExport = dataExports[0];
+  const hasActiveExport = latestExport?.status === 'pending' || latestExport?.status === 'processing';
+
+  const dataExportMutation = useMutation({
+    mutationFn: () => accountService.requestDataExport(),
+    onSuccess: () => {
+      showToast('Talebiniz alındı. Verileriniz hazır olunca bildirim göndereceğiz', 'success');
+      queryClient.invalidateQueries({ queryKey: queryKeys.account.dataExports() });
+    },
+    onError: (error: any) => {
+      const errorMessage = error?.response?.data?.message || error?.message || 'Veri dışa aktarma talebi oluşturulamadı';
+      showToast(errorMessage, 'error');
+    },
+  });
+
+  // Bağlantı her indirmede oturumla yeniden alınır (10 dakika geçerli) ve tarayıcıda açılır
+  const downloadExportMutation = useMutation({
+    mutationFn: (exportId: number) => accountService.createDataExportDownloadLink(exportId),
+    onSuccess: async (link) => {
+      await Linking.openURL(link.url);
+    },
+    onError: (error: any) => {
+      const errorMessage = error?.response?.data?.message || error?.message || 'İndirme bağlantısı alınamadı';
+      showToast(errorMessage, 'error');
+      queryClient.invalidateQueries({ queryKey: queryKeys.account.dataExports() });
+    },
+  });
+
   const deleteAccountMutation = useMutation({
     mutationFn: async () => {
-      // Backend API çağrısı - hesabı pasifleştir
-      await accountService.deactivateAccount();
+      // Backend API çağrısı - hesabı pasifleştir, silme tarihi planlanır
+      return accountService.deactivateAccount();
     },
-    onSuccess: () => {
-      showToast('Hesabınız kapatıldı', 'success');
+    onSuccess: (message) => {
+      showToast(message || 'Hesabınız kapatıldı', 'success');
       setTimeout(() => {
         logoutMutation.mutate();
       }, 1000);
@@ -60,7 +104,7 @@ export const DeleteAccountScreen = (_props: Props) => {
 
     Alert.alert(
       'Son Onay',
-      'Bu işlem geri alınamaz. Hesabınız pasifleştirilecek ve artık giriş yapamayacaksınız.',
+      'Hesabınız pasifleştirilecek. Bekleme süresi içinde giriş yapmazsanız kişisel verileriniz kalıcı olarak silinecek.',
       [
         { text: 'Vazgeç', style: 'cancel' },
         {
@@ -93,7 +137,7 @@ export const DeleteAccountScreen = (_props: Props) => {
             Hesabı Sil
           </Typography>
           <Typography variant="body" style={styles.headerSubtitle}>
-            Bu işlem geri alınamaz
+            Bekleme süresi sonunda verileriniz kalıcı olarak silinir
           </Typography>
         </View>
 
@@ -110,30 +154,67 @@ export const DeleteAccountScreen = (_props: Props) => {
           </Typography>
           <View style={styles.warningList}>
             <Typography variant="caption" style={styles.warningItem}>
-              • Hesabınız pasifleştirilir ve giriş yapamazsınız
+              • Hesabınız pasifleştirilir ve tüm oturumlarınız sonlandırılır
             </Typography>
             <Typography variant="caption" style={styles.warningItem}>
-              • Tüm oturumlarınız sonlandırılır
+              • Başvurularınız görüntülenemez
             </Typography>
             <Typography variant="caption" style={styles.warningItem}>
-              • Başvurularınız görüntülenemez
+              • Bekleme süresi içinde giriş yaparsanız hesabınız geri açılır
             </Typography>
             <Typography variant="caption" style={styles.warningItem}>
-              • Verileriniz saklanır (silinmez)
+              • Kapatmadan önce verilerinizin bir kopyasını indirebilirsiniz
             </Typography>
             <Typography variant="caption" style={styles.warningItem}>
-              • Yeniden aktifleştirme için destek ekibiyle iletişime geçmelisiniz
+              • Süre dolduğunda kişisel verileriniz kalıcı olarak silinir, başvuru kayıtları kimliğiniz olmadan saklanır
             </Typography>
           </View>
         </Card>
 
+        {/* Veri Dışa Aktarma */}
+        <Card variant="outlined" padding="lg" style={styles.exportCard}>
+          <View style={styles.warningHeader}>
+            <Ionicons name="download-outline" size={22} color={lightColors.primary[600]} />
+            <Typography variant="h3" style={styles.exportTitle}>
+              Verilerinizi İndirin
+            </Typography>
+          </View>
+          <Typography variant="caption" style={styles.exportText}>
+            Profiliniz, başvurularınız, bildirimleriniz ve profil özetiniz tek bir ZIP dosyasında hazırlanır.
+            Hazır olduğunda bildirim alırsınız; dosya 48 saat boyunca buradan indirilebilir.
+          </Typography>
+          {latestExport && (
+            <Typography variant="caption" style={styles.exportStatus}>
+              Son talep: {DATA_EXPORT_STATUS_LABELS[latestExport.status] ?? latestExport.status}
+            </Typography>
+          )}
+          {latestExport?.status === 'ready' && (
+            <Button
+              label="İndir"
+              onPress={() => downloadExportMutation.mutate(latestExport.id)}
+              disabled={downloadExportMutation.isPending}
+              loading={downloadExportMutation.isPending}
+              fullWidth
+              style={styles.exportDownloadButton}
+            />
+          )}
+          <Button
+            label={hasActiveExport ? 'Hazırlanıyor...' : 'Verilerimi Hazırla'}
+            onPress={() => dataExportMutation.mutate()}
+            disabled={hasActiveExport || dataExportMutation.isPending}
+            loading={dataExportMutation.isPending}
+            variant="outline"
+            fullWidth
+          />
+        </Card>
+
         {/* Form */}
         <Card variant="elevated" padding="lg" style={styles.formCard}>
           <View style={styles.checkboxContainer}>
             <Checkbox
               checked={understood}
               onPress={() => setUnderstood(!understood)}
-              label="Hesabımın pasifleştirileceğini ve artık giriş yapamayacağımı anlıyorum"
+              label="Bekleme süresi sonunda verilerimin kalıcı olarak silineceğini anlıyorum"
             />
           </View>
 
@@ -241,6 +322,29 @@ const styles = StyleSheet.create({
     fontSize: 14,
     lineHeight: 22,
   },
+  exportCard: {
+    marginBottom: spacing.xl,
+  },
+  exportTitle: {
+    color: lightColors.text.primary,
+    fontSize: 17,
+    fontWeight: '600',
+  },
+  exportText: {
+    color: lightColors.text.secondary,
+    fontSize: 13,
+    lineHeight: 20,
+    marginBottom: spacing.md,
+  },
+  exportDownloadButton: {
+    marginBottom: spacing.sm,
+  },
+  exportStatus: {
+    color: lightColors.text.primary,
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: spacing.md,
+  },
   formCard: {
     marginBottom: spacing.xl,
   },
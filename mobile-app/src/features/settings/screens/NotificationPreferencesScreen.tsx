@@ -0,0 +1,317 @@
+/**
+ * @file NotificationPreferencesScreen.tsx
+ * @description Bildirim tercihleri ekranı - Kategori bazında kanal seçimi ve sessiz saatler
+ * @author MediKariyer Development Team
+ * @version 1.0.0
+ *
+ * **ÖZELLİKLER:**
+ * - Her bildirim türü için uygulama içi, push ve e-posta aç/kapa
+ * - Sessiz saatler (Türkiye saati): bu aralıkta push ertelenir, bitişte gönderilir
+ * - Değişiklikler anında kaydedilir (web Ayarlar sayfasıyla aynı tercihler)
+ */
+import React, { useState } from 'react';
+import {
+  View,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Platform,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { Typography } from '@/components/ui/Typography';
+import { Card } from '@/components/ui/Card';
+import { Switch } from '@/components/ui/Switch';
+import { Button } from '@/components/ui/Button';
+import { BackButton } from '@/components/ui/BackButton';
+import { Screen } from '@/components/layout/Screen';
+import { lightColors, spacing } from '@/theme';
+import {
+  useNotificationSettings,
+  useUpdateNotificationSettings,
+} from '@/features/notifications/hooks/useNotifications';
+import type {
+  NotificationCategoryPreference,
+  NotificationChannel,
+  QuietHours,
+} from '@/types/notification';
+
+const CHANNELS: Array<{ key: NotificationChannel; label: string; icon: keyof typeof Ionicons.glyphMap }> = [
+  { key: 'inapp', label: 'Uygulama içi', icon: 'notifications-outline' },
+  { key: 'push', label: 'Push', icon: 'phone-portrait-outline' },
+  { key: 'email', label: 'E-posta', icon: 'mail-outline' },
+];
+
+type QuietHoursField = 'start' | 'end';
+
+/**
+ * "HH:mm" → Date (bugünün tarihiyle, yalnızca saat seçici için)
+ */
+const timeToDate = (value: string): Date => {
+  const [hours, minutes] = value.split(':').map(Number);
+  const date = new Date();
+  date.setHours(hours || 0, minutes || 0, 0, 0);
+  return date;
+};
+
+/**
+ * Date → "HH:mm"
+ */
+const dateToTime = (date: Date): string =>
+  `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+export const NotificationPreferencesScreen = () => {
+  const { data: settings, isLoading } = useNotificationSettings();
+  const updateMutation = useUpdateNotificationSettings();
+  const [editingField, setEditingField] = useState<QuietHoursField | null>(null);
+
+  const quietHours: QuietHours = settings?.quiet_hours ?? { enabled: false, start: '22:00', end: '08:00' };
+
+  const handleChannelChange = (
+    category: NotificationCategoryPreference,
+    channel: NotificationChannel,
+    value: boolean
+  ) => {
+    updateMutation.mutate({ categories: [{ category: category.category, [channel]: value }] });
+  };
+
+  const saveQuietHours = (changes: Partial<QuietHours>) => {
+    const { enabled, start, end } = { ...quietHours, ...changes };
+    updateMutation.mutate({ quiet_hours: { enabled, start, end } });
+  };
+
+  const handleTimeChange = (event: { type: string }, selectedDate?: Date) => {
+    const field = editingField;
+    // Android'de seçici dialog olarak açılır ve seçimden sonra kapanır
+    if (Platform.OS === 'android') {
+      setEditingField(null);
+    }
+    if (event.type === 'set' && selectedDate && field) {
+      saveQuietHours({ [field]: dateToTime(selectedDate) });
+    }
+  };
+
+  return (
+    <Screen scrollable={false}>
+      <ScrollView
+        style={styles.container}
+        contentContainerStyle={styles.content}
+        showsVerticalScrollIndicator={false}
+      >
+        {/* Back Button */}
+        <View style={styles.backButtonContainer}>
+          <BackButton />
+        </View>
+
+        {/* Header */}
+        <View style={styles.header}>
+          <View style={styles.headerIcon}>
+            <Ionicons name="options" size={32} color={lightColors.primary[600]} />
+          </View>
+          <Typography variant="h2" style={styles.headerTitle}>
+            Bildirim Tercihleri
+          </Typography>
+          <Typography variant="body" style={styles.headerSubtitle}>
+            Her bildirim türünü hangi kanaldan almak istediğinizi seçin
+          </Typography>
+        </View>
+
+        {isLoading || !settings ? (
+          <View style={styles.loading}>
+            <ActivityIndicator size="large" color={lightColors.primary[600]} />
+          </View>
+        ) : (
+          <>
+            {settings.categories.map((category) => (
+              <Card key={category.category} variant="outlined" padding="lg" style={styles.categoryCard}>
+                <Typography variant="h3" style={styles.categoryTitle}>
+                  {category.label}
+                </Typography>
+                <Typography variant="caption" style={styles.categoryDescription}>
+                  {category.description}
+                </Typography>
+                {CHANNELS.map((channel) => (
+                  <View key={channel.key} style={styles.channelRow}>
+                    <View style={styles.channelLabel}>
+                      <Ionicons name={channel.icon} size={18} color={lightColors.neutral[500]} />
+                      <Typography variant="body" style={styles.channelText}>
+                        {channel.label}
+                      </Typography>
+                    </View>
+                    <Switch
+                      value={category[channel.key]}
+                      onValueChange={(value) => handleChannelChange(category, channel.key, value)}
+                      disabled={updateMutation.isPending}
+                    />
+                  </View>
+                ))}
+              </Card>
+            ))}
+
+            {/* Sessiz Saatler */}
+            <Card variant="outlined" padding="lg" style={styles.categoryCard}>
+              <View style={styles.channelRow}>
+                <View style={styles.quietHoursTitle}>
+                  <Ionicons name="moon" size={20} color="#8B5CF6" />
+                  <Typography variant="h3" style={styles.categoryTitle}>
+                    Sessiz Saatler
+                  </Typography>
+                </View>
+                <Switch
+                  value={quietHours.enabled}
+                  onValueChange={(value) => saveQuietHours({ enabled: value })}
+                  disabled={updateMutation.isPending}
+                />
+              </View>
+              <Typography variant="caption" style={styles.categoryDescription}>
+                Bu saatler arasında push bildirimleri gönderilmez, sessiz saatler bitince iletilir (Türkiye saati).
+              </Typography>
+
+              <View style={styles.timeRow}>
+                {(['start', 'end'] as QuietHoursField[]).map((field) => (
+                  <TouchableOpacity
+                    key={field}
+                    style={quietHours.enabled ? styles.timeButton : styles.timeButtonDisabled}
+                    onPress={() => setEditingField(field)}
+                    disabled={!quietHours.enabled || updateMutation.isPending}
+                  >
+                    <Typography variant="caption" style={styles.timeLabel}>
+                      {field === 'start' ? 'Başlangıç' : 'Bitiş'}
+                    </Typography>
+                    <Typography variant="h3" style={styles.timeValue}>
+                      {quietHours[field]}
+                    </Typography>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              {editingField && (
+                <View>
+                  <DateTimePicker
+                    value={timeToDate(quietHours[editingField])}
+                    mode="time"
+                    is24Hour
+                    display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                    onChange={handleTimeChange}
+                  />
+                  {Platform.OS === 'ios' && (
+                    <Button variant="outline" onPress={() => setEditingField(null)}>
+                      Tamam
+                    </Button>
+                  )}
+                </View>
+              )}
+            </Card>
+          </>
+        )}
+      </ScrollView>
+    </Screen>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: spacing.lg,
+    paddingBottom: spacing['4xl'],
+  },
+  backButtonContainer: {
+    marginBottom: spacing.lg,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: spacing['2xl'],
+  },
+  headerIcon: {
+    width: 72,
+    height: 72,
+    borderRadius: 36,
+    backgroundColor: lightColors.primary[50],
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: spacing.lg,
+  },
+  headerTitle: {
+    fontSize: 26,
+    fontWeight: '700',
+    color: lightColors.text.primary,
+    marginBottom: spacing.sm,
+    textAlign: 'center',
+  },
+  headerSubtitle: {
+    color: lightColors.text.secondary,
+    textAlign: 'center',
+    fontSize: 15,
+  },
+  loading: {
+    paddingVertical: spacing['4xl'],
+    alignItems: 'center',
+  },
+  categoryCard: {
+    marginBottom: spacing.lg,
+  },
+  categoryTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: lightColors.text.primary,
+  },
+  categoryDescription: {
+    color: lightColors.text.secondary,
+    marginTop: spacing.xs,
+    marginBottom: spacing.sm,
+  },
+  channelRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: spacing.sm,
+  },
+  channelLabel: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+  },
+  channelText: {
+    color: lightColors.text.primary,
+  },
+  quietHoursTitle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+  },
+  timeRow: {
+    flexDirection: 'row',
+    gap: spacing.md,
+    marginTop: spacing.sm,
+    marginBottom: spacing.sm,
+  },
+  timeButton: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: lightColors.primary[200],
+    backgroundColor: lightColors.primary[50],
+    borderRadius: 12,
+    paddingVertical: spacing.md,
+    alignItems: 'center',
+  },
+  timeButtonDisabled: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: lightColors.neutral[200],
+    backgroundColor: lightColors.neutral[100],
+    borderRadius: 12,
+    paddingVertical: spacing.md,
+    alignItems: 'center',
+    opacity: 0.6,
+  },
+  timeLabel: {
+    color: lightColors.text.secondary,
+  },
+  timeValue: {
+    color: lightColors.text.primary,
+    fontWeight: '700',
+  },
+});
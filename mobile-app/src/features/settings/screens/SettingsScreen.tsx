@@ -4,6 +4,7 @@
  * 
  * Özellikler:
  * - Şifre değiştirme
+ * - Bildirim tercihleri (kategori × kanal, sessiz saatler)
  * - Uygulama paylaşma, değerlendirme, geri bildirim
  * - Yasal sayfalar (gizlilik, kullanım koşulları)
  * - Hesap işlemleri (çıkış, hesap kapatma)
@@ -358,6 +359,14 @@ export const SettingsScreen = ({ navigation }: Props) => {
               badgeColor="warning"
               onPress={handleEnableNotifications}
             />
+            <Divider />
+            <SettingItem
+              icon={<Ionicons name="options" size={22} color="#8B5CF6" />}
+              iconBgColor="#F3E8FF"
+              title="Bildirim Tercihleri"
+              subtitle="Bildirim türleri, kanallar ve sessiz saatler"
+              onPress={() => navigation.navigate('NotificationPreferences')}
+            />
           </Card>
         </View>
 
@@ -450,6 +459,14 @@ export const SettingsScreen = ({ navigation }: Props) => {
               onPress={() => navigation.navigate('ChangePassword')}
             />
             <Divider />
+            <SettingItem
+              icon={<Ionicons name="phone-portrait" size={22} color="#059669" />}
+              iconBgColor="#D1FAE5"
+              title="Aktif Oturumlar"
+              subtitle="Giriş yapılan cihazlar ve oturum sonlandırma"
+              onPress={() => navigation.navigate('ActiveSessions')}
+            />
+            <Divider />
             <SettingItem
               icon={<Ionicons name="trash" size={22} color="#DC2626" />}
               iconBgColor="#FEE2E2"
@@ -81,6 +81,27 @@ const handleInAppStateUpdate = (
       });
       break;
       
+    case 'interview_updated':
+      // Mülakat daveti / onay / iptal / hatırlatma - başvuru detayını yenile
+      if (entity_id) {
+        queryClient.invalidateQueries({ 
+          queryKey: queryKeys.applications.detail(Number(entity_id)),
+        });
+      }
+      break;
+      
+    case 'message_received':
+      // Hastaneden yeni başvuru mesajı - yazışmayı ve okunmamış rozetini yenile
+      if (entity_id) {
+        queryClient.invalidateQueries({ 
+          queryKey: queryKeys.applications.messages(Number(entity_id)),
+        });
+      }
+      queryClient.invalidateQueries({ 
+        queryKey: queryKeys.applications.unreadMessages(),
+      });
+      break;
+      
     // NOT: profile_updated action'ı kaldırıldı - Profil güncelleme bildirimleri gönderilmiyor
     // case 'profile_updated':
     //   queryClient.invalidateQueries({ queryKey: queryKeys.profile.all, exact: false });
@@ -149,6 +170,31 @@ export const usePushNotifications = () => {
 
         // Deep linking: Bildirim tipine göre ilgili sayfaya yönlendir
         
+        // Veri dışa aktarma hazır - indirme, bağlantı oturumla alınarak Hesabı Sil ekranından yapılır
+        if (data?.action === 'data_export_ready') {
+          const params = { screen: 'DeleteAccount' } as const;
+          if (navigationRef.isReady()) {
+            navigationRef.navigate('SettingsTab' as any, params as any);
+          } else {
+            navigation.navigate('SettingsTab', params);
+          }
+          return;
+        }
+
+        // 0. Başvuru mesajı bildirimleri - doğrudan yazışmayı aç
+        if (data?.action === 'message_received' && data?.application_id) {
+          const params = {
+            screen: 'ApplicationMessages',
+            params: { applicationId: Number(data.application_id) },
+          } as const;
+          if (navigationRef.isReady()) {
+            navigationRef.navigate('ApplicationsTab' as any, params as any);
+          } else {
+            navigation.navigate('ApplicationsTab', params);
+          }
+          return;
+        }
+
         // 1. Başvuru durumu bildirimleri (application_id varsa)
         if (data?.application_id) {
           // Applications tab'ına git (başvuru detayına gidebiliriz ama şimdilik liste yeterli)
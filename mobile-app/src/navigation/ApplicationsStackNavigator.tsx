@@ -8,12 +8,14 @@
  * **Ekranlar:**
  * - ApplicationsList: Başvurular listesi
  * - ApplicationDetail: Başvuru detay sayfası
+ * - ApplicationMessages: Başvuru yazışması (hastaneyle mesajlaşma)
  */
 
 import React from 'react';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { ApplicationsScreen } from '@/features/applications/screens/ApplicationsScreen';
 import { ApplicationDetailScreen } from '@/features/applications/screens/ApplicationDetailScreen';
+import { ApplicationMessagesScreen } from '@/features/applications/screens/ApplicationMessagesScreen';
 import type { ApplicationsStackParamList } from './types';
 
 const Stack = createNativeStackNavigator<ApplicationsStackParamList>();
@@ -41,5 +43,13 @@ export const ApplicationsStackNavigator = () => (
         gestureEnabled: true,
       }}
     />
+    <Stack.Screen 
+      name="ApplicationMessages" 
+      component={ApplicationMessagesScreen}
+      options={{ 
+        animation: 'slide_from_right',
+        gestureEnabled: true,
+      }}
+    />
   </Stack.Navigator>
 );
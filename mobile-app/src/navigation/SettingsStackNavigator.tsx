@@ -8,6 +8,8 @@
  * **Ekranlar:**
  * - SettingsMain: Ana ayarlar ekranı (bildirim ayarları dahil)
  * - ChangePassword: Şifre değiştirme ekranı
+ * - NotificationPreferences: Bildirim tercihleri ve sessiz saatler
+ * - ActiveSessions: Aktif oturumlar (cihazlar) ve oturum sonlandırma
  * - DeleteAccount: Hesap silme ekranı (App Store/Play Store gereksinimi)
  * - HelpCenter: Yardım merkezi ve SSS ekranı
  */
@@ -16,6 +18,8 @@ import React from 'react';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { SettingsScreen } from '@/features/settings/screens/SettingsScreen';
 import { ChangePasswordScreen } from '@/features/settings/screens/ChangePasswordScreen';
+import { NotificationPreferencesScreen } from '@/features/settings/screens/NotificationPreferencesScreen';
+import { ActiveSessionsScreen } from '@/features/settings/screens/ActiveSessionsScreen';
 import { DeleteAccountScreen } from '@/features/settings/screens/DeleteAccountScreen';
 import { HelpCenterScreen } from '@/features/settings/screens/HelpCenterScreen';
 import { PrivacyPolicyScreen } from '@/features/settings/screens/PrivacyPolicyScreen';
@@ -49,6 +53,22 @@ export const SettingsStackNavigator = () => (
         gestureEnabled: true,
       }}
     />
+    <Stack.Screen 
+      name="NotificationPreferences" 
+      component={NotificationPreferencesScreen}
+      options={{
+        animation: 'slide_from_bottom',
+        gestureEnabled: true,
+      }}
+    />
+    <Stack.Screen 
+      name="ActiveSessions" 
+      component={ActiveSessionsScreen}
+      options={{
+        animation: 'slide_from_bottom',
+        gestureEnabled: true,
+      }}
+    />
     <Stack.Screen 
       name="DeleteAccount" 
       component={DeleteAccountScreen}
@@ -9,6 +9,7 @@
  * - 5 ana tab: ProfileTab (Anasayfa), JobsTab (İlanlar), ApplicationsTab (Başvurular), CongressesTab (Kongreler), SettingsTab (Ayarlar)
  * - Animasyonlu ikonlar
  * - Haptic feedback
+ * - Başvurular tab'ında okunmamış mesaj rozeti
  * - Platform-specific styling
  */
 
@@ -26,6 +27,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { colors } from '@/theme';
 import { THEME_TOKENS } from '@/theme/config';
 import { devLog } from '@/utils/devLogger';
+import { useUnreadMessageCount } from '@/features/applications/hooks/useApplicationMessages';
 import type { AppTabParamList } from './types';
 
 // ============================================================================
@@ -91,6 +93,7 @@ const Tab = createBottomTabNavigator<AppTabParamList>();
  */
 export const TabNavigator = () => {
   const insets = useSafeAreaInsets();
+  const { unreadCount: unreadMessageCount } = useUnreadMessageCount();
   
   // Dinamik tab bar yüksekliği - cihazın güvenli alanına göre hesaplanır
   const TAB_BAR_HEIGHT = 56;
@@ -234,6 +237,7 @@ export const TabNavigator = () => {
         component={ApplicationsStackNavigator}
         options={{
           tabBarLabel: 'Başvurular',
+          tabBarBadge: unreadMessageCount > 0 ? unreadMessageCount : undefined,
           tabBarIcon: ({ focused }) => (
             <AnimatedIcon iconName={focused ? "checkmark-done" : "checkmark-done-outline"} focused={focused} />
           ),
@@ -44,8 +44,8 @@ export type AuthStackParamList = {
   Login: undefined;
   /** Kayıt ekranı */
   Register: undefined;
-  /** Onay bekliyor ekranı */
-  PendingApproval: undefined;
+  /** Onay bekliyor ekranı (kayıt sonrası e-posta, doğrulama bağlantısını yeniden göndermek için) */
+  PendingApproval: { email?: string } | undefined;
   /** Onboarding tanıtım ekranları */
   Onboarding: undefined;
   /** Şifremi unuttum ekranı */
@@ -124,6 +124,8 @@ export type ApplicationsStackParamList = {
   ApplicationsList: undefined;
   /** Başvuru detay sayfası */
   ApplicationDetail: { applicationId: number };
+  /** Başvuru yazışması (hastaneyle mesajlaşma) */
+  ApplicationMessages: { applicationId: number };
 };
 
 // ============================================================================
@@ -154,6 +156,10 @@ export type SettingsStackParamList = {
   SettingsMain: undefined;
   /** Şifre değiştirme ekranı */
   ChangePassword: undefined;
+  /** Bildirim tercihleri ekranı (kategori × kanal, sessiz saatler) */
+  NotificationPreferences: undefined;
+  /** Aktif oturumlar ekranı (cihazlar, oturum sonlandırma) */
+  ActiveSessions: undefined;
   /** Hesap silme ekranı */
   DeleteAccount: undefined;
   /** Yardım merkezi ekranı */
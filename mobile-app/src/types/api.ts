@@ -54,6 +54,8 @@ export interface PaginationMeta {
   has_next: boolean;
   /** Önceki sayfa var mı? */
   has_prev: boolean;
+  /** Arama sonuçları en alakalı ilanlarla sınırlandı mı? (yalnızca ilan aramasında) */
+  truncated?: boolean;
 }
 
 /**
@@ -97,6 +97,132 @@ export interface ApplicationDetail extends ApplicationListItem {
   hospital_website: string | null;
   /** Hastane hakkında */
   hospital_about: string | null;
+
+  // Mülakat
+  /** Güncel mülakat (aktif olan, yoksa son iptal edilen) */
+  interview?: Interview | null;
+}
+
+// ============================================================================
+// INTERVIEW
+// ============================================================================
+
+/**
+ * Mülakat durumu
+ * - proposed: Hastane zaman önerdi, doktorun seçimi bekleniyor
+ * - scheduled: Doktor bir zaman seçti
+ * - cancelled: Hastane iptal etti
+ */
+export type InterviewStatus = 'proposed' | 'scheduled' | 'cancelled';
+
+/**
+ * Önerilen mülakat zamanı
+ */
+export interface InterviewSlot {
+  /** Zaman dilimi ID */
+  id: number;
+  /** Başlangıç zamanı (ISO) */
+  starts_at: string;
+}
+
+/**
+ * Başvuruya bağlı mülakat
+ */
+export interface Interview {
+  /** Mülakat ID */
+  id: number;
+  /** Başvuru ID */
+  application_id: number;
+  /** Görüşme türü */
+  mode: 'in_person' | 'video';
+  /** Yüz yüze görüşme adresi (boşsa hastane adresi) */
+  location: string | null;
+  /** Görüntülü görüşme bağlantısı */
+  meeting_url: string | null;
+  /** Süre (dakika) */
+  duration_minutes: number;
+  /** Hastanenin notu */
+  notes: string | null;
+  /** Durum */
+  status: InterviewStatus;
+  /** Seçilen zaman dilimi ID */
+  selected_slot_id: number | null;
+  /** Önerilen zamanlar */
+  slots: InterviewSlot[];
+  /** Seçilen zamanın başlangıcı */
+  starts_at: string | null;
+  /** Seçilen zamanın bitişi */
+  ends_at: string | null;
+  /** İptal sebebi */
+  cancel_reason: string | null;
+  /** Takvim (.ics) bağlantısı - /api altında göreli yol (yalnızca scheduled) */
+  calendar_path: string | null;
+}
+
+// ============================================================================
+// MESAJLAŞMA
+// ============================================================================
+
+/**
+ * Başvuru yazışmasındaki mesaj
+ */
+export interface ApplicationMessage {
+  /** Mesaj ID */
+  id: number;
+  /** Başvuru ID */
+  application_id: number;
+  /** Gönderen taraf */
+  sender_role: 'doctor' | 'hospital';
+  /** Mesaj metni */
+  body: string;
+  /** Alıcının okuduğu zaman (null = okunmadı) */
+  read_at: string | null;
+  /** Gönderim zamanı */
+  created_at: string;
+  /** Mesaj oturumdaki kullanıcıya mı ait */
+  is_mine: boolean;
+}
+
+/**
+ * Yazışma başlık bilgisi
+ */
+export interface ApplicationMessageThreadInfo {
+  /** Başvuru ID */
+  application_id: number;
+  /** İş ilanı ID */
+  job_id: number;
+  /** İş ilanı başlığı */
+  job_title: string;
+  /** Karşı taraf (hastane adı) */
+  counterpart_name: string;
+  /** Yeni mesaj gönderilebilir mi (reddedilen / geri çekilen başvurularda false) */
+  can_reply: boolean;
+}
+
+/**
+ * Başvuru yazışması
+ * GET /api/mobile/applications/:id/messages
+ */
+export interface ApplicationMessageThread {
+  thread: ApplicationMessageThreadInfo;
+  messages: ApplicationMessage[];
+}
+
+/**
+ * Okunmamış mesaj özeti
+ * GET /api/mobile/applications/messages/unread
+ */
+export interface UnreadMessageSummary {
+  /** Toplam okunmamış mesaj */
+  count: number;
+  /** Okunmamış mesajı olan yazışmalar (en yeni önce) */
+  threads: Array<{
+    application_id: number;
+    job_title: string;
+    counterpart_name: string;
+    unread_count: number;
+    last_message_at: string;
+  }>;
 }
 
 // ============================================================================
@@ -122,6 +122,27 @@ export interface DoctorRegistrationResponse {
   user: AuthUser;
 }
 
+/**
+ * Aktif oturum (cihaz) - GET /auth/sessions
+ * Her oturum backend'de bir refresh token kaydıdır
+ */
+export interface AuthSession {
+  /** Oturum ID'si (refresh token kaydı) */
+  id: number;
+  /** Cihaz / istemci (Chrome, MediKariyer Mobil vb.) */
+  device: string;
+  /** Platform (iOS, Android, Windows vb.) */
+  platform: string;
+  /** Giriş yapılan IP adresi */
+  ip: string | null;
+  /** Oturumun açıldığı tarih */
+  created_at: string;
+  /** Son kullanım tarihi */
+  last_used_at: string;
+  /** İsteği yapan (bu cihazdaki) oturum mu? Sonlandırılamaz */
+  is_current: boolean;
+}
+
 /**
  * Zustand store'da tutulan authentication state yapısı
  */
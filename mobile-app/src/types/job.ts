@@ -38,10 +38,20 @@ export interface JobListItem {
   created_at: string | null;
   /** Başvuru yapılmış mı? */
   is_applied: boolean;
+  /** Kaydedilenlere eklenmiş mi? */
+  is_favorite: boolean;
+  /** Kaydedilen ilanın süresi dolmuş mu? (pasife alınmış) */
+  is_expired: boolean;
   /** Hastane adı */
   hospital_name: string | null;
   /** Hastane logosu */
   hospital_logo: string | null;
+  /** Aylık nöbet sayısı */
+  monthly_shift_count: number | null;
+  /** Lojman / konaklama sağlanıyor mu? */
+  provides_housing: boolean;
+  /** Servis / ulaşım desteği sağlanıyor mu? */
+  provides_transport: boolean;
 }
 
 // ============================================================================
@@ -63,6 +73,8 @@ export interface JobDetail extends JobListItem {
   application_deadline: string | null;
   /** Minimum deneyim yılı */
   min_experience_years: number | null;
+  /** Çalışma saatleri */
+  working_hours: string | null;
   /** Alt branş adı */
   subspecialty_name: string | null;
   /** Hastane adresi */
@@ -30,7 +30,7 @@ export interface NotificationData {
    * Bildirim aksiyonu - In-App State Update için kullanılır
    * Bu alan hangi query'lerin invalidate edileceğini belirler
    */
-  action?: 'application_created' | 'application_status_changed' | 'application_withdrawn' | 'profile_updated' | 'job_status_changed' | string;
+  action?: 'application_created' | 'application_status_changed' | 'application_withdrawn' | 'profile_updated' | 'job_status_changed' | 'interview_updated' | 'message_received' | string;
   
   /** Entity tipi (application, profile, job, vb.) */
   entity_type?: 'application' | 'profile' | 'job' | string;
@@ -132,6 +132,71 @@ export interface NotificationsResponse {
   pagination: import('./api').PaginationMeta;
 }
 
+// ============================================================================
+// NOTIFICATION PREFERENCES
+// ============================================================================
+
+/**
+ * Bildirim kategorisi (tercihlerin ayarlandığı birim)
+ */
+export type NotificationCategory =
+  | 'application_status'
+  | 'job_status'
+  | 'new_job_match'
+  | 'system'
+  | 'congress';
+
+/**
+ * Bildirim kanalı
+ */
+export type NotificationChannel = 'inapp' | 'push' | 'email';
+
+/**
+ * Kategori bazında kanal tercihleri
+ */
+export interface NotificationCategoryPreference {
+  /** Kategori anahtarı */
+  category: NotificationCategory;
+  /** Görünen ad */
+  label: string;
+  /** Açıklama */
+  description: string;
+  /** Uygulama içi bildirim */
+  inapp: boolean;
+  /** Push bildirimi */
+  push: boolean;
+  /** E-posta */
+  email: boolean;
+}
+
+/**
+ * Sessiz saatler (Europe/Istanbul, HH:mm)
+ */
+export interface QuietHours {
+  enabled: boolean;
+  start: string;
+  end: string;
+  timezone?: string;
+}
+
+/**
+ * Bildirim tercihleri API yanıtı
+ * GET /api/mobile/notifications/settings
+ */
+export interface NotificationSettings {
+  categories: NotificationCategoryPreference[];
+  quiet_hours: QuietHours;
+}
+
+/**
+ * Bildirim tercihleri güncelleme payload'ı (gönderilmeyen alanlar korunur)
+ * PUT /api/mobile/notifications/settings
+ */
+export interface UpdateNotificationSettingsPayload {
+  categories?: Array<{ category: NotificationCategory } & Partial<Record<NotificationChannel, boolean>>>;
+  quiet_hours?: Omit<QuietHours, 'timezone'>;
+}
+
 // ============================================================================
 // PUSH NOTIFICATION TYPES
 // ============================================================================
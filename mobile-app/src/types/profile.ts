@@ -433,3 +433,83 @@ export interface PhotoStatusResponse {
   /** Geçmiş talepler */
   history?: PhotoRequest[];
 }
+
+// ============================================================================
+// PROFILE PRIVACY
+// ============================================================================
+
+/**
+ * Profil görünürlüğü
+ * - public: Onaylı tüm hastaneler görür
+ * - applied_only: Yalnızca başvurulan hastaneler görür
+ * - hidden: Doktor listelerinde görünmez
+ */
+export type ProfileVisibility = 'public' | 'applied_only' | 'hidden';
+
+/**
+ * Engellenen hastane
+ */
+export interface BlockedHospital {
+  /** Hastane profil ID */
+  hospital_id: number;
+  /** Kurum adı */
+  institution_name: string;
+  /** Şehir */
+  city_name: string | null;
+  /** Engellenme tarihi */
+  blocked_at: string;
+}
+
+/**
+ * Engelleme için aranan hastane
+ * GET /api/mobile/doctor/privacy/hospitals
+ */
+export interface PrivacyHospital {
+  hospital_id: number;
+  institution_name: string;
+  city_name: string | null;
+}
+
+/**
+ * Profil gizlilik ayarları
+ * GET /api/mobile/doctor/privacy
+ */
+export interface ProfilePrivacySettings {
+  profile_visibility: ProfileVisibility;
+  /** Telefon başvuru yapılmamış hastanelerden gizlenir */
+  hide_phone: boolean;
+  /** E-posta başvuru yapılmamış hastanelerden gizlenir */
+  hide_email: boolean;
+  blocked_hospitals: BlockedHospital[];
+}
+
+/**
+ * Gizlilik ayarları güncelleme payload'ı
+ * PUT /api/mobile/doctor/privacy
+ */
+export interface UpdatePrivacySettingsPayload {
+  profile_visibility?: ProfileVisibility;
+  hide_phone?: boolean;
+  hide_email?: boolean;
+}
+
+/**
+ * CV PDF şablonu
+ * - classic: Fotoğraflı, bölümleri ayrı kartlarda gösteren şablon
+ * - compact: Tek sayfaya sığmaya çalışan yoğun şablon
+ */
+export type CvTemplate = 'classic' | 'compact';
+
+/**
+ * CV PDF etiket dili
+ */
+export type CvLanguage = 'tr' | 'en';
+
+/**
+ * CV PDF indirme seçenekleri
+ * GET /api/mobile/doctor/profile/cv.pdf
+ */
+export interface CvDownloadOptions {
+  template: CvTemplate;
+  lang: CvLanguage;
+}